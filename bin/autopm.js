@@ -196,6 +196,10 @@ function main() {
     .command(require('../lib/cli/commands/agent'))
     // Context management command (STANDALONE)
     .command(require('../lib/cli/commands/context'))
+    // Conflict resolution history (STANDALONE)
+    .command(require('../lib/cli/commands/conflict'))
+    // Sprint planning and iterations (STANDALONE)
+    .command(require('../lib/cli/commands/sprint'))
     // Validation command
     .command('validate', 'Validate ClaudeAutoPM configuration and setup',
       (yargs) => {
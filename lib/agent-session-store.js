@@ -0,0 +1,180 @@
+/**
+ * Agent Session Store
+ *
+ * Persists multi-turn agent conversations in `.claude/sessions/<id>.json`
+ * so `autopm agent invoke --resume <id>` can continue a conversation after
+ * the process exits. AgentService replays the stored turns to the provider
+ * on every invocation.
+ *
+ * Layout (`.claude/sessions/<id>.json`):
+ *
+ *   { "id": "3f9a1c2e", "agent": "code-analyzer",
+ *     "createdAt": "...", "updatedAt": "...",
+ *     "summary": null, "summarizedCount": 0,
+ *     "messages": [{ "role": "user", "content": "...", "timestamp": 1710000000000 }] }
+ *
+ * `summary` and `summarizedCount` are set when older turns have been folded
+ * into a summary to stay within the history token budget; the turns
+ * themselves are kept so `agent sessions show` displays the full conversation.
+ *
+ * @example
+ * const AgentSessionStore = require('./lib/agent-session-store');
+ *
+ * const store = new AgentSessionStore({ basePath: '.claude' });
+ * const session = await store.create('code-analyzer');
+ * const service = new AgentService(provider, { sessionStore: store });
+ *
+ * await service.invoke('code-analyzer', 'Review auth.js', {}, { conversationId: session.id });
+ * await service.invoke('code-analyzer', 'Now fix the first issue', {}, { conversationId: session.id });
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+const ID_PATTERN = /^[A-Za-z0-9][\w-]*$/;
+
+class AgentSessionStore {
+  /**
+   * Create a new AgentSessionStore instance
+   *
+   * @param {Object} options - Configuration options
+   * @param {string} options.basePath - Base path for file operations (default: '.claude')
+   */
+  constructor(options = {}) {
+    this.basePath = options.basePath || '.claude';
+    this.sessionsDir = path.join(this.basePath, 'sessions');
+  }
+
+  /**
+   * Create and save an empty session
+   *
+   * @param {string} agent - Agent the session talks to
+   * @param {string} [id] - Session ID (default: random)
+   * @returns {Promise<Object>} Session
+   * @throws {Error} If the ID is invalid or already used
+   */
+  async create(agent, id = crypto.randomBytes(4).toString('hex')) {
+    const filePath = this._filePath(id);
+
+    if (await fs.pathExists(filePath)) {
+      throw new Error(`Session already exists: ${id}`);
+    }
+
+    const now = new Date().toISOString();
+    const session = {
+      id,
+      agent,
+      createdAt: now,
+      updatedAt: now,
+      summary: null,
+      summarizedCount: 0,
+      messages: []
+    };
+
+    await fs.ensureDir(this.sessionsDir);
+    await fs.writeJSON(filePath, session, { spaces: 2 });
+
+    return session;
+  }
+
+  /**
+   * Get a session
+   *
+   * @param {string} id - Session ID
+   * @returns {Promise<Object>} Session
+   * @throws {Error} If the session does not exist
+   */
+  async get(id) {
+    const filePath = this._filePath(id);
+
+    if (!(await fs.pathExists(filePath))) {
+      throw new Error(`Session not found: ${id}`);
+    }
+
+    return fs.readJSON(filePath);
+  }
+
+  /**
+   * Check whether a session exists
+   *
+   * @param {string} id - Session ID
+   * @returns {Promise<boolean>} True if the session exists
+   */
+  async exists(id) {
+    return fs.pathExists(this._filePath(id));
+  }
+
+  /**
+   * Save a session, updating its timestamp
+   *
+   * @param {Object} session - Session
+   * @returns {Promise<Object>} Saved session
+   */
+  async save(session) {
+    const saved = { ...session, updatedAt: new Date().toISOString() };
+
+    await fs.ensureDir(this.sessionsDir);
+    await fs.writeJSON(this._filePath(session.id), saved, { spaces: 2 });
+
+    return saved;
+  }
+
+  /**
+   * List sessions, most recently updated first
+   *
+   * @returns {Promise<Array<Object>>} Sessions without messages: { id, agent, createdAt, updatedAt, turns }
+   */
+  async list() {
+    if (!(await fs.pathExists(this.sessionsDir))) {
+      return [];
+    }
+
+    const files = (await fs.readdir(this.sessionsDir)).filter(file => file.endsWith('.json'));
+    const sessions = [];
+
+    for (const file of files) {
+      const session = await fs.readJSON(path.join(this.sessionsDir, file));
+      sessions.push({
+        id: session.id,
+        agent: session.agent,
+        createdAt: session.createdAt,
+        updatedAt: session.updatedAt,
+        turns: session.messages.filter(message => message.role === 'user').length
+      });
+    }
+
+    return sessions.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * Delete a session
+   *
+   * @param {string} id - Session ID
+   * @returns {Promise<void>}
+   * @throws {Error} If the session does not exist
+   */
+  async delete(id) {
+    const filePath = this._filePath(id);
+
+    if (!(await fs.pathExists(filePath))) {
+      throw new Error(`Session not found: ${id}`);
+    }
+
+    await fs.remove(filePath);
+  }
+
+  // ============================================================================
+  // Private Helper Methods
+  // ============================================================================
+
+  _filePath(id) {
+    // IDs become file names; keep them inside the sessions directory
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+      throw new Error(`Invalid session ID: ${id}`);
+    }
+    return path.join(this.sessionsDir, `${id}.json`);
+  }
+}
+
+module.exports = AgentSessionStore;
@@ -28,6 +28,14 @@
  *     return 'MY_PROVIDER_API_KEY';
  *   }
  * }
+ *
+ * @example
+ * // Structured output: parsed, schema-validated JSON (repaired on violations)
+ * const result = await provider.generateStructured('List the epics of this PRD', {
+ *   type: 'object',
+ *   required: ['epics'],
+ *   properties: { epics: { type: 'array', items: { type: 'string' } } }
+ * });
  */
 
 const AIProviderError = require('../errors/AIProviderError');
@@ -313,6 +321,29 @@ class AbstractAIProvider {
     return this.complete(prompt, options);
   }
 
+  /**
+   * Chat completion with tools (function calling)
+   *
+   * Messages use a provider-neutral format; subclasses that support function
+   * calling convert it to their API:
+   * - `{ role: 'user', content }`
+   * - `{ role: 'assistant', content, toolCalls: [{ id, name, input }] }`
+   * - `{ role: 'tool', toolCallId, content, isError }` - result of a tool call
+   *
+   * @param {Array<Object>} messages - Chat messages
+   * @param {Array<{name: string, description: string, inputSchema: Object}>} tools - Available tools
+   * @param {Object} [options={}] - Provider-specific options (system, maxTokens, ...)
+   * @returns {Promise<{content: string, toolCalls: Array<{id: string, name: string, input: Object}>}>}
+   *   Text of the reply and the tools the model wants to call (empty when it is done)
+   * @throws {AIProviderError} UNSUPPORTED_OPERATION unless overridden
+   */
+  async chatWithTools(messages, tools, options = {}) {
+    throw new AIProviderError(
+      AIProviderError.UNSUPPORTED_OPERATION,
+      `${this.getName()} does not support function calling`
+    );
+  }
+
   /**
    * Generate with automatic retry on failure with exponential backoff
    *
@@ -395,6 +426,83 @@ class AbstractAIProvider {
     throw this.formatError(lastError);
   }
 
+  /**
+   * Generate a JSON value that matches a JSON Schema
+   *
+   * The schema is appended to the prompt. When the response is not valid
+   * JSON, does not match the schema or fails options.validate, the model is
+   * asked to repair it, listing the problems, up to options.maxRepairs times.
+   *
+   * @param {string} prompt - The prompt to complete
+   * @param {Object} schema - JSON Schema of the expected value (see JsonSchemaValidator)
+   * @param {Object} [options={}] - Provider-specific options, plus:
+   * @param {number} [options.maxRepairs=2] - Repair attempts after the first response
+   * @param {Function} [options.validate] - Extra checks (value) => Array<string> of errors
+   * @returns {Promise<*>} Parsed value
+   * @throws {AIProviderError} INVALID_RESPONSE when no response matches after the repairs
+   */
+  async generateStructured(prompt, schema, options = {}) {
+    const JsonSchemaValidator = require('../utils/JsonSchemaValidator');
+    const validator = new JsonSchemaValidator();
+    const { maxRepairs = 2, validate = null, ...completeOptions } = options;
+
+    const basePrompt = `${prompt}
+
+Respond with only a JSON value (no prose, no code fences) matching this JSON Schema:
+${JSON.stringify(schema, null, 2)}`;
+
+    let currentPrompt = basePrompt;
+    let errors = [];
+
+    for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+      const response = await this.complete(currentPrompt, completeOptions);
+      const { value, error } = this._parseJsonResponse(response);
+
+      errors = error ? [error] : validator.validate(value, schema);
+      if (errors.length === 0 && validate) {
+        errors = validate(value) || [];
+      }
+
+      if (errors.length === 0) {
+        return value;
+      }
+
+      currentPrompt = `${basePrompt}
+
+Your previous response was rejected:
+${errors.map(problem => `- ${problem}`).join('\n')}
+
+Previous response:
+${response}
+
+Return only the corrected JSON.`;
+    }
+
+    const error = new AIProviderError(
+      AIProviderError.INVALID_RESPONSE,
+      `Response does not match the schema after ${maxRepairs + 1} attempts: ${errors.slice(0, 3).join('; ')}`
+    );
+    error.validationErrors = errors;
+    throw error;
+  }
+
+  /**
+   * Parse a JSON response, allowing a surrounding code fence
+   * @private
+   * @param {string} response - Raw response
+   * @returns {Object} { value } or { error }
+   */
+  _parseJsonResponse(response) {
+    const text = String(response || '').trim();
+    const fenced = text.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/);
+
+    try {
+      return { value: JSON.parse(fenced ? fenced[1] : text) };
+    } catch (error) {
+      return { error: `$: response is not valid JSON (${error.message})` };
+    }
+  }
+
   /**
    * Calculate exponential backoff delay with jitter
    * @private
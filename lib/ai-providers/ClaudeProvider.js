@@ -351,12 +351,14 @@ class ClaudeProvider extends AbstractAIProvider {
    * Chat completion with message history
    *
    * Overrides parent's fallback implementation to use Claude's native chat format.
-   * Converts system role to user role (Claude requirement).
+   * Converts system role to user role (Claude requirement). A system prompt
+   * passed as `options.system` is sent as Claude's top-level system parameter.
    *
    * Automatically applies rate limiting if configured in constructor.
    *
    * @param {Array<{role: string, content: string}>} messages - Chat messages
    * @param {Object} [options={}] - Optional configuration
+   * @param {string} [options.system] - System prompt
    *
    * @returns {Promise<string>} Completion response
    * @throws {AIProviderError} On API errors
@@ -367,18 +369,17 @@ class ClaudeProvider extends AbstractAIProvider {
       const finalOptions = this._mergeOptions(options);
 
       try {
-        // Convert system role to user (Claude doesn't support system role in messages array)
-        const claudeMessages = messages.map(msg => ({
-          role: msg.role === 'system' ? 'user' : msg.role,
-          content: msg.content
-        }));
-
-        const response = await this.client.messages.create({
+        const params = {
           model: finalOptions.model,
           max_tokens: finalOptions.maxTokens,
           temperature: finalOptions.temperature,
-          messages: claudeMessages
-        });
+          messages: this._toClaudeMessages(messages)
+        };
+        if (options.system) {
+          params.system = options.system;
+        }
+
+        const response = await this.client.messages.create(params);
 
         // Extract text from response
         if (response.content && response.content.length > 0) {
@@ -392,6 +393,103 @@ class ClaudeProvider extends AbstractAIProvider {
     });
   }
 
+  /**
+   * Chat completion with tools (function calling)
+   *
+   * Converts the provider-neutral messages (see AbstractAIProvider.chatWithTools)
+   * to Claude content blocks: tool calls become `tool_use` blocks and
+   * consecutive tool results one user message of `tool_result` blocks.
+   *
+   * @param {Array<Object>} messages - Chat messages
+   * @param {Array<{name: string, description: string, inputSchema: Object}>} tools - Available tools
+   * @param {Object} [options={}] - Optional configuration
+   * @param {string} [options.system] - System prompt
+   *
+   * @returns {Promise<{content: string, toolCalls: Array<Object>, stopReason: string}>} Reply
+   * @throws {AIProviderError} On API errors
+   */
+  async chatWithTools(messages, tools, options = {}) {
+    return this._withRateLimit(async () => {
+      const finalOptions = this._mergeOptions(options);
+
+      try {
+        const params = {
+          model: finalOptions.model,
+          max_tokens: finalOptions.maxTokens,
+          temperature: finalOptions.temperature,
+          messages: this._toClaudeMessages(messages),
+          tools: tools.map(tool => ({
+            name: tool.name,
+            description: tool.description,
+            input_schema: tool.inputSchema
+          }))
+        };
+        if (options.system) {
+          params.system = options.system;
+        }
+
+        const response = await this.client.messages.create(params);
+        const blocks = response.content || [];
+
+        return {
+          content: blocks.filter(block => block.type === 'text').map(block => block.text).join(''),
+          toolCalls: blocks
+            .filter(block => block.type === 'tool_use')
+            .map(block => ({ id: block.id, name: block.name, input: block.input || {} })),
+          stopReason: response.stop_reason
+        };
+      } catch (error) {
+        throw this.formatError(error);
+      }
+    });
+  }
+
+  /**
+   * Convert provider-neutral chat messages to Claude messages
+   *
+   * @private
+   * @param {Array<Object>} messages - Chat messages
+   * @returns {Array<Object>} Claude messages
+   */
+  _toClaudeMessages(messages) {
+    const claudeMessages = [];
+
+    for (const msg of messages) {
+      if (msg.role === 'tool') {
+        const block = {
+          type: 'tool_result',
+          tool_use_id: msg.toolCallId,
+          content: msg.content,
+          ...(msg.isError ? { is_error: true } : {})
+        };
+        const last = claudeMessages[claudeMessages.length - 1];
+
+        // Results of one turn's tool calls go back in a single user message
+        if (last && last.role === 'user' && Array.isArray(last.content) && last.content[0].type === 'tool_result') {
+          last.content.push(block);
+        } else {
+          claudeMessages.push({ role: 'user', content: [block] });
+        }
+      } else if (msg.role === 'assistant' && msg.toolCalls && msg.toolCalls.length > 0) {
+        claudeMessages.push({
+          role: 'assistant',
+          content: [
+            ...(msg.content ? [{ type: 'text', text: msg.content }] : []),
+            ...msg.toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.input }))
+          ]
+        });
+      } else {
+        // Claude doesn't support system role in messages array
+        claudeMessages.push({
+          role: msg.role === 'system' ? 'user' : msg.role,
+          content: msg.content
+        });
+      }
+    }
+
+    return claudeMessages;
+  }
+
   // ============================================================
   // BACKWARD COMPATIBILITY METHODS
   // ============================================================
@@ -0,0 +1,263 @@
+/**
+ * HttpAIProvider - Base Class for Providers Behind a JSON HTTP API
+ *
+ * Shared plumbing for providers that talk to an HTTP endpoint with fetch
+ * instead of a vendor SDK (OpenAI-compatible gateways, Ollama):
+ * - base URL and request timeout configuration
+ * - JSON POST requests with optional bearer authentication
+ * - line-based streaming (server-sent events or NDJSON)
+ * - mapping of HTTP statuses and network failures to AIProviderError codes
+ *
+ * Subclasses implement complete(), stream(), getDefaultModel(),
+ * getApiKeyEnvVar() and getDefaultBaseUrl().
+ *
+ * @abstract
+ * @extends AbstractAIProvider
+ */
+
+const AbstractAIProvider = require('./AbstractAIProvider');
+const AIProviderError = require('../errors/AIProviderError');
+
+const DEFAULT_TIMEOUT = 60000;
+
+// Node fetch reports these as the cause of a "fetch failed" TypeError
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'UND_ERR_SOCKET'];
+
+/**
+ * Base class for HTTP API providers
+ *
+ * @class HttpAIProvider
+ * @extends AbstractAIProvider
+ */
+class HttpAIProvider extends AbstractAIProvider {
+  /**
+   * Create a new HttpAIProvider instance
+   *
+   * @param {Object} [config={}] - Configuration (see AbstractAIProvider)
+   * @param {string} [config.baseUrl] - API base URL (default: getDefaultBaseUrl())
+   * @param {number} [config.timeout=60000] - Request timeout in milliseconds
+   *
+   * @throws {Error} If attempting to instantiate the base class directly
+   */
+  constructor(config = {}) {
+    if (new.target === HttpAIProvider) {
+      throw new Error('Cannot instantiate abstract class HttpAIProvider');
+    }
+
+    super(config);
+
+    this.baseUrl = (this.config.baseUrl || this.getDefaultBaseUrl()).replace(/\/+$/, '');
+    this.timeout = this.config.timeout || DEFAULT_TIMEOUT;
+  }
+
+  /**
+   * Get the default API base URL
+   *
+   * @abstract
+   * @returns {string} Base URL
+   */
+  getDefaultBaseUrl() {
+    throw new Error(`${this.constructor.name} must implement getDefaultBaseUrl()`);
+  }
+
+  /**
+   * Format HTTP and network errors into AIProviderError
+   *
+   * @param {Error} error - The error to format
+   * @returns {AIProviderError} Formatted error
+   */
+  formatError(error) {
+    if (error instanceof AIProviderError) {
+      return error;
+    }
+
+    const name = this.getName();
+
+    if (error.status) {
+      if (error.status === 401 || error.status === 403) {
+        return new AIProviderError(
+          AIProviderError.INVALID_API_KEY,
+          `${name} authentication failed: ${error.message}`,
+          true,
+          error.status
+        );
+      }
+
+      if (error.status === 429) {
+        return new AIProviderError(
+          AIProviderError.RATE_LIMIT,
+          `${name} rate limit exceeded. Please retry after a delay.`,
+          true,
+          429
+        );
+      }
+
+      if (error.status >= 500) {
+        return new AIProviderError(
+          AIProviderError.SERVICE_UNAVAILABLE,
+          `${name} service unavailable (${error.status}): ${error.message}`,
+          true,
+          error.status
+        );
+      }
+
+      if (error.code === 'context_length_exceeded' || error.status === 413) {
+        return new AIProviderError(
+          AIProviderError.CONTEXT_LENGTH_EXCEEDED,
+          error.message,
+          true,
+          error.status
+        );
+      }
+
+      return new AIProviderError(
+        AIProviderError.INVALID_REQUEST,
+        error.message || 'Invalid request parameters',
+        true,
+        error.status
+      );
+    }
+
+    if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+      return new AIProviderError(
+        AIProviderError.NETWORK_ERROR,
+        `${name} request to ${this.baseUrl} timed out after ${this.timeout}ms`,
+        true
+      );
+    }
+
+    const cause = error.cause || {};
+    if (NETWORK_ERROR_CODES.includes(cause.code) || NETWORK_ERROR_CODES.includes(error.code)) {
+      return new AIProviderError(
+        AIProviderError.NETWORK_ERROR,
+        `Cannot reach ${name} at ${this.baseUrl} (${cause.code || error.code})`,
+        true
+      );
+    }
+
+    return super.formatError(error);
+  }
+
+  // ============================================================
+  // HTTP HELPERS
+  // ============================================================
+
+  /**
+   * POST a JSON body and parse the JSON response
+   *
+   * @protected
+   * @param {string} urlPath - Path below the base URL (e.g. '/chat/completions')
+   * @param {Object} body - Request body
+   * @returns {Promise<Object>} Response body
+   * @throws {Error} With `status` set on HTTP errors
+   */
+  async _post(urlPath, body) {
+    const response = await this._fetch(urlPath, body);
+    return response.json();
+  }
+
+  /**
+   * POST a JSON body and yield the non-empty lines of the response
+   *
+   * @protected
+   * @param {string} urlPath - Path below the base URL
+   * @param {Object} body - Request body
+   * @yields {string} Response lines, trimmed
+   * @throws {Error} With `status` set on HTTP errors
+   */
+  async *_postStream(urlPath, body) {
+    const response = await this._fetch(urlPath, body);
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (line.trim()) {
+          yield line.trim();
+        }
+      }
+    }
+
+    buffer += decoder.decode();
+    if (buffer.trim()) {
+      yield buffer.trim();
+    }
+  }
+
+  /**
+   * Send a POST request, failing on non-2xx statuses
+   *
+   * The timeout covers the request until the response headers arrive;
+   * streamed bodies may take longer.
+   *
+   * @private
+   * @param {string} urlPath - Path below the base URL
+   * @param {Object} body - Request body
+   * @returns {Promise<Response>} Response
+   */
+  async _fetch(urlPath, body) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(`${this.baseUrl}${urlPath}`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw await this._responseError(response);
+      }
+
+      return response;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Build an error from a non-2xx response
+   *
+   * Understands OpenAI ({ error: { message, code } }) and Ollama
+   * ({ error: '...' }) error bodies.
+   *
+   * @private
+   * @param {Response} response - Failed response
+   * @returns {Promise<Error>} Error with status (and code, if given)
+   */
+  async _responseError(response) {
+    const text = await response.text().catch(() => '');
+    let message = text || response.statusText || `HTTP ${response.status}`;
+    let code;
+
+    try {
+      const body = JSON.parse(text);
+      const details = body.error !== undefined ? body.error : body;
+      message = typeof details === 'string' ? details : (details.message || message);
+      code = details.code;
+    } catch (parseError) {
+      // Not JSON - keep the raw text
+    }
+
+    const error = new Error(message);
+    error.status = response.status;
+    if (code) {
+      error.code = code;
+    }
+    return error;
+  }
+}
+
+module.exports = HttpAIProvider;
@@ -0,0 +1,278 @@
+/**
+ * OllamaProvider - Local Ollama Server Integration
+ *
+ * Runs prompts against models served by Ollama (https://ollama.com) through
+ * its `/api/chat` endpoint. No API key is needed; the server defaults to
+ * http://localhost:11434 and can be changed with `baseUrl` or OLLAMA_HOST.
+ *
+ * @extends HttpAIProvider
+ *
+ * @example
+ * const provider = new OllamaProvider({ model: 'llama3.1' });
+ * const result = await provider.complete('Hello');
+ *
+ * @example
+ * // Remote Ollama server
+ * const provider = new OllamaProvider({ baseUrl: 'http://gpu-box:11434', model: 'qwen2.5:14b' });
+ */
+
+const HttpAIProvider = require('./HttpAIProvider');
+
+/**
+ * OllamaProvider class for local Ollama models
+ *
+ * @class OllamaProvider
+ * @extends HttpAIProvider
+ */
+class OllamaProvider extends HttpAIProvider {
+  /**
+   * Create a new OllamaProvider instance
+   *
+   * @param {Object} [config={}] - Configuration object
+   * @param {string} [config.baseUrl] - Server URL (or use OLLAMA_HOST env var)
+   * @param {string} [config.model] - Model to use (default: llama3.1)
+   * @param {number} [config.maxTokens] - Maximum tokens (default: 4096)
+   * @param {number} [config.temperature] - Temperature (default: 0.7)
+   * @param {number} [config.timeout] - Request timeout in milliseconds (default: 60000)
+   */
+  constructor(config = {}) {
+    super(config);
+  }
+
+  /**
+   * Get the default model identifier
+   *
+   * @returns {string} Default model
+   */
+  getDefaultModel() {
+    return 'llama3.1';
+  }
+
+  /**
+   * Get the environment variable name for API key
+   *
+   * Ollama does not require a key; one is only sent when a proxy in front
+   * of the server expects it.
+   *
+   * @returns {string} Environment variable name
+   */
+  getApiKeyEnvVar() {
+    return 'OLLAMA_API_KEY';
+  }
+
+  /**
+   * Get the default server URL
+   *
+   * @returns {string} OLLAMA_HOST or http://localhost:11434
+   */
+  getDefaultBaseUrl() {
+    const host = process.env.OLLAMA_HOST;
+    if (!host) {
+      return 'http://localhost:11434';
+    }
+    return /^https?:\/\//.test(host) ? host : `http://${host}`;
+  }
+
+  /**
+   * Complete a prompt synchronously (wait for full response)
+   *
+   * @param {string} prompt - The prompt to complete
+   * @param {Object} [options={}] - Optional configuration
+   * @param {string} [options.model] - Model to use (overrides instance model)
+   * @param {number} [options.maxTokens] - Maximum tokens (overrides instance maxTokens)
+   * @param {number} [options.temperature] - Temperature (overrides instance temperature)
+   *
+   * @returns {Promise<string>} The completed text
+   * @throws {AIProviderError} On API errors
+   */
+  async complete(prompt, options = {}) {
+    return this.chat([{ role: 'user', content: prompt }], options);
+  }
+
+  /**
+   * Stream a prompt response (newline-delimited JSON)
+   *
+   * @param {string} prompt - The prompt to complete
+   * @param {Object} [options={}] - Optional configuration (see complete())
+   *
+   * @yields {string} Text chunks as they arrive
+   * @throws {AIProviderError} On API errors
+   */
+  async *stream(prompt, options = {}) {
+    // Apply rate limiting before initiating stream
+    if (this.rateLimiter) {
+      await this.rateLimiter.removeTokens(1);
+    }
+
+    try {
+      const lines = this._postStream('/api/chat', this._requestBody([{ role: 'user', content: prompt }], options, true));
+
+      for await (const line of lines) {
+        const event = JSON.parse(line);
+
+        // Errors after the stream started arrive as a final JSON line
+        if (event.error) {
+          throw new Error(event.error);
+        }
+        if (event.message && event.message.content) {
+          yield event.message.content;
+        }
+        if (event.done) {
+          return;
+        }
+      }
+    } catch (error) {
+      throw this.formatError(error);
+    }
+  }
+
+  /**
+   * Chat completion with message history
+   *
+   * @param {Array<{role: string, content: string}>} messages - Chat messages
+   * @param {Object} [options={}] - Optional configuration
+   * @param {string} [options.system] - System prompt
+   *
+   * @returns {Promise<string>} Completion response
+   * @throws {AIProviderError} On API errors
+   */
+  async chat(messages, options = {}) {
+    return this._withRateLimit(async () => {
+      try {
+        const response = await this._post('/api/chat', this._requestBody(messages, options));
+        return (response.message && response.message.content) || '';
+      } catch (error) {
+        throw this.formatError(error);
+      }
+    });
+  }
+
+  /**
+   * Chat completion with tools (function calling)
+   *
+   * Requires a model with tool support (e.g. llama3.1, qwen2.5). Ollama
+   * does not assign tool call IDs, so they are generated per reply.
+   *
+   * @param {Array<Object>} messages - Chat messages
+   * @param {Array<{name: string, description: string, inputSchema: Object}>} tools - Available tools
+   * @param {Object} [options={}] - Optional configuration
+   * @param {string} [options.system] - System prompt
+   *
+   * @returns {Promise<{content: string, toolCalls: Array<Object>, stopReason: string}>} Reply
+   * @throws {AIProviderError} On API errors
+   */
+  async chatWithTools(messages, tools, options = {}) {
+    return this._withRateLimit(async () => {
+      try {
+        const response = await this._post('/api/chat', {
+          ...this._requestBody(messages, options),
+          tools: tools.map(tool => ({
+            type: 'function',
+            function: { name: tool.name, description: tool.description, parameters: tool.inputSchema }
+          }))
+        });
+        const message = response.message || {};
+
+        return {
+          content: message.content || '',
+          toolCalls: (message.tool_calls || []).map((call, index) => ({
+            id: `call_${messages.length}_${index}`,
+            name: call.function.name,
+            input: call.function.arguments || {}
+          })),
+          stopReason: response.done_reason
+        };
+      } catch (error) {
+        throw this.formatError(error);
+      }
+    });
+  }
+
+  // ============================================================
+  // CAPABILITY OVERRIDES
+  // ============================================================
+
+  /**
+   * Check if the provider supports streaming
+   *
+   * @returns {boolean} True
+   */
+  supportsStreaming() {
+    return true;
+  }
+
+  /**
+   * Check if the provider supports function calling
+   *
+   * @returns {boolean} True (depends on the model)
+   */
+  supportsFunctionCalling() {
+    return true;
+  }
+
+  /**
+   * Check if the provider supports chat format
+   *
+   * @returns {boolean} True
+   */
+  supportsChat() {
+    return true;
+  }
+
+  // ============================================================
+  // PRIVATE HELPERS
+  // ============================================================
+
+  /**
+   * Build an /api/chat request body
+   *
+   * @private
+   * @param {Array<Object>} messages - Chat messages
+   * @param {Object} options - Method options
+   * @param {boolean} [stream=false] - Whether to stream the reply
+   * @returns {Object} Request body
+   */
+  _requestBody(messages, options, stream = false) {
+    const finalOptions = this._mergeOptions(options);
+
+    return {
+      model: finalOptions.model,
+      stream,
+      options: {
+        temperature: finalOptions.temperature,
+        num_predict: finalOptions.maxTokens
+      },
+      messages: [
+        ...(options.system ? [{ role: 'system', content: options.system }] : []),
+        ...this._toOllamaMessages(messages)
+      ]
+    };
+  }
+
+  /**
+   * Convert provider-neutral chat messages to Ollama messages
+   *
+   * @private
+   * @param {Array<Object>} messages - Chat messages
+   * @returns {Array<Object>} Ollama messages
+   */
+  _toOllamaMessages(messages) {
+    return messages.map(msg => {
+      if (msg.role === 'tool') {
+        return { role: 'tool', content: msg.content };
+      }
+
+      if (msg.role === 'assistant' && msg.toolCalls && msg.toolCalls.length > 0) {
+        return {
+          role: 'assistant',
+          content: msg.content || '',
+          tool_calls: msg.toolCalls.map(call => ({ function: { name: call.name, arguments: call.input || {} } }))
+        };
+      }
+
+      return { role: msg.role, content: msg.content };
+    });
+  }
+}
+
+module.exports = OllamaProvider;
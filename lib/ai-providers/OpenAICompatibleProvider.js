@@ -0,0 +1,303 @@
+/**
+ * OpenAICompatibleProvider - OpenAI Chat Completions API Integration
+ *
+ * Talks to any server implementing the OpenAI `/chat/completions` endpoint:
+ * OpenAI itself, Azure OpenAI gateways, OpenRouter, vLLM, LM Studio, etc.
+ * The API key is optional so local servers without authentication work.
+ *
+ * @extends HttpAIProvider
+ *
+ * @example
+ * // OpenAI
+ * const provider = new OpenAICompatibleProvider({ apiKey: 'sk-...' });
+ *
+ * @example
+ * // Local server
+ * const provider = new OpenAICompatibleProvider({
+ *   baseUrl: 'http://localhost:1234/v1',
+ *   model: 'qwen2.5-coder'
+ * });
+ *
+ * @example
+ * // Using environment variables
+ * process.env.OPENAI_API_KEY = 'sk-...';
+ * process.env.OPENAI_BASE_URL = 'https://openrouter.ai/api/v1';
+ * const provider = new OpenAICompatibleProvider({});
+ */
+
+const HttpAIProvider = require('./HttpAIProvider');
+
+/**
+ * OpenAICompatibleProvider class for OpenAI-style chat completion APIs
+ *
+ * @class OpenAICompatibleProvider
+ * @extends HttpAIProvider
+ */
+class OpenAICompatibleProvider extends HttpAIProvider {
+  /**
+   * Create a new OpenAICompatibleProvider instance
+   *
+   * @param {string|Object} [config={}] - API key string or configuration object
+   * @param {string} [config.apiKey] - API key (or use OPENAI_API_KEY env var)
+   * @param {string} [config.baseUrl] - API base URL (or use OPENAI_BASE_URL env var)
+   * @param {string} [config.model] - Model to use (default: gpt-4o-mini)
+   * @param {number} [config.maxTokens] - Maximum tokens (default: 4096)
+   * @param {number} [config.temperature] - Temperature (default: 0.7)
+   * @param {number} [config.timeout] - Request timeout in milliseconds (default: 60000)
+   */
+  constructor(config = {}) {
+    super(config);
+  }
+
+  /**
+   * Get the default model identifier
+   *
+   * @returns {string} Default model
+   */
+  getDefaultModel() {
+    return 'gpt-4o-mini';
+  }
+
+  /**
+   * Get the environment variable name for API key
+   *
+   * @returns {string} Environment variable name
+   */
+  getApiKeyEnvVar() {
+    return 'OPENAI_API_KEY';
+  }
+
+  /**
+   * Get the default API base URL
+   *
+   * @returns {string} OPENAI_BASE_URL or the OpenAI API
+   */
+  getDefaultBaseUrl() {
+    return process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1';
+  }
+
+  /**
+   * Complete a prompt synchronously (wait for full response)
+   *
+   * @param {string} prompt - The prompt to complete
+   * @param {Object} [options={}] - Optional configuration
+   * @param {string} [options.model] - Model to use (overrides instance model)
+   * @param {number} [options.maxTokens] - Maximum tokens (overrides instance maxTokens)
+   * @param {number} [options.temperature] - Temperature (overrides instance temperature)
+   *
+   * @returns {Promise<string>} The completed text
+   * @throws {AIProviderError} On API errors
+   */
+  async complete(prompt, options = {}) {
+    return this.chat([{ role: 'user', content: prompt }], options);
+  }
+
+  /**
+   * Stream a prompt response (server-sent events)
+   *
+   * @param {string} prompt - The prompt to complete
+   * @param {Object} [options={}] - Optional configuration (see complete())
+   *
+   * @yields {string} Text chunks as they arrive
+   * @throws {AIProviderError} On API errors
+   */
+  async *stream(prompt, options = {}) {
+    // Apply rate limiting before initiating stream
+    if (this.rateLimiter) {
+      await this.rateLimiter.removeTokens(1);
+    }
+
+    try {
+      const lines = this._postStream('/chat/completions', {
+        ...this._requestBody([{ role: 'user', content: prompt }], options),
+        stream: true
+      });
+
+      for await (const line of lines) {
+        if (!line.startsWith('data:')) {
+          continue;
+        }
+
+        const data = line.slice(5).trim();
+        if (data === '[DONE]') {
+          return;
+        }
+
+        const event = JSON.parse(data);
+        const delta = event.choices && event.choices[0] && event.choices[0].delta;
+        if (delta && delta.content) {
+          yield delta.content;
+        }
+      }
+    } catch (error) {
+      throw this.formatError(error);
+    }
+  }
+
+  /**
+   * Chat completion with message history
+   *
+   * @param {Array<{role: string, content: string}>} messages - Chat messages
+   * @param {Object} [options={}] - Optional configuration
+   * @param {string} [options.system] - System prompt
+   *
+   * @returns {Promise<string>} Completion response
+   * @throws {AIProviderError} On API errors
+   */
+  async chat(messages, options = {}) {
+    return this._withRateLimit(async () => {
+      try {
+        const response = await this._post('/chat/completions', this._requestBody(messages, options));
+        const message = this._firstMessage(response);
+
+        return message.content || '';
+      } catch (error) {
+        throw this.formatError(error);
+      }
+    });
+  }
+
+  /**
+   * Chat completion with tools (function calling)
+   *
+   * Tools are sent as `function` tools; the model's `tool_calls` come back
+   * as provider-neutral tool calls (see AbstractAIProvider.chatWithTools).
+   *
+   * @param {Array<Object>} messages - Chat messages
+   * @param {Array<{name: string, description: string, inputSchema: Object}>} tools - Available tools
+   * @param {Object} [options={}] - Optional configuration
+   * @param {string} [options.system] - System prompt
+   *
+   * @returns {Promise<{content: string, toolCalls: Array<Object>, stopReason: string}>} Reply
+   * @throws {AIProviderError} On API errors
+   */
+  async chatWithTools(messages, tools, options = {}) {
+    return this._withRateLimit(async () => {
+      try {
+        const response = await this._post('/chat/completions', {
+          ...this._requestBody(messages, options),
+          tools: tools.map(tool => ({
+            type: 'function',
+            function: { name: tool.name, description: tool.description, parameters: tool.inputSchema }
+          }))
+        });
+        const message = this._firstMessage(response);
+
+        return {
+          content: message.content || '',
+          toolCalls: (message.tool_calls || []).map(call => ({
+            id: call.id,
+            name: call.function.name,
+            input: call.function.arguments ? JSON.parse(call.function.arguments) : {}
+          })),
+          stopReason: response.choices[0].finish_reason
+        };
+      } catch (error) {
+        throw this.formatError(error);
+      }
+    });
+  }
+
+  // ============================================================
+  // CAPABILITY OVERRIDES
+  // ============================================================
+
+  /**
+   * Check if the provider supports streaming
+   *
+   * @returns {boolean} True
+   */
+  supportsStreaming() {
+    return true;
+  }
+
+  /**
+   * Check if the provider supports function calling
+   *
+   * @returns {boolean} True
+   */
+  supportsFunctionCalling() {
+    return true;
+  }
+
+  /**
+   * Check if the provider supports chat format
+   *
+   * @returns {boolean} True
+   */
+  supportsChat() {
+    return true;
+  }
+
+  // ============================================================
+  // PRIVATE HELPERS
+  // ============================================================
+
+  /**
+   * Build a /chat/completions request body
+   *
+   * @private
+   * @param {Array<Object>} messages - Chat messages
+   * @param {Object} options - Method options
+   * @returns {Object} Request body
+   */
+  _requestBody(messages, options) {
+    const finalOptions = this._mergeOptions(options);
+
+    return {
+      model: finalOptions.model,
+      max_tokens: finalOptions.maxTokens,
+      temperature: finalOptions.temperature,
+      messages: [
+        ...(options.system ? [{ role: 'system', content: options.system }] : []),
+        ...this._toOpenAIMessages(messages)
+      ]
+    };
+  }
+
+  /**
+   * Convert provider-neutral chat messages to OpenAI messages
+   *
+   * @private
+   * @param {Array<Object>} messages - Chat messages
+   * @returns {Array<Object>} OpenAI messages
+   */
+  _toOpenAIMessages(messages) {
+    return messages.map(msg => {
+      if (msg.role === 'tool') {
+        return { role: 'tool', tool_call_id: msg.toolCallId, content: msg.content };
+      }
+
+      if (msg.role === 'assistant' && msg.toolCalls && msg.toolCalls.length > 0) {
+        return {
+          role: 'assistant',
+          content: msg.content || null,
+          tool_calls: msg.toolCalls.map(call => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.name, arguments: JSON.stringify(call.input || {}) }
+          }))
+        };
+      }
+
+      return { role: msg.role, content: msg.content };
+    });
+  }
+
+  /**
+   * Get the message of the first choice
+   *
+   * @private
+   * @param {Object} response - /chat/completions response
+   * @returns {Object} Message
+   * @throws {Error} If the response has no choices
+   */
+  _firstMessage(response) {
+    if (!response.choices || response.choices.length === 0) {
+      throw new Error('Response contained no choices');
+    }
+    return response.choices[0].message || {};
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,418 @@
+/**
+ * RouterProvider - Routes Requests Across Several AI Providers
+ *
+ * Wraps configured providers and picks one per request:
+ * - by task type: callers name the task with `options.taskType`
+ *   ('parse-prd', 'summarize', 'agent-chat'); other providers ignore the option
+ * - cost-aware: without an explicit provider list a route tries the cheapest
+ *   providers first, and `maxCost` keeps expensive ones out of a route
+ * - with fallback: the next provider in the chain is tried when a provider's
+ *   circuit breaker is open or it fails with a retryable error (rate limit,
+ *   network, service unavailable); non-retryable errors (invalid request,
+ *   content policy) are thrown
+ * - offline: when every provider failed, TemplateProvider answers instead,
+ *   except for tool use and structured output, which templates cannot produce
+ *
+ * Each decision (chain, attempts, chosen provider) is kept in memory
+ * (getDecisions()) and appended to `logPath` as JSON lines when set.
+ *
+ * @extends AbstractAIProvider
+ *
+ * @example
+ * const router = new RouterProvider({
+ *   providers: [
+ *     { name: 'claude', provider: new ClaudeProvider(), cost: 15 },
+ *     { name: 'local', provider: new OllamaProvider(), cost: 0 }
+ *   ],
+ *   routes: {
+ *     'parse-prd': ['claude', 'local'],
+ *     summarize: { maxCost: 1 }
+ *   },
+ *   logPath: '.claude/logs/ai-router.jsonl'
+ * });
+ *
+ * await router.complete(prompt, { taskType: 'summarize' }); // local only, then templates
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const AbstractAIProvider = require('./AbstractAIProvider');
+const TemplateProvider = require('./TemplateProvider');
+const AIProviderError = require('../errors/AIProviderError');
+const { CircuitBreaker, States } = require('../utils/CircuitBreaker');
+
+const TASK_TYPES = ['parse-prd', 'summarize', 'agent-chat', 'default'];
+const MAX_DECISIONS = 100;
+
+// Methods whose results templates cannot produce
+const NO_FALLBACK_METHODS = ['chatWithTools', 'generateStructured'];
+
+/**
+ * RouterProvider class for task-based routing with fallback chains
+ *
+ * @class RouterProvider
+ * @extends AbstractAIProvider
+ */
+class RouterProvider extends AbstractAIProvider {
+  /**
+   * Create a new RouterProvider instance
+   *
+   * @param {Object} config - Configuration object
+   * @param {Array<Object>} config.providers - Providers: { name, provider, cost? }
+   *   where cost is the relative price per million tokens (default: 0)
+   * @param {Object} [config.routes={}] - Per task type: an ordered list of provider
+   *   names, or { providers?, maxCost? }; `default` applies to unlisted task types
+   * @param {AbstractAIProvider|boolean} [config.fallback] - Offline fallback
+   *   (default: TemplateProvider; false to disable)
+   * @param {Object} [config.circuitBreaker] - Breaker options for providers without their own
+   * @param {string} [config.logPath] - JSON lines file for routing decisions
+   *
+   * @throws {Error} If no providers are given or a route names an unknown provider
+   */
+  constructor(config = {}) {
+    super(config);
+
+    if (!Array.isArray(config.providers) || config.providers.length === 0) {
+      throw new Error('RouterProvider requires at least one provider');
+    }
+
+    this.providers = config.providers.map(entry => {
+      if (!entry || !entry.name || !entry.provider) {
+        throw new Error('Router providers must have a name and a provider');
+      }
+
+      return {
+        name: entry.name,
+        provider: entry.provider,
+        cost: entry.cost || 0,
+        breaker: entry.provider.circuitBreaker || new CircuitBreaker(config.circuitBreaker || {})
+      };
+    });
+
+    this.routes = config.routes || {};
+    for (const [taskType, route] of Object.entries(this.routes)) {
+      if (!TASK_TYPES.includes(taskType)) {
+        throw new Error(`Invalid task type: ${taskType}. Must be one of: ${TASK_TYPES.join(', ')}`);
+      }
+      this._resolveRoute(taskType, route);
+    }
+
+    this.fallback = config.fallback === false
+      ? null
+      : (config.fallback instanceof AbstractAIProvider ? config.fallback : new TemplateProvider());
+    this.logPath = config.logPath || null;
+    this.decisions = [];
+  }
+
+  /**
+   * Get the default model identifier
+   *
+   * @returns {string} 'router' (each routed provider uses its own model)
+   */
+  getDefaultModel() {
+    return 'router';
+  }
+
+  /**
+   * Get the environment variable name for API key
+   *
+   * @returns {string} Environment variable name (unused; providers hold their keys)
+   */
+  getApiKeyEnvVar() {
+    return 'AI_ROUTER_API_KEY';
+  }
+
+  /**
+   * Get the providers to try for a task type, in order
+   *
+   * @param {string} [taskType='default'] - Task type
+   * @returns {Array<string>} Provider names
+   * @throws {Error} On an unknown task type
+   */
+  getChain(taskType = 'default') {
+    return this._chain(taskType).map(entry => entry.name);
+  }
+
+  /**
+   * Get recent routing decisions, oldest first
+   *
+   * @returns {Array<Object>} Decisions: { at, taskType, method, chain, attempts, provider, fallback }
+   */
+  getDecisions() {
+    return [...this.decisions];
+  }
+
+  /**
+   * Complete a prompt with the first available provider of the route
+   *
+   * @param {string} prompt - The prompt to complete
+   * @param {Object} [options={}] - Provider options
+   * @param {string} [options.taskType='default'] - Task type selecting the route
+   *
+   * @returns {Promise<string>} The completed text
+   * @throws {AIProviderError} On non-retryable errors, or when no provider is available
+   */
+  async complete(prompt, options = {}) {
+    return this._route('complete', options, (provider, providerOptions) =>
+      provider.complete(prompt, providerOptions));
+  }
+
+  /**
+   * Generate text completion (alias for complete)
+   *
+   * @param {string} prompt - The prompt to complete
+   * @param {Object} [options={}] - Provider options (see complete())
+   * @returns {Promise<string>} The completed text
+   */
+  async generate(prompt, options = {}) {
+    return this.complete(prompt, options);
+  }
+
+  /**
+   * Stream a prompt response from the first available provider of the route
+   *
+   * Providers are switched only until the first chunk arrives; a failure
+   * after that is thrown.
+   *
+   * @param {string} prompt - The prompt to complete
+   * @param {Object} [options={}] - Provider options (see complete())
+   *
+   * @yields {string} Text chunks as they arrive
+   * @throws {AIProviderError} On non-retryable errors, or when no provider is available
+   */
+  async *stream(prompt, options = {}) {
+    const { iterator, first } = await this._route('stream', options, async (provider, providerOptions) => {
+      const providerIterator = provider.stream(prompt, providerOptions)[Symbol.asyncIterator]();
+      return { iterator: providerIterator, first: await providerIterator.next() };
+    });
+
+    let next = first;
+    while (!next.done) {
+      yield next.value;
+      next = await iterator.next();
+    }
+  }
+
+  /**
+   * Chat completion with the first available provider of the route
+   *
+   * @param {Array<{role: string, content: string}>} messages - Chat messages
+   * @param {Object} [options={}] - Provider options (see complete())
+   *
+   * @returns {Promise<string>} Completion response
+   * @throws {AIProviderError} On non-retryable errors, or when no provider is available
+   */
+  async chat(messages, options = {}) {
+    return this._route('chat', options, (provider, providerOptions) =>
+      provider.chat(messages, providerOptions));
+  }
+
+  /**
+   * Chat completion with tools, using providers that support function calling
+   *
+   * There is no offline fallback for tool use.
+   *
+   * @param {Array<Object>} messages - Chat messages
+   * @param {Array<Object>} tools - Available tools
+   * @param {Object} [options={}] - Provider options (see complete())
+   *
+   * @returns {Promise<{content: string, toolCalls: Array<Object>}>} Reply
+   * @throws {AIProviderError} On non-retryable errors, or when no provider is available
+   */
+  async chatWithTools(messages, tools, options = {}) {
+    return this._route('chatWithTools', options, (provider, providerOptions) =>
+      provider.chatWithTools(messages, tools, providerOptions));
+  }
+
+  /**
+   * Generate a JSON value that matches a JSON Schema
+   *
+   * The chosen provider runs its own repair loop. There is no offline
+   * fallback for structured output.
+   *
+   * @param {string} prompt - The prompt to complete
+   * @param {Object} schema - JSON Schema of the expected value
+   * @param {Object} [options={}] - Options of AbstractAIProvider.generateStructured(), plus taskType
+   *
+   * @returns {Promise<*>} Parsed value
+   * @throws {AIProviderError} INVALID_RESPONSE when no response matches, or when no provider is available
+   */
+  async generateStructured(prompt, schema, options = {}) {
+    return this._route('generateStructured', options, (provider, providerOptions) =>
+      provider.generateStructured(prompt, schema, providerOptions));
+  }
+
+  // ============================================================
+  // CAPABILITY OVERRIDES
+  // ============================================================
+
+  /**
+   * Check if any routed provider supports streaming
+   *
+   * @returns {boolean} True if streaming is available
+   */
+  supportsStreaming() {
+    return this.providers.some(entry => entry.provider.supportsStreaming());
+  }
+
+  /**
+   * Check if any routed provider supports function calling
+   *
+   * @returns {boolean} True if function calling is available
+   */
+  supportsFunctionCalling() {
+    return this.providers.some(entry => entry.provider.supportsFunctionCalling());
+  }
+
+  /**
+   * Check if the router supports chat format
+   *
+   * @returns {boolean} True (providers without native chat use the prompt conversion)
+   */
+  supportsChat() {
+    return true;
+  }
+
+  // ============================================================
+  // PRIVATE HELPERS
+  // ============================================================
+
+  /**
+   * Run a call on the providers of a route until one succeeds
+   *
+   * @private
+   * @param {string} method - Provider method, for capability checks and the log
+   * @param {Object} options - Method options, including taskType
+   * @param {Function} call - async (provider, providerOptions) => result
+   * @returns {Promise<*>} Result of the first successful provider
+   */
+  async _route(method, options, call) {
+    const { taskType = 'default', ...providerOptions } = options;
+    const chain = this._chain(taskType);
+    const decision = {
+      at: new Date().toISOString(),
+      taskType,
+      method,
+      chain: chain.map(entry => entry.name),
+      attempts: [],
+      provider: null,
+      fallback: false
+    };
+
+    for (const entry of chain) {
+      if (method === 'chatWithTools' && !entry.provider.supportsFunctionCalling()) {
+        decision.attempts.push({ provider: entry.name, outcome: 'skipped', reason: 'no function calling' });
+        continue;
+      }
+
+      if (entry.breaker.getState() === States.OPEN && Date.now() < entry.breaker.nextAttempt) {
+        decision.attempts.push({ provider: entry.name, outcome: 'skipped', reason: 'circuit open' });
+        continue;
+      }
+
+      try {
+        const result = await entry.breaker.execute(() => call(entry.provider, providerOptions));
+        decision.attempts.push({ provider: entry.name, outcome: 'success' });
+        decision.provider = entry.name;
+        await this._record(decision);
+        return result;
+      } catch (error) {
+        decision.attempts.push({ provider: entry.name, outcome: 'failed', reason: error.message });
+
+        if (!this._isRetryableError(error)) {
+          await this._record(decision);
+          throw error;
+        }
+      }
+    }
+
+    if (this.fallback && !NO_FALLBACK_METHODS.includes(method)) {
+      decision.provider = this.fallback.getName();
+      decision.fallback = true;
+      await this._record(decision);
+      return call(this.fallback, providerOptions);
+    }
+
+    await this._record(decision);
+
+    const reasons = decision.attempts.map(attempt => `${attempt.provider}: ${attempt.reason}`);
+    throw new AIProviderError(
+      AIProviderError.SERVICE_UNAVAILABLE,
+      `No provider available for ${taskType}${reasons.length > 0 ? ` (${reasons.join('; ')})` : ''}`,
+      true
+    );
+  }
+
+  /**
+   * Resolve the provider entries of a task type's route
+   *
+   * @private
+   * @param {string} taskType - Task type
+   * @returns {Array<Object>} Provider entries
+   */
+  _chain(taskType) {
+    if (!TASK_TYPES.includes(taskType)) {
+      throw new Error(`Invalid task type: ${taskType}. Must be one of: ${TASK_TYPES.join(', ')}`);
+    }
+
+    return this._resolveRoute(taskType, this.routes[taskType] || this.routes.default || {});
+  }
+
+  /**
+   * Resolve a route definition to provider entries
+   *
+   * Explicit provider lists keep their order; otherwise all providers are
+   * tried cheapest first (ties keep the configured order).
+   *
+   * @private
+   * @param {string} taskType - Task type, for error messages
+   * @param {Array<string>|Object} route - Route definition
+   * @returns {Array<Object>} Provider entries
+   * @throws {Error} If the route names an unknown provider
+   */
+  _resolveRoute(taskType, route) {
+    const { providers: names, maxCost } = Array.isArray(route) ? { providers: route } : route;
+
+    const entries = names
+      ? names.map(name => {
+        const entry = this.providers.find(candidate => candidate.name === name);
+        if (!entry) {
+          throw new Error(`Unknown provider in route ${taskType}: ${name}`);
+        }
+        return entry;
+      })
+      : [...this.providers].sort((a, b) => a.cost - b.cost);
+
+    return maxCost === undefined ? entries : entries.filter(entry => entry.cost <= maxCost);
+  }
+
+  /**
+   * Keep a routing decision and append it to the log file
+   *
+   * Logging failures never fail the request.
+   *
+   * @private
+   * @param {Object} decision - Routing decision
+   */
+  async _record(decision) {
+    this.decisions.push(decision);
+    if (this.decisions.length > MAX_DECISIONS) {
+      this.decisions.shift();
+    }
+
+    if (!this.logPath) {
+      return;
+    }
+
+    try {
+      await fs.ensureDir(path.dirname(this.logPath));
+      await fs.appendFile(this.logPath, JSON.stringify(decision) + '\n');
+    } catch (error) {
+      // Routing must not depend on the log being writable
+    }
+  }
+}
+
+RouterProvider.TASK_TYPES = TASK_TYPES;
+
+module.exports = RouterProvider;
@@ -29,6 +29,7 @@
  */
 
 const FilterEngine = require('./filter-engine');
+const DeliveryForecast = require('./delivery-forecast');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -48,6 +49,9 @@ class AnalyticsEngine {
    * Analyze epic with comprehensive metrics
    *
    * @param {string} epicId - Epic ID to analyze
+   * @param {Object} options - Analysis options
+   * @param {boolean} options.forecast - Add a Monte Carlo forecast (see DeliveryForecast)
+   * @param {string} options.byDate - Forecast how many tasks are done by this date (YYYY-MM-DD)
    * @returns {Promise<Object|null>} - Analytics object or null if epic not found
    *
    * @example
@@ -64,7 +68,7 @@ class AnalyticsEngine {
    * //   dependencies: { blocked: 2, blocking: 3 }
    * // }
    */
-  async analyzeEpic(epicId) {
+  async analyzeEpic(epicId, options = {}) {
     // Load epic and tasks
     const epicDir = path.join(this.basePath, 'epics', epicId);
 
@@ -89,8 +93,12 @@ class AnalyticsEngine {
     const tasks = await this.filterEngine.loadFiles(epicDir);
     const taskFiles = tasks.filter(t => t.frontmatter.id && t.frontmatter.id !== epicId);
 
+    const forecast = options.forecast
+      ? await this._forecastEpic(epicId, options)
+      : undefined;
+
     if (taskFiles.length === 0) {
-      return {
+      return this._withForecast({
         epicId,
         title: epicMetadata.title || epicId,
         status: { total: 0, completed: 0, in_progress: 0, pending: 0, blocked: 0 },
@@ -104,7 +112,7 @@ class AnalyticsEngine {
         },
         blockers: [],
         dependencies: { blocked: 0, blocking: 0 }
-      };
+      }, forecast);
     }
 
     // Calculate status breakdown
@@ -125,7 +133,7 @@ class AnalyticsEngine {
     // Calculate dependencies
     const dependencies = this._calculateDependencies(taskFiles);
 
-    return {
+    return this._withForecast({
       epicId,
       title: epicMetadata.title || epicId,
       status,
@@ -134,7 +142,7 @@ class AnalyticsEngine {
       timeline,
       blockers,
       dependencies
-    };
+    }, forecast);
   }
 
   /**
@@ -499,6 +507,15 @@ class AnalyticsEngine {
     return { blocked, blocking };
   }
 
+  async _forecastEpic(epicId, options) {
+    const forecaster = new DeliveryForecast({ basePath: this.basePath, trials: options.trials });
+    return forecaster.forecastEpic(epicId, { byDate: options.byDate });
+  }
+
+  _withForecast(analytics, forecast) {
+    return forecast ? { ...analytics, forecast } : analytics;
+  }
+
   async _loadAllTasks() {
     const epicsDir = path.join(this.basePath, 'epics');
 
@@ -682,6 +699,19 @@ class AnalyticsEngine {
     // Blockers
     lines.push(`Total Blockers,${analytics.blockers.length}`);
 
+    // Forecast
+    if (analytics.forecast) {
+      const { completion, byDate } = analytics.forecast;
+      for (const p of DeliveryForecast.PERCENTILES) {
+        lines.push(`Forecast P${p},${completion ? completion[`p${p}`].date : 'N/A'}`);
+      }
+      if (byDate) {
+        for (const p of DeliveryForecast.PERCENTILES) {
+          lines.push(`Tasks by ${byDate.date} P${p},${byDate[`p${p}`]}`);
+        }
+      }
+    }
+
     return lines.join('\n');
   }
 }
@@ -0,0 +1,400 @@
+/**
+ * Analytics Snapshots
+ *
+ * AnalyticsEngine and `pm status` compute metrics from the current state of
+ * the files, so yesterday's numbers are gone once a task moves. This module
+ * keeps one snapshot per day in `.claude/analytics/snapshots.jsonl` and
+ * compares periods (week over week, sprint over sprint) to spot regressions.
+ *
+ * A snapshot holds:
+ *
+ * - task and issue counts per flow state (StatusHistory.normalizeStatus)
+ * - task completion rate
+ * - velocity: tasks and effort hours completed in the 7 days up to the date
+ * - blocked tasks and issues
+ * - the current sprint (`sprint` in .claude/config.json), for sprint trends
+ *
+ * Capturing twice on the same day replaces that day's snapshot. A snapshot
+ * describes the files as they are now, so past dates cannot be captured.
+ * Lines of the history that do not parse are skipped (and dropped by the
+ * next capture).
+ *
+ * A period's velocity (tasks and hours per week) is the average over its
+ * snapshots; completion rate and blocker count are taken from its last
+ * snapshot. A period regressed when either velocity or the completion rate
+ * fell by more than the threshold (default 10%) or the blocker count grew.
+ *
+ * @example
+ * const AnalyticsSnapshots = require('./lib/analytics-snapshots');
+ *
+ * const snapshots = new AnalyticsSnapshots({ basePath: '.claude' });
+ * await snapshots.capture();
+ *
+ * const trend = await snapshots.trend({ by: 'week', periods: 4 });
+ * console.log(snapshots.render(trend));
+ * console.log(trend.regressions);  // [{ period: 'Week of 2025-03-10', metric: 'velocity', from: 5, to: 3, change: -0.4 }]
+ * // metric: velocity, hoursPerWeek, completionRate or blocked
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const FilterEngine = require('./filter-engine');
+const StatusHistory = require('./status-history');
+const PRDService = require('./services/PRDService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GROUPINGS = ['week', 'sprint'];
+const DEFAULT_THRESHOLD = 0.1;
+const VELOCITY_WINDOW_DAYS = 7;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class AnalyticsSnapshots {
+  /**
+   * Create a new AnalyticsSnapshots instance
+   *
+   * @param {Object} options - Configuration options
+   * @param {string} options.basePath - Base path for file operations (default: '.claude')
+   */
+  constructor(options = {}) {
+    this.basePath = options.basePath || '.claude';
+    this.filePath = path.join(this.basePath, 'analytics', 'snapshots.jsonl');
+    this.prdService = new PRDService();
+  }
+
+  /**
+   * Compute and store today's snapshot
+   *
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.date] - Snapshot date, YYYY-MM-DD (default: today)
+   * @returns {Promise<Object>} Stored snapshot
+   * @throws {Error} If the date is invalid or in the past
+   */
+  async capture(options = {}) {
+    const today = new Date().toISOString().split('T')[0];
+
+    if (options.date !== undefined) {
+      if (!DATE_PATTERN.test(options.date) || isNaN(Date.parse(options.date))) {
+        throw new Error(`Invalid snapshot date: ${options.date}. Use YYYY-MM-DD`);
+      }
+
+      // The current files say nothing about an earlier day
+      if (options.date < today) {
+        throw new Error(`Cannot capture a snapshot for a past date: ${options.date}`);
+      }
+    }
+
+    const snapshot = await this.compute(options);
+
+    const others = (await this.list()).filter(entry => entry.date !== snapshot.date);
+    const lines = [...others, snapshot]
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map(entry => JSON.stringify(entry));
+
+    // Write to a temporary file first so an interrupted capture never truncates the history
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.ensureDir(path.dirname(this.filePath));
+    await fs.writeFile(tmpPath, lines.join('\n') + '\n');
+    await fs.rename(tmpPath, this.filePath);
+
+    return snapshot;
+  }
+
+  /**
+   * Compute a snapshot of the current files without storing it
+   *
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.date] - Snapshot date, YYYY-MM-DD (default: today)
+   * @returns {Promise<Object>} Snapshot: { date, at, sprint, tasks, issues, completionRate, velocity, blocked }
+   */
+  async compute(options = {}) {
+    const date = options.date || new Date().toISOString().split('T')[0];
+    const files = await new FilterEngine({ basePath: this.basePath }).loadAll({ types: ['task', 'issue'] });
+
+    const tasks = files.filter(file => file.type === 'task');
+    const issues = files.filter(file => file.type === 'issue');
+    const taskCounts = this._countStates(tasks);
+    const issueCounts = this._countStates(issues);
+
+    // Tasks completed in the window ending on the snapshot date
+    const windowStart = this._addDays(date, -(VELOCITY_WINDOW_DAYS - 1));
+    const recent = tasks.filter(task => {
+      const completed = this._dayOf(task.frontmatter.completed);
+      return StatusHistory.normalizeStatus(task.frontmatter.status) === 'completed' &&
+        completed && completed >= windowStart && completed <= date;
+    });
+
+    return {
+      date,
+      at: new Date().toISOString(),
+      sprint: await this._currentSprint(),
+      tasks: taskCounts,
+      issues: issueCounts,
+      completionRate: taskCounts.total > 0 ? this._round(taskCounts.completed / taskCounts.total) : 0,
+      velocity: {
+        tasksPerWeek: recent.length,
+        hoursPerWeek: this._round(recent.reduce((sum, task) => sum + this.prdService.effortHours(task.frontmatter), 0))
+      },
+      blocked: taskCounts.blocked + issueCounts.blocked
+    };
+  }
+
+  /**
+   * List stored snapshots, oldest first
+   *
+   * Lines that do not parse as a snapshot are skipped.
+   *
+   * @param {Object} [filters={}] - Filters
+   * @param {string} [filters.since] - First date, YYYY-MM-DD
+   * @param {string} [filters.until] - Last date, YYYY-MM-DD
+   * @returns {Promise<Array<Object>>} Snapshots
+   */
+  async list(filters = {}) {
+    if (!(await fs.pathExists(this.filePath))) {
+      return [];
+    }
+
+    const data = await fs.readFile(this.filePath, 'utf8');
+
+    return data
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => this._parseLine(line))
+      .filter(entry => entry !== null)
+      .filter(entry => (!filters.since || entry.date >= filters.since) && (!filters.until || entry.date <= filters.until))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Compare stored snapshots period over period
+   *
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.by='week'] - 'week' (Monday to Sunday) or 'sprint'
+   * @param {number} [options.periods=4] - Number of most recent periods
+   * @param {number} [options.threshold=0.1] - Relative drop that counts as a regression
+   * @returns {Promise<Object>} Trend: { by, periods, comparisons, regressions }
+   * @throws {Error} On an unknown grouping
+   */
+  async trend(options = {}) {
+    const by = options.by || 'week';
+    const count = options.periods || 4;
+    const threshold = options.threshold !== undefined ? options.threshold : DEFAULT_THRESHOLD;
+
+    if (!GROUPINGS.includes(by)) {
+      throw new Error(`Invalid trend grouping: ${by}. Must be one of: ${GROUPINGS.join(', ')}`);
+    }
+
+    const periods = this._groupSnapshots(await this.list(), by).slice(-count);
+    const comparisons = [];
+
+    for (let i = 1; i < periods.length; i++) {
+      comparisons.push(this._compare(periods[i - 1], periods[i], threshold));
+    }
+
+    return {
+      by,
+      threshold,
+      periods,
+      comparisons,
+      regressions: comparisons.flatMap(comparison => comparison.regressions)
+    };
+  }
+
+  /**
+   * Render a trend as an ASCII table
+   *
+   * @param {Object} trend - Result of trend()
+   * @returns {string} Rendered report
+   */
+  render(trend) {
+    const lines = [`Trends by ${trend.by}`, ''];
+
+    if (trend.periods.length === 0) {
+      lines.push('No snapshots yet. Run `autopm pm status` or `autopm analytics:snapshot` to record one.');
+      return lines.join('\n');
+    }
+
+    const labelWidth = Math.max(6, ...trend.periods.map(period => period.label.length));
+    lines.push(`${'Period'.padEnd(labelWidth)}  ${'Velocity'.padEnd(14)}  ${'Hours'.padEnd(14)}  ${'Completion'.padEnd(14)}  Blocked`);
+
+    trend.periods.forEach((period, index) => {
+      const comparison = index > 0 ? trend.comparisons[index - 1] : null;
+      const delta = (metric, format) => (comparison ? ` ${format(comparison.changes[metric])}` : '');
+
+      const velocity = `${period.velocity}${delta('velocity', change => this._formatRelative(change))}`;
+      const hours = `${period.hoursPerWeek}${delta('hoursPerWeek', change => this._formatRelative(change))}`;
+      const completion = `${Math.round(period.completionRate * 100)}%${delta('completionRate', change => this._formatRelative(change))}`;
+      const blocked = `${period.blocked}${delta('blocked', change => (change > 0 ? `+${change}` : (change < 0 ? String(change) : '')))}`;
+
+      lines.push(`${period.label.padEnd(labelWidth)}  ${velocity.padEnd(14)}  ${hours.padEnd(14)}  ${completion.padEnd(14)}  ${blocked.trim()}`);
+    });
+
+    if (trend.regressions.length > 0) {
+      lines.push('', '⚠ Regressions:');
+      for (const regression of trend.regressions) {
+        lines.push(`  ${regression.period}: ${this.describeRegression(regression)}`);
+      }
+    } else if (trend.comparisons.length > 0) {
+      lines.push('', 'No regressions.');
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * One-line description of a regression
+   *
+   * @param {Object} regression - Entry of trend().regressions
+   * @returns {string} e.g. 'velocity 5 → 3 tasks/week (-40%)'
+   */
+  describeRegression(regression) {
+    if (regression.metric === 'blocked') {
+      return `blockers ${regression.from} → ${regression.to} (+${regression.change})`;
+    }
+
+    const percent = Math.round(regression.change * 100);
+    if (regression.metric === 'completionRate') {
+      return `completion rate ${Math.round(regression.from * 100)}% → ${Math.round(regression.to * 100)}% (${percent}%)`;
+    }
+    if (regression.metric === 'hoursPerWeek') {
+      return `velocity ${regression.from} → ${regression.to} hours/week (${percent}%)`;
+    }
+    return `velocity ${regression.from} → ${regression.to} tasks/week (${percent}%)`;
+  }
+
+  // ============================================================================
+  // Private Helper Methods
+  // ============================================================================
+
+  _parseLine(line) {
+    try {
+      const entry = JSON.parse(line);
+      return entry && typeof entry.date === 'string' && entry.velocity ? entry : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  _countStates(files) {
+    const counts = { total: files.length, pending: 0, in_progress: 0, blocked: 0, completed: 0 };
+
+    for (const file of files) {
+      counts[StatusHistory.normalizeStatus(file.frontmatter.status)]++;
+    }
+
+    return counts;
+  }
+
+  _groupSnapshots(snapshots, by) {
+    const groups = new Map();
+
+    for (const snapshot of snapshots) {
+      const key = by === 'sprint' ? snapshot.sprint : this._weekStart(snapshot.date);
+      if (!key) {
+        continue;
+      }
+
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(snapshot);
+    }
+
+    return [...groups.entries()]
+      .map(([key, entries]) => {
+        const last = entries[entries.length - 1];
+        const velocity = entries.reduce((sum, entry) => sum + entry.velocity.tasksPerWeek, 0) / entries.length;
+        const hours = entries.reduce((sum, entry) => sum + (entry.velocity.hoursPerWeek || 0), 0) / entries.length;
+
+        return {
+          key,
+          label: by === 'sprint' ? key : `Week of ${key}`,
+          start: entries[0].date,
+          end: last.date,
+          snapshots: entries.length,
+          velocity: Math.round(velocity * 10) / 10,
+          hoursPerWeek: Math.round(hours * 10) / 10,
+          completionRate: last.completionRate,
+          blocked: last.blocked
+        };
+      })
+      .sort((a, b) => a.start.localeCompare(b.start));
+  }
+
+  _compare(previous, current, threshold) {
+    const changes = {
+      velocity: this._relativeChange(previous.velocity, current.velocity),
+      hoursPerWeek: this._relativeChange(previous.hoursPerWeek, current.hoursPerWeek),
+      completionRate: this._relativeChange(previous.completionRate, current.completionRate),
+      blocked: current.blocked - previous.blocked
+    };
+
+    const regressions = [];
+    const flag = (metric, change) => regressions.push({
+      period: current.label,
+      metric,
+      from: previous[metric],
+      to: current[metric],
+      change
+    });
+
+    if (changes.velocity !== null && changes.velocity < -threshold) {
+      flag('velocity', changes.velocity);
+    }
+    if (changes.hoursPerWeek !== null && changes.hoursPerWeek < -threshold) {
+      flag('hoursPerWeek', changes.hoursPerWeek);
+    }
+    if (changes.completionRate !== null && changes.completionRate < -threshold) {
+      flag('completionRate', changes.completionRate);
+    }
+    if (changes.blocked > 0) {
+      flag('blocked', changes.blocked);
+    }
+
+    return { from: previous.key, to: current.key, changes, regressions };
+  }
+
+  _relativeChange(from, to) {
+    if (from === 0) {
+      return to === 0 ? 0 : null;
+    }
+    return this._round((to - from) / from);
+  }
+
+  _formatRelative(change) {
+    if (change === null || change === 0) {
+      return '';
+    }
+    return `${change > 0 ? '↑' : '↓'}${Math.round(Math.abs(change) * 100)}%`;
+  }
+
+  async _currentSprint() {
+    try {
+      const config = await fs.readJSON(path.join(this.basePath, 'config.json'));
+      return config.sprint || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  _weekStart(date) {
+    const day = new Date(`${date}T00:00:00.000Z`).getUTCDay();
+    return this._addDays(date, -((day + 6) % 7));
+  }
+
+  _addDays(date, days) {
+    return new Date(Date.parse(`${date}T00:00:00.000Z`) + days * DAY_MS).toISOString().split('T')[0];
+  }
+
+  _dayOf(value) {
+    if (!value) {
+      return null;
+    }
+    return typeof value === 'string' ? value.slice(0, 10) : new Date(value).toISOString().split('T')[0];
+  }
+
+  _round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = AnalyticsSnapshots;
@@ -1,16 +1,43 @@
 /**
- * Batch Processor for GitHub Sync Operations
+ * Batch Processor for Issue Tracker Sync Operations
  *
- * Handles batch uploading of PRDs, Epics, and Tasks to GitHub with:
+ * Runs many tracker operations with:
  * - Parallel processing with concurrency control
- * - Rate limiting and exponential backoff
- * - Progress tracking
+ * - Per-provider rate policies and exponential backoff (honours Retry-After)
+ * - Progress events and a machine-readable report
  * - Error recovery
  * - Dry run mode
  *
+ * Two entry points:
+ * - run(): provider-neutral bulk create/update/close/label operations
+ *   against any IssueTrackerProvider (GitHub, Azure DevOps, ...)
+ * - batchUpload(): GitHub upload of local files with a custom sync function
+ *
+ * Events (BatchProcessor is an EventEmitter):
+ * - 'start': { provider, total, dryRun }
+ * - 'progress': { completed, total, entry } - entry is the report entry of the finished operation
+ * - 'complete': the final report
+ *
  * @example
  * const BatchProcessor = require('./lib/batch-processor');
  *
+ * const processor = new BatchProcessor({ maxConcurrent: 5 });
+ * processor.on('progress', ({ completed, total, entry }) => {
+ *   console.log(`[${completed}/${total}] ${entry.action} ${entry.id || ''} ${entry.status}`);
+ * });
+ *
+ * const report = await processor.run({
+ *   provider: azureProvider,
+ *   operations: [
+ *     { action: 'create', item: { title: 'Login form', type: 'issue' } },
+ *     { action: 'update', id: 42, item: { status: 'in-progress' } },
+ *     { action: 'close', id: 43, comment: 'Done in #44' },
+ *     { action: 'label', id: 44, add: ['backend'], remove: ['triage'] }
+ *   ]
+ * });
+ * // report: { provider, total, succeeded, failed, operations: [{ index, action, id, status, ... }], ... }
+ *
+ * @example
  * const processor = new BatchProcessor({
  *   maxConcurrent: 10,
  *   rateLimit: {
@@ -33,19 +60,40 @@
  * });
  */
 
-class BatchProcessor {
+const EventEmitter = require('events');
+const IssueTrackerProvider = require('./providers/IssueTrackerProvider');
+
+/**
+ * Rate policies per provider name
+ *
+ * GitHub allows 5,000 REST requests per hour. Azure DevOps throttles at
+ * 200 TSTUs per five-minute window and answers 429 or 503 with Retry-After.
+ */
+const RATE_POLICIES = {
+  github: { requestsPerHour: 5000, threshold: 10, retryDelay: 1000, maxRetries: 3, retryStatuses: [429] },
+  azure: { requestsPerHour: 2400, threshold: 20, retryDelay: 2000, maxRetries: 5, retryStatuses: [429, 503] },
+  default: { requestsPerHour: 1000, threshold: 10, retryDelay: 1000, maxRetries: 3, retryStatuses: [429] }
+};
+
+const OPERATION_ACTIONS = ['create', 'update', 'close', 'label'];
+
+class BatchProcessor extends EventEmitter {
   /**
    * Create a new BatchProcessor instance
    *
    * @param {Object} options - Configuration options
-   * @param {number} options.maxConcurrent - Maximum concurrent uploads (default: 10)
-   * @param {Object} options.rateLimit - Rate limiting configuration
-   * @param {number} options.rateLimit.requestsPerHour - GitHub API rate limit (default: 5000)
-   * @param {number} options.rateLimit.retryDelay - Initial retry delay in ms (default: 1000)
-   * @param {number} options.rateLimit.maxRetries - Maximum retry attempts (default: 3)
-   * @param {number} options.rateLimit.threshold - Remaining requests threshold to trigger wait (default: 10)
+   * @param {number} options.maxConcurrent - Maximum concurrent operations (default: 10)
+   * @param {string} options.provider - Provider whose policy backs `rateLimit` (default: 'github')
+   * @param {Object} options.rateLimit - Overrides applied on top of every provider's rate policy
+   * @param {number} options.rateLimit.requestsPerHour - API rate limit (github: 5000)
+   * @param {number} options.rateLimit.retryDelay - Initial retry delay in ms (github: 1000)
+   * @param {number} options.rateLimit.maxRetries - Maximum retry attempts (github: 3)
+   * @param {number} options.rateLimit.threshold - Remaining requests threshold to trigger wait (github: 10)
+   * @param {Array<number>} options.rateLimit.retryStatuses - HTTP statuses that are retried (github: [429])
    */
   constructor(options = {}) {
+    super();
+
     // Validate configuration
     if (options.maxConcurrent !== undefined) {
       if (typeof options.maxConcurrent !== 'number' || options.maxConcurrent <= 0) {
@@ -54,14 +102,143 @@ class BatchProcessor {
     }
 
     this.maxConcurrent = options.maxConcurrent || 10;
-    this.rateLimit = {
-      requestsPerHour: options.rateLimit?.requestsPerHour || 5000,
-      retryDelay: options.rateLimit?.retryDelay || 1000,
-      maxRetries: options.rateLimit?.maxRetries || 3,
-      threshold: options.rateLimit?.threshold || 10,
-      remaining: options.rateLimit?.requestsPerHour || 5000,
-      resetTime: Math.floor(Date.now() / 1000) + 3600
+    this.rateLimitOverrides = options.rateLimit || {};
+    this.rateLimits = new Map();
+    this.rateLimit = this.getRateLimit(options.provider || 'github');
+  }
+
+  /**
+   * Get the rate limit state of a provider, created from its policy
+   *
+   * Each provider keeps its own remaining budget, so one processor can
+   * drive GitHub and Azure DevOps without one throttling the other.
+   *
+   * @param {string} providerName - Provider name ('github', 'azure', ...)
+   * @returns {Object} Rate limit state
+   */
+  getRateLimit(providerName) {
+    if (!this.rateLimits.has(providerName)) {
+      const policy = { ...(RATE_POLICIES[providerName] || RATE_POLICIES.default), ...this.rateLimitOverrides };
+
+      this.rateLimits.set(providerName, {
+        provider: providerName,
+        requestsPerHour: policy.requestsPerHour,
+        retryDelay: policy.retryDelay,
+        maxRetries: policy.maxRetries,
+        threshold: policy.threshold,
+        retryStatuses: policy.retryStatuses,
+        remaining: policy.requestsPerHour,
+        resetTime: Math.floor(Date.now() / 1000) + 3600
+      });
+    }
+
+    return this.rateLimits.get(providerName);
+  }
+
+  /**
+   * Run tracker operations against any provider
+   *
+   * Operations (`key` is optional and copied to the report):
+   * - { action: 'create', item }
+   * - { action: 'update', id, item }
+   * - { action: 'close', id, comment? }
+   * - { action: 'label', id, add?, remove? }
+   *
+   * Operations run concurrently, so operations on the same item are not
+   * ordered unless maxConcurrent is 1. Failures never stop the batch; each
+   * one is recorded in the report.
+   *
+   * @param {Object} params - Run parameters
+   * @param {IssueTrackerProvider} params.provider - Target provider
+   * @param {Array<Object>} params.operations - Operations to run
+   * @param {boolean} params.dryRun - Validate and report without calling the provider
+   * @param {Function} params.onProgress - Progress callback ({ completed, total, entry })
+   * @returns {Promise<Object>} Report: { provider, dryRun, total, succeeded, failed, planned, duration, operations, rateLimit }
+   * @throws {Error} If the provider does not implement the contract
+   */
+  async run({ provider, operations, dryRun = false, onProgress = null }) {
+    if (!IssueTrackerProvider.implementsContract(provider)) {
+      throw new Error('Provider does not implement the IssueTrackerProvider contract');
+    }
+
+    const name = provider.getName();
+    const rateLimit = this.getRateLimit(name);
+    const startTime = Date.now();
+    const report = {
+      provider: name,
+      dryRun,
+      total: operations.length,
+      succeeded: 0,
+      failed: 0,
+      planned: 0,
+      duration: 0,
+      operations: new Array(operations.length),
+      rateLimit: null
+    };
+    let completed = 0;
+
+    this.emit('start', { provider: name, total: operations.length, dryRun });
+
+    await this._runPool(operations, async (operation, index) => {
+      const entry = {
+        index,
+        key: operation.key !== undefined ? operation.key : null,
+        action: operation.action,
+        id: operation.id !== undefined && operation.id !== null ? String(operation.id) : null,
+        status: null,
+        attempts: 0,
+        result: null,
+        error: null
+      };
+
+      try {
+        this._validateOperation(operation);
+
+        if (dryRun) {
+          entry.status = 'planned';
+          report.planned++;
+        } else {
+          if (this.shouldWaitForRateLimit(rateLimit)) {
+            await this.waitForRateLimit(rateLimit);
+          }
+
+          const result = await this._executeWithRetry(rateLimit, async () => {
+            entry.attempts++;
+            return await this._performOperation(provider, operation, rateLimit);
+          });
+
+          entry.status = 'succeeded';
+          entry.result = result || null;
+          if (result && result.id !== undefined) {
+            entry.id = String(result.id);
+          }
+          report.succeeded++;
+        }
+      } catch (error) {
+        entry.status = 'failed';
+        entry.error = error.message || String(error);
+        report.failed++;
+      }
+
+      report.operations[index] = entry;
+      completed++;
+
+      const progress = { completed, total: operations.length, entry };
+      this.emit('progress', progress);
+      if (onProgress) {
+        onProgress(progress);
+      }
+    });
+
+    report.duration = Date.now() - startTime;
+    report.rateLimit = {
+      remaining: rateLimit.remaining,
+      reset: rateLimit.resetTime
     };
+
+    this.emit('complete', report);
+
+    return report;
   }
 
   /**
@@ -106,18 +283,9 @@ class BatchProcessor {
     }
 
     // Process items with concurrency control
-    const processingQueue = [];
-    let currentIndex = 0;
     let completedCount = 0;
 
-    const processNextItem = async () => {
-      if (currentIndex >= items.length) {
-        return;
-      }
-
-      const item = items[currentIndex];
-      currentIndex++;
-
+    await this._runPool(items, async (item) => {
       try {
         // Check rate limit before processing
         if (this.shouldWaitForRateLimit()) {
@@ -148,20 +316,8 @@ class BatchProcessor {
         if (onProgress) {
           onProgress(completedCount, items.length, item);
         }
-
-        // Process next item
-        await processNextItem();
       }
-    };
-
-    // Start initial batch of workers
-    const workerCount = Math.min(this.maxConcurrent, items.length);
-    for (let i = 0; i < workerCount; i++) {
-      processingQueue.push(processNextItem());
-    }
-
-    // Wait for all workers to complete
-    await Promise.all(processingQueue);
+    });
 
     // Calculate final duration
     results.duration = Date.now() - startTime;
@@ -187,92 +343,237 @@ class BatchProcessor {
    * @returns {Promise<Object>} Sync result
    */
   async executeWithRetry(syncFn, item, repo, octokit, syncMap, dryRun) {
-    let lastError = null;
-
-    for (let attempt = 1; attempt <= this.rateLimit.maxRetries; attempt++) {
-      try {
-        const result = await syncFn(item, repo, octokit, syncMap, dryRun);
-        return result;
-      } catch (error) {
-        lastError = error;
-
-        // Check if it's a rate limit error
-        if (error.status === 429) {
-          // Update rate limit from error response if available
-          if (error.response?.headers) {
-            this.updateRateLimit(error.response.headers);
-          }
-
-          // Calculate backoff delay for this attempt
-          const backoffDelay = this.calculateBackoffDelay(attempt);
-
-          // Wait before retrying
-          await new Promise(resolve => setTimeout(resolve, backoffDelay));
-
-          // Continue to next retry attempt
-          continue;
-        }
-
-        // For non-rate-limit errors, throw immediately
-        throw error;
-      }
-    }
-
-    // If we exhausted all retries, throw the last error
-    throw lastError;
+    return await this._executeWithRetry(this.rateLimit, () => syncFn(item, repo, octokit, syncMap, dryRun));
   }
 
   /**
    * Calculate exponential backoff delay
    *
    * @param {number} attempt - Current attempt number (1-based)
+   * @param {Object} rateLimit - Rate limit state (default: this.rateLimit)
    * @returns {number} Delay in milliseconds
    */
-  calculateBackoffDelay(attempt) {
+  calculateBackoffDelay(attempt, rateLimit = this.rateLimit) {
     // Exponential backoff: delay * (2 ^ (attempt - 1))
-    return this.rateLimit.retryDelay * Math.pow(2, attempt - 1);
+    return rateLimit.retryDelay * Math.pow(2, attempt - 1);
   }
 
   /**
    * Update rate limit information from response headers
    *
+   * GitHub and Azure DevOps both send X-RateLimit-Remaining / X-RateLimit-Reset.
+   *
    * @param {Object} headers - Response headers
+   * @param {Object} rateLimit - Rate limit state (default: this.rateLimit)
    */
-  updateRateLimit(headers) {
+  updateRateLimit(headers, rateLimit = this.rateLimit) {
     if (headers['x-ratelimit-remaining']) {
-      this.rateLimit.remaining = parseInt(headers['x-ratelimit-remaining'], 10);
+      rateLimit.remaining = parseInt(headers['x-ratelimit-remaining'], 10);
     }
 
     if (headers['x-ratelimit-reset']) {
-      this.rateLimit.resetTime = parseInt(headers['x-ratelimit-reset'], 10);
+      rateLimit.resetTime = parseInt(headers['x-ratelimit-reset'], 10);
     }
   }
 
   /**
    * Check if we should wait for rate limit to reset
    *
+   * @param {Object} rateLimit - Rate limit state (default: this.rateLimit)
    * @returns {boolean} True if should wait
    */
-  shouldWaitForRateLimit() {
-    return this.rateLimit.remaining <= this.rateLimit.threshold;
+  shouldWaitForRateLimit(rateLimit = this.rateLimit) {
+    return rateLimit.remaining <= rateLimit.threshold;
   }
 
   /**
    * Wait for rate limit to reset
    *
+   * @param {Object} rateLimit - Rate limit state (default: this.rateLimit)
    * @returns {Promise<void>}
    */
-  async waitForRateLimit() {
+  async waitForRateLimit(rateLimit = this.rateLimit) {
     const now = Math.floor(Date.now() / 1000);
-    const waitSeconds = Math.max(0, this.rateLimit.resetTime - now);
+    const waitSeconds = Math.max(0, rateLimit.resetTime - now);
 
     if (waitSeconds > 0) {
       await new Promise(resolve => setTimeout(resolve, waitSeconds * 1000));
     }
 
     // Reset to full limit after waiting
-    this.rateLimit.remaining = this.rateLimit.requestsPerHour;
+    rateLimit.remaining = rateLimit.requestsPerHour;
+    rateLimit.resetTime = Math.floor(Date.now() / 1000) + 3600;
+  }
+
+  /**
+   * Run a handler over items with at most maxConcurrent in flight
+   *
+   * @private
+   * @param {Array} items - Items to process
+   * @param {Function} handler - async (item, index) => void; must not throw
+   * @returns {Promise<void>}
+   */
+  async _runPool(items, handler) {
+    let nextIndex = 0;
+
+    const worker = async () => {
+      while (nextIndex < items.length) {
+        const index = nextIndex++;
+        await handler(items[index], index);
+      }
+    };
+
+    const workerCount = Math.min(this.maxConcurrent, items.length);
+    const workers = [];
+    for (let i = 0; i < workerCount; i++) {
+      workers.push(worker());
+    }
+
+    await Promise.all(workers);
+  }
+
+  /**
+   * Call a function, retrying on the policy's retry statuses
+   *
+   * Waits for Retry-After when the provider sends it, otherwise backs off
+   * exponentially.
+   *
+   * @private
+   * @param {Object} rateLimit - Rate limit state
+   * @param {Function} fn - async () => result
+   * @returns {Promise<*>} Result of fn
+   * @throws {Error} Non-retryable errors immediately, the last error once retries are exhausted
+   */
+  async _executeWithRetry(rateLimit, fn) {
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= rateLimit.maxRetries; attempt++) {
+      try {
+        return await fn();
+      } catch (error) {
+        lastError = error;
+
+        const status = error.status || error.statusCode || error.response?.status;
+        if (!rateLimit.retryStatuses.includes(status)) {
+          throw error;
+        }
+
+        const headers = error.response?.headers;
+        if (headers) {
+          this.updateRateLimit(headers, rateLimit);
+        }
+
+        const retryAfter = this._parseRetryAfter(headers);
+        const delay = retryAfter !== null ? retryAfter : this.calculateBackoffDelay(attempt, rateLimit);
+
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Read a Retry-After header (seconds or HTTP date)
+   *
+   * @private
+   * @param {Object} headers - Response headers
+   * @returns {number|null} Delay in milliseconds, or null if absent
+   */
+  _parseRetryAfter(headers) {
+    const value = headers && headers['retry-after'];
+
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Count requests against the local budget
+   *
+   * @private
+   * @param {Object} rateLimit - Rate limit state
+   * @param {number} count - Number of requests
+   */
+  _consumeRequests(rateLimit, count = 1) {
+    if (Math.floor(Date.now() / 1000) >= rateLimit.resetTime) {
+      rateLimit.remaining = rateLimit.requestsPerHour;
+      rateLimit.resetTime = Math.floor(Date.now() / 1000) + 3600;
+    }
+
+    rateLimit.remaining = Math.max(0, rateLimit.remaining - count);
+  }
+
+  /**
+   * Validate a batch operation
+   *
+   * @private
+   * @param {Object} operation - Operation
+   * @throws {Error} If the action is unknown or required fields are missing
+   */
+  _validateOperation(operation) {
+    if (!OPERATION_ACTIONS.includes(operation.action)) {
+      throw new Error(`Invalid batch action: ${operation.action}. Must be one of: ${OPERATION_ACTIONS.join(', ')}`);
+    }
+
+    if (operation.action !== 'create' && (operation.id === undefined || operation.id === null)) {
+      throw new Error(`${operation.action} operation requires id`);
+    }
+
+    if ((operation.action === 'create' || operation.action === 'update') && !operation.item) {
+      throw new Error(`${operation.action} operation requires item`);
+    }
+
+    if (operation.action === 'label' && !(operation.add || []).length && !(operation.remove || []).length) {
+      throw new Error('label operation requires add or remove');
+    }
+  }
+
+  /**
+   * Perform one operation through the provider contract
+   *
+   * @private
+   * @param {IssueTrackerProvider} provider - Target provider
+   * @param {Object} operation - Validated operation
+   * @param {Object} rateLimit - Rate limit state
+   * @returns {Promise<Object>} Resulting TrackerItem
+   */
+  async _performOperation(provider, operation, rateLimit) {
+    switch (operation.action) {
+      case 'create':
+        this._consumeRequests(rateLimit);
+        return await provider.createItem(operation.item);
+
+      case 'update':
+        this._consumeRequests(rateLimit);
+        return await provider.updateItem(operation.id, operation.item);
+
+      case 'close':
+        this._consumeRequests(rateLimit, operation.comment ? 2 : 1);
+        return await provider.closeItem(operation.id, operation.comment);
+
+      case 'label': {
+        // Read-modify-write: providers replace the whole label set on update
+        this._consumeRequests(rateLimit, 2);
+        const current = await provider.getItem(operation.id);
+        const remove = new Set(operation.remove || []);
+        const labels = [...new Set([...(current.labels || []), ...(operation.add || [])])]
+          .filter(label => !remove.has(label));
+
+        return await provider.updateItem(operation.id, { labels });
+      }
+    }
   }
 }
 
+BatchProcessor.RATE_POLICIES = RATE_POLICIES;
+
 module.exports = BatchProcessor;
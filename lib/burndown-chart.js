@@ -14,6 +14,19 @@
  * console.log(rendered);
  * ```
  *
+ * @example Effort-Weighted Burnup
+ * ```javascript
+ * // Weighted by effort hours (PRDService.parseEffort) with a scope line for
+ * // tasks added after the epic started
+ * const rendered = await chart.generate('epic-001', { unit: 'hours', mode: 'burnup' });
+ * ```
+ *
+ * @example Sprint Burndown
+ * ```javascript
+ * // Sprint start to end, including work carried over or added mid-sprint
+ * const rendered = await chart.generateSprint('sprint-12', { unit: 'points' });
+ * ```
+ *
  * @example Custom Rendering
  * ```javascript
  * const chart = new BurndownChart({ width: 80, height: 20 });
@@ -35,8 +48,14 @@
  */
 
 const FilterEngine = require('./filter-engine');
+const PRDService = require('./services/PRDService');
+const SprintService = require('./services/SprintService');
 const path = require('path');
 
+const UNITS = ['tasks', 'hours', 'points'];
+const MODES = ['burndown', 'burnup'];
+const UNIT_LABELS = { tasks: 'tasks', hours: 'hours', points: 'points' };
+
 class BurndownChart {
   /**
    * Create BurndownChart instance
@@ -48,6 +67,7 @@ class BurndownChart {
   constructor(options = {}) {
     this.width = options.width || 60;
     this.height = options.height || 15;
+    this.prdService = new PRDService();
   }
 
   /**
@@ -58,7 +78,10 @@ class BurndownChart {
    * @param {string} options.basePath - Base path (default: '.claude')
    * @param {string} options.startDate - Start date (YYYY-MM-DD, default: epic created date)
    * @param {number} options.days - Number of days (default: 30)
+   * @param {string} options.unit - Weight tasks by 'tasks', effort 'hours' or story 'points' (default: 'tasks')
+   * @param {string} options.mode - 'burndown' (remaining work) or 'burnup' (completed work) (default: 'burndown')
    * @returns {Promise<string>} - Rendered ASCII chart
+   * @throws {Error} - On an unknown unit or mode
    *
    * @example
    * const chart = await generator.generate('epic-001');
@@ -67,6 +90,7 @@ class BurndownChart {
   async generate(epicId, options = {}) {
     const basePath = options.basePath || '.claude';
     const filterEngine = new FilterEngine({ basePath });
+    this._validateOptions(options);
 
     // Load epic and tasks
     const epicDir = path.join(basePath, 'epics', epicId);
@@ -74,9 +98,10 @@ class BurndownChart {
 
     const epicFile = tasks.find(t => t.path.endsWith('epic.md'));
     const taskFiles = tasks.filter(t => t.frontmatter.id && t.frontmatter.id !== epicId);
+    const epicTitle = epicFile ? epicFile.frontmatter.title : epicId;
 
     if (taskFiles.length === 0) {
-      return this._renderEmptyChart(epicId, epicFile);
+      return this._renderEmptyChart(epicId, epicTitle);
     }
 
     // Determine date range
@@ -88,29 +113,112 @@ class BurndownChart {
       startDate = this._formatDate(new Date());
     }
 
-    const days = options.days || 30;
+    return this._renderForTasks(taskFiles, startDate, options.days || 30, {
+      ...options,
+      id: epicId,
+      title: epicTitle
+    });
+  }
 
-    // Calculate burndown data
-    const ideal = this.calculateIdealBurndown(taskFiles.length, days);
-    const actual = this.calculateActualBurndown(taskFiles, startDate, days);
+  /**
+   * Generate burndown chart for a sprint
+   *
+   * Covers the sprint from its first to its last day. Work comes from the
+   * sprint's scope (SprintService) rather than each task's epic, and items
+   * added after the start count from the day they were added, so the scope
+   * line shows work pulled into the sprint.
+   *
+   * @param {string} sprintName - Sprint name
+   * @param {Object} options - Options
+   * @param {string} options.basePath - Base path (default: '.claude')
+   * @param {string} options.unit - Weight tasks by 'tasks', effort 'hours' or story 'points' (default: 'tasks')
+   * @param {string} options.mode - 'burndown' (remaining work) or 'burnup' (completed work) (default: 'burndown')
+   * @returns {Promise<string>} - Rendered ASCII chart
+   * @throws {Error} - If the sprint does not exist, or on an unknown unit or mode
+   *
+   * @example
+   * const chart = await generator.generateSprint('sprint-12', { unit: 'hours' });
+   */
+  async generateSprint(sprintName, options = {}) {
+    const basePath = options.basePath || '.claude';
+    this._validateOptions(options);
 
-    // Calculate velocity
-    const velocity = this._calculateVelocity(taskFiles, startDate, days);
+    const sprintService = new SprintService({ basePath });
+    const sprint = await sprintService.get(sprintName);
+    const scope = await sprintService.getScope(sprintName);
+    const title = sprint.goal || sprintName;
 
-    // Calculate estimated completion
-    const estimatedCompletion = this._estimateCompletion(taskFiles, velocity, startDate);
+    if (scope.length === 0) {
+      return this._renderEmptyChart(sprintName, title, 'Sprint');
+    }
 
-    // Render chart
-    return this.renderChart(ideal, actual, {
-      epicId,
-      epicTitle: epicFile ? epicFile.frontmatter.title : epicId,
-      startDate,
-      endDate: this._addDays(startDate, days),
-      velocity,
-      estimatedCompletion
+    const addedAt = new Map();
+    for (const change of sprint.changes || []) {
+      if (change.action !== 'removed') {
+        addedAt.set(change.ref, change.at);
+      }
+    }
+
+    // Committed work counts from the start, later additions from their day
+    const taskFiles = scope.map(item => {
+      const frontmatter = { ...item.frontmatter };
+      delete frontmatter.created;
+
+      if (addedAt.has(item.ref) && !sprint.committed.includes(item.ref)) {
+        frontmatter.created = this._dayOf(addedAt.get(item.ref));
+      }
+
+      return { ...item, frontmatter };
+    });
+
+    const days = Math.round((Date.parse(sprint.end) - Date.parse(sprint.start)) / (24 * 60 * 60 * 1000));
+
+    return this._renderForTasks(taskFiles, sprint.start, Math.max(days, 1), {
+      ...options,
+      id: sprintName,
+      title,
+      kind: 'Sprint'
     });
   }
 
+  /**
+   * Weight of one task in a unit
+   *
+   * - tasks: 1
+   * - hours: `effort` via PRDService.parseEffort ('2d' = 16), or `estimated_hours`;
+   *   tasks without an estimate count as PRDService's default effort
+   * - points: `story_points` or `points`; unestimated tasks count as 0
+   *
+   * @param {Object} task - Task file or plain task object
+   * @param {string} unit - 'tasks', 'hours' or 'points' (default: 'tasks')
+   * @returns {number} - Weight
+   */
+  getTaskWeight(task, unit = 'tasks') {
+    const data = task.frontmatter || task;
+
+    if (unit === 'hours') {
+      return this.prdService.effortHours(data);
+    }
+
+    if (unit === 'points') {
+      const points = data.story_points !== undefined ? data.story_points : data.points;
+      return parseFloat(points) || 0;
+    }
+
+    return 1;
+  }
+
+  /**
+   * Total weight of tasks in a unit
+   *
+   * @param {Array} tasks - Task files with frontmatter
+   * @param {string} unit - 'tasks', 'hours' or 'points' (default: 'tasks')
+   * @returns {number} - Total weight
+   */
+  calculateTotalWeight(tasks, unit = 'tasks') {
+    return this._round(tasks.reduce((sum, task) => sum + this.getTaskWeight(task, unit), 0));
+  }
+
   /**
    * Calculate ideal burndown line
    *
@@ -134,54 +242,119 @@ class BurndownChart {
     return ideal;
   }
 
+  /**
+   * Calculate ideal burnup line
+   *
+   * @param {number} total - Total work (tasks, hours or points)
+   * @param {number} days - Number of days
+   * @returns {Array<number>} - Ideal burnup values, from 0 to total
+   *
+   * @example
+   * const ideal = chart.calculateIdealBurnup(40, 4);
+   * // Returns: [0, 10, 20, 30, 40]
+   */
+  calculateIdealBurnup(total, days) {
+    return this.calculateIdealBurndown(total, days).map(remaining => this._round(total - remaining));
+  }
+
   /**
    * Calculate actual burndown from task completion
    *
+   * Remaining work is the scope on that day minus the work completed before
+   * it, so tasks added mid-epic raise the line on the day they were created.
+   *
    * @param {Array} tasks - Task files with frontmatter
    * @param {string} startDate - Start date (YYYY-MM-DD)
    * @param {number} days - Number of days
+   * @param {Object} options - Options
+   * @param {string} options.unit - 'tasks', 'hours' or 'points' (default: 'tasks')
    * @returns {Array<number>} - Actual burndown values
    *
    * @example
    * const actual = chart.calculateActualBurndown(tasks, '2025-10-01', 30);
    * // Returns: [25, 24, 22, ..., 3]
    */
-  calculateActualBurndown(tasks, startDate, days) {
-    const actual = [];
-    const total = tasks.length;
-
-    const startDateObj = new Date(startDate);
+  calculateActualBurndown(tasks, startDate, days, options = {}) {
+    const scope = this.calculateScope(tasks, startDate, days, options);
+    const completed = this.calculateActualBurnup(tasks, startDate, days, options);
 
-    for (let i = 0; i <= days; i++) {
-      const currentDate = new Date(startDateObj);
-      currentDate.setDate(currentDate.getDate() + i);
-      const currentDateStr = this._formatDate(currentDate);
+    return scope.map((total, i) => this._round(Math.max(0, total - completed[i])));
+  }
 
-      // Count tasks completed BEFORE this date (not including current day)
-      const completedCount = tasks.filter(t => {
+  /**
+   * Calculate actual burnup: work completed before each day
+   *
+   * @param {Array} tasks - Task files with frontmatter
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {number} days - Number of days
+   * @param {Object} options - Options
+   * @param {string} options.unit - 'tasks', 'hours' or 'points' (default: 'tasks')
+   * @returns {Array<number>} - Completed work per day
+   *
+   * @example
+   * const done = chart.calculateActualBurnup(tasks, '2025-10-01', 30, { unit: 'hours' });
+   * // Returns: [0, 4, 20, ..., 120]
+   */
+  calculateActualBurnup(tasks, startDate, days, options = {}) {
+    return this._dailyDates(startDate, days).map(currentDateStr => {
+      // Count work completed BEFORE this date (not including current day)
+      const done = tasks.reduce((sum, t) => {
         // Support both frontmatter and direct object formats
         const status = t.frontmatter ? t.frontmatter.status : t.status;
         const completed = t.frontmatter ? t.frontmatter.completed : t.completed;
 
-        if (status !== 'completed' || !completed) {
-          return false;
+        if (status !== 'completed' || !completed || !(completed < currentDateStr)) {
+          return sum;
         }
-        return completed < currentDateStr;
-      }).length;
+        return sum + this.getTaskWeight(t, options.unit);
+      }, 0);
 
-      const remaining = total - completedCount;
-      actual.push(remaining);
-    }
+      return this._round(done);
+    });
+  }
+
+  /**
+   * Calculate scope: work that existed on each day
+   *
+   * Tasks count from their `created` date; tasks without one count from the
+   * start.
+   *
+   * @param {Array} tasks - Task files with frontmatter
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {number} days - Number of days
+   * @param {Object} options - Options
+   * @param {string} options.unit - 'tasks', 'hours' or 'points' (default: 'tasks')
+   * @returns {Array<number>} - Scope per day
+   *
+   * @example
+   * const scope = chart.calculateScope(tasks, '2025-10-01', 30);
+   * // Returns: [20, 20, 23, ..., 25] - 5 tasks added along the way
+   */
+  calculateScope(tasks, startDate, days, options = {}) {
+    return this._dailyDates(startDate, days).map(currentDateStr => {
+      const total = tasks.reduce((sum, t) => {
+        const created = t.frontmatter ? t.frontmatter.created : t.created;
 
-    return actual;
+        if (created && this._dayOf(created) > currentDateStr) {
+          return sum;
+        }
+        return sum + this.getTaskWeight(t, options.unit);
+      }, 0);
+
+      return this._round(total);
+    });
   }
 
   /**
    * Render ASCII chart
    *
-   * @param {Array<number>} ideal - Ideal burndown values
-   * @param {Array<number>} actual - Actual burndown values
+   * @param {Array<number>} ideal - Ideal burndown (or burnup) values
+   * @param {Array<number>} actual - Actual burndown (or burnup) values
    * @param {Object} metadata - Chart metadata
+   * @param {string} metadata.mode - 'burndown' or 'burnup' (default: 'burndown')
+   * @param {string} metadata.unit - 'tasks', 'hours' or 'points' (default: 'tasks')
+   * @param {Array<number>} metadata.scope - Scope per day, drawn as a separate line (optional)
+   * @param {string} metadata.kind - Title prefix, 'Epic' or 'Sprint' (default: 'Epic')
    * @returns {string} - Rendered ASCII chart
    *
    * @example
@@ -195,13 +368,20 @@ class BurndownChart {
   renderChart(ideal, actual, metadata) {
     const lines = [];
 
+    const burnup = metadata.mode === 'burnup';
+    const unit = metadata.unit || 'tasks';
+    const scope = metadata.scope || null;
+    const actualChar = burnup ? '╱' : '╲';
+
     // Title
-    lines.push(`Epic: ${metadata.epicTitle} (${metadata.epicId})`);
-    lines.push(`Burndown Chart - ${this._formatDateForDisplay(metadata.startDate)} to ${this._formatDateForDisplay(metadata.endDate)}`);
+    const chartName = burnup ? 'Burnup Chart' : 'Burndown Chart';
+    const unitSuffix = unit === 'tasks' ? '' : ` (${UNIT_LABELS[unit]})`;
+    lines.push(`${metadata.kind || 'Epic'}: ${metadata.epicTitle} (${metadata.epicId})`);
+    lines.push(`${chartName}${unitSuffix} - ${this._formatDateForDisplay(metadata.startDate)} to ${this._formatDateForDisplay(metadata.endDate)}`);
     lines.push('');
 
     // Find max value for scaling
-    const maxValue = Math.max(...ideal, ...actual, 1);
+    const maxValue = Math.max(...ideal, ...actual, ...(scope || []), 1);
 
     // Generate chart lines
     const chartHeight = this.height;
@@ -237,17 +417,22 @@ class BurndownChart {
 
         const idealY = Math.round((chartHeight - 1) * (1 - idealValue / maxValue));
         const actualY = Math.round((chartHeight - 1) * (1 - actualValue / maxValue));
+        const scopeY = scope && scope[dataIndex] !== undefined
+          ? Math.round((chartHeight - 1) * (1 - scope[dataIndex] / maxValue))
+          : null;
 
         if (row === idealY && row === actualY) {
           line += '●'; // Both lines at same point
+        } else if (row === actualY) {
+          line += actualChar; // Actual line
+        } else if (row === scopeY) {
+          line += '┈'; // Scope line
         } else if (row === idealY) {
           line += '━'; // Ideal line
-        } else if (row === actualY) {
-          line += '╲'; // Actual line
         } else if (row > idealY && row <= actualY && actualValue > idealValue) {
-          line += '╲'; // Filling actual line when behind
+          line += actualChar; // Filling actual line below the ideal
         } else if (row <= idealY && row > actualY && actualValue < idealValue) {
-          line += '╲'; // Filling actual line when ahead
+          line += actualChar; // Filling actual line above the ideal
         } else {
           line += ' ';
         }
@@ -270,15 +455,23 @@ class BurndownChart {
     lines.push('');
 
     // Legend
-    lines.push('Legend: ━━━ Ideal  ╲╲╲ Actual');
+    lines.push(`Legend: ━━━ Ideal  ${actualChar.repeat(3)} Actual${scope ? '  ┈┈┈ Scope' : ''}`);
     lines.push('');
 
-    // Status
-    const status = this._calculateStatus(ideal, actual);
+    // Status - a burnup is ahead when it is above the ideal, so compare remaining work
+    const total = ideal[ideal.length - 1];
+    const status = burnup
+      ? this._calculateStatus(ideal.map(v => total - v), actual.map(v => total - v))
+      : this._calculateStatus(ideal, actual);
     lines.push(`Status: ${status.text}`);
 
+    if (scope) {
+      const change = this._round(scope[scope.length - 1] - scope[0]);
+      lines.push(`Scope: ${scope[0]} → ${scope[scope.length - 1]} ${UNIT_LABELS[unit]} (${change >= 0 ? '+' : ''}${change})`);
+    }
+
     if (metadata.velocity) {
-      lines.push(`Velocity: ${metadata.velocity} tasks/week`);
+      lines.push(`Velocity: ${metadata.velocity} ${UNIT_LABELS[unit]}/week`);
     }
 
     if (metadata.estimatedCompletion) {
@@ -292,14 +485,63 @@ class BurndownChart {
   // Private Helper Methods
   // ============================================================================
 
-  _renderEmptyChart(epicId, epicFile) {
+  _validateOptions(options) {
+    const unit = options.unit || 'tasks';
+    const mode = options.mode || 'burndown';
+
+    if (!UNITS.includes(unit)) {
+      throw new Error(`Invalid burndown unit: ${unit}. Must be one of: ${UNITS.join(', ')}`);
+    }
+    if (!MODES.includes(mode)) {
+      throw new Error(`Invalid burndown mode: ${mode}. Must be one of: ${MODES.join(', ')}`);
+    }
+  }
+
+  _renderForTasks(taskFiles, startDate, days, options) {
+    const unit = options.unit || 'tasks';
+    const mode = options.mode || 'burndown';
+
+    // Calculate burndown data
+    const total = this.calculateTotalWeight(taskFiles, unit);
+    const ideal = mode === 'burnup'
+      ? this.calculateIdealBurnup(total, days)
+      : this.calculateIdealBurndown(total, days);
+    const actual = mode === 'burnup'
+      ? this.calculateActualBurnup(taskFiles, startDate, days, { unit })
+      : this.calculateActualBurndown(taskFiles, startDate, days, { unit });
+
+    // Scope line, only when work was added after the start
+    const scope = this.calculateScope(taskFiles, startDate, days, { unit });
+    const scopeChanged = scope.some(value => value !== scope[0]);
+
+    // Calculate velocity
+    const velocity = this._calculateVelocity(taskFiles, startDate, days, unit);
+
+    // Calculate estimated completion
+    const estimatedCompletion = this._estimateCompletion(taskFiles, velocity, startDate, unit);
+
+    // Render chart
+    return this.renderChart(ideal, actual, {
+      kind: options.kind,
+      epicId: options.id,
+      epicTitle: options.title,
+      startDate,
+      endDate: this._addDays(startDate, days),
+      velocity,
+      estimatedCompletion,
+      mode,
+      unit,
+      scope: scopeChanged ? scope : null
+    });
+  }
+
+  _renderEmptyChart(id, title, kind = 'Epic') {
     const lines = [];
-    const title = epicFile ? epicFile.frontmatter.title : epicId;
 
-    lines.push(`Epic: ${title} (${epicId})`);
+    lines.push(`${kind}: ${title} (${id})`);
     lines.push('Burndown Chart');
     lines.push('');
-    lines.push('No tasks found for this epic.');
+    lines.push(`No tasks found for this ${kind.toLowerCase()}.`);
     lines.push('');
 
     return lines.join('\n');
@@ -314,7 +556,7 @@ class BurndownChart {
     return dates.length > 0 ? dates[0] : this._formatDate(new Date());
   }
 
-  _calculateVelocity(taskFiles, startDate, days) {
+  _calculateVelocity(taskFiles, startDate, days, unit = 'tasks') {
     const completedTasks = taskFiles.filter(t => {
       const status = t.frontmatter ? t.frontmatter.status : t.status;
       const completed = t.frontmatter ? t.frontmatter.completed : t.completed;
@@ -322,18 +564,18 @@ class BurndownChart {
     });
 
     const weeks = days / 7;
-    return weeks > 0 ? Math.round((completedTasks.length / weeks) * 10) / 10 : 0;
+    return weeks > 0 ? Math.round((this.calculateTotalWeight(completedTasks, unit) / weeks) * 10) / 10 : 0;
   }
 
-  _estimateCompletion(taskFiles, velocity, startDate) {
+  _estimateCompletion(taskFiles, velocity, startDate, unit = 'tasks') {
     if (velocity === 0) return null;
 
-    const remainingTasks = taskFiles.filter(t => {
+    const remainingWork = this.calculateTotalWeight(taskFiles.filter(t => {
       const status = t.frontmatter ? t.frontmatter.status : t.status;
       return status !== 'completed';
-    }).length;
+    }), unit);
 
-    const weeksRemaining = remainingTasks / velocity;
+    const weeksRemaining = remainingWork / velocity;
     const daysRemaining = Math.ceil(weeksRemaining * 7);
 
     const completionDate = new Date(startDate);
@@ -394,6 +636,27 @@ class BurndownChart {
     return `${year}-${month}-${day}`;
   }
 
+  _dailyDates(startDate, days) {
+    const dates = [];
+    const startDateObj = new Date(startDate);
+
+    for (let i = 0; i <= days; i++) {
+      const currentDate = new Date(startDateObj);
+      currentDate.setDate(currentDate.getDate() + i);
+      dates.push(this._formatDate(currentDate));
+    }
+
+    return dates;
+  }
+
+  _dayOf(value) {
+    return typeof value === 'string' ? value.slice(0, 10) : this._formatDate(value);
+  }
+
+  _round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
   _formatDateForDisplay(dateStr) {
     if (!dateStr) return '';
 
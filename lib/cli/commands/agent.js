@@ -2,17 +2,89 @@
  * CLI Agent Commands
  *
  * Provides agent management commands for listing, searching, and invoking agents.
- * Implements subcommands for list, search, and invoke operations.
+ * Implements subcommands for list, search, invoke and sessions operations.
+ * Sessions persist multi-turn conversations in .claude/sessions/.
+ * Agents can call the project tools allowed by their frontmatter; changes
+ * are dry runs unless --apply (confirm each) or --yes is given.
  *
  * @module cli/commands/agent
  * @requires ../../services/AgentService
+ * @requires ../../agent-session-store
+ * @requires ../../ai-providers/ClaudeProvider
+ * @requires ../../config/ConfigManager
+ * @requires ../../utils/ServiceFactory
+ * @requires ../../tool-registry
  * @requires ora
  * @requires chalk
  */
 
 const AgentService = require('../../services/AgentService');
+const AgentSessionStore = require('../../agent-session-store');
+const ClaudeProvider = require('../../ai-providers/ClaudeProvider');
+const ConfigManager = require('../../config/ConfigManager');
+const ServiceFactory = require('../../utils/ServiceFactory');
+const ToolRegistry = require('../../tool-registry');
 const ora = require('ora');
 const chalk = require('chalk');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+/**
+ * Create the session store of the current project
+ * @returns {AgentSessionStore} Session store
+ */
+function createSessionStore() {
+  return new AgentSessionStore({ basePath: path.join(process.cwd(), '.claude') });
+}
+
+/**
+ * Create the configured AI provider
+ *
+ * Uses the default provider of .autopm/config.json (project, else home
+ * directory) when AUTOPM_MASTER_PASSWORD is set - Claude, an
+ * OpenAI-compatible server, Ollama or a router. Otherwise Claude with
+ * ANTHROPIC_API_KEY.
+ * @returns {AbstractAIProvider} Provider
+ */
+function createAIProvider() {
+  const password = process.env.AUTOPM_MASTER_PASSWORD;
+  if (!password) {
+    return new ClaudeProvider();
+  }
+
+  const projectConfig = path.join(process.cwd(), '.autopm', 'config.json');
+  const configManager = new ConfigManager(fs.existsSync(projectConfig) ? projectConfig : undefined);
+  if (!fs.existsSync(configManager.configPath)) {
+    return new ClaudeProvider();
+  }
+
+  configManager.setMasterPassword(password);
+  return new ServiceFactory(configManager).createProvider();
+}
+
+/**
+ * Ask the user whether a mutating tool call may run
+ * @param {Object} call - Tool call: { name, input, preview }
+ * @param {Object} spinner - Running spinner, paused while asking
+ * @returns {Promise<boolean>} True if approved
+ */
+async function confirmToolCall(call, spinner) {
+  spinner.stop();
+
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+
+  const answer = await new Promise((resolve) => {
+    rl.question(chalk.yellow(`Allow the agent to ${call.preview}? (y/N): `), resolve);
+  });
+  rl.close();
+
+  spinner.start();
+  return /^y(es)?$/i.test(answer.trim());
+}
 
 /**
  * List all available agents
@@ -79,10 +151,51 @@ async function agentSearch(argv) {
  */
 async function agentInvoke(argv) {
   const spinner = ora(`Invoking agent: ${argv.name}`).start();
-  const agentService = new AgentService();
 
   try {
-    if (argv.stream) {
+    const sessionStore = createSessionStore();
+    const dryRuns = [];
+    const agentService = new AgentService(createAIProvider(), {
+      sessionStore,
+      toolRegistry: ToolRegistry.createDefault({ basePath: path.join(process.cwd(), '.claude') }),
+      toolMode: argv.yes ? 'auto' : (argv.apply ? 'confirm' : 'dry-run'),
+      confirmTool: (call) => confirmToolCall(call, spinner),
+      onToolCall: (call) => {
+        spinner.text = `Agent called ${call.name}${call.result.isError ? ' (failed)' : ''}`;
+        if (call.result.dryRun) {
+          dryRuns.push(call.result.content);
+        }
+      }
+    });
+    const reportDryRuns = () => {
+      if (dryRuns.length > 0) {
+        console.log(chalk.yellow(`\n${dryRuns.length} change${dryRuns.length === 1 ? ' was' : 's were'} not applied (dry run):`));
+        dryRuns.forEach(content => console.log(`  - ${content}`));
+        console.log(chalk.gray('Re-run with --apply to confirm each change, or --yes to apply them all.'));
+      }
+    };
+
+    // --resume continues a saved session, --session starts one
+    let sessionId = null;
+    if (argv.resume || argv.session) {
+      if (argv.stream) {
+        throw new Error('Sessions cannot be used with --stream');
+      }
+      sessionId = argv.resume
+        ? (await sessionStore.get(argv.resume)).id
+        : (await sessionStore.create(argv.name)).id;
+    }
+
+    if (sessionId) {
+      const result = await agentService.invoke(argv.name, argv.task, {}, { conversationId: sessionId });
+
+      spinner.succeed(chalk.green('Agent invoked successfully'));
+
+      console.log(chalk.green('\nAgent Response:'));
+      console.log(result);
+      reportDryRuns();
+      console.log(chalk.gray(`\nSession ${sessionId} - continue with: autopm agent invoke ${argv.name} --resume ${sessionId} --task "..."`));
+    } else if (argv.stream) {
       // Streaming mode
       spinner.text = 'Streaming agent response...';
 
@@ -99,6 +212,7 @@ async function agentInvoke(argv) {
 
       console.log(chalk.green('\nAgent Response:'));
       console.log(result);
+      reportDryRuns();
     }
   } catch (error) {
     spinner.fail(chalk.red('Failed to invoke agent'));
@@ -106,13 +220,71 @@ async function agentInvoke(argv) {
   }
 }
 
+/**
+ * List, show or delete saved agent sessions
+ * @param {Object} argv - Command arguments
+ */
+async function agentSessions(argv) {
+  const sessionStore = createSessionStore();
+  const sessionAction = argv.sessionAction || 'list';
+
+  try {
+    if (sessionAction === 'list') {
+      const sessions = await sessionStore.list();
+
+      if (sessions.length === 0) {
+        console.log(chalk.yellow('\nNo agent sessions found.'));
+        return;
+      }
+
+      console.log(chalk.green(`\n${sessions.length} agent session${sessions.length === 1 ? '' : 's'}:`));
+      sessions.forEach(session => {
+        console.log(
+          `  - ${session.id}: ${session.agent}, ${session.turns} turn${session.turns === 1 ? '' : 's'} ` +
+          chalk.gray(`(updated ${new Date(session.updatedAt).toLocaleString()})`)
+        );
+      });
+      return;
+    }
+
+    if (!['show', 'delete'].includes(sessionAction)) {
+      throw new Error(`Unknown sessions action: ${sessionAction}. Must be one of: list, show, delete`);
+    }
+
+    if (!argv.id) {
+      throw new Error(`Session ID required: autopm agent sessions ${sessionAction} <id>`);
+    }
+
+    if (sessionAction === 'delete') {
+      await sessionStore.delete(argv.id);
+      console.log(chalk.green(`\nDeleted session ${argv.id}`));
+      return;
+    }
+
+    const session = await sessionStore.get(argv.id);
+
+    console.log(chalk.bold(`\nSession ${session.id}`) + chalk.gray(` - ${session.agent}, started ${new Date(session.createdAt).toLocaleString()}`));
+    if (session.summary) {
+      console.log(chalk.gray(`\nSummary of the first ${session.summarizedCount} messages:`));
+      console.log(session.summary);
+    }
+    session.messages.forEach(message => {
+      const label = message.role === 'user' ? chalk.cyan('\nYou:') : chalk.green('\nAgent:');
+      console.log(label);
+      console.log(message.task || message.content);
+    });
+  } catch (error) {
+    console.error(chalk.red(`\nError: ${error.message}`));
+  }
+}
+
 /**
  * Main command handler
  * @param {Object} argv - Command arguments
  */
 async function handler(argv) {
   // Validate action
-  const validActions = ['list', 'search', 'invoke'];
+  const validActions = ['list', 'search', 'invoke', 'sessions'];
 
   if (!validActions.includes(argv.action)) {
     console.error(chalk.red(`\nError: Unknown action: ${argv.action}`));
@@ -132,6 +304,9 @@ async function handler(argv) {
       case 'invoke':
         await agentInvoke(argv);
         break;
+      case 'sessions':
+        await agentSessions(argv);
+        break;
     }
   } catch (error) {
     // Global error handler for unexpected errors
@@ -182,6 +357,42 @@ function builder(yargs) {
             describe: 'Use streaming mode',
             type: 'boolean',
             default: false
+          })
+          .option('session', {
+            describe: 'Start a saved multi-turn session',
+            type: 'boolean',
+            default: false
+          })
+          .option('resume', {
+            describe: 'Continue a saved session',
+            type: 'string'
+          })
+          .option('apply', {
+            describe: 'Let the agent change project files, confirming each change',
+            type: 'boolean',
+            default: false
+          })
+          .option('yes', {
+            describe: 'Let the agent change project files without confirmation',
+            type: 'boolean',
+            default: false
+          });
+      }
+    )
+    .command(
+      'sessions [sessionAction] [id]',
+      'List, show or delete saved agent sessions',
+      (yargs) => {
+        return yargs
+          .positional('sessionAction', {
+            describe: 'Sessions action',
+            type: 'string',
+            choices: ['list', 'show', 'delete'],
+            default: 'list'
+          })
+          .positional('id', {
+            describe: 'Session ID',
+            type: 'string'
           });
       }
     )
@@ -201,6 +412,7 @@ module.exports = {
   handlers: {
     list: agentList,
     search: agentSearch,
-    invoke: agentInvoke
+    invoke: agentInvoke,
+    sessions: agentSessions
   }
 };
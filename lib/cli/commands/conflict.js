@@ -0,0 +1,252 @@
+/**
+ * CLI Conflict Commands
+ *
+ * Browse and revert sync conflict resolutions recorded in the
+ * ConflictHistory journal (.claude/conflict-history.jsonl).
+ *
+ * Commands:
+ * - list: List resolutions, optionally for one PRD, epic or issue
+ * - show <id>: Show one resolution with local, remote, base and chosen content
+ * - revert <id>: Undo a resolution and restore the file it changed
+ *   (--force when the file was edited since)
+ *
+ * @module cli/commands/conflict
+ * @requires ../../conflict-history
+ * @requires chalk
+ */
+
+const ConflictHistory = require('../../conflict-history');
+const chalk = require('chalk');
+
+/**
+ * Short, human-readable location of a conflict
+ * @param {Object} entry - History entry
+ * @returns {string} Location label
+ */
+function describeLocation(entry) {
+  const conflict = entry.conflict;
+
+  if (conflict.field) {
+    return `field "${conflict.field}"`;
+  }
+
+  if (conflict.heading) {
+    return `${conflict.heading}${conflict.line ? ` (line ${conflict.line})` : ''}`;
+  }
+
+  return conflict.line ? `line ${conflict.line}` : conflict.section || '-';
+}
+
+/**
+ * List conflict resolutions
+ * @param {Object} argv - Command arguments
+ */
+async function conflictList(argv) {
+  try {
+    const history = new ConflictHistory({ storage: 'file' });
+    const filters = {};
+
+    if (argv.type) filters.entityType = argv.type;
+    if (argv.id !== undefined) filters.entityId = argv.id;
+    if (argv.strategy) filters.strategy = argv.strategy;
+    if (!argv.all) filters.undone = false;
+
+    const entries = history.getHistory(filters).slice(0, argv.limit);
+
+    if (entries.length === 0) {
+      console.log(chalk.yellow('\nNo conflict resolutions found.\n'));
+      return;
+    }
+
+    console.log(chalk.bold(`\n📜 Conflict Resolutions (${entries.length})\n`));
+
+    for (const entry of entries) {
+      const entity = entry.entityType ? `${entry.entityType} ${entry.entityId}` : (entry.filePath || 'unknown');
+      const status = entry.undoneAt ? chalk.gray(' [reverted]') : '';
+
+      console.log(
+        `  ${chalk.cyan(entry.id.substring(0, 8))}  ` +
+        `${entry.createdAt.toLocaleString()}  ` +
+        `${chalk.bold(entity)}  ${describeLocation(entry)}  ` +
+        `${chalk.yellow(entry.resolution.strategy)}${status}`
+      );
+    }
+
+    console.log(chalk.dim(`\nInspect: autopm conflict show <id>   Revert: autopm conflict revert <id>\n`));
+  } catch (error) {
+    console.error(chalk.red(`\nError: ${error.message}`));
+  }
+}
+
+/**
+ * Show one conflict resolution
+ * @param {Object} argv - Command arguments
+ */
+async function conflictShow(argv) {
+  try {
+    const history = new ConflictHistory({ storage: 'file' });
+    const entry = history.get(argv.id);
+    const conflict = entry.conflict;
+
+    console.log('\n' + chalk.bold('⚔️  Conflict Resolution') + '\n');
+    console.log(chalk.gray('─'.repeat(50)) + '\n');
+
+    console.log(chalk.bold('ID:        ') + entry.id);
+    console.log(chalk.bold('Entity:    ') + (entry.entityType ? `${entry.entityType} ${entry.entityId}` : 'N/A'));
+    console.log(chalk.bold('File:      ') + (entry.filePath || 'N/A'));
+    console.log(chalk.bold('Location:  ') + describeLocation(entry));
+    console.log(chalk.bold('Strategy:  ') + chalk.yellow(entry.resolution.strategy));
+    console.log(chalk.bold('Resolved:  ') + entry.createdAt.toLocaleString());
+    if (entry.undoneAt) {
+      console.log(chalk.bold('Reverted:  ') + entry.undoneAt.toLocaleString());
+    }
+    console.log(chalk.bold('Revertible:') + ' ' + (entry.previousContent !== null && !entry.undoneAt ? 'yes' : 'no'));
+
+    const blocks = [
+      ['LOCAL', conflict.localContent, chalk.green],
+      ['REMOTE', conflict.remoteContent, chalk.blue],
+      ['BASE', conflict.baseContent, chalk.gray],
+      ['CHOSEN', entry.resolution.chosenContent, chalk.yellow]
+    ];
+
+    for (const [label, content, color] of blocks) {
+      if (content === undefined) continue;
+      console.log('\n' + color(chalk.bold(label + ':')));
+      console.log(content || chalk.dim('(empty)'));
+    }
+
+    console.log();
+  } catch (error) {
+    console.error(chalk.red(`\nError: ${error.message}`));
+  }
+}
+
+/**
+ * Revert a conflict resolution
+ * @param {Object} argv - Command arguments
+ */
+async function conflictRevert(argv) {
+  try {
+    const history = new ConflictHistory({ storage: 'file' });
+    const result = history.undo(argv.id, { force: argv.force });
+
+    if (result.restored) {
+      console.log(chalk.green(`\n✅ Restored ${result.filePath}\n`));
+    } else {
+      console.log(chalk.yellow('\n⚠️  Marked as reverted, but no pre-resolution content was recorded - file left unchanged\n'));
+    }
+
+    if (result.undoneIds.length > 1) {
+      console.log(chalk.dim(`Reverted ${result.undoneIds.length} resolutions from the same session`));
+    }
+
+    console.log(chalk.dim('Sync again to publish the restored version.\n'));
+  } catch (error) {
+    console.error(chalk.red(`\nError: ${error.message}`));
+    if (error.message.startsWith('File changed since')) {
+      console.error(chalk.dim('Use --force to discard the later edits and restore anyway.\n'));
+    }
+  }
+}
+
+/**
+ * Command builder - registers all subcommands
+ * @param {Object} yargs - Yargs instance
+ * @returns {Object} Configured yargs instance
+ */
+function builder(yargs) {
+  return yargs
+    .command(
+      'list',
+      'List conflict resolutions',
+      (yargs) => {
+        return yargs
+          .option('type', {
+            describe: 'Entity type',
+            type: 'string',
+            choices: ['prd', 'epic', 'issue']
+          })
+          .option('id', {
+            describe: 'Entity ID (issue number, epic or PRD name)',
+            type: 'string'
+          })
+          .option('strategy', {
+            describe: 'Only resolutions using this strategy',
+            type: 'string'
+          })
+          .option('all', {
+            describe: 'Include reverted resolutions',
+            type: 'boolean',
+            default: false
+          })
+          .option('limit', {
+            describe: 'Maximum number of entries',
+            type: 'number',
+            default: 20
+          })
+          .example('autopm conflict list', 'Recent resolutions')
+          .example('autopm conflict list --type issue --id 123', 'Resolutions for issue #123')
+          .example('autopm conflict list --id user-auth', 'Resolutions for any entity named user-auth');
+      },
+      conflictList
+    )
+    .command(
+      'show <id>',
+      'Show a conflict resolution',
+      (yargs) => {
+        return yargs
+          .positional('id', {
+            describe: 'Resolution ID (or unique prefix)',
+            type: 'string'
+          });
+      },
+      conflictShow
+    )
+    .command(
+      'revert <id>',
+      'Revert a resolution and restore the file',
+      (yargs) => {
+        return yargs
+          .positional('id', {
+            describe: 'Resolution ID (or unique prefix)',
+            type: 'string'
+          })
+          .option('force', {
+            describe: 'Restore even if the file was edited after the resolution',
+            type: 'boolean',
+            default: false
+          })
+          .example('autopm conflict revert 3f9a2c1b', 'Restore the file as it was before the resolution')
+          .example('autopm conflict revert 3f9a2c1b --force', 'Restore and discard edits made since the resolution');
+      },
+      conflictRevert
+    )
+    .demandCommand(1, 'You must specify a conflict command')
+    .strictCommands()
+    .help();
+}
+
+/**
+ * Command export
+ */
+module.exports = {
+  command: 'conflict',
+  describe: 'Browse and revert sync conflict resolutions',
+  builder,
+  handler: (argv) => {
+    if (!argv._.includes('conflict') || argv._.length === 1) {
+      console.log(chalk.yellow('\nPlease specify a conflict command\n'));
+      console.log('Usage: autopm conflict <command>\n');
+      console.log('Available commands:');
+      console.log('  list           List conflict resolutions');
+      console.log('  show <id>      Show a conflict resolution');
+      console.log('  revert <id>    Revert a resolution and restore the file');
+      console.log('\nUse: autopm conflict <command> --help for more info\n');
+    }
+  },
+  handlers: {
+    list: conflictList,
+    show: conflictShow,
+    revert: conflictRevert
+  }
+};
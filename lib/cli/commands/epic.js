@@ -6,6 +6,10 @@
  *
  * @module cli/commands/epic
  * @requires ../../services/EpicService
+ * @requires ../../providers/ProviderRegistry
+ * @requires ../../delivery-forecast
+ * @requires ../../dependency-analyzer
+ * @requires ../../dependency-graph-export
  * @requires fs-extra
  * @requires ora
  * @requires chalk
@@ -13,6 +17,10 @@
  */
 
 const EpicService = require('../../services/EpicService');
+const { defaultRegistry } = require('../../providers/ProviderRegistry');
+const DeliveryForecast = require('../../delivery-forecast');
+const DependencyAnalyzer = require('../../dependency-analyzer');
+const DependencyGraphExporter = require('../../dependency-graph-export');
 const fs = require('fs-extra');
 const ora = require('ora');
 const chalk = require('chalk');
@@ -413,6 +421,15 @@ async function epicStatus(argv) {
     console.log('\n' + chalk.bold('Tasks:'));
     console.log(`  Total:     ${epic.taskCount}`);
 
+    // Monte Carlo forecast from task history across all epics; a bad --by only skips the forecast
+    console.log('\n' + chalk.bold('Forecast:'));
+    try {
+      const forecast = await new DeliveryForecast().forecastEpic(argv.name, { byDate: argv.by });
+      DeliveryForecast.summarize(forecast).forEach(line => console.log(`  ${line}`));
+    } catch (error) {
+      console.log(chalk.yellow(`  ${error.message}`));
+    }
+
     console.log('\n' + chalk.gray('─'.repeat(50)) + '\n');
 
     const epicPath = path.join(getEpicPath(argv.name), 'epic.md');
@@ -429,6 +446,48 @@ async function epicStatus(argv) {
   }
 }
 
+/**
+ * Export epic dependency graph
+ * @param {Object} argv - Command arguments
+ */
+async function epicGraph(argv) {
+  const format = argv.format || 'mermaid';
+  const spinner = ora(`Building dependency graph: ${argv.name}`).start();
+
+  try {
+    const analyzer = new DependencyAnalyzer();
+    const analysis = await analyzer.analyze(argv.name, {
+      basePath: path.join(process.cwd(), '.claude')
+    });
+
+    if (!analysis) {
+      throw new Error(`Epic not found: ${argv.name}`);
+    }
+
+    const output = new DependencyGraphExporter().export(analysis, format, { title: argv.name });
+
+    // HTML is not useful on a terminal, so it always goes to a file
+    const outputFile = argv.output || (format === 'html' ? `${argv.name}-graph.html` : null);
+
+    if (outputFile) {
+      await fs.outputFile(outputFile, output);
+      spinner.succeed(chalk.green(`Graph written to ${outputFile}`));
+    } else {
+      spinner.stop();
+      process.stdout.write(output);
+    }
+
+  } catch (error) {
+    spinner.fail(chalk.red('Failed to build dependency graph'));
+    console.error(chalk.red(`\nError: ${error.message}`));
+
+    if (error.message.includes('not found')) {
+      console.error(chalk.yellow('\n💡 Use: autopm epic list to see available epics'));
+    }
+    process.exit(1);
+  }
+}
+
 /**
  * Validate epic structure
  * @param {Object} argv - Command arguments
@@ -568,34 +627,74 @@ async function epicClose(argv) {
 }
 
 /**
- * Sync epic with GitHub
+ * Sync epic with GitHub/Azure or any registered tracker
  * @param {Object} argv - Command arguments
  */
 async function epicSync(argv) {
-  const spinner = ora(`Syncing epic: ${argv.name}`).start();
+  const provider = argv.provider || 'github';
+  const spinner = ora(`Syncing epic: ${argv.name} (${provider})`).start();
 
   try {
-    const epicService = new EpicService();
-    const epic = await epicService.getEpic(argv.name);
+    const providerInstance = defaultRegistry.create(provider);
+    await providerInstance.authenticate();
 
-    // TODO: Implement GitHub integration
-    // For now, just show a message
-    spinner.info(chalk.yellow('GitHub sync not yet implemented'));
+    const epicService = new EpicService({ provider: providerInstance });
 
-    console.log(chalk.yellow('\n⚠️  GitHub sync feature coming soon!\n'));
+    let direction = 'bidirectional';
+    if (argv.push) {
+      direction = 'push';
+    } else if (argv.pull) {
+      direction = 'pull';
+    }
 
-    console.log(chalk.dim('This feature will:'));
-    console.log(chalk.dim('  - Create GitHub issue if not exists'));
-    console.log(chalk.dim('  - Update existing GitHub issue'));
-    console.log(chalk.dim('  - Sync epic status and progress\n'));
+    const result = await epicService.syncEpic(argv.name, providerInstance, {
+      direction,
+      remoteId: argv.remote,
+      detectConflicts: direction !== 'bidirectional',
+      conflictStrategy: 'detect'
+    });
 
-    console.log(chalk.bold('For now, you can:'));
-    console.log(`  ${chalk.cyan('1.')} View epic:       ${chalk.yellow('autopm epic show ' + argv.name)}`);
-    console.log(`  ${chalk.cyan('2.')} Check status:    ${chalk.yellow('autopm epic status ' + argv.name)}\n`);
+    if (!result.success && result.conflict) {
+      spinner.warn(chalk.yellow('Conflict detected'));
+
+      console.log(chalk.yellow(`\n⚠️  Sync Conflict Detected!\n`));
+      console.log(chalk.bold('Conflict Details:'));
+      console.log(`  Local newer:   ${result.conflict.localNewer}`);
+      console.log(`  Remote newer:  ${result.conflict.remoteNewer}\n`);
+
+      console.log(chalk.bold('Resolution Options:'));
+      console.log(`  ${chalk.cyan('1.')} Keep local:    ${chalk.yellow('autopm epic sync ' + argv.name + ' --provider ' + provider + ' --push')}`);
+      console.log(`  ${chalk.cyan('2.')} Keep remote:   ${chalk.yellow('autopm epic sync ' + argv.name + ' --provider ' + provider + ' --pull')}\n`);
+      return;
+    }
+
+    spinner.succeed(chalk.green('Sync complete'));
+
+    console.log(chalk.green(`\n✅ Epic ${result.epicName} synced successfully!\n`));
+    console.log(chalk.bold('Sync Details:'));
+    console.log(`  Provider:      ${provider}`);
+    console.log(`  Action:        ${result.action || 'synced'}`);
+    console.log(`  Remote #:      ${result.remoteId}`);
+    console.log(`  Direction:     ${result.direction}\n`);
 
   } catch (error) {
     spinner.fail(chalk.red('Failed to sync epic'));
     console.error(chalk.red(`\nError: ${error.message}`));
+
+    if (error.message.includes('token') || error.message.includes('PAT')) {
+      console.log(chalk.yellow('\n⚠️  Provider credentials not configured\n'));
+      console.log(chalk.bold('To enable epic sync:'));
+      if (provider === 'azure') {
+        console.log(`  ${chalk.cyan('1.')} Set: export AZURE_DEVOPS_PAT=your_pat_token`);
+        console.log(`  ${chalk.cyan('2.')} Set: export AZURE_DEVOPS_ORG=your_organization`);
+        console.log(`  ${chalk.cyan('3.')} Set: export AZURE_DEVOPS_PROJECT=your_project`);
+      } else {
+        console.log(`  ${chalk.cyan('1.')} Set: export GITHUB_TOKEN=your_token`);
+        console.log(`  ${chalk.cyan('2.')} Set: export GITHUB_OWNER=username`);
+        console.log(`  ${chalk.cyan('3.')} Set: export GITHUB_REPO=repository`);
+      }
+      console.log(`  ${chalk.cyan('4.')} Re-run:  ${chalk.yellow('autopm epic sync ' + argv.name + ' --provider ' + provider)}\n`);
+    }
   }
 }
 
@@ -678,10 +777,41 @@ function builder(yargs) {
             describe: 'Epic name',
             type: 'string'
           })
-          .example('autopm epic status user-auth', 'Show epic status report');
+          .option('by', {
+            describe: 'Forecast how many tasks are done by this date (YYYY-MM-DD)',
+            type: 'string'
+          })
+          .example('autopm epic status user-auth', 'Show epic status report')
+          .example('autopm epic status user-auth --by 2025-12-01', 'Also forecast tasks done by a date');
       },
       epicStatus
     )
+    .command(
+      'graph <name>',
+      'Export the task dependency graph',
+      (yargs) => {
+        return yargs
+          .positional('name', {
+            describe: 'Epic name',
+            type: 'string'
+          })
+          .option('format', {
+            describe: 'Graph format',
+            type: 'string',
+            choices: DependencyGraphExporter.FORMATS,
+            default: 'mermaid'
+          })
+          .option('output', {
+            alias: 'o',
+            describe: 'Write to a file (html defaults to <name>-graph.html)',
+            type: 'string'
+          })
+          .example('autopm epic graph user-auth', 'Print Mermaid for a PR description')
+          .example('autopm epic graph user-auth --format dot | dot -Tsvg > graph.svg', 'Render with Graphviz')
+          .example('autopm epic graph user-auth --format html', 'Write an interactive offline page');
+      },
+      epicGraph
+    )
     .command(
       'validate <name>',
       'Validate epic structure',
@@ -723,14 +853,35 @@ function builder(yargs) {
     )
     .command(
       'sync <name>',
-      'Sync epic with GitHub',
+      'Sync epic with GitHub/Azure',
       (yargs) => {
         return yargs
           .positional('name', {
             describe: 'Epic name',
             type: 'string'
           })
-          .example('autopm epic sync user-auth', 'Sync epic to GitHub issue');
+          .option('provider', {
+            describe: 'Provider to sync with',
+            type: 'string',
+            choices: defaultRegistry.list().map(p => p.name),
+            default: 'github'
+          })
+          .option('push', {
+            describe: 'Push local epic to provider',
+            type: 'boolean',
+            default: false
+          })
+          .option('pull', {
+            describe: 'Pull epic from provider',
+            type: 'boolean',
+            default: false
+          })
+          .option('remote', {
+            describe: 'Remote item ID to pull (when not linked yet)',
+            type: 'string'
+          })
+          .example('autopm epic sync user-auth', 'Sync epic to GitHub issue')
+          .example('autopm epic sync user-auth --provider azure --push', 'Push epic to Azure DevOps');
       },
       epicSync
     )
@@ -756,10 +907,11 @@ module.exports = {
       console.log('  new <name>            Create new epic');
       console.log('  edit <name>           Edit epic');
       console.log('  status <name>         Show epic status');
+      console.log('  graph <name>          Export dependency graph');
       console.log('  validate <name>       Validate epic');
       console.log('  start <name>          Start working on epic');
       console.log('  close <name>          Close epic');
-      console.log('  sync <name>           Sync with GitHub');
+      console.log('  sync <name>           Sync with GitHub/Azure');
       console.log('\nUse: autopm epic <command> --help for more info\n');
     }
   },
@@ -769,6 +921,7 @@ module.exports = {
     new: epicNew,
     edit: epicEdit,
     status: epicStatus,
+    graph: epicGraph,
     validate: epicValidate,
     start: epicStart,
     close: epicClose,
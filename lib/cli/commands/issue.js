@@ -10,10 +10,12 @@
  * - close <number>: Close and complete issue
  * - status <number>: Check issue status
  * - edit <number>: Edit issue in editor
- * - sync <number>: Sync issue with GitHub/Azure
+ * - sync <number>: Sync issue with GitHub/Azure or any registered tracker
+ * - sync-resolve <number>: Resolve sync conflicts by strategy or hunk by hunk
  *
  * @module cli/commands/issue
  * @requires ../../services/IssueService
+ * @requires ../../providers/ProviderRegistry
  * @requires fs-extra
  * @requires ora
  * @requires chalk
@@ -21,6 +23,7 @@
  */
 
 const IssueService = require('../../services/IssueService');
+const { defaultRegistry } = require('../../providers/ProviderRegistry');
 const fs = require('fs-extra');
 const ora = require('ora');
 const chalk = require('chalk');
@@ -347,147 +350,119 @@ async function issueEdit(argv) {
 }
 
 /**
- * Sync issue with GitHub/Azure
- * @param {Object} argv - Command arguments
+ * Create and authenticate an issue tracker provider by name
+ * @param {string} name - Registered provider name (github, azure, ...)
+ * @returns {Promise<IssueTrackerProvider>} Authenticated provider
  */
-async function issueSync(argv) {
-  const provider = argv.provider || 'github';
-  const spinner = ora(`Syncing issue: #${argv.number} (${provider})`).start();
+async function createTrackerProvider(name) {
+  const options = {};
 
-  try {
-    let providerInstance;
-    let issueService;
-
-    // Load provider based on --provider flag
-    if (provider === 'azure') {
-      // Load Azure DevOps provider
-      const AzureDevOpsProvider = require('../../providers/AzureDevOpsProvider');
-      providerInstance = new AzureDevOpsProvider({
-        token: process.env.AZURE_DEVOPS_PAT,
-        organization: process.env.AZURE_DEVOPS_ORG,
-        project: process.env.AZURE_DEVOPS_PROJECT
-      });
+  // Keep supporting GITHUB_USER as a fallback owner
+  if (name === 'github' && !process.env.GITHUB_OWNER && process.env.GITHUB_USER) {
+    options.owner = process.env.GITHUB_USER;
+  }
 
-      await providerInstance.authenticate();
-      issueService = new IssueService({ provider: providerInstance });
+  const provider = defaultRegistry.create(name, options);
+  await provider.authenticate();
 
-      let result;
+  return provider;
+}
 
-      if (argv.push) {
-        // Push to Azure
-        spinner.text = 'Pushing to Azure DevOps...';
-        result = await issueService.syncToAzure(argv.number, { detectConflicts: true });
-      } else if (argv.pull && argv.azure) {
-        // Pull from Azure
-        spinner.text = 'Pulling from Azure DevOps...';
-        result = await issueService.syncFromAzure(argv.azure, { detectConflicts: true });
-      } else {
-        // Default: bidirectional sync
-        spinner.text = 'Bidirectional sync...';
-        result = await issueService.syncBidirectionalAzure(argv.number, { conflictStrategy: 'detect' });
-      }
+/**
+ * Get human-readable provider label
+ * @param {string} name - Registered provider name
+ * @returns {string} Provider description
+ */
+function getProviderLabel(name) {
+  const entry = defaultRegistry.list().find(p => p.name === name);
+  return entry ? entry.description : name;
+}
 
-      if (!result.success && result.conflict) {
-        spinner.warn(chalk.yellow('Conflict detected'));
+/**
+ * Sync issue with GitHub/Azure or any registered tracker
+ * @param {Object} argv - Command arguments
+ */
+async function issueSync(argv) {
+  const provider = argv.provider || 'github';
+  const label = getProviderLabel(provider);
+  const spinner = ora(`Syncing issue: #${argv.number} (${provider})`).start();
 
-        console.log(chalk.yellow(`\n⚠️  Sync Conflict Detected!\n`));
-        console.log(chalk.bold('Conflict Details:'));
-        console.log(`  Local newer:   ${result.conflict.localNewer}`);
-        console.log(`  Remote newer:  ${result.conflict.remoteNewer}\n`);
+  try {
+    const providerInstance = await createTrackerProvider(provider);
+    const issueService = new IssueService({ provider: providerInstance });
 
-        console.log(chalk.bold('Resolution Options:'));
-        console.log(`  ${chalk.cyan('1.')} Use local:    ${chalk.yellow('autopm issue sync-resolve ' + argv.number + ' --provider azure --strategy local')}`);
-        console.log(`  ${chalk.cyan('2.')} Use remote:   ${chalk.yellow('autopm issue sync-resolve ' + argv.number + ' --provider azure --strategy remote')}`);
-        console.log(`  ${chalk.cyan('3.')} Use newest:   ${chalk.yellow('autopm issue sync-resolve ' + argv.number + ' --provider azure --strategy newest')}\n`);
-      } else {
-        spinner.succeed(chalk.green('Sync complete'));
-
-        console.log(chalk.green(`\n✅ Issue #${argv.number} synced successfully!\n`));
-        console.log(chalk.bold('Sync Details:'));
-        console.log(`  Provider:      Azure DevOps`);
-        console.log(`  Action:        ${result.action || 'synced'}`);
-        if (result.workItemId) {
-          console.log(`  Work Item #:   ${result.workItemId}`);
-        }
-        if (result.direction) {
-          console.log(`  Direction:     ${result.direction}`);
-        }
-        console.log();
-      }
+    let result;
 
+    if (argv.push) {
+      spinner.text = `Pushing to ${label}...`;
+      result = await issueService.sync(argv.number, providerInstance, {
+        direction: 'push',
+        detectConflicts: true
+      });
+    } else if (argv.pull) {
+      spinner.text = `Pulling from ${label}...`;
+      result = await issueService.sync(argv.number, providerInstance, {
+        direction: 'pull',
+        remoteId: argv.remote || argv[provider],
+        detectConflicts: true
+      });
     } else {
-      // Load GitHub provider (default)
-      const GitHubProvider = require('../../providers/GitHubProvider');
-      providerInstance = new GitHubProvider({
-        token: process.env.GITHUB_TOKEN,
-        owner: process.env.GITHUB_OWNER || process.env.GITHUB_USER,
-        repo: process.env.GITHUB_REPO
+      // Default: bidirectional sync
+      spinner.text = 'Bidirectional sync...';
+      result = await issueService.sync(argv.number, providerInstance, {
+        direction: 'bidirectional',
+        conflictStrategy: 'detect'
       });
+    }
 
-      await providerInstance.authenticate();
-      issueService = new IssueService({ provider: providerInstance });
+    const providerFlag = provider === 'github' ? '' : ` --provider ${provider}`;
 
-      let result;
+    if (!result.success && result.conflict) {
+      spinner.warn(chalk.yellow('Conflict detected'));
 
-      if (argv.push) {
-        // Push to GitHub
-        spinner.text = 'Pushing to GitHub...';
-        result = await issueService.syncToGitHub(argv.number, { detectConflicts: true });
-      } else if (argv.pull && argv.github) {
-        // Pull from GitHub
-        spinner.text = 'Pulling from GitHub...';
-        result = await issueService.syncFromGitHub(argv.github, { detectConflicts: true });
-      } else {
-        // Default: bidirectional sync
-        spinner.text = 'Bidirectional sync...';
-        result = await issueService.syncBidirectional(argv.number, { conflictStrategy: 'detect' });
+      console.log(chalk.yellow(`\n⚠️  Sync Conflict Detected!\n`));
+      console.log(chalk.bold('Conflict Details:'));
+      console.log(`  Local newer:   ${result.conflict.localNewer}`);
+      console.log(`  Remote newer:  ${result.conflict.remoteNewer}`);
+      if (result.conflict.conflictFields.length > 0) {
+        console.log(`  Fields:        ${result.conflict.conflictFields.join(', ')}`);
       }
+      console.log();
 
-      if (!result.success && result.conflict) {
-        spinner.warn(chalk.yellow('Conflict detected'));
-
-        console.log(chalk.yellow(`\n⚠️  Sync Conflict Detected!\n`));
-        console.log(chalk.bold('Conflict Details:'));
-        console.log(`  Local newer:   ${result.conflict.localNewer}`);
-        console.log(`  Remote newer:  ${result.conflict.remoteNewer}`);
-        console.log(`  Fields:        ${result.conflict.conflictFields.join(', ')}\n`);
-
-        console.log(chalk.bold('Resolution Options:'));
-        console.log(`  ${chalk.cyan('1.')} Use local:    ${chalk.yellow('autopm issue sync-resolve ' + argv.number + ' --strategy local')}`);
-        console.log(`  ${chalk.cyan('2.')} Use remote:   ${chalk.yellow('autopm issue sync-resolve ' + argv.number + ' --strategy remote')}`);
-        console.log(`  ${chalk.cyan('3.')} Use newest:   ${chalk.yellow('autopm issue sync-resolve ' + argv.number + ' --strategy newest')}\n`);
-      } else {
-        spinner.succeed(chalk.green('Sync complete'));
-
-        console.log(chalk.green(`\n✅ Issue #${argv.number} synced successfully!\n`));
-        console.log(chalk.bold('Sync Details:'));
-        console.log(`  Provider:      GitHub`);
-        console.log(`  Action:        ${result.action || 'synced'}`);
-        if (result.githubNumber) {
-          console.log(`  GitHub #:      ${result.githubNumber}`);
-        }
-        if (result.direction) {
-          console.log(`  Direction:     ${result.direction}`);
-        }
-        console.log();
+      console.log(chalk.bold('Resolution Options:'));
+      console.log(`  ${chalk.cyan('1.')} Per hunk:     ${chalk.yellow('autopm issue sync-resolve ' + argv.number + providerFlag)}`);
+      console.log(`  ${chalk.cyan('2.')} Use local:    ${chalk.yellow('autopm issue sync-resolve ' + argv.number + providerFlag + ' --strategy local')}`);
+      console.log(`  ${chalk.cyan('3.')} Use remote:   ${chalk.yellow('autopm issue sync-resolve ' + argv.number + providerFlag + ' --strategy remote')}`);
+      console.log(`  ${chalk.cyan('4.')} Use newest:   ${chalk.yellow('autopm issue sync-resolve ' + argv.number + providerFlag + ' --strategy newest')}\n`);
+    } else {
+      spinner.succeed(chalk.green('Sync complete'));
+
+      console.log(chalk.green(`\n✅ Issue #${argv.number} synced successfully!\n`));
+      console.log(chalk.bold('Sync Details:'));
+      console.log(`  Provider:      ${label}`);
+      console.log(`  Action:        ${result.action || 'synced'}`);
+      if (result.remoteId) {
+        console.log(`  Remote #:      ${result.remoteId}`);
+      }
+      if (result.direction) {
+        console.log(`  Direction:     ${result.direction}`);
       }
+      console.log();
     }
 
   } catch (error) {
     spinner.fail(chalk.red('Failed to sync issue'));
 
-    if (error.message.includes('GITHUB_TOKEN')) {
+    if (error.message.includes('GitHub token')) {
       console.error(chalk.red(`\n❌ GitHub token not configured`));
       console.error(chalk.yellow('Set: export GITHUB_TOKEN=your_token'));
       console.error(chalk.yellow('Set: export GITHUB_OWNER=username'));
       console.error(chalk.yellow('Set: export GITHUB_REPO=repository\n'));
-    } else if (error.message.includes('AZURE_DEVOPS_PAT')) {
+    } else if (error.message.includes('PAT') || error.message.includes('AZURE_DEVOPS_PAT')) {
       console.error(chalk.red(`\n❌ Azure DevOps token not configured`));
       console.error(chalk.yellow('Set: export AZURE_DEVOPS_PAT=your_pat_token'));
       console.error(chalk.yellow('Set: export AZURE_DEVOPS_ORG=your_organization'));
       console.error(chalk.yellow('Set: export AZURE_DEVOPS_PROJECT=your_project\n'));
-    } else if (error.message.includes('not found')) {
-      console.error(chalk.red(`\nError: ${error.message}`));
     } else {
       console.error(chalk.red(`\nError: ${error.message}`));
     }
@@ -503,76 +478,30 @@ async function issueSyncStatus(argv) {
   const spinner = ora(`Checking sync status: #${argv.number} (${provider})`).start();
 
   try {
-    let providerInstance;
-    let issueService;
-
-    if (provider === 'azure') {
-      // Load Azure DevOps provider
-      const AzureDevOpsProvider = require('../../providers/AzureDevOpsProvider');
-      providerInstance = new AzureDevOpsProvider({
-        token: process.env.AZURE_DEVOPS_PAT,
-        organization: process.env.AZURE_DEVOPS_ORG,
-        project: process.env.AZURE_DEVOPS_PROJECT
-      });
-
-      await providerInstance.authenticate();
-      issueService = new IssueService({ provider: providerInstance });
-      const status = await issueService.getAzureSyncStatus(argv.number);
-
-      spinner.succeed(chalk.green('Status retrieved'));
-
-      console.log('\n' + chalk.bold('🔄 Sync Status (Azure DevOps)') + '\n');
-      console.log(chalk.gray('─'.repeat(50)) + '\n');
-
-      console.log(chalk.bold('Issue:'));
-      console.log(`  Local #:        ${status.localNumber}`);
-      console.log(`  Work Item #:    ${status.workItemId || 'Not synced'}`);
-      console.log(`  Status:         ${status.synced ? chalk.green('✓ Synced') : chalk.yellow('⚠ Out of sync')}`);
-
-      if (status.lastSync) {
-        console.log(`  Last Sync:      ${new Date(status.lastSync).toLocaleString()}`);
-      }
-
-      console.log('\n' + chalk.gray('─'.repeat(50)) + '\n');
-
-      if (!status.synced) {
-        console.log(chalk.yellow('💡 Tip: Run sync to update:'));
-        console.log(`   ${chalk.cyan('autopm issue sync ' + argv.number + ' --provider azure')}\n`);
-      }
-
-    } else {
-      // Load GitHub provider
-      const GitHubProvider = require('../../providers/GitHubProvider');
-      providerInstance = new GitHubProvider({
-        token: process.env.GITHUB_TOKEN,
-        owner: process.env.GITHUB_OWNER || process.env.GITHUB_USER,
-        repo: process.env.GITHUB_REPO
-      });
-
-      await providerInstance.authenticate();
-      issueService = new IssueService({ provider: providerInstance });
-      const status = await issueService.getSyncStatus(argv.number);
+    const providerInstance = await createTrackerProvider(provider);
+    const issueService = new IssueService({ provider: providerInstance });
+    const status = await issueService.getProviderSyncStatus(argv.number, providerInstance);
 
     spinner.succeed(chalk.green('Status retrieved'));
 
-    console.log('\n' + chalk.bold('🔄 Sync Status') + '\n');
+    console.log('\n' + chalk.bold(`🔄 Sync Status (${getProviderLabel(provider)})`) + '\n');
     console.log(chalk.gray('─'.repeat(50)) + '\n');
 
     console.log(chalk.bold('Issue:'));
-    console.log(`  Local #:       ${status.localNumber}`);
-    console.log(`  GitHub #:      ${status.githubNumber || 'Not synced'}`);
-    console.log(`  Status:        ${status.synced ? chalk.green('✓ Synced') : chalk.yellow('⚠ Out of sync')}`);
+    console.log(`  Local #:        ${status.localNumber}`);
+    console.log(`  Remote #:       ${status.remoteId || 'Not synced'}`);
+    console.log(`  Status:         ${status.synced ? chalk.green('✓ Synced') : chalk.yellow('⚠ Out of sync')}`);
 
     if (status.lastSync) {
-      console.log(`  Last Sync:     ${new Date(status.lastSync).toLocaleString()}`);
+      console.log(`  Last Sync:      ${new Date(status.lastSync).toLocaleString()}`);
     }
 
     console.log('\n' + chalk.gray('─'.repeat(50)) + '\n');
 
     if (!status.synced) {
+      const providerFlag = provider === 'github' ? '' : ` --provider ${provider}`;
       console.log(chalk.yellow('💡 Tip: Run sync to update:'));
-      console.log(`   ${chalk.cyan('autopm issue sync ' + argv.number)}\n`);
-    }
+      console.log(`   ${chalk.cyan('autopm issue sync ' + argv.number + providerFlag)}\n`);
     }
 
   } catch (error) {
@@ -586,83 +515,175 @@ async function issueSyncStatus(argv) {
  * @param {Object} argv - Command arguments
  */
 async function issueSyncResolve(argv) {
+  if (!argv.strategy) {
+    return await issueSyncResolveInteractive(argv);
+  }
+
   const provider = argv.provider || 'github';
+  const label = getProviderLabel(provider);
   const spinner = ora(`Resolving conflict: #${argv.number} (${provider})`).start();
 
   try {
-    let providerInstance;
-    let issueService;
-
-    if (provider === 'azure') {
-      // Load Azure DevOps provider
-      const AzureDevOpsProvider = require('../../providers/AzureDevOpsProvider');
-      providerInstance = new AzureDevOpsProvider({
-        token: process.env.AZURE_DEVOPS_PAT,
-        organization: process.env.AZURE_DEVOPS_ORG,
-        project: process.env.AZURE_DEVOPS_PROJECT
-      });
+    if (argv.strategy === 'manual') {
+      spinner.info(chalk.yellow('Manual resolution required'));
+
+      console.log(chalk.yellow(`\n⚠️  Manual resolution required\n`));
+      console.log(chalk.bold('Available strategies:'));
+      console.log(`  ${chalk.cyan('local')}   - Use local version`);
+      console.log(`  ${chalk.cyan('remote')}  - Use remote (${label}) version`);
+      console.log(`  ${chalk.cyan('newest')}  - Use most recently updated\n`);
+      return;
+    }
 
-      await providerInstance.authenticate();
-      issueService = new IssueService({ provider: providerInstance });
-      const result = await issueService.resolveAzureConflict(argv.number, argv.strategy);
+    const providerInstance = await createTrackerProvider(provider);
+    const issueService = new IssueService({ provider: providerInstance });
 
-      if (result.resolved) {
-        spinner.succeed(chalk.green('Conflict resolved'));
+    const syncOptions = {
+      local: { direction: 'push' },
+      remote: { direction: 'pull' },
+      newest: { direction: 'bidirectional', conflictStrategy: 'newest' }
+    }[argv.strategy];
 
-        console.log(chalk.green(`\n✅ Conflict resolved using "${result.appliedStrategy}" strategy\n`));
-        console.log(chalk.bold('Result:'));
-        console.log(`  Provider:      Azure DevOps`);
-        console.log(`  Action:        ${result.result.action || 'resolved'}`);
-        if (result.result.workItemId) {
-          console.log(`  Work Item #:   ${result.result.workItemId}`);
-        }
-        console.log();
-      } else {
-        spinner.info(chalk.yellow('Manual resolution required'));
+    const result = await issueService.sync(argv.number, providerInstance, syncOptions);
 
-        console.log(chalk.yellow(`\n⚠️  Manual resolution required\n`));
-        console.log(chalk.bold('Available strategies:'));
-        console.log(`  ${chalk.cyan('local')}   - Use local version`);
-        console.log(`  ${chalk.cyan('remote')}  - Use remote (Azure DevOps) version`);
-        console.log(`  ${chalk.cyan('newest')}  - Use most recently updated\n`);
-      }
+    spinner.succeed(chalk.green('Conflict resolved'));
 
-    } else {
-      // Load GitHub provider (default)
-      const GitHubProvider = require('../../providers/GitHubProvider');
-      providerInstance = new GitHubProvider({
-        token: process.env.GITHUB_TOKEN,
-        owner: process.env.GITHUB_OWNER || process.env.GITHUB_USER,
-        repo: process.env.GITHUB_REPO
-      });
+    console.log(chalk.green(`\n✅ Conflict resolved using "${argv.strategy}" strategy\n`));
+    console.log(chalk.bold('Result:'));
+    console.log(`  Provider:      ${label}`);
+    console.log(`  Action:        ${result.action || 'resolved'}`);
+    if (result.remoteId) {
+      console.log(`  Remote #:      ${result.remoteId}`);
+    }
+    console.log();
 
-      await providerInstance.authenticate();
-      issueService = new IssueService({ provider: providerInstance });
-      const result = await issueService.resolveConflict(argv.number, argv.strategy);
+  } catch (error) {
+    spinner.fail(chalk.red('Failed to resolve conflict'));
+    console.error(chalk.red(`\nError: ${error.message}`));
+  }
+}
 
-      if (result.resolved) {
-        spinner.succeed(chalk.green('Conflict resolved'));
+/**
+ * Ask for a decision on every conflicting hunk of a session
+ * @param {Object} session - Session from IssueService.getConflictSession
+ * @param {Function} prompt - Question function returning a Promise of the answer
+ * @returns {Promise<Array<Object>|null>} Decisions, or null if the user quit
+ */
+async function promptConflictDecisions(session, prompt) {
+  const VisualDiff = require('../../visual-diff');
+  const diff = new VisualDiff();
+  const choices = { l: 'local', r: 'remote', b: 'both', e: 'edited' };
+  const decisions = [];
 
-        console.log(chalk.green(`\n✅ Conflict resolved using "${result.appliedStrategy}" strategy\n`));
-        console.log(chalk.bold('Result:'));
-        console.log(`  Provider:      GitHub`);
-        console.log(`  Action:        ${result.result.action || 'resolved'}`);
-        if (result.result.githubNumber) {
-          console.log(`  GitHub #:      ${result.result.githubNumber}`);
-        }
-        console.log();
-      } else {
-        spinner.info(chalk.yellow('Manual resolution required'));
+  for (const conflict of session.conflicts) {
+    const where = conflict.section === 'frontmatter'
+      ? `field "${conflict.field}"`
+      : `body${conflict.heading ? ` (${conflict.heading})` : ''}, line ${conflict.line}`;
+
+    console.log(chalk.bold(`\nConflict ${conflict.index + 1}/${session.conflicts.length}: ${where}\n`));
+
+    if (conflict.section !== 'frontmatter' && conflict.line) {
+      console.log(chalk.gray(diff.renderContext(session.localBody, [conflict.line], 3)) + '\n');
+    }
 
-        console.log(chalk.yellow(`\n⚠️  Manual resolution required\n`));
-        console.log(chalk.bold('Available strategies:'));
-        console.log(`  ${chalk.cyan('local')}   - Use local version`);
-        console.log(`  ${chalk.cyan('remote')}  - Use remote (GitHub) version`);
-        console.log(`  ${chalk.cyan('newest')}  - Use most recently updated\n`);
+    console.log(chalk.green('LOCAL:'));
+    console.log(conflict.localContent || chalk.dim('(deleted)'));
+    console.log(chalk.blue('REMOTE:'));
+    console.log(conflict.remoteContent || chalk.dim('(deleted)'));
+
+    let choice;
+    while (!choice) {
+      const answer = (await prompt(chalk.cyan('\n[l]ocal, [r]emote, [b]oth, [e]dit, [q]uit: '))).trim().toLowerCase();
+
+      if (answer === 'q') {
+        return null;
       }
+
+      choice = choices[answer.charAt(0)];
+    }
+
+    if (choice !== 'edited') {
+      decisions.push({ choice });
+      continue;
+    }
+
+    console.log(chalk.dim('Enter the resolved content, then a line with a single "."'));
+    const lines = [];
+    for (let line = await prompt(''); line !== '.'; line = await prompt('')) {
+      lines.push(line);
+    }
+    decisions.push({ choice, content: lines.join('\n') });
+  }
+
+  return decisions;
+}
+
+/**
+ * Resolve sync conflicts hunk by hunk
+ * @param {Object} argv - Command arguments
+ */
+async function issueSyncResolveInteractive(argv) {
+  const provider = argv.provider || 'github';
+  const label = getProviderLabel(provider);
+  const spinner = ora(`Loading conflicts: #${argv.number} (${provider})`).start();
+
+  let rl;
+
+  try {
+    const providerInstance = await createTrackerProvider(provider);
+    const issueService = new IssueService({ provider: providerInstance });
+    const session = await issueService.getConflictSession(argv.number, providerInstance);
+
+    if (session.conflicts.length === 0) {
+      spinner.succeed(chalk.green('No conflicting hunks'));
+      console.log(chalk.cyan(`\nRun: ${chalk.yellow('autopm issue sync ' + argv.number + (provider === 'github' ? '' : ` --provider ${provider}`))}\n`));
+      return;
+    }
+
+    spinner.info(chalk.yellow(`${session.conflicts.length} conflicting hunk(s) with ${label}`));
+
+    rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+
+    const prompt = (question) => new Promise((resolve) => {
+      rl.question(question, resolve);
+    });
+
+    const decisions = await promptConflictDecisions(session, prompt);
+    rl.close();
+
+    if (!decisions) {
+      console.log(chalk.yellow('\nAborted - no changes written\n'));
+      return;
+    }
+
+    const result = await issueService.applyConflictResolutions(session, decisions, providerInstance);
+
+    if (result.success) {
+      console.log(chalk.green(`\n✅ Resolved ${decisions.length} conflict(s) and synced with ${label}\n`));
+    } else if (result.queued) {
+      console.log(chalk.yellow(`\n📮 Resolved ${decisions.length} conflict(s) locally - push to ${label} queued (provider unreachable)\n`));
+    } else {
+      console.log(chalk.yellow(`\n⚠️  Resolved ${decisions.length} conflict(s) locally - push to ${label} failed\n`));
     }
 
+    console.log(chalk.bold('Result:'));
+    console.log(`  Remote #:      ${result.remoteId}`);
+    if (result.queued) {
+      console.log(`  Queued:        ${result.operationId} (retried by ${chalk.yellow('autopm pm sync')})`);
+    } else if (!result.success) {
+      console.log(`  Error:         ${result.error}`);
+      console.log(`  Retry:         ${chalk.yellow('autopm issue sync ' + argv.number + ' --push' + (provider === 'github' ? '' : ` --provider ${provider}`))}`);
+    }
+    console.log(`  History:       ${result.logIds.length} decision(s) recorded`);
+    console.log();
+
   } catch (error) {
+    if (rl) {
+      rl.close();
+    }
     spinner.fail(chalk.red('Failed to resolve conflict'));
     console.error(chalk.red(`\nError: ${error.message}`));
   }
@@ -753,9 +774,13 @@ function builder(yargs) {
           .option('provider', {
             describe: 'Provider to sync with',
             type: 'string',
-            choices: ['github', 'azure'],
+            choices: defaultRegistry.list().map(p => p.name),
             default: 'github'
           })
+          .option('remote', {
+            describe: 'Remote item ID to pull (when not linked yet)',
+            type: 'string'
+          })
           .option('push', {
             describe: 'Push local changes to provider',
             type: 'boolean',
@@ -769,7 +794,8 @@ function builder(yargs) {
           .example('autopm issue sync 123', 'Sync issue #123 with GitHub (default)')
           .example('autopm issue sync 123 --provider azure', 'Sync with Azure DevOps')
           .example('autopm issue sync 123 --push', 'Push local changes to GitHub')
-          .example('autopm issue sync 123 --provider azure --push', 'Push to Azure DevOps');
+          .example('autopm issue sync 123 --provider azure --push', 'Push to Azure DevOps')
+          .example('autopm issue sync 123 --pull --remote 456', 'Pull GitHub issue #456 into issue #123');
       },
       issueSync
     )
@@ -785,7 +811,7 @@ function builder(yargs) {
           .option('provider', {
             describe: 'Provider to check status with',
             type: 'string',
-            choices: ['github', 'azure'],
+            choices: defaultRegistry.list().map(p => p.name),
             default: 'github'
           })
           .example('autopm issue sync-status 123', 'Check GitHub sync status (default)')
@@ -805,15 +831,15 @@ function builder(yargs) {
           .option('provider', {
             describe: 'Provider to resolve conflict with',
             type: 'string',
-            choices: ['github', 'azure'],
+            choices: defaultRegistry.list().map(p => p.name),
             default: 'github'
           })
           .option('strategy', {
-            describe: 'Resolution strategy',
+            describe: 'Resolution strategy (omit to resolve hunk by hunk)',
             type: 'string',
-            choices: ['local', 'remote', 'newest', 'manual'],
-            demandOption: true
+            choices: ['local', 'remote', 'newest', 'manual']
           })
+          .example('autopm issue sync-resolve 123', 'Pick local, remote, both or an edit per conflicting hunk')
           .example('autopm issue sync-resolve 123 --strategy newest', 'Use newest version (GitHub)')
           .example('autopm issue sync-resolve 123 --provider azure --strategy local', 'Use local version (Azure)');
       },
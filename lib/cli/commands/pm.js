@@ -5,17 +5,33 @@
  * Implements subcommands for workflow analysis and task prioritization.
  *
  * Commands:
- * - next: Get next priority task based on dependencies and priorities
+ * - next: Get next task based on dependencies and a weighted score (TaskScorer);
+ *   --scheduled follows the team schedule instead. --explain prints the score
+ *   breakdown of the top candidates (and the member's planned queue)
  * - what-next: AI-powered suggestions for next steps
- * - standup: Generate daily standup report
- * - status: Project status overview and health
+ * - standup: Generate daily standup report (changes since the last archived
+ *   standup, per assignee; Markdown, Slack mrkdwn or JSON)
+ * - status: Project status overview, health and Monte Carlo delivery forecast;
+ *   records the day's analytics snapshot and flags week-over-week regressions
  * - in-progress: Show all active tasks
  * - blocked: Show all blocked tasks
+ * - sync: Replay the offline outbox, then sync all entities (issues
+ *   incrementally via provider cursors and content hashes; unlinked local
+ *   issues are only created remotely with --push-new)
+ * - search: Text, regex or query-language search; saved searches (views)
+ *   with --save/--view, also accepted by standup, status and export
+ * - export: Export entities (optionally a view) to JSON, CSV or markdown
  *
  * @module cli/commands/pm
  * @requires ../../services/WorkflowService
  * @requires ../../services/IssueService
  * @requires ../../services/EpicService
+ * @requires ../../sync-outbox
+ * @requires ../../providers/ProviderRegistry
+ * @requires ../../saved-search-store
+ * @requires ../../delivery-forecast
+ * @requires ../../analytics-snapshots
+ * @requires ../../standup-history
  * @requires fs-extra
  * @requires ora
  * @requires chalk
@@ -26,6 +42,13 @@ const WorkflowService = require('../../services/WorkflowService');
 const IssueService = require('../../services/IssueService');
 const EpicService = require('../../services/EpicService');
 const UtilityService = require('../../services/UtilityService');
+const SyncOutbox = require('../../sync-outbox');
+const { defaultRegistry } = require('../../providers/ProviderRegistry');
+const SavedSearchStore = require('../../saved-search-store');
+const DeliveryForecast = require('../../delivery-forecast');
+const SchedulePlanner = require('../../schedule-planner');
+const AnalyticsSnapshots = require('../../analytics-snapshots');
+const StandupHistory = require('../../standup-history');
 const fs = require('fs-extra');
 const ora = require('ora');
 const chalk = require('chalk');
@@ -45,6 +68,55 @@ async function getServices() {
   return { workflowService, issueService, epicService };
 }
 
+/**
+ * Parse repeated --var name=value options
+ * @param {string|string[]} vars - Option values
+ * @returns {Object} Variables by name
+ */
+function parseVariables(vars) {
+  const variables = {};
+
+  for (const entry of [].concat(vars || [])) {
+    const separator = String(entry).indexOf('=');
+    if (separator <= 0) {
+      throw new Error(`Invalid --var ${entry} (expected name=value)`);
+    }
+    variables[String(entry).slice(0, separator)] = String(entry).slice(separator + 1);
+  }
+
+  return variables;
+}
+
+/**
+ * Resolve --view into a query for the workflow reports
+ * @param {Object} argv - Command arguments
+ * @returns {Promise<string|null>} Resolved query, null without --view
+ */
+async function resolveView(argv) {
+  if (!argv.view) {
+    return null;
+  }
+
+  return await new SavedSearchStore().resolve(argv.view, parseVariables(argv.var));
+}
+
+/**
+ * Print the TaskScorer breakdown of the top candidates
+ * @param {Array<Object>} candidates - Candidates from getNextTask({ explain: true })
+ */
+function printScoreBreakdown(candidates) {
+  console.log(chalk.bold(`\n🧮 Score breakdown (top ${candidates.length}):\n`));
+  candidates.forEach((candidate, index) => {
+    console.log(`${chalk.cyan(`${index + 1}.`)} ${chalk.bold(`#${candidate.id}: ${candidate.title}`)}  ${chalk.green(`score ${candidate.score}`)}`);
+    candidate.breakdown.forEach(entry => {
+      const points = `${entry.points}`.padStart(6);
+      console.log(chalk.gray(`   ${entry.factor.padEnd(13)} ${points}  (${entry.weight} × ${entry.value})  ${entry.detail}`));
+    });
+    console.log('');
+  });
+  console.log(chalk.dim('Weights: "scoring.weights" in .claude/config.json'));
+}
+
 /**
  * PM Next - Get next priority task
  * @param {Object} argv - Command arguments
@@ -54,7 +126,45 @@ async function pmNext(argv) {
 
   try {
     const { workflowService } = await getServices();
-    const nextTask = await workflowService.getNextTask();
+
+    // Skills are matched for the member (--for, else @me)
+    const member = argv.for || (await new SavedSearchStore().getVariables()).me;
+    const scheduled = argv.scheduled
+      ? await workflowService.getNextScheduledTask(member, { explain: argv.explain, limit: argv.top })
+      : null;
+    if (scheduled) {
+      spinner.succeed(chalk.green(`Found next scheduled task for ${member}`));
+
+      console.log(chalk.cyan('\n📅 Next Scheduled Task:\n'));
+      console.log(chalk.gray('─'.repeat(60)) + '\n');
+
+      console.log(chalk.bold(`${scheduled.epic}/${scheduled.id}: ${scheduled.title}`));
+      console.log(chalk.gray(`Scheduled: ${scheduled.start} → ${scheduled.finish}`));
+      console.log(chalk.gray(`Estimated effort: ${scheduled.effort}`));
+
+      console.log(chalk.yellow(`\n💡 Why this task?\n${scheduled.reasoning}`));
+
+      if (scheduled.queue) {
+        console.log(chalk.bold(`\n🧮 Picked from the team schedule - next ${scheduled.queue.length} for ${member}:\n`));
+        scheduled.queue.forEach((task, index) => {
+          const flags = [task.critical && 'critical chain', task.pinned && 'assigned'].filter(Boolean).join(', ');
+          console.log(`${chalk.cyan(`${index + 1}.`)} ${chalk.bold(`${task.epic}/${task.id}: ${task.title}`)}  ` +
+            chalk.gray(`${task.start} → ${task.finish}, ${task.hours}h`) + (flags ? chalk.yellow(`  ${flags}`) : ''));
+        });
+        console.log(chalk.dim('\nOrdered by planned start'));
+
+        const ranked = await workflowService.getNextTask({ member, explain: true, limit: argv.top });
+        if (ranked) {
+          printScoreBreakdown(ranked.candidates);
+        }
+      }
+
+      console.log('\n' + chalk.gray('─'.repeat(60)) + '\n');
+      console.log(`Full plan: ${chalk.yellow('autopm pm schedule')}\n`);
+      return;
+    }
+
+    const nextTask = await workflowService.getNextTask({ member, explain: argv.explain, limit: argv.top });
 
     if (!nextTask) {
       spinner.info(chalk.yellow('No available tasks found'));
@@ -89,6 +199,10 @@ async function pmNext(argv) {
 
     console.log(chalk.yellow(`\n💡 Why this task?\n${nextTask.reasoning}`));
 
+    if (nextTask.candidates) {
+      printScoreBreakdown(nextTask.candidates);
+    }
+
     console.log('\n' + chalk.gray('─'.repeat(60)) + '\n');
 
     // TDD Reminder
@@ -106,6 +220,37 @@ async function pmNext(argv) {
   }
 }
 
+/**
+ * PM Schedule - Resource-aware task schedule
+ * @param {Object} argv - Command arguments
+ */
+async function pmSchedule(argv) {
+  const format = argv.format || 'ascii';
+  const spinner = ora('Planning schedule...').start();
+
+  try {
+    const planner = new SchedulePlanner();
+    const plan = await planner.plan({ epicId: argv.epic, start: argv.start });
+    const output = planner.export(plan, format);
+
+    if (argv.output) {
+      await fs.outputFile(argv.output, output);
+      spinner.succeed(chalk.green(`Schedule written to ${argv.output}`));
+    } else {
+      spinner.succeed(chalk.green('Schedule planned'));
+      console.log('\n' + output + '\n');
+    }
+
+    if (plan.overAllocations.length > 0) {
+      const members = [...new Set(plan.overAllocations.map(o => o.member))];
+      console.log(chalk.red(`⚠️  Over-allocated: ${members.join(', ')}\n`));
+    }
+  } catch (error) {
+    spinner.fail(chalk.red('Failed to plan schedule'));
+    console.error(chalk.red(`\nError: ${error.message}\n`));
+  }
+}
+
 /**
  * PM What-Next - AI-powered next step suggestions
  * @param {Object} argv - Command arguments
@@ -172,16 +317,45 @@ async function pmStandup(argv) {
   const spinner = ora('Generating standup report...').start();
 
   try {
+    const view = await resolveView(argv);
     const { workflowService } = await getServices();
-    const report = await workflowService.generateStandup();
+    const history = new StandupHistory({ basePath: path.join(process.cwd(), '.claude') });
+
+    let report;
+    if (argv.date) {
+      report = await history.get(argv.date);
+    } else {
+      report = await workflowService.generateStandup({ view, history });
 
-    spinner.succeed(chalk.green('Standup report generated'));
+      // Only whole-project standups are archived, so the next diff covers everything
+      if (argv.archive && !view) {
+        await history.save(report);
+      }
+    }
+
+    if (argv.for) {
+      report = history.filterByAssignee(report, argv.for);
+    }
+
+    if (argv.format) {
+      spinner.stop();
+      process.stdout.write(history.export(report, argv.format));
+      return;
+    }
 
-    console.log(chalk.cyan(`\n📅 Daily Standup - ${report.date}\n`));
+    spinner.succeed(chalk.green(argv.date ? `Archived standup of ${argv.date}` : 'Standup report generated'));
+
+    console.log(chalk.cyan(`\n📅 Daily Standup - ${report.date}${argv.for ? ` (${argv.for})` : ''}\n`));
+    if (view) {
+      console.log(chalk.gray(`View: ${argv.view} (${view})\n`));
+    }
+    if (report.since) {
+      console.log(chalk.gray(`Changes since the standup of ${report.since}\n`));
+    }
     console.log(chalk.gray('='.repeat(60)) + '\n');
 
     // Yesterday
-    console.log(chalk.bold('✅ Yesterday (Completed):\n'));
+    console.log(chalk.bold(report.since ? '✅ Done (Since Last Standup):\n' : '✅ Yesterday (Completed):\n'));
     if (report.yesterday.length > 0) {
       report.yesterday.forEach(task => {
         console.log(`   #${task.id} - ${task.title}`);
@@ -249,12 +423,16 @@ async function pmStatus(argv) {
   const spinner = ora('Analyzing project status...').start();
 
   try {
+    const view = await resolveView(argv);
     const { workflowService } = await getServices();
-    const status = await workflowService.getProjectStatus();
+    const status = await workflowService.getProjectStatus({ view });
 
     spinner.succeed(chalk.green('Status analysis complete'));
 
     console.log(chalk.cyan('\n📊 Project Status Overview\n'));
+    if (view) {
+      console.log(chalk.gray(`View: ${argv.view} (${view})\n`));
+    }
     console.log(chalk.gray('='.repeat(60)) + '\n');
 
     // Epics
@@ -284,10 +462,43 @@ async function pmStatus(argv) {
 
     console.log(chalk.gray('─'.repeat(60)) + '\n');
 
+    // Forecast of the tasks in the view; a bad --by only skips the forecast
+    console.log(chalk.bold('🔮 Forecast:\n'));
+    try {
+      const forecast = await new DeliveryForecast().forecastProject({ byDate: argv.by, view });
+      DeliveryForecast.summarize(forecast).forEach(line => console.log(`   ${line}`));
+    } catch (error) {
+      console.log(chalk.yellow(`   ${error.message}`));
+    }
+    console.log('');
+
+    console.log(chalk.gray('─'.repeat(60)) + '\n');
+
     // Health
     const healthColor = status.health === 'ON_TRACK' ? chalk.green : chalk.red;
     console.log(chalk.bold('🎯 Health: ') + healthColor(status.health) + '\n');
 
+    // Snapshots cover the whole project, so a view does not change them;
+    // like the forecast, a failing snapshot only skips the trend
+    if (argv.snapshot !== false) {
+      const snapshots = new AnalyticsSnapshots({ basePath: path.join(process.cwd(), '.claude') });
+
+      try {
+        await snapshots.capture();
+
+        const trend = await snapshots.trend({ by: 'week', periods: 2 });
+        if (trend.regressions.length > 0) {
+          console.log(chalk.bold.yellow('📉 Since last week:\n'));
+          trend.regressions.forEach(regression => {
+            console.log(`   ${chalk.yellow('⚠')} ${snapshots.describeRegression(regression)}`);
+          });
+          console.log('');
+        }
+      } catch (error) {
+        console.log(chalk.yellow(`⚠️  Analytics snapshot skipped: ${error.message}\n`));
+      }
+    }
+
     if (status.recommendations.length > 0) {
       console.log(chalk.bold('💡 Recommendations:\n'));
       status.recommendations.forEach((rec, index) => {
@@ -502,6 +713,143 @@ async function pmValidate(argv) {
   }
 }
 
+/**
+ * Create and authenticate an issue tracker provider by name
+ * @param {string} name - Registered provider name
+ * @returns {Promise<IssueTrackerProvider>} Authenticated provider
+ */
+async function createTrackerProvider(name) {
+  const options = {};
+
+  if (name === 'github' && !process.env.GITHUB_OWNER && process.env.GITHUB_USER) {
+    options.owner = process.env.GITHUB_USER;
+  }
+
+  const provider = defaultRegistry.create(name, options);
+  await provider.authenticate();
+
+  return provider;
+}
+
+/**
+ * Provider name for pm sync: --provider, then .claude/config.json
+ * @param {Object} argv - Command arguments
+ * @returns {Promise<string|null>} Provider name, or null if none is configured
+ */
+async function resolveSyncProvider(argv) {
+  if (argv.provider) {
+    return argv.provider;
+  }
+
+  const configPath = path.join(process.cwd(), '.claude', 'config.json');
+  if (await fs.pathExists(configPath)) {
+    const config = await fs.readJson(configPath);
+    return config.provider || null;
+  }
+
+  return null;
+}
+
+/**
+ * Replay operations queued while a provider was unreachable
+ * @param {Object} argv - Command arguments
+ * @returns {Promise<Object>} SyncOutbox replay report
+ */
+async function replayOutbox(argv) {
+  const outbox = new SyncOutbox();
+  const issueService = new IssueService({ outbox });
+  const providers = new Map();
+
+  return await outbox.replay(async (operation) => {
+    if (operation.entityType !== 'issue') {
+      throw new Error(`No replay handler for ${operation.entityType} operations`);
+    }
+
+    if (!providers.has(operation.provider)) {
+      try {
+        providers.set(operation.provider, await createTrackerProvider(operation.provider));
+      } catch (error) {
+        // Keep the operations queued until the provider can be reached again
+        error.transient = defaultRegistry.has(operation.provider);
+        throw error;
+      }
+    }
+
+    return await issueService.replayOutboxOperation(operation, providers.get(operation.provider));
+  }, { dryRun: argv.dryRun });
+}
+
+/**
+ * Print the outbox replay report
+ * @param {Object} report - SyncOutbox replay report
+ * @param {Object} argv - Command arguments
+ */
+function printOutboxReport(report, argv) {
+  const describe = (operation) => `${operation.action} ${operation.entityType} #${operation.entityId} (${operation.provider})`;
+
+  if (report.replayed.length + report.failed.length + report.deferred.length === 0) {
+    return;
+  }
+
+  console.log(chalk.cyan('\n📮 Offline Outbox:\n'));
+
+  if (argv.dryRun) {
+    report.deferred.forEach(operation => console.log(chalk.gray(`  • would replay ${describe(operation)}`)));
+  } else {
+    console.log(chalk.gray(`  Replayed: ${report.replayed.length}`));
+    if (report.coalesced > 0) console.log(chalk.gray(`  Coalesced: ${report.coalesced}`));
+    if (report.deduplicated > 0) console.log(chalk.gray(`  Duplicates dropped: ${report.deduplicated}`));
+
+    if (report.skipped) {
+      console.log(chalk.yellow(`  Circuit open - ${report.deferred.length} operation(s) left queued`));
+    } else if (report.deferred.length > 0) {
+      console.log(chalk.yellow(`  Provider still unreachable - ${report.deferred.length} operation(s) left queued`));
+    }
+
+    if (report.failed.length > 0) {
+      console.log(chalk.red('\n  Failed permanently (see .claude/sync-outbox-failed.jsonl):'));
+      report.failed.forEach(record => console.log(chalk.red(`  • ${describe(record.operation)}: ${record.error}`)));
+    }
+  }
+}
+
+/**
+ * Print details of an incremental issue sync
+ * @param {Object} report - IssueService.syncChanged report
+ * @param {Object} argv - Command arguments
+ */
+function printIncrementalReport(report, argv) {
+  const since = report.full ? 'full sync' : `changes since ${report.cursor}`;
+  console.log(chalk.gray(`          ${report.provider}, ${since}`));
+
+  if (report.unlinked.length > 0) {
+    const numbers = report.unlinked.map(number => `#${number}`).join(', ');
+    console.log(chalk.yellow(`\n🔗 ${report.unlinked.length} local issue(s) not linked to ${report.provider}: ${numbers}`));
+    console.log(chalk.gray('  Re-run with --push-new to create them remotely'));
+  }
+
+  if (argv.dryRun) {
+    report.plan.forEach(step => {
+      const target = step.localNumber ? `#${step.localNumber}` : `${report.provider} #${step.remoteId}`;
+      console.log(chalk.gray(`  • would ${step.direction} issue ${target}`));
+    });
+    return;
+  }
+
+  if (report.conflicts.length > 0) {
+    const providerFlag = report.provider === 'github' ? '' : ` --provider ${report.provider}`;
+
+    console.log(chalk.yellow(`\n⚠️  ${report.conflicts.length} issue(s) changed on both sides:`));
+    report.conflicts.forEach(conflict => {
+      console.log(chalk.yellow(`  • #${conflict.localNumber}: autopm issue sync-resolve ${conflict.localNumber}${providerFlag}`));
+    });
+  }
+
+  if (report.queued.length > 0) {
+    console.log(chalk.yellow(`\n📮 ${report.queued.length} push(es) queued - provider unreachable`));
+  }
+}
+
 /**
  * PM Sync - Sync with provider
  * @param {Object} argv - Command arguments
@@ -509,18 +857,40 @@ async function pmValidate(argv) {
 async function pmSync(argv) {
   const spinner = ora('Syncing with provider...').start();
   try {
+    let outboxReport = null;
+    if (!argv.type || argv.type === 'all' || argv.type === 'issue') {
+      spinner.text = 'Replaying offline outbox...';
+      outboxReport = await replayOutbox(argv);
+      spinner.text = 'Syncing with provider...';
+    }
+
+    const providerName = await resolveSyncProvider(argv);
+    const provider = providerName ? await createTrackerProvider(providerName) : null;
+
     const utilityService = new UtilityService();
     const result = await utilityService.syncAll({
       type: argv.type || 'all',
-      dryRun: argv.dryRun
+      dryRun: argv.dryRun,
+      provider,
+      full: argv.full,
+      pushNew: argv.pushNew
     });
 
     spinner.succeed(chalk.green('Sync complete'));
     console.log(chalk.cyan('\n📊 Sync Results:\n'));
     console.log(chalk.gray(`  Epics:  ${result.synced.epics || 0}`));
-    console.log(chalk.gray(`  Issues: ${result.synced.issues || 0}`));
+    console.log(chalk.gray(`  Issues: ${result.synced.issues || 0}` +
+      (result.skipped && result.skipped.issues ? ` (${result.skipped.issues} unchanged, skipped)` : '')));
     console.log(chalk.gray(`  PRDs:   ${result.synced.prds || 0}`));
 
+    if (result.details && result.details.issues) {
+      printIncrementalReport(result.details.issues, argv);
+    }
+
+    if (outboxReport) {
+      printOutboxReport(outboxReport, argv);
+    }
+
     if (result.errors.length > 0) {
       console.log(chalk.red('\n❌ Errors:\n'));
       result.errors.forEach(err => console.log(chalk.red(`  • ${err}`)));
@@ -570,6 +940,19 @@ async function pmClean(argv) {
  * @param {Object} argv - Command arguments
  */
 async function pmSearch(argv) {
+  if (argv.views || argv.save || argv.view || argv.deleteView) {
+    return pmSavedSearch(argv);
+  }
+
+  if (!argv.query) {
+    console.error(chalk.red('\nError: A search query is required (or use --view <name>)\n'));
+    process.exit(1);
+  }
+
+  if (argv.ql) {
+    return pmQuery(argv);
+  }
+
   const spinner = ora('Searching...').start();
   try {
     const utilityService = new UtilityService();
@@ -612,6 +995,147 @@ async function pmSearch(argv) {
   }
 }
 
+/**
+ * PM Search with the structured query language
+ * @param {Object} argv - Command arguments
+ */
+async function pmQuery(argv) {
+  try {
+    const utilityService = new UtilityService();
+    const types = argv.type && argv.type !== 'all' ? [argv.type] : undefined;
+    const { results, fields } = await utilityService.queryEntities(argv.query, { types });
+
+    printQueryResults(results, fields, argv);
+  } catch (error) {
+    console.error(chalk.red(`\nError: ${error.message}\n`));
+    process.exit(1);
+  }
+}
+
+/**
+ * PM Search with saved searches: list, save, delete or run a view
+ * @param {Object} argv - Command arguments
+ */
+async function pmSavedSearch(argv) {
+  try {
+    const store = new SavedSearchStore();
+
+    if (argv.views) {
+      const searches = await store.list();
+
+      if (searches.length === 0) {
+        console.log(chalk.yellow('\nNo saved searches. Save one with: autopm pm search "<query>" --save <name>\n'));
+        return;
+      }
+
+      console.log(chalk.bold(`\n🔖 Saved Searches (${searches.length})\n`));
+      searches.forEach(search => {
+        console.log(`  ${chalk.cyan(search.name)}  ${search.query}`);
+        if (search.description) {
+          console.log(chalk.gray(`    ${search.description}`));
+        }
+      });
+      console.log('');
+      return;
+    }
+
+    if (argv.deleteView) {
+      const removed = await store.remove(argv.deleteView);
+      console.log(removed
+        ? chalk.green(`\n✅ Deleted saved search ${argv.deleteView}\n`)
+        : chalk.yellow(`\nSaved search not found: ${argv.deleteView}\n`));
+      return;
+    }
+
+    if (argv.save) {
+      if (!argv.query) {
+        throw new Error('A query is required to save a search');
+      }
+
+      const types = argv.type && argv.type !== 'all' ? [argv.type] : undefined;
+      const search = await store.save(argv.save, argv.query, { description: argv.description, types });
+
+      console.log(chalk.green(`\n✅ Saved search ${search.name}: ${search.query}\n`));
+      console.log(chalk.dim(`Run it with: autopm pm search --view ${search.name}\n`));
+      return;
+    }
+
+    const utilityService = new UtilityService();
+    const { query, results, fields } = await utilityService.runSavedSearch(argv.view, {
+      variables: parseVariables(argv.var)
+    });
+
+    if (!argv.json) {
+      console.log(chalk.gray(`\nView: ${argv.view} (${query})`));
+    }
+    printQueryResults(results, fields, argv);
+  } catch (error) {
+    console.error(chalk.red(`\nError: ${error.message}\n`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Print query-language search results
+ * @param {Array} results - Entity summaries or projected rows
+ * @param {string[]|null} fields - Projected fields
+ * @param {Object} argv - Command arguments
+ */
+function printQueryResults(results, fields, argv) {
+  if (argv.json) {
+    console.log(JSON.stringify(results, null, 2));
+    return;
+  }
+
+  console.log(chalk.cyan(`\n🔍 ${results.length} matches\n`));
+
+  if (results.length === 0) {
+    console.log(chalk.gray('  No matches found\n'));
+    return;
+  }
+
+  if (fields) {
+    console.log(chalk.bold('  ' + fields.join('  |  ')));
+    results.forEach(row => {
+      const values = fields.map(field => {
+        const value = row[field];
+        return Array.isArray(value) ? value.join(', ') : (value === null ? '-' : String(value));
+      });
+      console.log('  ' + values.join('  |  '));
+    });
+  } else {
+    results.forEach(item => {
+      const status = item.status ? chalk.yellow(` [${item.status}]`) : '';
+      console.log(chalk.gray(`  • ${item.type} ${item.id}: ${item.title}`) + status);
+    });
+  }
+  console.log('');
+}
+
+/**
+ * PM Export - Export entities, optionally a saved search or query
+ * @param {Object} argv - Command arguments
+ */
+async function pmExport(argv) {
+  const spinner = ora('Exporting...').start();
+  try {
+    const utilityService = new UtilityService();
+    const result = await utilityService.exportToFormat(argv.format, {
+      type: argv.type,
+      output: argv.output,
+      view: argv.view,
+      query: argv.query,
+      variables: parseVariables(argv.var)
+    });
+
+    spinner.succeed(chalk.green(`Exported ${result.count} entities to ${result.path}`));
+  } catch (error) {
+    spinner.fail(chalk.red('Export failed'));
+    console.error(chalk.red(`\nError: ${error.message}\n`));
+    process.exit(1);
+  }
+}
+
 /**
  * PM Import - Import from external source
  * @param {Object} argv - Command arguments
@@ -654,10 +1178,30 @@ function builder(yargs) {
       'Get next priority task',
       (yargs) => {
         return yargs
-          .example('autopm pm next', 'Show next priority task to work on');
+          .option('for', { type: 'string', desc: 'Team member whose skills are matched (default: @me)' })
+          .option('scheduled', { type: 'boolean', default: false, desc: 'Follow the team schedule instead of the score' })
+          .option('explain', { type: 'boolean', default: false, desc: 'Show the score breakdown (and planned queue with --scheduled)' })
+          .option('top', { type: 'number', default: 3, desc: 'Number of tasks or candidates to explain' })
+          .example('autopm pm next', 'Show next priority task to work on')
+          .example('autopm pm next --scheduled --for alice', 'Next task in the schedule for alice')
+          .example('autopm pm next --explain --top 5', 'Why the top 5 candidates score as they do');
       },
       pmNext
     )
+    .command(
+      'schedule [epic]',
+      'Plan who works on which task and when',
+      (yargs) => {
+        return yargs
+          .positional('epic', { type: 'string', desc: 'Plan one epic and its prerequisites (default: all epics)' })
+          .option('format', { type: 'string', choices: SchedulePlanner.FORMATS, default: 'ascii', desc: 'Output format' })
+          .option('start', { type: 'string', desc: 'First day of the plan (YYYY-MM-DD, default: today)' })
+          .option('output', { alias: 'o', type: 'string', desc: 'Write to a file' })
+          .example('autopm pm schedule', 'Gantt chart of all remaining work')
+          .example('autopm pm schedule user-auth --format mermaid', 'Mermaid gantt for one epic');
+      },
+      pmSchedule
+    )
     .command(
       'what-next',
       'AI-powered next step suggestions',
@@ -672,7 +1216,16 @@ function builder(yargs) {
       'Generate daily standup report',
       (yargs) => {
         return yargs
-          .example('autopm pm standup', 'Generate daily standup summary');
+          .option('view', { type: 'string', desc: 'Scope the report to a saved search' })
+          .option('var', { type: 'array', desc: 'Saved search variable (name=value), e.g. --var me=alice' })
+          .option('for', { type: 'string', desc: 'Only the work of this assignee' })
+          .option('format', { type: 'string', choices: StandupHistory.FORMATS, desc: 'Print as Markdown, Slack mrkdwn or JSON' })
+          .option('date', { type: 'string', desc: 'Show the standup archived on this date (YYYY-MM-DD)' })
+          .option('archive', { type: 'boolean', default: true, desc: 'Archive the standup in .claude/standups/' })
+          .example('autopm pm standup', 'Generate daily standup summary')
+          .example('autopm pm standup --view my-team', 'Standup for the entities of a saved search')
+          .example('autopm pm standup --for alice --format slack', 'Alice\'s standup as a Slack message')
+          .example('autopm pm standup --date 2025-03-07 --format markdown', 'An archived standup, for a retrospective');
       },
       pmStandup
     )
@@ -681,7 +1234,13 @@ function builder(yargs) {
       'Project status overview',
       (yargs) => {
         return yargs
-          .example('autopm pm status', 'Show overall project health and metrics');
+          .option('view', { type: 'string', desc: 'Scope the report to a saved search' })
+          .option('var', { type: 'array', desc: 'Saved search variable (name=value), e.g. --var me=alice' })
+          .option('by', { type: 'string', desc: 'Forecast how many tasks are done by this date (YYYY-MM-DD)' })
+          .option('snapshot', { type: 'boolean', default: true, desc: 'Record today\'s analytics snapshot (.claude/analytics/snapshots.jsonl)' })
+          .example('autopm pm status', 'Show overall project health and metrics')
+          .example('autopm pm status --by 2025-12-01', 'Also forecast tasks done by a date')
+          .example('autopm pm status --view current-sprint', 'Status of the entities of a saved search');
       },
       pmStatus
     )
@@ -734,7 +1293,12 @@ function builder(yargs) {
         return yargs
           .option('type', { type: 'string', choices: ['all', 'epic', 'issue', 'prd'], default: 'all', desc: 'Entity type to sync' })
           .option('dry-run', { type: 'boolean', desc: 'Preview changes without applying' })
+          .option('provider', { type: 'string', desc: 'Issue tracker (default: provider in .claude/config.json)' })
+          .option('full', { type: 'boolean', desc: 'Ignore sync cursors and re-check every issue' })
+          .option('push-new', { type: 'boolean', desc: 'Create remote items for local issues not linked yet' })
           .example('autopm pm sync', 'Sync all entities')
+          .example('autopm pm sync --full', 'Full issue sync, e.g. after restoring .claude')
+          .example('autopm pm sync --push-new', 'Also create local-only issues in the tracker')
           .example('autopm pm sync --type epic --dry-run', 'Preview epic sync');
       },
       pmSync
@@ -752,7 +1316,7 @@ function builder(yargs) {
       pmClean
     )
     .command(
-      'search <query>',
+      'search [query]',
       'Search entities',
       (yargs) => {
         return yargs
@@ -760,11 +1324,39 @@ function builder(yargs) {
           .option('type', { type: 'string', choices: ['all', 'epic', 'issue', 'prd'], default: 'all', desc: 'Entity type' })
           .option('regex', { type: 'boolean', desc: 'Use regex pattern' })
           .option('status', { type: 'string', desc: 'Filter by status' })
+          .option('ql', { type: 'boolean', desc: 'Treat the query as a structured expression (field:value, AND/OR/NOT, ranges, sort:, fields:)' })
+          .option('json', { type: 'boolean', desc: 'Output query results as JSON (with --ql or --view)' })
+          .option('save', { type: 'string', desc: 'Save the query as a named search (query language, may use @me, @today, @sprint)' })
+          .option('description', { type: 'string', desc: 'Description of a saved search (with --save)' })
+          .option('view', { type: 'string', desc: 'Run a saved search' })
+          .option('views', { type: 'boolean', desc: 'List saved searches' })
+          .option('delete-view', { type: 'string', desc: 'Delete a saved search' })
+          .option('var', { type: 'array', desc: 'Saved search variable (name=value), e.g. --var sprint="Sprint 12"' })
           .example('autopm pm search "auth"', 'Search for "auth"')
-          .example('autopm pm search --regex "user.*api"', 'Regex search');
+          .example('autopm pm search --regex "user.*api"', 'Regex search')
+          .example('autopm pm search --ql "status:active AND (priority:high OR label:security) AND NOT epic:legacy"', 'Boolean query')
+          .example('autopm pm search --ql "type:task effort:2d..5d sort:-updated fields:id,title,effort"', 'Range, sorting and projection')
+          .example('autopm pm search "assignee:@me status:in_progress" --save my-work', 'Save a search')
+          .example('autopm pm search --view my-work', 'Run a saved search');
       },
       pmSearch
     )
+    .command(
+      'export <format>',
+      'Export entities to a file',
+      (yargs) => {
+        return yargs
+          .positional('format', { type: 'string', choices: ['json', 'csv', 'markdown'], describe: 'Export format' })
+          .option('type', { type: 'string', choices: ['all', 'epic', 'issue', 'prd'], default: 'all', desc: 'Entity type' })
+          .option('output', { type: 'string', desc: 'Output file (default: export-<timestamp>.<format>)' })
+          .option('view', { type: 'string', desc: 'Export the entities of a saved search' })
+          .option('query', { type: 'string', desc: 'Export the entities matching a query-language expression' })
+          .option('var', { type: 'array', desc: 'Saved search variable (name=value)' })
+          .example('autopm pm export csv --view current-sprint', 'Export a saved search as CSV')
+          .example('autopm pm export json --query "status:blocked fields:id,title,blocked_reason"', 'Export projected rows');
+      },
+      pmExport
+    )
     .command(
       'import <source>',
       'Import from external source',
@@ -796,6 +1388,7 @@ module.exports = {
       console.log('Usage: autopm pm <command>\n');
       console.log('Available commands:');
       console.log('  next              Get next priority task');
+      console.log('  schedule          Plan tasks across the team (Gantt)');
       console.log('  what-next         AI-powered next step suggestions');
       console.log('  standup           Generate daily standup report');
       console.log('  status            Project status overview');
@@ -806,12 +1399,14 @@ module.exports = {
       console.log('  sync              Sync with provider');
       console.log('  clean             Clean old artifacts');
       console.log('  search            Search entities');
+      console.log('  export            Export entities (optionally a saved search)');
       console.log('  import            Import from external source');
       console.log('\nUse: autopm pm <command> --help for more info\n');
     }
   },
   handlers: {
     next: pmNext,
+    schedule: pmSchedule,
     whatNext: pmWhatNext,
     standup: pmStandup,
     status: pmStatus,
@@ -822,6 +1417,7 @@ module.exports = {
     sync: pmSync,
     clean: pmClean,
     search: pmSearch,
+    export: pmExport,
     import: pmImport
   }
 };
@@ -0,0 +1,398 @@
+/**
+ * CLI Sprint Commands
+ *
+ * Plan and run sprints: time boxes with a goal and committed work, stored
+ * in .claude/sprints/ by SprintService.
+ *
+ * Commands:
+ * - plan <name>: Create a sprint and commit tasks to it
+ * - add/remove <name> <refs..>: Change the scope of a sprint
+ * - start <name>: Start a sprint and make it the current one (@sprint)
+ * - review <name>: Progress, scope changes and burndown
+ * - close <name>: Close a sprint and carry unfinished work over
+ * - list / show <name>: Browse sprints
+ * - sync <name>: Publish a sprint as a GitHub milestone or Azure iteration
+ *
+ * @module cli/commands/sprint
+ * @requires ../../services/SprintService
+ * @requires ../../services/IssueService
+ * @requires ../../providers/ProviderRegistry
+ * @requires ../../burndown-chart
+ * @requires chalk
+ */
+
+const SprintService = require('../../services/SprintService');
+const IssueService = require('../../services/IssueService');
+const { defaultRegistry } = require('../../providers/ProviderRegistry');
+const BurndownChart = require('../../burndown-chart');
+const chalk = require('chalk');
+
+const STATUS_COLORS = { planned: chalk.cyan, active: chalk.green, closed: chalk.gray };
+
+/**
+ * One-line sprint summary
+ * @param {Object} sprint - Sprint
+ * @returns {string} Summary
+ */
+function describeSprint(sprint) {
+  const color = STATUS_COLORS[sprint.status] || chalk.white;
+  const goal = sprint.goal ? `  ${sprint.goal}` : '';
+
+  return `${chalk.bold(sprint.name)}  ${color(sprint.status)}  ${sprint.start} → ${sprint.end}  ` +
+    `${sprint.tasks.length} item(s)${goal}`;
+}
+
+/**
+ * Plan a sprint
+ * @param {Object} argv - Command arguments
+ */
+async function sprintPlan(argv) {
+  try {
+    const sprint = await new SprintService().plan(argv.name, {
+      start: argv.start,
+      end: argv.end,
+      goal: argv.goal,
+      tasks: argv.tasks || []
+    });
+
+    console.log(chalk.green(`\n✅ Sprint planned: ${describeSprint(sprint)}\n`));
+    console.log(chalk.dim(`Add work: autopm sprint add ${sprint.name} <epic/task-id|#issue>   Start: autopm sprint start ${sprint.name}\n`));
+  } catch (error) {
+    console.error(chalk.red(`\nError: ${error.message}`));
+  }
+}
+
+/**
+ * Add items to a sprint
+ * @param {Object} argv - Command arguments
+ */
+async function sprintAdd(argv) {
+  try {
+    const sprint = await new SprintService().addTasks(argv.name, argv.refs);
+    console.log(chalk.green(`\n✅ ${describeSprint(sprint)}\n`));
+  } catch (error) {
+    console.error(chalk.red(`\nError: ${error.message}`));
+  }
+}
+
+/**
+ * Remove items from a sprint
+ * @param {Object} argv - Command arguments
+ */
+async function sprintRemove(argv) {
+  try {
+    const sprint = await new SprintService().removeTasks(argv.name, argv.refs);
+    console.log(chalk.green(`\n✅ ${describeSprint(sprint)}\n`));
+  } catch (error) {
+    console.error(chalk.red(`\nError: ${error.message}`));
+  }
+}
+
+/**
+ * Start a sprint
+ * @param {Object} argv - Command arguments
+ */
+async function sprintStart(argv) {
+  try {
+    const sprint = await new SprintService().start(argv.name);
+
+    console.log(chalk.green(`\n🚀 Sprint started: ${describeSprint(sprint)}`));
+    console.log(chalk.dim(`Committed ${sprint.committed.length} item(s). @sprint now resolves to ${sprint.name}.\n`));
+  } catch (error) {
+    console.error(chalk.red(`\nError: ${error.message}`));
+  }
+}
+
+/**
+ * Review sprint progress
+ * @param {Object} argv - Command arguments
+ */
+async function sprintReview(argv) {
+  try {
+    const review = await new SprintService().review(argv.name);
+
+    console.log(chalk.bold(`\n🏃 Sprint Review: ${review.name}`) + (review.goal ? ` - ${review.goal}` : ''));
+    console.log(chalk.gray('─'.repeat(50)));
+    console.log(`${chalk.bold('Dates:    ')} ${review.start} → ${review.end} (${review.status})`);
+    console.log(`${chalk.bold('Elapsed:  ')} day ${review.elapsed.days} of ${review.elapsed.total} (${review.elapsed.percent}%)`);
+    console.log(`${chalk.bold('Done:     ')} ${review.completed}/${review.items.length} items (${review.percent}%), ` +
+      `${review.hours.completed}/${review.hours.total}h (${review.hours.percent}%)`);
+    console.log(`${chalk.bold('Scope:    ')} ${review.committed} committed, +${review.added.length} added, -${review.removed.length} removed`);
+    console.log(`${chalk.bold('Status:   ')} ${review.onTrack ? chalk.green('ON TRACK') : chalk.yellow('BEHIND')}`);
+
+    if (review.items.length > 0) {
+      console.log(chalk.bold('\nItems:'));
+      for (const item of review.items) {
+        const mark = item.status === 'completed' ? chalk.green('✓') : chalk.gray('○');
+        const added = item.added ? chalk.yellow(' (added)') : '';
+        console.log(`  ${mark} ${item.ref}  ${item.title}  ${chalk.dim(`${item.status}, ${item.hours}h`)}${added}`);
+      }
+    }
+
+    if (review.carriedOver.length > 0) {
+      console.log(chalk.bold('\nCarried over: ') + review.carriedOver.join(', '));
+    }
+
+    if (review.items.length > 0 && argv.chart) {
+      console.log('\n' + await new BurndownChart().generateSprint(review.name, { unit: argv.unit }));
+    }
+
+    console.log();
+  } catch (error) {
+    console.error(chalk.red(`\nError: ${error.message}`));
+  }
+}
+
+/**
+ * Close a sprint
+ * @param {Object} argv - Command arguments
+ */
+async function sprintClose(argv) {
+  try {
+    const result = await new SprintService().close(argv.name, { carryOverTo: argv.carryOverTo });
+
+    console.log(chalk.green(`\n✅ Sprint closed: ${argv.name}`));
+    console.log(`   Completed:    ${result.completed.length} item(s)`);
+
+    if (result.carriedOver.length > 0) {
+      const destination = result.carriedTo ? `to ${result.carriedTo}` : 'back to the backlog';
+      console.log(`   Carried over: ${result.carriedOver.length} item(s) ${destination}`);
+    }
+
+    console.log();
+  } catch (error) {
+    console.error(chalk.red(`\nError: ${error.message}`));
+  }
+}
+
+/**
+ * List sprints
+ * @param {Object} argv - Command arguments
+ */
+async function sprintList(argv) {
+  try {
+    const sprints = await new SprintService().list({ status: argv.status });
+
+    if (sprints.length === 0) {
+      console.log(chalk.yellow('\nNo sprints found.\n'));
+      console.log(chalk.dim('Plan one: autopm sprint plan <name> --start YYYY-MM-DD --end YYYY-MM-DD\n'));
+      return;
+    }
+
+    console.log(chalk.bold(`\n🏃 Sprints (${sprints.length})\n`));
+    for (const sprint of sprints) {
+      console.log(`  ${describeSprint(sprint)}`);
+    }
+    console.log();
+  } catch (error) {
+    console.error(chalk.red(`\nError: ${error.message}`));
+  }
+}
+
+/**
+ * Show one sprint
+ * @param {Object} argv - Command arguments
+ */
+async function sprintShow(argv) {
+  try {
+    const sprint = await new SprintService().get(argv.name);
+
+    console.log(`\n${describeSprint(sprint)}\n`);
+
+    for (const ref of sprint.tasks) {
+      console.log(`  ${ref}`);
+    }
+
+    if (sprint.carriedFrom) {
+      console.log(chalk.dim(`\nCarried over from ${sprint.carriedFrom}`));
+    }
+
+    for (const [provider, remote] of Object.entries(sprint.remote || {})) {
+      console.log(chalk.dim(`${provider}: ${remote.name} (${remote.url || remote.id})`));
+    }
+
+    console.log();
+  } catch (error) {
+    console.error(chalk.red(`\nError: ${error.message}`));
+  }
+}
+
+/**
+ * Publish a sprint to a tracker
+ * @param {Object} argv - Command arguments
+ */
+async function sprintSync(argv) {
+  try {
+    const provider = defaultRegistry.create(argv.provider);
+    await provider.authenticate();
+
+    const result = await new SprintService().syncToProvider(argv.name, provider, {
+      issueService: new IssueService({ provider })
+    });
+
+    console.log(chalk.green(`\n✅ Sprint ${argv.name} synced to ${result.provider}: ${result.iteration.name}`));
+
+    if (result.iteration.url) {
+      console.log(chalk.dim(`   ${result.iteration.url}`));
+    }
+
+    for (const issue of result.issues) {
+      const mark = issue.success ? chalk.green('✓') : chalk.red('✗');
+      console.log(`   ${mark} ${issue.ref}${issue.error ? chalk.red(` ${issue.error}`) : ''}`);
+    }
+
+    if (result.skipped.length > 0) {
+      console.log(chalk.dim(`   ${result.skipped.length} epic task(s) are not tracker items and were skipped`));
+    }
+
+    console.log();
+  } catch (error) {
+    console.error(chalk.red(`\nError: ${error.message}`));
+  }
+}
+
+/**
+ * Command builder - registers all subcommands
+ * @param {Object} yargs - Yargs instance
+ * @returns {Object} Configured yargs instance
+ */
+function builder(yargs) {
+  const nameArg = (y) => y.positional('name', { describe: 'Sprint name', type: 'string' });
+  const refsArg = (y) => nameArg(y).positional('refs', {
+    describe: 'Work items: epic/task-id or #issue',
+    type: 'string',
+    array: true
+  });
+
+  return yargs
+    .command(
+      'plan <name>',
+      'Plan a sprint',
+      (yargs) => {
+        return nameArg(yargs)
+          .option('start', {
+            describe: 'First day (YYYY-MM-DD, default: today)',
+            type: 'string'
+          })
+          .option('end', {
+            describe: 'Last day (YYYY-MM-DD, default: two weeks)',
+            type: 'string'
+          })
+          .option('goal', {
+            describe: 'Sprint goal',
+            type: 'string'
+          })
+          .option('tasks', {
+            describe: 'Work items to commit (epic/task-id or #issue)',
+            type: 'array',
+            string: true
+          })
+          .example('autopm sprint plan sprint-12 --start 2025-03-03 --end 2025-03-14 --goal "Ship login"', 'Plan a two-week sprint')
+          .example('autopm sprint plan sprint-12 --tasks auth/task-001 "#42"', 'Plan with committed work');
+      },
+      sprintPlan
+    )
+    .command('add <name> <refs..>', 'Add work items to a sprint', refsArg, sprintAdd)
+    .command('remove <name> <refs..>', 'Remove work items from a sprint', refsArg, sprintRemove)
+    .command('start <name>', 'Start a sprint', nameArg, sprintStart)
+    .command(
+      'review <name>',
+      'Review sprint progress',
+      (yargs) => {
+        return nameArg(yargs)
+          .option('chart', {
+            describe: 'Show the sprint burndown',
+            type: 'boolean',
+            default: true
+          })
+          .option('unit', {
+            describe: 'Burndown weight',
+            type: 'string',
+            choices: ['tasks', 'hours', 'points'],
+            default: 'tasks'
+          });
+      },
+      sprintReview
+    )
+    .command(
+      'close <name>',
+      'Close a sprint',
+      (yargs) => {
+        return nameArg(yargs)
+          .option('carry-over-to', {
+            describe: 'Sprint that receives unfinished work (created if missing)',
+            type: 'string'
+          })
+          .example('autopm sprint close sprint-12 --carry-over-to sprint-13', 'Move unfinished work to the next sprint');
+      },
+      sprintClose
+    )
+    .command(
+      'list',
+      'List sprints',
+      (yargs) => {
+        return yargs
+          .option('status', {
+            describe: 'Only sprints with this status',
+            type: 'string',
+            choices: ['planned', 'active', 'closed']
+          });
+      },
+      sprintList
+    )
+    .command('show <name>', 'Show a sprint', nameArg, sprintShow)
+    .command(
+      'sync <name>',
+      'Publish a sprint as a GitHub milestone or Azure iteration',
+      (yargs) => {
+        return nameArg(yargs)
+          .option('provider', {
+            describe: 'Provider to sync with',
+            type: 'string',
+            choices: defaultRegistry.list().map(p => p.name),
+            default: 'github'
+          });
+      },
+      sprintSync
+    )
+    .demandCommand(1, 'You must specify a sprint command')
+    .strictCommands()
+    .help();
+}
+
+/**
+ * Command export
+ */
+module.exports = {
+  command: 'sprint',
+  describe: 'Plan, run and close sprints',
+  builder,
+  handler: (argv) => {
+    if (!argv._.includes('sprint') || argv._.length === 1) {
+      console.log(chalk.yellow('\nPlease specify a sprint command\n'));
+      console.log('Usage: autopm sprint <command>\n');
+      console.log('Available commands:');
+      console.log('  plan <name>            Plan a sprint');
+      console.log('  add <name> <refs..>    Add work items');
+      console.log('  remove <name> <refs..> Remove work items');
+      console.log('  start <name>           Start a sprint');
+      console.log('  review <name>          Review progress and burndown');
+      console.log('  close <name>           Close and carry over unfinished work');
+      console.log('  list                   List sprints');
+      console.log('  show <name>            Show a sprint');
+      console.log('  sync <name>            Publish to GitHub/Azure');
+      console.log('\nUse: autopm sprint <command> --help for more info\n');
+    }
+  },
+  handlers: {
+    plan: sprintPlan,
+    add: sprintAdd,
+    remove: sprintRemove,
+    start: sprintStart,
+    review: sprintReview,
+    close: sprintClose,
+    list: sprintList,
+    show: sprintShow,
+    sync: sprintSync
+  }
+};
@@ -2,10 +2,11 @@
  * CLI Task Commands
  *
  * Provides task management commands for epic-based workflows.
- * Implements subcommands for list and prioritize operations.
+ * Implements subcommands for list, prioritize and status operations.
  *
  * @module cli/commands/task
  * @requires ../../services/TaskService
+ * @requires ../../services/EpicService
  * @requires fs-extra
  * @requires ora
  * @requires chalk
@@ -14,6 +15,7 @@
 
 const TaskService = require('../../services/TaskService');
 const PRDService = require('../../services/PRDService');
+const EpicService = require('../../services/EpicService');
 const fs = require('fs-extra');
 const ora = require('ora');
 const chalk = require('chalk');
@@ -127,13 +129,31 @@ async function taskPrioritize(argv) {
   }
 }
 
+/**
+ * Change the status of a task file in an epic directory
+ * @param {Object} argv - Command arguments
+ */
+async function taskStatus(argv) {
+  const spinner = ora(`Updating task ${argv.epic}/${argv.task}`).start();
+
+  try {
+    const epicService = new EpicService();
+    await epicService.updateTaskStatus(argv.epic, argv.task, argv.status);
+
+    spinner.succeed(chalk.green(`Task ${argv.epic}/${argv.task} is now ${argv.status}`));
+  } catch (error) {
+    spinner.fail(chalk.red('Failed to update task status'));
+    console.error(chalk.red(`\nError: ${error.message}`));
+  }
+}
+
 /**
  * Main command handler
  * @param {Object} argv - Command arguments
  */
 async function handler(argv) {
   // Validate action
-  const validActions = ['list', 'prioritize'];
+  const validActions = ['list', 'prioritize', 'status'];
 
   if (!validActions.includes(argv.action)) {
     console.error(chalk.red(`\nError: Unknown action: ${argv.action}`));
@@ -150,6 +170,9 @@ async function handler(argv) {
       case 'prioritize':
         await taskPrioritize(argv);
         break;
+      case 'status':
+        await taskStatus(argv);
+        break;
     }
   } catch (error) {
     // Global error handler for unexpected errors
@@ -186,6 +209,25 @@ function builder(yargs) {
           });
       }
     )
+    .command(
+      'status <epic> <task> <status>',
+      'Change the status of a task',
+      (yargs) => {
+        return yargs
+          .positional('epic', {
+            describe: 'Epic directory name',
+            type: 'string'
+          })
+          .positional('task', {
+            describe: 'Task number (e.g. 3 or 003)',
+            type: 'string'
+          })
+          .positional('status', {
+            describe: 'New status (e.g. in-progress, blocked, completed)',
+            type: 'string'
+          });
+      }
+    )
     .demandCommand(1, 'You must specify a task action')
     .strictCommands()
     .help();
@@ -201,6 +243,7 @@ module.exports = {
   handler,
   handlers: {
     list: taskList,
-    prioritize: taskPrioritize
+    prioritize: taskPrioritize,
+    status: taskStatus
   }
 };
@@ -275,7 +275,8 @@ class ConfigManager {
    * @throws {Error} If configuration is invalid
    */
   validateProvider(config) {
-    if (!config.model) {
+    // Routers use the models of the providers they route to
+    if (!config.model && config.type !== 'router') {
       throw new Error('Provider configuration must have model');
     }
 
@@ -297,6 +298,14 @@ class ConfigManager {
         throw new Error('Rate limit interval must be one of: second, minute, hour');
       }
     }
+
+    if (config.cost !== undefined && (typeof config.cost !== 'number' || config.cost < 0)) {
+      throw new Error('cost must be a non-negative number');
+    }
+
+    if (config.baseUrl !== undefined && !/^https?:\/\/\S+$/.test(config.baseUrl)) {
+      throw new Error('baseUrl must be an http:// or https:// URL');
+    }
   }
 
   /**
@@ -4,6 +4,15 @@
  * Logs conflict resolutions with timestamps and provides undo/replay functionality.
  * Supports both in-memory and file-based storage.
  *
+ * File storage is an append-only JSONL journal (`.claude/conflict-history.jsonl`):
+ * one `log` record per resolution and one `undo` record per revert. Entries are
+ * indexed by entity type and ID, and when a resolution is logged with the
+ * pre-resolution file content, `undo()` writes that content back to disk.
+ * A hash of the resolved content is kept with the entry so `undo()` refuses
+ * to overwrite a file edited since the resolution unless forced.
+ * History kept in the legacy JSON array format (`.claude/.conflict-history.json`)
+ * is migrated to the journal the first time it is loaded.
+ *
  * @example
  * const ConflictHistory = require('./lib/conflict-history');
  *
@@ -12,12 +21,18 @@
  * });
  *
  * // Log a conflict resolution
- * const logId = history.log(conflict, resolution);
+ * const logId = history.log(conflict, resolution, {
+ *   entityType: 'issue',
+ *   entityId: '12',
+ *   filePath: '.claude/issues/12.md',
+ *   previousContent
+ * });
  *
  * // Retrieve history with filters
  * const recentConflicts = history.getHistory({ strategy: 'newest' });
+ * const issueConflicts = history.getByEntity('issue', '12');
  *
- * // Undo a resolution
+ * // Undo a resolution (restores .claude/issues/12.md)
  * const undone = history.undo(logId);
  *
  * // Replay with different strategy
@@ -28,17 +43,22 @@ const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 
+const DEFAULT_STORAGE_PATH = '.claude/conflict-history.jsonl';
+
+// JSON array file written before the journal format
+const LEGACY_STORAGE_PATH = '.claude/.conflict-history.json';
+
 class ConflictHistory {
   /**
    * Create a new ConflictHistory instance
    *
    * @param {Object} options - Configuration options
    * @param {string} options.storage - Storage type ('memory' or 'file') (default: 'memory')
-   * @param {string} options.storagePath - Path to storage file (default: '.claude/.conflict-history.json')
+   * @param {string} options.storagePath - Path to journal file (default: '.claude/conflict-history.jsonl')
    */
   constructor(options = {}) {
     // Validate and sanitize storagePath to prevent path traversal
-    let storagePath = options.storagePath || '.claude/.conflict-history.json';
+    let storagePath = options.storagePath || DEFAULT_STORAGE_PATH;
 
     // Resolve path and check for path traversal attempts using a trusted base directory
     const baseDir = process.cwd();
@@ -52,9 +72,15 @@ class ConflictHistory {
       storagePath: resolvedPath
     };
 
+    // History written before the journal format, migrated on first load
+    this.legacyPath = options.storagePath ? null : path.resolve(baseDir, LEGACY_STORAGE_PATH);
+
     // In-memory storage
     this.conflicts = new Map();
 
+    // Entity index: "<entityType>:<entityId>" -> Set of log IDs
+    this.entityIndex = new Map();
+
     // Load from file if using file storage
     if (this.options.storage === 'file') {
       this._loadFromFile();
@@ -69,15 +95,25 @@ class ConflictHistory {
    * @param {string} resolution.strategy - Strategy used
    * @param {string} resolution.chosenContent - Resolved content
    * @param {Date} resolution.timestamp - Resolution timestamp (optional)
+   * @param {Object} [context={}] - Entity the resolution was applied to
+   * @param {string} [context.entityType] - Entity type ('prd', 'epic', 'issue')
+   * @param {string} [context.entityId] - Entity identifier
+   * @param {string} [context.filePath] - File the resolution was written to
+   * @param {string} [context.previousContent] - File content before the resolution (enables undo on disk)
+   * @param {string} [context.resolvedContent] - File content after the resolution (default: read from filePath)
+   * @param {string} [context.sessionId] - Groups resolutions applied together; undone together
    * @returns {string} Unique log ID
    */
-  log(conflict, resolution) {
+  log(conflict, resolution, context = {}) {
     // Generate unique ID
     const logId = this._generateId();
 
     // Add timestamp if not provided
     const timestamp = resolution.timestamp || new Date();
 
+    const filePath = context.filePath || conflict.filePath || null;
+    const previousContent = typeof context.previousContent === 'string' ? context.previousContent : null;
+
     // Store conflict and resolution
     const entry = {
       id: logId,
@@ -86,14 +122,21 @@ class ConflictHistory {
         ...resolution,
         timestamp
       },
+      entityType: context.entityType || conflict.entityType || null,
+      entityId: this._toId(context.entityId !== undefined ? context.entityId : conflict.entityId),
+      filePath,
+      previousContent,
+      resolvedHash: previousContent !== null ? this._resolvedHash(filePath, context.resolvedContent) : null,
+      sessionId: context.sessionId || null,
+      undoneAt: null,
       createdAt: new Date()
     };
 
-    this.conflicts.set(logId, entry);
+    this._addEntry(entry);
 
     // Persist to file if using file storage
     if (this.options.storage === 'file') {
-      this._saveToFile();
+      this._appendRecord({ type: 'log', entry });
     }
 
     return logId;
@@ -105,12 +148,17 @@ class ConflictHistory {
    * @param {Object} filters - Filter criteria
    * @param {string} filters.strategy - Filter by resolution strategy
    * @param {string} filters.filePath - Filter by file path
+   * @param {string} filters.entityType - Filter by entity type
+   * @param {string} filters.entityId - Filter by entity ID
+   * @param {boolean} filters.undone - Only undone (true) or active (false) resolutions
    * @param {Date} filters.after - Filter by date (after)
    * @param {Date} filters.before - Filter by date (before)
    * @returns {Array<Object>} Filtered conflict history entries
    */
   getHistory(filters = {}) {
-    let results = Array.from(this.conflicts.values());
+    let results = filters.entityType && filters.entityId !== undefined
+      ? this._entityEntries(filters.entityType, filters.entityId)
+      : Array.from(this.conflicts.values());
 
     // Apply filters
     if (filters.strategy) {
@@ -121,7 +169,25 @@ class ConflictHistory {
 
     if (filters.filePath) {
       results = results.filter(entry =>
-        entry.conflict.filePath === filters.filePath
+        (entry.filePath || entry.conflict.filePath) === filters.filePath
+      );
+    }
+
+    if (filters.entityType) {
+      results = results.filter(entry =>
+        entry.entityType === filters.entityType
+      );
+    }
+
+    if (filters.entityId !== undefined && filters.entityId !== null) {
+      results = results.filter(entry =>
+        entry.entityId === this._toId(filters.entityId)
+      );
+    }
+
+    if (filters.undone !== undefined) {
+      results = results.filter(entry =>
+        !!entry.undoneAt === filters.undone
       );
     }
 
@@ -144,39 +210,119 @@ class ConflictHistory {
   }
 
   /**
-   * Undo a conflict resolution
+   * Get all resolutions logged for an entity (newest first)
    *
-   * Retrieves the original conflict state before resolution.
+   * @param {string} entityType - Entity type ('prd', 'epic', 'issue')
+   * @param {string|number} entityId - Entity identifier
+   * @returns {Array<Object>} Entries for the entity
+   */
+  getByEntity(entityType, entityId) {
+    return this.getHistory({ entityType, entityId });
+  }
+
+  /**
+   * Get a single entry by ID or unique ID prefix
    *
-   * @param {string} logId - Log ID to undo
-   * @returns {Object} Original conflict and resolution
+   * @param {string} logId - Log ID or prefix (at least 6 characters)
+   * @returns {Object} History entry
+   * @throws {Error} If no entry or more than one entry matches
    */
-  undo(logId) {
-    const entry = this.conflicts.get(logId);
+  get(logId) {
+    if (this.conflicts.has(logId)) {
+      return this.conflicts.get(logId);
+    }
+
+    const matches = String(logId).length >= 6
+      ? Array.from(this.conflicts.keys()).filter(id => id.startsWith(logId))
+      : [];
 
-    if (!entry) {
+    if (matches.length > 1) {
+      throw new Error(`Ambiguous conflict log ID: ${logId}`);
+    }
+
+    if (matches.length === 0) {
       throw new Error(`Conflict log not found: ${logId}`);
     }
 
+    return this.conflicts.get(matches[0]);
+  }
+
+  /**
+   * Undo a conflict resolution
+   *
+   * Retrieves the original conflict state before resolution. When the entry
+   * recorded the pre-resolution content of its file, that content is written
+   * back; every entry of the same session is marked undone with it. A file
+   * whose content no longer matches the recorded resolution is only
+   * overwritten with `force`.
+   *
+   * @param {string} logId - Log ID (or unique prefix) to undo
+   * @param {Object} [options={}] - Undo options
+   * @param {boolean} [options.force=false] - Restore even if the file changed since the resolution
+   * @returns {Object} { conflict, resolution, restored, filePath, undoneIds }
+   * @throws {Error} If the entry is unknown, already undone, or its file changed since the resolution
+   */
+  undo(logId, options = {}) {
+    const entry = this.get(logId);
+
+    if (entry.undoneAt) {
+      throw new Error(`Conflict resolution already undone: ${entry.id}`);
+    }
+
+    let restored = false;
+
+    if (entry.filePath && entry.previousContent !== null) {
+      const filePath = this._resolveEntityPath(entry.filePath);
+
+      if (!options.force && entry.resolvedHash && fs.existsSync(filePath) &&
+          this._hash(fs.readFileSync(filePath, 'utf8')) !== entry.resolvedHash) {
+        throw new Error(`File changed since the resolution was applied: ${entry.filePath}`);
+      }
+
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, entry.previousContent, 'utf8');
+      restored = true;
+    }
+
+    const undoneAt = new Date();
+    const undone = entry.sessionId
+      ? Array.from(this.conflicts.values()).filter(e => e.sessionId === entry.sessionId && !e.undoneAt)
+      : [entry];
+
+    for (const e of undone) {
+      e.undoneAt = undoneAt;
+    }
+
+    const undoneIds = undone.map(e => e.id);
+
+    if (this.options.storage === 'file') {
+      this._appendRecord({ type: 'undo', ids: undoneIds, undoneAt });
+    }
+
     return {
       conflict: entry.conflict,
-      resolution: entry.resolution
+      resolution: entry.resolution,
+      restored,
+      filePath: entry.filePath,
+      undoneIds
     };
   }
 
   /**
    * Replay a conflict resolution with a different strategy
    *
+   * Without a strategy the recorded decision is reproduced. Hunk decisions
+   * from interactive sessions use 'both' (local then remote; frontmatter
+   * values joined with ', ') and 'edited' (the recorded content).
+   *
    * @param {string} logId - Log ID to replay
-   * @param {string} newStrategy - New resolution strategy
+   * @param {string} [newStrategy] - local | remote | newest | both | edited (default: recorded strategy)
    * @returns {Object} Replayed resolution result
    */
   replay(logId, newStrategy) {
-    const entry = this.conflicts.get(logId);
+    const entry = this.get(logId);
 
-    if (!entry) {
-      throw new Error(`Conflict log not found: ${logId}`);
-    }
+    newStrategy = newStrategy || entry.resolution.strategy;
 
     // Determine new content based on strategy
     let newContent;
@@ -189,6 +335,19 @@ class ConflictHistory {
         newContent = entry.conflict.remoteContent;
         break;
 
+      case 'both':
+        newContent = [entry.conflict.localContent, entry.conflict.remoteContent]
+          .filter(content => content)
+          .join(entry.conflict.section === 'frontmatter' ? ', ' : '\n');
+        break;
+
+      case 'edited':
+        if (entry.resolution.strategy !== 'edited') {
+          throw new Error(`Cannot replay an edit for a "${entry.resolution.strategy}" resolution`);
+        }
+        newContent = entry.resolution.chosenContent;
+        break;
+
       case 'newest':
         // Use timestamp comparison
         if (entry.conflict.localTimestamp && entry.conflict.remoteTimestamp) {
@@ -221,6 +380,7 @@ class ConflictHistory {
    */
   clear() {
     this.conflicts.clear();
+    this.entityIndex.clear();
 
     if (this.options.storage === 'file') {
       this._saveToFile();
@@ -246,52 +406,233 @@ class ConflictHistory {
     return crypto.randomBytes(16).toString('hex');
   }
 
+  /**
+   * Hash file content
+   *
+   * @private
+   * @param {string} content - Content
+   * @returns {string} SHA-256 hex digest
+   */
+  _hash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * Hash the content a resolution left in its file
+   *
+   * @private
+   * @param {string|null} filePath - File the resolution was written to
+   * @param {string} [resolvedContent] - Resolved content (default: current file content)
+   * @returns {string|null} Hash, or null when the content is unknown
+   */
+  _resolvedHash(filePath, resolvedContent) {
+    if (typeof resolvedContent === 'string') {
+      return this._hash(resolvedContent);
+    }
+
+    if (!filePath) {
+      return null;
+    }
+
+    // Paths outside the working directory are rejected by undo() anyway
+    let resolvedPath;
+    try {
+      resolvedPath = this._resolveEntityPath(filePath);
+    } catch (error) {
+      return null;
+    }
+
+    return fs.existsSync(resolvedPath) ? this._hash(fs.readFileSync(resolvedPath, 'utf8')) : null;
+  }
+
+  /**
+   * Normalize an entity ID
+   *
+   * @private
+   * @param {*} id - Raw ID
+   * @returns {string|null} String ID or null
+   */
+  _toId(id) {
+    return id === undefined || id === null ? null : String(id);
+  }
+
+  /**
+   * Add an entry to the map and the entity index
+   *
+   * @private
+   * @param {Object} entry - History entry
+   */
+  _addEntry(entry) {
+    this.conflicts.set(entry.id, entry);
+
+    if (entry.entityType && entry.entityId !== null) {
+      const key = `${entry.entityType}:${entry.entityId}`;
+
+      if (!this.entityIndex.has(key)) {
+        this.entityIndex.set(key, new Set());
+      }
+
+      this.entityIndex.get(key).add(entry.id);
+    }
+  }
+
+  /**
+   * Entries of one entity via the index
+   *
+   * @private
+   * @param {string} entityType - Entity type
+   * @param {string|number} entityId - Entity ID
+   * @returns {Array<Object>} Entries
+   */
+  _entityEntries(entityType, entityId) {
+    const ids = this.entityIndex.get(`${entityType}:${this._toId(entityId)}`) || new Set();
+    return Array.from(ids).map(id => this.conflicts.get(id));
+  }
+
+  /**
+   * Resolve an entry's file path, keeping it inside the working directory
+   *
+   * @private
+   * @param {string} filePath - Absolute or cwd-relative path
+   * @returns {string} Absolute path
+   * @throws {Error} If the path escapes the working directory
+   */
+  _resolveEntityPath(filePath) {
+    const baseDir = process.cwd();
+    const resolvedPath = path.resolve(baseDir, filePath);
+
+    if (!resolvedPath.startsWith(baseDir + path.sep)) {
+      throw new Error('filePath must be within the current working directory (security: path traversal prevention)');
+    }
+
+    return resolvedPath;
+  }
+
+  /**
+   * Restore Date fields of a parsed entry
+   *
+   * @private
+   * @param {Object} entry - Parsed entry
+   * @returns {Object} Entry
+   */
+  _reviveEntry(entry) {
+    entry.createdAt = new Date(entry.createdAt);
+    entry.resolution.timestamp = new Date(entry.resolution.timestamp);
+    entry.undoneAt = entry.undoneAt ? new Date(entry.undoneAt) : null;
+    entry.entityType = entry.entityType || null;
+    entry.entityId = this._toId(entry.entityId);
+    entry.filePath = entry.filePath || entry.conflict.filePath || null;
+    entry.previousContent = typeof entry.previousContent === 'string' ? entry.previousContent : null;
+    entry.resolvedHash = entry.resolvedHash || null;
+    entry.sessionId = entry.sessionId || null;
+
+    return entry;
+  }
+
   /**
    * Load conflict history from file
    *
+   * Replays the JSONL journal. A legacy JSON array file (the journal itself
+   * or, without a journal, the old default file) is read as a list of log
+   * records and rewritten as a journal once, so later appends stay valid.
+   *
    * @private
    */
   _loadFromFile() {
+    let sourcePath = this.options.storagePath;
+
+    if (!fs.existsSync(sourcePath) && this.legacyPath && fs.existsSync(this.legacyPath)) {
+      sourcePath = this.legacyPath;
+    }
+
     try {
-      if (fs.existsSync(this.options.storagePath)) {
-        const data = fs.readFileSync(this.options.storagePath, 'utf8');
+      if (fs.existsSync(sourcePath)) {
+        const data = fs.readFileSync(sourcePath, 'utf8');
+
+        this.conflicts.clear();
+        this.entityIndex.clear();
 
         // Validate non-empty file
         if (!data.trim()) {
-          this.conflicts.clear();
           return;
         }
 
-        const parsed = JSON.parse(data);
+        const legacy = data.trim().startsWith('[');
+        const records = legacy
+          ? this._parseLegacy(data)
+          : data.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+
+        for (const record of records) {
+          if (record.type === 'undo' && Array.isArray(record.ids)) {
+            for (const id of record.ids) {
+              if (this.conflicts.has(id)) {
+                this.conflicts.get(id).undoneAt = new Date(record.undoneAt);
+              }
+            }
+            continue;
+          }
 
-        // Validate structure
-        if (!Array.isArray(parsed)) {
-          throw new Error('Invalid conflict history format: expected array');
-        }
+          const entry = record.entry;
 
-        this.conflicts.clear();
-        for (const entry of parsed) {
           // Validate entry structure
-          if (!entry.id || !entry.conflict || !entry.resolution) {
-            console.warn(`Skipping invalid entry: ${JSON.stringify(entry).substring(0, 100)}`);
+          if (record.type !== 'log' || !entry || !entry.id || !entry.conflict || !entry.resolution) {
+            console.warn(`Skipping invalid entry: ${JSON.stringify(record).substring(0, 100)}`);
             continue;
           }
 
-          // Restore Date objects
-          entry.createdAt = new Date(entry.createdAt);
-          entry.resolution.timestamp = new Date(entry.resolution.timestamp);
+          this._addEntry(this._reviveEntry(entry));
+        }
 
-          this.conflicts.set(entry.id, entry);
+        if (legacy || sourcePath !== this.options.storagePath) {
+          this._saveToFile();
         }
       }
     } catch (error) {
       // Re-throw with context for better debugging
-      throw new Error(`Failed to load conflict history from ${this.options.storagePath}: ${error.message}`);
+      throw new Error(`Failed to load conflict history from ${sourcePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read the legacy JSON array format as log records
+   *
+   * @private
+   * @param {string} data - File content
+   * @returns {Array<Object>} Records
+   */
+  _parseLegacy(data) {
+    const parsed = JSON.parse(data);
+
+    // Validate structure
+    if (!Array.isArray(parsed)) {
+      throw new Error('Invalid conflict history format: expected array');
     }
+
+    return parsed.map(entry => ({ type: 'log', entry }));
   }
 
   /**
-   * Save conflict history to file
+   * Append one record to the journal
+   *
+   * @private
+   * @param {Object} record - Journal record
+   */
+  _appendRecord(record) {
+    try {
+      // Ensure directory exists
+      const dir = path.dirname(this.options.storagePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      fs.appendFileSync(this.options.storagePath, JSON.stringify(record) + '\n', 'utf8');
+    } catch (error) {
+      console.error('Failed to save conflict history:', error.message);
+    }
+  }
+
+  /**
+   * Rewrite the journal from the in-memory entries
    *
    * @private
    */
@@ -303,14 +644,22 @@ class ConflictHistory {
         fs.mkdirSync(dir, { recursive: true });
       }
 
-      // Convert Map to Array for JSON serialization
-      const data = Array.from(this.conflicts.values());
+      const lines = [];
+      for (const entry of this.conflicts.values()) {
+        lines.push(JSON.stringify({ type: 'log', entry: { ...entry, undoneAt: null } }));
+        if (entry.undoneAt) {
+          lines.push(JSON.stringify({ type: 'undo', ids: [entry.id], undoneAt: entry.undoneAt }));
+        }
+      }
 
-      fs.writeFileSync(this.options.storagePath, JSON.stringify(data, null, 2), 'utf8');
+      fs.writeFileSync(this.options.storagePath, lines.map(line => line + '\n').join(''), 'utf8');
     } catch (error) {
       console.error('Failed to save conflict history:', error.message);
     }
   }
 }
 
+ConflictHistory.DEFAULT_STORAGE_PATH = DEFAULT_STORAGE_PATH;
+ConflictHistory.LEGACY_STORAGE_PATH = LEGACY_STORAGE_PATH;
+
 module.exports = ConflictHistory;
@@ -9,6 +9,14 @@
  * - rules-based: Apply custom resolution rules
  * - interactive: Prompt user for resolution
  *
+ * Merge modes:
+ * - line: positional line-by-line merge (legacy default)
+ * - diff3: LCS-based diff3 merge; insertions and deletions no longer shift
+ *   every following line into a conflict
+ * - markdown: section-aware diff3 merge that treats YAML frontmatter keys
+ *   and markdown heading sections as units, so reordered sections and edits
+ *   to different frontmatter fields merge cleanly
+ *
  * @example
  * const ConflictResolver = require('./lib/conflict-resolver');
  *
@@ -19,6 +27,9 @@
  *
  * const result = resolver.threeWayMerge(localContent, remoteContent, baseContent);
  *
+ * // Section-aware merge for PRDs and epics
+ * const mdResult = resolver.threeWayMerge(localContent, remoteContent, baseContent, { mode: 'markdown' });
+ *
  * if (result.hasConflicts) {
  *   for (const conflict of result.conflicts) {
  *     const resolved = resolver.resolveConflict(conflict, 'newest');
@@ -26,6 +37,14 @@
  * }
  */
 
+const MERGE_MODES = ['line', 'diff3', 'markdown'];
+
+/**
+ * LCS tables above this many cells fall back to prefix/suffix matching
+ * to bound memory on very large inputs.
+ */
+const MAX_LCS_CELLS = 4000000;
+
 class ConflictResolver {
   /**
    * Create a new ConflictResolver instance
@@ -35,6 +54,7 @@ class ConflictResolver {
    * @param {number} options.contextLines - Number of context lines around conflicts (default: 3)
    * @param {string} options.markerPrefix - Prefix for conflict markers (default: 'LOCAL/REMOTE')
    * @param {boolean} options.normalizeLineEndings - Normalize line endings during merge (default: true)
+   * @param {string} options.mergeMode - Merge mode: 'line', 'diff3' or 'markdown' (default: 'line')
    */
   constructor(options = {}) {
     // Validate configuration
@@ -44,11 +64,16 @@ class ConflictResolver {
       }
     }
 
+    if (options.mergeMode !== undefined && !MERGE_MODES.includes(options.mergeMode)) {
+      throw new Error(`mergeMode must be one of: ${MERGE_MODES.join(', ')}`);
+    }
+
     this.options = {
       strategy: options.strategy || 'manual',
       contextLines: options.contextLines !== undefined ? options.contextLines : 3,
       markerPrefix: options.markerPrefix || 'LOCAL',
-      normalizeLineEndings: options.normalizeLineEndings !== false
+      normalizeLineEndings: options.normalizeLineEndings !== false,
+      mergeMode: options.mergeMode || 'line'
     };
   }
 
@@ -58,7 +83,7 @@ class ConflictResolver {
    * Compares local, remote, and base versions to detect and merge changes.
    * Uses a line-by-line diff algorithm to identify conflicts.
    *
-   * IMPORTANT LIMITATIONS:
+   * IMPORTANT LIMITATIONS (line mode):
    * - This is a simplified line-based merge that does NOT detect:
    *   • Moved code blocks (treats as delete + add = conflict)
    *   • Reordered functions (multiple conflicts)
@@ -67,6 +92,12 @@ class ConflictResolver {
    * - Does not use Longest Common Subsequence (LCS) algorithm
    * - No semantic/AST-based merging for code
    *
+   * The diff3 and markdown modes lift the positional limitations: they
+   * align versions with LCS, and markdown mode additionally merges
+   * frontmatter keys and heading sections independently of their order.
+   * In those modes conflict `line` numbers refer to the local version and
+   * the result carries `hunks` that VisualDiff can render.
+   *
    * PERFORMANCE NOTES:
    * - Files >1MB may cause memory pressure (splits into line arrays)
    * - For very large files, consider splitting into sections
@@ -75,12 +106,15 @@ class ConflictResolver {
    * @param {string} local - Local version content
    * @param {string} remote - Remote version content
    * @param {string} base - Base version content (last synced)
+   * @param {Object} [options={}] - Merge options
+   * @param {string} [options.mode] - Merge mode override ('line', 'diff3', 'markdown')
    * @returns {Object} Merge result with conflicts and merged content
    * @returns {string} result.merged - Merged content with conflict markers
    * @returns {Array} result.conflicts - Array of detected conflicts
    * @returns {boolean} result.hasConflicts - True if conflicts were detected
+   * @returns {Array} result.hunks - Merge hunks (diff3 and markdown modes only)
    */
-  threeWayMerge(local, remote, base) {
+  threeWayMerge(local, remote, base, options = {}) {
     // Validate inputs
     if (local === null || local === undefined ||
         remote === null || remote === undefined ||
@@ -95,11 +129,34 @@ class ConflictResolver {
       base = this._normalizeLineEndings(base);
     }
 
+    const mode = options.mode || this.options.mergeMode;
+
+    if (!MERGE_MODES.includes(mode)) {
+      throw new Error(`mergeMode must be one of: ${MERGE_MODES.join(', ')}`);
+    }
+
+    if (mode === 'markdown') {
+      return this._mergeMarkdown(local, remote, base);
+    }
+
     // Split into lines for comparison
     const localLines = local.split('\n');
     const remoteLines = remote.split('\n');
     const baseLines = base.split('\n');
 
+    if (mode === 'diff3') {
+      const hunks = this._diff3(localLines, remoteLines, baseLines);
+      const result = this._collectHunks(hunks, localLines);
+
+      return {
+        merged: result.merged.join('\n'),
+        conflicts: result.conflicts,
+        hasConflicts: result.conflicts.length > 0,
+        hunks,
+        mode
+      };
+    }
+
     // Perform three-way merge
     const mergeResult = this._performMerge(localLines, remoteLines, baseLines);
 
@@ -220,6 +277,528 @@ class ConflictResolver {
     return text.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
   }
 
+  /**
+   * Match lines of `a` to lines of `b` using the longest common subsequence
+   *
+   * Common prefix and suffix are matched directly; the remainder uses a
+   * dynamic-programming LCS table, bounded by MAX_LCS_CELLS.
+   *
+   * @private
+   * @param {Array<string>} a - Reference lines (base)
+   * @param {Array<string>} b - Changed lines
+   * @returns {Array<number>} For each index of `a`, the matched index in `b` or -1
+   */
+  _lcsMatches(a, b) {
+    const matches = new Array(a.length).fill(-1);
+
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+      matches[start] = start;
+      start++;
+    }
+
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--;
+      endB--;
+      matches[endA] = endB;
+    }
+
+    const n = endA - start;
+    const m = endB - start;
+
+    if (n === 0 || m === 0 || (n + 1) * (m + 1) > MAX_LCS_CELLS) {
+      return matches;
+    }
+
+    // lengths[i * (m + 1) + j] = LCS length of a[start + i..endA) and b[start + j..endB)
+    const width = m + 1;
+    const lengths = new Uint32Array((n + 1) * width);
+
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lengths[i * width + j] = a[start + i] === b[start + j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (a[start + i] === b[start + j]) {
+        matches[start + i] = start + j;
+        i++;
+        j++;
+      } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+        i++;
+      } else {
+        j++;
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * diff3 merge of line arrays
+   *
+   * Splits the versions into stable runs (lines matched in all three) and
+   * unstable chunks; a chunk changed on only one side takes that side.
+   *
+   * @private
+   * @param {Array<string>} localLines - Local lines
+   * @param {Array<string>} remoteLines - Remote lines
+   * @param {Array<string>} baseLines - Base lines
+   * @returns {Array<Object>} Hunks: { type, base, local, remote, merged, localStart }
+   */
+  _diff3(localLines, remoteLines, baseLines) {
+    const matchLocal = this._lcsMatches(baseLines, localLines);
+    const matchRemote = this._lcsMatches(baseLines, remoteLines);
+    const hunks = [];
+
+    let i = 0;
+    let j = 0;
+    let k = 0;
+
+    while (i < baseLines.length || j < localLines.length || k < remoteLines.length) {
+      if (i < baseLines.length && matchLocal[i] === j && matchRemote[i] === k) {
+        const last = hunks[hunks.length - 1];
+        if (last && last.type === 'unchanged') {
+          last.base.push(baseLines[i]);
+          last.local.push(localLines[j]);
+          last.remote.push(remoteLines[k]);
+          last.merged.push(baseLines[i]);
+        } else {
+          hunks.push({
+            type: 'unchanged',
+            base: [baseLines[i]],
+            local: [localLines[j]],
+            remote: [remoteLines[k]],
+            merged: [baseLines[i]],
+            localStart: j
+          });
+        }
+        i++;
+        j++;
+        k++;
+        continue;
+      }
+
+      // Next base line present in both versions ends the unstable chunk
+      let next = i;
+      while (next < baseLines.length && (matchLocal[next] === -1 || matchRemote[next] === -1)) {
+        next++;
+      }
+
+      const localEnd = next < baseLines.length ? matchLocal[next] : localLines.length;
+      const remoteEnd = next < baseLines.length ? matchRemote[next] : remoteLines.length;
+
+      hunks.push(this._classifyChunk(
+        baseLines.slice(i, next),
+        localLines.slice(j, localEnd),
+        remoteLines.slice(k, remoteEnd),
+        j
+      ));
+
+      i = next;
+      j = localEnd;
+      k = remoteEnd;
+    }
+
+    return hunks;
+  }
+
+  /**
+   * Classify an unstable chunk into a merge hunk
+   *
+   * @private
+   * @param {Array<string>} base - Base lines of the chunk
+   * @param {Array<string>} local - Local lines of the chunk
+   * @param {Array<string>} remote - Remote lines of the chunk
+   * @param {number} localStart - Index of the chunk in the local version
+   * @returns {Object} Hunk
+   */
+  _classifyChunk(base, local, remote, localStart) {
+    const same = (x, y) => x.length === y.length && x.every((line, idx) => line === y[idx]);
+    const hunk = { base, local, remote, localStart };
+
+    if (same(local, base)) {
+      return { ...hunk, type: 'remote', merged: remote };
+    }
+
+    if (same(remote, base)) {
+      return { ...hunk, type: 'local', merged: local };
+    }
+
+    if (same(local, remote)) {
+      return { ...hunk, type: 'both', merged: local };
+    }
+
+    return { ...hunk, type: 'conflict', merged: this._conflictMarkers(local, remote) };
+  }
+
+  /**
+   * Wrap both sides of a conflict in conflict markers
+   *
+   * @private
+   * @param {Array<string>} local - Local lines
+   * @param {Array<string>} remote - Remote lines
+   * @returns {Array<string>} Lines with markers
+   */
+  _conflictMarkers(local, remote) {
+    return ['<<<<<<< LOCAL', ...local, '=======', ...remote, '>>>>>>> REMOTE'];
+  }
+
+  /**
+   * Flatten diff3 hunks into merged lines and conflict records
+   *
+   * @private
+   * @param {Array<Object>} hunks - Hunks from _diff3
+   * @param {Array<string>} localLines - Full local lines (for section detection)
+   * @returns {Object} { merged: Array<string>, conflicts: Array<Object> }
+   */
+  _collectHunks(hunks, localLines) {
+    const merged = [];
+    const conflicts = [];
+
+    for (const hunk of hunks) {
+      if (hunk.type === 'conflict') {
+        conflicts.push({
+          line: hunk.localStart + 1,
+          localContent: hunk.local.join('\n'),
+          remoteContent: hunk.remote.join('\n'),
+          baseContent: hunk.base.join('\n'),
+          section: this._detectSection(hunk.localStart, localLines)
+        });
+      }
+
+      merged.push(...hunk.merged);
+    }
+
+    return { merged, conflicts };
+  }
+
+  /**
+   * Section-aware markdown merge
+   *
+   * Frontmatter keys are merged as whole units; heading sections are
+   * matched by heading text, so their order and content merge
+   * independently and a moved section is not a conflict.
+   *
+   * @private
+   * @param {string} local - Local content
+   * @param {string} remote - Remote content
+   * @param {string} base - Base content
+   * @returns {Object} Merge result with hunks
+   */
+  _mergeMarkdown(local, remote, base) {
+    const localDoc = this._parseMarkdownUnits(local);
+    const remoteDoc = this._parseMarkdownUnits(remote);
+    const baseDoc = this._parseMarkdownUnits(base);
+
+    const merged = [];
+    const conflicts = [];
+    const hunks = [];
+
+    if (localDoc.frontmatter || remoteDoc.frontmatter || baseDoc.frontmatter) {
+      const empty = { keys: [], units: new Map() };
+      const delimiter = () => {
+        merged.push('---');
+        hunks.push({ type: 'unchanged', section: 'frontmatter', base: ['---'], local: ['---'], remote: ['---'], merged: ['---'] });
+      };
+
+      delimiter();
+      this._mergeUnits(
+        localDoc.frontmatter || empty,
+        remoteDoc.frontmatter || empty,
+        baseDoc.frontmatter || empty,
+        { merged, conflicts, hunks, kind: 'frontmatter' }
+      );
+      delimiter();
+    }
+
+    this._mergeUnits(localDoc.sections, remoteDoc.sections, baseDoc.sections, {
+      merged, conflicts, hunks, kind: 'body'
+    });
+
+    return {
+      merged: merged.join('\n'),
+      conflicts,
+      hasConflicts: conflicts.length > 0,
+      hunks,
+      mode: 'markdown'
+    };
+  }
+
+  /**
+   * Split markdown into frontmatter key units and heading sections
+   *
+   * Continuation lines (nested YAML, list items) belong to the preceding
+   * key; headings inside fenced code blocks are ignored. Repeated headings
+   * are numbered so each section keeps a unique identity.
+   *
+   * @private
+   * @param {string} text - Markdown content
+   * @returns {Object} { frontmatter: {keys, units}|null, sections: {keys, units} }
+   */
+  _parseMarkdownUnits(text) {
+    const lines = text.split('\n');
+    let frontmatter = null;
+    let bodyStart = 0;
+
+    if (lines[0] === '---') {
+      const end = lines.indexOf('---', 1);
+
+      if (end > 0) {
+        frontmatter = { keys: [], units: new Map() };
+        let current = null;
+
+        for (let i = 1; i < end; i++) {
+          const keyMatch = lines[i].match(/^([A-Za-z0-9_.-]+)\s*:/);
+
+          if (keyMatch || current === null) {
+            current = this._uniqueUnitKey(frontmatter, keyMatch ? keyMatch[1] : '#');
+            frontmatter.keys.push(current);
+            frontmatter.units.set(current, { heading: null, lines: [], start: i });
+          }
+
+          frontmatter.units.get(current).lines.push(lines[i]);
+        }
+
+        bodyStart = end + 1;
+      }
+    }
+
+    const sections = { keys: [''], units: new Map([['', { heading: null, lines: [], start: bodyStart }]]) };
+    let current = '';
+    let inFence = false;
+
+    for (let i = bodyStart; i < lines.length; i++) {
+      const line = lines[i];
+
+      if (/^\s*(```|~~~)/.test(line)) {
+        inFence = !inFence;
+      }
+
+      const headingMatch = !inFence && line.match(/^(#{1,6})\s+(.+?)\s*$/);
+
+      if (headingMatch) {
+        current = this._uniqueUnitKey(sections, `${headingMatch[1]} ${headingMatch[2]}`);
+        sections.keys.push(current);
+        sections.units.set(current, { heading: line, lines: [], start: i + 1 });
+        continue;
+      }
+
+      sections.units.get(current).lines.push(line);
+    }
+
+    return { frontmatter, sections };
+  }
+
+  /**
+   * Number repeated unit keys ("## Notes", "## Notes (2)")
+   *
+   * @private
+   * @param {Object} collection - { keys, units }
+   * @param {string} key - Candidate key
+   * @returns {string} Unique key
+   */
+  _uniqueUnitKey(collection, key) {
+    if (!collection.units.has(key)) {
+      return key;
+    }
+
+    let n = 2;
+    while (collection.units.has(`${key} (${n})`)) {
+      n++;
+    }
+
+    return `${key} (${n})`;
+  }
+
+  /**
+   * Merge one level of markdown units (frontmatter keys or sections)
+   *
+   * @private
+   * @param {Object} local - Local units { keys, units }
+   * @param {Object} remote - Remote units
+   * @param {Object} base - Base units
+   * @param {Object} out - Accumulators { merged, conflicts, hunks, kind }
+   */
+  _mergeUnits(local, remote, base, out) {
+    const same = (x, y) => x.length === y.length && x.every((line, idx) => line === y[idx]);
+    const allKeys = [...new Set([...local.keys, ...remote.keys, ...base.keys])];
+    const decisions = new Map();
+
+    // Decide per unit whether it survives: deleting a unit the other side edited is a conflict
+    for (const key of allKeys) {
+      const l = local.units.get(key);
+      const r = remote.units.get(key);
+      const b = base.units.get(key);
+
+      if (l && r) {
+        decisions.set(key, 'merge');
+      } else if (!l && !r) {
+        decisions.set(key, 'drop');
+      } else if (l) {
+        decisions.set(key, !b ? 'local' : same(l.lines, b.lines) ? 'drop' : 'deleted-remote');
+      } else {
+        decisions.set(key, !b ? 'remote' : same(r.lines, b.lines) ? 'drop' : 'deleted-local');
+      }
+    }
+
+    const order = this._mergeUnitOrder(local.keys, remote.keys, base.keys)
+      .filter(key => decisions.get(key) !== 'drop');
+
+    // Units kept by their decision but absent from the merged order follow their predecessor
+    for (const source of [local, remote]) {
+      source.keys.forEach((key, index) => {
+        if (decisions.get(key) === 'drop' || order.includes(key)) {
+          return;
+        }
+
+        const previous = source.keys.slice(0, index).reverse().find(k => order.includes(k));
+        order.splice(previous === undefined ? 0 : order.indexOf(previous) + 1, 0, key);
+      });
+    }
+
+    let localCursor = 0;
+
+    for (const key of order) {
+      const l = local.units.get(key);
+      const r = remote.units.get(key);
+      const b = base.units.get(key);
+      const decision = decisions.get(key);
+      const unit = l || r || b;
+      const label = out.kind === 'frontmatter' ? 'frontmatter' : (unit.heading || null);
+      const tag = out.kind === 'frontmatter' ? { field: key } : { heading: unit.heading || null };
+
+      if (l) {
+        localCursor = l.start + l.lines.length;
+      }
+
+      if (decision === 'local' || decision === 'remote') {
+        const side = decision === 'local' ? l : r;
+        const lines = side.heading ? [side.heading, ...side.lines] : side.lines;
+
+        out.merged.push(...lines);
+        out.hunks.push({
+          type: decision,
+          section: label,
+          ...tag,
+          base: [],
+          local: decision === 'local' ? lines : [],
+          remote: decision === 'remote' ? lines : [],
+          merged: lines
+        });
+        continue;
+      }
+
+      if (decision === 'deleted-local' || decision === 'deleted-remote') {
+        // The whole unit (heading included) is in conflict, so choosing the deleting side drops it
+        const whole = unit => (unit.heading ? [unit.heading, ...unit.lines] : unit.lines);
+        const localLines = decision === 'deleted-local' ? [] : whole(l);
+        const remoteLines = decision === 'deleted-local' ? whole(r) : [];
+        const markers = this._conflictMarkers(localLines, remoteLines);
+
+        out.merged.push(...markers);
+        out.conflicts.push({
+          line: (l ? l.start : localCursor) + 1,
+          localContent: localLines.join('\n'),
+          remoteContent: remoteLines.join('\n'),
+          baseContent: whole(b).join('\n'),
+          section: out.kind,
+          ...tag,
+          deleted: decision === 'deleted-local' ? 'local' : 'remote'
+        });
+        out.hunks.push({
+          type: 'conflict',
+          section: label,
+          ...tag,
+          base: whole(b),
+          local: localLines,
+          remote: remoteLines,
+          merged: markers
+        });
+        continue;
+      }
+
+      // Present on both sides
+      if (out.kind === 'frontmatter') {
+        const bLines = b ? b.lines : [];
+        const hunk = this._classifyChunk(bLines, l.lines, r.lines, l.start - 1);
+        const type = same(l.lines, r.lines) ? 'unchanged' : hunk.type;
+
+        out.merged.push(...hunk.merged);
+        out.hunks.push({ ...hunk, type, section: 'frontmatter', field: key });
+
+        if (hunk.type === 'conflict') {
+          out.conflicts.push({
+            line: l.start + 1,
+            localContent: l.lines.join('\n'),
+            remoteContent: r.lines.join('\n'),
+            baseContent: bLines.join('\n'),
+            section: 'frontmatter',
+            field: key
+          });
+        }
+        continue;
+      }
+
+      if (l.heading) {
+        out.merged.push(l.heading);
+        out.hunks.push({
+          type: 'unchanged',
+          section: label,
+          heading: l.heading,
+          base: [l.heading],
+          local: [l.heading],
+          remote: [r.heading],
+          merged: [l.heading]
+        });
+      }
+
+      for (const hunk of this._diff3(l.lines, r.lines, b ? b.lines : [])) {
+        out.merged.push(...hunk.merged);
+        out.hunks.push({ ...hunk, section: label, heading: l.heading || null });
+
+        if (hunk.type === 'conflict') {
+          out.conflicts.push({
+            line: l.start + hunk.localStart + 1,
+            localContent: hunk.local.join('\n'),
+            remoteContent: hunk.remote.join('\n'),
+            baseContent: hunk.base.join('\n'),
+            section: 'body',
+            heading: l.heading || null
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Merge the order of unit keys
+   *
+   * Treats the key lists as lines in a diff3 merge so a reorder on one
+   * side wins; if both sides reorder differently the local order is kept.
+   *
+   * @private
+   * @param {Array<string>} localKeys - Local key order
+   * @param {Array<string>} remoteKeys - Remote key order
+   * @param {Array<string>} baseKeys - Base key order
+   * @returns {Array<string>} Merged key order (unique)
+   */
+  _mergeUnitOrder(localKeys, remoteKeys, baseKeys) {
+    const hunks = this._diff3(localKeys, remoteKeys, baseKeys);
+    const order = hunks.some(hunk => hunk.type === 'conflict')
+      ? localKeys
+      : hunks.flatMap(hunk => hunk.merged);
+
+    return [...new Set(order)];
+  }
+
   /**
    * Resolve a conflict using the specified strategy
    *
@@ -0,0 +1,443 @@
+/**
+ * DeliveryForecast - Monte Carlo delivery forecasting for epics and projects
+ *
+ * A linear estimate (remaining tasks / average velocity) gives one date and
+ * hides how uneven delivery really is. This module resamples what actually
+ * happened instead:
+ *
+ * - daily throughput - tasks completed per day over the recent history
+ *   window, across all epics
+ * - cycle times - days from start (or creation) to completion of those tasks
+ *
+ * Each trial draws random historical days until the remaining tasks are done;
+ * tasks already in progress also draw a cycle time longer than their current
+ * age, and the trial finishes when the slower of the two does. Over many
+ * trials this yields P50/P85/P95 completion dates ("85% of simulated futures
+ * finished by ...") and, for a target date, how many tasks will be done by
+ * then at the same confidence levels.
+ *
+ * @example
+ * ```javascript
+ * const DeliveryForecast = require('./lib/delivery-forecast');
+ * const forecaster = new DeliveryForecast({ basePath: '.claude' });
+ *
+ * const forecast = await forecaster.forecastEpic('user-auth', { byDate: '2025-12-01' });
+ * console.log(forecast.completion.p85.date);  // '2025-11-20'
+ * console.log(forecast.byDate.p85);           // 6 tasks done with 85% confidence
+ * ```
+ *
+ * @module DeliveryForecast
+ */
+
+const FilterEngine = require('./filter-engine');
+const StatusHistory = require('./status-history');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERCENTILES = [50, 85, 95];
+
+// Upper bound for a single trial, so a history of mostly idle days cannot loop for ages
+const MAX_TRIAL_DAYS = 3650;
+
+class DeliveryForecast {
+  /**
+   * Create DeliveryForecast instance
+   *
+   * @param {Object} options - Configuration options
+   * @param {string} options.basePath - Base path for file operations (default: '.claude')
+   * @param {number} options.trials - Simulated futures per forecast (default: 10000)
+   * @param {number} options.historyDays - Days of history to resample (default: 90)
+   * @param {number} options.seed - Seed for reproducible forecasts (default: Math.random)
+   */
+  constructor(options = {}) {
+    this.basePath = options.basePath || '.claude';
+    this.trials = options.trials || 10000;
+    this.historyDays = options.historyDays || 90;
+    this.filterEngine = new FilterEngine({ basePath: this.basePath });
+    this.random = options.seed !== undefined ? createSeededRandom(options.seed) : Math.random;
+  }
+
+  /**
+   * Forecast the completion of one epic
+   *
+   * History comes from all epics, so a young epic still gets a forecast.
+   *
+   * @param {string} epicId - Epic directory name
+   * @param {Object} options - Forecast options
+   * @param {string} options.byDate - Also forecast how many tasks are done by this date (YYYY-MM-DD)
+   * @returns {Promise<Object>} - Forecast (see forecastTasks)
+   */
+  async forecastEpic(epicId, options = {}) {
+    const tasks = await this.filterEngine.loadAll({ types: ['task'] });
+    const history = this.buildHistory(tasks);
+
+    return {
+      scope: epicId,
+      ...this.forecastTasks(tasks.filter(task => task.epic === epicId), history, options)
+    };
+  }
+
+  /**
+   * Forecast the completion of all open tasks in the project
+   *
+   * With a view only the matching tasks are forecast; history still comes
+   * from all tasks, as for an epic.
+   *
+   * @param {Object} options - Forecast options
+   * @param {string} options.byDate - Also forecast how many tasks are done by this date (YYYY-MM-DD)
+   * @param {string|Object} options.view - Query scoping the forecast tasks
+   * @returns {Promise<Object>} - Forecast (see forecastTasks)
+   * @throws {Error} - On query syntax errors in the view
+   */
+  async forecastProject(options = {}) {
+    const { view, ...forecastOptions } = options;
+    const tasks = await this.filterEngine.loadAll({ types: ['task'] });
+    const history = this.buildHistory(tasks);
+    const query = typeof view === 'string' ? this.filterEngine.queryParser.parseQuery(view) : view;
+    const scoped = query && query.where ? tasks.filter(task => this.filterEngine.evaluate(query.where, task)) : tasks;
+
+    return {
+      scope: 'project',
+      ...this.forecastTasks(scoped, history, forecastOptions)
+    };
+  }
+
+  /**
+   * Build the resampling history from completed tasks
+   *
+   * Throughput starts at the first completion inside the window, so days
+   * before the team started delivering do not count as idle days.
+   *
+   * @param {Array} tasks - Task files from FilterEngine
+   * @returns {Object} - { from, to, throughput: number[], cycleTimes: number[], completed }
+   */
+  buildHistory(tasks) {
+    const today = this._today();
+    const windowStart = today - (this.historyDays - 1) * DAY_MS;
+    const counts = new Map();
+    const cycleTimes = [];
+
+    for (const task of tasks) {
+      const frontmatter = task.frontmatter || {};
+      const completed = this._toDay(frontmatter.completed);
+
+      if (!this._isCompleted(frontmatter) || completed === null) {
+        continue;
+      }
+      if (completed < windowStart || completed > today) {
+        continue;
+      }
+
+      counts.set(completed, (counts.get(completed) || 0) + 1);
+
+      const started = this._toDay(frontmatter.started || frontmatter.created);
+      if (started !== null && started <= completed) {
+        cycleTimes.push(Math.round((completed - started) / DAY_MS));
+      }
+    }
+
+    if (counts.size === 0) {
+      return { from: null, to: null, throughput: [], cycleTimes: [], completed: 0 };
+    }
+
+    const first = Math.min(...counts.keys());
+    const throughput = [];
+    for (let day = first; day <= today; day += DAY_MS) {
+      throughput.push(counts.get(day) || 0);
+    }
+
+    return {
+      from: this._formatDay(first),
+      to: this._formatDay(today),
+      throughput,
+      cycleTimes,
+      completed: throughput.reduce((sum, count) => sum + count, 0)
+    };
+  }
+
+  /**
+   * Forecast a set of tasks against a history
+   *
+   * @param {Array} tasks - Task files in scope (completed ones are ignored)
+   * @param {Object} history - Result of buildHistory()
+   * @param {Object} options - Forecast options
+   * @param {string} options.byDate - Also forecast how many tasks are done by this date (YYYY-MM-DD)
+   * @returns {Object} - {
+   *   remaining, inProgress, trials,
+   *   history: { from, to, days, completed, medianCycleTime },
+   *   completion: { p50: { days, date }, p85, p95 } | null,
+   *   byDate: { date, days, p50, p85, p95 } | null,
+   *   reason: string | null
+   * }
+   * @throws {Error} - If byDate is not a date or lies in the past
+   */
+  forecastTasks(tasks, history, options = {}) {
+    const open = tasks.filter(task => !this._isCompleted(task.frontmatter || {}));
+    const today = this._today();
+    const ages = open
+      .filter(task => StatusHistory.normalizeStatus((task.frontmatter || {}).status) === 'in_progress')
+      .map(task => {
+        const started = this._toDay(task.frontmatter.started || task.frontmatter.created);
+        return started === null ? 0 : Math.max(0, Math.round((today - started) / DAY_MS));
+      });
+
+    const result = {
+      remaining: open.length,
+      inProgress: ages.length,
+      trials: this.trials,
+      history: {
+        from: history.from,
+        to: history.to,
+        days: history.throughput.length,
+        completed: history.completed,
+        medianCycleTime: history.cycleTimes.length > 0
+          ? this._percentile([...history.cycleTimes].sort((a, b) => a - b), 50)
+          : null
+      },
+      completion: null,
+      byDate: null,
+      reason: null
+    };
+
+    let byDays = null;
+    if (options.byDate) {
+      const target = this._toDay(options.byDate);
+      if (target === null) {
+        throw new Error(`Invalid forecast date: ${options.byDate}. Use YYYY-MM-DD`);
+      }
+      if (target < today) {
+        throw new Error(`Forecast date must not be in the past: ${options.byDate}`);
+      }
+      byDays = Math.round((target - today) / DAY_MS);
+    }
+
+    if (open.length === 0) {
+      const done = { days: 0, date: this._formatDay(today) };
+      result.completion = { p50: done, p85: done, p95: done };
+      if (byDays !== null) {
+        result.byDate = { date: options.byDate, days: byDays, p50: 0, p85: 0, p95: 0 };
+      }
+      return result;
+    }
+
+    if (history.completed === 0) {
+      result.reason = `No tasks completed in the last ${this.historyDays} days`;
+      return result;
+    }
+
+    result.completion = this.simulateCompletion(history, open.length, ages);
+
+    if (byDays !== null) {
+      result.byDate = {
+        date: options.byDate,
+        days: byDays,
+        ...this.simulateThroughput(history, byDays, open.length)
+      };
+    }
+
+    return result;
+  }
+
+  /**
+   * Simulate when a number of tasks will be done
+   *
+   * @param {Object} history - Result of buildHistory() with completions
+   * @param {number} remaining - Open tasks
+   * @param {number[]} inProgressAges - Age in days of each in-progress task
+   * @returns {Object} - { p50: { days, date }, p85: { days, date }, p95: { days, date } }
+   */
+  simulateCompletion(history, remaining, inProgressAges = []) {
+    const outcomes = [];
+
+    for (let trial = 0; trial < this.trials; trial++) {
+      let days = 0;
+      let done = 0;
+
+      while (done < remaining && days < MAX_TRIAL_DAYS) {
+        done += this._sample(history.throughput);
+        days++;
+      }
+
+      for (const age of inProgressAges) {
+        days = Math.max(days, this._sampleRemainingCycleTime(history.cycleTimes, age));
+      }
+
+      outcomes.push(days);
+    }
+
+    outcomes.sort((a, b) => a - b);
+
+    const today = this._today();
+    const completion = {};
+    for (const p of PERCENTILES) {
+      const days = this._percentile(outcomes, p);
+      completion[`p${p}`] = { days, date: this._formatDay(today + days * DAY_MS) };
+    }
+
+    return completion;
+  }
+
+  /**
+   * Simulate how many tasks will be done within a number of days
+   *
+   * Confidence reads the other way round than for dates: P85 is the count
+   * reached in at least 85% of trials.
+   *
+   * @param {Object} history - Result of buildHistory() with completions
+   * @param {number} days - Days from today
+   * @param {number} cap - Maximum count (open tasks in scope)
+   * @returns {Object} - { p50, p85, p95 } task counts
+   */
+  simulateThroughput(history, days, cap = Infinity) {
+    const outcomes = [];
+
+    for (let trial = 0; trial < this.trials; trial++) {
+      let done = 0;
+      for (let day = 0; day < days; day++) {
+        done += this._sample(history.throughput);
+      }
+      outcomes.push(Math.min(done, cap));
+    }
+
+    outcomes.sort((a, b) => a - b);
+
+    const counts = {};
+    for (const p of PERCENTILES) {
+      counts[`p${p}`] = this._percentile(outcomes, 100 - p);
+    }
+
+    return counts;
+  }
+
+  /**
+   * Describe a forecast in a few lines for CLI output
+   *
+   * @param {Object} forecast - Result of forecastEpic(), forecastProject() or forecastTasks()
+   * @returns {string[]} - Lines without trailing newlines
+   */
+  static summarize(forecast) {
+    if (!forecast.completion) {
+      return [`Not enough history to forecast: ${forecast.reason}`];
+    }
+
+    const lines = [];
+
+    if (forecast.remaining === 0) {
+      lines.push('All tasks completed');
+      return lines;
+    }
+
+    lines.push(`Remaining:  ${forecast.remaining} tasks (${forecast.inProgress} in progress)`);
+    for (const p of PERCENTILES) {
+      const { date, days } = forecast.completion[`p${p}`];
+      lines.push(`P${p}:        ${date} (${days} days)`);
+    }
+
+    if (forecast.byDate) {
+      const { date, p50, p85, p95 } = forecast.byDate;
+      lines.push(`By ${date}: ${p50} tasks (P50), ${p85} (P85), ${p95} (P95)`);
+    }
+
+    const { completed, days, medianCycleTime } = forecast.history;
+    lines.push(`Based on ${completed} tasks completed in ${days} days` +
+      (medianCycleTime !== null ? `, median cycle time ${medianCycleTime} days` : '') +
+      `; ${forecast.trials} trials`);
+
+    return lines;
+  }
+
+  // ============================================================================
+  // Private Helper Methods
+  // ============================================================================
+
+  /**
+   * Draw a random element
+   *
+   * @private
+   * @param {number[]} values - Non-empty sample
+   * @returns {number} - Drawn value
+   */
+  _sample(values) {
+    return values[Math.floor(this.random() * values.length)];
+  }
+
+  /**
+   * Draw how many more days an in-progress task needs
+   *
+   * Only cycle times longer than the task's age are plausible; a task older
+   * than every observed cycle time is expected to finish any day now.
+   *
+   * @private
+   * @param {number[]} cycleTimes - Historical cycle times in days
+   * @param {number} age - Days since the task started
+   * @returns {number} - Remaining days
+   */
+  _sampleRemainingCycleTime(cycleTimes, age) {
+    const longer = cycleTimes.filter(days => days > age);
+    return longer.length > 0 ? this._sample(longer) - age : 0;
+  }
+
+  /**
+   * Nearest-rank percentile of a sorted array
+   *
+   * @private
+   * @param {number[]} sorted - Values in ascending order
+   * @param {number} p - Percentile (0-100)
+   * @returns {number} - Value
+   */
+  _percentile(sorted, p) {
+    const rank = Math.ceil((p / 100) * sorted.length) - 1;
+    return sorted[Math.min(sorted.length - 1, Math.max(0, rank))];
+  }
+
+  _isCompleted(frontmatter) {
+    return StatusHistory.normalizeStatus(frontmatter.status) === 'completed';
+  }
+
+  _today() {
+    return this._toDay(new Date());
+  }
+
+  /**
+   * Convert a date or date string to midnight UTC in milliseconds
+   *
+   * @private
+   * @param {string|Date} value - Date value
+   * @returns {number|null} - Timestamp, or null if not a date
+   */
+  _toDay(value) {
+    if (!value) {
+      return null;
+    }
+
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    const day = Date.parse(`${text.slice(0, 10)}T00:00:00.000Z`);
+
+    return Number.isNaN(day) ? null : day;
+  }
+
+  _formatDay(timestamp) {
+    return new Date(timestamp).toISOString().split('T')[0];
+  }
+}
+
+/**
+ * Small seedable PRNG (mulberry32) so forecasts can be reproduced
+ *
+ * @param {number} seed - Integer seed
+ * @returns {Function} - Returns floats in [0, 1)
+ */
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+DeliveryForecast.PERCENTILES = PERCENTILES;
+
+module.exports = DeliveryForecast;
@@ -18,6 +18,16 @@
  * console.log(analysis.parallelizable);   // Tasks that can run in parallel
  * ```
  *
+ * @example Portfolio (Cross-Epic) Analysis
+ * ```javascript
+ * // Tasks may depend on tasks of other epics with qualified references:
+ * //   depends_on: [task-002, billing/task-007]
+ * const portfolio = await analyzer.analyzePortfolio({ basePath: '.claude' });
+ *
+ * console.log(portfolio.criticalPath);   // { path: ['auth/task-001', 'billing/task-007'], hours: 40, epics: [...] }
+ * console.log(portfolio.epicBlocking);   // [{ from: 'auth', to: 'billing', open: 1, edges: [...] }]
+ * ```
+ *
  * @example Graph Structure
  * ```javascript
  * // analysis.graph structure:
@@ -35,9 +45,12 @@
  */
 
 const FilterEngine = require('./filter-engine');
+const PRDService = require('./services/PRDService');
 const path = require('path');
 const fs = require('fs').promises;
 
+const COMPLETED_STATUSES = ['completed', 'done', 'closed'];
+
 class DependencyAnalyzer {
   /**
    * Create DependencyAnalyzer instance
@@ -59,6 +72,7 @@ class DependencyAnalyzer {
    * // Returns:
    * // {
    * //   graph: { nodes: [...], edges: [...] },
+   * //   tasks: { 'task-001': { title: 'Setup', status: 'completed' }, ... },
    * //   bottlenecks: [{ taskId: 'task-003', blocking: 5, impact: 'high' }],
    * //   criticalPath: ['task-001', 'task-003', 'task-008'],
    * //   parallelizable: [['task-002', 'task-004'], ['task-006', 'task-007']],
@@ -90,6 +104,7 @@ class DependencyAnalyzer {
     if (taskFiles.length === 0) {
       return {
         graph: { nodes: [], edges: [] },
+        tasks: {},
         bottlenecks: [],
         criticalPath: [],
         parallelizable: [],
@@ -114,8 +129,18 @@ class DependencyAnalyzer {
       // Detect circular dependencies
       const circularDependencies = this._detectCircularDependencies(graph);
 
+      // Task details for rendering the graph
+      const taskDetails = {};
+      for (const task of taskFiles) {
+        taskDetails[task.frontmatter.id] = {
+          title: task.frontmatter.title || String(task.frontmatter.id),
+          status: task.frontmatter.status || 'pending'
+        };
+      }
+
       return {
         graph,
+        tasks: taskDetails,
         bottlenecks,
         criticalPath,
         parallelizable,
@@ -365,6 +390,152 @@ class DependencyAnalyzer {
     return levels;
   }
 
+  /**
+   * Analyze dependencies across all epics
+   *
+   * Nodes are qualified as `<epic>/<task id>`. References in `depends_on`
+   * and `blocks` resolve in this order:
+   *
+   * - `epic/task` - task in that epic (epic directory name or epic id; task
+   *   id or file name)
+   * - `task` - task in the same epic, otherwise the only task with that id in
+   *   any epic
+   *
+   * References that match nothing (or more than one task) are reported in
+   * `unresolved` instead of being dropped silently.
+   *
+   * The critical path is the chain of remaining work with the most effort
+   * hours (PRDService.parseEffort; completed tasks weigh 0). Tasks in cycles
+   * are left out of it.
+   *
+   * @param {Object} options - Options
+   * @param {string} options.basePath - Base path (default: '.claude')
+   * @returns {Promise<Object>} - {
+   *   graph: { nodes, edges: [{ from, to, type, crossEpic }] },
+   *   tasks: { [node]: { epic, id, title, status, hours } },
+   *   unresolved: [{ task, ref, type, reason }],
+   *   bottlenecks,
+   *   criticalPath: { path, hours, epics },
+   *   circularDependencies: [{ cycle, length, crossEpic, epics }],
+   *   epicBlocking: [{ from, to, open, edges: [{ from, to }] }],
+   *   epicCycles: [[epic, ..., epic]]
+   * }
+   *
+   * @example
+   * const portfolio = await analyzer.analyzePortfolio();
+   * portfolio.epicBlocking.forEach(b => console.log(`${b.from} blocks ${b.to} (${b.open} open)`));
+   */
+  async analyzePortfolio(options = {}) {
+    const basePath = options.basePath || '.claude';
+    const filterEngine = new FilterEngine({ basePath });
+    const files = await filterEngine.loadAll({ types: ['epic', 'task'] });
+
+    const { graph, tasks, unresolved } = this._buildPortfolioGraph(files);
+
+    const circularDependencies = this._detectCircularDependencies(graph).map(({ cycle, length }) => {
+      const epics = [...new Set(cycle.map(node => tasks[node].epic))];
+      return { cycle, length, crossEpic: epics.length > 1, epics };
+    });
+
+    const epicBlocking = this._findEpicBlocking(graph, tasks);
+
+    return {
+      graph,
+      tasks,
+      unresolved,
+      bottlenecks: this.findBottlenecks(graph),
+      criticalPath: this.findWeightedCriticalPath(graph, tasks),
+      circularDependencies,
+      epicBlocking,
+      epicCycles: this._detectCircularDependencies({
+        nodes: [...new Set(Object.values(tasks).map(task => task.epic))],
+        edges: epicBlocking
+      }).map(({ cycle }) => cycle)
+    };
+  }
+
+  /**
+   * Find the dependency chain with the most effort
+   *
+   * @param {Object} graph - Dependency graph
+   * @param {Object} tasks - Task details by node ({ hours, epic })
+   * @returns {Object} - { path: string[], hours: number, epics: string[] } - epics in path order
+   *
+   * @example
+   * const critical = analyzer.findWeightedCriticalPath(graph, tasks);
+   * // Returns: { path: ['auth/task-001', 'billing/task-004'], hours: 24, epics: ['auth', 'billing'] }
+   */
+  findWeightedCriticalPath(graph, tasks) {
+    const adjList = {};
+    const inDegree = {};
+    const distance = {};
+    const parent = {};
+    const weight = node => (tasks[node] ? tasks[node].hours : 0);
+
+    for (const node of graph.nodes) {
+      adjList[node] = [];
+      inDegree[node] = 0;
+      distance[node] = weight(node);
+      parent[node] = null;
+    }
+
+    for (const edge of graph.edges) {
+      adjList[edge.from].push(edge.to);
+      inDegree[edge.to]++;
+    }
+
+    // Kahn's algorithm; nodes in cycles never reach in-degree 0 and are skipped
+    const queue = graph.nodes.filter(node => inDegree[node] === 0);
+    const processed = new Set();
+
+    while (queue.length > 0) {
+      const node = queue.shift();
+      processed.add(node);
+
+      for (const neighbor of adjList[node]) {
+        if (distance[node] + weight(neighbor) > distance[neighbor]) {
+          distance[neighbor] = distance[node] + weight(neighbor);
+          parent[neighbor] = node;
+        }
+
+        inDegree[neighbor]--;
+        if (inDegree[neighbor] === 0) {
+          queue.push(neighbor);
+        }
+      }
+    }
+
+    let endNode = null;
+    for (const node of graph.nodes) {
+      if (processed.has(node) && distance[node] > 0 && (endNode === null || distance[node] > distance[endNode])) {
+        endNode = node;
+      }
+    }
+
+    if (endNode === null) {
+      return { path: [], hours: 0, epics: [] };
+    }
+
+    const criticalPath = [];
+    for (let current = endNode; current !== null; current = parent[current]) {
+      criticalPath.unshift(current);
+    }
+
+    // Leading completed tasks add nothing to the remaining work
+    while (criticalPath.length > 1 && weight(criticalPath[0]) === 0) {
+      criticalPath.shift();
+    }
+
+    const epics = [];
+    for (const node of criticalPath) {
+      if (epics[epics.length - 1] !== tasks[node].epic) {
+        epics.push(tasks[node].epic);
+      }
+    }
+
+    return { path: criticalPath, hours: distance[endNode], epics };
+  }
+
   // ============================================================================
   // Private Helper Methods
   // ============================================================================
@@ -408,6 +579,129 @@ class DependencyAnalyzer {
     return { nodes, edges };
   }
 
+  _buildPortfolioGraph(files) {
+    const prdService = new PRDService();
+    const tasks = {};
+    const nodesByEpic = {};
+    const epicAliases = {};
+
+    for (const file of files.filter(f => f.type === 'epic')) {
+      for (const alias of [file.frontmatter.id, file.frontmatter.name]) {
+        if (alias) {
+          epicAliases[String(alias)] = file.epic;
+        }
+      }
+    }
+
+    for (const file of files.filter(f => f.type === 'task')) {
+      const id = String(file.frontmatter.id || path.basename(file.path, '.md'));
+      const node = `${file.epic}/${id}`;
+      const completed = COMPLETED_STATUSES.includes(file.frontmatter.status);
+
+      tasks[node] = {
+        epic: file.epic,
+        id,
+        file: path.basename(file.path, '.md'),
+        title: file.frontmatter.title || id,
+        status: file.frontmatter.status || 'pending',
+        hours: completed ? 0 : prdService.effortHours(file.frontmatter),
+        frontmatter: file.frontmatter
+      };
+
+      nodesByEpic[file.epic] = nodesByEpic[file.epic] || [];
+      nodesByEpic[file.epic].push(node);
+    }
+
+    const resolve = (ref, epic) => {
+      const text = String(ref).trim();
+      const slash = text.lastIndexOf('/');
+
+      if (slash > 0) {
+        const refEpic = epicAliases[text.slice(0, slash)] || text.slice(0, slash);
+        const refTask = text.slice(slash + 1);
+        return (nodesByEpic[refEpic] || []).filter(n => tasks[n].id === refTask || tasks[n].file === refTask);
+      }
+
+      const local = (nodesByEpic[epic] || []).filter(n => tasks[n].id === text || tasks[n].file === text);
+      return local.length > 0 ? local : Object.keys(tasks).filter(n => tasks[n].id === text);
+    };
+
+    const edges = [];
+    const unresolved = [];
+    const seen = new Set();
+
+    const addEdge = (task, ref, type, toEdge) => {
+      const matches = resolve(ref, tasks[task].epic);
+
+      if (matches.length !== 1) {
+        unresolved.push({
+          task,
+          ref: String(ref),
+          type,
+          reason: matches.length === 0 ? 'not found' : `ambiguous: ${matches.join(', ')}`
+        });
+        return;
+      }
+
+      const [from, to] = toEdge(matches[0]);
+      const key = `${from}->${to}`;
+      if (from !== to && !seen.has(key)) {
+        seen.add(key);
+        edges.push({ from, to, type, crossEpic: tasks[from].epic !== tasks[to].epic });
+      }
+    };
+
+    for (const node of Object.keys(tasks)) {
+      const frontmatter = tasks[node].frontmatter;
+
+      for (const ref of this._toList(frontmatter.depends_on)) {
+        addEdge(node, ref, 'depends_on', dep => [dep, node]);
+      }
+      for (const ref of this._toList(frontmatter.blocks)) {
+        addEdge(node, ref, 'blocks', blocked => [node, blocked]);
+      }
+
+      delete tasks[node].frontmatter;
+    }
+
+    return { graph: { nodes: Object.keys(tasks), edges }, tasks, unresolved };
+  }
+
+  _findEpicBlocking(graph, tasks) {
+    const pairs = new Map();
+
+    for (const edge of graph.edges.filter(e => e.crossEpic)) {
+      const from = tasks[edge.from].epic;
+      const to = tasks[edge.to].epic;
+      const key = `${from}->${to}`;
+
+      if (!pairs.has(key)) {
+        pairs.set(key, { from, to, open: 0, edges: [] });
+      }
+
+      const pair = pairs.get(key);
+      pair.edges.push({ from: edge.from, to: edge.to });
+      if (!COMPLETED_STATUSES.includes(tasks[edge.from].status)) {
+        pair.open++;
+      }
+    }
+
+    return [...pairs.values()].sort((a, b) => b.open - a.open || a.from.localeCompare(b.from));
+  }
+
+  _toList(value) {
+    if (Array.isArray(value)) {
+      return value.filter(v => v !== null && v !== undefined && v !== '');
+    }
+    if (typeof value === 'string' && value.trim()) {
+      return value.split(',').map(v => v.trim()).filter(Boolean);
+    }
+    if (typeof value === 'number') {
+      return [value];
+    }
+    return [];
+  }
+
   _detectCircularDependencies(graph) {
     const cycles = [];
     const visited = new Set();
@@ -0,0 +1,553 @@
+/**
+ * Dependency Graph Export
+ *
+ * Renders a DependencyAnalyzer analysis as Mermaid (for pasting into PRs and
+ * issues), Graphviz DOT, or a self-contained HTML page that works offline.
+ *
+ * Every format shows the same things:
+ *
+ * - nodes coloured by status (pending, in_progress, blocked, completed)
+ * - the critical path as highlighted edges
+ * - bottlenecks with a thick red border
+ * - parallelizable groups from `findParallelizable` as clusters
+ *
+ * @example
+ * const DependencyAnalyzer = require('./lib/dependency-analyzer');
+ * const DependencyGraphExporter = require('./lib/dependency-graph-export');
+ *
+ * const analysis = await new DependencyAnalyzer().analyze('user-auth');
+ * const mermaid = new DependencyGraphExporter().export(analysis, 'mermaid', { title: 'user-auth' });
+ */
+
+const StatusHistory = require('./status-history');
+
+const FORMATS = ['mermaid', 'dot', 'html'];
+
+const STATUS_COLORS = {
+  pending: { fill: '#eaeef2', stroke: '#8c959f', text: '#24292f' },
+  in_progress: { fill: '#ddf4ff', stroke: '#0969da', text: '#0a3069' },
+  blocked: { fill: '#ffebe9', stroke: '#cf222e', text: '#82071e' },
+  completed: { fill: '#dafbe1', stroke: '#1a7f37', text: '#044f1e' }
+};
+
+const CRITICAL_COLOR = '#d1242f';
+const BOTTLENECK_COLOR = '#cf222e';
+
+const NODE_WIDTH = 180;
+const NODE_HEIGHT = 44;
+const COLUMN_GAP = 70;
+const ROW_GAP = 24;
+const MARGIN = 20;
+
+class DependencyGraphExporter {
+  /**
+   * Render an analysis in the requested format
+   *
+   * @param {Object} analysis - Result of DependencyAnalyzer.analyze()
+   * @param {string} format - mermaid | dot | html
+   * @param {Object} options - Options
+   * @param {string} options.title - Graph title (usually the epic name)
+   * @returns {string} Rendered graph
+   * @throws {Error} If the format is not supported
+   */
+  export(analysis, format = 'mermaid', options = {}) {
+    switch (format) {
+      case 'mermaid':
+        return this.toMermaid(analysis, options);
+      case 'dot':
+        return this.toDot(analysis, options);
+      case 'html':
+        return this.toHtml(analysis, options);
+      default:
+        throw new Error(`Unsupported graph format: ${format}. Must be one of: ${FORMATS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Render a Mermaid flowchart
+   *
+   * Parallel groups become subgraphs, critical path edges get a `linkStyle`
+   * and bottlenecks a `bottleneck` class on top of their status class.
+   *
+   * @param {Object} analysis - Dependency analysis
+   * @param {Object} options - Options
+   * @param {string} options.title - Graph title
+   * @returns {string} Mermaid source
+   */
+  toMermaid(analysis, options = {}) {
+    const model = this.buildModel(analysis);
+    const ids = new Map(model.nodes.map((node, index) => [node.id, `n${index}`]));
+    const lines = [];
+
+    if (options.title) {
+      lines.push('---', `title: ${this._mermaidText(options.title)}`, '---');
+    }
+    lines.push('flowchart LR');
+
+    const nodeLine = node => `${ids.get(node.id)}["${this._mermaidText(node.label)}"]`;
+    const grouped = new Set();
+
+    model.groups.forEach((group, index) => {
+      lines.push(`  subgraph group${index + 1}["Parallel group ${index + 1}"]`);
+      group.forEach(id => {
+        lines.push(`    ${nodeLine(model.byId.get(id))}`);
+        grouped.add(id);
+      });
+      lines.push('  end');
+    });
+
+    model.nodes.filter(node => !grouped.has(node.id)).forEach(node => {
+      lines.push(`  ${nodeLine(node)}`);
+    });
+
+    const criticalLinks = [];
+    model.edges.forEach((edge, index) => {
+      lines.push(`  ${ids.get(edge.from)} --> ${ids.get(edge.to)}`);
+      if (edge.critical) {
+        criticalLinks.push(index);
+      }
+    });
+
+    for (const [status, colors] of Object.entries(STATUS_COLORS)) {
+      lines.push(`  classDef ${status} fill:${colors.fill},stroke:${colors.stroke},color:${colors.text}`);
+    }
+    lines.push(`  classDef bottleneck stroke:${BOTTLENECK_COLOR},stroke-width:4px`);
+
+    for (const status of Object.keys(STATUS_COLORS)) {
+      const members = model.nodes.filter(node => node.status === status).map(node => ids.get(node.id));
+      if (members.length > 0) {
+        lines.push(`  class ${members.join(',')} ${status}`);
+      }
+    }
+
+    const bottlenecks = model.nodes.filter(node => node.bottleneck).map(node => ids.get(node.id));
+    if (bottlenecks.length > 0) {
+      lines.push(`  class ${bottlenecks.join(',')} bottleneck`);
+    }
+
+    if (criticalLinks.length > 0) {
+      lines.push(`  linkStyle ${criticalLinks.join(',')} stroke:${CRITICAL_COLOR},stroke-width:3px`);
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Render a Graphviz DOT digraph
+   *
+   * @param {Object} analysis - Dependency analysis
+   * @param {Object} options - Options
+   * @param {string} options.title - Graph title
+   * @returns {string} DOT source
+   */
+  toDot(analysis, options = {}) {
+    const model = this.buildModel(analysis);
+    const lines = [`digraph ${this._dotString(options.title || 'dependencies')} {`];
+
+    lines.push('  rankdir=LR;');
+    if (options.title) {
+      lines.push(`  label=${this._dotString(options.title)};`, '  labelloc=t;');
+    }
+    lines.push('  node [shape=box, style="rounded,filled", fontname="Helvetica", fontsize=11];');
+    lines.push('  edge [color="#8c959f"];');
+
+    const nodeLine = node => {
+      const colors = STATUS_COLORS[node.status];
+      const attributes = [
+        `label=${this._dotString(node.label)}`,
+        `fillcolor="${colors.fill}"`,
+        `fontcolor="${colors.text}"`,
+        node.bottleneck ? `color="${BOTTLENECK_COLOR}", penwidth=3` : `color="${colors.stroke}"`
+      ];
+      return `${this._dotString(node.id)} [${attributes.join(', ')}];`;
+    };
+
+    const grouped = new Set();
+    model.groups.forEach((group, index) => {
+      lines.push(`  subgraph cluster_${index + 1} {`);
+      lines.push(`    label="Parallel group ${index + 1}";`, '    style=dashed;', '    color="#8c959f";');
+      group.forEach(id => {
+        lines.push(`    ${nodeLine(model.byId.get(id))}`);
+        grouped.add(id);
+      });
+      lines.push('  }');
+    });
+
+    model.nodes.filter(node => !grouped.has(node.id)).forEach(node => {
+      lines.push(`  ${nodeLine(node)}`);
+    });
+
+    for (const edge of model.edges) {
+      const style = edge.critical ? ` [color="${CRITICAL_COLOR}", penwidth=2.5]` : '';
+      lines.push(`  ${this._dotString(edge.from)} -> ${this._dotString(edge.to)}${style};`);
+    }
+
+    lines.push('}');
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Render a self-contained HTML page
+   *
+   * The graph is an inline SVG laid out by dependency level, so the page has
+   * no external scripts or styles. Clicking a node highlights everything it
+   * depends on and everything that depends on it.
+   *
+   * @param {Object} analysis - Dependency analysis
+   * @param {Object} options - Options
+   * @param {string} options.title - Page title
+   * @returns {string} HTML document
+   */
+  toHtml(analysis, options = {}) {
+    const model = this.buildModel(analysis);
+    const title = options.title ? `Dependencies: ${options.title}` : 'Dependencies';
+    const layout = this.layout(model);
+    const esc = text => this._htmlText(text);
+
+    const groupOf = new Map();
+    model.groups.forEach((group, index) => group.forEach(id => groupOf.set(id, index + 1)));
+
+    const edgeSvg = model.edges.map(edge => {
+      const from = layout.positions.get(edge.from);
+      const to = layout.positions.get(edge.to);
+      const x1 = from.x + NODE_WIDTH;
+      const y1 = from.y + NODE_HEIGHT / 2;
+      const x2 = to.x;
+      const y2 = to.y + NODE_HEIGHT / 2;
+      const bend = Math.max(30, Math.abs(x2 - x1) / 2);
+      const d = `M${x1},${y1} C${x1 + bend},${y1} ${x2 - bend},${y2} ${x2},${y2}`;
+      const cls = edge.critical ? 'edge critical' : 'edge';
+      return `<path class="${cls}" data-from="${esc(edge.from)}" data-to="${esc(edge.to)}" d="${d}" marker-end="url(#${edge.critical ? 'arrow-critical' : 'arrow'})"/>`;
+    });
+
+    const nodeSvg = model.nodes.map(node => {
+      const { x, y } = layout.positions.get(node.id);
+      const colors = STATUS_COLORS[node.status];
+      const stroke = node.bottleneck ? BOTTLENECK_COLOR : colors.stroke;
+      const strokeWidth = node.bottleneck ? 4 : 1.5;
+      const tooltip = [
+        node.label,
+        `Status: ${node.status}`,
+        node.critical ? 'On the critical path' : null,
+        node.bottleneck ? `Bottleneck: blocks ${node.blocking} tasks` : null,
+        groupOf.has(node.id) ? `Parallel group ${groupOf.get(node.id)}` : null
+      ].filter(Boolean).join('\n');
+
+      return [
+        `<g class="node" data-id="${esc(node.id)}" transform="translate(${x},${y})">`,
+        `<title>${esc(tooltip)}</title>`,
+        `<rect width="${NODE_WIDTH}" height="${NODE_HEIGHT}" rx="8" fill="${colors.fill}" stroke="${stroke}" stroke-width="${strokeWidth}"/>`,
+        `<text x="10" y="18" fill="${colors.text}" font-weight="bold">${esc(this._truncate(String(node.id), 24))}</text>`,
+        `<text x="10" y="34" fill="${colors.text}">${esc(this._truncate(node.title, 26))}</text>`,
+        '</g>'
+      ].join('');
+    });
+
+    const legend = Object.entries(STATUS_COLORS).map(([status, colors]) =>
+      `<span class="swatch" style="background:${colors.fill};border-color:${colors.stroke}"></span>${esc(status)}`
+    ).concat([
+      `<span class="swatch" style="border:3px solid ${BOTTLENECK_COLOR}"></span>bottleneck`,
+      `<span class="line" style="background:${CRITICAL_COLOR}"></span>critical path`
+    ]).join('\n      ');
+
+    const list = items => items.length > 0
+      ? `<ul>${items.map(item => `<li>${item}</li>`).join('')}</ul>`
+      : '<p class="none">None</p>';
+
+    const sections = [
+      '<h2>Critical Path</h2>',
+      model.criticalPath.length > 0 ? `<p>${model.criticalPath.map(esc).join(' → ')}</p>` : '<p class="none">None</p>',
+      '<h2>Bottlenecks</h2>',
+      list((analysis.bottlenecks || []).map(b => `<strong>${esc(b.taskId)}</strong> blocks ${b.blocking} tasks (${esc(b.impact)})`)),
+      '<h2>Parallelizable Groups</h2>',
+      list(model.groups.map((group, index) => `Group ${index + 1}: ${group.map(esc).join(', ')}`))
+    ];
+
+    if (model.cycles.length > 0) {
+      sections.push('<h2>Circular Dependencies</h2>', list(model.cycles.map(cycle => cycle.map(esc).join(' → '))));
+    }
+
+    const edgeData = JSON.stringify(model.edges.map(edge => [edge.from, edge.to])).replace(/</g, '\\u003c');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${esc(title)}</title>
+  <style>
+    body { font-family: -apple-system, Segoe UI, Helvetica, Arial, sans-serif; margin: 24px; color: #24292f; }
+    h1 { font-size: 20px; }
+    h2 { font-size: 15px; margin-top: 20px; }
+    .legend { display: flex; flex-wrap: wrap; gap: 16px; font-size: 13px; align-items: center; }
+    .swatch { display: inline-block; width: 14px; height: 14px; border: 1px solid; border-radius: 3px; margin-right: 6px; vertical-align: middle; }
+    .line { display: inline-block; width: 24px; height: 3px; margin-right: 6px; vertical-align: middle; }
+    .graph { overflow: auto; border: 1px solid #d0d7de; border-radius: 6px; margin-top: 16px; }
+    svg { font-size: 12px; }
+    .node { cursor: pointer; }
+    .edge { fill: none; stroke: #8c959f; stroke-width: 1.5; }
+    .edge.critical { stroke: ${CRITICAL_COLOR}; stroke-width: 3; }
+    .dimmed { opacity: 0.2; }
+    .none { color: #57606a; }
+  </style>
+</head>
+<body>
+  <h1>${esc(title)}</h1>
+  <div class="legend">
+      ${legend}
+  </div>
+  <div class="graph">
+    <svg xmlns="http://www.w3.org/2000/svg" width="${layout.width}" height="${layout.height}">
+      <defs>
+        <marker id="arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse"><path d="M0,0 L10,5 L0,10 z" fill="#8c959f"/></marker>
+        <marker id="arrow-critical" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse"><path d="M0,0 L10,5 L0,10 z" fill="${CRITICAL_COLOR}"/></marker>
+      </defs>
+      ${edgeSvg.join('\n      ')}
+      ${nodeSvg.join('\n      ')}
+    </svg>
+  </div>
+  ${sections.join('\n  ')}
+  <script>
+    (function () {
+      var edges = ${edgeData};
+      var selected = null;
+
+      function walk(start, forward) {
+        var seen = {};
+        var stack = [start];
+        while (stack.length) {
+          var id = stack.pop();
+          if (seen[id]) continue;
+          seen[id] = true;
+          edges.forEach(function (e) {
+            if ((forward ? e[0] : e[1]) === id) stack.push(forward ? e[1] : e[0]);
+          });
+        }
+        return seen;
+      }
+
+      function highlight(id) {
+        selected = selected === id ? null : id;
+        var related = {};
+        if (selected !== null) {
+          var down = walk(selected, true);
+          var up = walk(selected, false);
+          Object.keys(down).concat(Object.keys(up)).forEach(function (key) { related[key] = true; });
+        }
+        document.querySelectorAll('.node').forEach(function (node) {
+          node.classList.toggle('dimmed', selected !== null && !related[node.getAttribute('data-id')]);
+        });
+        document.querySelectorAll('.edge').forEach(function (edge) {
+          var on = related[edge.getAttribute('data-from')] && related[edge.getAttribute('data-to')];
+          edge.classList.toggle('dimmed', selected !== null && !on);
+        });
+      }
+
+      document.querySelectorAll('.node').forEach(function (node) {
+        node.addEventListener('click', function () { highlight(node.getAttribute('data-id')); });
+      });
+    })();
+  </script>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Normalize an analysis into nodes and edges with rendering flags
+   *
+   * Edges pointing at tasks outside the analysis are kept as pending nodes,
+   * so a missing dependency shows up in the graph instead of disappearing.
+   *
+   * @param {Object} analysis - Dependency analysis
+   * @returns {Object} - {
+   *   nodes: [{ id, title, label, status, critical, bottleneck, blocking }],
+   *   edges: [{ from, to, critical }],
+   *   byId, groups, criticalPath, cycles
+   * }
+   */
+  buildModel(analysis) {
+    if (!analysis || !analysis.graph) {
+      throw new Error('Dependency analysis is required to render a graph');
+    }
+
+    const tasks = analysis.tasks || {};
+    const criticalPath = Array.isArray(analysis.criticalPath)
+      ? analysis.criticalPath
+      : ((analysis.criticalPath && analysis.criticalPath.path) || []);
+    const bottlenecks = new Map((analysis.bottlenecks || []).map(b => [b.taskId, b]));
+
+    const ids = [...analysis.graph.nodes];
+    for (const edge of analysis.graph.edges) {
+      for (const id of [edge.from, edge.to]) {
+        if (!ids.includes(id)) {
+          ids.push(id);
+        }
+      }
+    }
+
+    const nodes = ids.map(id => {
+      const task = tasks[id] || {};
+      const title = task.title || String(id);
+      return {
+        id,
+        title,
+        label: title === String(id) ? String(id) : `${id}: ${title}`,
+        status: StatusHistory.normalizeStatus(task.status),
+        critical: criticalPath.includes(id),
+        bottleneck: bottlenecks.has(id),
+        blocking: bottlenecks.has(id) ? bottlenecks.get(id).blocking : 0
+      };
+    });
+
+    const criticalEdges = new Set();
+    for (let i = 1; i < criticalPath.length; i++) {
+      criticalEdges.add(`${criticalPath[i - 1]}->${criticalPath[i]}`);
+    }
+
+    const seen = new Set();
+    const edges = [];
+    for (const edge of analysis.graph.edges) {
+      const key = `${edge.from}->${edge.to}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        edges.push({ from: edge.from, to: edge.to, critical: criticalEdges.has(key) });
+      }
+    }
+
+    return {
+      nodes,
+      edges,
+      byId: new Map(nodes.map(node => [node.id, node])),
+      groups: (analysis.parallelizable || []).map(group => group.filter(id => ids.includes(id))),
+      criticalPath,
+      cycles: (analysis.circularDependencies || []).map(c => (Array.isArray(c) ? c : c.cycle))
+    };
+  }
+
+  /**
+   * Place nodes in columns by dependency level
+   *
+   * A node's column is the length of the longest chain leading to it; nodes
+   * in a cycle go after the last column.
+   *
+   * @param {Object} model - Result of buildModel()
+   * @returns {Object} - { positions: Map<id, {x, y}>, width, height }
+   */
+  layout(model) {
+    const inDegree = new Map(model.nodes.map(node => [node.id, 0]));
+    const outgoing = new Map(model.nodes.map(node => [node.id, []]));
+    const level = new Map(model.nodes.map(node => [node.id, 0]));
+
+    for (const edge of model.edges) {
+      outgoing.get(edge.from).push(edge.to);
+      inDegree.set(edge.to, inDegree.get(edge.to) + 1);
+    }
+
+    const queue = model.nodes.filter(node => inDegree.get(node.id) === 0).map(node => node.id);
+    const placed = new Set();
+
+    while (queue.length > 0) {
+      const id = queue.shift();
+      placed.add(id);
+
+      for (const next of outgoing.get(id)) {
+        level.set(next, Math.max(level.get(next), level.get(id) + 1));
+        inDegree.set(next, inDegree.get(next) - 1);
+        if (inDegree.get(next) === 0) {
+          queue.push(next);
+        }
+      }
+    }
+
+    const lastLevel = Math.max(0, ...[...placed].map(id => level.get(id)));
+    for (const node of model.nodes) {
+      if (!placed.has(node.id)) {
+        level.set(node.id, placed.size > 0 ? lastLevel + 1 : 0);
+      }
+    }
+
+    const columns = [];
+    for (const node of model.nodes) {
+      const column = level.get(node.id);
+      columns[column] = columns[column] || [];
+      columns[column].push(node.id);
+    }
+
+    const positions = new Map();
+    let rows = 0;
+    columns.forEach((column, index) => {
+      (column || []).forEach((id, row) => {
+        positions.set(id, {
+          x: MARGIN + index * (NODE_WIDTH + COLUMN_GAP),
+          y: MARGIN + row * (NODE_HEIGHT + ROW_GAP)
+        });
+      });
+      rows = Math.max(rows, (column || []).length);
+    });
+
+    return {
+      positions,
+      width: MARGIN * 2 + Math.max(1, columns.length) * (NODE_WIDTH + COLUMN_GAP) - COLUMN_GAP,
+      height: MARGIN * 2 + Math.max(1, rows) * (NODE_HEIGHT + ROW_GAP) - ROW_GAP
+    };
+  }
+
+  // ============================================================================
+  // Private Helper Methods
+  // ============================================================================
+
+  /**
+   * Escape text for a quoted Mermaid label
+   *
+   * @private
+   * @param {string} text - Label text
+   * @returns {string} Escaped text
+   */
+  _mermaidText(text) {
+    return String(text)
+      .replace(/"/g, '#quot;')
+      .replace(/[\r\n]+/g, ' ');
+  }
+
+  /**
+   * Quote a DOT identifier or label
+   *
+   * @private
+   * @param {string} text - Identifier or label
+   * @returns {string} Quoted string
+   */
+  _dotString(text) {
+    return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/[\r\n]+/g, ' ')}"`;
+  }
+
+  /**
+   * Escape text for HTML and SVG
+   *
+   * @private
+   * @param {string} text - Text
+   * @returns {string} Escaped text
+   */
+  _htmlText(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Shorten text to fit a node box
+   *
+   * @private
+   * @param {string} text - Text
+   * @param {number} max - Maximum characters
+   * @returns {string} Text, with an ellipsis if shortened
+   */
+  _truncate(text, max) {
+    return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+  }
+}
+
+DependencyGraphExporter.FORMATS = FORMATS;
+
+module.exports = DependencyGraphExporter;
@@ -154,6 +154,20 @@ AIProviderError.CONTEXT_LENGTH_EXCEEDED = 'CONTEXT_LENGTH_EXCEEDED';
  */
 AIProviderError.CONTENT_POLICY_VIOLATION = 'CONTENT_POLICY_VIOLATION';
 
+/**
+ * Response does not match the requested structure (JSON Schema)
+ * @type {string}
+ * @static
+ */
+AIProviderError.INVALID_RESPONSE = 'INVALID_RESPONSE';
+
+/**
+ * Operation not supported by the provider (e.g. function calling)
+ * @type {string}
+ * @static
+ */
+AIProviderError.UNSUPPORTED_OPERATION = 'UNSUPPORTED_OPERATION';
+
 /**
  * Unknown or unexpected error
  * @type {string}
@@ -36,6 +36,20 @@
  * const searchResults = await engine.search(files, 'OAuth2');
  * ```
  *
+ * @example Query Language
+ * ```javascript
+ * const engine = new FilterEngine();
+ *
+ * // Evaluate a QueryParser expression across PRDs, epics and tasks
+ * const results = await engine.queryAll(
+ *   'status:active AND (priority:high OR label:security) AND NOT epic:legacy sort:priority'
+ * );
+ *
+ * // With fields: projected rows instead of files
+ * const rows = await engine.queryAll('type:task effort:>=2d fields:id,title,effort');
+ * // Returns: [{ id: 'task-001', title: 'Login form', effort: '3d' }]
+ * ```
+ *
  * @module FilterEngine
  * @version 1.0.0
  * @since v1.28.0
@@ -45,6 +59,24 @@ const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
 const yaml = require('yaml');
+const QueryParser = require('./query-parser');
+
+/**
+ * Sort rank of priority values (lower = more important)
+ * @type {Object}
+ */
+const PRIORITY_RANK = {
+  p0: 0, critical: 0,
+  p1: 1, high: 1,
+  p2: 2, medium: 2,
+  p3: 3, low: 3
+};
+
+/**
+ * Entity types loadAll() understands
+ * @type {string[]}
+ */
+const ENTITY_TYPES = ['prd', 'epic', 'task', 'issue'];
 
 class FilterEngine {
   /**
@@ -55,6 +87,7 @@ class FilterEngine {
    */
   constructor(options = {}) {
     this.basePath = options.basePath || '.claude';
+    this.queryParser = new QueryParser();
   }
 
   /**
@@ -379,6 +412,383 @@ class FilterEngine {
     return allResults;
   }
 
+  /**
+   * Load PRDs, epics, tasks and issues tagged with their entity type
+   *
+   * Layout: prds/*.md, epics/<name>/epic.md, epics/<name>/<task>.md and
+   * issues/*.md. Epics and tasks also get `epic` (the epic directory name).
+   *
+   * @param {Object} options - Load options
+   * @param {string[]} options.types - Entity types (default: ['prd', 'epic', 'task'])
+   * @returns {Promise<Array>} - Array of { path, type, epic?, frontmatter, content }
+   */
+  async loadAll(options = {}) {
+    const types = options.types || ['prd', 'epic', 'task'];
+    const results = [];
+
+    for (const type of types) {
+      if (!ENTITY_TYPES.includes(type)) {
+        throw new Error(`Invalid entity type: ${type}. Must be one of: ${ENTITY_TYPES.join(', ')}`);
+      }
+    }
+
+    for (const type of ['prd', 'issue'].filter(t => types.includes(t))) {
+      const files = await this.loadFiles(path.join(this.basePath, `${type}s`));
+      results.push(...files.map(file => ({ ...file, type })));
+    }
+
+    if (types.includes('epic') || types.includes('task')) {
+      const epicsDir = path.join(this.basePath, 'epics');
+      let entries = [];
+
+      try {
+        entries = await fs.readdir(epicsDir, { withFileTypes: true });
+      } catch (error) {
+        entries = [];
+      }
+
+      for (const entry of entries.filter(e => e.isDirectory())) {
+        const files = await this.loadFiles(path.join(epicsDir, entry.name));
+
+        for (const file of files) {
+          const type = path.basename(file.path) === 'epic.md' ? 'epic' : 'task';
+          if (types.includes(type)) {
+            results.push({ ...file, type, epic: entry.name });
+          }
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Evaluate a query against files: filter, sort and project
+   *
+   * @param {Array} files - Files from loadFiles() or loadAll()
+   * @param {string|Object} query - Query expression or QueryParser.parseQuery() result
+   * @returns {Promise<Array>} - Matching files, or projected rows if the query has fields
+   * @throws {Error} - On query syntax errors
+   *
+   * @example
+   * const results = await engine.query(files, 'status:active effort:..3d sort:-updated');
+   */
+  async query(files, query) {
+    const parsed = typeof query === 'string' ? this.queryParser.parseQuery(query) : query;
+
+    if (!Array.isArray(files)) {
+      return [];
+    }
+
+    let results = parsed.where
+      ? files.filter(file => this.evaluate(parsed.where, file))
+      : [...files];
+
+    if (parsed.sort && parsed.sort.length > 0) {
+      results = this.sortFiles(results, parsed.sort);
+    }
+
+    if (parsed.fields && parsed.fields.length > 0) {
+      return this.project(results, parsed.fields);
+    }
+
+    return results;
+  }
+
+  /**
+   * Load entities and evaluate a query in one operation
+   *
+   * @param {string|Object} query - Query expression or parsed query
+   * @param {Object} options - Load options (see loadAll)
+   * @returns {Promise<Array>} - Query results
+   */
+  async queryAll(query, options = {}) {
+    // Parse first so syntax errors surface before any file is read
+    const parsed = typeof query === 'string' ? this.queryParser.parseQuery(query) : query;
+    const files = await this.loadAll(options);
+    return this.query(files, parsed);
+  }
+
+  /**
+   * Evaluate a query AST node against one file
+   *
+   * @param {Object} node - AST node from QueryParser.parseQuery()
+   * @param {Object} file - File with frontmatter and content
+   * @returns {boolean} - True if the file matches
+   */
+  evaluate(node, file) {
+    switch (node.type) {
+      case 'and':
+        return node.children.every(child => this.evaluate(child, file));
+
+      case 'or':
+        return node.children.some(child => this.evaluate(child, file));
+
+      case 'not':
+        return !this.evaluate(node.child, file);
+
+      case 'compare':
+        return this.compareValue(this.getFieldValue(file, node.field), node.operator, node.value);
+
+      case 'range':
+        return (!node.from || this.compareValue(this.getFieldValue(file, node.field), 'gte', node.from)) &&
+          (!node.to || this.compareValue(this.getFieldValue(file, node.field), 'lte', node.to));
+
+      case 'text': {
+        const needle = node.value.toLowerCase();
+        return JSON.stringify(file.frontmatter || {}).toLowerCase().includes(needle) ||
+          (file.content || '').toLowerCase().includes(needle);
+      }
+
+      default:
+        throw new Error(`Unknown query node type: ${node.type}`);
+    }
+  }
+
+  /**
+   * Resolve a field of a file
+   *
+   * Besides frontmatter fields (dotted paths for nested values) this knows
+   * `type` (entity type), `path`, `epic` (frontmatter or epic directory) and
+   * `label` (labels, label or tags). Label lists written as comma-separated
+   * text (`labels: security, backend`) are split into arrays.
+   *
+   * @param {Object} file - File from loadFiles() or loadAll()
+   * @param {string} field - Field name
+   * @returns {*} - Field value, undefined if missing
+   */
+  getFieldValue(file, field) {
+    const frontmatter = file.frontmatter || {};
+
+    switch (field) {
+      case 'type':
+        return file.type;
+      case 'path':
+        return file.path;
+      case 'epic':
+        return frontmatter.epic !== undefined ? frontmatter.epic : file.epic;
+      case 'label':
+        return this._toList(frontmatter.labels || frontmatter.label || frontmatter.tags);
+      case 'labels':
+      case 'tags':
+        return this._toList(frontmatter[field]);
+    }
+
+    if (Object.prototype.hasOwnProperty.call(frontmatter, field)) {
+      return frontmatter[field];
+    }
+
+    return field.split('.').reduce(
+      (value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined),
+      frontmatter
+    );
+  }
+
+  /**
+   * Compare a field value with a typed query value
+   *
+   * Missing values never match; arrays match if any element does.
+   *
+   * @param {*} actual - Field value
+   * @param {string} operator - eq | gt | gte | lt | lte
+   * @param {Object} value - Typed value from QueryParser.parseValue()
+   * @returns {boolean} - True if the comparison holds
+   */
+  compareValue(actual, operator, value) {
+    if (actual === undefined || actual === null || actual === '') {
+      return false;
+    }
+
+    if (Array.isArray(actual)) {
+      return actual.some(element => this.compareValue(element, operator, value));
+    }
+
+    if (value.kind === 'date') {
+      const time = actual instanceof Date ? actual.getTime() : Date.parse(String(actual));
+
+      if (Number.isNaN(time)) {
+        return false;
+      }
+
+      switch (operator) {
+        case 'eq': return time >= value.start && time <= value.end;
+        case 'gt': return time > value.end;
+        case 'gte': return time >= value.start;
+        case 'lt': return time < value.start;
+        case 'lte': return time <= value.end;
+      }
+    }
+
+    if (value.kind === 'effort' || value.kind === 'number') {
+      const number = value.kind === 'effort' ? this._toHours(actual) : Number(actual);
+
+      if (number === null || Number.isNaN(number)) {
+        return false;
+      }
+
+      return this._compareOrdered(number, value.value, operator);
+    }
+
+    const text = String(actual).toLowerCase();
+    const expected = String(value.value).toLowerCase();
+
+    if (operator === 'eq') {
+      if (expected.includes('*')) {
+        const pattern = expected.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        return new RegExp(`^${pattern}$`).test(text);
+      }
+      return text === expected;
+    }
+
+    return this._compareOrdered(text.localeCompare(expected), 0, operator);
+  }
+
+  /**
+   * Sort files by one or more fields
+   *
+   * Dates, efforts and numbers sort by value, priorities by importance
+   * (P0/critical first), everything else alphabetically. Files missing a
+   * field always sort last.
+   *
+   * @param {Array} files - Files to sort
+   * @param {Array<Object>} sort - [{ field, direction: 'asc' | 'desc' }]
+   * @returns {Array} - Sorted copy
+   */
+  sortFiles(files, sort) {
+    const keyed = files.map(file => ({
+      file,
+      keys: sort.map(({ field }) => this._sortKey(this.getFieldValue(file, field), field))
+    }));
+
+    keyed.sort((a, b) => {
+      for (let i = 0; i < sort.length; i++) {
+        const left = a.keys[i];
+        const right = b.keys[i];
+
+        if (left === right) continue;
+        if (left === null) return 1;
+        if (right === null) return -1;
+
+        let result;
+        if (typeof left === 'number' && typeof right === 'number') {
+          result = left - right;
+        } else {
+          result = String(left).localeCompare(String(right));
+        }
+
+        if (result !== 0) {
+          return sort[i].direction === 'desc' ? -result : result;
+        }
+      }
+      return 0;
+    });
+
+    return keyed.map(entry => entry.file);
+  }
+
+  /**
+   * Project files onto a list of fields
+   *
+   * @param {Array} files - Files to project
+   * @param {string[]} fields - Field names (see getFieldValue)
+   * @returns {Array<Object>} - Rows with exactly these fields (null if missing)
+   */
+  project(files, fields) {
+    return files.map(file => {
+      const row = {};
+      for (const field of fields) {
+        const value = this.getFieldValue(file, field);
+        row[field] = value === undefined ? null : value;
+      }
+      return row;
+    });
+  }
+
+  /**
+   * Apply a comparison operator to two ordered values
+   *
+   * @param {number|string} left - Left value
+   * @param {number|string} right - Right value
+   * @param {string} operator - eq | gt | gte | lt | lte
+   * @returns {boolean} - Result
+   * @private
+   */
+  _compareOrdered(left, right, operator) {
+    switch (operator) {
+      case 'eq': return left === right;
+      case 'gt': return left > right;
+      case 'gte': return left >= right;
+      case 'lt': return left < right;
+      case 'lte': return left <= right;
+      default: return false;
+    }
+  }
+
+  /**
+   * Convert a field value to effort hours
+   *
+   * @param {*} value - Effort string ('4h', '2d', '1w') or number of hours
+   * @returns {number|null} - Hours, null if not an effort
+   * @private
+   */
+  _toHours(value) {
+    if (typeof value === 'number') {
+      return value;
+    }
+
+    const typed = this.queryParser.parseValue(String(value).trim());
+    return typed.kind === 'effort' || typed.kind === 'number' ? typed.value : null;
+  }
+
+  /**
+   * Split a comma-separated list value
+   *
+   * @param {*} value - Field value
+   * @returns {*} - Array of trimmed items for comma-separated text, else the value
+   * @private
+   */
+  _toList(value) {
+    if (typeof value !== 'string' || !value.includes(',')) {
+      return value;
+    }
+
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+
+  /**
+   * Comparable sort key of a field value
+   *
+   * @param {*} value - Field value
+   * @param {string} field - Field name
+   * @returns {number|string|null} - Sort key, null if missing
+   * @private
+   */
+  _sortKey(value, field) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    if (value instanceof Date) {
+      return value.getTime();
+    }
+
+    if (typeof value === 'number') {
+      return value;
+    }
+
+    const text = Array.isArray(value) ? value.join(',') : String(value);
+
+    if (field === 'priority' && PRIORITY_RANK[text.toLowerCase()] !== undefined) {
+      return PRIORITY_RANK[text.toLowerCase()];
+    }
+
+    const typed = this.queryParser.parseValue(text.trim());
+    if (typed.kind === 'date') return typed.start;
+    if (typed.kind === 'effort' || typed.kind === 'number') return typed.value;
+
+    return text.toLowerCase();
+  }
+
   /**
    * Filter files by date range
    *
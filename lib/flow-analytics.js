@@ -0,0 +1,574 @@
+/**
+ * FlowAnalytics - Cumulative flow, cycle time and WIP analytics
+ *
+ * Works on per-task status timelines (see StatusHistory) rather than on the
+ * current status only:
+ *
+ * - cumulative flow diagram - tasks in each flow state at the end of every day
+ * - cycle time - first in_progress to completed
+ * - lead time - created to completed
+ * - WIP age - how long unfinished started tasks have been in flight
+ * - flow efficiency - share of cycle time spent in_progress rather than
+ *   blocked or back in pending
+ *
+ * Reports render as ASCII (like BurndownChart) and export to JSON or CSV.
+ *
+ * @example
+ * ```javascript
+ * const FlowAnalytics = require('./lib/flow-analytics');
+ * const flow = new FlowAnalytics({ basePath: '.claude' });
+ *
+ * const report = await flow.analyze({ epicId: 'user-auth', days: 30 });
+ * console.log(flow.render(report));
+ * console.log(report.cycleTime.p85);         // 6 days
+ * console.log(report.flowEfficiency.percent); // 62
+ *
+ * const csv = flow.export(report, 'csv');
+ * ```
+ *
+ * @module FlowAnalytics
+ */
+
+const FilterEngine = require('./filter-engine');
+const StatusHistory = require('./status-history');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Bottom-up stacking order of the cumulative flow diagram
+const CFD_LAYERS = [
+  { state: 'completed', char: '█', label: 'Completed' },
+  { state: 'blocked', char: '▓', label: 'Blocked' },
+  { state: 'in_progress', char: '▒', label: 'In Progress' },
+  { state: 'pending', char: '░', label: 'Pending' }
+];
+
+class FlowAnalytics {
+  /**
+   * Create FlowAnalytics instance
+   *
+   * @param {Object} options - Configuration options
+   * @param {string} options.basePath - Base path for file operations (default: '.claude')
+   * @param {number} options.width - Chart width in characters (default: 60)
+   * @param {number} options.height - Chart height in lines (default: 15)
+   */
+  constructor(options = {}) {
+    this.basePath = options.basePath || '.claude';
+    this.width = options.width || 60;
+    this.height = options.height || 15;
+    this.filterEngine = new FilterEngine({ basePath: this.basePath });
+    this.statusHistory = new StatusHistory({ basePath: this.basePath });
+  }
+
+  /**
+   * Load status timelines of tasks
+   *
+   * @param {Object} options - Options
+   * @param {string} options.epicId - Only tasks of this epic (default: all epics)
+   * @param {string[]} options.types - Entity types (default: ['task'])
+   * @returns {Promise<Array<Object>>} - Timelines from StatusHistory.buildTimelines()
+   */
+  async loadTimelines(options = {}) {
+    let files = await this.filterEngine.loadAll({ types: options.types || ['task'] });
+
+    if (options.epicId) {
+      files = files.filter(file => file.epic === options.epicId);
+    }
+
+    return this.statusHistory.buildTimelines(files);
+  }
+
+  /**
+   * Build the full flow report
+   *
+   * @param {Object} options - Options
+   * @param {string} options.epicId - Only tasks of this epic
+   * @param {string[]} options.types - Entity types (default: ['task'])
+   * @param {number} options.days - Days shown in the cumulative flow diagram (default: 30)
+   * @returns {Promise<Object>} - { scope, generated, cfd, cycleTime, leadTime, wip, flowEfficiency, items }
+   */
+  async analyze(options = {}) {
+    const timelines = await this.loadTimelines(options);
+    const now = Date.now();
+    const cycleTime = this.distribution(this.cycleTimes(timelines).map(item => item.days));
+
+    return {
+      scope: options.epicId || 'project',
+      generated: new Date(now).toISOString(),
+      cfd: this.cumulativeFlow(timelines, { days: options.days || 30, now }),
+      cycleTime,
+      leadTime: this.distribution(this.leadTimes(timelines).map(item => item.days)),
+      wip: this.wipAge(timelines, { now, p85: cycleTime.p85 }),
+      flowEfficiency: this.flowEfficiency(timelines),
+      items: this.items(timelines, now)
+    };
+  }
+
+  /**
+   * Count tasks per flow state at the end of each day
+   *
+   * Tasks are counted from their first transition on.
+   *
+   * @param {Array<Object>} timelines - Status timelines
+   * @param {Object} options - Options
+   * @param {number} options.days - Number of days ending today (default: 30)
+   * @param {number} options.now - Reference time in milliseconds (default: now)
+   * @returns {Object} - { dates: string[], series: { pending, in_progress, blocked, completed } }
+   */
+  cumulativeFlow(timelines, options = {}) {
+    const days = options.days || 30;
+    const today = this._startOfDay(options.now || Date.now());
+    const dates = [];
+    const series = {};
+
+    for (const state of StatusHistory.FLOW_STATES) {
+      series[state] = [];
+    }
+
+    for (let i = days - 1; i >= 0; i--) {
+      const day = today - i * DAY_MS;
+      const counts = {};
+      for (const state of StatusHistory.FLOW_STATES) {
+        counts[state] = 0;
+      }
+
+      for (const timeline of timelines) {
+        const state = this._stateAt(timeline, day + DAY_MS - 1);
+        if (state) {
+          counts[state]++;
+        }
+      }
+
+      dates.push(this._formatDate(day));
+      for (const state of StatusHistory.FLOW_STATES) {
+        series[state].push(counts[state]);
+      }
+    }
+
+    return { dates, series };
+  }
+
+  /**
+   * Cycle times of completed tasks: first in_progress to completed
+   *
+   * @param {Array<Object>} timelines - Status timelines
+   * @returns {Array<Object>} - [{ key, id, days }]
+   */
+  cycleTimes(timelines) {
+    return timelines
+      .map(timeline => {
+        const started = this._firstAt(timeline, 'in_progress');
+        const completed = this._completedAt(timeline);
+        return started !== null && completed !== null && completed >= started
+          ? { key: timeline.key, id: timeline.id, days: this._days(completed - started) }
+          : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Lead times of completed tasks: created to completed
+   *
+   * @param {Array<Object>} timelines - Status timelines
+   * @returns {Array<Object>} - [{ key, id, days }]
+   */
+  leadTimes(timelines) {
+    return timelines
+      .map(timeline => {
+        const completed = this._completedAt(timeline);
+        const created = timeline.transitions.length > 0 ? timeline.transitions[0].at : null;
+        return completed !== null && created !== null
+          ? { key: timeline.key, id: timeline.id, days: this._days(completed - created) }
+          : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Summarize a list of durations
+   *
+   * @param {number[]} values - Durations in days
+   * @returns {Object} - { count, min, max, mean, p50, p85, p95, histogram: [{ from, to, count }] }
+   */
+  distribution(values) {
+    if (values.length === 0) {
+      return { count: 0, min: null, max: null, mean: null, p50: null, p85: null, p95: null, histogram: [] };
+    }
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const max = sorted[sorted.length - 1];
+    const width = Math.max(1, Math.ceil((Math.floor(max) + 1) / 10));
+    const histogram = [];
+
+    for (let from = 0; from <= max; from += width) {
+      histogram.push({
+        from,
+        to: from + width,
+        count: sorted.filter(value => value >= from && value < from + width).length
+      });
+    }
+
+    return {
+      count: sorted.length,
+      min: sorted[0],
+      max,
+      mean: this._round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+      p50: this._percentile(sorted, 50),
+      p85: this._percentile(sorted, 85),
+      p95: this._percentile(sorted, 95),
+      histogram
+    };
+  }
+
+  /**
+   * Age of started, unfinished tasks
+   *
+   * @param {Array<Object>} timelines - Status timelines
+   * @param {Object} options - Options
+   * @param {number} options.now - Reference time in milliseconds (default: now)
+   * @param {number|null} options.p85 - P85 cycle time; older tasks are flagged (default: none)
+   * @returns {Array<Object>} - Oldest first: [{ key, id, epic, title, status, since, age, overP85 }]
+   */
+  wipAge(timelines, options = {}) {
+    const now = options.now || Date.now();
+    const p85 = options.p85 === undefined ? null : options.p85;
+
+    return timelines
+      .map(timeline => {
+        const current = this._currentState(timeline);
+        if ((current !== 'in_progress' && current !== 'blocked') || timeline.transitions.length === 0) {
+          return null;
+        }
+
+        const since = this._firstAt(timeline, 'in_progress') || timeline.transitions[0].at;
+        const age = this._days(now - since);
+
+        return {
+          key: timeline.key,
+          id: timeline.id,
+          epic: timeline.epic,
+          title: timeline.title,
+          status: current,
+          since: this._formatDate(since),
+          age,
+          overP85: p85 !== null && age > p85
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.age - a.age);
+  }
+
+  /**
+   * Share of cycle time spent actively in progress
+   *
+   * @param {Array<Object>} timelines - Status timelines
+   * @returns {Object} - { percent, activeDays, waitingDays, tasks } - percent is null without data
+   */
+  flowEfficiency(timelines) {
+    let active = 0;
+    let waiting = 0;
+    let tasks = 0;
+
+    for (const timeline of timelines) {
+      const started = this._firstAt(timeline, 'in_progress');
+      const completed = this._completedAt(timeline);
+
+      if (started === null || completed === null || completed <= started) {
+        continue;
+      }
+
+      tasks++;
+      const inWindow = timeline.transitions.filter(t => t.at >= started && t.at <= completed);
+
+      for (let i = 0; i < inWindow.length - 1; i++) {
+        const duration = inWindow[i + 1].at - inWindow[i].at;
+        if (inWindow[i].status === 'in_progress') {
+          active += duration;
+        } else {
+          waiting += duration;
+        }
+      }
+    }
+
+    const total = active + waiting;
+
+    return {
+      percent: total > 0 ? Math.round((active / total) * 100) : null,
+      activeDays: this._days(active),
+      waitingDays: this._days(waiting),
+      tasks
+    };
+  }
+
+  /**
+   * Per-task rows with the dates each flow state was first entered
+   *
+   * @param {Array<Object>} timelines - Status timelines
+   * @param {number} now - Reference time in milliseconds
+   * @returns {Array<Object>} - [{ key, id, epic, title, status, pending, in_progress, blocked, completed, cycleTime, leadTime }]
+   */
+  items(timelines, now = Date.now()) {
+    const cycle = new Map(this.cycleTimes(timelines).map(item => [item.key, item.days]));
+    const lead = new Map(this.leadTimes(timelines).map(item => [item.key, item.days]));
+
+    return timelines.map(timeline => {
+      const row = {
+        key: timeline.key,
+        id: timeline.id,
+        epic: timeline.epic,
+        title: timeline.title,
+        status: this._currentState(timeline, now) || timeline.status
+      };
+
+      for (const state of StatusHistory.FLOW_STATES) {
+        const at = this._firstAt(timeline, state);
+        row[state] = at === null ? null : this._formatDate(at);
+      }
+
+      row.cycleTime = cycle.has(timeline.key) ? cycle.get(timeline.key) : null;
+      row.leadTime = lead.has(timeline.key) ? lead.get(timeline.key) : null;
+
+      return row;
+    });
+  }
+
+  /**
+   * Render the whole report as ASCII
+   *
+   * @param {Object} report - Result of analyze()
+   * @returns {string} - Rendered report
+   */
+  render(report) {
+    return [
+      this.renderCumulativeFlow(report.cfd, { title: `Cumulative Flow - ${report.scope}` }),
+      '',
+      this.renderDistribution('Cycle Time (days)', report.cycleTime),
+      '',
+      this.renderDistribution('Lead Time (days)', report.leadTime),
+      '',
+      this.renderWipAge(report.wip),
+      '',
+      report.flowEfficiency.percent === null
+        ? 'Flow Efficiency: N/A (no completed tasks with a start date)'
+        : `Flow Efficiency: ${report.flowEfficiency.percent}% ` +
+          `(${report.flowEfficiency.activeDays} active / ${report.flowEfficiency.waitingDays} waiting days, ` +
+          `${report.flowEfficiency.tasks} tasks)`
+    ].join('\n');
+  }
+
+  /**
+   * Render a cumulative flow diagram as stacked ASCII bands
+   *
+   * @param {Object} cfd - Result of cumulativeFlow()
+   * @param {Object} metadata - Chart metadata
+   * @param {string} metadata.title - Chart title (default: 'Cumulative Flow')
+   * @returns {string} - Rendered chart
+   */
+  renderCumulativeFlow(cfd, metadata = {}) {
+    const lines = [];
+    const { dates, series } = cfd;
+
+    lines.push(metadata.title || 'Cumulative Flow');
+    lines.push(`${dates[0]} to ${dates[dates.length - 1]}`);
+    lines.push('');
+
+    const totals = dates.map((date, i) => StatusHistory.FLOW_STATES.reduce((sum, state) => sum + series[state][i], 0));
+    const maxValue = Math.max(...totals, 1);
+    const columns = Math.min(this.width, dates.length);
+    const pointsPerCol = dates.length / columns;
+
+    for (let row = 0; row < this.height; row++) {
+      // Value at the middle of this row, counted from the bottom
+      const level = ((this.height - row - 0.5) / this.height) * maxValue;
+      const value = maxValue - (row * maxValue / (this.height - 1));
+      let line = `${String(Math.round(value)).padStart(4, ' ')} ${row === this.height - 1 ? '└' : '│'}`;
+
+      for (let col = 0; col < columns; col++) {
+        const index = Math.floor(col * pointsPerCol);
+        let cumulative = 0;
+        let char = ' ';
+
+        for (const layer of CFD_LAYERS) {
+          cumulative += series[layer.state][index];
+          if (level < cumulative) {
+            char = layer.char;
+            break;
+          }
+        }
+
+        line += char;
+      }
+
+      lines.push(line);
+    }
+
+    lines.push('     ' + '─'.repeat(columns + 1));
+    lines.push('');
+    lines.push('Legend: ' + [...CFD_LAYERS].reverse().map(layer => `${layer.char.repeat(3)} ${layer.label}`).join('  '));
+
+    const last = dates.length - 1;
+    lines.push('Today:  ' + [...CFD_LAYERS].reverse().map(layer => `${layer.label} ${series[layer.state][last]}`).join(', '));
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Render a duration distribution as a horizontal histogram
+   *
+   * @param {string} title - Chart title
+   * @param {Object} dist - Result of distribution()
+   * @returns {string} - Rendered histogram
+   */
+  renderDistribution(title, dist) {
+    const lines = [title];
+
+    if (dist.count === 0) {
+      lines.push('  No completed tasks');
+      return lines.join('\n');
+    }
+
+    const maxCount = Math.max(...dist.histogram.map(bucket => bucket.count), 1);
+    const barWidth = Math.max(10, this.width - 20);
+
+    for (const bucket of dist.histogram) {
+      const label = `${bucket.from}-${bucket.to}`.padStart(9, ' ');
+      const bar = '█'.repeat(Math.round((bucket.count / maxCount) * barWidth));
+      lines.push(`${label} │${bar} ${bucket.count || ''}`.trimEnd());
+    }
+
+    lines.push(`  P50: ${dist.p50}  P85: ${dist.p85}  P95: ${dist.p95}  Mean: ${dist.mean}  (n=${dist.count})`);
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Render the WIP age report
+   *
+   * @param {Array<Object>} wip - Result of wipAge()
+   * @returns {string} - Rendered table
+   */
+  renderWipAge(wip) {
+    const lines = ['Work in Progress Age'];
+
+    if (wip.length === 0) {
+      lines.push('  No tasks in progress');
+      return lines.join('\n');
+    }
+
+    for (const item of wip) {
+      const flag = item.overP85 ? '  ⚠ older than P85 cycle time' : '';
+      const status = item.status === 'blocked' ? 'blocked' : 'active';
+      lines.push(`  ${String(item.age).padStart(6, ' ')}d  ${status.padEnd(7, ' ')}  ${item.id}: ${item.title}${flag}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Export a report to JSON or CSV
+   *
+   * CSV has two tables separated by a blank line: the daily cumulative flow
+   * and one row per task with its state dates, cycle and lead time.
+   *
+   * @param {Object} report - Result of analyze()
+   * @param {string} format - Format (json/csv, default: json)
+   * @returns {string} - Exported data
+   * @throws {Error} - On unsupported formats
+   */
+  export(report, format = 'json') {
+    if (format === 'json') {
+      return JSON.stringify(report, null, 2);
+    }
+
+    if (format !== 'csv') {
+      throw new Error(`Unsupported export format: ${format}. Must be one of: json, csv`);
+    }
+
+    const states = StatusHistory.FLOW_STATES;
+    const lines = [`Date,${states.join(',')}`];
+
+    report.cfd.dates.forEach((date, i) => {
+      lines.push([date, ...states.map(state => report.cfd.series[state][i])].join(','));
+    });
+
+    lines.push('');
+    lines.push(['Key', 'Epic', 'Title', 'Status', ...states, 'Cycle Time', 'Lead Time'].join(','));
+
+    for (const item of report.items) {
+      lines.push([
+        item.key,
+        item.epic || '',
+        this._csvValue(item.title),
+        item.status,
+        ...states.map(state => item[state] || ''),
+        item.cycleTime === null ? '' : item.cycleTime,
+        item.leadTime === null ? '' : item.leadTime
+      ].join(','));
+    }
+
+    return lines.join('\n');
+  }
+
+  // ============================================================================
+  // Private Helper Methods
+  // ============================================================================
+
+  _stateAt(timeline, time) {
+    let state = null;
+    for (const transition of timeline.transitions) {
+      if (transition.at > time) {
+        break;
+      }
+      state = transition.status;
+    }
+    return state;
+  }
+
+  _currentState(timeline, now = Date.now()) {
+    return this._stateAt(timeline, now) || (timeline.transitions.length > 0 ? null : timeline.status);
+  }
+
+  _firstAt(timeline, state) {
+    const transition = timeline.transitions.find(t => t.status === state);
+    return transition ? transition.at : null;
+  }
+
+  /**
+   * Time a task was completed, if completed is its final state
+   *
+   * @private
+   * @param {Object} timeline - Status timeline
+   * @returns {number|null} - Milliseconds
+   */
+  _completedAt(timeline) {
+    const last = timeline.transitions[timeline.transitions.length - 1];
+    return last && last.status === 'completed' ? last.at : null;
+  }
+
+  _percentile(sorted, p) {
+    const rank = Math.ceil((p / 100) * sorted.length) - 1;
+    return sorted[Math.min(sorted.length - 1, Math.max(0, rank))];
+  }
+
+  _days(ms) {
+    return this._round(ms / DAY_MS);
+  }
+
+  _round(value) {
+    return Math.round(value * 10) / 10;
+  }
+
+  _startOfDay(time) {
+    return Math.floor(time / DAY_MS) * DAY_MS;
+  }
+
+  _formatDate(time) {
+    return new Date(time).toISOString().split('T')[0];
+  }
+
+  _csvValue(value) {
+    const text = String(value === undefined || value === null ? '' : value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+module.exports = FlowAnalytics;
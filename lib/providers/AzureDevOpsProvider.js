@@ -12,11 +12,19 @@
  * - Relation management (Parent/Child links)
  * - State mapping (Azure DevOps <-> Local)
  * - Error handling with meaningful messages
+ * - IssueTrackerProvider contract for generic sync
  *
  * @module lib/providers/AzureDevOpsProvider
  */
 
 const azdev = require('azure-devops-node-api');
+const IssueTrackerProvider = require('./IssueTrackerProvider');
+
+// TreeStructureGroup.Iterations in the classification nodes API
+const ITERATIONS_GROUP = 1;
+
+// Raw API methods taken over from a client by fromClient()
+const CLIENT_METHODS = ['getWorkItem', 'listWorkItems', 'createWorkItem', 'updateWorkItem', 'queryWorkItems', 'addComment'];
 
 /**
  * Azure DevOps Provider Class
@@ -25,7 +33,7 @@ const azdev = require('azure-devops-node-api');
  *
  * @class AzureDevOpsProvider
  */
-class AzureDevOpsProvider {
+class AzureDevOpsProvider extends IssueTrackerProvider {
   /**
    * Creates a new Azure DevOps provider instance
    *
@@ -35,6 +43,8 @@ class AzureDevOpsProvider {
    * @param {string} [options.project] - Project name
    */
   constructor(options = {}) {
+    super();
+
     this.token = options.token || process.env.AZURE_DEVOPS_PAT;
     this.organization = options.organization || process.env.AZURE_DEVOPS_ORG;
     this.project = options.project || process.env.AZURE_DEVOPS_PROJECT;
@@ -43,6 +53,27 @@ class AzureDevOpsProvider {
     this.witApi = null;
   }
 
+  /**
+   * Wraps an object exposing the raw work item API in the tracker contract
+   *
+   * Lets callers that still pass a bare client (getWorkItem,
+   * createWorkItem, updateWorkItem, ...) use the normalized sync paths.
+   *
+   * @param {Object} client - Object with Azure DevOps work item methods
+   * @returns {AzureDevOpsProvider} Provider delegating raw calls to the client
+   */
+  static fromClient(client) {
+    const provider = new AzureDevOpsProvider({ organization: client.organization, project: client.project });
+
+    for (const method of CLIENT_METHODS) {
+      if (typeof client[method] === 'function') {
+        provider[method] = client[method].bind(client);
+      }
+    }
+
+    return provider;
+  }
+
   /**
    * Authenticates with Azure DevOps API
    *
@@ -175,6 +206,7 @@ class AzureDevOpsProvider {
    * @param {string} [data.state] - Work item state
    * @param {string} [data.areaPath] - Area path
    * @param {string} [data.iterationPath] - Iteration path
+   * @param {string} [data.tags] - Semicolon-separated tags
    * @returns {Promise<Object>} Created work item object
    * @throws {Error} If title is missing
    */
@@ -224,6 +256,14 @@ class AzureDevOpsProvider {
       });
     }
 
+    if (data.tags) {
+      patchDoc.push({
+        op: 'add',
+        path: '/fields/System.Tags',
+        value: data.tags
+      });
+    }
+
     return await this.witApi.createWorkItem(
       null,
       patchDoc,
@@ -243,6 +283,7 @@ class AzureDevOpsProvider {
    * @param {string} [data.state] - New state
    * @param {string} [data.areaPath] - New area path
    * @param {string} [data.iterationPath] - New iteration path
+   * @param {string} [data.tags] - New semicolon-separated tags
    * @returns {Promise<Object>} Updated work item object
    */
   async updateWorkItem(id, data) {
@@ -289,6 +330,14 @@ class AzureDevOpsProvider {
       });
     }
 
+    if (data.tags) {
+      patchDoc.push({
+        op: 'replace',
+        path: '/fields/System.Tags',
+        value: data.tags
+      });
+    }
+
     return await this.witApi.updateWorkItem(null, patchDoc, id);
   }
 
@@ -419,6 +468,51 @@ class AzureDevOpsProvider {
     return await this.witApi.updateWorkItem(null, patchDoc, workItemId);
   }
 
+  /**
+   * Creates or updates the iteration for a sprint
+   *
+   * The iteration is created directly under the project's root iteration
+   * with the sprint's start and finish dates.
+   *
+   * @async
+   * @param {Object} sprint - Sprint: { name, start, end }
+   * @returns {Promise<TrackerIteration>} Iteration node as a tracker iteration
+   */
+  async syncIteration(sprint) {
+    const attributes = {
+      startDate: `${sprint.start}T00:00:00Z`,
+      finishDate: `${sprint.end}T00:00:00Z`
+    };
+
+    const node = await this._makeRequest(async () => {
+      let existing = null;
+
+      try {
+        existing = await this.witApi.getClassificationNode(this.project, ITERATIONS_GROUP, sprint.name);
+      } catch (error) {
+        if (error.statusCode !== 404) {
+          throw error;
+        }
+      }
+
+      if (existing) {
+        return await this.witApi.updateClassificationNode({ attributes }, this.project, ITERATIONS_GROUP, sprint.name);
+      }
+
+      return await this.witApi.createOrUpdateClassificationNode(
+        { name: sprint.name, attributes },
+        this.project,
+        ITERATIONS_GROUP
+      );
+    });
+
+    return {
+      id: String(node.identifier || node.id),
+      name: node.name,
+      url: node.url
+    };
+  }
+
   /**
    * Executes a WIQL query
    *
@@ -426,14 +520,18 @@ class AzureDevOpsProvider {
    * @param {string} wiql - WIQL query string
    * @param {Object} [options={}] - Query options
    * @param {string} [options.expand] - Expand option for work items
+   * @param {boolean} [options.timePrecision] - Compare dates with time, not just the day
    * @returns {Promise<Array>} Array of work item objects
    */
   async queryWorkItems(wiql, options = {}) {
+    const queryArgs = [{ query: wiql }, this.project];
+
+    if (options.timePrecision) {
+      queryArgs.push(true);
+    }
+
     // Execute query
-    const queryResult = await this.witApi.queryByWiql(
-      { query: wiql },
-      this.project
-    );
+    const queryResult = await this.witApi.queryByWiql(...queryArgs);
 
     // Get work item IDs
     const ids = queryResult.workItems ? queryResult.workItems.map(wi => wi.id) : [];
@@ -442,14 +540,18 @@ class AzureDevOpsProvider {
       return [];
     }
 
-    // Fetch full work items
+    // Fetch full work items (the API accepts at most 200 IDs per request)
     const expand = options.expand || 'None';
-    const workItems = await this.witApi.getWorkItems(
-      ids,
-      undefined,
-      undefined,
-      expand
-    );
+    const workItems = [];
+
+    for (let i = 0; i < ids.length; i += 200) {
+      workItems.push(...await this.witApi.getWorkItems(
+        ids.slice(i, i + 200),
+        undefined,
+        undefined,
+        expand
+      ));
+    }
 
     return workItems;
   }
@@ -504,6 +606,221 @@ class AzureDevOpsProvider {
     };
   }
 
+  // ============================================================
+  // ISSUE TRACKER CONTRACT
+  // ============================================================
+
+  /**
+   * Gets the registry name of this provider
+   *
+   * @returns {string} Provider name
+   */
+  getName() {
+    return 'azure';
+  }
+
+  /**
+   * Fetches a single work item as a normalized tracker item
+   *
+   * @async
+   * @param {number|string} id - Work item ID
+   * @returns {Promise<TrackerItem>} Normalized item
+   */
+  async getItem(id) {
+    return this._normalizeWorkItem(await this.getWorkItem(Number(id)));
+  }
+
+  /**
+   * Lists work items as normalized tracker items
+   *
+   * @async
+   * @param {Object} [filters={}] - Filter options
+   * @param {string} [filters.type] - Local item type (issue, epic, task)
+   * @param {string} [filters.status] - Local status
+   * @returns {Promise<Array<TrackerItem>>} Normalized items
+   */
+  async listItems(filters = {}) {
+    const workItemFilters = { ...filters };
+
+    if (filters.type) {
+      workItemFilters.type = this._toWorkItemType(filters.type);
+    }
+
+    if (filters.status) {
+      workItemFilters.state = this._mapLocalStatusToState(filters.status);
+      delete workItemFilters.status;
+    }
+
+    const workItems = await this.listWorkItems(workItemFilters);
+
+    return workItems.map(workItem => this._normalizeWorkItem(workItem));
+  }
+
+  /**
+   * Lists work items changed since a sync cursor as normalized tracker items
+   *
+   * Runs a WIQL query on `System.ChangedDate` with time precision, so only
+   * work items touched after the cursor are fetched.
+   *
+   * @async
+   * @param {string} since - ISO timestamp (sync cursor)
+   * @param {Object} [filters={}] - Filter options accepted by listItems
+   * @returns {Promise<Array<TrackerItem>>} Normalized items, oldest change first
+   */
+  async listItemsChangedSince(since, filters = {}) {
+    let wiql = `SELECT [System.Id] FROM WorkItems WHERE [System.TeamProject] = '${this.project}'` +
+      ` AND [System.ChangedDate] >= '${new Date(since).toISOString()}'`;
+
+    if (filters.type) {
+      wiql += ` AND [System.WorkItemType] = '${this._toWorkItemType(filters.type)}'`;
+    }
+
+    if (filters.status) {
+      wiql += ` AND [System.State] = '${this._mapLocalStatusToState(filters.status)}'`;
+    }
+
+    wiql += ' ORDER BY [System.ChangedDate] ASC';
+
+    const workItems = await this.queryWorkItems(wiql, { timePrecision: true });
+
+    return workItems.map(workItem => this._normalizeWorkItem(workItem));
+  }
+
+  /**
+   * Creates a work item from a normalized tracker item
+   *
+   * @async
+   * @param {Partial<TrackerItem>} item - Item fields
+   * @returns {Promise<TrackerItem>} Created item
+   */
+  async createItem(item) {
+    const workItem = await this.createWorkItem(
+      this._toWorkItemType(item.type),
+      this._toWorkItemData(item)
+    );
+
+    return this._normalizeWorkItem(workItem);
+  }
+
+  /**
+   * Updates a work item from a normalized tracker item
+   *
+   * @async
+   * @param {number|string} id - Work item ID
+   * @param {Partial<TrackerItem>} item - Fields to update
+   * @returns {Promise<TrackerItem>} Updated item
+   */
+  async updateItem(id, item) {
+    const workItem = await this.updateWorkItem(Number(id), this._toWorkItemData(item));
+
+    return this._normalizeWorkItem(workItem);
+  }
+
+  /**
+   * Adds a comment to a work item
+   *
+   * @async
+   * @param {number|string} id - Work item ID
+   * @param {string} body - Comment text
+   * @returns {Promise<Object>} Created comment object
+   */
+  async addItemComment(id, body) {
+    return await this.addComment(Number(id), body);
+  }
+
+  /**
+   * Converts an Azure work item into a normalized tracker item
+   *
+   * @param {Object} workItem - Azure work item
+   * @returns {TrackerItem} Normalized item
+   * @private
+   */
+  _normalizeWorkItem(workItem) {
+    const fields = workItem.fields || {};
+    const tags = fields['System.Tags'] || '';
+    const assignedTo = fields['System.AssignedTo'];
+    const workItemType = fields['System.WorkItemType'] || 'User Story';
+
+    const iterationPath = fields['System.IterationPath'] || '';
+    const iteration = iterationPath.split('\\').pop();
+
+    const item = {
+      id: String(workItem.id),
+      title: fields['System.Title'] || '',
+      body: fields['System.Description'] || '',
+      status: this._mapStateToLocal(fields['System.State'] || 'New'),
+      labels: tags ? tags.split(';').map(tag => tag.trim()).filter(Boolean) : [],
+      assignees: assignedTo ? [assignedTo.displayName || assignedTo] : [],
+      type: workItemType === 'Epic' ? 'epic' : (workItemType === 'Task' ? 'task' : 'issue'),
+      created: fields['System.CreatedDate'],
+      updated: fields['System.ChangedDate'],
+      url: workItem._links && workItem._links.html ? workItem._links.html.href : workItem.url
+    };
+
+    // Items in the project's root iteration are not in a sprint
+    if (iteration && iteration !== this.project) {
+      item.iteration = iteration;
+    }
+
+    return item;
+  }
+
+  /**
+   * Converts tracker item fields into work item data
+   *
+   * @param {Partial<TrackerItem>} item - Item fields
+   * @returns {Object} Work item data for createWorkItem/updateWorkItem
+   * @private
+   */
+  _toWorkItemData(item) {
+    const data = {};
+
+    if (item.title) {
+      data.title = item.title;
+    }
+
+    if (item.body) {
+      data.description = item.body;
+    }
+
+    if (item.status) {
+      data.state = this._mapLocalStatusToState(item.status);
+    }
+
+    if (item.labels && item.labels.length > 0) {
+      data.tags = item.labels.join('; ');
+    }
+
+    // Sprints are iterations directly under the project unless a full path is given;
+    // an explicit null moves the item back to the project's root iteration
+    if (item.iteration) {
+      data.iterationPath = item.iteration.includes('\\') ? item.iteration : `${this.project}\\${item.iteration}`;
+    } else if (item.iteration === null) {
+      data.iterationPath = this.project;
+    }
+
+    return data;
+  }
+
+  /**
+   * Maps a local item type to an Azure work item type
+   *
+   * @param {string} [type] - Local item type
+   * @returns {string} Azure work item type
+   * @private
+   */
+  _toWorkItemType(type) {
+    const typeMap = {
+      'epic': 'Epic',
+      'feature': 'Feature',
+      'task': 'Task',
+      'bug': 'Bug',
+      'issue': 'User Story'
+    };
+
+    return typeMap[(type || 'issue').toLowerCase()] || type;
+  }
+
   /**
    * Maps Azure DevOps state to local status
    *
@@ -532,11 +849,13 @@ class AzureDevOpsProvider {
     const statusMap = {
       'open': 'New',
       'in-progress': 'Active',
+      'in_progress': 'Active',
       'done': 'Resolved',
+      'completed': 'Resolved',
       'closed': 'Closed'
     };
 
-    return statusMap[localStatus] || localStatus;
+    return statusMap[(localStatus || '').toLowerCase()] || localStatus;
   }
 
   /**
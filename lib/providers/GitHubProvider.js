@@ -11,11 +11,16 @@
  * - Rate limiting with exponential backoff
  * - Retry logic for transient failures
  * - GitHub Enterprise support
+ * - IssueTrackerProvider contract for generic sync
  *
  * @module lib/providers/GitHubProvider
  */
 
 const { Octokit } = require('@octokit/rest');
+const IssueTrackerProvider = require('./IssueTrackerProvider');
+
+// Raw API methods taken over from a client by fromClient()
+const CLIENT_METHODS = ['getIssue', 'listIssues', 'createIssue', 'updateIssue', 'createComment'];
 
 /**
  * GitHub Provider Class
@@ -24,7 +29,7 @@ const { Octokit } = require('@octokit/rest');
  *
  * @class GitHubProvider
  */
-class GitHubProvider {
+class GitHubProvider extends IssueTrackerProvider {
   /**
    * Creates a new GitHub provider instance
    *
@@ -37,6 +42,8 @@ class GitHubProvider {
    * @param {number} [options.maxRetries=3] - Maximum retry attempts
    */
   constructor(options = {}) {
+    super();
+
     this.token = options.token || process.env.GITHUB_TOKEN;
     this.owner = options.owner || process.env.GITHUB_OWNER;
     this.repo = options.repo || process.env.GITHUB_REPO;
@@ -47,6 +54,28 @@ class GitHubProvider {
     this.octokit = null;
     this.rateLimitRemaining = null;
     this.rateLimitReset = null;
+    this.milestones = null;
+  }
+
+  /**
+   * Wraps an object exposing the raw issues API in the tracker contract
+   *
+   * Lets callers that still pass a bare client (getIssue, createIssue,
+   * updateIssue, ...) use the normalized sync paths.
+   *
+   * @param {Object} client - Object with GitHub issue methods
+   * @returns {GitHubProvider} Provider delegating raw calls to the client
+   */
+  static fromClient(client) {
+    const provider = new GitHubProvider({ owner: client.owner, repo: client.repo });
+
+    for (const method of CLIENT_METHODS) {
+      if (typeof client[method] === 'function') {
+        provider[method] = client[method].bind(client);
+      }
+    }
+
+    return provider;
   }
 
   /**
@@ -109,6 +138,7 @@ class GitHubProvider {
    * @param {string} [filters.state] - Issue state (open, closed, all)
    * @param {Array<string>} [filters.labels] - Filter by labels
    * @param {string} [filters.assignee] - Filter by assignee
+   * @param {string} [filters.since] - Only issues updated at or after this ISO timestamp
    * @param {number} [filters.page=1] - Page number
    * @param {number} [filters.perPage=100] - Results per page
    * @returns {Promise<Array>} Array of issue objects
@@ -134,6 +164,10 @@ class GitHubProvider {
       params.assignee = filters.assignee;
     }
 
+    if (filters.since) {
+      params.since = filters.since;
+    }
+
     if (filters.page) {
       params.page = filters.page;
     }
@@ -152,6 +186,7 @@ class GitHubProvider {
    * @param {string} [data.body] - Issue description
    * @param {Array<string>} [data.labels] - Labels to add
    * @param {Array<string>} [data.assignees] - Assignees
+   * @param {number} [data.milestone] - Milestone number
    * @returns {Promise<Object>} Created issue object
    * @throws {Error} If title is missing or creation fails
    */
@@ -180,6 +215,10 @@ class GitHubProvider {
       params.assignees = data.assignees;
     }
 
+    if (data.milestone) {
+      params.milestone = data.milestone;
+    }
+
     const { data: issue } = await this.octokit.rest.issues.create(params);
 
     return issue;
@@ -352,6 +391,324 @@ class GitHubProvider {
     return data;
   }
 
+  // ============================================================
+  // ISSUE TRACKER CONTRACT
+  // ============================================================
+
+  /**
+   * Gets the registry name of this provider
+   *
+   * @returns {string} Provider name
+   */
+  getName() {
+    return 'github';
+  }
+
+  /**
+   * Fetches a single issue as a normalized tracker item
+   *
+   * @async
+   * @param {number|string} id - Issue number
+   * @returns {Promise<TrackerItem>} Normalized item
+   */
+  async getItem(id) {
+    return this._normalizeIssue(await this.getIssue(id));
+  }
+
+  /**
+   * Lists issues as normalized tracker items
+   *
+   * Pull requests returned by the issues API are skipped.
+   *
+   * @async
+   * @param {Object} [filters={}] - Filter options
+   * @param {string} [filters.status] - Local status (open, closed, all)
+   * @param {Array<string>} [filters.labels] - Filter by labels
+   * @param {string} [filters.assignee] - Filter by assignee
+   * @returns {Promise<Array<TrackerItem>>} Normalized items
+   */
+  async listItems(filters = {}) {
+    const issueFilters = { ...filters };
+
+    if (filters.status) {
+      issueFilters.state = filters.status === 'all' ? 'all' : this._toGitHubState(filters.status);
+      delete issueFilters.status;
+    }
+
+    const issues = await this.listIssues(issueFilters);
+
+    return issues.filter(issue => !issue.pull_request).map(issue => this._normalizeIssue(issue));
+  }
+
+  /**
+   * Lists issues updated since a sync cursor as normalized tracker items
+   *
+   * Uses the `since` parameter of the issues API and pages through the
+   * results. Closed issues are included unless a status is given, and
+   * pull requests are skipped.
+   *
+   * @async
+   * @param {string} since - ISO timestamp (sync cursor)
+   * @param {Object} [filters={}] - Filter options accepted by listItems
+   * @returns {Promise<Array<TrackerItem>>} Normalized items
+   */
+  async listItemsChangedSince(since, filters = {}) {
+    const perPage = 100;
+    const issueFilters = { ...filters, since, state: 'all', perPage };
+    const items = [];
+
+    if (filters.status) {
+      issueFilters.state = filters.status === 'all' ? 'all' : this._toGitHubState(filters.status);
+      delete issueFilters.status;
+    }
+
+    for (let page = 1; ; page++) {
+      const issues = await this.listIssues({ ...issueFilters, page });
+
+      items.push(...issues.filter(issue => !issue.pull_request).map(issue => this._normalizeIssue(issue)));
+
+      if (issues.length < perPage) {
+        return items;
+      }
+    }
+  }
+
+  /**
+   * Creates an issue from a normalized tracker item
+   *
+   * @async
+   * @param {Partial<TrackerItem>} item - Item fields
+   * @returns {Promise<TrackerItem>} Created item
+   */
+  async createItem(item) {
+    const data = this._toIssueData(item);
+
+    if (item.iteration) {
+      data.milestone = await this.getMilestoneNumber(item.iteration);
+    }
+
+    const issue = await this.createIssue(data);
+
+    // GitHub always creates issues open; close afterwards if requested
+    if (item.status && this._toGitHubState(item.status) === 'closed') {
+      return this._normalizeIssue(await this.updateIssue(issue.number, { state: 'closed' }));
+    }
+
+    return this._normalizeIssue(issue);
+  }
+
+  /**
+   * Updates an issue from a normalized tracker item
+   *
+   * An explicit `iteration: null` takes the issue out of its milestone.
+   *
+   * @async
+   * @param {number|string} id - Issue number
+   * @param {Partial<TrackerItem>} item - Fields to update
+   * @returns {Promise<TrackerItem>} Updated item
+   */
+  async updateItem(id, item) {
+    const data = this._toIssueData(item);
+
+    if (item.status) {
+      data.state = this._toGitHubState(item.status);
+    }
+
+    if (item.iteration) {
+      data.milestone = await this.getMilestoneNumber(item.iteration);
+    } else if (item.iteration === null) {
+      data.milestone = null;
+    }
+
+    return this._normalizeIssue(await this.updateIssue(id, data));
+  }
+
+  /**
+   * Lists the repository's milestones, open and closed
+   *
+   * Follows every page and caches the result for the lifetime of the
+   * provider, so syncing many issues into the same sprint costs one listing.
+   *
+   * @async
+   * @returns {Promise<Array<Object>>} GitHub milestone objects
+   */
+  async listMilestones() {
+    if (!this.milestones) {
+      await this._checkRateLimit();
+
+      this.milestones = await this.octokit.paginate(this.octokit.rest.issues.listMilestones, {
+        owner: this.owner,
+        repo: this.repo,
+        state: 'all',
+        per_page: 100
+      });
+    }
+
+    return this.milestones;
+  }
+
+  /**
+   * Gets the number of a milestone by title, creating it if needed
+   *
+   * @async
+   * @param {string} title - Milestone title (sprint name)
+   * @returns {Promise<number>} Milestone number
+   */
+  async getMilestoneNumber(title) {
+    const existing = (await this.listMilestones()).find(milestone => milestone.title === title);
+
+    if (existing) {
+      return existing.number;
+    }
+
+    const { data: milestone } = await this.octokit.rest.issues.createMilestone({
+      owner: this.owner,
+      repo: this.repo,
+      title
+    });
+
+    this.milestones.push(milestone);
+
+    return milestone.number;
+  }
+
+  /**
+   * Creates or updates the milestone for a sprint
+   *
+   * The goal becomes the description, the last day the due date, and a
+   * closed sprint closes the milestone.
+   *
+   * @async
+   * @param {Object} sprint - Sprint: { name, goal, end, status }
+   * @returns {Promise<TrackerIteration>} Milestone as a tracker iteration
+   */
+  async syncIteration(sprint) {
+    const existing = (await this.listMilestones()).find(milestone => milestone.title === sprint.name);
+
+    const params = {
+      owner: this.owner,
+      repo: this.repo,
+      title: sprint.name,
+      description: sprint.goal || '',
+      due_on: `${sprint.end}T23:59:59Z`,
+      state: sprint.status === 'closed' ? 'closed' : 'open'
+    };
+
+    await this._checkRateLimit();
+
+    let milestone;
+    if (existing) {
+      ({ data: milestone } = await this.octokit.rest.issues.updateMilestone({ ...params, milestone_number: existing.number }));
+      this.milestones = this.milestones.map(m => (m.number === milestone.number ? milestone : m));
+    } else {
+      ({ data: milestone } = await this.octokit.rest.issues.createMilestone(params));
+      this.milestones.push(milestone);
+    }
+
+    return { id: String(milestone.number), name: milestone.title, url: milestone.html_url };
+  }
+
+  /**
+   * Gets the status an issue pushed with `status` reads back as
+   *
+   * GitHub issues are only open or closed, so in-progress, blocked and
+   * other open-state statuses all read back as `open`.
+   *
+   * @param {string} status - Local status
+   * @returns {string} Normalized status (open, closed)
+   */
+  roundTripStatus(status) {
+    return this._toGitHubState(status);
+  }
+
+  /**
+   * Adds a comment to an issue
+   *
+   * @async
+   * @param {number|string} id - Issue number
+   * @param {string} body - Comment body
+   * @returns {Promise<Object>} Created comment object
+   */
+  async addItemComment(id, body) {
+    return await this.createComment(id, body);
+  }
+
+  /**
+   * Converts a GitHub issue into a normalized tracker item
+   *
+   * The status is lossy: it is the issue state (open or closed), never a
+   * finer local status such as in-progress (see roundTripStatus()).
+   *
+   * @param {Object} issue - GitHub issue object
+   * @returns {TrackerItem} Normalized item
+   * @private
+   */
+  _normalizeIssue(issue) {
+    const labels = (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name));
+    const assignees = (issue.assignees || []).map(user => (typeof user === 'string' ? user : user.login));
+
+    const item = {
+      id: String(issue.number),
+      title: issue.title,
+      body: issue.body || '',
+      status: issue.state === 'closed' ? 'closed' : 'open',
+      labels,
+      assignees,
+      type: labels.includes('epic') ? 'epic' : 'issue',
+      created: issue.created_at,
+      updated: issue.updated_at,
+      url: issue.html_url
+    };
+
+    if (issue.milestone) {
+      item.iteration = issue.milestone.title;
+    }
+
+    return item;
+  }
+
+  /**
+   * Converts tracker item fields into GitHub issue data
+   *
+   * @param {Partial<TrackerItem>} item - Item fields
+   * @returns {Object} GitHub issue data
+   * @private
+   */
+  _toIssueData(item) {
+    const data = {};
+
+    if (item.title) {
+      data.title = item.title;
+    }
+
+    if (item.body !== undefined) {
+      data.body = item.body;
+    }
+
+    if (item.labels && item.labels.length > 0) {
+      data.labels = item.labels;
+    }
+
+    if (item.assignees && item.assignees.length > 0) {
+      data.assignees = item.assignees;
+    }
+
+    return data;
+  }
+
+  /**
+   * Maps a local status to a GitHub issue state
+   *
+   * @param {string} status - Local status
+   * @returns {string} GitHub state (open, closed)
+   * @private
+   */
+  _toGitHubState(status) {
+    const lowerStatus = (status || '').toLowerCase();
+
+    return ['closed', 'completed', 'done', 'resolved'].includes(lowerStatus) ? 'closed' : 'open';
+  }
+
   /**
    * Checks current rate limit status
    *
@@ -0,0 +1,233 @@
+/**
+ * IssueTrackerProvider - Base Class for Issue Tracker Integrations
+ *
+ * Defines the provider contract used by the generic sync paths in
+ * IssueService and EpicService. Every tracker (GitHub, Azure DevOps,
+ * GitLab, Jira, ...) exchanges data through a normalized TrackerItem so
+ * services never need to know backend-specific field names.
+ *
+ * @abstract
+ * @module lib/providers/IssueTrackerProvider
+ *
+ * @example
+ * // Implementing a new tracker adapter
+ * class GitLabProvider extends IssueTrackerProvider {
+ *   getName() { return 'gitlab'; }
+ *   async authenticate() { ... }
+ *   async getItem(id) { return this._normalize(await this._get(`/issues/${id}`)); }
+ *   async listItems(filters = {}) { ... }
+ *   async createItem(item) { ... }
+ *   async updateItem(id, item) { ... }
+ *   async listItemsChangedSince(since, filters) { ... } // optional, for delta sync
+ * }
+ *
+ * defaultRegistry.register('gitlab', (options) => new GitLabProvider(options));
+ */
+
+/**
+ * Normalized item exchanged between services and tracker providers
+ *
+ * @typedef {Object} TrackerItem
+ * @property {string} id - Remote identifier (issue number, work item ID, key)
+ * @property {string} title - Item title
+ * @property {string} body - Item description (markdown)
+ * @property {string} status - Local status vocabulary (open, in-progress, done, closed)
+ * @property {string[]} labels - Labels/tags
+ * @property {string[]} assignees - Assignee logins or display names
+ * @property {string} type - Item type (issue, epic, task)
+ * @property {string} [created] - ISO creation timestamp
+ * @property {string} [updated] - ISO last update timestamp
+ * @property {string} [url] - Web URL of the item
+ * @property {string} [iteration] - Sprint name (GitHub milestone, Azure iteration)
+ */
+
+/**
+ * Sprint as published to a tracker
+ *
+ * @typedef {Object} TrackerIteration
+ * @property {string} id - Remote identifier (milestone number, iteration node ID)
+ * @property {string} name - Iteration name
+ * @property {string} [url] - Web URL of the iteration
+ */
+
+/**
+ * Abstract base class for issue tracker providers
+ *
+ * @class IssueTrackerProvider
+ */
+class IssueTrackerProvider {
+  /**
+   * Creates an instance of IssueTrackerProvider
+   *
+   * @throws {Error} If attempting to instantiate abstract class directly
+   */
+  constructor() {
+    if (this.constructor === IssueTrackerProvider) {
+      throw new Error('Cannot instantiate abstract class IssueTrackerProvider');
+    }
+  }
+
+  // ============================================================
+  // ABSTRACT METHODS (must be implemented by subclasses)
+  // ============================================================
+
+  /**
+   * Get the registry name of this provider
+   *
+   * Used as the key for sync maps and frontmatter references.
+   *
+   * @abstract
+   * @returns {string} Provider name (e.g., 'github', 'azure')
+   */
+  getName() {
+    throw new Error(`${this.constructor.name} must implement getName()`);
+  }
+
+  /**
+   * Authenticate with the remote tracker
+   *
+   * @abstract
+   * @returns {Promise<Object>} Provider-specific identity or project object
+   */
+  async authenticate() {
+    throw new Error(`${this.constructor.name} must implement authenticate()`);
+  }
+
+  /**
+   * Fetch a single item
+   *
+   * @abstract
+   * @param {string|number} id - Remote identifier
+   * @returns {Promise<TrackerItem>} Normalized item
+   */
+  async getItem(id) {
+    throw new Error(`${this.constructor.name} must implement getItem()`);
+  }
+
+  /**
+   * List items with optional filtering
+   *
+   * @abstract
+   * @param {Object} [filters={}] - Filters (status, labels, assignee, type)
+   * @returns {Promise<TrackerItem[]>} Normalized items
+   */
+  async listItems(filters = {}) {
+    throw new Error(`${this.constructor.name} must implement listItems()`);
+  }
+
+  /**
+   * Create a new item
+   *
+   * @abstract
+   * @param {Partial<TrackerItem>} item - Item fields (title is required)
+   * @returns {Promise<TrackerItem>} Created item
+   */
+  async createItem(item) {
+    throw new Error(`${this.constructor.name} must implement createItem()`);
+  }
+
+  /**
+   * Update an existing item
+   *
+   * @abstract
+   * @param {string|number} id - Remote identifier
+   * @param {Partial<TrackerItem>} item - Fields to update
+   * @returns {Promise<TrackerItem>} Updated item
+   */
+  async updateItem(id, item) {
+    throw new Error(`${this.constructor.name} must implement updateItem()`);
+  }
+
+  // ============================================================
+  // TEMPLATE METHODS (can be overridden for customization)
+  // ============================================================
+
+  /**
+   * Close an item, optionally leaving a comment
+   *
+   * @param {string|number} id - Remote identifier
+   * @param {string} [comment] - Closing comment
+   * @returns {Promise<TrackerItem>} Closed item
+   */
+  async closeItem(id, comment) {
+    if (comment) {
+      await this.addItemComment(id, comment);
+    }
+
+    return await this.updateItem(id, { status: 'closed' });
+  }
+
+  /**
+   * List items changed at or after a point in time
+   *
+   * Used by incremental sync with a stored cursor. The default lists every
+   * item and filters on `updated`; adapters should override it with a
+   * server-side query so unchanged items are never fetched.
+   *
+   * @param {string} since - ISO timestamp (sync cursor)
+   * @param {Object} [filters={}] - Filters accepted by listItems
+   * @returns {Promise<TrackerItem[]>} Items updated since the cursor
+   */
+  async listItemsChangedSince(since, filters = {}) {
+    const sinceTime = new Date(since).getTime();
+    const items = await this.listItems(filters);
+
+    return items.filter(item => !item.updated || new Date(item.updated).getTime() >= sinceTime);
+  }
+
+  /**
+   * Get the status an item pushed with `status` reads back as
+   *
+   * Trackers with a coarser workflow than the local one (e.g. GitHub's
+   * open/closed) override this so sync can tell that loss apart from a
+   * remote edit. The default assumes statuses survive the round trip.
+   *
+   * @param {string} status - Local status
+   * @returns {string} Status of the item when read back
+   */
+  roundTripStatus(status) {
+    return status;
+  }
+
+  /**
+   * Add a comment to an item
+   *
+   * @param {string|number} id - Remote identifier
+   * @param {string} body - Comment body
+   * @returns {Promise<Object>} Created comment
+   */
+  async addItemComment(id, body) {
+    throw new Error(`${this.constructor.name} does not support comments`);
+  }
+
+  /**
+   * Create or update the tracker's counterpart of a sprint
+   *
+   * Adapters without iterations keep this default.
+   *
+   * @param {Object} sprint - Sprint from SprintService: { name, goal, start, end, status }
+   * @returns {Promise<TrackerIteration>} Remote iteration
+   */
+  async syncIteration(sprint) {
+    throw new Error(`${this.constructor.name} does not support iterations`);
+  }
+
+  /**
+   * Check whether an object implements the tracker provider contract
+   *
+   * Duck-typed so adapters from plugins do not need to share this class.
+   *
+   * @param {Object} provider - Candidate provider
+   * @returns {boolean} True if all contract methods are present
+   */
+  static implementsContract(provider) {
+    if (!provider) {
+      return false;
+    }
+
+    return ['getName', 'getItem', 'createItem', 'updateItem']
+      .every(method => typeof provider[method] === 'function');
+  }
+}
+
+module.exports = IssueTrackerProvider;
@@ -0,0 +1,134 @@
+/**
+ * ProviderRegistry - Issue Tracker Provider Registry
+ *
+ * Maps provider names to factories so services and CLI commands can
+ * resolve a tracker by name without requiring backend modules directly.
+ * GitHub and Azure DevOps are registered by default; additional adapters
+ * (GitLab, Jira, ...) register themselves at runtime.
+ *
+ * @module lib/providers/ProviderRegistry
+ *
+ * @example
+ * const { defaultRegistry } = require('./ProviderRegistry');
+ *
+ * defaultRegistry.register('gitlab', (options) => new GitLabProvider(options), {
+ *   description: 'GitLab Issues'
+ * });
+ *
+ * const provider = defaultRegistry.create('gitlab', { token: '...' });
+ */
+
+const IssueTrackerProvider = require('./IssueTrackerProvider');
+
+/**
+ * Registry of issue tracker provider factories
+ *
+ * @class ProviderRegistry
+ */
+class ProviderRegistry {
+  /**
+   * Create a new, empty registry
+   */
+  constructor() {
+    this.factories = new Map();
+  }
+
+  /**
+   * Register a provider factory
+   *
+   * @param {string} name - Provider name (e.g., 'gitlab')
+   * @param {Function} factory - Function receiving options and returning a provider instance
+   * @param {Object} [metadata={}] - Descriptive metadata
+   * @param {string} [metadata.description] - Human-readable description
+   * @returns {ProviderRegistry} This registry (chainable)
+   * @throws {Error} If name or factory is invalid
+   */
+  register(name, factory, metadata = {}) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Provider name is required');
+    }
+
+    if (typeof factory !== 'function') {
+      throw new Error(`Factory for provider '${name}' must be a function`);
+    }
+
+    this.factories.set(name.toLowerCase(), {
+      factory,
+      description: metadata.description || name
+    });
+
+    return this;
+  }
+
+  /**
+   * Remove a provider from the registry
+   *
+   * @param {string} name - Provider name
+   * @returns {boolean} True if the provider was registered
+   */
+  unregister(name) {
+    return this.factories.delete(String(name).toLowerCase());
+  }
+
+  /**
+   * Check whether a provider is registered
+   *
+   * @param {string} name - Provider name
+   * @returns {boolean} True if registered
+   */
+  has(name) {
+    return !!name && this.factories.has(String(name).toLowerCase());
+  }
+
+  /**
+   * List registered providers
+   *
+   * @returns {Array<{name: string, description: string}>} Registered providers
+   */
+  list() {
+    return Array.from(this.factories.entries()).map(([name, entry]) => ({
+      name,
+      description: entry.description
+    }));
+  }
+
+  /**
+   * Create a provider instance by name
+   *
+   * @param {string} name - Provider name
+   * @param {Object} [options={}] - Options passed to the factory
+   * @returns {IssueTrackerProvider} Provider instance
+   * @throws {Error} If provider is unknown or does not implement the contract
+   */
+  create(name, options = {}) {
+    if (!this.has(name)) {
+      const available = this.list().map(p => p.name).join(', ');
+      throw new Error(`Unknown issue tracker provider: ${name} (available: ${available})`);
+    }
+
+    const { factory } = this.factories.get(String(name).toLowerCase());
+    const provider = factory(options);
+
+    if (!IssueTrackerProvider.implementsContract(provider)) {
+      throw new Error(`Provider '${name}' does not implement the IssueTrackerProvider contract`);
+    }
+
+    return provider;
+  }
+}
+
+/**
+ * Shared registry preloaded with the built-in providers
+ * @type {ProviderRegistry}
+ */
+const defaultRegistry = new ProviderRegistry()
+  .register('github', (options) => {
+    const GitHubProvider = require('./GitHubProvider');
+    return new GitHubProvider(options);
+  }, { description: 'GitHub Issues' })
+  .register('azure', (options) => {
+    const AzureDevOpsProvider = require('./AzureDevOpsProvider');
+    return new AzureDevOpsProvider(options);
+  }, { description: 'Azure DevOps Work Items' });
+
+module.exports = { ProviderRegistry, defaultRegistry };
@@ -41,11 +41,39 @@
  * ]);
  * ```
  *
+ * @example Query Language
+ * ```javascript
+ * // Boolean expressions over any frontmatter field, with ranges,
+ * // sorting and field projection
+ * const query = parser.parseQuery(
+ *   'status:active AND (priority:high OR label:security) AND NOT epic:legacy ' +
+ *   'effort:2d..5d created:>=2025-01-01 sort:-updated fields:id,title,status'
+ * );
+ * // Returns: {
+ * //   type: 'query',
+ * //   where: { type: 'and', children: [...] },
+ * //   sort: [{ field: 'updated', direction: 'desc' }],
+ * //   fields: ['id', 'title', 'status']
+ * // }
+ * ```
+ *
  * @module QueryParser
  * @version 1.0.0
  * @since v1.28.0
  */
 
+/**
+ * Reserved query-language fields that configure the result instead of filtering
+ * @type {string[]}
+ */
+const DIRECTIVES = ['sort', 'fields'];
+
+/**
+ * Effort units in hours (same defaults as PRDService.parseEffort)
+ * @type {Object}
+ */
+const EFFORT_UNITS = { h: 1, d: 8, w: 40 };
+
 class QueryParser {
   constructor() {
     /**
@@ -240,6 +268,359 @@ class QueryParser {
     );
   }
 
+  /**
+   * Parse a query-language expression into a typed AST
+   *
+   * Syntax:
+   * - `field:value` - equality on any frontmatter field (dotted paths allowed,
+   *   case-insensitive, `*` wildcards, arrays match any element)
+   * - `field:>value`, `>=`, `<`, `<=` - comparisons
+   * - `field:from..to` - inclusive range, either bound may be omitted
+   * - `AND`, `OR`, `NOT` (or a leading `-`) and parentheses; adjacent terms are ANDed
+   * - bare words and "quoted phrases" - full-text search
+   * - `sort:field,-field` - sort order (`-` = descending)
+   * - `fields:a,b` - field projection
+   *
+   * Values are typed: YYYY-MM-DD dates (optionally with time), efforts
+   * (`4h`, `2d`, `1w`), numbers, otherwise strings.
+   *
+   * AST nodes:
+   * - { type: 'and' | 'or', children: [node] }
+   * - { type: 'not', child: node }
+   * - { type: 'compare', field, operator: 'eq' | 'gt' | 'gte' | 'lt' | 'lte', value }
+   * - { type: 'range', field, from: value | null, to: value | null }
+   * - { type: 'text', value: string }
+   *
+   * Values: { kind: 'string' | 'number' | 'effort', raw, value } or
+   * { kind: 'date', raw, start, end } (epoch ms; a date-only value spans the whole day)
+   *
+   * @param {string} text - Query expression
+   * @returns {Object} - { type: 'query', where: node | null, sort: [{ field, direction }], fields: string[] | null }
+   * @throws {Error} - On syntax errors, with the position of the offending token
+   *
+   * @example
+   * parser.parseQuery('status:active priority:high');
+   * // Returns: {
+   * //   type: 'query',
+   * //   where: { type: 'and', children: [
+   * //     { type: 'compare', field: 'status', operator: 'eq', value: { kind: 'string', raw: 'active', value: 'active' } },
+   * //     { type: 'compare', field: 'priority', operator: 'eq', value: { kind: 'string', raw: 'high', value: 'high' } }
+   * //   ] },
+   * //   sort: [],
+   * //   fields: null
+   * // }
+   */
+  parseQuery(text) {
+    const query = { type: 'query', where: null, sort: [], fields: null };
+    const tokens = [];
+    let depth = 0;
+
+    for (const token of this.tokenize(text || '')) {
+      if (token.type === 'lparen') depth++;
+      if (token.type === 'rparen') depth--;
+
+      if (token.type === 'term' && DIRECTIVES.includes(token.field)) {
+        if (depth !== 0 || token.negated) {
+          throw new Error(`${token.field}: is only allowed at the top level (position ${token.position})`);
+        }
+        this._applyDirective(query, token);
+        continue;
+      }
+
+      tokens.push(token);
+    }
+
+    if (tokens.length === 0) {
+      return query;
+    }
+
+    const state = { tokens, index: 0 };
+    query.where = this._parseOr(state);
+
+    if (state.index < tokens.length) {
+      const token = tokens[state.index];
+      throw new Error(`Unexpected ${token.text} at position ${token.position}`);
+    }
+
+    return query;
+  }
+
+  /**
+   * Split a query expression into tokens
+   *
+   * @param {string} text - Query expression
+   * @returns {Array<Object>} - Tokens: { type, text, position, ... }
+   * @throws {Error} - On an unterminated quote or an incomplete term
+   * @private
+   */
+  tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+      const char = text[i];
+
+      if (/\s/.test(char)) {
+        i++;
+        continue;
+      }
+
+      if (char === '(' || char === ')') {
+        tokens.push({ type: char === '(' ? 'lparen' : 'rparen', text: char, position: i });
+        i++;
+        continue;
+      }
+
+      const position = i;
+      let negated = false;
+      if (char === '-' && i + 1 < text.length && !/[\s()]/.test(text[i + 1])) {
+        negated = true;
+        i++;
+      }
+
+      // Read a word; quoted sections may contain spaces and parentheses
+      let word = '';
+      let quoted = false;
+      while (i < text.length && !/[\s()]/.test(text[i])) {
+        if (text[i] === '"') {
+          const end = text.indexOf('"', i + 1);
+          if (end === -1) {
+            throw new Error(`Unterminated quote at position ${i}`);
+          }
+          word += text.slice(i + 1, end);
+          quoted = true;
+          i = end + 1;
+        } else {
+          word += text[i++];
+        }
+      }
+
+      const raw = text.slice(position, i);
+
+      if (!quoted && !negated && ['AND', 'OR', 'NOT'].includes(word)) {
+        tokens.push({ type: word.toLowerCase(), text: word, position });
+        continue;
+      }
+
+      const separator = raw.indexOf(':');
+      const field = separator > 0 ? raw.slice(negated ? 1 : 0, separator) : null;
+
+      if (field && /^[A-Za-z_][\w.-]*$/.test(field)) {
+        const value = word.slice(field.length + 1);
+        if (value === '') {
+          throw new Error(`Missing value for ${field}: at position ${position}`);
+        }
+        tokens.push({ type: 'term', text: raw, position, negated, quoted, field, value });
+      } else {
+        tokens.push({ type: 'text', text: raw, position, negated, value: word });
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Parse OR-separated AND groups
+   *
+   * @param {Object} state - { tokens, index }
+   * @returns {Object} - AST node
+   * @private
+   */
+  _parseOr(state) {
+    const children = [this._parseAnd(state)];
+
+    while (this._peek(state, 'or')) {
+      state.index++;
+      children.push(this._parseAnd(state));
+    }
+
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  /**
+   * Parse explicitly or implicitly ANDed operands
+   *
+   * @param {Object} state - { tokens, index }
+   * @returns {Object} - AST node
+   * @private
+   */
+  _parseAnd(state) {
+    const children = [this._parseUnary(state)];
+
+    while (state.index < state.tokens.length) {
+      if (this._peek(state, 'and')) {
+        state.index++;
+      } else if (this._peek(state, 'or') || this._peek(state, 'rparen')) {
+        break;
+      }
+      children.push(this._parseUnary(state));
+    }
+
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  /**
+   * Parse NOT, a parenthesized group, a term or a text search
+   *
+   * @param {Object} state - { tokens, index }
+   * @returns {Object} - AST node
+   * @private
+   */
+  _parseUnary(state) {
+    const token = state.tokens[state.index];
+
+    if (!token) {
+      const last = state.tokens[state.tokens.length - 1];
+      throw new Error(`Unexpected end of query after ${last.text}`);
+    }
+
+    state.index++;
+
+    switch (token.type) {
+      case 'not':
+        return { type: 'not', child: this._parseUnary(state) };
+
+      case 'lparen': {
+        const node = this._parseOr(state);
+        if (!this._peek(state, 'rparen')) {
+          throw new Error(`Missing ) for ( at position ${token.position}`);
+        }
+        state.index++;
+        return node;
+      }
+
+      case 'term':
+      case 'text': {
+        const node = token.type === 'term'
+          ? this._buildTerm(token)
+          : { type: 'text', value: token.value };
+        return token.negated ? { type: 'not', child: node } : node;
+      }
+
+      default:
+        throw new Error(`Unexpected ${token.text} at position ${token.position}`);
+    }
+  }
+
+  /**
+   * Check the type of the current token
+   *
+   * @param {Object} state - { tokens, index }
+   * @param {string} type - Token type
+   * @returns {boolean} - True if the current token has this type
+   * @private
+   */
+  _peek(state, type) {
+    const token = state.tokens[state.index];
+    return Boolean(token && token.type === type);
+  }
+
+  /**
+   * Build a compare or range node from a term token
+   *
+   * @param {Object} token - Term token
+   * @returns {Object} - AST node
+   * @throws {Error} - If a range bound is not a date, effort or number
+   * @private
+   */
+  _buildTerm(token) {
+    const { field, value } = token;
+
+    // A quoted value is always a literal string
+    if (token.quoted) {
+      return { type: 'compare', field, operator: 'eq', value: { kind: 'string', raw: value, value } };
+    }
+
+    const rangeIndex = value.indexOf('..');
+
+    if (rangeIndex !== -1) {
+      const from = value.slice(0, rangeIndex);
+      const to = value.slice(rangeIndex + 2);
+
+      if (!from && !to) {
+        throw new Error(`Range for ${field}: needs at least one bound (position ${token.position})`);
+      }
+
+      const node = {
+        type: 'range',
+        field,
+        from: from ? this.parseValue(from) : null,
+        to: to ? this.parseValue(to) : null
+      };
+
+      for (const bound of [node.from, node.to]) {
+        if (bound && bound.kind === 'string') {
+          throw new Error(`Range for ${field}: bounds must be dates, efforts or numbers (position ${token.position})`);
+        }
+      }
+
+      return node;
+    }
+
+    const match = value.match(/^(>=|<=|>|<)(.+)$/);
+    const operators = { '>': 'gt', '>=': 'gte', '<': 'lt', '<=': 'lte' };
+
+    if (match) {
+      return { type: 'compare', field, operator: operators[match[1]], value: this.parseValue(match[2]) };
+    }
+
+    return { type: 'compare', field, operator: 'eq', value: this.parseValue(value) };
+  }
+
+  /**
+   * Type a literal value
+   *
+   * @param {string} raw - Literal
+   * @returns {Object} - { kind, raw, value } or { kind: 'date', raw, start, end }
+   *
+   * @example
+   * parser.parseValue('2d');          // { kind: 'effort', raw: '2d', value: 16 }
+   * parser.parseValue('2025-01-15');  // { kind: 'date', raw: '2025-01-15', start: ..., end: ... }
+   */
+  parseValue(raw) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(raw) && this.isValidDateFormat(raw)) {
+      const start = Date.parse(`${raw}T00:00:00.000Z`);
+      return { kind: 'date', raw, start, end: start + 24 * 60 * 60 * 1000 - 1 };
+    }
+
+    if (/^\d{4}-\d{2}-\d{2}T/.test(raw) && !Number.isNaN(Date.parse(raw))) {
+      const time = Date.parse(raw);
+      return { kind: 'date', raw, start: time, end: time };
+    }
+
+    const effort = raw.match(/^(\d+(?:\.\d+)?)([hdw])$/i);
+    if (effort) {
+      return { kind: 'effort', raw, value: parseFloat(effort[1]) * EFFORT_UNITS[effort[2].toLowerCase()] };
+    }
+
+    if (/^-?\d+(\.\d+)?$/.test(raw)) {
+      return { kind: 'number', raw, value: parseFloat(raw) };
+    }
+
+    return { kind: 'string', raw, value: raw };
+  }
+
+  /**
+   * Apply a sort: or fields: directive
+   *
+   * @param {Object} query - Query being built
+   * @param {Object} token - Directive term token
+   * @private
+   */
+  _applyDirective(query, token) {
+    const names = token.value.split(',').map(name => name.trim()).filter(Boolean);
+
+    if (token.field === 'fields') {
+      query.fields = [...(query.fields || []), ...names];
+      return;
+    }
+
+    for (const name of names) {
+      const descending = name.startsWith('-');
+      query.sort.push({ field: descending ? name.slice(1) : name, direction: descending ? 'desc' : 'asc' });
+    }
+  }
+
   /**
    * Get list of supported filters
    *
@@ -315,6 +696,19 @@ Examples:
 
   # Combine filters
   --status active --priority P0 --epic epic-001 --search "OAuth2"
+
+Query Language:
+
+  field:value                   Match any frontmatter field (dotted paths, * wildcards)
+  field:>=value, >, <, <=       Compare dates (YYYY-MM-DD), efforts (4h, 2d, 1w) or numbers
+  field:from..to                Inclusive range, either bound optional
+  AND, OR, NOT, -term, ( )      Boolean logic; adjacent terms are ANDed
+  word, "phrase"                Full-text search
+  sort:field,-field             Sort results (- = descending)
+  fields:a,b                    Show only these fields
+
+  status:active AND (priority:high OR label:security) AND NOT epic:legacy
+  type:task effort:2d..5d created:>=2025-01-01 sort:-updated fields:id,title
 `.trim();
   }
 }
@@ -0,0 +1,317 @@
+/**
+ * Saved Search Store
+ *
+ * Named query-language searches ("views") kept with the project in
+ * `.claude/saved-searches.json`, so a good FilterEngine query is typed once
+ * and reused by `pm search --view`, `pm status`, `pm standup` and exports.
+ *
+ * Queries may contain variables that are resolved when the view runs:
+ *
+ * - `@me` - current user (`user` in .claude/config.json, AUTOPM_USER or GITHUB_USER)
+ * - `@today` - today's date (YYYY-MM-DD), with optional offsets: `@today-7d`, `@today+1w`
+ * - `@sprint` - current sprint (`sprint` in .claude/config.json)
+ * - any other `@name` passed in `variables`
+ *
+ * Layout (`.claude/saved-searches.json`):
+ *
+ *   { "my-work": { "query": "assignee:@me status:in_progress sort:-updated", "types": null,
+ *                  "description": "", "createdAt": "...", "updatedAt": "..." } }
+ *
+ * @example
+ * const SavedSearchStore = require('./lib/saved-search-store');
+ *
+ * const store = new SavedSearchStore();
+ * await store.save('stale', 'status:in_progress updated:<@today-3d', { description: 'Stuck work' });
+ *
+ * const query = await store.resolve('stale');
+ * // 'status:in_progress updated:<2025-06-07'
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const QueryParser = require('./query-parser');
+
+const NAME_PATTERN = /^[A-Za-z0-9][\w-]*$/;
+
+// @name, optionally followed by a day/week offset; skips e-mail addresses
+const VARIABLE_PATTERN = /(^|[^\w@])@([A-Za-z_]\w*)(?:([+-])(\d+)([dw]))?/g;
+
+class SavedSearchStore {
+  /**
+   * Create a new SavedSearchStore instance
+   *
+   * @param {Object} options - Configuration options
+   * @param {string} options.rootPath - Project root (default: process.cwd())
+   * @param {string} options.filePath - Store file relative to the root (default: '.claude/saved-searches.json')
+   * @param {string} options.configPath - Project config relative to the root (default: '.claude/config.json')
+   */
+  constructor(options = {}) {
+    this.options = {
+      rootPath: options.rootPath || null,
+      filePath: options.filePath || '.claude/saved-searches.json',
+      configPath: options.configPath || '.claude/config.json'
+    };
+  }
+
+  /**
+   * Replace variables in a query
+   *
+   * Values containing spaces or parentheses are quoted so they stay one term.
+   *
+   * @param {string} query - Query with @variables
+   * @param {Object} variables - Variable values by name (without @)
+   * @returns {string} Query without variables
+   * @throws {Error} If a variable has no value
+   */
+  static expandVariables(query, variables = {}) {
+    return query.replace(VARIABLE_PATTERN, (match, prefix, name, sign, amount, unit) => {
+      // Only own values, so @constructor and the like never resolve to Object internals
+      let value = Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : undefined;
+
+      if (value === undefined || value === null || value === '') {
+        throw new Error(`Cannot resolve @${name}: ${SavedSearchStore._variableHint(name)}`);
+      }
+
+      if (sign) {
+        const days = parseInt(amount, 10) * (unit === 'w' ? 7 : 1) * (sign === '-' ? -1 : 1);
+        const base = Date.parse(`${value}T00:00:00.000Z`);
+
+        if (Number.isNaN(base)) {
+          throw new Error(`Cannot offset @${name}: ${value} is not a date`);
+        }
+
+        value = new Date(base + days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+      }
+
+      value = String(value);
+      return prefix + (/[\s()]/.test(value) ? `"${value}"` : value);
+    });
+  }
+
+  /**
+   * Save (or replace) a named search
+   *
+   * @param {string} name - Search name (letters, digits, - and _)
+   * @param {string} query - Query-language expression, may contain @variables
+   * @param {Object} [options={}] - Search options
+   * @param {string} [options.description] - Human-readable description
+   * @param {string[]} [options.types] - Entity types to search (default: all)
+   * @returns {Promise<Object>} Saved search: { name, query, types, description, createdAt, updatedAt }
+   * @throws {Error} If the name is invalid or the query does not parse
+   */
+  async save(name, query, options = {}) {
+    if (!name || !NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid saved search name: ${name}. Use letters, digits, - and _`);
+    }
+
+    if (!query || !query.trim()) {
+      throw new Error('Saved search query is required');
+    }
+
+    // Validate the syntax with a placeholder date (valid in any term or range)
+    // so variables need not resolve now
+    new QueryParser().parseQuery(query.replace(VARIABLE_PATTERN, (match, prefix) => `${prefix}2000-01-01`));
+
+    const data = await this._load();
+    const now = new Date().toISOString();
+    const existing = data[name];
+
+    data[name] = {
+      query: query.trim(),
+      types: options.types || null,
+      description: options.description || (existing ? existing.description : ''),
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+
+    await this._save(data);
+
+    return { name, ...data[name] };
+  }
+
+  /**
+   * Get a saved search
+   *
+   * @param {string} name - Search name
+   * @returns {Promise<Object>} Saved search
+   * @throws {Error} If there is no search with this name
+   */
+  async get(name) {
+    const data = await this._load();
+
+    if (!data[name]) {
+      throw new Error(`Saved search not found: ${name}`);
+    }
+
+    return { name, ...data[name] };
+  }
+
+  /**
+   * List saved searches sorted by name
+   *
+   * @returns {Promise<Array<Object>>} Saved searches
+   */
+  async list() {
+    const data = await this._load();
+
+    return Object.keys(data).sort().map(name => ({ name, ...data[name] }));
+  }
+
+  /**
+   * Delete a saved search
+   *
+   * @param {string} name - Search name
+   * @returns {Promise<boolean>} True if it existed
+   */
+  async remove(name) {
+    const data = await this._load();
+
+    if (!data[name]) {
+      return false;
+    }
+
+    delete data[name];
+    await this._save(data);
+
+    return true;
+  }
+
+  /**
+   * Resolve a saved search into a runnable query
+   *
+   * @param {string} name - Search name
+   * @param {Object} [variables={}] - Variable overrides (e.g. { me: 'alice', sprint: 'Sprint 12' })
+   * @returns {Promise<string>} Query with variables replaced
+   */
+  async resolve(name, variables = {}) {
+    const search = await this.get(name);
+    return SavedSearchStore.expandVariables(search.query, await this.getVariables(variables));
+  }
+
+  /**
+   * Current values of the built-in variables
+   *
+   * @param {Object} [overrides={}] - Values that take precedence
+   * @returns {Promise<Object>} { today, me, sprint, ...overrides }
+   */
+  async getVariables(overrides = {}) {
+    const config = await this._loadConfig();
+    const variables = {
+      today: SavedSearchStore._localDate(new Date()),
+      me: config.user || process.env.AUTOPM_USER || process.env.GITHUB_USER || null,
+      sprint: config.sprint || null
+    };
+
+    for (const [name, value] of Object.entries(overrides)) {
+      if (value !== undefined && value !== null) {
+        variables[name] = value;
+      }
+    }
+
+    return variables;
+  }
+
+  /**
+   * Format a date as YYYY-MM-DD in local time, so @today follows the user's calendar day
+   *
+   * @private
+   * @param {Date} date - Date
+   * @returns {string} Local date
+   */
+  static _localDate(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+  }
+
+  /**
+   * Explain how to provide a missing variable
+   *
+   * @private
+   * @param {string} name - Variable name
+   * @returns {string} Hint
+   */
+  static _variableHint(name) {
+    if (name === 'me') {
+      return 'set "user" in .claude/config.json or AUTOPM_USER, or pass --var me=<name>';
+    }
+    if (name === 'sprint') {
+      return 'set "sprint" in .claude/config.json or pass --var sprint=<name>';
+    }
+    return `pass --var ${name}=<value>`;
+  }
+
+  /**
+   * Resolve a path, keeping it inside the project root
+   *
+   * @private
+   * @param {string} relativePath - Path relative to the root
+   * @returns {string} Absolute path
+   * @throws {Error} If the path escapes the project root
+   */
+  _resolve(relativePath) {
+    const baseDir = this.options.rootPath || process.cwd();
+    const resolved = path.resolve(baseDir, relativePath);
+
+    if (!resolved.startsWith(baseDir + path.sep)) {
+      throw new Error('Saved search path must be within the project directory (security: path traversal prevention)');
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Load the store (missing file = empty)
+   *
+   * The map has no prototype, so names like __proto__ or constructor are
+   * plain keys.
+   *
+   * @private
+   * @returns {Promise<Object>} Searches by name
+   */
+  async _load() {
+    const filePath = this._resolve(this.options.filePath);
+    const data = Object.create(null);
+
+    if (!(await fs.pathExists(filePath))) {
+      return data;
+    }
+
+    return Object.assign(data, await fs.readJSON(filePath));
+  }
+
+  /**
+   * Load the project config (missing or invalid file = empty)
+   *
+   * @private
+   * @returns {Promise<Object>} Config
+   */
+  async _loadConfig() {
+    const filePath = this._resolve(this.options.configPath);
+
+    try {
+      return (await fs.readJSON(filePath)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Write the store atomically
+   *
+   * @private
+   * @param {Object} data - Searches by name
+   * @returns {Promise<void>}
+   */
+  async _save(data) {
+    const filePath = this._resolve(this.options.filePath);
+    const tmpPath = `${filePath}.tmp`;
+
+    await fs.ensureDir(path.dirname(filePath));
+    await fs.writeJSON(tmpPath, data, { spaces: 2 });
+    await fs.rename(tmpPath, filePath);
+  }
+}
+
+module.exports = SavedSearchStore;
@@ -0,0 +1,791 @@
+/**
+ * SchedulePlanner - Resource-aware schedule for epic tasks
+ *
+ * `DependencyAnalyzer.findParallelizable` says which tasks could run together;
+ * this module decides who does what on which day. It is a list scheduler:
+ *
+ * - tasks become ready once everything they depend on (across epics, see
+ *   `DependencyAnalyzer.analyzePortfolio`) has finished on an earlier day
+ * - ready tasks are ranked critical-chain first: in-progress work, then the
+ *   longest remaining effort chain behind the task, then priority
+ * - each ready task goes to an idle team member who has its skills and the
+ *   most hours left that day; a task with an `assignee` waits for that member
+ *
+ * Tasks already in progress stay with their assignee and continue from the
+ * first day in parallel, so a member with more started work than capacity
+ * shows up as over-allocated instead of being silently rescheduled.
+ *
+ * The team lives in `.claude/config.json`:
+ *
+ * ```json
+ * { "team": [{ "name": "alice", "capacity": 6, "skills": ["backend"] }] }
+ * ```
+ *
+ * Capacity is hours per working day (default: 8). Task effort comes from the
+ * `effort` frontmatter (PRDService.parseEffort) and required skills from
+ * `skills`.
+ *
+ * @example
+ * ```javascript
+ * const SchedulePlanner = require('./lib/schedule-planner');
+ * const planner = new SchedulePlanner({ basePath: '.claude' });
+ *
+ * const plan = await planner.plan({ epicId: 'user-auth' });
+ * console.log(planner.renderGantt(plan));
+ * console.log(plan.overAllocations);  // [{ member: 'alice', date: '2025-03-10', hours: 12, capacity: 6, tasks: [...] }]
+ * ```
+ *
+ * @module SchedulePlanner
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const FilterEngine = require('./filter-engine');
+const DependencyAnalyzer = require('./dependency-analyzer');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FORMATS = ['ascii', 'mermaid', 'json'];
+const DEFAULT_CAPACITY = 8;
+const IN_PROGRESS_STATUSES = ['in_progress', 'in-progress', 'active', 'started'];
+const PRIORITY_ORDER = { P0: 0, P1: 1, P2: 2, P3: 3 };
+
+// Upper bound for the simulation, so an unsatisfiable plan cannot loop forever
+const MAX_PLAN_DAYS = 3650;
+
+class SchedulePlanner {
+  /**
+   * Create SchedulePlanner instance
+   *
+   * @param {Object} options - Configuration options
+   * @param {string} options.basePath - Base path for file operations (default: '.claude')
+   * @param {Array<Object>} options.team - Team members (default: "team" in config.json)
+   * @param {boolean} options.skipWeekends - Plan working days only (default: true)
+   */
+  constructor(options = {}) {
+    this.basePath = options.basePath || '.claude';
+    this.team = options.team || null;
+    this.skipWeekends = options.skipWeekends !== false;
+    this.filterEngine = new FilterEngine({ basePath: this.basePath });
+    this.dependencyAnalyzer = new DependencyAnalyzer();
+  }
+
+  /**
+   * Load and normalize the team
+   *
+   * @returns {Promise<Array<Object>>} Members: { name, capacity, skills }
+   * @throws {Error} If no team is configured
+   */
+  async loadTeam() {
+    let team = this.team;
+
+    if (!team) {
+      try {
+        const config = await fs.readJSON(path.join(this.basePath, 'config.json'));
+        team = config.team;
+      } catch (error) {
+        team = null;
+      }
+    }
+
+    const members = Array.isArray(team) ? team : ((team && team.members) || []);
+
+    if (members.length === 0) {
+      throw new Error('No team configured: add "team": [{ "name", "capacity", "skills" }] to .claude/config.json');
+    }
+
+    return members.map(member => {
+      if (!member || !member.name) {
+        throw new Error('Every team member needs a name');
+      }
+
+      const capacity = member.capacity === undefined ? DEFAULT_CAPACITY : Number(member.capacity);
+      if (!Number.isFinite(capacity) || capacity < 0) {
+        throw new Error(`Invalid capacity for ${member.name}: ${member.capacity}`);
+      }
+
+      return {
+        name: String(member.name),
+        capacity,
+        skills: this._toList(member.skills).map(skill => skill.toLowerCase())
+      };
+    });
+  }
+
+  /**
+   * Plan the remaining work
+   *
+   * @param {Object} options - Plan options
+   * @param {string} options.epicId - Plan one epic plus the unfinished tasks it depends on (default: all epics)
+   * @param {string} options.start - First day of the plan, YYYY-MM-DD (default: today)
+   * @returns {Promise<Object>} - {
+   *   scope, start, finish, days,
+   *   members: [{ name, capacity, skills, hours }],
+   *   assignments: [{ task, epic, id, title, status, member, hours, start, finish,
+   *                   startDay, finishDay, daily: { [day]: hours }, pinned, critical }],
+   *   overAllocations: [{ member, date, day, hours, capacity, tasks }],
+   *   unassigned: [{ task, title, reason }],
+   *   criticalChain: string[]
+   * }
+   * @throws {Error} If the start date is invalid or no team is configured
+   */
+  async plan(options = {}) {
+    const startTime = this._parseStart(options.start);
+    const members = await this.loadTeam();
+
+    const portfolio = await this.dependencyAnalyzer.analyzePortfolio({ basePath: this.basePath });
+    const files = await this.filterEngine.loadAll({ types: ['task'] });
+    const tasks = this.buildTasks(portfolio, files, options.epicId);
+
+    const schedule = this.schedule(tasks, members);
+    const dateOf = this._calendar(startTime);
+
+    const assignments = schedule.assignments.map(a => ({
+      ...a,
+      start: dateOf(a.startDay),
+      finish: dateOf(a.finishDay)
+    }));
+
+    const lastDay = assignments.reduce((max, a) => Math.max(max, a.finishDay), -1);
+
+    return {
+      scope: options.epicId || 'all epics',
+      start: dateOf(0),
+      finish: lastDay >= 0 ? dateOf(lastDay) : null,
+      days: lastDay + 1,
+      members: members.map(member => ({
+        ...member,
+        hours: assignments.filter(a => a.member === member.name).reduce((sum, a) => sum + a.hours, 0)
+      })),
+      assignments,
+      overAllocations: schedule.overAllocations.map(o => ({ ...o, date: dateOf(o.day) })),
+      unassigned: schedule.unassigned,
+      criticalChain: schedule.criticalChain
+    };
+  }
+
+  /**
+   * Collect the unfinished tasks to plan
+   *
+   * @param {Object} portfolio - Result of DependencyAnalyzer.analyzePortfolio()
+   * @param {Array<Object>} files - Task files from FilterEngine.loadAll()
+   * @param {string} [epicId] - Limit to one epic and its unfinished prerequisites
+   * @returns {Array<Object>} Tasks: { task, epic, id, title, status, hours, priority,
+   *   assignee, skills, inProgress, dependsOn, cycle }
+   */
+  buildTasks(portfolio, files, epicId) {
+    const frontmatter = new Map(files.map(file => [
+      `${file.epic}/${String(file.frontmatter.id || path.basename(file.path, '.md'))}`,
+      file.frontmatter
+    ]));
+
+    const open = node => portfolio.tasks[node] && !this._isCompleted(portfolio.tasks[node].status);
+    const dependsOn = new Map(portfolio.graph.nodes.map(node => [node, []]));
+    for (const edge of portfolio.graph.edges) {
+      if (open(edge.from)) {
+        dependsOn.get(edge.to).push(edge.from);
+      }
+    }
+
+    let scope = portfolio.graph.nodes.filter(open);
+    if (epicId) {
+      const included = new Set();
+      const stack = scope.filter(node => portfolio.tasks[node].epic === epicId);
+      while (stack.length > 0) {
+        const node = stack.pop();
+        if (!included.has(node)) {
+          included.add(node);
+          stack.push(...dependsOn.get(node));
+        }
+      }
+      scope = scope.filter(node => included.has(node));
+    }
+
+    const inCycle = new Set();
+    for (const cycle of portfolio.circularDependencies) {
+      cycle.cycle.forEach(node => inCycle.add(node));
+    }
+
+    return scope.map(node => {
+      const task = portfolio.tasks[node];
+      const fm = frontmatter.get(node) || {};
+
+      return {
+        task: node,
+        epic: task.epic,
+        id: task.id,
+        title: task.title,
+        status: task.status,
+        hours: task.hours,
+        priority: fm.priority || 'P2',
+        assignee: fm.assignee ? String(fm.assignee) : null,
+        skills: this._toList(fm.skills).map(skill => skill.toLowerCase()),
+        inProgress: IN_PROGRESS_STATUSES.includes(task.status),
+        dependsOn: dependsOn.get(node),
+        cycle: inCycle.has(node)
+      };
+    });
+  }
+
+  /**
+   * Assign tasks to members day by day
+   *
+   * Days are plan-relative working-day indexes; plan() turns them into dates.
+   *
+   * @param {Array<Object>} tasks - Tasks from buildTasks()
+   * @param {Array<Object>} members - Members from loadTeam()
+   * @returns {Object} - { assignments, overAllocations, unassigned, criticalChain }
+   */
+  schedule(tasks, members) {
+    const byNode = new Map(tasks.map(task => [task.task, task]));
+    const memberByName = new Map(members.map(member => [member.name, member]));
+    const unassigned = [];
+    const rank = this._rankTasks(tasks);
+
+    const state = new Map();
+    const pending = [];
+
+    for (const task of tasks) {
+      const reason = task.cycle ? 'Circular dependency' : this._assignmentProblem(task, members, memberByName);
+      if (reason) {
+        unassigned.push({ task: task.task, title: task.title, reason });
+        continue;
+      }
+
+      state.set(task.task, { remaining: task.hours, member: null, startDay: null, finishDay: null, daily: {} });
+
+      if (task.inProgress && task.assignee) {
+        // Started work stays with its assignee and runs from day one
+        state.get(task.task).member = task.assignee;
+        state.get(task.task).startDay = 0;
+      } else {
+        pending.push(task);
+      }
+    }
+
+    pending.sort((a, b) =>
+      (b.inProgress - a.inProgress) ||
+      (rank.get(b.task) - rank.get(a.task)) ||
+      ((PRIORITY_ORDER[a.priority] ?? 2) - (PRIORITY_ORDER[b.priority] ?? 2)) ||
+      a.task.localeCompare(b.task)
+    );
+
+    const wip = tasks.filter(task => state.has(task.task) && state.get(task.task).startDay === 0);
+    const current = new Map(members.map(member => [member.name, null]));
+    const overAllocations = [];
+    const finished = new Set();
+
+    const isReady = (task, day) => task.dependsOn.every(dep => {
+      const depState = state.get(dep);
+      return depState && depState.finishDay !== null && depState.finishDay < day;
+    });
+
+    const work = (task, hours, day) => {
+      const taskState = state.get(task.task);
+      taskState.remaining -= hours;
+      if (hours > 0) {
+        taskState.daily[day] = (taskState.daily[day] || 0) + hours;
+      }
+      if (taskState.remaining <= 0) {
+        taskState.finishDay = day;
+        finished.add(task.task);
+      }
+      return hours;
+    };
+
+    for (let day = 0; day < MAX_PLAN_DAYS && finished.size < state.size; day++) {
+      const left = new Map(members.map(member => [member.name, member.capacity]));
+
+      // Committed work in progress, worked in parallel
+      const load = new Map();
+      for (const task of wip.filter(t => !finished.has(t.task))) {
+        const member = memberByName.get(task.assignee);
+        const hours = work(task, Math.min(state.get(task.task).remaining, member.capacity), day);
+        load.set(member.name, (load.get(member.name) || []).concat({ task: task.task, hours }));
+      }
+
+      for (const [name, entries] of load) {
+        const hours = entries.reduce((sum, e) => sum + e.hours, 0);
+        const capacity = memberByName.get(name).capacity;
+        left.set(name, Math.max(0, capacity - hours));
+
+        if (hours > capacity) {
+          overAllocations.push({ member: name, day, hours, capacity, tasks: entries.map(e => e.task) });
+        }
+      }
+
+      // List scheduling: keep handing out ready work while anyone has hours left
+      let progress = true;
+      while (progress) {
+        progress = false;
+
+        for (const member of members) {
+          const task = current.get(member.name);
+          if (task && left.get(member.name) > 0) {
+            const hours = work(task, Math.min(state.get(task.task).remaining, left.get(member.name)), day);
+            left.set(member.name, left.get(member.name) - hours);
+            if (finished.has(task.task)) {
+              current.set(member.name, null);
+              progress = true;
+            }
+          }
+        }
+
+        for (const task of pending.filter(t => state.get(t.task).member === null && isReady(t, day))) {
+          const candidates = members.filter(member =>
+            current.get(member.name) === null &&
+            left.get(member.name) > 0 &&
+            this._canWorkOn(member, task)
+          );
+
+          if (candidates.length === 0) {
+            continue;
+          }
+
+          const member = candidates.reduce((best, m) => (left.get(m.name) > left.get(best.name) ? m : best));
+          const taskState = state.get(task.task);
+          taskState.member = member.name;
+          taskState.startDay = day;
+
+          if (taskState.remaining <= 0) {
+            work(task, 0, day);
+          } else {
+            current.set(member.name, task);
+          }
+          progress = true;
+        }
+      }
+
+      const busy = [...current.values()].some(Boolean) || wip.some(t => !finished.has(t.task));
+      const ready = pending.some(t => state.get(t.task).member === null && isReady(t, day + 1));
+      if (!busy && !ready) {
+        break;
+      }
+    }
+
+    const assignments = [];
+    for (const task of tasks) {
+      const taskState = state.get(task.task);
+      if (!taskState) {
+        continue;
+      }
+
+      if (taskState.finishDay === null) {
+        const blocker = task.dependsOn.find(dep => !state.has(dep) || state.get(dep).finishDay === null);
+        unassigned.push({
+          task: task.task,
+          title: task.title,
+          reason: blocker ? `Depends on unscheduled ${blocker}` : `Not finished within ${MAX_PLAN_DAYS} days`
+        });
+        continue;
+      }
+
+      assignments.push({
+        task: task.task,
+        epic: task.epic,
+        id: task.id,
+        title: task.title,
+        status: task.status,
+        member: taskState.member,
+        hours: task.hours,
+        startDay: taskState.startDay,
+        finishDay: taskState.finishDay,
+        daily: taskState.daily,
+        pinned: Boolean(task.assignee),
+        critical: false
+      });
+    }
+
+    assignments.sort((a, b) => a.startDay - b.startDay || a.finishDay - b.finishDay || a.task.localeCompare(b.task));
+
+    const criticalChain = this._criticalChain(assignments, byNode);
+    for (const assignment of assignments) {
+      assignment.critical = criticalChain.includes(assignment.task);
+    }
+
+    return { assignments, overAllocations, unassigned, criticalChain };
+  }
+
+  /**
+   * Render a Gantt chart as ASCII
+   *
+   * One column per working day; `█` is a day worked, `!` a day worked while
+   * the member is over-allocated and `·` a started task waiting its turn.
+   *
+   * @param {Object} plan - Result of plan()
+   * @param {Object} options - Options
+   * @param {number} options.width - Maximum days shown (default: 60)
+   * @returns {string} Chart
+   */
+  renderGantt(plan, options = {}) {
+    const width = options.width || 60;
+    const days = Math.min(plan.days, width);
+    const labelOf = a => `${a.critical ? '*' : ' '} ${a.task} ${a.title}`;
+    const labelWidth = Math.min(40, Math.max(12, ...plan.assignments.map(a => labelOf(a).length)));
+    const pad = text => (text.length > labelWidth ? text.slice(0, labelWidth - 1) + '…' : text.padEnd(labelWidth));
+    const lines = [];
+
+    lines.push(`Schedule: ${plan.scope}`);
+    lines.push(plan.finish
+      ? `${plan.start} to ${plan.finish} (${plan.days} working days)`
+      : 'Nothing to schedule');
+
+    if (plan.assignments.length > 0) {
+      const dateOf = this._calendar(Date.parse(`${plan.start}T00:00:00.000Z`));
+
+      // A tick every five working days, labelled where there is room
+      let header = '';
+      let ticks = '';
+      for (let day = 0; day < days; day++) {
+        if (day % 5 === 0 && (day === 0 || header.length < day)) {
+          header = header.padEnd(day) + dateOf(day).slice(5);
+        }
+        ticks += day % 5 === 0 ? '|' : ' ';
+      }
+
+      lines.push('');
+      lines.push(`${' '.repeat(labelWidth)} ${header}`);
+      lines.push(`${' '.repeat(labelWidth)} ${ticks}`);
+
+      const overAllocated = new Set(plan.overAllocations.map(o => `${o.member}:${o.day}`));
+
+      for (const member of plan.members) {
+        const mine = plan.assignments.filter(a => a.member === member.name);
+        lines.push(`${member.name} (${member.capacity}h/day, ${this._round(member.hours)}h planned)`);
+
+        for (const a of mine) {
+          let bar = '';
+          for (let day = 0; day < days; day++) {
+            if (a.daily[day]) {
+              bar += overAllocated.has(`${a.member}:${day}`) ? '!' : '█';
+            } else {
+              bar += day >= a.startDay && day <= a.finishDay ? '·' : ' ';
+            }
+          }
+          lines.push(`${pad(labelOf(a))} ${bar}${plan.days > width ? '»' : ''}`);
+        }
+      }
+
+      lines.push('');
+      lines.push('* critical chain');
+    }
+
+    if (plan.overAllocations.length > 0) {
+      lines.push('');
+      lines.push('Over-allocated:');
+      plan.overAllocations.forEach(o => {
+        lines.push(`  ${o.member} on ${o.date}: ${this._round(o.hours)}h of ${o.capacity}h (${o.tasks.join(', ')})`);
+      });
+    }
+
+    if (plan.unassigned.length > 0) {
+      lines.push('');
+      lines.push('Not scheduled:');
+      plan.unassigned.forEach(u => lines.push(`  ${u.task}: ${u.reason}`));
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Render a Mermaid gantt chart
+   *
+   * Sections are team members; critical-chain tasks are `crit` and started
+   * tasks `active`. Over-allocated days become milestones in their own section.
+   *
+   * @param {Object} plan - Result of plan()
+   * @param {Object} options - Options
+   * @param {string} options.title - Chart title (default: "Schedule: <scope>")
+   * @returns {string} Mermaid source
+   */
+  toMermaid(plan, options = {}) {
+    const lines = [
+      'gantt',
+      `  title ${this._mermaidText(options.title || `Schedule: ${plan.scope}`)}`,
+      '  dateFormat YYYY-MM-DD'
+    ];
+
+    if (this.skipWeekends) {
+      lines.push('  excludes weekends');
+    }
+
+    const ids = new Map(plan.assignments.map((a, index) => [a.task, `t${index}`]));
+
+    for (const member of plan.members) {
+      const mine = plan.assignments.filter(a => a.member === member.name);
+      if (mine.length === 0) {
+        continue;
+      }
+
+      lines.push(`  section ${this._mermaidText(member.name)}`);
+      for (const a of mine) {
+        const tags = [
+          a.critical ? 'crit' : null,
+          IN_PROGRESS_STATUSES.includes(a.status) ? 'active' : null,
+          ids.get(a.task)
+        ].filter(Boolean);
+        lines.push(`  ${this._mermaidText(`${a.task} ${a.title}`)} :${tags.join(', ')}, ${a.start}, ${this._nextDate(a.finish)}`);
+      }
+    }
+
+    if (plan.overAllocations.length > 0) {
+      lines.push('  section Over-allocated');
+      for (const o of plan.overAllocations) {
+        lines.push(`  ${this._mermaidText(`${o.member} ${this._round(o.hours)}h of ${o.capacity}h`)} :crit, milestone, ${o.date}, 0d`);
+      }
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Render a plan in the requested format
+   *
+   * @param {Object} plan - Result of plan()
+   * @param {string} format - ascii | mermaid | json
+   * @returns {string} Rendered plan
+   * @throws {Error} If the format is not supported
+   */
+  export(plan, format = 'ascii') {
+    switch (format) {
+      case 'ascii':
+        return this.renderGantt(plan);
+      case 'mermaid':
+        return this.toMermaid(plan);
+      case 'json':
+        return JSON.stringify(plan, null, 2);
+      default:
+        throw new Error(`Unsupported schedule format: ${format}. Must be one of: ${FORMATS.join(', ')}`);
+    }
+  }
+
+  // ============================================================================
+  // Private Helper Methods
+  // ============================================================================
+
+  /**
+   * Why a task cannot go to anyone, if it cannot
+   *
+   * @private
+   * @param {Object} task - Task
+   * @param {Array<Object>} members - Team members
+   * @param {Map} memberByName - Members by name
+   * @returns {string|null} Reason, or null if someone can do it
+   */
+  _assignmentProblem(task, members, memberByName) {
+    if (task.assignee) {
+      const member = memberByName.get(task.assignee);
+      if (!member) {
+        return `Assignee ${task.assignee} is not in the team`;
+      }
+      if (member.capacity === 0) {
+        return `Assignee ${task.assignee} has no capacity`;
+      }
+      return null;
+    }
+
+    if (!members.some(member => member.capacity > 0 && this._canWorkOn(member, task))) {
+      return `No team member has skills: ${task.skills.join(', ')}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a member may take a task
+   *
+   * @private
+   * @param {Object} member - Team member
+   * @param {Object} task - Task
+   * @returns {boolean} True if assigned to them, or unassigned and they have the skills
+   */
+  _canWorkOn(member, task) {
+    if (task.assignee) {
+      return task.assignee === member.name;
+    }
+    return task.skills.every(skill => member.skills.includes(skill));
+  }
+
+  /**
+   * Remaining effort on the longest chain starting at each task
+   *
+   * @private
+   * @param {Array<Object>} tasks - Tasks
+   * @returns {Map<string, number>} Hours by task
+   */
+  _rankTasks(tasks) {
+    const byNode = new Map(tasks.map(task => [task.task, task]));
+    const successors = new Map(tasks.map(task => [task.task, []]));
+    for (const task of tasks) {
+      task.dependsOn.filter(dep => successors.has(dep)).forEach(dep => successors.get(dep).push(task.task));
+    }
+
+    const rank = new Map();
+    const visit = (node, trail) => {
+      if (rank.has(node)) {
+        return rank.get(node);
+      }
+      if (trail.has(node)) {
+        return 0;
+      }
+
+      trail.add(node);
+      const tail = Math.max(0, ...successors.get(node).map(next => visit(next, trail)));
+      trail.delete(node);
+
+      rank.set(node, byNode.get(node).hours + tail);
+      return rank.get(node);
+    };
+
+    tasks.forEach(task => visit(task.task, new Set()));
+    return rank;
+  }
+
+  /**
+   * Chain of tasks that sets the finish date
+   *
+   * Walks back from the last task to finish through whatever held it up: a
+   * dependency or the member's previous task, if it ended the day before.
+   *
+   * @private
+   * @param {Array<Object>} assignments - Scheduled tasks
+   * @param {Map} byNode - Tasks by node
+   * @returns {string[]} Task nodes in order
+   */
+  _criticalChain(assignments, byNode) {
+    if (assignments.length === 0) {
+      return [];
+    }
+
+    const byTask = new Map(assignments.map(a => [a.task, a]));
+    let current = assignments.reduce((last, a) => (a.finishDay > last.finishDay ? a : last));
+    const chain = [current.task];
+
+    while (current.startDay > 0) {
+      const startDay = current.startDay;
+      const candidates = byNode.get(current.task).dependsOn
+        .map(dep => byTask.get(dep))
+        .filter(Boolean)
+        .concat(assignments.filter(a => a.member === current.member && a.task !== current.task && a.finishDay <= startDay));
+
+      const previous = candidates
+        .filter(a => a.finishDay >= startDay - 1 && !chain.includes(a.task))
+        .sort((a, b) => b.finishDay - a.finishDay || b.hours - a.hours)[0];
+
+      if (!previous) {
+        break;
+      }
+
+      chain.unshift(previous.task);
+      current = previous;
+    }
+
+    return chain;
+  }
+
+  /**
+   * Map working-day indexes to dates
+   *
+   * @private
+   * @param {number} startTime - First day (UTC midnight, ms)
+   * @returns {Function} day => 'YYYY-MM-DD'
+   */
+  _calendar(startTime) {
+    const dates = [];
+    let time = startTime;
+
+    const isWorkday = t => !this.skipWeekends || ![0, 6].includes(new Date(t).getUTCDay());
+
+    return day => {
+      while (dates.length <= day) {
+        while (!isWorkday(time)) {
+          time += DAY_MS;
+        }
+        dates.push(new Date(time).toISOString().split('T')[0]);
+        time += DAY_MS;
+      }
+      return dates[day];
+    };
+  }
+
+  /**
+   * Parse the plan start date
+   *
+   * @private
+   * @param {string} [value] - YYYY-MM-DD (default: today)
+   * @returns {number} UTC midnight in ms
+   * @throws {Error} If the date is invalid
+   */
+  _parseStart(value) {
+    if (!value) {
+      return Date.parse(new Date().toISOString().split('T')[0]);
+    }
+
+    const time = /^\d{4}-\d{2}-\d{2}$/.test(value) ? Date.parse(`${value}T00:00:00.000Z`) : NaN;
+    if (Number.isNaN(time)) {
+      throw new Error(`Invalid start date: ${value}. Use YYYY-MM-DD`);
+    }
+
+    return time;
+  }
+
+  /**
+   * Day after a date
+   *
+   * @private
+   * @param {string} date - YYYY-MM-DD
+   * @returns {string} YYYY-MM-DD
+   */
+  _nextDate(date) {
+    return new Date(Date.parse(`${date}T00:00:00.000Z`) + DAY_MS).toISOString().split('T')[0];
+  }
+
+  /**
+   * @private
+   * @param {string} status - Task status
+   * @returns {boolean} True if the task is done
+   */
+  _isCompleted(status) {
+    return ['completed', 'done', 'closed'].includes(status);
+  }
+
+  /**
+   * Strip characters Mermaid gantt treats as syntax
+   *
+   * @private
+   * @param {string} text - Text
+   * @returns {string} Safe text
+   */
+  _mermaidText(text) {
+    return String(text).replace(/[:;#]/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Frontmatter list (array or comma-separated string) as strings
+   *
+   * @private
+   * @param {*} value - Raw value
+   * @returns {string[]} Items
+   */
+  _toList(value) {
+    if (Array.isArray(value)) {
+      return value.map(String).filter(Boolean);
+    }
+    if (typeof value === 'string' && value.trim()) {
+      return value.split(',').map(v => v.trim()).filter(Boolean);
+    }
+    return [];
+  }
+
+  /**
+   * @private
+   * @param {number} value - Hours
+   * @returns {number} Rounded to one decimal
+   */
+  _round(value) {
+    return Math.round(value * 10) / 10;
+  }
+}
+
+SchedulePlanner.FORMATS = FORMATS;
+
+module.exports = SchedulePlanner;
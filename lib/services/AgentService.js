@@ -9,7 +9,11 @@
  * - Invoke agents with structured prompts (XML-based per Anthropic best practices)
  * - Stream agent responses with AsyncGenerator
  * - List and search available agents
- * - Multi-turn conversations with context persistence
+ * - Multi-turn conversations: earlier turns are replayed to the provider
+ *   (chat() when available), within a token budget; with a session store
+ *   they persist in .claude/sessions/ and can be resumed later
+ * - Tool use: agents call the project tools allowed by their frontmatter
+ *   (`project-tools:`), with mutating tools in dry-run or confirm mode
  *
  * Architecture:
  * - Uses AbstractAIProvider interface for AI provider abstraction
@@ -26,20 +30,55 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const yaml = require('yaml');
+
+// Replayed history budget, in estimated tokens
+const DEFAULT_MAX_HISTORY_TOKENS = 8000;
+
+// What happens to turns that no longer fit the budget
+const HISTORY_STRATEGIES = ['truncate', 'summarize'];
+
+// Model round trips allowed in one tool-use loop
+const DEFAULT_MAX_TOOL_STEPS = 10;
 
 class AgentService {
   /**
    * Create an AgentService instance
    * @param {AbstractAIProvider} aiProvider - AI provider instance for completions
+   * @param {Object} [options] - Options
+   * @param {AgentSessionStore} [options.sessionStore] - Persists conversations (default: in memory only)
+   * @param {number} [options.maxHistoryTokens=8000] - Token budget for replayed history
+   * @param {string} [options.historyStrategy='truncate'] - 'truncate' drops the oldest turns over
+   *   the budget, 'summarize' folds them into a summary sent with the system prompt
+   * @param {ToolRegistry} [options.toolRegistry] - Tools agents may call (default: none)
+   * @param {string} [options.toolMode='dry-run'] - Mode for mutating tools: 'dry-run', 'confirm' or 'auto'
+   * @param {Function} [options.confirmTool] - async ({ name, input, preview }) => boolean, for 'confirm' mode
+   * @param {Function} [options.onToolCall] - Called with { id, name, input, result } after each tool call
+   * @param {number} [options.maxToolSteps=10] - Model round trips allowed in one tool-use loop
    */
-  constructor(aiProvider) {
+  constructor(aiProvider, options = {}) {
     if (!aiProvider) {
       throw new Error('AgentService requires an AI provider instance');
     }
 
+    const historyStrategy = options.historyStrategy || 'truncate';
+    if (!HISTORY_STRATEGIES.includes(historyStrategy)) {
+      throw new Error(
+        `Invalid history strategy: ${historyStrategy}. Must be one of: ${HISTORY_STRATEGIES.join(', ')}`
+      );
+    }
+
     this.aiProvider = aiProvider;
     this.agentsBaseDir = path.join(process.cwd(), '.claude/agents');
     this.conversationHistories = new Map();
+    this.sessionStore = options.sessionStore || null;
+    this.maxHistoryTokens = options.maxHistoryTokens || DEFAULT_MAX_HISTORY_TOKENS;
+    this.historyStrategy = historyStrategy;
+    this.toolRegistry = options.toolRegistry || null;
+    this.toolMode = options.toolMode || 'dry-run';
+    this.confirmTool = options.confirmTool || null;
+    this.onToolCall = options.onToolCall || null;
+    this.maxToolSteps = options.maxToolSteps || DEFAULT_MAX_TOOL_STEPS;
 
     // Cache for loaded agents (performance optimization)
     this._agentCache = new Map();
@@ -109,6 +148,7 @@ class AgentService {
    * - Documentation Queries (mcp:// links)
    * - Methodologies (**Methodologies:** section)
    * - Tools (**Tools:** line)
+   * - Project tools the agent may call (`project-tools:` in the frontmatter)
    *
    * @param {string} markdownContent - Raw markdown content
    * @returns {Object} Parsed agent metadata
@@ -120,11 +160,20 @@ class AgentService {
       documentationQueries: [],
       methodologies: [],
       tools: '',
+      projectTools: [],
       rawContent: markdownContent
     };
 
+    // YAML frontmatter (name, description, tools, project-tools, ...)
+    let body = markdownContent;
+    const frontmatterMatch = markdownContent.match(/^---\r?\n([\s\S]*?)\r?\n---(?:\r?\n|$)/);
+    if (frontmatterMatch) {
+      body = markdownContent.slice(frontmatterMatch[0].length);
+      metadata.projectTools = this._parseToolList(this._parseFrontmatter(frontmatterMatch[1])['project-tools']);
+    }
+
     // Split into lines for parsing
-    const lines = markdownContent.split('\n');
+    const lines = body.split('\n');
 
     let inDocQueriesSection = false;
     let inMethodologiesSection = false;
@@ -203,13 +252,19 @@ class AgentService {
    * Invoke an agent with a task and context
    *
    * Loads the agent, builds structured prompts with XML tags,
-   * and calls the AI provider's complete() method.
+   * and calls the AI provider's complete() method. When the conversation
+   * already has turns, they are replayed through chat() (or inlined in the
+   * prompt for providers without chat()), newest first within the token budget.
    *
    * @param {string} agentName - Name of the agent to invoke
    * @param {string} task - Task description for the agent
    * @param {Object} context - Additional context (will be JSON stringified)
    * @param {Object} options - Options
-   * @param {string} [options.conversationId] - ID for multi-turn conversations
+   * @param {string} [options.conversationId] - ID for multi-turn conversations (session ID
+   *   when a session store is configured)
+   * @param {number} [options.maxHistoryTokens] - Override the replayed history budget
+   * @param {string} [options.toolMode] - Override the mode for mutating tools
+   * @param {number} [options.maxToolSteps] - Override the tool-use loop limit
    * @param {number} [options.maxTokens] - Override max tokens
    * @param {number} [options.temperature] - Override temperature
    * @returns {Promise<string>} Agent response
@@ -226,35 +281,49 @@ class AgentService {
       // Build user prompt with XML-structured task and context
       const userPrompt = this._buildUserPrompt(task, context, agentName);
 
-      // Track conversation history if conversationId provided
-      let conversationHistory = null;
+      // Load conversation history if conversationId provided
+      let conversation = null;
       if (options.conversationId) {
-        if (!this.conversationHistories.has(options.conversationId)) {
-          this.conversationHistories.set(options.conversationId, []);
-        }
-        conversationHistory = this.conversationHistories.get(options.conversationId);
+        conversation = await this._loadConversation(options.conversationId, agentName);
       }
 
-      // Call AI provider
-      const response = await this.aiProvider.complete(userPrompt, {
+      const providerOptions = {
+        taskType: 'agent-chat',
         system: systemPrompt,
         conversationId: options.conversationId,
         maxTokens: options.maxTokens,
         temperature: options.temperature
-      });
+      };
+
+      // Call AI provider
+      const tools = this._getAgentTools(agentMetadata);
+      const history = conversation && conversation.messages.length > 0
+        ? await this._prepareHistory(conversation, options)
+        : null;
+
+      let response;
+      if (tools.length > 0) {
+        response = await this._runToolLoop(history, userPrompt, tools, providerOptions, options);
+      } else if (history) {
+        response = await this._completeWithHistory(history, userPrompt, providerOptions);
+      } else {
+        response = await this.aiProvider.complete(userPrompt, providerOptions);
+      }
 
       // Store in conversation history
-      if (conversationHistory) {
-        conversationHistory.push({
+      if (conversation) {
+        conversation.messages.push({
           role: 'user',
           content: userPrompt,
+          task,
           timestamp: Date.now()
         });
-        conversationHistory.push({
+        conversation.messages.push({
           role: 'assistant',
           content: response,
           timestamp: Date.now()
         });
+        await this._saveConversation(conversation);
       }
 
       return response;
@@ -306,6 +375,7 @@ class AgentService {
 
       // Stream from AI provider
       for await (const chunk of this.aiProvider.stream(userPrompt, {
+        taskType: 'agent-chat',
         system: systemPrompt,
         conversationId: options.conversationId,
         maxTokens: options.maxTokens,
@@ -405,6 +475,262 @@ class AgentService {
   // PRIVATE HELPER METHODS
   // ============================================================
 
+  /**
+   * Load a conversation from the session store or memory, or start one
+   * @private
+   * @param {string} conversationId - Conversation (session) ID
+   * @param {string} agentName - Agent being invoked
+   * @returns {Promise<Object>} Conversation: { id, agent, summary, summarizedCount, messages }
+   * @throws {Error} If the conversation belongs to another agent
+   */
+  async _loadConversation(conversationId, agentName) {
+    let conversation = this.conversationHistories.get(conversationId);
+
+    if (this.sessionStore && await this.sessionStore.exists(conversationId)) {
+      conversation = await this.sessionStore.get(conversationId);
+    }
+
+    if (!conversation) {
+      conversation = {
+        id: conversationId,
+        agent: agentName,
+        createdAt: new Date().toISOString(),
+        summary: null,
+        summarizedCount: 0,
+        messages: []
+      };
+    }
+
+    if (conversation.agent !== agentName) {
+      throw new Error(`Session ${conversationId} belongs to agent ${conversation.agent}`);
+    }
+
+    this.conversationHistories.set(conversationId, conversation);
+    return conversation;
+  }
+
+  /**
+   * Persist a conversation when a session store is configured
+   * @private
+   * @param {Object} conversation - Conversation
+   * @returns {Promise<void>}
+   */
+  async _saveConversation(conversation) {
+    if (this.sessionStore) {
+      const saved = await this.sessionStore.save(conversation);
+      this.conversationHistories.set(conversation.id, saved);
+    }
+  }
+
+  /**
+   * Select the turns to replay within the token budget
+   *
+   * Keeps the most recent user/assistant turns that fit. Older turns are
+   * dropped, or folded into the conversation summary with the 'summarize'
+   * strategy (the summary then covers them on later invocations too).
+   * @private
+   * @param {Object} conversation - Conversation (summary fields are updated)
+   * @param {Object} options - Invoke options
+   * @returns {Promise<Object>} { messages, summary }
+   */
+  async _prepareHistory(conversation, options = {}) {
+    const budget = options.maxHistoryTokens || this.maxHistoryTokens;
+    const pending = conversation.messages.slice(conversation.summarizedCount || 0);
+
+    let start = pending.length;
+    let tokens = 0;
+    while (start >= 2) {
+      const turnTokens = this._estimateTokens(pending[start - 2].content) +
+        this._estimateTokens(pending[start - 1].content);
+      if (tokens + turnTokens > budget) {
+        break;
+      }
+      tokens += turnTokens;
+      start -= 2;
+    }
+
+    const older = pending.slice(0, start);
+    if (older.length > 0 && this.historyStrategy === 'summarize') {
+      conversation.summary = await this._summarizeHistory(conversation.summary, older);
+      conversation.summarizedCount = (conversation.summarizedCount || 0) + older.length;
+    }
+
+    return {
+      messages: pending.slice(start).map(({ role, content }) => ({ role, content })),
+      summary: conversation.summary || null
+    };
+  }
+
+  /**
+   * Call the provider with replayed history
+   * @private
+   * @param {Object} history - Result of _prepareHistory
+   * @param {string} userPrompt - New user prompt
+   * @param {Object} providerOptions - Provider options (system, conversationId, ...)
+   * @returns {Promise<string>} Response
+   */
+  async _completeWithHistory(history, userPrompt, providerOptions) {
+    const options = { ...providerOptions, system: this._withSummary(providerOptions.system, history) };
+
+    if (typeof this.aiProvider.chat === 'function') {
+      return this.aiProvider.chat([...history.messages, { role: 'user', content: userPrompt }], options);
+    }
+
+    // Providers without chat(): inline the earlier turns in the prompt
+    const transcript = history.messages
+      .map(message => `<${message.role}>${message.content}</${message.role}>`)
+      .join('\n');
+    const prompt = transcript
+      ? `<conversation_history>\n${transcript}\n</conversation_history>\n${userPrompt}`
+      : userPrompt;
+
+    return this.aiProvider.complete(prompt, options);
+  }
+
+  /**
+   * Append the conversation summary to the system prompt
+   * @private
+   * @param {string} systemPrompt - System prompt
+   * @param {Object|null} history - Result of _prepareHistory
+   * @returns {string} System prompt
+   */
+  _withSummary(systemPrompt, history) {
+    if (!history || !history.summary) {
+      return systemPrompt;
+    }
+    return `${systemPrompt}\n\n<conversation_summary>\n${history.summary}\n</conversation_summary>`;
+  }
+
+  /**
+   * Tools the agent may call
+   *
+   * Empty without a tool registry, when the agent's frontmatter allows no
+   * tools, or when the provider does not support function calling.
+   * @private
+   * @param {Object} agentMetadata - Agent metadata
+   * @returns {Array<string>} Tool names
+   * @throws {Error} If the agent allows a tool that is not registered
+   */
+  _getAgentTools(agentMetadata) {
+    const allowList = agentMetadata.projectTools || [];
+
+    if (!this.toolRegistry || allowList.length === 0 ||
+        typeof this.aiProvider.supportsFunctionCalling !== 'function' ||
+        !this.aiProvider.supportsFunctionCalling()) {
+      return [];
+    }
+
+    this.toolRegistry.list(allowList);
+    return allowList;
+  }
+
+  /**
+   * Call the provider with tools until it answers without calling one
+   * @private
+   * @param {Object|null} history - Result of _prepareHistory
+   * @param {string} userPrompt - New user prompt
+   * @param {Array<string>} tools - Tools the agent may call
+   * @param {Object} providerOptions - Provider options (system, conversationId, ...)
+   * @param {Object} options - Invoke options
+   * @returns {Promise<string>} Final response
+   * @throws {Error} If the model keeps calling tools past the step limit
+   */
+  async _runToolLoop(history, userPrompt, tools, providerOptions, options) {
+    const chatOptions = { ...providerOptions, system: this._withSummary(providerOptions.system, history) };
+    const definitions = this.toolRegistry.definitions(tools);
+    const messages = [...(history ? history.messages : []), { role: 'user', content: userPrompt }];
+    const maxSteps = options.maxToolSteps || this.maxToolSteps;
+
+    for (let step = 0; step < maxSteps; step++) {
+      const reply = await this.aiProvider.chatWithTools(messages, definitions, chatOptions);
+
+      if (!reply.toolCalls || reply.toolCalls.length === 0) {
+        return reply.content;
+      }
+
+      messages.push({ role: 'assistant', content: reply.content, toolCalls: reply.toolCalls });
+
+      for (const call of reply.toolCalls) {
+        const result = await this.toolRegistry.execute(call.name, call.input, {
+          allowList: tools,
+          mode: options.toolMode || this.toolMode,
+          confirm: this.confirmTool
+        });
+
+        if (this.onToolCall) {
+          this.onToolCall({ ...call, result });
+        }
+
+        messages.push({ role: 'tool', toolCallId: call.id, content: result.content, isError: result.isError });
+      }
+    }
+
+    throw new Error(`Agent did not finish within ${maxSteps} tool-use steps`);
+  }
+
+  /**
+   * Parse YAML frontmatter, ignoring malformed YAML
+   * @private
+   * @param {string} text - Frontmatter without the --- lines
+   * @returns {Object} Frontmatter
+   */
+  _parseFrontmatter(text) {
+    try {
+      return yaml.parse(text) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Normalize a tool list: YAML list or comma-separated string
+   * @private
+   * @param {Array|string|undefined} value - Frontmatter value
+   * @returns {Array<string>} Tool names
+   */
+  _parseToolList(value) {
+    const names = Array.isArray(value) ? value : String(value || '').split(',');
+    return names.map(name => String(name).trim()).filter(Boolean);
+  }
+
+  /**
+   * Summarize turns that no longer fit the history budget
+   * @private
+   * @param {string|null} previousSummary - Summary of even older turns
+   * @param {Array<Object>} messages - Turns to summarize
+   * @returns {Promise<string>} Summary covering the previous summary and the turns
+   */
+  async _summarizeHistory(previousSummary, messages) {
+    const transcript = messages
+      .map(message => `<${message.role}>${message.content}</${message.role}>`)
+      .join('\n');
+
+    let prompt = '';
+    if (previousSummary) {
+      prompt += `<previous_summary>${previousSummary}</previous_summary>\n`;
+    }
+    prompt += `<conversation>\n${transcript}\n</conversation>\n` +
+      'Summarize this conversation so the summary can replace it. Keep decisions, facts, ' +
+      'file names and open questions. Reply with the summary only.';
+
+    const summary = await this.aiProvider.complete(prompt, {
+      taskType: 'summarize',
+      system: 'You summarize conversations between a user and an AI agent.'
+    });
+
+    return String(summary).trim();
+  }
+
+  /**
+   * Estimate the token count of a text (about 4 characters per token)
+   * @private
+   * @param {string} text - Text
+   * @returns {number} Estimated tokens
+   */
+  _estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+  }
+
   /**
    * Find agent file in subdirectories
    * @private
@@ -554,4 +880,8 @@ Use chain-of-thought reasoning when appropriate to explain your approach.
   }
 }
 
+AgentService.DEFAULT_MAX_HISTORY_TOKENS = DEFAULT_MAX_HISTORY_TOKENS;
+AgentService.HISTORY_STRATEGIES = HISTORY_STRATEGIES;
+AgentService.DEFAULT_MAX_TOOL_STEPS = DEFAULT_MAX_TOOL_STEPS;
+
 module.exports = AgentService;
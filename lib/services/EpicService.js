@@ -26,13 +26,16 @@
  *    - generateEpicContent: Build complete epic markdown
  *    - buildTaskSection: Format tasks as markdown list
  *
- * 5. GitHub Epic Sync Methods (6 methods):
- *    - syncEpicToGitHub: Push epic to GitHub with conflict detection
- *    - syncEpicFromGitHub: Pull GitHub epic to local
- *    - syncEpicBidirectional: Full bidirectional sync
- *    - createGitHubEpic: Create GitHub issue with "epic" label
- *    - updateGitHubEpic: Update GitHub epic
- *    - getEpicSyncStatus: Get sync status for epic
+ * 5. GitHub & Azure DevOps Epic Sync Methods (deprecated):
+ *    - syncEpicToGitHub / syncEpicFromGitHub / syncEpicBidirectional /
+ *      getEpicSyncStatus and their *Azure counterparts: Thin wrappers over
+ *      syncEpic() with the 'github' or 'azure' provider
+ *
+ * 6. Provider-Neutral Epic Sync Methods (2 methods):
+ *    - syncEpic: Push, pull or bidirectional sync with any IssueTrackerProvider
+ *    - getEpicProviderSyncStatus: Get sync status for any provider
+ *    - Bidirectional sync three-way merges against base snapshots
+ *      stored in .claude/sync-state at every successful sync
  *
  * Documentation Queries:
  * - mcp://context7/agile/epic-management - Epic management best practices
@@ -55,6 +58,9 @@ class EpicService {
    * @param {Object} [options.provider] - Optional AI provider instance for streaming
    * @param {string} [options.epicsDir] - Path to epics directory (default: .claude/epics)
    * @param {string} [options.defaultStatus] - Default epic status (default: backlog)
+   * @param {SyncStateStore} [options.syncStateStore] - Store for sync base snapshots (default: lazily created)
+   * @param {ConflictHistory} [options.conflictHistory] - Journal for conflict resolutions (default: lazily created)
+   * @param {StatusHistory} [options.statusHistory] - Log of task status transitions (default: lazily created)
    */
   constructor(options = {}) {
     // PRDService is optional now - only required for PRD parsing operations
@@ -66,6 +72,15 @@ class EpicService {
     // Store provider if provided (for streaming operations)
     this.provider = options.provider || undefined;
 
+    // Base snapshots for three-way merges (created on first sync)
+    this.syncStateStore = options.syncStateStore || null;
+
+    // Journal of resolutions that overwrote a local epic (enables undo)
+    this.conflictHistory = options.conflictHistory || null;
+
+    // Task status transitions for flow analytics (created on first status change)
+    this.statusHistory = options.statusHistory || null;
+
     // CLI operation options
     this.options = {
       epicsDir: options.epicsDir || '.claude/epics',
@@ -867,6 +882,75 @@ ${prdContent}`;
     }
   }
 
+  /**
+   * Update a task status with automatic timestamps
+   *
+   * Records the transition in the status history so flow analytics sees
+   * when the task entered each state.
+   *
+   * @param {string} epicName - Epic directory name
+   * @param {number|string} taskId - Task file number (e.g. 3 or '003')
+   * @param {string} newStatus - New status to set
+   * @returns {Promise<void>}
+   * @throws {Error} If the task is not found
+   */
+  async updateTaskStatus(epicName, taskId, newStatus) {
+    const fs = require('fs-extra');
+    const path = require('path');
+
+    const fileId = String(taskId).replace(/\.md$/, '');
+    const candidates = /^\d+$/.test(fileId) ? [fileId, fileId.padStart(3, '0')] : [fileId];
+
+    let taskPath = null;
+    for (const candidate of candidates) {
+      const candidatePath = path.join(this.getEpicPath(epicName), `${candidate}.md`);
+      if (await fs.pathExists(candidatePath)) {
+        taskPath = candidatePath;
+        break;
+      }
+    }
+
+    if (!taskPath) {
+      throw new Error(`Task not found: ${epicName}/${taskId}`);
+    }
+
+    let content = await fs.readFile(taskPath, 'utf8');
+
+    // Update status
+    content = content.replace(/^status:\s*.+$/m, `status: ${newStatus}`);
+
+    const now = new Date().toISOString();
+    const stamp = (field) => {
+      if (content.includes(`${field}:`)) {
+        return;
+      }
+      content = content.includes('created:')
+        ? content.replace(/^(created:.+)$/m, `$1\n${field}: ${now}`)
+        : content.replace(/^(status:.+)$/m, `$1\n${field}: ${now}`);
+    };
+
+    if (['in-progress', 'in_progress'].includes(newStatus.toLowerCase())) {
+      stamp('started');
+    }
+    if (['closed', 'completed', 'done', 'resolved'].includes(newStatus.toLowerCase())) {
+      stamp('completed');
+    }
+
+    await fs.writeFile(taskPath, content);
+
+    // Same key as StatusHistory.buildTimelines(): frontmatter id, else file name
+    const frontmatter = this.parseFrontmatter(content) || {};
+    const id = frontmatter.id || path.basename(taskPath, '.md');
+
+    // The file stays the source of truth, so a history write failure does
+    // not fail the status change
+    try {
+      await this._getStatusHistory().record({ type: 'task', id, epic: epicName, status: newStatus, at: now });
+    } catch (error) {
+      // Ignore - flow analytics falls back to frontmatter dates
+    }
+  }
+
   /**
    * Get full path to epic directory
    *
@@ -890,515 +974,570 @@ ${prdContent}`;
   }
 
   // ==========================================
-  // 7. GITHUB EPIC SYNC METHODS (6 METHODS)
+  // 7. GITHUB EPIC SYNC METHODS (DEPRECATED WRAPPERS)
   // ==========================================
 
   /**
-   * Sync local epic to GitHub (enhanced push with conflict detection)
+   * Push a local epic to GitHub
    *
+   * @deprecated Use syncEpic(epicName, provider) with the 'github' provider
    * @param {string} epicName - Local epic name
-   * @param {Object} [options={}] - Sync options
-   * @param {boolean} [options.detectConflicts=false] - Enable conflict detection
-   * @returns {Promise<Object>} Result: { success, epicName, githubNumber, action, conflict? }
-   * @throws {Error} If no provider configured or epic not found
+   * @param {Object} [options={}] - Sync options (see syncEpic())
+   * @returns {Promise<Object>} syncEpic() result plus githubNumber, direction 'to-github'
    */
   async syncEpicToGitHub(epicName, options = {}) {
-    if (!this.provider) {
-      throw new Error('No provider configured for GitHub sync');
-    }
-
-    const fs = require('fs-extra');
-    const epicFilePath = this.getEpicFilePath(epicName);
+    return this._syncEpicLegacy('github', epicName, { ...options, direction: 'push' });
+  }
 
-    // Check if epic exists
-    const exists = await fs.pathExists(epicFilePath);
-    if (!exists) {
-      throw new Error(`Epic not found: ${epicName}`);
-    }
+  /**
+   * Pull a GitHub epic into a local epic
+   *
+   * @deprecated Use syncEpic(null, provider, { direction: 'pull', remoteId })
+   * @param {number|string} githubNumber - GitHub issue number
+   * @param {Object} [options={}] - Sync options (see syncEpic())
+   * @returns {Promise<Object>} syncEpic() result plus githubNumber, direction 'from-github'
+   */
+  async syncEpicFromGitHub(githubNumber, options = {}) {
+    return this._syncEpicLegacy('github', null, { ...options, direction: 'pull', remoteId: githubNumber });
+  }
 
-    // Read epic content
-    const content = await fs.readFile(epicFilePath, 'utf8');
-    const metadata = this.parseFrontmatter(content);
+  /**
+   * Bidirectional epic sync with GitHub
+   *
+   * @deprecated Use syncEpic(epicName, provider, { direction: 'bidirectional' })
+   * @param {string} epicName - Local epic name
+   * @param {Object} [options={}] - Sync options (see syncEpic())
+   * @returns {Promise<Object>} syncEpic() result plus githubNumber, direction to-github|from-github|merged|none|conflict
+   */
+  async syncEpicBidirectional(epicName, options = {}) {
+    return this._syncEpicLegacy('github', epicName, { ...options, direction: 'bidirectional' });
+  }
 
-    // Extract overview and tasks from content
-    const overviewMatch = content.match(/## Overview\s+([\s\S]*?)(?=\n## |$)/);
-    const overview = overviewMatch ? overviewMatch[1].trim() : '';
+  /**
+   * Get GitHub sync status for an epic
+   *
+   * @deprecated Use getEpicProviderSyncStatus(epicName, provider)
+   * @param {string} epicName - Local epic name
+   * @returns {Promise<Object>} getEpicProviderSyncStatus() result plus githubNumber
+   */
+  async getEpicSyncStatus(epicName) {
+    const status = await this.getEpicProviderSyncStatus(epicName, this._legacyProvider('github'));
+    return { ...status, githubNumber: status.remoteId };
+  }
 
-    const tasksMatch = content.match(/## Tasks?\s+([\s\S]*?)(?=\n## |$)/);
-    const tasksContent = tasksMatch ? tasksMatch[1].trim() : '';
+  // ==========================================
+  // 8. AZURE DEVOPS EPIC SYNC METHODS (DEPRECATED WRAPPERS)
+  // ==========================================
 
-    // Parse tasks from markdown checkboxes
-    const tasks = this._parseTasksFromContent(tasksContent);
+  /**
+   * Push a local epic to Azure DevOps
+   *
+   * @deprecated Use syncEpic(epicName, provider) with the 'azure' provider
+   * @param {string} epicName - Local epic name
+   * @param {Object} [options={}] - Sync options (see syncEpic())
+   * @returns {Promise<Object>} syncEpic() result plus workItemId, direction 'to-azure'
+   */
+  async syncEpicToAzure(epicName, options = {}) {
+    return this._syncEpicLegacy('azure', epicName, { ...options, direction: 'push' });
+  }
 
-    const epicData = {
-      name: epicName,
-      title: metadata?.name || epicName,
-      overview,
-      tasks,
-      priority: metadata?.priority || 'P2',
-      status: metadata?.status || 'planning',
-      updated: metadata?.updated
-    };
+  /**
+   * Pull an Azure DevOps epic work item into a local epic
+   *
+   * @deprecated Use syncEpic(null, provider, { direction: 'pull', remoteId })
+   * @param {number|string} workItemId - Azure work item ID
+   * @param {Object} [options={}] - Sync options (see syncEpic())
+   * @returns {Promise<Object>} syncEpic() result plus workItemId, direction 'from-azure'
+   */
+  async syncEpicFromAzure(workItemId, options = {}) {
+    return this._syncEpicLegacy('azure', null, { ...options, direction: 'pull', remoteId: workItemId });
+  }
 
-    const syncMap = await this._loadEpicSyncMap();
-    const githubNumber = syncMap['epic-to-github'][epicName];
+  /**
+   * Bidirectional epic sync with Azure DevOps
+   *
+   * @deprecated Use syncEpic(epicName, provider, { direction: 'bidirectional' })
+   * @param {string} epicName - Local epic name
+   * @param {Object} [options={}] - Sync options (see syncEpic())
+   * @returns {Promise<Object>} syncEpic() result plus workItemId, direction to-azure|from-azure|merged|none|conflict
+   */
+  async syncEpicBidirectionalAzure(epicName, options = {}) {
+    return this._syncEpicLegacy('azure', epicName, { ...options, direction: 'bidirectional' });
+  }
 
-    let result;
-    let action;
+  /**
+   * Get Azure DevOps sync status for an epic
+   *
+   * @deprecated Use getEpicProviderSyncStatus(epicName, provider)
+   * @param {string} epicName - Local epic name
+   * @returns {Promise<Object>} getEpicProviderSyncStatus() result plus workItemId
+   */
+  async getEpicAzureSyncStatus(epicName) {
+    const status = await this.getEpicProviderSyncStatus(epicName, this._legacyProvider('azure'));
+    return { ...status, workItemId: status.remoteId };
+  }
 
-    if (githubNumber) {
-      // Check for conflicts if enabled
-      if (options.detectConflicts) {
-        const githubIssue = await this.provider.getIssue(githubNumber);
-        const conflict = this._detectEpicConflict(epicData, githubIssue);
+  /**
+   * Tracker provider for a deprecated GitHub/Azure method: this.provider
+   * when it is that tracker (a bare API client is wrapped), otherwise a
+   * new one from the registry
+   * @private
+   */
+  _legacyProvider(name) {
+    const IssueTrackerProvider = require('../providers/IssueTrackerProvider');
 
-        if (conflict.hasConflict && conflict.remoteNewer) {
-          return {
-            success: false,
-            epicName,
-            githubNumber: String(githubNumber),
-            conflict
-          };
-        }
+    if (IssueTrackerProvider.implementsContract(this.provider)) {
+      if (this.provider.getName() === name) {
+        return this.provider;
       }
-
-      // Update existing GitHub epic
-      result = await this.updateGitHubEpic(githubNumber, epicData);
-      action = 'updated';
-    } else {
-      // Create new GitHub epic
-      result = await this.createGitHubEpic(epicData);
-      action = 'created';
+    } else if (this.provider && typeof this.provider[name === 'github' ? 'getIssue' : 'getWorkItem'] === 'function') {
+      // Bare API client from before the tracker contract
+      const Provider = require(name === 'github' ? '../providers/GitHubProvider' : '../providers/AzureDevOpsProvider');
+      return Provider.fromClient(this.provider);
     }
 
-    // Update sync-map
-    await this._updateEpicSyncMap(epicName, String(result.number));
-
-    return {
-      success: true,
-      epicName,
-      githubNumber: String(result.number),
-      action
-    };
+    const { defaultRegistry } = require('../providers/ProviderRegistry');
+    return defaultRegistry.create(name);
   }
 
   /**
-   * Sync GitHub epic to local (enhanced pull with merge)
+   * Run syncEpic() for a deprecated method, keeping its result fields
    *
-   * @param {number|string} githubNumber - GitHub issue number
-   * @param {Object} [options={}] - Sync options
-   * @param {boolean} [options.detectConflicts=false] - Enable conflict detection
-   * @returns {Promise<Object>} Result: { success, epicName, githubNumber, action, conflict? }
-   * @throws {Error} If issue is not an epic
+   * Adds the remote ID field (githubNumber/workItemId) and the
+   * to-<tracker>/from-<tracker> directions.
+   * @throws {Error} If no provider is configured
+   * @private
    */
-  async syncEpicFromGitHub(githubNumber, options = {}) {
-    const fs = require('fs-extra');
-    const path = require('path');
-
-    const githubIssue = await this.provider.getIssue(githubNumber);
-
-    // Verify it's an epic
-    const labels = githubIssue.labels || [];
-    const isEpic = labels.some(label => {
-      const name = typeof label === 'string' ? label : label.name;
-      return name === 'epic';
-    });
-
-    if (!isEpic) {
-      throw new Error(`GitHub issue #${githubNumber} is not an epic`);
+  async _syncEpicLegacy(name, epicName, options) {
+    if (!this.provider) {
+      throw new Error(`No provider configured for ${name === 'github' ? 'GitHub' : 'Azure'} sync`);
     }
 
-    const syncMap = await this._loadEpicSyncMap();
-    let epicName = syncMap['github-to-epic'][String(githubNumber)];
-
-    let action;
-
-    if (epicName) {
-      // Check for conflicts if enabled
-      if (options.detectConflicts) {
-        const epicFilePath = this.getEpicFilePath(epicName);
-        const localContent = await fs.readFile(epicFilePath, 'utf8');
-        const localMetadata = this.parseFrontmatter(localContent);
-
-        const conflict = this._detectEpicConflict(
-          { updated: localMetadata?.updated },
-          githubIssue
-        );
-
-        if (conflict.hasConflict && conflict.localNewer) {
-          return {
-            success: false,
-            epicName,
-            githubNumber: String(githubNumber),
-            conflict
-          };
-        }
-      }
+    const result = await this.syncEpic(epicName, this._legacyProvider(name), options);
+    const idField = name === 'github' ? 'githubNumber' : 'workItemId';
+    const legacy = { ...result, [idField]: result.remoteId };
 
-      action = 'updated';
-    } else {
-      // Generate epic name from title
-      epicName = this._generateEpicNameFromTitle(githubIssue.title);
-      action = 'created';
+    if (result.direction === 'push' || result.direction === 'pull') {
+      legacy.direction = `${result.direction === 'push' ? 'to' : 'from'}-${name}`;
     }
 
-    // Parse GitHub epic
-    const epicData = this._parseGitHubEpic(githubIssue);
-
-    // Build epic content
-    const epicContent = this._buildEpicContent(epicData, githubNumber);
-
-    // Ensure epic directory exists
-    const epicPath = this.getEpicPath(epicName);
-    await fs.ensureDir(epicPath);
-
-    // Write epic.md
-    const epicFilePath = this.getEpicFilePath(epicName);
-    await fs.writeFile(epicFilePath, epicContent);
-
-    // Update sync-map
-    await this._updateEpicSyncMap(epicName, String(githubNumber));
-
-    return {
-      success: true,
-      epicName,
-      githubNumber: String(githubNumber),
-      action
-    };
+    return legacy;
   }
 
+  // ==========================================
+  // 9. PROVIDER-NEUTRAL EPIC SYNC METHODS
+  // ==========================================
+
   /**
-   * Bidirectional sync - sync in the direction of newer changes
+   * Sync a local epic with any IssueTrackerProvider
+   *
+   * Epics are exchanged as tracker items of type "epic" carrying the
+   * "epic" label; mappings are stored per provider name.
    *
    * @param {string} epicName - Local epic name
+   * @param {IssueTrackerProvider} [provider] - Tracker provider (defaults to this.provider)
    * @param {Object} [options={}] - Sync options
-   * @param {string} [options.conflictStrategy='detect'] - How to handle conflicts
-   * @returns {Promise<Object>} Result: { success, direction, conflict? }
+   * @param {string} [options.direction='push'] - push | pull | bidirectional
+   * @param {number|string} [options.remoteId] - Remote item to pull when the epic is not linked yet
+   * @param {boolean} [options.detectConflicts=false] - Refuse to overwrite newer data (push/pull)
+   * @param {string} [options.conflictStrategy='newest'] - Bidirectional conflicts: detect|manual|local|remote|newest
+   * @returns {Promise<Object>} Result: { success, provider, epicName, remoteId, action, direction, conflict? }
+   * @throws {Error} If provider does not implement the contract or direction is invalid
    */
-  async syncEpicBidirectional(epicName, options = {}) {
-    const syncMap = await this._loadEpicSyncMap();
-    const githubNumber = syncMap['epic-to-github'][epicName];
+  async syncEpic(epicName, provider = this.provider, options = {}) {
+    const IssueTrackerProvider = require('../providers/IssueTrackerProvider');
 
-    if (!githubNumber) {
-      // No GitHub mapping, push to GitHub
-      const result = await this.syncEpicToGitHub(epicName);
-      return { ...result, direction: 'to-github' };
+    if (!IssueTrackerProvider.implementsContract(provider)) {
+      throw new Error('Provider does not implement the IssueTrackerProvider contract');
     }
 
-    // Get both versions
-    const fs = require('fs-extra');
-    const epicFilePath = this.getEpicFilePath(epicName);
-    const localContent = await fs.readFile(epicFilePath, 'utf8');
-    const localMetadata = this.parseFrontmatter(localContent);
+    const direction = options.direction || 'push';
 
-    const githubIssue = await this.provider.getIssue(githubNumber);
+    if (direction === 'push') {
+      return await this._pushEpicToProvider(epicName, provider, options);
+    }
 
-    const conflict = this._detectEpicConflict(
-      { updated: localMetadata?.updated },
-      githubIssue
-    );
+    if (direction === 'pull') {
+      const name = provider.getName();
+      const syncMap = await this._loadProviderEpicSyncMap(name);
+      const remoteId = options.remoteId || (epicName ? syncMap[`epic-to-${name}`][epicName] : null);
 
-    if (conflict.hasConflict) {
-      if (options.conflictStrategy === 'detect') {
-        return {
-          success: false,
-          direction: 'conflict',
-          conflict
-        };
+      if (!remoteId) {
+        throw new Error(`Epic ${epicName} is not linked to ${name}`);
       }
 
-      // Auto-resolve based on timestamps
-      if (conflict.localNewer) {
-        const result = await this.syncEpicToGitHub(epicName);
-        return { ...result, direction: 'to-github' };
-      } else if (conflict.remoteNewer) {
-        const result = await this.syncEpicFromGitHub(githubNumber);
-        return { ...result, direction: 'from-github' };
-      }
+      return await this._pullEpicFromProvider(remoteId, provider, epicName, options);
     }
 
-    // No conflict - sync local to GitHub
-    const result = await this.syncEpicToGitHub(epicName);
-    return { ...result, direction: 'to-github' };
-  }
+    if (direction === 'bidirectional') {
+      const name = provider.getName();
+      const syncMap = await this._loadProviderEpicSyncMap(name);
+      const remoteId = syncMap[`epic-to-${name}`][epicName];
 
-  /**
-   * Create new GitHub epic from local data
-   *
-   * @param {Object} epicData - Epic data
-   * @returns {Promise<Object>} Created GitHub issue
-   */
-  async createGitHubEpic(epicData) {
-    const labels = ['epic'];
+      if (!remoteId) {
+        return await this._pushEpicToProvider(epicName, provider);
+      }
 
-    if (epicData.priority) {
-      labels.push(`priority:${epicData.priority}`);
-    }
+      const localContent = await this._readEpicContent(epicName);
+      const localEpic = this._epicDataFromContent(epicName, localContent);
+      const remoteItem = await provider.getItem(remoteId);
+      const conflict = this._detectProviderEpicConflict(localEpic, remoteItem);
 
-    const body = this._formatEpicForGitHub(epicData);
+      if (conflict.hasConflict) {
+        const strategy = options.conflictStrategy || 'newest';
 
-    const githubData = {
-      title: `Epic: ${epicData.title}`,
-      body,
-      labels,
-      state: 'open'
-    };
+        // Explicit local/remote strategies overwrite wholesale; others merge against the base
+        const plan = ['local', 'remote'].includes(strategy)
+          ? null
+          : await this._planEpicSyncMerge(
+            name,
+            epicName,
+            this._epicSyncView(localEpic),
+            this._trackerEpicSyncView(remoteItem),
+            this._lossyEpicStatusMatcher(provider)
+          );
+
+        if (plan && plan.action === 'none') {
+          return {
+            success: true,
+            provider: name,
+            epicName,
+            remoteId: String(remoteId),
+            action: 'unchanged',
+            direction: 'none'
+          };
+        }
 
-    const result = await this.provider.createIssue(githubData);
+        if (plan && plan.action === 'push') {
+          return await this._pushEpicToProvider(epicName, provider);
+        }
 
-    // Update sync-map
-    if (epicData.name) {
-      await this._updateEpicSyncMap(epicData.name, String(result.number));
-    }
+        if (plan && plan.action === 'pull') {
+          return await this._pullEpicFromProvider(remoteId, provider, epicName);
+        }
 
-    return result;
-  }
+        if (plan && plan.action === 'merge') {
+          await this._writeMergedEpic(epicName, localContent, plan.merge);
+          await this._logEpicResolution(epicName, strategy, localContent, localEpic, remoteItem, name);
+          const result = await this._pushEpicToProvider(epicName, provider);
+          return { ...result, action: 'merged', direction: 'merged' };
+        }
 
-  /**
-   * Update existing GitHub epic with local data
-   *
-   * @param {number|string} githubNumber - GitHub issue number
-   * @param {Object} epicData - Epic data
-   * @returns {Promise<Object>} Updated GitHub issue
-   */
-  async updateGitHubEpic(githubNumber, epicData) {
-    const updateData = {};
+        if (plan) {
+          conflict.mergeConflicts = plan.merge.conflicts;
+        }
 
-    if (epicData.title) {
-      updateData.title = `Epic: ${epicData.title}`;
-    }
+        if (strategy === 'detect' || strategy === 'manual') {
+          return {
+            success: false,
+            provider: name,
+            epicName,
+            remoteId: String(remoteId),
+            direction: 'conflict',
+            requiresManualResolution: strategy === 'manual',
+            conflict
+          };
+        }
 
-    if (epicData.overview || epicData.tasks) {
-      updateData.body = this._formatEpicForGitHub(epicData);
-    }
+        if (strategy === 'remote' || (strategy === 'newest' && conflict.remoteNewer)) {
+          const result = await this._pullEpicFromProvider(remoteId, provider, epicName);
+          await this._logEpicResolution(epicName, strategy, localContent, localEpic, remoteItem, name);
+          return result;
+        }
+      }
 
-    if (epicData.priority) {
-      updateData.labels = ['epic', `priority:${epicData.priority}`];
+      return await this._pushEpicToProvider(epicName, provider);
     }
 
-    return await this.provider.updateIssue(githubNumber, updateData);
+    throw new Error(`Invalid sync direction: ${direction}`);
   }
 
   /**
-   * Get sync status for an epic
+   * Get sync status of an epic for any IssueTrackerProvider
    *
    * @param {string} epicName - Local epic name
-   * @returns {Promise<Object>} Status: { synced, epicName, githubNumber, lastSync, status }
+   * @param {IssueTrackerProvider} [provider] - Tracker provider (defaults to this.provider)
+   * @returns {Promise<Object>} Status: { synced, provider, epicName, remoteId, lastSync, status }
    */
-  async getEpicSyncStatus(epicName) {
-    const syncMap = await this._loadEpicSyncMap();
-    const githubNumber = syncMap['epic-to-github'][epicName];
+  async getEpicProviderSyncStatus(epicName, provider = this.provider) {
+    const name = provider.getName();
+    const syncMap = await this._loadProviderEpicSyncMap(name);
+    const remoteId = syncMap[`epic-to-${name}`][epicName];
 
-    if (!githubNumber) {
+    if (!remoteId) {
       return {
         synced: false,
+        provider: name,
         epicName,
-        githubNumber: null,
+        remoteId: null,
         status: 'not-synced'
       };
     }
 
     const metadata = syncMap.metadata[epicName] || {};
+    const base = {
+      provider: name,
+      epicName,
+      remoteId: String(remoteId),
+      lastSync: metadata.lastSync
+    };
 
-    // Check if out of sync
     try {
-      const fs = require('fs-extra');
-      const epicFilePath = this.getEpicFilePath(epicName);
-      const localContent = await fs.readFile(epicFilePath, 'utf8');
-      const localMetadata = this.parseFrontmatter(localContent);
+      const localEpic = await this._readEpicData(epicName);
+      const remoteItem = await provider.getItem(remoteId);
 
-      const githubIssue = await this.provider.getIssue(githubNumber);
-
-      const localTime = new Date(localMetadata?.updated || localMetadata?.created || 0);
-      const githubTime = new Date(githubIssue.updated_at || githubIssue.created_at || 0);
+      const localTime = new Date(localEpic.updated || localEpic.created || 0);
+      const remoteTime = new Date(remoteItem.updated || remoteItem.created || 0);
       const lastSyncTime = new Date(metadata.lastSync || 0);
 
-      const isOutOfSync = localTime > lastSyncTime || githubTime > lastSyncTime;
+      const isOutOfSync = localTime > lastSyncTime || remoteTime > lastSyncTime;
 
       return {
         synced: !isOutOfSync,
-        epicName,
-        githubNumber: String(githubNumber),
-        lastSync: metadata.lastSync,
+        ...base,
         status: isOutOfSync ? 'out-of-sync' : 'synced'
       };
     } catch (error) {
       // If error checking, assume synced
-      return {
-        synced: true,
-        epicName,
-        githubNumber: String(githubNumber),
-        lastSync: metadata.lastSync,
-        status: 'synced'
-      };
+      return { synced: true, ...base, status: 'synced' };
     }
   }
 
   // ==========================================
-  // PRIVATE HELPER METHODS FOR EPIC SYNC
+  // PRIVATE HELPER METHODS FOR PROVIDER-NEUTRAL EPIC SYNC
   // ==========================================
 
   /**
-   * Load epic-sync-map from file
+   * Read local epic.md into epic data
    * @private
    */
-  async _loadEpicSyncMap() {
-    const fs = require('fs-extra');
-    const path = require('path');
-    const syncMapPath = path.join(process.cwd(), '.claude/epic-sync-map.json');
-
-    if (await fs.pathExists(syncMapPath)) {
-      return await fs.readJSON(syncMapPath);
-    }
+  async _readEpicData(epicName) {
+    const content = await this._readEpicContent(epicName);
 
-    return {
-      'epic-to-github': {},
-      'github-to-epic': {},
-      'metadata': {}
-    };
+    return this._epicDataFromContent(epicName, content);
   }
 
   /**
-   * Save epic-sync-map to file
+   * Read raw local epic.md content
    * @private
    */
-  async _saveEpicSyncMap(syncMap) {
+  async _readEpicContent(epicName) {
     const fs = require('fs-extra');
-    const path = require('path');
-    const syncMapPath = path.join(process.cwd(), '.claude/epic-sync-map.json');
-    await fs.writeJSON(syncMapPath, syncMap, { spaces: 2 });
+    const epicFilePath = this.getEpicFilePath(epicName);
+
+    if (!(await fs.pathExists(epicFilePath))) {
+      throw new Error(`Epic not found: ${epicName}`);
+    }
+
+    return await fs.readFile(epicFilePath, 'utf8');
   }
 
   /**
-   * Update epic-sync-map with new mapping
+   * Parse epic.md content into epic data
    * @private
    */
-  async _updateEpicSyncMap(epicName, githubNumber) {
-    const syncMap = await this._loadEpicSyncMap();
+  _epicDataFromContent(epicName, content) {
+    const metadata = this.parseFrontmatter(content);
 
-    syncMap['epic-to-github'][epicName] = String(githubNumber);
-    syncMap['github-to-epic'][String(githubNumber)] = epicName;
-    syncMap['metadata'][epicName] = {
-      lastSync: new Date().toISOString(),
-      githubNumber: String(githubNumber)
-    };
+    const overviewMatch = content.match(/## Overview\s+([\s\S]*?)(?=\n## |$)/);
+    const tasksMatch = content.match(/## Tasks?\s+([\s\S]*?)(?=\n## |$)/);
 
-    await this._saveEpicSyncMap(syncMap);
+    return {
+      name: epicName,
+      title: metadata?.name || epicName,
+      overview: overviewMatch ? overviewMatch[1].trim() : '',
+      tasks: this._parseTasksFromContent(tasksMatch ? tasksMatch[1].trim() : ''),
+      priority: metadata?.priority || 'P2',
+      status: metadata?.status || 'planning',
+      created: metadata?.created,
+      updated: metadata?.updated
+    };
   }
 
   /**
-   * Format epic data as GitHub issue body
+   * Push local epic to provider (create or update)
    * @private
    */
-  _formatEpicForGitHub(epicData) {
-    let body = '';
-
-    if (epicData.overview) {
-      body += `## Overview\n${epicData.overview}\n\n`;
-    }
+  async _pushEpicToProvider(epicName, provider, options = {}) {
+    const name = provider.getName();
+    const epicData = await this._readEpicData(epicName);
+    const syncMap = await this._loadProviderEpicSyncMap(name);
+    const remoteId = syncMap[`epic-to-${name}`][epicName];
 
-    body += '## Task Breakdown\n';
+    const item = {
+      title: epicData.title,
+      body: this._formatEpicForGitHub(epicData),
+      status: this._mapEpicStatusToTracker(epicData.status),
+      labels: ['epic', `priority:${epicData.priority}`],
+      type: 'epic'
+    };
 
-    if (epicData.tasks && epicData.tasks.length > 0) {
-      epicData.tasks.forEach(task => {
-        const checkbox = task.status === 'closed' ? '[x]' : '[ ]';
-        body += `- ${checkbox} ${task.title}\n`;
-      });
+    let result;
+    let action;
+
+    if (remoteId) {
+      if (options.detectConflicts) {
+        const remoteItem = await provider.getItem(remoteId);
+        const conflict = this._detectProviderEpicConflict(epicData, remoteItem);
+
+        if (conflict.hasConflict && conflict.remoteNewer) {
+          return {
+            success: false,
+            provider: name,
+            epicName,
+            remoteId: String(remoteId),
+            direction: 'push',
+            conflict
+          };
+        }
+      }
+
+      result = await provider.updateItem(remoteId, item);
+      action = 'updated';
     } else {
-      body += 'No tasks defined yet.\n';
+      result = await provider.createItem(item);
+      action = 'created';
     }
 
-    return body;
+    await this._updateProviderEpicSyncMap(name, epicName, String(result.id));
+    await this._recordEpicSyncBase(name, epicName, result.id,
+      this._epicSyncView(epicData), this._trackerEpicSyncView(result));
+
+    return {
+      success: true,
+      provider: name,
+      epicName,
+      remoteId: String(result.id),
+      action,
+      direction: 'push'
+    };
   }
 
   /**
-   * Parse GitHub issue to epic format
+   * Pull remote epic item into local epic.md
    * @private
    */
-  _parseGitHubEpic(githubIssue) {
-    // Extract epic name from title
-    const titleMatch = githubIssue.title.match(/Epic:\s*(.+)/i);
-    const title = titleMatch ? titleMatch[1].trim() : githubIssue.title;
-    const name = this._generateEpicNameFromTitle(title);
+  async _pullEpicFromProvider(remoteId, provider, targetName, options = {}) {
+    const fs = require('fs-extra');
 
-    // Extract overview
-    const overviewMatch = githubIssue.body?.match(/## Overview\s+([\s\S]*?)(?=\n## |$)/);
-    const overview = overviewMatch ? overviewMatch[1].trim() : '';
+    const name = provider.getName();
+    const remoteItem = await provider.getItem(remoteId);
+
+    if (remoteItem.type !== 'epic' && !(remoteItem.labels || []).includes('epic')) {
+      throw new Error(`${name} item #${remoteId} is not an epic`);
+    }
+
+    const syncMap = await this._loadProviderEpicSyncMap(name);
+    const mappedName = syncMap[`${name}-to-epic`][String(remoteId)];
+    const title = remoteItem.title.replace(/^Epic:\s*/i, '').trim();
+    const epicName = mappedName || targetName || this._generateEpicNameFromTitle(title);
+
+    const epicFilePath = this.getEpicFilePath(epicName);
+    const exists = await fs.pathExists(epicFilePath);
+    const localEpic = exists ? await this._readEpicData(epicName) : null;
+
+    if (exists && options.detectConflicts) {
+      const conflict = this._detectProviderEpicConflict(localEpic, remoteItem);
 
-    // Extract priority from labels
-    const labels = githubIssue.labels || [];
-    let priority = 'P2';
-    labels.forEach(label => {
-      const labelName = typeof label === 'string' ? label : label.name;
-      const priorityMatch = labelName.match(/priority:(P\d)/i);
-      if (priorityMatch) {
-        priority = priorityMatch[1];
+      if (conflict.hasConflict && conflict.localNewer) {
+        return {
+          success: false,
+          provider: name,
+          epicName,
+          remoteId: String(remoteId),
+          direction: 'pull',
+          conflict
+        };
       }
-    });
+    }
 
-    // Extract tasks from checkboxes
-    const tasksMatch = githubIssue.body?.match(/## Task Breakdown\s+([\s\S]*?)(?=\n## |$)/);
-    const tasksContent = tasksMatch ? tasksMatch[1].trim() : '';
-    const tasks = this._parseTasksFromContent(tasksContent);
+    const { overview, tasks } = this._parseRemoteEpicBody(remoteItem.body);
+    const priorityLabel = (remoteItem.labels || []).find(label => /^priority:P\d$/i.test(label));
 
-    return {
-      name,
+    const epicData = {
+      name: epicName,
       title,
       overview,
-      priority,
+      priority: priorityLabel ? priorityLabel.split(':')[1].toUpperCase() : 'P2',
       tasks,
-      created: githubIssue.created_at,
-      updated: githubIssue.updated_at
+      created: remoteItem.created,
+      updated: remoteItem.updated
+    };
+
+    // Keep a local status the tracker cannot represent (in-progress shown as open)
+    if (localEpic && this._isLossyEpicStatus(provider, localEpic.status, this._mapTrackerStatusToEpic(remoteItem.status))) {
+      epicData.status = localEpic.status;
+    }
+
+    const epicContent = this._buildProviderEpicContent(epicData, remoteItem, name);
+    await fs.ensureDir(this.getEpicPath(epicName));
+    await fs.writeFile(epicFilePath, epicContent);
+
+    await this._updateProviderEpicSyncMap(name, epicName, String(remoteId));
+    await this._recordEpicSyncBase(name, epicName, remoteId,
+      this._epicSyncView(this._epicDataFromContent(epicName, epicContent)),
+      this._trackerEpicSyncView(remoteItem));
+
+    return {
+      success: true,
+      provider: name,
+      epicName,
+      remoteId: String(remoteId),
+      action: exists ? 'updated' : 'created',
+      direction: 'pull'
     };
   }
 
   /**
-   * Parse tasks from markdown checkbox content
+   * Split a remote epic body into overview and tasks
+   *
+   * Bodies without an Overview heading (Azure descriptions written before
+   * it was added) keep the overview as the text before the first heading.
    * @private
    */
-  _parseTasksFromContent(content) {
-    const tasks = [];
-    const lines = content.split('\n');
-
-    for (const line of lines) {
-      const checkboxMatch = line.match(/^-\s+\[([ x])\]\s+(.+)$/i);
-      if (checkboxMatch) {
-        const status = checkboxMatch[1].toLowerCase() === 'x' ? 'closed' : 'open';
-        const title = checkboxMatch[2].trim();
-        tasks.push({ title, status });
-      }
-    }
+  _parseRemoteEpicBody(body) {
+    const text = body || '';
+    const overviewMatch = text.match(/## Overview\s+([\s\S]*?)(?=\n## |$)/) ||
+      text.match(/^(?!## )([\s\S]*?)(?=\n?## |$)/);
+    const tasksMatch = text.match(/## (?:Task Breakdown|Tasks)\s+([\s\S]*?)(?=\n## |$)/);
 
-    return tasks;
+    return {
+      overview: overviewMatch ? overviewMatch[1].trim() : '',
+      tasks: this._parseTasksFromContent(tasksMatch ? tasksMatch[1].trim() : '')
+    };
   }
 
   /**
-   * Generate epic name from title
+   * Detect conflict between local epic and a normalized tracker item
    * @private
    */
-  _generateEpicNameFromTitle(title) {
-    return title
-      .toLowerCase()
-      .replace(/[^a-z0-9\s-]/g, '')
-      .replace(/\s+/g, '-')
-      .replace(/-+/g, '-')
-      .replace(/^-|-$/g, '');
+  _detectProviderEpicConflict(localEpic, remoteItem) {
+    const localTime = new Date(localEpic.updated || localEpic.created || 0);
+    const remoteTime = new Date(remoteItem.updated || remoteItem.created || 0);
+
+    return {
+      hasConflict: localTime.getTime() !== remoteTime.getTime(),
+      localNewer: localTime > remoteTime,
+      remoteNewer: remoteTime > localTime,
+      conflictFields: []
+    };
   }
 
   /**
-   * Build epic content from parsed data
+   * Build epic.md content from a pulled tracker item
    * @private
    */
-  _buildEpicContent(epicData, githubNumber) {
-    const frontmatter = `---
+  _buildProviderEpicContent(epicData, remoteItem, providerName) {
+    return `---
 name: ${epicData.name}
-status: planning
+status: ${epicData.status || this._mapTrackerStatusToEpic(remoteItem.status)}
 priority: ${epicData.priority}
 created: ${epicData.created}
 updated: ${epicData.updated}
 progress: 0%
-github: https://github.com/owner/repo/issues/${githubNumber}
----
+provider: ${providerName}
+remote_id: ${remoteItem.id}
+${remoteItem.url ? `url: ${remoteItem.url}\n` : ''}---
 
 # Epic: ${epicData.title}
 
@@ -1411,561 +1550,409 @@ ${epicData.tasks.map(task => {
   return `- ${checkbox} ${task.title}`;
 }).join('\n')}
 `;
-
-    return frontmatter;
   }
 
   /**
-   * Detect conflict between local epic and GitHub issue
+   * Get epic sync-map path for a provider
+   *
+   * GitHub keeps the legacy `.claude/epic-sync-map.json` name; every other
+   * provider uses `.claude/epic-<name>-sync-map.json`.
    * @private
    */
-  _detectEpicConflict(localEpic, githubIssue) {
-    const localTime = new Date(localEpic.updated || localEpic.created || 0);
-    const githubTime = new Date(githubIssue.updated_at || githubIssue.created_at || 0);
-
-    const hasConflict = localTime.getTime() !== githubTime.getTime();
-    const localNewer = localTime > githubTime;
-    const remoteNewer = githubTime > localTime;
-
-    return {
-      hasConflict,
-      localNewer,
-      remoteNewer,
-      conflictFields: []
-    };
+  _getProviderEpicSyncMapPath(providerName) {
+    const path = require('path');
+    const fileName = providerName === 'github' ? 'epic-sync-map.json' : `epic-${providerName}-sync-map.json`;
+    return path.join(process.cwd(), '.claude', fileName);
   }
 
-  // ==========================================
-  // 8. AZURE DEVOPS EPIC SYNC METHODS (6 METHODS)
-  // ==========================================
-
   /**
-   * Sync local epic to Azure DevOps (enhanced push with conflict detection)
-   *
-   * @param {string} epicName - Local epic name
-   * @param {Object} [options={}] - Sync options
-   * @param {boolean} [options.detectConflicts=false] - Enable conflict detection
-   * @returns {Promise<Object>} Result: { success, epicName, workItemId, action, conflict? }
-   * @throws {Error} If no provider configured or epic not found
+   * Load epic sync-map for a provider
+   * @private
    */
-  async syncEpicToAzure(epicName, options = {}) {
-    if (!this.provider) {
-      throw new Error('No provider configured for Azure sync');
-    }
-
+  async _loadProviderEpicSyncMap(providerName) {
     const fs = require('fs-extra');
-    const epicFilePath = this.getEpicFilePath(epicName);
+    const syncMapPath = this._getProviderEpicSyncMapPath(providerName);
 
-    // Check if epic exists
-    const exists = await fs.pathExists(epicFilePath);
-    if (!exists) {
-      throw new Error(`Epic not found: ${epicName}`);
-    }
-
-    // Read epic content
-    const content = await fs.readFile(epicFilePath, 'utf8');
-    const metadata = this.parseFrontmatter(content);
-
-    // Extract overview and tasks from content
-    const overviewMatch = content.match(/## Overview\s+([\s\S]*?)(?=\n## |$)/);
-    const overview = overviewMatch ? overviewMatch[1].trim() : '';
-
-    const tasksMatch = content.match(/## Tasks?\s+([\s\S]*?)(?=\n## |$)/);
-    const tasksContent = tasksMatch ? tasksMatch[1].trim() : '';
-
-    // Parse tasks from markdown checkboxes
-    const tasks = this._parseTasksFromContent(tasksContent);
-
-    const epicData = {
-      name: epicName,
-      title: metadata?.name || epicName,
-      overview,
-      tasks,
-      priority: metadata?.priority || 'P2',
-      status: metadata?.status || 'planning',
-      updated: metadata?.updated
-    };
-
-    const syncMap = await this._loadAzureEpicSyncMap();
-    const workItemId = syncMap['epic-to-azure'][epicName];
-
-    let result;
-    let action;
-
-    if (workItemId) {
-      // Check for conflicts if enabled
-      if (options.detectConflicts) {
-        const azureWorkItem = await this.provider.getWorkItem(workItemId);
-        const conflict = this._detectAzureEpicConflict(epicData, azureWorkItem);
-
-        if (conflict.hasConflict && conflict.remoteNewer) {
-          return {
-            success: false,
-            epicName,
-            workItemId: String(workItemId),
-            conflict
-          };
-        }
-      }
-
-      // Update existing Azure epic
-      result = await this.updateAzureEpic(workItemId, epicData);
-      action = 'updated';
-    } else {
-      // Create new Azure epic
-      result = await this.createAzureEpic(epicData);
-      action = 'created';
-    }
-
-    // Update sync-map
-    await this._updateAzureEpicSyncMap(epicName, String(result.id));
+    const syncMap = (await fs.pathExists(syncMapPath)) ? await fs.readJSON(syncMapPath) : {};
 
     return {
-      success: true,
-      epicName,
-      workItemId: String(result.id),
-      action
+      ...syncMap,
+      [`epic-to-${providerName}`]: syncMap[`epic-to-${providerName}`] || {},
+      [`${providerName}-to-epic`]: syncMap[`${providerName}-to-epic`] || {},
+      metadata: syncMap.metadata || {}
     };
   }
 
   /**
-   * Sync Azure DevOps epic to local (enhanced pull with merge)
-   *
-   * @param {number|string} workItemId - Azure work item ID
-   * @param {Object} [options={}] - Sync options
-   * @param {boolean} [options.detectConflicts=false] - Enable conflict detection
-   * @returns {Promise<Object>} Result: { success, epicName, workItemId, action, conflict? }
-   * @throws {Error} If work item is not an Epic
+   * Update epic sync-map for a provider with a new mapping
+   * @private
    */
-  async syncEpicFromAzure(workItemId, options = {}) {
+  async _updateProviderEpicSyncMap(providerName, epicName, remoteId) {
     const fs = require('fs-extra');
     const path = require('path');
+    const syncMap = await this._loadProviderEpicSyncMap(providerName);
 
-    const azureWorkItem = await this.provider.getWorkItem(workItemId);
+    syncMap[`epic-to-${providerName}`][epicName] = String(remoteId);
+    syncMap[`${providerName}-to-epic`][String(remoteId)] = epicName;
+    syncMap.metadata[epicName] = {
+      ...syncMap.metadata[epicName],
+      lastSync: new Date().toISOString(),
+      remoteId: String(remoteId)
+    };
 
-    // Verify it's an Epic
-    const workItemType = azureWorkItem.fields['System.WorkItemType'];
-    if (workItemType !== 'Epic') {
-      throw new Error(`Azure work item #${workItemId} is not an Epic (type: ${workItemType})`);
-    }
+    const syncMapPath = this._getProviderEpicSyncMapPath(providerName);
+    await fs.ensureDir(path.dirname(syncMapPath));
+    await fs.writeJSON(syncMapPath, syncMap, { spaces: 2 });
+  }
 
-    const syncMap = await this._loadAzureEpicSyncMap();
-    let epicName = syncMap['azure-to-epic'][String(workItemId)];
+  /**
+   * Map a local epic status to the normalized tracker vocabulary
+   * @private
+   */
+  _mapEpicStatusToTracker(status) {
+    const statusMap = {
+      'backlog': 'open',
+      'planning': 'open',
+      'in-progress': 'in-progress',
+      'in_progress': 'in-progress',
+      'active': 'in-progress',
+      'done': 'done',
+      'completed': 'done',
+      'closed': 'closed'
+    };
 
-    let action;
+    return statusMap[(status || '').toLowerCase()] || 'open';
+  }
 
-    if (epicName) {
-      // Check for conflicts if enabled
-      if (options.detectConflicts) {
-        const epicFilePath = this.getEpicFilePath(epicName);
-        const localContent = await fs.readFile(epicFilePath, 'utf8');
-        const localMetadata = this.parseFrontmatter(localContent);
+  /**
+   * Map a normalized tracker status to the local epic vocabulary
+   * @private
+   */
+  _mapTrackerStatusToEpic(status) {
+    const statusMap = {
+      'open': 'planning',
+      'in-progress': 'in-progress',
+      'done': 'completed',
+      'closed': 'completed'
+    };
 
-        const conflict = this._detectAzureEpicConflict(
-          { updated: localMetadata?.updated },
-          azureWorkItem
-        );
+    return statusMap[status] || 'planning';
+  }
 
-        if (conflict.hasConflict && conflict.localNewer) {
-          return {
-            success: false,
-            epicName,
-            workItemId: String(workItemId),
-            conflict
-          };
-        }
-      }
+  // ==========================================
+  // PRIVATE HELPER METHODS FOR EPIC SYNC BASE SNAPSHOTS
+  // ==========================================
 
-      action = 'updated';
-    } else {
-      // Generate epic name from title
-      const title = azureWorkItem.fields['System.Title'] || 'Untitled';
-      epicName = this._generateEpicNameFromTitle(title);
-      action = 'created';
+  /**
+   * Get the sync state store, creating it on first use
+   * @private
+   */
+  _getSyncStateStore() {
+    if (!this.syncStateStore) {
+      const SyncStateStore = require('../sync-state-store');
+      this.syncStateStore = new SyncStateStore();
     }
 
-    // Parse Azure epic
-    const epicData = this._parseAzureEpic(azureWorkItem);
-
-    // Build epic content
-    const epicContent = this._buildAzureEpicContent(epicData, workItemId);
-
-    // Ensure epic directory exists
-    const epicPath = this.getEpicPath(epicName);
-    await fs.ensureDir(epicPath);
-
-    // Write epic.md
-    const epicFilePath = this.getEpicFilePath(epicName);
-    await fs.writeFile(epicFilePath, epicContent);
-
-    // Update sync-map
-    await this._updateAzureEpicSyncMap(epicName, String(workItemId));
-
-    return {
-      success: true,
-      epicName,
-      workItemId: String(workItemId),
-      action
-    };
+    return this.syncStateStore;
   }
 
   /**
-   * Bidirectional sync - sync in the direction of newer changes (Azure)
-   *
-   * @param {string} epicName - Local epic name
-   * @param {Object} [options={}] - Sync options
-   * @param {string} [options.conflictStrategy='detect'] - How to handle conflicts
-   * @returns {Promise<Object>} Result: { success, direction, conflict? }
+   * Get the status transition history, creating it on first use
+   * @private
    */
-  async syncEpicBidirectionalAzure(epicName, options = {}) {
-    const syncMap = await this._loadAzureEpicSyncMap();
-    const workItemId = syncMap['epic-to-azure'][epicName];
-
-    if (!workItemId) {
-      // No Azure mapping, push to Azure
-      const result = await this.syncEpicToAzure(epicName);
-      return { ...result, direction: 'to-azure' };
+  _getStatusHistory() {
+    if (!this.statusHistory) {
+      const path = require('path');
+      const StatusHistory = require('../status-history');
+      this.statusHistory = new StatusHistory({
+        basePath: path.join(process.cwd(), path.dirname(this.options.epicsDir))
+      });
     }
 
-    // Get both versions
-    const fs = require('fs-extra');
-    const epicFilePath = this.getEpicFilePath(epicName);
-    const localContent = await fs.readFile(epicFilePath, 'utf8');
-    const localMetadata = this.parseFrontmatter(localContent);
-
-    const azureWorkItem = await this.provider.getWorkItem(workItemId);
-
-    const conflict = this._detectAzureEpicConflict(
-      { updated: localMetadata?.updated },
-      azureWorkItem
-    );
-
-    if (conflict.hasConflict) {
-      if (options.conflictStrategy === 'detect') {
-        return {
-          success: false,
-          direction: 'conflict',
-          conflict
-        };
-      }
+    return this.statusHistory;
+  }
 
-      // Auto-resolve based on timestamps
-      if (conflict.localNewer) {
-        const result = await this.syncEpicToAzure(epicName);
-        return { ...result, direction: 'to-azure' };
-      } else if (conflict.remoteNewer) {
-        const result = await this.syncEpicFromAzure(workItemId);
-        return { ...result, direction: 'from-azure' };
-      }
-    }
+  /**
+   * Render overview and tasks in one comparable form for both sides
+   * @private
+   */
+  _epicSyncBody(overview, tasks) {
+    const taskLines = (tasks || []).map(task => {
+      const checkbox = task.status === 'closed' ? '[x]' : '[ ]';
+      return `- ${checkbox} ${task.title}`;
+    });
 
-    // No conflict - sync local to Azure
-    const result = await this.syncEpicToAzure(epicName);
-    return { ...result, direction: 'to-azure' };
+    return `## Overview\n${(overview || '').trim()}\n\n## Tasks\n${taskLines.join('\n')}`.trim();
   }
 
   /**
-   * Create new Azure epic work item from local data
-   *
-   * @param {Object} epicData - Epic data
-   * @returns {Promise<Object>} Created Azure work item
+   * Build the comparable sync view of local epic data
+   * @private
    */
-  async createAzureEpic(epicData) {
-    const tags = epicData.priority ? `priority:${epicData.priority}` : '';
-    const description = this._formatEpicForAzure(epicData);
-
-    const azureData = {
-      title: epicData.title,
-      description,
-      tags,
-      state: 'New'
+  _epicSyncView(epicData) {
+    return {
+      frontmatter: {
+        priority: epicData.priority,
+        status: epicData.status
+      },
+      body: this._epicSyncBody(epicData.overview, epicData.tasks)
     };
-
-    const result = await this.provider.createWorkItem('Epic', azureData);
-
-    // Update sync-map if epic name exists
-    if (epicData.name) {
-      await this._updateAzureEpicSyncMap(epicData.name, String(result.id));
-    }
-
-    return result;
   }
 
   /**
-   * Update existing Azure epic with local data
+   * Build the comparable sync view of a GitHub epic issue
    *
-   * @param {number|string} workItemId - Azure work item ID
-   * @param {Object} epicData - Epic data
-   * @returns {Promise<Object>} Updated Azure work item
+   * GitHub epics carry no local status, so only priority is compared.
+   * @private
    */
-  async updateAzureEpic(workItemId, epicData) {
-    const updateData = {};
-
-    if (epicData.title) {
-      updateData.title = epicData.title;
-    }
+  _githubEpicSyncView(githubIssue) {
+    const labels = (githubIssue.labels || []).map(label => (typeof label === 'string' ? label : label.name));
+    const priorityLabel = labels.find(label => /^priority:P\d$/i.test(label || ''));
+    const { overview, tasks } = this._parseRemoteEpicBody(githubIssue.body);
 
-    if (epicData.status) {
-      updateData.state = this._mapEpicStatusToAzure(epicData.status);
-    }
+    return {
+      frontmatter: {
+        priority: priorityLabel ? priorityLabel.split(':')[1].toUpperCase() : 'P2'
+      },
+      body: this._epicSyncBody(overview, tasks)
+    };
+  }
 
-    if (epicData.overview || epicData.tasks) {
-      updateData.description = this._formatEpicForAzure(epicData);
-    }
+  /**
+   * Build the comparable sync view of a normalized tracker item
+   * @private
+   */
+  _trackerEpicSyncView(item) {
+    const view = this._githubEpicSyncView({ body: item.body, labels: item.labels });
+    view.frontmatter.status = this._mapTrackerStatusToEpic(item.status);
 
-    if (epicData.priority) {
-      updateData.tags = `priority:${epicData.priority}`;
-    }
+    return view;
+  }
 
-    return await this.provider.updateWorkItem(workItemId, updateData);
+  /**
+   * Snapshot both sides after a successful sync
+   * @private
+   */
+  async _recordEpicSyncBase(providerName, epicName, remoteId, localView, remoteView) {
+    await this._getSyncStateStore().save(providerName, 'epic', epicName, {
+      remoteId,
+      local: localView,
+      remote: remoteView
+    });
   }
 
   /**
-   * Get sync status for an epic (Azure)
+   * Decide how to reconcile diverged sides using the last sync snapshot
    *
-   * @param {string} epicName - Local epic name
-   * @returns {Promise<Object>} Status: { synced, epicName, workItemId, lastSync, status }
+   * @private
+   * @returns {Promise<Object|null>} { action: none|push|pull|merge|conflict, merge } or null without a base
    */
-  async getEpicAzureSyncStatus(epicName) {
-    const syncMap = await this._loadAzureEpicSyncMap();
-    const workItemId = syncMap['epic-to-azure'][epicName];
+  async _planEpicSyncMerge(providerName, epicName, localView, remoteView, remoteEquivalent) {
+    const store = this._getSyncStateStore();
+    const base = await store.load(providerName, 'epic', epicName);
 
-    if (!workItemId) {
-      return {
-        synced: false,
-        epicName,
-        workItemId: null,
-        status: 'not-synced'
-      };
+    if (!base) {
+      return null;
     }
 
-    const metadata = syncMap.metadata[epicName] || {};
-
-    // Check if out of sync
-    try {
-      const fs = require('fs-extra');
-      const epicFilePath = this.getEpicFilePath(epicName);
-      const localContent = await fs.readFile(epicFilePath, 'utf8');
-      const localMetadata = this.parseFrontmatter(localContent);
-
-      const azureWorkItem = await this.provider.getWorkItem(workItemId);
-
-      const localTime = new Date(localMetadata?.updated || localMetadata?.created || 0);
-      const azureTime = new Date(
-        azureWorkItem.fields['System.ChangedDate'] ||
-        azureWorkItem.fields['System.CreatedDate'] ||
-        0
-      );
-      const lastSyncTime = new Date(metadata.lastSync || 0);
-
-      const isOutOfSync = localTime > lastSyncTime || azureTime > lastSyncTime;
+    // Status synonyms (e.g. "done" vs "completed") are not a conflict
+    const merge = store.merge(localView, remoteView, base, {
+      equivalent: (field, a, b) => field === 'status' && this.categorizeStatus(a) === this.categorizeStatus(b),
+      remoteEquivalent
+    });
 
-      return {
-        synced: !isOutOfSync,
-        epicName,
-        workItemId: String(workItemId),
-        lastSync: metadata.lastSync,
-        status: isOutOfSync ? 'out-of-sync' : 'synced'
-      };
-    } catch (error) {
-      // If error checking, assume synced
-      return {
-        synced: true,
-        epicName,
-        workItemId: String(workItemId),
-        lastSync: metadata.lastSync,
-        status: 'synced'
-      };
+    let action = 'merge';
+    if (merge.hasConflicts) {
+      action = 'conflict';
+    } else if (!merge.localChanged && !merge.remoteChanged) {
+      action = 'none';
+    } else if (!merge.remoteChanged) {
+      action = 'push';
+    } else if (!merge.localChanged) {
+      action = 'pull';
     }
-  }
 
-  // ==========================================
-  // PRIVATE HELPER METHODS FOR AZURE EPIC SYNC
-  // ==========================================
+    return { action, merge };
+  }
 
   /**
-   * Load epic-azure-sync-map from file
+   * Check whether a remote epic status is only the provider's lossy read-back of a local one
    * @private
    */
-  async _loadAzureEpicSyncMap() {
-    const fs = require('fs-extra');
-    const path = require('path');
-    const syncMapPath = path.join(process.cwd(), '.claude/epic-azure-sync-map.json');
-
-    if (await fs.pathExists(syncMapPath)) {
-      return await fs.readJSON(syncMapPath);
+  _isLossyEpicStatus(provider, status, remoteStatus) {
+    if (!status || !provider || typeof provider.roundTripStatus !== 'function') {
+      return false;
     }
 
-    return {
-      'epic-to-azure': {},
-      'azure-to-epic': {},
-      'metadata': {}
-    };
+    const readBack = provider.roundTripStatus(this._mapEpicStatusToTracker(status));
+
+    return status !== remoteStatus && this._mapTrackerStatusToEpic(readBack) === remoteStatus;
   }
 
   /**
-   * Save epic-azure-sync-map to file
+   * Build the merge hook that keeps a lossy remote status from counting as a remote edit
    * @private
    */
-  async _saveAzureEpicSyncMap(syncMap) {
-    const fs = require('fs-extra');
-    const path = require('path');
-    const syncMapPath = path.join(process.cwd(), '.claude/epic-azure-sync-map.json');
-    await fs.writeJSON(syncMapPath, syncMap, { spaces: 2 });
+  _lossyEpicStatusMatcher(provider) {
+    return (field, remoteValue, remoteBase) =>
+      field === 'status' && this._isLossyEpicStatus(provider, remoteBase, remoteValue);
   }
 
   /**
-   * Update epic-azure-sync-map with new mapping
+   * Write a cleanly merged result back into epic.md
+   *
+   * Only frontmatter fields, Overview and Tasks are rewritten; any other
+   * sections of the local epic are preserved.
    * @private
    */
-  async _updateAzureEpicSyncMap(epicName, workItemId) {
-    const syncMap = await this._loadAzureEpicSyncMap();
+  async _writeMergedEpic(epicName, localContent, merge) {
+    const fs = require('fs-extra');
 
-    syncMap['epic-to-azure'][epicName] = String(workItemId);
-    syncMap['azure-to-epic'][String(workItemId)] = epicName;
-    syncMap['metadata'][epicName] = {
-      lastSync: new Date().toISOString(),
-      workItemId: String(workItemId),
-      workItemType: 'Epic'
-    };
+    const overviewMatch = merge.body.match(/## Overview\n([\s\S]*?)(?=\n## Tasks|$)/);
+    const tasksMatch = merge.body.match(/## Tasks\n([\s\S]*)$/);
+    const overview = overviewMatch ? overviewMatch[1].trim() : '';
+    const tasks = tasksMatch ? tasksMatch[1].trim() : '';
+
+    const frontmatterMatch = localContent.match(/^---\n([\s\S]*?)\n---/);
+    const lines = frontmatterMatch ? frontmatterMatch[1].split('\n') : [];
+
+    const values = { ...merge.frontmatter, updated: new Date().toISOString() };
+    for (const [key, value] of Object.entries(values)) {
+      if (!value) {
+        continue;
+      }
+
+      const index = lines.findIndex(line => line.startsWith(`${key}:`));
+      if (index === -1) {
+        lines.push(`${key}: ${value}`);
+      } else {
+        lines[index] = `${key}: ${value}`;
+      }
+    }
+
+    const body = frontmatterMatch ? localContent.slice(frontmatterMatch[0].length) : `\n${localContent}`;
+    let content = `---\n${lines.join('\n')}\n---${body}`;
+
+    content = this._replaceEpicSection(content, /## Overview[ \t]*\n/, '## Overview', overview);
+    content = this._replaceEpicSection(content, /## Tasks?[ \t]*\n/, '## Tasks', tasks);
+
+    await fs.writeFile(this.getEpicFilePath(epicName), content);
 
-    await this._saveAzureEpicSyncMap(syncMap);
+    return content;
   }
 
   /**
-   * Format epic data as Azure work item description
+   * Format epic data as GitHub issue body
    * @private
    */
-  _formatEpicForAzure(epicData) {
-    let description = '';
+  _formatEpicForGitHub(epicData) {
+    let body = '';
 
     if (epicData.overview) {
-      description += `${epicData.overview}\n\n`;
+      body += `## Overview\n${epicData.overview}\n\n`;
     }
 
-    description += '## Tasks\n';
+    body += '## Task Breakdown\n';
 
     if (epicData.tasks && epicData.tasks.length > 0) {
       epicData.tasks.forEach(task => {
         const checkbox = task.status === 'closed' ? '[x]' : '[ ]';
-        description += `- ${checkbox} ${task.title}\n`;
+        body += `- ${checkbox} ${task.title}\n`;
       });
     } else {
-      description += 'No tasks defined yet.\n';
+      body += 'No tasks defined yet.\n';
     }
 
-    return description.trim();
+    return body;
   }
 
   /**
-   * Parse Azure work item to epic format
+   * Parse tasks from markdown checkbox content
    * @private
    */
-  _parseAzureEpic(azureWorkItem) {
-    const title = azureWorkItem.fields['System.Title'] || '';
-    const name = this._generateEpicNameFromTitle(title);
-    const description = azureWorkItem.fields['System.Description'] || '';
-
-    // Extract overview (text before ## Tasks)
-    const overviewMatch = description.match(/^([\s\S]*?)(?=## Tasks|$)/);
-    const overview = overviewMatch ? overviewMatch[1].trim() : '';
-
-    // Extract priority from tags
-    const tags = azureWorkItem.fields['System.Tags'] || '';
-    const priorityMatch = tags.match(/priority:(P\d)/i);
-    const priority = priorityMatch ? priorityMatch[1] : 'P2';
+  _parseTasksFromContent(content) {
+    const tasks = [];
+    const lines = content.split('\n');
 
-    // Extract tasks from checkboxes
-    const tasksMatch = description.match(/## Tasks\s+([\s\S]*?)$/);
-    const tasksContent = tasksMatch ? tasksMatch[1].trim() : '';
-    const tasks = this._parseTasksFromContent(tasksContent);
+    for (const line of lines) {
+      const checkboxMatch = line.match(/^-\s+\[([ x])\]\s+(.+)$/i);
+      if (checkboxMatch) {
+        const status = checkboxMatch[1].toLowerCase() === 'x' ? 'closed' : 'open';
+        const title = checkboxMatch[2].trim();
+        tasks.push({ title, status });
+      }
+    }
 
-    return {
-      name,
-      title,
-      overview,
-      priority,
-      tasks,
-      created: azureWorkItem.fields['System.CreatedDate'],
-      updated: azureWorkItem.fields['System.ChangedDate']
-    };
+    return tasks;
   }
 
   /**
-   * Detect conflict between local epic and Azure work item
+   * Generate epic name from title
    * @private
    */
-  _detectAzureEpicConflict(localEpic, azureWorkItem) {
-    const localTime = new Date(localEpic.updated || localEpic.created || 0);
-    const azureTime = new Date(
-      azureWorkItem.fields['System.ChangedDate'] ||
-      azureWorkItem.fields['System.CreatedDate'] ||
-      0
-    );
+  _generateEpicNameFromTitle(title) {
+    return title
+      .toLowerCase()
+      .replace(/[^a-z0-9\s-]/g, '')
+      .replace(/\s+/g, '-')
+      .replace(/-+/g, '-')
+      .replace(/^-|-$/g, '');
+  }
 
-    const hasConflict = localTime.getTime() !== azureTime.getTime();
-    const localNewer = localTime > azureTime;
-    const remoteNewer = azureTime > localTime;
+  /**
+   * Log a resolution that overwrote the local epic, so it can be undone
+   * @private
+   */
+  async _logEpicResolution(epicName, strategy, previousContent, localEpic, remoteItem, providerName) {
+    const fs = require('fs-extra');
 
-    return {
-      hasConflict,
-      localNewer,
-      remoteNewer,
-      conflictFields: []
-    };
+    const filePath = this.getEpicFilePath(epicName);
+    const chosenContent = await fs.readFile(filePath, 'utf8');
+
+    this._getConflictHistory().log(
+      {
+        provider: providerName,
+        remoteId: String(remoteItem.id),
+        localContent: previousContent,
+        remoteContent: remoteItem.body || '',
+        localTimestamp: localEpic.updated || null,
+        remoteTimestamp: remoteItem.updated || null
+      },
+      { strategy, chosenContent },
+      { entityType: 'epic', entityId: epicName, filePath, previousContent }
+    );
   }
 
   /**
-   * Map epic status to Azure DevOps state
+   * Get the conflict history journal, creating it on first use
    * @private
    */
-  _mapEpicStatusToAzure(status) {
-    if (!status) return 'New';
-
-    const lowerStatus = status.toLowerCase();
-    const statusMap = {
-      'backlog': 'New',
-      'planning': 'New',
-      'in-progress': 'Active',
-      'in_progress': 'Active',
-      'active': 'Active',
-      'done': 'Resolved',
-      'completed': 'Resolved',
-      'closed': 'Closed'
-    };
+  _getConflictHistory() {
+    if (!this.conflictHistory) {
+      const ConflictHistory = require('../conflict-history');
+      this.conflictHistory = new ConflictHistory({ storage: 'file' });
+    }
 
-    return statusMap[lowerStatus] || 'New';
+    return this.conflictHistory;
   }
 
   /**
-   * Build Azure epic content from parsed data
+   * Replace (or append) the text under a markdown section heading
    * @private
    */
-  _buildAzureEpicContent(epicData, workItemId) {
-    const frontmatter = `---
-name: ${epicData.name}
-status: planning
-priority: ${epicData.priority}
-created: ${epicData.created}
-updated: ${epicData.updated}
-progress: 0%
-azure_work_item_id: ${workItemId}
-work_item_type: Epic
----
+  _replaceEpicSection(content, headingPattern, heading, text) {
+    const headingMatch = content.match(headingPattern);
 
-# Epic: ${epicData.title}
-
-## Overview
-${epicData.overview || 'No overview provided.'}
+    if (!headingMatch) {
+      return `${content.trimEnd()}\n\n${heading}\n${text}\n`;
+    }
 
-## Tasks
-${epicData.tasks.map(task => {
-  const checkbox = task.status === 'closed' ? '[x]' : '[ ]';
-  return `- ${checkbox} ${task.title}`;
-}).join('\n')}
-`;
+    const start = headingMatch.index + headingMatch[0].length;
+    const rest = content.slice(start);
+    const nextHeading = rest.search(/\n## /);
+    const end = nextHeading === -1 ? content.length : start + nextHeading;
 
-    return frontmatter;
+    return `${content.slice(0, start)}${text}\n${content.slice(end)}`;
   }
 }
 
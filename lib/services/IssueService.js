@@ -31,15 +31,35 @@
  *    - getIssuePath: Get file path for issue
  *    - formatIssueDuration: Format time duration
  *
- * 6. GitHub Sync Methods (8 methods):
- *    - syncToGitHub: Enhanced push with conflict detection
- *    - syncFromGitHub: Enhanced pull with merge
- *    - syncBidirectional: Full bidirectional sync
- *    - createGitHubIssue: Create new issue on GitHub
- *    - updateGitHubIssue: Update existing GitHub issue
- *    - detectConflict: Detect sync conflicts
- *    - resolveConflict: Resolve sync conflict with strategy
- *    - getSyncStatus: Get sync status for issue
+ * 6. GitHub Sync Methods (deprecated):
+ *    - syncToGitHub / syncFromGitHub / syncBidirectional / resolveConflict /
+ *      getSyncStatus: Thin wrappers over sync() with the 'github' provider
+ *
+ * 7. Azure DevOps Sync Methods (deprecated):
+ *    - syncToAzure / syncFromAzure / syncBidirectionalAzure / resolveAzureConflict /
+ *      getAzureSyncStatus: Thin wrappers over sync() with the 'azure' provider
+ *
+ * 8. Provider-Neutral Sync Methods (3 methods):
+ *    - sync: Push, pull or bidirectional sync with any IssueTrackerProvider
+ *    - detectProviderConflict: Detect conflicts on normalized tracker items
+ *    - getProviderSyncStatus: Get sync status for any provider
+ *    - Bidirectional sync three-way merges against base snapshots
+ *      stored in .claude/sync-state at every successful sync
+ *
+ * 9. Conflict Resolution Sessions (2 methods):
+ *    - getConflictSession: List the conflicting hunks of a diverged issue
+ *    - applyConflictResolutions: Apply per-hunk decisions, push and record
+ *      each decision in ConflictHistory
+ *
+ * 10. Offline Outbox (2 methods):
+ *    - commentOnIssue: Comment on the linked remote item
+ *    - replayOutboxOperation: Perform one queued operation during `pm sync`
+ *    - Pushes and comments that fail with a transient error (network, 5xx,
+ *      open circuit) are queued in SyncOutbox instead of failing
+ *
+ * 11. Incremental Sync (1 method):
+ *    - syncChanged: Sync only issues changed since the last run, using a
+ *      remote cursor per provider and local content hashes
  *
  * Documentation Queries:
  * - GitHub Issues API v3 best practices (2025)
@@ -56,14 +76,38 @@ class IssueService {
    * Create a new IssueService instance
    *
    * @param {Object} options - Configuration options
-   * @param {Object} options.provider - Provider instance for GitHub/Azure (optional)
+   * @param {Object} options.provider - Provider instance for GitHub/Azure or any IssueTrackerProvider (optional)
    * @param {string} [options.issuesDir] - Path to issues directory (default: .claude/issues)
    * @param {string} [options.defaultStatus] - Default issue status (default: open)
+   * @param {SyncStateStore} [options.syncStateStore] - Store for sync base snapshots (default: lazily created)
+   * @param {ConflictHistory} [options.conflictHistory] - Journal for conflict decisions (default: lazily created)
+   * @param {SyncOutbox} [options.outbox] - Queue for pushes that failed while offline (default: lazily created)
+   * @param {SyncCursorStore} [options.syncCursorStore] - Cursors and content hashes for incremental sync (default: lazily created)
+   * @param {StatusHistory} [options.statusHistory] - Log of status transitions (default: lazily created)
+   * @param {SprintService} [options.sprintService] - Sprint scopes updated by pulled sprints (default: lazily created)
    */
   constructor(options = {}) {
     // Provider for GitHub/Azure integration (optional)
     this.provider = options.provider || null;
 
+    // Base snapshots for three-way merges (created on first sync)
+    this.syncStateStore = options.syncStateStore || null;
+
+    // Conflict decision journal (created on first resolution)
+    this.conflictHistory = options.conflictHistory || null;
+
+    // Offline outbox (created when a push first fails transiently)
+    this.outbox = options.outbox || null;
+
+    // Incremental sync cursors and hashes (created on first delta sync)
+    this.syncCursorStore = options.syncCursorStore || null;
+
+    // Status transitions for flow analytics (created on first status change)
+    this.statusHistory = options.statusHistory || null;
+
+    // Sprint scopes kept in line with pulled milestones/iterations (created on first pull)
+    this.sprintService = options.sprintService || null;
+
     // CLI operation options
     this.options = {
       issuesDir: options.issuesDir || '.claude/issues',
@@ -287,6 +331,14 @@ class IssueService {
 
     // Write updated content
     await fs.writeFile(issuePath, content);
+
+    // Keep the transition for flow analytics; the file stays the source of
+    // truth, so a history write failure does not fail the status change
+    try {
+      await this._getStatusHistory().record({ type: 'issue', id: issueNumber, status: newStatus, at: now });
+    } catch (error) {
+      // Ignore - flow analytics falls back to frontmatter dates
+    }
   }
 
   /**
@@ -600,982 +652,1571 @@ ${issueData.description || ''}
   }
 
   // ==========================================
-  // 6. GITHUB SYNC METHODS (8 NEW METHODS)
+  // 6. GITHUB SYNC METHODS (DEPRECATED WRAPPERS)
   // ==========================================
 
   /**
-   * Sync local issue to GitHub (enhanced push with conflict detection)
+   * Push a local issue to GitHub
    *
+   * @deprecated Use sync(issueNumber, provider) with the 'github' provider
    * @param {number|string} issueNumber - Local issue number
-   * @param {Object} [options={}] - Sync options
-   * @param {boolean} [options.detectConflicts=false] - Enable conflict detection
-   * @returns {Promise<Object>} Result: { success, issueNumber, githubNumber, action, conflict? }
+   * @param {Object} [options={}] - Sync options (see sync())
+   * @returns {Promise<Object>} sync() result plus issueNumber and githubNumber, direction 'to-github'
    */
   async syncToGitHub(issueNumber, options = {}) {
-    const syncMap = await this._loadSyncMap();
-    const localIssue = await this.getLocalIssue(issueNumber);
-    const githubNumber = syncMap['local-to-github'][String(issueNumber)];
-
-    let result;
-    let action;
-
-    if (githubNumber) {
-      // Check for conflicts if enabled
-      if (options.detectConflicts) {
-        const githubIssue = await this.provider.getIssue(githubNumber);
-        const conflict = this.detectConflict(localIssue, githubIssue);
-
-        if (conflict.hasConflict && conflict.remoteNewer) {
-          return {
-            success: false,
-            issueNumber: String(issueNumber),
-            githubNumber: String(githubNumber),
-            conflict
-          };
-        }
-      }
-
-      // Update existing GitHub issue
-      result = await this.updateGitHubIssue(githubNumber, localIssue);
-      action = 'updated';
-    } else {
-      // Create new GitHub issue
-      result = await this.createGitHubIssue(localIssue);
-      action = 'created';
-    }
-
-    // Update sync-map
-    await this._updateSyncMap(String(issueNumber), String(result.number));
-
-    return {
-      success: true,
-      issueNumber: String(issueNumber),
-      githubNumber: String(result.number),
-      action
-    };
+    return this._syncLegacy('github', issueNumber, { ...options, direction: 'push' });
   }
 
   /**
-   * Sync GitHub issue to local (enhanced pull with merge)
+   * Pull a GitHub issue into a local issue
    *
+   * @deprecated Use sync(null, provider, { direction: 'pull', remoteId })
    * @param {number|string} githubNumber - GitHub issue number
-   * @param {Object} [options={}] - Sync options
-   * @param {boolean} [options.detectConflicts=false] - Enable conflict detection
-   * @param {string} [options.conflictStrategy='newest'] - Conflict resolution strategy
-   * @returns {Promise<Object>} Result: { success, localNumber, githubNumber, action, conflict? }
+   * @param {Object} [options={}] - Sync options (see sync())
+   * @returns {Promise<Object>} sync() result plus githubNumber, direction 'from-github'
    */
   async syncFromGitHub(githubNumber, options = {}) {
-    const fs = require('fs-extra');
-
-    const githubIssue = await this.provider.getIssue(githubNumber);
-    const syncMap = await this._loadSyncMap();
-    const localNumber = syncMap['github-to-local'][String(githubNumber)];
-
-    let action;
-    let finalLocalNumber = localNumber;
-
-    if (localNumber) {
-      // Check for conflicts if enabled
-      if (options.detectConflicts) {
-        const localIssue = await this.getLocalIssue(localNumber);
-        const conflict = this.detectConflict(localIssue, githubIssue);
-
-        if (conflict.hasConflict && conflict.localNewer) {
-          return {
-            success: false,
-            localNumber: String(localNumber),
-            githubNumber: String(githubNumber),
-            conflict
-          };
-        }
-      }
-
-      // Update existing local issue
-      action = 'updated';
-    } else {
-      // Create new local issue - find next available number
-      const issues = await this.listIssues();
-      const maxNumber = issues.reduce((max, issue) => {
-        const num = parseInt(issue.id || '0');
-        return num > max ? num : max;
-      }, 0);
-      finalLocalNumber = String(maxNumber + 1);
-      action = 'created';
-    }
-
-    // Build issue content with frontmatter
-    const labels = githubIssue.labels ? githubIssue.labels.map(l => l.name || l).join(', ') : '';
-    const assignee = githubIssue.assignees && githubIssue.assignees.length > 0
-      ? githubIssue.assignees[0].login || githubIssue.assignees[0]
-      : '';
-
-    const frontmatter = `---
-id: ${finalLocalNumber}
-title: ${githubIssue.title}
-status: ${githubIssue.state === 'closed' ? 'closed' : 'open'}
-${assignee ? `assignee: ${assignee}` : ''}
-${labels ? `labels: ${labels}` : ''}
-created: ${githubIssue.created_at}
-updated: ${githubIssue.updated_at}
-github_number: ${githubNumber}
----
-
-# ${githubIssue.title}
-
-${githubIssue.body || ''}
-`;
+    return this._syncLegacy('github', null, { ...options, direction: 'pull', remoteId: githubNumber });
+  }
 
-    // Write to local file
-    const issuePath = this.getIssuePath(finalLocalNumber);
-    await fs.writeFile(issuePath, frontmatter);
+  /**
+   * Bidirectional sync with GitHub
+   *
+   * @deprecated Use sync(issueNumber, provider, { direction: 'bidirectional' })
+   * @param {number|string} issueNumber - Local issue number
+   * @param {Object} [options={}] - Sync options (see sync())
+   * @returns {Promise<Object>} sync() result plus githubNumber, direction to-github|from-github|merged|none|conflict
+   */
+  async syncBidirectional(issueNumber, options = {}) {
+    return this._syncLegacy('github', issueNumber, { ...options, direction: 'bidirectional' });
+  }
 
-    // Update sync-map
-    await this._updateSyncMap(String(finalLocalNumber), String(githubNumber));
+  /**
+   * Detect sync conflicts between a local issue and a raw GitHub issue
+   *
+   * @deprecated Use detectProviderConflict(localIssue, remoteItem) with a normalized item
+   * @param {Object} localIssue - Local issue data
+   * @param {Object} githubIssue - GitHub issue as returned by the API
+   * @returns {Object} Conflict info: { hasConflict, localNewer, remoteNewer, conflictFields }
+   */
+  detectConflict(localIssue, githubIssue) {
+    const GitHubProvider = require('../providers/GitHubProvider');
+    return this.detectProviderConflict(localIssue, GitHubProvider.prototype._normalizeIssue(githubIssue));
+  }
 
-    return {
-      success: true,
-      localNumber: String(finalLocalNumber),
-      githubNumber: String(githubNumber),
-      action
-    };
+  /**
+   * Resolve a GitHub sync conflict using a strategy
+   *
+   * @deprecated Use sync(issueNumber, provider, { direction: 'bidirectional', conflictStrategy })
+   * @param {number|string} issueNumber - Local issue number
+   * @param {string} strategy - Resolution strategy (local|remote|newest|manual)
+   * @returns {Promise<Object>} Resolution result: { resolved, appliedStrategy, result }
+   * @throws {Error} If strategy is invalid
+   */
+  async resolveConflict(issueNumber, strategy) {
+    return this._resolveLegacyConflict('github', issueNumber, strategy);
   }
 
   /**
-   * Bidirectional sync - sync in the direction of newer changes
+   * Get GitHub sync status for an issue
    *
+   * @deprecated Use getProviderSyncStatus(issueNumber, provider)
    * @param {number|string} issueNumber - Local issue number
-   * @param {Object} [options={}] - Sync options
-   * @param {string} [options.conflictStrategy='detect'] - How to handle conflicts
-   * @returns {Promise<Object>} Result: { success, direction, conflict? }
+   * @returns {Promise<Object>} getProviderSyncStatus() result plus githubNumber
    */
-  async syncBidirectional(issueNumber, options = {}) {
-    const syncMap = await this._loadSyncMap();
-    const githubNumber = syncMap['local-to-github'][String(issueNumber)];
+  async getSyncStatus(issueNumber) {
+    const status = await this.getProviderSyncStatus(issueNumber, this._legacyProvider('github'));
+    return { ...status, githubNumber: status.remoteId };
+  }
 
-    if (!githubNumber) {
-      // No GitHub mapping, push to GitHub
-      const result = await this.syncToGitHub(issueNumber);
-      return { ...result, direction: 'to-github' };
-    }
+  // ==========================================
+  // 7. AZURE DEVOPS SYNC METHODS (DEPRECATED WRAPPERS)
+  // ==========================================
 
-    const localIssue = await this.getLocalIssue(issueNumber);
-    const githubIssue = await this.provider.getIssue(githubNumber);
+  /**
+   * Push a local issue to Azure DevOps
+   *
+   * @deprecated Use sync(issueNumber, provider) with the 'azure' provider
+   * @param {number|string} issueNumber - Local issue number
+   * @param {Object} [options={}] - Sync options (see sync())
+   * @returns {Promise<Object>} sync() result plus issueNumber and workItemId, direction 'to-azure'
+   */
+  async syncToAzure(issueNumber, options = {}) {
+    return this._syncLegacy('azure', issueNumber, { ...options, direction: 'push' });
+  }
 
-    const conflict = this.detectConflict(localIssue, githubIssue);
+  /**
+   * Pull an Azure DevOps work item into a local issue
+   *
+   * @deprecated Use sync(null, provider, { direction: 'pull', remoteId })
+   * @param {number|string} workItemId - Azure work item ID
+   * @param {Object} [options={}] - Sync options (see sync())
+   * @returns {Promise<Object>} sync() result plus workItemId, direction 'from-azure'
+   */
+  async syncFromAzure(workItemId, options = {}) {
+    return this._syncLegacy('azure', null, { ...options, direction: 'pull', remoteId: workItemId });
+  }
 
-    if (conflict.hasConflict) {
-      if (options.conflictStrategy === 'detect') {
-        return {
-          success: false,
-          direction: 'conflict',
-          conflict
-        };
-      }
+  /**
+   * Bidirectional sync with Azure DevOps
+   *
+   * @deprecated Use sync(issueNumber, provider, { direction: 'bidirectional' })
+   * @param {number|string} issueNumber - Local issue number
+   * @param {Object} [options={}] - Sync options (see sync())
+   * @returns {Promise<Object>} sync() result plus workItemId, direction to-azure|from-azure|merged|none|conflict
+   */
+  async syncBidirectionalAzure(issueNumber, options = {}) {
+    return this._syncLegacy('azure', issueNumber, { ...options, direction: 'bidirectional' });
+  }
 
-      // Auto-resolve based on timestamps
-      if (conflict.localNewer) {
-        const result = await this.syncToGitHub(issueNumber);
-        return { ...result, direction: 'to-github' };
-      } else if (conflict.remoteNewer) {
-        const result = await this.syncFromGitHub(githubNumber);
-        return { ...result, direction: 'from-github' };
-      }
-    }
+  /**
+   * Detect sync conflicts between a local issue and a raw Azure work item
+   *
+   * @deprecated Use detectProviderConflict(localIssue, remoteItem) with a normalized item
+   * @param {Object} localIssue - Local issue data
+   * @param {Object} azureWorkItem - Azure work item as returned by the API
+   * @returns {Object} Conflict info: { hasConflict, localNewer, remoteNewer, conflictFields }
+   */
+  detectAzureConflict(localIssue, azureWorkItem) {
+    const AzureDevOpsProvider = require('../providers/AzureDevOpsProvider');
+    return this.detectProviderConflict(localIssue, AzureDevOpsProvider.prototype._normalizeWorkItem(azureWorkItem));
+  }
 
-    // No conflict or same timestamp - sync local to GitHub
-    const result = await this.syncToGitHub(issueNumber);
-    return { ...result, direction: 'to-github' };
+  /**
+   * Resolve an Azure DevOps sync conflict using a strategy
+   *
+   * @deprecated Use sync(issueNumber, provider, { direction: 'bidirectional', conflictStrategy })
+   * @param {number|string} issueNumber - Local issue number
+   * @param {string} strategy - Resolution strategy (local|remote|newest|manual)
+   * @returns {Promise<Object>} Resolution result: { resolved, appliedStrategy, result }
+   * @throws {Error} If strategy is invalid
+   */
+  async resolveAzureConflict(issueNumber, strategy) {
+    return this._resolveLegacyConflict('azure', issueNumber, strategy);
   }
 
   /**
-   * Create new GitHub issue from local data
+   * Get Azure DevOps sync status for an issue
    *
-   * @param {Object} issueData - Local issue data
-   * @returns {Promise<Object>} Created GitHub issue
-   */
-  async createGitHubIssue(issueData) {
-    const labels = issueData.labels ? issueData.labels.split(',').map(l => l.trim()) : [];
-    const assignees = issueData.assignee ? [issueData.assignee] : [];
-
-    const githubData = {
-      title: issueData.title,
-      body: issueData.content || '',
-      state: this._mapStatusToGitHub(issueData.status),
-      labels,
-      assignees
-    };
+   * @deprecated Use getProviderSyncStatus(issueNumber, provider)
+   * @param {number|string} issueNumber - Local issue number
+   * @returns {Promise<Object>} getProviderSyncStatus() result plus workItemId
+   */
+  async getAzureSyncStatus(issueNumber) {
+    const status = await this.getProviderSyncStatus(issueNumber, this._legacyProvider('azure'));
+    return { ...status, workItemId: status.remoteId };
+  }
 
-    // Remove empty arrays
-    if (githubData.labels.length === 0) delete githubData.labels;
-    if (githubData.assignees.length === 0) delete githubData.assignees;
+  // ==========================================
+  // PRIVATE HELPER METHODS FOR DEPRECATED WRAPPERS
+  // ==========================================
 
-    const result = await this.provider.createIssue(githubData);
+  /**
+   * Tracker provider for a deprecated GitHub/Azure method: this.provider
+   * when it is that tracker (a bare API client is wrapped), otherwise a
+   * new one from the registry
+   * @private
+   */
+  _legacyProvider(name) {
+    const IssueTrackerProvider = require('../providers/IssueTrackerProvider');
 
-    // Update sync-map if we have an ID
-    if (issueData.id) {
-      await this._updateSyncMap(String(issueData.id), String(result.number));
+    if (IssueTrackerProvider.implementsContract(this.provider)) {
+      if (this.provider.getName() === name) {
+        return this.provider;
+      }
+    } else if (this.provider && typeof this.provider[name === 'github' ? 'getIssue' : 'getWorkItem'] === 'function') {
+      // Bare API client from before the tracker contract
+      const Provider = require(name === 'github' ? '../providers/GitHubProvider' : '../providers/AzureDevOpsProvider');
+      return Provider.fromClient(this.provider);
     }
 
-    return result;
+    const { defaultRegistry } = require('../providers/ProviderRegistry');
+    return defaultRegistry.create(name);
   }
 
   /**
-   * Update existing GitHub issue with local data
+   * Run sync() for a deprecated method, keeping its result fields
    *
-   * @param {number|string} githubNumber - GitHub issue number
-   * @param {Object} issueData - Local issue data
-   * @returns {Promise<Object>} Updated GitHub issue
+   * Adds the remote ID field (githubNumber/workItemId), issueNumber for
+   * everything but pulls, and the to-<tracker>/from-<tracker> directions.
+   * @private
    */
-  async updateGitHubIssue(githubNumber, issueData) {
-    const updateData = {};
-
-    if (issueData.title) {
-      updateData.title = issueData.title;
-    }
-
-    if (issueData.content) {
-      updateData.body = issueData.content;
-    }
-
-    if (issueData.status) {
-      updateData.state = this._mapStatusToGitHub(issueData.status);
-    }
+  async _syncLegacy(name, issueNumber, options) {
+    const result = await this.sync(issueNumber, this._legacyProvider(name), options);
+    const idField = name === 'github' ? 'githubNumber' : 'workItemId';
+    const legacy = { ...result, [idField]: result.remoteId };
 
-    if (issueData.labels) {
-      updateData.labels = issueData.labels.split(',').map(l => l.trim());
+    if (result.direction !== 'pull') {
+      legacy.issueNumber = result.localNumber;
     }
 
-    if (issueData.assignee) {
-      updateData.assignees = [issueData.assignee];
+    if (result.direction === 'push' || result.direction === 'pull') {
+      legacy.direction = `${result.direction === 'push' ? 'to' : 'from'}-${name}`;
     }
 
-    return await this.provider.updateIssue(githubNumber, updateData);
+    return legacy;
   }
 
   /**
-   * Detect sync conflicts between local and GitHub issues
-   *
-   * @param {Object} localIssue - Local issue data
-   * @param {Object} githubIssue - GitHub issue data
-   * @returns {Object} Conflict info: { hasConflict, localNewer, remoteNewer, conflictFields }
+   * Resolve a conflict for a deprecated method: local pushes, remote
+   * pulls, newest runs a bidirectional sync that keeps the newer side
+   * @private
    */
-  detectConflict(localIssue, githubIssue) {
-    const localTime = new Date(localIssue.updated || localIssue.created || 0);
-    const githubTime = new Date(githubIssue.updated_at || githubIssue.created_at || 0);
-
-    const conflictFields = [];
-
-    // Check field differences
-    if (localIssue.title !== githubIssue.title) {
-      conflictFields.push('title');
+  async _resolveLegacyConflict(name, issueNumber, strategy) {
+    if (!['local', 'remote', 'newest', 'manual'].includes(strategy)) {
+      throw new Error('Invalid conflict resolution strategy');
     }
 
-    const localStatus = this._mapStatusToGitHub(localIssue.status);
-    if (localStatus !== githubIssue.state) {
-      conflictFields.push('status');
+    if (strategy === 'manual') {
+      return {
+        resolved: false,
+        appliedStrategy: 'manual',
+        requiresManualResolution: true
+      };
     }
 
-    const hasConflict = localTime.getTime() !== githubTime.getTime();
-    const localNewer = localTime > githubTime;
-    const remoteNewer = githubTime > localTime;
+    const directions = { local: 'push', remote: 'pull', newest: 'bidirectional' };
+    const result = await this._syncLegacy(name, issueNumber, {
+      direction: directions[strategy],
+      conflictStrategy: strategy
+    });
 
     return {
-      hasConflict,
-      localNewer,
-      remoteNewer,
-      conflictFields
+      resolved: result.success,
+      appliedStrategy: strategy,
+      result
     };
   }
 
+  // ==========================================
+  // 8. PROVIDER-NEUTRAL SYNC METHODS
+  // ==========================================
+
   /**
-   * Resolve sync conflict using specified strategy
+   * Sync a local issue with any IssueTrackerProvider
+   *
+   * Single entry point for all trackers: the provider is addressed only
+   * through the IssueTrackerProvider contract and mappings are stored per
+   * provider name, so new adapters work without changes to this service.
    *
    * @param {number|string} issueNumber - Local issue number
-   * @param {string} strategy - Resolution strategy (local|remote|newest|manual|merge)
-   * @returns {Promise<Object>} Resolution result: { resolved, appliedStrategy, result }
-   * @throws {Error} If strategy is invalid
+   * @param {IssueTrackerProvider} [provider] - Tracker provider (defaults to this.provider)
+   * @param {Object} [options={}] - Sync options
+   * @param {string} [options.direction='push'] - push | pull | bidirectional
+   * @param {number|string} [options.remoteId] - Remote item to pull when the issue is not linked yet
+   * @param {boolean} [options.detectConflicts=false] - Refuse to overwrite newer data (push/pull)
+   * @param {string} [options.conflictStrategy='newest'] - Bidirectional conflicts: detect|manual|local|remote|newest
+   * @returns {Promise<Object>} Result: { success, provider, localNumber, remoteId, action, direction, conflict? }
+   * @throws {Error} If provider does not implement the contract or direction is invalid
+   *
+   * @example
+   * const provider = factory.createProvider('github');
+   * await issueService.sync(12, provider, { direction: 'bidirectional', conflictStrategy: 'detect' });
    */
-  async resolveConflict(issueNumber, strategy) {
-    const validStrategies = ['local', 'remote', 'newest', 'manual', 'merge'];
+  async sync(issueNumber, provider = this.provider, options = {}) {
+    const IssueTrackerProvider = require('../providers/IssueTrackerProvider');
 
-    if (!validStrategies.includes(strategy)) {
-      throw new Error('Invalid conflict resolution strategy');
+    if (!IssueTrackerProvider.implementsContract(provider)) {
+      throw new Error('Provider does not implement the IssueTrackerProvider contract');
     }
 
-    if (strategy === 'manual') {
-      return {
-        resolved: false,
-        appliedStrategy: 'manual',
-        requiresManualResolution: true
-      };
+    const direction = options.direction || 'push';
+
+    if (direction === 'push') {
+      return await this._pushToProvider(issueNumber, provider, options);
     }
 
-    const syncMap = await this._loadSyncMap();
-    const githubNumber = syncMap['local-to-github'][String(issueNumber)];
+    if (direction === 'pull') {
+      const name = provider.getName();
+      const syncMap = await this._loadProviderSyncMap(name);
+      const remoteId = options.remoteId ||
+        (issueNumber !== null && issueNumber !== undefined
+          ? syncMap[`local-to-${name}`][String(issueNumber)]
+          : null);
 
-    if (strategy === 'local') {
-      // Use local version
-      const result = await this.syncToGitHub(issueNumber);
-      return {
-        resolved: true,
-        appliedStrategy: 'local',
-        result
-      };
+      if (!remoteId) {
+        throw new Error(`Issue ${issueNumber} is not linked to ${name}`);
+      }
+
+      return await this._pullFromProvider(remoteId, provider, issueNumber, options);
     }
 
-    if (strategy === 'remote') {
-      // Use remote version
-      const result = await this.syncFromGitHub(githubNumber);
-      return {
-        resolved: true,
-        appliedStrategy: 'remote',
-        result
-      };
+    if (direction === 'bidirectional') {
+      return await this._syncBidirectionalWithProvider(issueNumber, provider, options);
     }
 
-    if (strategy === 'newest') {
-      // Use newest version based on timestamp
-      const localIssue = await this.getLocalIssue(issueNumber);
-      const githubIssue = await this.provider.getIssue(githubNumber);
+    throw new Error(`Invalid sync direction: ${direction}`);
+  }
 
-      const localTime = new Date(localIssue.updated || localIssue.created || 0);
-      const githubTime = new Date(githubIssue.updated_at || githubIssue.created_at || 0);
+  /**
+   * Detect sync conflicts between a local issue and a normalized tracker item
+   *
+   * A remote status that is only the provider's lossy read-back of the
+   * local one (GitHub shows in-progress as open) is not a conflicting field.
+   *
+   * @param {Object} localIssue - Local issue data
+   * @param {TrackerItem} remoteItem - Normalized remote item
+   * @param {IssueTrackerProvider} [provider] - Tracker provider (defaults to this.provider)
+   * @returns {Object} Conflict info: { hasConflict, localNewer, remoteNewer, conflictFields }
+   */
+  detectProviderConflict(localIssue, remoteItem, provider = this.provider) {
+    const localTime = new Date(localIssue.updated || localIssue.created || 0);
+    const remoteTime = new Date(remoteItem.updated || remoteItem.created || 0);
 
-      if (localTime >= githubTime) {
-        const result = await this.syncToGitHub(issueNumber);
-        return {
-          resolved: true,
-          appliedStrategy: 'newest',
-          result
-        };
-      } else {
-        const result = await this.syncFromGitHub(githubNumber);
-        return {
-          resolved: true,
-          appliedStrategy: 'newest',
-          result
-        };
-      }
+    const conflictFields = [];
+
+    if (localIssue.title !== remoteItem.title) {
+      conflictFields.push('title');
+    }
+
+    if (this.categorizeStatus(localIssue.status) !== this.categorizeStatus(remoteItem.status) &&
+        !this._isLossyStatus(provider, localIssue.status, remoteItem.status)) {
+      conflictFields.push('status');
     }
 
-    // merge strategy would go here (future enhancement)
     return {
-      resolved: false,
-      appliedStrategy: strategy,
-      message: 'Strategy not yet implemented'
+      hasConflict: localTime.getTime() !== remoteTime.getTime(),
+      localNewer: localTime > remoteTime,
+      remoteNewer: remoteTime > localTime,
+      conflictFields
     };
   }
 
   /**
-   * Get sync status for an issue
+   * Get sync status of an issue for any IssueTrackerProvider
    *
    * @param {number|string} issueNumber - Local issue number
-   * @returns {Promise<Object>} Status: { synced, localNumber, githubNumber, lastSync, status }
+   * @param {IssueTrackerProvider} [provider] - Tracker provider (defaults to this.provider)
+   * @returns {Promise<Object>} Status: { synced, provider, localNumber, remoteId, lastSync, status }
    */
-  async getSyncStatus(issueNumber) {
-    const syncMap = await this._loadSyncMap();
-    const githubNumber = syncMap['local-to-github'][String(issueNumber)];
+  async getProviderSyncStatus(issueNumber, provider = this.provider) {
+    const name = provider.getName();
+    const syncMap = await this._loadProviderSyncMap(name);
+    const remoteId = syncMap[`local-to-${name}`][String(issueNumber)];
 
-    if (!githubNumber) {
+    if (!remoteId) {
       return {
         synced: false,
+        provider: name,
         localNumber: String(issueNumber),
-        githubNumber: null,
+        remoteId: null,
         status: 'not-synced'
       };
     }
 
     const metadata = syncMap.metadata[String(issueNumber)] || {};
+    const base = {
+      provider: name,
+      localNumber: String(issueNumber),
+      remoteId: String(remoteId),
+      lastSync: metadata.lastSync
+    };
 
-    // Check if out of sync
     try {
       const localIssue = await this.getLocalIssue(issueNumber);
-      const githubIssue = await this.provider.getIssue(githubNumber);
+      const remoteItem = await provider.getItem(remoteId);
 
       const localTime = new Date(localIssue.updated || localIssue.created || 0);
-      const githubTime = new Date(githubIssue.updated_at || githubIssue.created_at || 0);
+      const remoteTime = new Date(remoteItem.updated || remoteItem.created || 0);
       const lastSyncTime = new Date(metadata.lastSync || 0);
 
-      const isOutOfSync = localTime > lastSyncTime || githubTime > lastSyncTime;
+      const isOutOfSync = localTime > lastSyncTime || remoteTime > lastSyncTime;
 
       return {
         synced: !isOutOfSync,
-        localNumber: String(issueNumber),
-        githubNumber: String(githubNumber),
-        lastSync: metadata.lastSync,
+        ...base,
         status: isOutOfSync ? 'out-of-sync' : 'synced'
       };
     } catch (error) {
-      return {
-        synced: true,
-        localNumber: String(issueNumber),
-        githubNumber: String(githubNumber),
-        lastSync: metadata.lastSync,
-        status: 'synced'
-      };
+      return { synced: true, ...base, status: 'synced' };
     }
   }
 
   // ==========================================
-  // PRIVATE HELPER METHODS FOR SYNC
+  // 9. CONFLICT RESOLUTION SESSIONS
   // ==========================================
 
   /**
-   * Load sync-map from file
-   * @private
+   * Collect the conflicting hunks between a local issue and its remote item
+   *
+   * Merges both sides against the last sync snapshot; everything that
+   * merges cleanly is kept, and each remaining frontmatter field or body
+   * hunk becomes one entry of `conflicts` to decide on. Without a snapshot
+   * an empty base is used, so every differing field and body is a conflict.
+   *
+   * @param {number|string} issueNumber - Local issue number
+   * @param {IssueTrackerProvider} [provider] - Tracker provider (defaults to this.provider)
+   * @returns {Promise<Object>} Session: { issueNumber, provider, remoteId, localBody, remoteBody, merge, conflicts }
+   * @throws {Error} If the provider is invalid or the issue is not linked
+   *
+   * @example
+   * const session = await issueService.getConflictSession(12, provider);
+   * const decisions = session.conflicts.map(() => ({ choice: 'local' }));
+   * await issueService.applyConflictResolutions(session, decisions, provider);
    */
-  async _loadSyncMap() {
-    const fs = require('fs-extra');
-    const path = require('path');
-    const syncMapPath = path.join(process.cwd(), '.claude/sync-map.json');
+  async getConflictSession(issueNumber, provider = this.provider) {
+    const IssueTrackerProvider = require('../providers/IssueTrackerProvider');
+
+    if (!IssueTrackerProvider.implementsContract(provider)) {
+      throw new Error('Provider does not implement the IssueTrackerProvider contract');
+    }
+
+    const name = provider.getName();
+    const syncMap = await this._loadProviderSyncMap(name);
+    const remoteId = syncMap[`local-to-${name}`][String(issueNumber)];
 
-    if (await fs.pathExists(syncMapPath)) {
-      return await fs.readJSON(syncMapPath);
+    if (!remoteId) {
+      throw new Error(`Issue ${issueNumber} is not linked to ${name}`);
     }
 
+    const localIssue = await this.getLocalIssue(issueNumber);
+    const remoteItem = await provider.getItem(remoteId);
+    const localView = this._issueSyncView(localIssue);
+    const remoteView = this._trackerSyncView(remoteItem);
+
+    const store = this._getSyncStateStore();
+    const base = await store.load(name, 'issue', issueNumber) || {
+      frontmatter: {},
+      body: '',
+      remote: { frontmatter: {}, body: '' }
+    };
+
+    const merge = store.merge(localView, remoteView, base, {
+      equivalent: (field, a, b) => field === 'status' && this.categorizeStatus(a) === this.categorizeStatus(b),
+      remoteEquivalent: this._lossyStatusMatcher(provider)
+    });
+
     return {
-      'local-to-github': {},
-      'github-to-local': {},
-      'metadata': {}
+      issueNumber: String(issueNumber),
+      provider: name,
+      remoteId: String(remoteId),
+      localIssue,
+      localBody: localView.body,
+      remoteBody: remoteView.body,
+      merge,
+      conflicts: merge.conflicts.map((conflict, index) => ({ ...conflict, index }))
     };
   }
 
   /**
-   * Save sync-map to file
-   * @private
+   * Apply per-hunk decisions from a conflict session
+   *
+   * Writes the resolved issue, pushes it to the provider (which records a
+   * new sync base) and logs every decision in ConflictHistory so it can be
+   * replayed later. The decisions share one history session holding the
+   * pre-resolution file, so undoing any of them restores the issue.
+   *
+   * The decisions are kept even when the push does not go through: a push
+   * queued in the outbox returns `queued` and `operationId`, a rejected one
+   * returns `success: false` and the `error`.
+   *
+   * @param {Object} session - Session from getConflictSession()
+   * @param {Array<Object>} decisions - One per conflict: { choice: local|remote|both|edited, content? }
+   * @param {IssueTrackerProvider} [provider] - Tracker provider (defaults to this.provider)
+   * @returns {Promise<Object>} Push result with action 'resolved' and the history `logIds`
+   * @throws {Error} If a decision is missing or invalid
    */
-  async _saveSyncMap(syncMap) {
-    const fs = require('fs-extra');
-    const path = require('path');
-    const syncMapPath = path.join(process.cwd(), '.claude/sync-map.json');
-    await fs.writeJSON(syncMapPath, syncMap, { spaces: 2 });
+  async applyConflictResolutions(session, decisions, provider = this.provider) {
+    const choices = ['local', 'remote', 'both', 'edited'];
+
+    session.conflicts.forEach((conflict, index) => {
+      const decision = decisions[index];
+
+      if (!decision || !choices.includes(decision.choice)) {
+        throw new Error(`Invalid decision for conflict ${index + 1}: expected one of ${choices.join(', ')}`);
+      }
+
+      if (decision.choice === 'edited' && typeof decision.content !== 'string') {
+        throw new Error(`Edited decision for conflict ${index + 1} requires content`);
+      }
+    });
+
+    const chosen = session.conflicts.map((conflict, index) =>
+      this._chooseConflictContent(conflict, decisions[index]));
+
+    const frontmatter = { ...session.merge.frontmatter };
+    const bodyChoices = new Map();
+
+    session.conflicts.forEach((conflict, index) => {
+      if (conflict.section === 'frontmatter') {
+        frontmatter[conflict.field] = chosen[index];
+      } else {
+        bodyChoices.set(conflict.hunk, chosen[index]);
+      }
+    });
+
+    const body = this._resolveBodyHunks(session.merge, bodyChoices);
+    const filePath = this.getIssuePath(session.issueNumber);
+    const previousContent = await require('fs-extra').readFile(filePath, 'utf8');
+
+    await this._writeMergedIssue(session.issueNumber, session.localIssue, { frontmatter, body });
+
+    // The resolved file is already written, so a rejected push is reported
+    // with the recorded decisions instead of thrown
+    let result;
+    try {
+      result = await this._pushToProvider(session.issueNumber, provider);
+    } catch (error) {
+      result = {
+        success: false,
+        provider: session.provider,
+        localNumber: session.issueNumber,
+        remoteId: session.remoteId,
+        direction: 'push',
+        error: error.message
+      };
+    }
+
+    const history = this._getConflictHistory();
+    const context = {
+      entityType: 'issue',
+      entityId: session.issueNumber,
+      filePath,
+      previousContent,
+      sessionId: require('crypto').randomBytes(8).toString('hex')
+    };
+    const logIds = session.conflicts.map((conflict, index) => history.log(
+      { ...conflict, provider: session.provider, remoteId: session.remoteId },
+      { strategy: decisions[index].choice, chosenContent: chosen[index] },
+      context
+    ));
+
+    return { remoteId: session.remoteId, ...result, action: 'resolved', direction: 'merged', logIds };
   }
 
+  // ==========================================
+  // 10. OFFLINE OUTBOX
+  // ==========================================
+
   /**
-   * Update sync-map with new mapping
-   * @private
+   * Add a comment to the remote item linked to a local issue
+   *
+   * Queued in the outbox when the provider is unreachable, or when the
+   * issue is not linked yet but its creation is already queued.
+   *
+   * @param {number|string} issueNumber - Local issue number
+   * @param {string} body - Comment text
+   * @param {IssueTrackerProvider} [provider] - Tracker provider (defaults to this.provider)
+   * @param {Object} [options={}] - Options
+   * @param {boolean} [options.queueOnFailure=true] - Queue on transient failure instead of throwing
+   * @returns {Promise<Object>} Result: { success, provider, localNumber, remoteId, action, queued?, operationId? }
+   * @throws {Error} If the provider is invalid, the body is empty or the issue is not linked
+   *
+   * @example
+   * await issueService.commentOnIssue(12, 'Deployed to staging', provider);
    */
-  async _updateSyncMap(localNumber, githubNumber) {
-    const syncMap = await this._loadSyncMap();
+  async commentOnIssue(issueNumber, body, provider = this.provider, options = {}) {
+    const IssueTrackerProvider = require('../providers/IssueTrackerProvider');
 
-    syncMap['local-to-github'][String(localNumber)] = String(githubNumber);
-    syncMap['github-to-local'][String(githubNumber)] = String(localNumber);
-    syncMap['metadata'][String(localNumber)] = {
-      lastSync: new Date().toISOString(),
-      githubNumber: String(githubNumber)
-    };
+    if (!IssueTrackerProvider.implementsContract(provider)) {
+      throw new Error('Provider does not implement the IssueTrackerProvider contract');
+    }
+
+    if (!body || !String(body).trim()) {
+      throw new Error('Comment body is required');
+    }
 
-    await this._saveSyncMap(syncMap);
+    const name = provider.getName();
+    const syncMap = await this._loadProviderSyncMap(name);
+    const remoteId = syncMap[`local-to-${name}`][String(issueNumber)];
+    const operation = this._outboxOperation(name, issueNumber, 'comment', { body: String(body) });
+
+    if (!remoteId) {
+      const pending = options.queueOnFailure === false ? [] : await this._getOutbox().list();
+      const creating = pending.some(queued =>
+        queued.provider === name && queued.entityId === String(issueNumber) && queued.action === 'create');
+
+      if (!creating) {
+        throw new Error(`Issue ${issueNumber} is not linked to ${name}`);
+      }
+
+      const { operation: queued } = await this._getOutbox().enqueue(operation);
+      return {
+        success: false,
+        provider: name,
+        localNumber: String(issueNumber),
+        queued: true,
+        action: 'comment',
+        operationId: queued.id
+      };
+    }
+
+    const remote = await this._sendOrQueue(operation, options, async () => {
+      return { result: await provider.addItemComment(remoteId, String(body)) };
+    });
+
+    if (remote.queued) {
+      return { success: false, provider: name, localNumber: String(issueNumber), ...remote.queued };
+    }
+
+    return {
+      success: true,
+      provider: name,
+      localNumber: String(issueNumber),
+      remoteId: String(remoteId),
+      action: 'commented'
+    };
   }
 
   /**
-   * Map local status to GitHub state
-   * @private
+   * Perform one queued outbox operation
+   *
+   * Used as the SyncOutbox replay executor. Pushes always send the current
+   * local issue, so coalesced updates need no payload. Errors are thrown
+   * unchanged so the outbox can tell transient from permanent failures.
+   *
+   * @param {Object} operation - Queued operation: { provider, entityType, entityId, action, payload }
+   * @param {IssueTrackerProvider} [provider] - Provider named by the operation (defaults to this.provider)
+   * @returns {Promise<Object>} Result of the push or comment
+   * @throws {Error} If the operation does not match the provider or cannot be performed
+   *
+   * @example
+   * await outbox.replay(operation => issueService.replayOutboxOperation(operation, provider));
    */
-  _mapStatusToGitHub(status) {
-    if (!status) return 'open';
+  async replayOutboxOperation(operation, provider = this.provider) {
+    const IssueTrackerProvider = require('../providers/IssueTrackerProvider');
 
-    const lowerStatus = status.toLowerCase();
+    if (!IssueTrackerProvider.implementsContract(provider)) {
+      throw new Error('Provider does not implement the IssueTrackerProvider contract');
+    }
 
-    if (['closed', 'completed', 'done', 'resolved'].includes(lowerStatus)) {
-      return 'closed';
+    if (operation.entityType !== 'issue') {
+      throw new Error(`Cannot replay ${operation.entityType} operations as issues`);
     }
 
-    return 'open';
+    if (operation.provider !== provider.getName()) {
+      throw new Error(`Operation for ${operation.provider} cannot be replayed with ${provider.getName()}`);
+    }
+
+    if (operation.action === 'comment') {
+      return await this.commentOnIssue(operation.entityId, (operation.payload || {}).body, provider, { queueOnFailure: false });
+    }
+
+    return await this._pushToProvider(operation.entityId, provider, { queueOnFailure: false });
   }
 
   // ==========================================
-  // 7. AZURE DEVOPS SYNC METHODS (8 NEW METHODS)
+  // 11. INCREMENTAL SYNC
   // ==========================================
 
   /**
-   * Sync local issue to Azure DevOps (enhanced push with conflict detection)
+   * Sync every issue that changed since the last run
    *
-   * @param {number|string} issueNumber - Local issue number
+   * Local files whose content hash matches the last synced content are
+   * skipped without parsing; remote items are listed with
+   * `listItemsChangedSince` from the stored cursor (everything on the first
+   * run or with `full`). Remote changes that only echo our own last push
+   * are recognised from the sync snapshot and skipped. Issues changed on
+   * both sides go through bidirectional sync. Local issues not yet linked
+   * to the provider are only created remotely with `pushNew`; otherwise
+   * they are reported as `unlinked`.
+   *
+   * The cursor only advances when every remote change was applied, so
+   * failed or conflicting items are listed again next time.
+   *
+   * @param {IssueTrackerProvider} [provider] - Tracker provider (defaults to this.provider)
    * @param {Object} [options={}] - Sync options
-   * @param {boolean} [options.detectConflicts=false] - Enable conflict detection
-   * @returns {Promise<Object>} Result: { success, issueNumber, workItemId, action, conflict? }
+   * @param {boolean} [options.full=false] - Ignore the cursor and hashes and list everything
+   * @param {boolean} [options.dryRun=false] - Only report what would be synced
+   * @param {boolean} [options.pushNew=false] - Create remote items for unlinked local issues
+   * @param {string} [options.conflictStrategy='detect'] - Strategy for issues changed on both sides
+   * @returns {Promise<Object>} Report: { provider, full, cursor, plan, pushed, pulled, merged, conflicts, queued, unlinked, skipped, errors }
+   * @throws {Error} If the provider does not implement the contract
+   *
+   * @example
+   * const report = await issueService.syncChanged(provider);
+   * console.log(`${report.pushed.length} pushed, ${report.skipped} unchanged`);
    */
-  async syncToAzure(issueNumber, options = {}) {
-    const syncMap = await this._loadAzureSyncMap();
+  async syncChanged(provider = this.provider, options = {}) {
+    const fs = require('fs-extra');
+    const path = require('path');
+    const IssueTrackerProvider = require('../providers/IssueTrackerProvider');
+    const SyncCursorStore = require('../sync-cursor-store');
+
+    if (!IssueTrackerProvider.implementsContract(provider)) {
+      throw new Error('Provider does not implement the IssueTrackerProvider contract');
+    }
+
+    const name = provider.getName();
+    const cursorStore = this._getSyncCursorStore();
+    const syncStore = this._getSyncStateStore();
+    // Overlap absorbs clock skew; re-listed items are skipped via the snapshot
+    const nextCursor = new Date(Date.now() - 5 * 60 * 1000).toISOString();
+    const cursor = options.full ? null : await cursorStore.getCursor(name, 'issue');
+    const knownHashes = options.full ? {} : await cursorStore.getHashes(name, 'issue');
+
+    const report = {
+      provider: name,
+      full: !cursor,
+      cursor,
+      plan: [],
+      pushed: [],
+      pulled: [],
+      merged: [],
+      conflicts: [],
+      queued: [],
+      unlinked: [],
+      skipped: 0,
+      errors: []
+    };
+
+    // Local side: content hashes
+    const issuesDir = path.join(process.cwd(), this.options.issuesDir);
+    const files = (await fs.pathExists(issuesDir))
+      ? (await fs.readdir(issuesDir)).filter(file => /^\d+\.md$/.test(file))
+      : [];
+    const hashes = {};
+    const changedLocal = new Map();
+
+    for (const file of files) {
+      const issueNumber = path.basename(file, '.md');
+      const content = await fs.readFile(path.join(issuesDir, file), 'utf8');
+      const hash = SyncCursorStore.hash(content);
+
+      if (knownHashes[issueNumber] === hash) {
+        report.skipped++;
+        continue;
+      }
+
+      // No hash yet (e.g. synced before hashes existed): compare with the snapshot
+      const snapshot = await syncStore.load(name, 'issue', issueNumber);
+      if (snapshot && syncStore.isSameView(this._issueSyncView({ ...this.parseIssueMetadata(content), content }), snapshot)) {
+        hashes[issueNumber] = hash;
+        report.skipped++;
+        continue;
+      }
+
+      changedLocal.set(issueNumber, hash);
+    }
+
+    // Remote side: items changed since the cursor
+    const syncMap = await this._loadProviderSyncMap(name);
+    const remoteItems = await provider.listItemsChangedSince(cursor || new Date(0).toISOString());
+    const steps = [];
+
+    for (const item of remoteItems) {
+      if (item.type === 'epic') {
+        continue;
+      }
+
+      const localNumber = syncMap[`${name}-to-local`][String(item.id)] || null;
+
+      if (localNumber && await this._remoteMatchesSyncBase(provider, localNumber, item)) {
+        // Unchanged since the last sync (usually our own push); local edits are pushed below
+        continue;
+      }
+
+      if (localNumber && changedLocal.has(localNumber)) {
+        steps.push({ direction: 'bidirectional', localNumber, remoteId: String(item.id) });
+        changedLocal.delete(localNumber);
+      } else {
+        steps.push({ direction: 'pull', localNumber, remoteId: String(item.id), item });
+      }
+    }
+
+    for (const localNumber of changedLocal.keys()) {
+      const remoteId = syncMap[`local-to-${name}`][localNumber] || null;
+
+      // Creating remote items is opt-in; unlinked issues are listed instead
+      if (!remoteId && !options.pushNew) {
+        report.unlinked.push(localNumber);
+        continue;
+      }
+
+      steps.push({ direction: 'push', localNumber, remoteId });
+    }
+
+    report.plan = steps.map(({ direction, localNumber, remoteId }) => ({ direction, localNumber, remoteId }));
+
+    if (options.dryRun) {
+      return report;
+    }
+
+    let remoteComplete = true;
+
+    for (const step of steps) {
+      try {
+        let result;
+
+        if (step.direction === 'push') {
+          result = await this._pushToProvider(step.localNumber, provider);
+        } else if (step.direction === 'pull') {
+          result = await this._pullFromProvider(step.remoteId, provider, null, { remoteItem: step.item });
+        } else {
+          result = await this._syncBidirectionalWithProvider(step.localNumber, provider, {
+            conflictStrategy: options.conflictStrategy || 'detect'
+          });
+        }
+
+        if (result.queued) {
+          report.queued.push(result);
+          continue;
+        }
+
+        if (!result.success) {
+          report.conflicts.push(result);
+          remoteComplete = false;
+          continue;
+        }
+
+        if (step.direction === 'push') {
+          report.pushed.push(result);
+          hashes[step.localNumber] = changedLocal.get(step.localNumber);
+        } else {
+          report[step.direction === 'pull' ? 'pulled' : 'merged'].push(result);
+          const content = await fs.readFile(this.getIssuePath(result.localNumber), 'utf8');
+          hashes[result.localNumber] = SyncCursorStore.hash(content);
+        }
+      } catch (error) {
+        report.errors.push({ ...report.plan[steps.indexOf(step)], error: error.message });
+
+        if (step.direction !== 'push') {
+          remoteComplete = false;
+        }
+      }
+    }
+
+    await cursorStore.recordHashes(name, 'issue', hashes);
+
+    if (remoteComplete) {
+      await cursorStore.setCursor(name, 'issue', nextCursor);
+      report.cursor = nextCursor;
+    }
+
+    return report;
+  }
+
+  // ==========================================
+  // PRIVATE HELPER METHODS FOR PROVIDER-NEUTRAL SYNC
+  // ==========================================
+
+  /**
+   * Push local issue to provider (create or update)
+   * @private
+   */
+  async _pushToProvider(issueNumber, provider, options = {}) {
+    const name = provider.getName();
+    const syncMap = await this._loadProviderSyncMap(name);
     const localIssue = await this.getLocalIssue(issueNumber);
-    const workItemId = syncMap['local-to-azure'][String(issueNumber)];
+    const remoteId = syncMap[`local-to-${name}`][String(issueNumber)];
 
-    let result;
-    let action;
+    const item = this._toTrackerItem(localIssue);
 
-    if (workItemId) {
-      // Check for conflicts if enabled
-      if (options.detectConflicts) {
-        const azureWorkItem = await this.provider.getWorkItem(workItemId);
-        const conflict = this.detectAzureConflict(localIssue, azureWorkItem);
+    // Leaving a sprint clears the milestone/iteration the last sync set
+    if (!item.iteration && remoteId && await this._hadSyncedSprint(name, issueNumber)) {
+      item.iteration = null;
+    }
 
-        if (conflict.hasConflict && conflict.remoteNewer) {
-          return {
-            success: false,
-            issueNumber: String(issueNumber),
-            workItemId: String(workItemId),
-            conflict
-          };
+    const remote = await this._sendOrQueue(this._outboxOperation(name, issueNumber, remoteId ? 'update' : 'create'), options, async () => {
+      if (remoteId) {
+        if (options.detectConflicts) {
+          const remoteItem = await provider.getItem(remoteId);
+          const conflict = this.detectProviderConflict(localIssue, remoteItem);
+
+          if (conflict.hasConflict && conflict.remoteNewer) {
+            return { conflict };
+          }
         }
+
+        return { result: await provider.updateItem(remoteId, item), action: 'updated' };
       }
 
-      // Update existing Azure work item
-      result = await this.updateAzureWorkItem(workItemId, localIssue);
-      action = 'updated';
-    } else {
-      // Create new Azure work item
-      result = await this.createAzureWorkItem(localIssue);
-      action = 'created';
+      return { result: await provider.createItem(item), action: 'created' };
+    });
+
+    if (remote.queued) {
+      return {
+        success: false,
+        provider: name,
+        localNumber: String(issueNumber),
+        direction: 'push',
+        ...remote.queued
+      };
     }
 
-    // Update azure-sync-map
-    const workItemType = result.fields['System.WorkItemType'] || 'User Story';
-    await this._updateAzureSyncMap(String(issueNumber), String(result.id), workItemType);
+    if (remote.conflict) {
+      return {
+        success: false,
+        provider: name,
+        localNumber: String(issueNumber),
+        remoteId: String(remoteId),
+        direction: 'push',
+        conflict: remote.conflict
+      };
+    }
+
+    const { result, action } = remote;
+
+    await this._updateProviderSyncMap(name, String(issueNumber), String(result.id));
+    await this._recordSyncBase(name, issueNumber, result.id,
+      this._issueSyncView(localIssue), this._trackerSyncView(result));
 
     return {
       success: true,
-      issueNumber: String(issueNumber),
-      workItemId: String(result.id),
-      action
+      provider: name,
+      localNumber: String(issueNumber),
+      remoteId: String(result.id),
+      action,
+      direction: 'push'
     };
   }
 
   /**
-   * Sync Azure work item to local (enhanced pull with merge)
-   *
-   * @param {number|string} workItemId - Azure work item ID
-   * @param {Object} [options={}] - Sync options
-   * @param {boolean} [options.detectConflicts=false] - Enable conflict detection
-   * @returns {Promise<Object>} Result: { success, localNumber, workItemId, action, conflict? }
+   * Pull remote item into a local issue file
+   * @private
    */
-  async syncFromAzure(workItemId, options = {}) {
+  async _pullFromProvider(remoteId, provider, targetNumber, options = {}) {
     const fs = require('fs-extra');
 
-    const azureWorkItem = await this.provider.getWorkItem(workItemId);
-    const syncMap = await this._loadAzureSyncMap();
-    const localNumber = syncMap['azure-to-local'][String(workItemId)];
+    const name = provider.getName();
+    const remoteItem = options.remoteItem || await provider.getItem(remoteId);
+    const syncMap = await this._loadProviderSyncMap(name);
+    const mappedNumber = syncMap[`${name}-to-local`][String(remoteId)];
+
+    let localNumber = mappedNumber ||
+      (targetNumber !== null && targetNumber !== undefined ? String(targetNumber) : null);
+    let action = mappedNumber ? 'updated' : 'created';
+    let pulledItem = remoteItem;
+
+    if (localNumber && await fs.pathExists(this.getIssuePath(localNumber))) {
+      action = 'updated';
+      const localIssue = await this.getLocalIssue(localNumber);
 
-    let action;
-    let finalLocalNumber = localNumber;
+      // Keep a local status the tracker cannot represent (in-progress shown as open)
+      if (this._isLossyStatus(provider, localIssue.status, remoteItem.status)) {
+        pulledItem = { ...remoteItem, status: localIssue.status };
+      }
 
-    if (localNumber) {
-      // Check for conflicts if enabled
       if (options.detectConflicts) {
-        const localIssue = await this.getLocalIssue(localNumber);
-        const conflict = this.detectAzureConflict(localIssue, azureWorkItem);
+        const conflict = this.detectProviderConflict(localIssue, remoteItem, provider);
 
         if (conflict.hasConflict && conflict.localNewer) {
           return {
             success: false,
+            provider: name,
             localNumber: String(localNumber),
-            workItemId: String(workItemId),
+            remoteId: String(remoteId),
+            direction: 'pull',
             conflict
           };
         }
       }
+    }
 
-      // Update existing local issue
-      action = 'updated';
-    } else {
-      // Create new local issue - find next available number
+    if (!localNumber) {
       const issues = await this.listIssues();
       const maxNumber = issues.reduce((max, issue) => {
         const num = parseInt(issue.id || '0');
         return num > max ? num : max;
       }, 0);
-      finalLocalNumber = String(maxNumber + 1);
-      action = 'created';
+      localNumber = String(maxNumber + 1);
     }
 
-    // Build issue content with frontmatter
-    const tags = azureWorkItem.fields['System.Tags'] || '';
-    const assignee = azureWorkItem.fields['System.AssignedTo']
-      ? azureWorkItem.fields['System.AssignedTo'].displayName
-      : '';
-
-    const frontmatter = `---
-id: ${finalLocalNumber}
-title: ${azureWorkItem.fields['System.Title']}
-status: ${this._mapAzureStateToLocal(azureWorkItem.fields['System.State'])}
-${assignee ? `assignee: ${assignee}` : ''}
-${tags ? `labels: ${tags}` : ''}
-created: ${azureWorkItem.fields['System.CreatedDate']}
-updated: ${azureWorkItem.fields['System.ChangedDate']}
-azure_work_item_id: ${workItemId}
-work_item_type: ${azureWorkItem.fields['System.WorkItemType']}
----
-
-# ${azureWorkItem.fields['System.Title']}
-
-${azureWorkItem.fields['System.Description'] || ''}
-`;
-
-    // Write to local file
-    const issuePath = this.getIssuePath(finalLocalNumber);
-    await fs.writeFile(issuePath, frontmatter);
+    const issuePath = this.getIssuePath(localNumber);
+    const content = this._buildProviderIssueContent(pulledItem, localNumber, name);
+    await fs.ensureDir(require('path').dirname(issuePath));
+    await fs.writeFile(issuePath, content);
 
-    // Update azure-sync-map
-    const workItemType = azureWorkItem.fields['System.WorkItemType'] || 'User Story';
-    await this._updateAzureSyncMap(String(finalLocalNumber), String(workItemId), workItemType);
+    await this._updateProviderSyncMap(name, String(localNumber), String(remoteId));
+    await this._recordSyncBase(name, localNumber, remoteId,
+      this._issueSyncView({ ...this.parseIssueMetadata(content), content }),
+      this._trackerSyncView(remoteItem));
+    await this._getSprintService().syncMembership(`#${localNumber}`, remoteItem.iteration || null);
 
     return {
       success: true,
-      localNumber: String(finalLocalNumber),
-      workItemId: String(workItemId),
-      action
+      provider: name,
+      localNumber: String(localNumber),
+      remoteId: String(remoteId),
+      action,
+      direction: 'pull'
     };
   }
 
   /**
-   * Bidirectional Azure sync - sync in the direction of newer changes
-   *
-   * @param {number|string} issueNumber - Local issue number
-   * @param {Object} [options={}] - Sync options
-   * @param {string} [options.conflictStrategy='detect'] - How to handle conflicts
-   * @returns {Promise<Object>} Result: { success, direction, conflict? }
+   * Bidirectional sync driven by timestamps and conflict strategy
+   * @private
    */
-  async syncBidirectionalAzure(issueNumber, options = {}) {
-    const syncMap = await this._loadAzureSyncMap();
-    const workItemId = syncMap['local-to-azure'][String(issueNumber)];
+  async _syncBidirectionalWithProvider(issueNumber, provider, options = {}) {
+    const name = provider.getName();
+    const syncMap = await this._loadProviderSyncMap(name);
+    const remoteId = syncMap[`local-to-${name}`][String(issueNumber)];
 
-    if (!workItemId) {
-      // No Azure mapping, push to Azure
-      const result = await this.syncToAzure(issueNumber);
-      return { ...result, direction: 'to-azure' };
+    if (!remoteId) {
+      return await this._pushToProvider(issueNumber, provider);
     }
 
     const localIssue = await this.getLocalIssue(issueNumber);
-    const azureWorkItem = await this.provider.getWorkItem(workItemId);
-
-    const conflict = this.detectAzureConflict(localIssue, azureWorkItem);
+    const remoteItem = await provider.getItem(remoteId);
+    const conflict = this.detectProviderConflict(localIssue, remoteItem, provider);
 
     if (conflict.hasConflict) {
-      if (options.conflictStrategy === 'detect') {
+      const strategy = options.conflictStrategy || 'newest';
+
+      // Explicit local/remote strategies overwrite wholesale; others merge against the base
+      const plan = ['local', 'remote'].includes(strategy)
+        ? null
+        : await this._planSyncMerge(
+          name,
+          issueNumber,
+          this._issueSyncView(localIssue),
+          this._trackerSyncView(remoteItem),
+          (field, a, b) => field === 'status' && this.categorizeStatus(a) === this.categorizeStatus(b),
+          this._lossyStatusMatcher(provider)
+        );
+
+      if (plan && plan.action === 'none') {
+        return {
+          success: true,
+          provider: name,
+          localNumber: String(issueNumber),
+          remoteId: String(remoteId),
+          action: 'unchanged',
+          direction: 'none'
+        };
+      }
+
+      if (plan && plan.action === 'push') {
+        return await this._pushToProvider(issueNumber, provider);
+      }
+
+      if (plan && plan.action === 'pull') {
+        return await this._pullFromProvider(remoteId, provider, issueNumber);
+      }
+
+      if (plan && plan.action === 'merge') {
+        await this._writeMergedIssue(issueNumber, localIssue, plan.merge);
+        await this._getSprintService().syncMembership(`#${issueNumber}`, plan.merge.frontmatter.sprint || null);
+        const result = await this._pushToProvider(issueNumber, provider);
+        return { ...result, action: 'merged', direction: 'merged' };
+      }
+
+      if (plan) {
+        conflict.mergeConflicts = plan.merge.conflicts;
+      }
+
+      if (strategy === 'detect' || strategy === 'manual') {
         return {
           success: false,
+          provider: name,
+          localNumber: String(issueNumber),
+          remoteId: String(remoteId),
           direction: 'conflict',
+          requiresManualResolution: strategy === 'manual',
           conflict
         };
       }
 
-      // Auto-resolve based on timestamps
-      if (conflict.localNewer) {
-        const result = await this.syncToAzure(issueNumber);
-        return { ...result, direction: 'to-azure' };
-      } else if (conflict.remoteNewer) {
-        const result = await this.syncFromAzure(workItemId);
-        return { ...result, direction: 'from-azure' };
+      const pullRemote = strategy === 'remote' || (strategy === 'newest' && conflict.remoteNewer);
+
+      if (pullRemote) {
+        return await this._pullFromProvider(remoteId, provider, issueNumber);
       }
     }
 
-    // No conflict or same timestamp - sync local to Azure
-    const result = await this.syncToAzure(issueNumber);
-    return { ...result, direction: 'to-azure' };
+    return await this._pushToProvider(issueNumber, provider);
   }
 
   /**
-   * Create new Azure work item from local data
-   *
-   * @param {Object} issueData - Local issue data
-   * @returns {Promise<Object>} Created Azure work item
-   */
-  async createAzureWorkItem(issueData) {
-    const workItemType = issueData.work_item_type || 'User Story';
-    const tags = issueData.labels || '';
-
-    const azureData = {
-      title: issueData.title,
-      description: issueData.content || '',
-      state: this._mapStatusToAzure(issueData.status),
-      tags
+   * Convert local issue data to a normalized tracker item
+   * @private
+   */
+  _toTrackerItem(localIssue) {
+    const body = (localIssue.content || '').replace(/^---\n[\s\S]*?\n---\n*/, '');
+
+    const item = {
+      title: localIssue.title,
+      body,
+      status: localIssue.status || this.options.defaultStatus,
+      labels: localIssue.labels ? localIssue.labels.split(',').map(l => l.trim()).filter(Boolean) : [],
+      assignees: localIssue.assignee ? [localIssue.assignee] : [],
+      type: 'issue'
     };
 
-    const result = await this.provider.createWorkItem(workItemType, azureData);
-
-    // Update azure-sync-map if we have an ID
-    if (issueData.id) {
-      const resultWorkItemType = result.fields['System.WorkItemType'] || workItemType;
-      await this._updateAzureSyncMap(String(issueData.id), String(result.id), resultWorkItemType);
+    // Sprint membership (SprintService) maps to the tracker's milestone/iteration
+    if (localIssue.sprint) {
+      item.iteration = localIssue.sprint;
     }
 
-    return result;
+    return item;
   }
 
   /**
-   * Update existing Azure work item with local data
-   *
-   * @param {number|string} workItemId - Azure work item ID
-   * @param {Object} issueData - Local issue data
-   * @returns {Promise<Object>} Updated Azure work item
+   * Build local issue markdown from a normalized tracker item
+   * @private
    */
-  async updateAzureWorkItem(workItemId, issueData) {
-    const updateData = {};
+  _buildProviderIssueContent(remoteItem, localNumber, providerName) {
+    const lines = [
+      '---',
+      `id: ${localNumber}`,
+      `title: ${remoteItem.title}`,
+      `status: ${remoteItem.status}`
+    ];
 
-    if (issueData.title) {
-      updateData.title = issueData.title;
+    if (remoteItem.assignees && remoteItem.assignees.length > 0) {
+      lines.push(`assignee: ${remoteItem.assignees[0]}`);
     }
 
-    if (issueData.content) {
-      updateData.description = issueData.content;
+    if (remoteItem.labels && remoteItem.labels.length > 0) {
+      lines.push(`labels: ${remoteItem.labels.join(', ')}`);
     }
 
-    if (issueData.status) {
-      updateData.state = this._mapStatusToAzure(issueData.status);
+    if (remoteItem.iteration) {
+      lines.push(`sprint: ${remoteItem.iteration}`);
+    }
+
+    lines.push(`created: ${remoteItem.created}`);
+    lines.push(`updated: ${remoteItem.updated}`);
+    lines.push(`provider: ${providerName}`);
+    lines.push(`remote_id: ${remoteItem.id}`);
+
+    if (remoteItem.url) {
+      lines.push(`url: ${remoteItem.url}`);
     }
 
-    return await this.provider.updateWorkItem(workItemId, updateData);
+    lines.push('---', '');
+
+    // Remote bodies pushed from here already carry the title heading
+    const body = (remoteItem.body || '').trim();
+    const content = body.startsWith('# ') ? body : `# ${remoteItem.title}\n\n${body}`;
+
+    return `${lines.join('\n')}\n${content.trim()}\n`;
   }
 
   /**
-   * Detect sync conflicts between local and Azure work items
+   * Get sync-map path for a provider
    *
-   * @param {Object} localIssue - Local issue data
-   * @param {Object} azureWorkItem - Azure work item data
-   * @returns {Object} Conflict info: { hasConflict, localNewer, remoteNewer, conflictFields }
+   * GitHub keeps the legacy `.claude/sync-map.json` name; every other
+   * provider uses `.claude/<name>-sync-map.json`.
+   * @private
    */
-  detectAzureConflict(localIssue, azureWorkItem) {
-    const localTime = new Date(localIssue.updated || localIssue.created || 0);
-    const azureTime = new Date(azureWorkItem.fields['System.ChangedDate'] || azureWorkItem.fields['System.CreatedDate'] || 0);
+  _getProviderSyncMapPath(providerName) {
+    const path = require('path');
+    const fileName = providerName === 'github' ? 'sync-map.json' : `${providerName}-sync-map.json`;
+    return path.join(process.cwd(), '.claude', fileName);
+  }
 
-    const conflictFields = [];
+  /**
+   * Load sync-map for a provider
+   * @private
+   */
+  async _loadProviderSyncMap(providerName) {
+    const fs = require('fs-extra');
+    const syncMapPath = this._getProviderSyncMapPath(providerName);
 
-    // Check field differences
-    if (localIssue.title !== azureWorkItem.fields['System.Title']) {
-      conflictFields.push('title');
-    }
+    const syncMap = (await fs.pathExists(syncMapPath)) ? await fs.readJSON(syncMapPath) : {};
 
-    const localStatus = this._mapStatusToAzure(localIssue.status);
-    if (localStatus !== azureWorkItem.fields['System.State']) {
-      conflictFields.push('status');
-    }
+    return {
+      ...syncMap,
+      [`local-to-${providerName}`]: syncMap[`local-to-${providerName}`] || {},
+      [`${providerName}-to-local`]: syncMap[`${providerName}-to-local`] || {},
+      metadata: syncMap.metadata || {}
+    };
+  }
 
-    const hasConflict = localTime.getTime() !== azureTime.getTime();
-    const localNewer = localTime > azureTime;
-    const remoteNewer = azureTime > localTime;
+  /**
+   * Update sync-map for a provider with a new mapping
+   * @private
+   */
+  async _updateProviderSyncMap(providerName, localNumber, remoteId) {
+    const fs = require('fs-extra');
+    const path = require('path');
+    const syncMap = await this._loadProviderSyncMap(providerName);
 
-    return {
-      hasConflict,
-      localNewer,
-      remoteNewer,
-      conflictFields
+    syncMap[`local-to-${providerName}`][String(localNumber)] = String(remoteId);
+    syncMap[`${providerName}-to-local`][String(remoteId)] = String(localNumber);
+    syncMap.metadata[String(localNumber)] = {
+      ...syncMap.metadata[String(localNumber)],
+      lastSync: new Date().toISOString(),
+      remoteId: String(remoteId)
     };
+
+    const syncMapPath = this._getProviderSyncMapPath(providerName);
+    await fs.ensureDir(path.dirname(syncMapPath));
+    await fs.writeJSON(syncMapPath, syncMap, { spaces: 2 });
   }
 
+  // ==========================================
+  // PRIVATE HELPER METHODS FOR SYNC BASE SNAPSHOTS
+  // ==========================================
+
   /**
-   * Resolve Azure sync conflict using specified strategy
-   *
-   * @param {number|string} issueNumber - Local issue number
-   * @param {string} strategy - Resolution strategy (local|remote|newest|manual|merge)
-   * @returns {Promise<Object>} Resolution result: { resolved, appliedStrategy, result }
-   * @throws {Error} If strategy is invalid
+   * Get the sync state store, creating it on first use
+   * @private
    */
-  async resolveAzureConflict(issueNumber, strategy) {
-    const validStrategies = ['local', 'remote', 'newest', 'manual', 'merge'];
+  _getSyncStateStore() {
+    if (!this.syncStateStore) {
+      const SyncStateStore = require('../sync-state-store');
+      this.syncStateStore = new SyncStateStore();
+    }
 
-    if (!validStrategies.includes(strategy)) {
-      throw new Error('Invalid conflict resolution strategy');
+    return this.syncStateStore;
+  }
+
+  /**
+   * Get the incremental sync cursor store, creating it on first use
+   * @private
+   */
+  _getSyncCursorStore() {
+    if (!this.syncCursorStore) {
+      const SyncCursorStore = require('../sync-cursor-store');
+      this.syncCursorStore = new SyncCursorStore();
     }
 
-    if (strategy === 'manual') {
-      return {
-        resolved: false,
-        appliedStrategy: 'manual',
-        requiresManualResolution: true
-      };
+    return this.syncCursorStore;
+  }
+
+  /**
+   * Get the status transition history, creating it on first use
+   * @private
+   */
+  _getStatusHistory() {
+    if (!this.statusHistory) {
+      const path = require('path');
+      const StatusHistory = require('../status-history');
+      this.statusHistory = new StatusHistory({
+        basePath: path.join(process.cwd(), path.dirname(this.options.issuesDir))
+      });
     }
 
-    const syncMap = await this._loadAzureSyncMap();
-    const workItemId = syncMap['local-to-azure'][String(issueNumber)];
+    return this.statusHistory;
+  }
 
-    if (strategy === 'local') {
-      // Use local version
-      const result = await this.syncToAzure(issueNumber);
-      return {
-        resolved: true,
-        appliedStrategy: 'local',
-        result
-      };
+  /**
+   * Get the sprint service, creating it on first use
+   * @private
+   */
+  _getSprintService() {
+    if (!this.sprintService) {
+      const path = require('path');
+      const SprintService = require('./SprintService');
+      this.sprintService = new SprintService({
+        basePath: path.join(process.cwd(), path.dirname(this.options.issuesDir))
+      });
     }
 
-    if (strategy === 'remote') {
-      // Use remote version
-      const result = await this.syncFromAzure(workItemId);
-      return {
-        resolved: true,
-        appliedStrategy: 'remote',
-        result
-      };
+    return this.sprintService;
+  }
+
+  /**
+   * Check whether the last sync of an issue put it in a sprint
+   * @private
+   */
+  async _hadSyncedSprint(providerName, issueNumber) {
+    const snapshot = await this._getSyncStateStore().load(providerName, 'issue', issueNumber);
+
+    return !!snapshot && !!(snapshot.frontmatter.sprint || snapshot.remote.frontmatter.sprint);
+  }
+
+  /**
+   * Check whether a remote item still matches the last synced snapshot
+   * @private
+   */
+  async _remoteMatchesSyncBase(provider, issueNumber, remoteItem) {
+    const store = this._getSyncStateStore();
+    const snapshot = await store.load(provider.getName(), 'issue', issueNumber);
+
+    if (!snapshot) {
+      return false;
     }
 
-    if (strategy === 'newest') {
-      // Use newest version based on timestamp
-      const localIssue = await this.getLocalIssue(issueNumber);
-      const azureWorkItem = await this.provider.getWorkItem(workItemId);
+    const view = this._trackerSyncView(remoteItem);
+    const baseStatus = snapshot.remote.frontmatter.status;
 
-      const localTime = new Date(localIssue.updated || localIssue.created || 0);
-      const azureTime = new Date(azureWorkItem.fields['System.ChangedDate'] || azureWorkItem.fields['System.CreatedDate'] || 0);
+    if (this._isLossyStatus(provider, baseStatus, view.frontmatter.status)) {
+      view.frontmatter.status = baseStatus;
+    }
 
-      if (localTime >= azureTime) {
-        const result = await this.syncToAzure(issueNumber);
-        return {
-          resolved: true,
-          appliedStrategy: 'newest',
-          result
-        };
-      } else {
-        const result = await this.syncFromAzure(workItemId);
-        return {
-          resolved: true,
-          appliedStrategy: 'newest',
-          result
-        };
-      }
+    return store.isSameView(view, snapshot.remote);
+  }
+
+  /**
+   * Check whether a remote status is only the provider's lossy read-back of a local one
+   * @private
+   */
+  _isLossyStatus(provider, status, remoteStatus) {
+    if (!status || !provider || typeof provider.roundTripStatus !== 'function') {
+      return false;
     }
 
-    // merge strategy would go here (future enhancement)
-    return {
-      resolved: false,
-      appliedStrategy: strategy,
-      message: 'Strategy not yet implemented'
-    };
+    return status !== remoteStatus && provider.roundTripStatus(status) === remoteStatus;
   }
 
   /**
-   * Get Azure sync status for an issue
-   *
-   * @param {number|string} issueNumber - Local issue number
-   * @returns {Promise<Object>} Status: { synced, localNumber, workItemId, lastSync, status }
+   * Build the merge hook that keeps a lossy remote status from counting as a remote edit
+   * @private
    */
-  async getAzureSyncStatus(issueNumber) {
-    const syncMap = await this._loadAzureSyncMap();
-    const workItemId = syncMap['local-to-azure'][String(issueNumber)];
+  _lossyStatusMatcher(provider) {
+    return (field, remoteValue, remoteBase) =>
+      field === 'status' && this._isLossyStatus(provider, remoteBase, remoteValue);
+  }
 
-    if (!workItemId) {
-      return {
-        synced: false,
-        localNumber: String(issueNumber),
-        workItemId: null,
-        status: 'not-synced'
-      };
+  /**
+   * Strip frontmatter and the title heading so bodies compare across trackers
+   * @private
+   */
+  _normalizeSyncBody(content, title) {
+    const body = (content || '')
+      .replace(/\r\n/g, '\n')
+      .replace(/^---\n[\s\S]*?\n---\n*/, '')
+      .trim();
+
+    const lines = body.split('\n');
+    if (title && lines[0].trim() === `# ${String(title).trim()}`) {
+      return lines.slice(1).join('\n').trim();
     }
 
-    const metadata = syncMap.metadata[String(issueNumber)] || {};
+    return body;
+  }
 
-    // Check if out of sync
-    try {
-      const localIssue = await this.getLocalIssue(issueNumber);
-      const azureWorkItem = await this.provider.getWorkItem(workItemId);
+  /**
+   * Build the comparable sync view of a local issue
+   * @private
+   */
+  _issueSyncView(issue) {
+    return {
+      frontmatter: {
+        title: issue.title,
+        status: issue.status,
+        labels: issue.labels,
+        assignee: issue.assignee,
+        sprint: issue.sprint
+      },
+      body: this._normalizeSyncBody(issue.content, issue.title)
+    };
+  }
 
-      const localTime = new Date(localIssue.updated || localIssue.created || 0);
-      const azureTime = new Date(azureWorkItem.fields['System.ChangedDate'] || azureWorkItem.fields['System.CreatedDate'] || 0);
-      const lastSyncTime = new Date(metadata.lastSync || 0);
+  /**
+   * Build the comparable sync view of a normalized tracker item
+   * @private
+   */
+  _trackerSyncView(item) {
+    return {
+      frontmatter: {
+        title: item.title,
+        status: item.status,
+        labels: item.labels || [],
+        assignee: (item.assignees || [])[0] || '',
+        sprint: item.iteration || ''
+      },
+      body: this._normalizeSyncBody(item.body, item.title)
+    };
+  }
+
+  /**
+   * Snapshot both sides after a successful sync
+   * @private
+   */
+  async _recordSyncBase(providerName, issueNumber, remoteId, localView, remoteView) {
+    await this._getSyncStateStore().save(providerName, 'issue', issueNumber, {
+      remoteId,
+      local: localView,
+      remote: remoteView
+    });
+  }
 
-      const isOutOfSync = localTime > lastSyncTime || azureTime > lastSyncTime;
+  /**
+   * Decide how to reconcile diverged sides using the last sync snapshot
+   *
+   * @private
+   * @returns {Promise<Object|null>} { action: none|push|pull|merge|conflict, merge } or null without a base
+   */
+  async _planSyncMerge(providerName, issueNumber, localView, remoteView, equivalent, remoteEquivalent) {
+    const store = this._getSyncStateStore();
+    const base = await store.load(providerName, 'issue', issueNumber);
 
-      return {
-        synced: !isOutOfSync,
-        localNumber: String(issueNumber),
-        workItemId: String(workItemId),
-        lastSync: metadata.lastSync,
-        status: isOutOfSync ? 'out-of-sync' : 'synced'
-      };
-    } catch (error) {
-      return {
-        synced: true,
-        localNumber: String(issueNumber),
-        workItemId: String(workItemId),
-        lastSync: metadata.lastSync,
-        status: 'synced'
-      };
+    if (!base) {
+      return null;
     }
-  }
 
-  // ==========================================
-  // PRIVATE HELPER METHODS FOR AZURE SYNC
-  // ==========================================
+    const merge = store.merge(localView, remoteView, base, { equivalent, remoteEquivalent });
+
+    let action = 'merge';
+    if (merge.hasConflicts) {
+      action = 'conflict';
+    } else if (!merge.localChanged && !merge.remoteChanged) {
+      action = 'none';
+    } else if (!merge.remoteChanged) {
+      action = 'push';
+    } else if (!merge.localChanged) {
+      action = 'pull';
+    }
+
+    return { action, merge };
+  }
 
   /**
-   * Load azure-sync-map from file
+   * Get the offline outbox, creating it on first use
    * @private
    */
-  async _loadAzureSyncMap() {
-    const fs = require('fs-extra');
-    const path = require('path');
-    const syncMapPath = path.join(process.cwd(), '.claude/azure-sync-map.json');
-
-    if (await fs.pathExists(syncMapPath)) {
-      return await fs.readJSON(syncMapPath);
+  _getOutbox() {
+    if (!this.outbox) {
+      const SyncOutbox = require('../sync-outbox');
+      this.outbox = new SyncOutbox();
     }
 
+    return this.outbox;
+  }
+
+  /**
+   * Describe an issue operation for the outbox
+   * @private
+   */
+  _outboxOperation(providerName, issueNumber, action, payload = {}) {
     return {
-      'local-to-azure': {},
-      'azure-to-local': {},
-      'metadata': {}
+      provider: providerName,
+      entityType: 'issue',
+      entityId: String(issueNumber),
+      action,
+      payload
     };
   }
 
   /**
-   * Save azure-sync-map to file
+   * Run a remote operation through the outbox circuit breaker
+   *
+   * Transient failures (and an open circuit) queue the operation and
+   * resolve to { queued: { queued, action, operationId, error } }; other
+   * errors are rethrown. With options.queueOnFailure === false the
+   * operation runs directly and every error is rethrown.
    * @private
    */
-  async _saveAzureSyncMap(syncMap) {
-    const fs = require('fs-extra');
-    const path = require('path');
-    const syncMapPath = path.join(process.cwd(), '.claude/azure-sync-map.json');
-    await fs.writeJSON(syncMapPath, syncMap, { spaces: 2 });
+  async _sendOrQueue(operation, options, send) {
+    if (options.queueOnFailure === false) {
+      return await send();
+    }
+
+    const SyncOutbox = require('../sync-outbox');
+    const outbox = this._getOutbox();
+    let outcome;
+
+    try {
+      // Permanent errors are returned, not thrown, so they do not trip the breaker
+      outcome = await outbox.circuitBreaker.execute(async () => {
+        try {
+          return { value: await send() };
+        } catch (error) {
+          if (SyncOutbox.isTransientError(error)) {
+            throw error;
+          }
+          return { error };
+        }
+      });
+    } catch (error) {
+      const { operation: queued } = await outbox.enqueue(operation);
+
+      return {
+        queued: {
+          queued: true,
+          action: operation.action,
+          operationId: queued.id,
+          error: error.message
+        }
+      };
+    }
+
+    if (outcome.error) {
+      throw outcome.error;
+    }
+
+    return outcome.value;
   }
 
   /**
-   * Update azure-sync-map with new mapping
+   * Get the conflict history journal, creating it on first use
    * @private
    */
-  async _updateAzureSyncMap(localNumber, workItemId, workItemType = 'User Story') {
-    const syncMap = await this._loadAzureSyncMap();
+  _getConflictHistory() {
+    if (!this.conflictHistory) {
+      const ConflictHistory = require('../conflict-history');
+      this.conflictHistory = new ConflictHistory({ storage: 'file' });
+    }
 
-    syncMap['local-to-azure'][String(localNumber)] = String(workItemId);
-    syncMap['azure-to-local'][String(workItemId)] = String(localNumber);
-    syncMap['metadata'][String(localNumber)] = {
-      lastSync: new Date().toISOString(),
-      workItemId: String(workItemId),
-      workItemType
-    };
+    return this.conflictHistory;
+  }
 
-    await this._saveAzureSyncMap(syncMap);
+  /**
+   * Content chosen for one conflict by a decision
+   * @private
+   */
+  _chooseConflictContent(conflict, decision) {
+    switch (decision.choice) {
+      case 'local':
+        return conflict.localContent;
+      case 'remote':
+        return conflict.remoteContent;
+      case 'both':
+        return [conflict.localContent, conflict.remoteContent]
+          .filter(content => content)
+          .join(conflict.section === 'frontmatter' ? ', ' : '\n');
+      default:
+        return decision.content;
+    }
   }
 
   /**
-   * Map local status to Azure state
+   * Rebuild the merged body with chosen content in place of conflict hunks
    * @private
    */
-  _mapStatusToAzure(status) {
-    if (!status) return 'New';
+  _resolveBodyHunks(merge, bodyChoices) {
+    if (!merge.bodyHunks) {
+      return merge.body;
+    }
 
-    const lowerStatus = status.toLowerCase();
-    const statusMap = {
-      'open': 'New',
-      'in-progress': 'Active',
-      'done': 'Resolved',
-      'completed': 'Resolved',
-      'closed': 'Closed'
-    };
+    const lines = [];
+    let conflictIndex = 0;
+
+    for (const hunk of merge.bodyHunks) {
+      if (hunk.type !== 'conflict') {
+        lines.push(...hunk.merged);
+        continue;
+      }
+
+      const content = bodyChoices.get(conflictIndex++);
+      if (content) {
+        lines.push(content);
+      }
+    }
 
-    return statusMap[lowerStatus] || 'New';
+    return lines.join('\n').trim();
   }
 
   /**
-   * Map Azure state to local status
+   * Write a cleanly merged result back to the local issue file
    * @private
    */
-  _mapAzureStateToLocal(state) {
-    const stateMap = {
-      'New': 'open',
-      'Active': 'in-progress',
-      'Resolved': 'done',
-      'Closed': 'closed'
+  async _writeMergedIssue(issueNumber, localIssue, merge) {
+    const fs = require('fs-extra');
+
+    const frontmatterMatch = (localIssue.content || '').match(/^---\n([\s\S]*?)\n---/);
+    const lines = (frontmatterMatch ? frontmatterMatch[1].split('\n') : []).filter(line => line.trim());
+
+    const values = {
+      ...merge.frontmatter,
+      updated: new Date().toISOString()
     };
 
-    return stateMap[state] || 'open';
+    for (const [key, value] of Object.entries(values)) {
+      const index = lines.findIndex(line => line.startsWith(`${key}:`));
+
+      if (!value) {
+        if (index !== -1) {
+          lines.splice(index, 1);
+        }
+        continue;
+      }
+
+      if (index === -1) {
+        lines.push(`${key}: ${value}`);
+      } else {
+        lines[index] = `${key}: ${value}`;
+      }
+    }
+
+    const content = `---\n${lines.join('\n')}\n---\n\n# ${merge.frontmatter.title}\n\n${merge.body}\n`;
+    await fs.writeFile(this.getIssuePath(issueNumber), content);
+
+    return content;
   }
 }
 
@@ -9,8 +9,14 @@
  * - extractPrdContent: Parse PRD sections (basic + advanced)
  * - parseUserStories: Extract user story format
  *
+ * Tier 2: AI Methods (provider required)
+ * - parse, extractEpics: schema-validated structured output
+ *   (AbstractAIProvider.generateStructured); invalid responses are repaired
+ *   or raise an AIProviderError
+ *
  * Tier 3: Utilities (No I/O)
  * - parseEffort: Convert effort strings to hours
+ * - effortHours: Task effort in hours from frontmatter
  * - formatEffort: Convert hours to readable format
  * - calculateTotalEffort: Sum effort across tasks
  * - calculateEffortByType: Sum effort for specific type
@@ -25,6 +31,48 @@
  * - mcp://context7/markdown/parsing - Markdown parsing patterns
  */
 
+const EFFORT_PATTERN = '^\\d+(\\.\\d+)?[hdw]$';
+
+const STORY_SCHEMA = {
+  type: 'object',
+  required: ['title'],
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    acceptanceCriteria: { type: 'array', items: { type: 'string' } },
+    effort: { type: 'string', pattern: EFFORT_PATTERN }
+  }
+};
+
+const EPIC_SCHEMA = {
+  type: 'object',
+  required: ['id', 'title', 'description', 'stories', 'effort', 'dependencies'],
+  properties: {
+    id: { type: 'string', pattern: '^[a-z0-9][a-z0-9-]*$' },
+    title: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    stories: { type: 'array', items: STORY_SCHEMA },
+    effort: { type: 'string', pattern: EFFORT_PATTERN },
+    dependencies: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+const EPICS_SCHEMA = {
+  type: 'object',
+  required: ['epics'],
+  properties: {
+    epics: { type: 'array', minItems: 1, items: EPIC_SCHEMA }
+  }
+};
+
+const ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'epics'],
+  properties: {
+    summary: { type: 'string' },
+    epics: EPICS_SCHEMA.properties.epics
+  }
+};
+
 class PRDService {
   /**
    * Create a new PRDService instance
@@ -378,6 +426,29 @@ class PRDService {
     return this.options.defaultEffortHours;
   }
 
+  /**
+   * Effort of a task in hours from its frontmatter
+   *
+   * A numeric `effort` is taken as hours, an effort string goes through
+   * parseEffort, and `estimated_hours` is used when there is no `effort`.
+   *
+   * @param {Object} frontmatter - Task frontmatter
+   * @returns {number} Effort in hours
+   *
+   * @example
+   * service.effortHours({ effort: '2d' })          // Returns 16
+   * service.effortHours({ estimated_hours: '6' })  // Returns 6
+   */
+  effortHours(frontmatter = {}) {
+    if (typeof frontmatter.effort === 'number') {
+      return frontmatter.effort;
+    }
+    if (!frontmatter.effort && frontmatter.estimated_hours !== undefined) {
+      return parseFloat(frontmatter.estimated_hours) || 0;
+    }
+    return this.parseEffort(frontmatter.effort);
+  }
+
   /**
    * Format hours to readable effort string
    *
@@ -626,17 +697,21 @@ class PRDService {
    * Returns a complete analysis object after processing is finished.
    * For real-time updates, use parseStream() instead.
    *
+   * The response must match the analysis schema (see extractEpics for the
+   * epic fields); without a provider, epics are derived from the features.
+   *
    * @param {string} content - PRD markdown content
-   * @param {Object} [options] - Analysis options
-   * @returns {Promise<Object>} Analysis result with epics array
-   * @throws {Error} If provider is not available
+   * @param {Object} [options] - Analysis options (passed to generateStructured)
+   * @returns {Promise<Object>} Analysis result: { summary, epics }
+   * @throws {Error} If the provider lacks generateStructured()
+   * @throws {AIProviderError} If no valid response was produced
    *
    * @example
    * const result = await service.parse(prdContent);
-   * console.log(result.epics); // [{ id: 'epic-1', title: 'Epic Title' }]
+   * console.log(result.epics); // [{ id: 'auth', title: 'Auth', stories: [...], effortHours: 24, dependencies: [] }]
    */
   async parse(content, options = {}) {
-    if (!this.provider || !this.provider.generate) {
+    if (!this.provider) {
       // Fallback: use basic parsing if no AI provider
       const sections = this.extractPrdContent(content);
       const frontmatter = this.parseFrontmatter(content);
@@ -658,26 +733,14 @@ class PRDService {
 4. Success metrics
 5. Potential challenges
 
-Return the analysis as JSON with an "epics" array containing objects with "id" and "title" fields.
+Return a short summary of the analysis and the epics to build, each with its user stories, estimated effort (e.g. "3d") and the ids of the epics it depends on.
 
 PRD Content:
 ${content}`;
 
-    const response = await this.provider.generate(prompt, options);
+    const result = await this._generateStructured(prompt, ANALYSIS_SCHEMA, options);
 
-    // Try to parse JSON response, fallback to basic parsing
-    try {
-      const parsed = JSON.parse(response);
-      return parsed;
-    } catch (error) {
-      // Fallback to basic parsing
-      const sections = this.extractPrdContent(content);
-      const epics = sections.features.map((feature, index) => ({
-        id: `epic-${index + 1}`,
-        title: feature
-      }));
-      return { epics };
-    }
+    return { summary: result.summary, epics: this._normalizeEpics(result.epics) };
   }
 
   /**
@@ -687,17 +750,24 @@ ${content}`;
    * complexity, and technical approach. Returns a complete list of epics.
    * For real-time updates, use extractEpicsStream() instead.
    *
+   * Epics returned by the provider are validated against a JSON Schema:
+   * { id, title, description, stories: [{ title, acceptanceCriteria, effort }],
+   * effort, dependencies }, and dependencies must name other epics. Each epic
+   * gets effortHours (parseEffort). Without a provider, epics are derived
+   * from the features.
+   *
    * @param {string} content - PRD markdown content
-   * @param {Object} [options] - Extraction options
+   * @param {Object} [options] - Extraction options (passed to generateStructured)
    * @returns {Promise<Array<Object>>} Array of epic objects
-   * @throws {Error} If provider is not available
+   * @throws {Error} If the provider lacks generateStructured()
+   * @throws {AIProviderError} If no valid response was produced
    *
    * @example
    * const epics = await service.extractEpics(prdContent);
-   * console.log(epics); // [{ id: 'epic-1', title: 'Epic 1', description: '...' }]
+   * console.log(epics); // [{ id: 'auth', title: 'Auth', description: '...', stories: [...], effort: '3d', effortHours: 24, dependencies: [] }]
    */
   async extractEpics(content, options = {}) {
-    if (!this.provider || !this.provider.generate) {
+    if (!this.provider) {
       // Fallback: use basic parsing if no AI provider
       const sections = this.extractPrdContent(content);
 
@@ -720,26 +790,67 @@ For each epic, provide:
 
 Break down the PRD into 2-5 cohesive epics that can be developed independently or in sequence.
 
-Return the result as JSON array with objects containing: id, title, description fields.
+Use lowercase, hyphenated ids (e.g. "user-auth") and list dependencies by epic id.
 
 PRD Content:
 ${content}`;
 
-    const response = await this.provider.generate(prompt, options);
+    const result = await this._generateStructured(prompt, EPICS_SCHEMA, options);
 
-    // Try to parse JSON response, fallback to basic parsing
-    try {
-      const parsed = JSON.parse(response);
-      return Array.isArray(parsed) ? parsed : parsed.epics || [];
-    } catch (error) {
-      // Fallback to basic parsing
-      const sections = this.extractPrdContent(content);
-      return sections.features.map((feature, index) => ({
-        id: `epic-${index + 1}`,
-        title: feature,
-        description: `Epic for ${feature}`
-      }));
+    return this._normalizeEpics(result.epics);
+  }
+
+  /**
+   * Request schema-validated output, checking epic dependencies too
+   * @private
+   */
+  async _generateStructured(prompt, schema, options) {
+    if (typeof this.provider.generateStructured !== 'function') {
+      throw new Error('PRD parsing requires an AI provider with generateStructured() support');
     }
+
+    return this.provider.generateStructured(prompt, schema, {
+      taskType: 'parse-prd',
+      ...options,
+      validate: value => this._checkEpicDependencies(value.epics)
+    });
+  }
+
+  /**
+   * Dependencies must name other epics of the same response
+   * @private
+   */
+  _checkEpicDependencies(epics) {
+    const ids = new Set(epics.map(epic => epic.id));
+    const errors = [];
+
+    epics.forEach((epic, index) => {
+      epic.dependencies.forEach(dep => {
+        if (dep === epic.id) {
+          errors.push(`$.epics[${index}].dependencies: epic "${epic.id}" depends on itself`);
+        } else if (!ids.has(dep)) {
+          errors.push(`$.epics[${index}].dependencies: unknown epic "${dep}"`);
+        }
+      });
+    });
+
+    return errors;
+  }
+
+  /**
+   * Add effort in hours to validated epics and their stories
+   * @private
+   */
+  _normalizeEpics(epics) {
+    return epics.map(epic => ({
+      ...epic,
+      effortHours: this.parseEffort(epic.effort),
+      stories: epic.stories.map(story => ({
+        acceptanceCriteria: [],
+        ...story,
+        ...(story.effort ? { effortHours: this.parseEffort(story.effort) } : {})
+      }))
+    }));
   }
 
   /**
@@ -799,7 +910,7 @@ Keep the summary under 300 words.
 PRD Content:
 ${content}`;
 
-    return await this.provider.generate(prompt, options);
+    return await this.provider.generate(prompt, { taskType: 'summarize', ...options });
   }
 
   /**
@@ -0,0 +1,737 @@
+/**
+ * SprintService - Sprint and Iteration Management
+ *
+ * A sprint is a time box with a goal and a scope of work items, stored in
+ * `.claude/sprints/<name>.json`. Items are referenced as `epic/task-id` for
+ * epic tasks and `#N` for local issues; each item also carries
+ * `sprint: <name>` in its frontmatter so queries such as `sprint:@sprint`
+ * find it.
+ *
+ * Lifecycle:
+ *
+ * 1. plan: create the sprint (status `planned`) and commit work to it
+ * 2. start: snapshot the committed scope and make it the current sprint
+ *    (`sprint` in .claude/config.json, used by the `@sprint` variable)
+ * 3. review: progress against the time box and scope changes since the start
+ * 4. close: record what was finished and carry the rest over to the next
+ *    sprint, or back to the backlog
+ *
+ * Only one sprint can be active at a time. Scope added or removed after the
+ * start is kept in `changes`, so burndown charts and reviews can tell
+ * committed work from work pulled in later.
+ *
+ * Trackers see a sprint as a GitHub milestone or an Azure DevOps iteration
+ * (`syncToProvider`); issues pushed by IssueService carry their sprint as
+ * the TrackerItem `iteration` (null once they leave it), and a sprint pulled
+ * from a tracker moves the issue between sprint scopes (`syncMembership`).
+ *
+ * Layout (`.claude/sprints/sprint-12.json`):
+ *
+ *   { "name": "sprint-12", "goal": "Ship login", "start": "2025-03-03", "end": "2025-03-14",
+ *     "status": "active", "tasks": ["auth/task-001", "#42"], "committed": ["auth/task-001"],
+ *     "changes": [{ "ref": "#42", "action": "added", "at": "..." }], ... }
+ *
+ * @example
+ * const SprintService = require('./lib/services/SprintService');
+ * const sprints = new SprintService();
+ *
+ * await sprints.plan('sprint-12', { start: '2025-03-03', end: '2025-03-14', goal: 'Ship login', tasks: ['auth/task-001'] });
+ * await sprints.start('sprint-12');
+ * const review = await sprints.review('sprint-12');
+ * await sprints.close('sprint-12', { carryOverTo: 'sprint-13' });
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const FilterEngine = require('../filter-engine');
+const PRDService = require('./PRDService');
+const StatusHistory = require('../status-history');
+
+const NAME_PATTERN = /^[A-Za-z0-9][\w.-]*$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_LENGTH = 14;
+
+class SprintService {
+  /**
+   * Create a new SprintService instance
+   *
+   * @param {Object} options - Configuration options
+   * @param {string} options.basePath - Base path for file operations (default: '.claude')
+   * @param {number} options.length - Default sprint length in days (default: 14)
+   */
+  constructor(options = {}) {
+    this.basePath = options.basePath || '.claude';
+    this.length = options.length || DEFAULT_LENGTH;
+    this.sprintsDir = path.join(this.basePath, 'sprints');
+    this.prdService = new PRDService();
+  }
+
+  // ==========================================
+  // 1. SPRINT ENTITIES
+  // ==========================================
+
+  /**
+   * List all sprints, oldest start first
+   *
+   * @param {Object} [filters={}] - Filters
+   * @param {string} [filters.status] - planned, active or closed
+   * @returns {Promise<Array<Object>>} Sprints
+   */
+  async list(filters = {}) {
+    let files = [];
+
+    try {
+      files = (await fs.readdir(this.sprintsDir)).filter(file => file.endsWith('.json'));
+    } catch (error) {
+      files = [];
+    }
+
+    const sprints = [];
+    for (const file of files) {
+      sprints.push(await fs.readJSON(path.join(this.sprintsDir, file)));
+    }
+
+    return sprints
+      .filter(sprint => !filters.status || sprint.status === filters.status)
+      .sort((a, b) => a.start.localeCompare(b.start) || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get a sprint by name
+   *
+   * @param {string} name - Sprint name
+   * @returns {Promise<Object>} Sprint
+   * @throws {Error} If the sprint does not exist
+   */
+  async get(name) {
+    const sprintPath = this._sprintPath(name);
+
+    if (!await fs.pathExists(sprintPath)) {
+      throw new Error(`Sprint not found: ${name}`);
+    }
+
+    return await fs.readJSON(sprintPath);
+  }
+
+  /**
+   * Get the active sprint
+   *
+   * @returns {Promise<Object|null>} Active sprint, or null
+   */
+  async getActive() {
+    const [active] = await this.list({ status: 'active' });
+    return active || null;
+  }
+
+  /**
+   * Plan a new sprint
+   *
+   * @param {string} name - Sprint name (letters, digits, ., - and _)
+   * @param {Object} [options={}] - Sprint fields
+   * @param {string} [options.start] - Start date, YYYY-MM-DD (default: today)
+   * @param {string} [options.end] - Last day, YYYY-MM-DD (default: start + length - 1)
+   * @param {string} [options.goal] - Sprint goal
+   * @param {string[]} [options.tasks] - Item refs to commit (epic/task-id or #N)
+   * @returns {Promise<Object>} Created sprint
+   * @throws {Error} If the name is invalid or taken, dates are invalid or a task is unknown
+   */
+  async plan(name, options = {}) {
+    if (!name || !NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid sprint name: ${name}. Use letters, digits, ., - and _`);
+    }
+
+    if (await fs.pathExists(this._sprintPath(name))) {
+      throw new Error(`Sprint already exists: ${name}`);
+    }
+
+    const start = this._validateDate(options.start || this._today());
+    const end = this._validateDate(options.end || this._addDays(start, this.length - 1));
+
+    if (end < start) {
+      throw new Error(`Sprint ends before it starts: ${start} to ${end}`);
+    }
+
+    // Fail before anything is written if a task is unknown
+    const tasks = options.tasks || [];
+    if (tasks.length > 0) {
+      const index = await this._loadItems();
+      tasks.forEach(ref => this._resolveRef(ref, index));
+    }
+
+    const sprint = {
+      name,
+      goal: options.goal || '',
+      start,
+      end,
+      status: 'planned',
+      tasks: [],
+      committed: [],
+      changes: [],
+      completed: [],
+      carriedOver: [],
+      carriedFrom: options.carriedFrom || null,
+      carriedTo: null,
+      created: new Date().toISOString(),
+      startedAt: null,
+      closedAt: null,
+      remote: {}
+    };
+
+    await this._save(sprint);
+
+    if (tasks.length > 0) {
+      return await this.addTasks(name, tasks);
+    }
+
+    return sprint;
+  }
+
+  /**
+   * Add work items to a sprint
+   *
+   * Items added after the sprint started are recorded as scope changes.
+   * An item belongs to one sprint at a time; adding it here moves it.
+   *
+   * @param {string} name - Sprint name
+   * @param {string[]} refs - Item refs (epic/task-id, #N or N)
+   * @returns {Promise<Object>} Updated sprint
+   * @throws {Error} If the sprint is closed or an item is unknown
+   */
+  async addTasks(name, refs) {
+    const sprint = await this.get(name);
+    this._assertOpen(sprint);
+
+    const index = await this._loadItems();
+    const resolved = refs.map(ref => this._resolveRef(ref, index));
+    const now = new Date().toISOString();
+
+    for (const ref of resolved) {
+      if (sprint.tasks.includes(ref)) {
+        continue;
+      }
+
+      const previous = index.items.get(ref).frontmatter.sprint;
+      if (previous && previous !== name) {
+        await this._dropFromSprint(String(previous), ref, now);
+      }
+
+      sprint.tasks.push(ref);
+      if (sprint.status === 'active') {
+        sprint.changes.push({ ref, action: 'added', at: now });
+      }
+      await this._setSprintField(index.items.get(ref).path, name);
+    }
+
+    await this._save(sprint);
+    return sprint;
+  }
+
+  /**
+   * Remove work items from a sprint, back to the backlog
+   *
+   * @param {string} name - Sprint name
+   * @param {string[]} refs - Item refs (epic/task-id, #N or N)
+   * @returns {Promise<Object>} Updated sprint
+   * @throws {Error} If the sprint is closed or an item is unknown
+   */
+  async removeTasks(name, refs) {
+    const sprint = await this.get(name);
+    this._assertOpen(sprint);
+
+    const index = await this._loadItems();
+    const now = new Date().toISOString();
+
+    for (const ref of refs.map(r => this._resolveRef(r, index))) {
+      if (!sprint.tasks.includes(ref)) {
+        continue;
+      }
+
+      sprint.tasks = sprint.tasks.filter(t => t !== ref);
+      if (sprint.status === 'active') {
+        sprint.changes.push({ ref, action: 'removed', at: now });
+      }
+      await this._setSprintField(index.items.get(ref).path, null);
+    }
+
+    await this._save(sprint);
+    return sprint;
+  }
+
+  /**
+   * Align sprint scopes with an item whose `sprint` field changed elsewhere
+   *
+   * Used when a sync pulls the sprint from a tracker milestone or
+   * iteration: the item leaves any other open sprint and joins `name` if
+   * that sprint exists and is not closed. The item file is not touched.
+   *
+   * @param {string} ref - Canonical item ref (epic/task-id or #N)
+   * @param {string|null} name - Sprint the item now belongs to, null for the backlog
+   * @returns {Promise<Object>} Result: { added, removed } (sprint name or null, sprint names)
+   */
+  async syncMembership(ref, name) {
+    const now = new Date().toISOString();
+    const removed = [];
+
+    for (const sprint of await this.list()) {
+      if (sprint.name !== name && sprint.status !== 'closed' && sprint.tasks.includes(ref)) {
+        await this._dropFromSprint(sprint.name, ref, now);
+        removed.push(sprint.name);
+      }
+    }
+
+    // Remote iterations without a local sprint of that name leave the scopes alone
+    if (!name || !NAME_PATTERN.test(name) || !await fs.pathExists(this._sprintPath(name))) {
+      return { added: null, removed };
+    }
+
+    const sprint = await this.get(name);
+    if (sprint.status === 'closed' || sprint.tasks.includes(ref)) {
+      return { added: null, removed };
+    }
+
+    sprint.tasks.push(ref);
+    if (sprint.status === 'active') {
+      sprint.changes.push({ ref, action: 'added', at: now });
+    }
+    await this._save(sprint);
+
+    return { added: name, removed };
+  }
+
+  /**
+   * Work items currently in a sprint
+   *
+   * Items whose files were deleted are skipped.
+   *
+   * @param {string} name - Sprint name
+   * @returns {Promise<Array<Object>>} Items: { ref, type, epic, path, frontmatter }
+   */
+  async getScope(name) {
+    const sprint = await this.get(name);
+    const index = await this._loadItems();
+
+    return sprint.tasks
+      .filter(ref => index.items.has(ref))
+      .map(ref => ({ ref, ...index.items.get(ref) }));
+  }
+
+  // ==========================================
+  // 2. SPRINT LIFECYCLE
+  // ==========================================
+
+  /**
+   * Start a planned sprint
+   *
+   * Snapshots the committed scope and sets `sprint` in .claude/config.json.
+   *
+   * @param {string} name - Sprint name
+   * @returns {Promise<Object>} Started sprint
+   * @throws {Error} If the sprint is not planned or another sprint is active
+   */
+  async start(name) {
+    const sprint = await this.get(name);
+
+    if (sprint.status !== 'planned') {
+      throw new Error(`Only a planned sprint can be started: ${name} is ${sprint.status}`);
+    }
+
+    const active = await this.getActive();
+    if (active) {
+      throw new Error(`Sprint ${active.name} is still active. Close it first`);
+    }
+
+    sprint.status = 'active';
+    sprint.startedAt = new Date().toISOString();
+    sprint.committed = [...sprint.tasks];
+
+    // A broken config fails the start before the sprint becomes active
+    await this._setCurrentSprint(name);
+    await this._save(sprint);
+
+    return sprint;
+  }
+
+  /**
+   * Review sprint progress
+   *
+   * Compares completed effort with the elapsed share of the time box; the
+   * sprint is on track while the completed share keeps up with time.
+   *
+   * @param {string} name - Sprint name
+   * @returns {Promise<Object>} Review: { name, goal, status, start, end, committed, added, removed,
+   *   items, completed, remaining, percent, hours, elapsed, onTrack, carriedOver }
+   */
+  async review(name) {
+    const sprint = await this.get(name);
+    const scope = await this.getScope(name);
+    const closed = sprint.status === 'closed';
+
+    const items = scope.map(item => ({
+      ref: item.ref,
+      title: item.frontmatter.title || item.ref,
+      status: StatusHistory.normalizeStatus(item.frontmatter.status),
+      hours: this.prdService.effortHours(item.frontmatter),
+      added: sprint.status !== 'planned' && !sprint.committed.includes(item.ref)
+    }));
+
+    // A closed sprint keeps its outcome even after items moved on
+    const isDone = item => (closed ? sprint.completed.includes(item.ref) : item.status === 'completed');
+    const done = items.filter(isDone);
+    const total = this._round(items.reduce((sum, item) => sum + item.hours, 0));
+    const completedHours = this._round(done.reduce((sum, item) => sum + item.hours, 0));
+
+    const totalDays = this._daysBetween(sprint.start, sprint.end) + 1;
+    const today = closed ? sprint.closedAt.slice(0, 10) : this._today();
+    const elapsedDays = Math.min(totalDays, Math.max(0, this._daysBetween(sprint.start, today) + 1));
+    const elapsedPercent = Math.round((elapsedDays / totalDays) * 100);
+    const hoursPercent = total > 0 ? Math.round((completedHours / total) * 100) : 100;
+
+    return {
+      name: sprint.name,
+      goal: sprint.goal,
+      status: sprint.status,
+      start: sprint.start,
+      end: sprint.end,
+      committed: sprint.status === 'planned' ? sprint.tasks.length : sprint.committed.length,
+      added: items.filter(item => item.added).map(item => item.ref),
+      removed: sprint.committed.filter(ref => !sprint.tasks.includes(ref)),
+      items,
+      completed: done.length,
+      remaining: items.length - done.length,
+      percent: items.length > 0 ? Math.round((done.length / items.length) * 100) : 0,
+      hours: { total, completed: completedHours, remaining: this._round(total - completedHours), percent: hoursPercent },
+      elapsed: { days: elapsedDays, total: totalDays, percent: elapsedPercent },
+      onTrack: hoursPercent >= elapsedPercent,
+      carriedOver: sprint.carriedOver
+    };
+  }
+
+  /**
+   * Close the active sprint
+   *
+   * Unfinished items move to `carryOverTo`, which is planned with the same
+   * length right after this sprint if it does not exist yet. Without a
+   * target they go back to the backlog.
+   *
+   * @param {string} name - Sprint name
+   * @param {Object} [options={}] - Close options
+   * @param {string} [options.carryOverTo] - Sprint that receives unfinished items
+   * @returns {Promise<Object>} Result: { sprint, completed, carriedOver, carriedTo }
+   * @throws {Error} If the sprint is not active or the target is closed
+   */
+  async close(name, options = {}) {
+    const sprint = await this.get(name);
+
+    if (sprint.status !== 'active') {
+      throw new Error(`Only an active sprint can be closed: ${name} is ${sprint.status}`);
+    }
+
+    const target = options.carryOverTo || null;
+    if (target === name) {
+      throw new Error('Cannot carry work over to the sprint being closed');
+    }
+
+    const scope = await this.getScope(name);
+    const unfinished = scope.filter(item => StatusHistory.normalizeStatus(item.frontmatter.status) !== 'completed');
+
+    sprint.completed = scope.filter(item => !unfinished.includes(item)).map(item => item.ref);
+    sprint.carriedOver = unfinished.map(item => item.ref);
+    sprint.carriedTo = unfinished.length > 0 ? target : null;
+    sprint.status = 'closed';
+    sprint.closedAt = new Date().toISOString();
+
+    if (target && unfinished.length > 0) {
+      await this._carryOver(sprint, target, unfinished);
+    } else {
+      for (const item of unfinished) {
+        await this._setSprintField(item.path, null);
+      }
+    }
+
+    await this._save(sprint);
+    await this._setCurrentSprint(null);
+
+    return {
+      sprint,
+      completed: sprint.completed,
+      carriedOver: sprint.carriedOver,
+      carriedTo: sprint.carriedTo
+    };
+  }
+
+  // ==========================================
+  // 3. TRACKER SYNC
+  // ==========================================
+
+  /**
+   * Publish a sprint to an issue tracker
+   *
+   * Creates or updates the matching GitHub milestone / Azure iteration, then
+   * pushes the sprint's issues through IssueService so their milestone or
+   * iteration path follows the local scope. Issues that left the sprint
+   * (removed, carried over or back in the backlog) are pushed as well, which
+   * moves or clears their milestone or iteration. Epic tasks are not tracker
+   * items and are reported as skipped.
+   *
+   * @param {string} name - Sprint name
+   * @param {IssueTrackerProvider} provider - Tracker provider with syncIteration
+   * @param {Object} [options={}] - Sync options
+   * @param {Object} [options.issueService] - IssueService used to push issues (optional)
+   * @returns {Promise<Object>} Result: { provider, iteration, issues: [{ ref, success, left?, error? }], skipped }
+   */
+  async syncToProvider(name, provider, options = {}) {
+    const sprint = await this.get(name);
+    const providerName = provider.getName();
+
+    const iteration = await provider.syncIteration(sprint);
+    // A closed sprint keeps carried-over items in `tasks`, but they have left it
+    const scope = sprint.tasks.filter(ref => ref.startsWith('#') && !sprint.carriedOver.includes(ref));
+
+    // Everything this sprint ever held on the tracker, minus its current scope
+    const left = [...new Set([
+      ...((sprint.remote[providerName] || {}).items || []),
+      ...sprint.committed,
+      ...sprint.carriedOver,
+      ...sprint.changes.filter(change => change.action === 'removed').map(change => change.ref)
+    ])].filter(ref => ref.startsWith('#') && !scope.includes(ref));
+
+    sprint.remote = {
+      ...sprint.remote,
+      [providerName]: { ...iteration, items: scope, syncedAt: new Date().toISOString() }
+    };
+    await this._save(sprint);
+
+    const issues = [];
+    const skipped = sprint.tasks.filter(ref => !ref.startsWith('#'));
+
+    if (options.issueService) {
+      for (const ref of [...scope, ...left]) {
+        const entry = left.includes(ref) ? { ref, left: true } : { ref };
+
+        try {
+          // A departed issue that never reached the tracker has nothing to clear
+          if (entry.left && !(await options.issueService.getProviderSyncStatus(ref.slice(1), provider)).remoteId) {
+            continue;
+          }
+
+          const result = await options.issueService.sync(ref.slice(1), provider, { direction: 'push' });
+          issues.push({ ...entry, success: result.success !== false });
+        } catch (error) {
+          issues.push({ ...entry, success: false, error: error.message });
+        }
+      }
+    }
+
+    return { provider: providerName, iteration, issues, skipped };
+  }
+
+  // ==========================================
+  // Private Helper Methods
+  // ==========================================
+
+  /**
+   * Move unfinished items into the carry-over sprint
+   * @private
+   */
+  async _carryOver(sprint, targetName, unfinished) {
+    let target;
+
+    if (await fs.pathExists(this._sprintPath(targetName))) {
+      target = await this.get(targetName);
+    } else {
+      const length = this._daysBetween(sprint.start, sprint.end) + 1;
+      const start = this._addDays(sprint.end, 1);
+      target = await this.plan(targetName, { start, end: this._addDays(start, length - 1) });
+    }
+
+    this._assertOpen(target);
+
+    const now = new Date().toISOString();
+    target.carriedFrom = sprint.name;
+
+    for (const item of unfinished) {
+      if (!target.tasks.includes(item.ref)) {
+        target.tasks.push(item.ref);
+        if (target.status === 'active') {
+          target.changes.push({ ref: item.ref, action: 'carried-over', at: now });
+        }
+      }
+      await this._setSprintField(item.path, targetName);
+    }
+
+    await this._save(target);
+  }
+
+  /**
+   * Remove an item from another open sprint it is being moved out of
+   * @private
+   */
+  async _dropFromSprint(name, ref, at) {
+    if (!await fs.pathExists(this._sprintPath(name))) {
+      return;
+    }
+
+    const sprint = await this.get(name);
+    if (sprint.status === 'closed' || !sprint.tasks.includes(ref)) {
+      return;
+    }
+
+    sprint.tasks = sprint.tasks.filter(t => t !== ref);
+    if (sprint.status === 'active') {
+      sprint.changes.push({ ref, action: 'removed', at });
+    }
+    await this._save(sprint);
+  }
+
+  /**
+   * Load epic tasks and issues keyed by ref, with aliases for lookups
+   * @private
+   */
+  async _loadItems() {
+    const files = await new FilterEngine({ basePath: this.basePath }).loadAll({ types: ['task', 'issue'] });
+    const items = new Map();
+    const aliases = new Map();
+
+    for (const file of files) {
+      const fileName = path.basename(file.path, '.md');
+      const id = file.frontmatter.id !== undefined && file.frontmatter.id !== null
+        ? String(file.frontmatter.id)
+        : fileName;
+
+      if (file.type === 'issue') {
+        items.set(`#${id}`, file);
+        aliases.set(`#${fileName}`, `#${id}`);
+      } else {
+        items.set(`${file.epic}/${id}`, file);
+        aliases.set(`${file.epic}/${fileName}`, `${file.epic}/${id}`);
+      }
+    }
+
+    return { items, aliases };
+  }
+
+  /**
+   * Resolve a user-supplied ref to a canonical item ref
+   * @private
+   */
+  _resolveRef(ref, index) {
+    const value = /^\d+$/.test(String(ref)) ? `#${ref}` : String(ref).trim();
+
+    if (index.items.has(value)) {
+      return value;
+    }
+    if (index.aliases.has(value)) {
+      return index.aliases.get(value);
+    }
+
+    throw new Error(`Unknown task: ${ref}. Use epic/task-id or #issue`);
+  }
+
+  /**
+   * Set or clear the `sprint` frontmatter field of an item file
+   * @private
+   */
+  async _setSprintField(filePath, name) {
+    const content = await fs.readFile(filePath, 'utf8');
+    const match = content.match(/^---\n([\s\S]*?)\n---/);
+
+    let lines = match ? match[1].split('\n').filter(line => !/^sprint:/.test(line)) : [];
+    if (name) {
+      lines.push(`sprint: ${name}`);
+    }
+
+    const body = match ? content.slice(match[0].length) : `\n${content}`;
+    await fs.writeFile(filePath, `---\n${lines.join('\n')}\n---${body}`);
+  }
+
+  /**
+   * Set or clear the current sprint in .claude/config.json
+   *
+   * A config that does not parse is reported rather than overwritten.
+   * @private
+   */
+  async _setCurrentSprint(name) {
+    const configPath = path.join(this.basePath, 'config.json');
+    const config = await fs.pathExists(configPath) ? await fs.readJSON(configPath) : {};
+
+    if (name) {
+      config.sprint = name;
+    } else {
+      delete config.sprint;
+    }
+
+    await fs.outputJSON(configPath, config, { spaces: 2 });
+  }
+
+  /**
+   * Refuse changes to a closed sprint
+   * @private
+   */
+  _assertOpen(sprint) {
+    if (sprint.status === 'closed') {
+      throw new Error(`Sprint ${sprint.name} is closed`);
+    }
+  }
+
+  /**
+   * Persist a sprint
+   * @private
+   */
+  async _save(sprint) {
+    await fs.outputJSON(this._sprintPath(sprint.name), sprint, { spaces: 2 });
+  }
+
+  /**
+   * Get the file of a sprint
+   * @private
+   */
+  _sprintPath(name) {
+    return path.join(this.sprintsDir, `${name}.json`);
+  }
+
+  /**
+   * Check a YYYY-MM-DD date
+   * @private
+   */
+  _validateDate(date) {
+    if (!DATE_PATTERN.test(date) || Number.isNaN(Date.parse(date))) {
+      throw new Error(`Invalid sprint date: ${date}. Use YYYY-MM-DD`);
+    }
+    return date;
+  }
+
+  /**
+   * Today's date (YYYY-MM-DD)
+   * @private
+   */
+  _today() {
+    return new Date().toISOString().split('T')[0];
+  }
+
+  /**
+   * Add days to a YYYY-MM-DD date
+   * @private
+   */
+  _addDays(date, days) {
+    return new Date(Date.parse(`${date}T00:00:00.000Z`) + days * DAY_MS).toISOString().split('T')[0];
+  }
+
+  /**
+   * Whole days from one YYYY-MM-DD date to another
+   * @private
+   */
+  _daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00.000Z`) - Date.parse(`${from}T00:00:00.000Z`)) / DAY_MS);
+  }
+
+  /**
+   * Round to two decimals
+   * @private
+   */
+  _round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = SprintService;
@@ -3,6 +3,8 @@ const path = require('path');
 const glob = require('glob');
 const yaml = require('js-yaml');
 const crypto = require('crypto');
+const FilterEngine = require('../filter-engine');
+const SavedSearchStore = require('../saved-search-store');
 
 /**
  * UtilityService - Provides project management utility operations
@@ -159,19 +161,43 @@ class UtilityService {
    * - Bi-directional synchronization
    * - Conflict resolution
    * - Dry-run mode for preview
+   * - Incremental (delta) sync of issues when a provider is given: only
+   *   issues changed locally (content hash) or remotely (provider cursor)
    *
-   * @param {object} options - Sync options (type, dryRun)
-   * @returns {Promise<{synced, errors}>}
+   * @param {object} options - Sync options (type, dryRun, provider, full, pushNew)
+   * @returns {Promise<{synced, errors, skipped, details}>}
    */
   async syncAll(options = {}) {
-    const { type = 'all', dryRun = false } = options;
+    const { type = 'all', dryRun = false, provider = null, full = false, pushNew = false } = options;
     const synced = {};
+    const skipped = {};
+    const details = {};
     const errors = [];
 
     // Determine what to sync
     const typesToSync = type === 'all' ? ['epic', 'issue', 'prd'] : [type];
 
     for (const entityType of typesToSync) {
+      if (entityType === 'issue' && provider) {
+        try {
+          const IssueService = require('./IssueService');
+          const report = await new IssueService({ provider }).syncChanged(provider, { full, dryRun, pushNew });
+
+          synced.issues = dryRun
+            ? report.plan.length
+            : report.pushed.length + report.pulled.length + report.merged.length;
+          skipped.issues = report.skipped;
+          details.issues = report;
+
+          for (const failure of report.errors) {
+            errors.push(`Failed to sync issue ${failure.localNumber || `${provider.getName()} #${failure.remoteId}`}: ${failure.error}`);
+          }
+        } catch (error) {
+          errors.push(`Failed to sync issues: ${error.message}`);
+        }
+        continue;
+      }
+
       try {
         const pattern = path.join(
           this.claudePath,
@@ -202,7 +228,7 @@ class UtilityService {
       }
     }
 
-    return { synced, errors };
+    return { synced, errors, skipped, details };
   }
 
   /**
@@ -343,6 +369,64 @@ class UtilityService {
     return { results, matches };
   }
 
+  /**
+   * Query entities with the structured query language
+   * (see QueryParser.parseQuery): boolean expressions over frontmatter
+   * fields, ranges on dates and effort, sorting and field projection.
+   *
+   * @param {string} expression - Query expression
+   * @param {object} options - Query options (types: entity types to load)
+   * @returns {Promise<{results, fields}>} Entity summaries, or projected rows if the query has fields
+   */
+  async queryEntities(expression, options = {}) {
+    const { types = ['prd', 'epic', 'task', 'issue'] } = options;
+    const engine = new FilterEngine({ basePath: this.claudePath });
+    const query = engine.queryParser.parseQuery(expression);
+    const matches = await engine.queryAll(query, { types });
+
+    if (query.fields) {
+      return { results: matches, fields: query.fields };
+    }
+
+    const results = matches.map(file => ({
+      type: file.type,
+      id: file.frontmatter.id !== undefined ? String(file.frontmatter.id) : path.basename(file.path, '.md'),
+      title: file.frontmatter.title || file.frontmatter.name || 'Untitled',
+      status: file.frontmatter.status || null,
+      file: path.relative(this.rootPath, file.path)
+    }));
+
+    return { results, fields: null };
+  }
+
+  /**
+   * Run a saved search (view) from .claude/saved-searches.json
+   *
+   * @param {string} name - Saved search name
+   * @param {object} options - Run options (variables: values for @me, @sprint, ...)
+   * @returns {Promise<{name, query, results, fields}>} Resolved query and its results
+   */
+  async runSavedSearch(name, options = {}) {
+    const store = this._getSavedSearchStore();
+    const search = await store.get(name);
+    const query = await store.resolve(name, options.variables);
+    const { results, fields } = await this.queryEntities(query, search.types ? { types: search.types } : {});
+
+    return { name, query, results, fields };
+  }
+
+  /**
+   * Saved search store of this project
+   *
+   * @returns {SavedSearchStore} Store rooted at rootPath
+   */
+  _getSavedSearchStore() {
+    if (!this.savedSearchStore) {
+      this.savedSearchStore = new SavedSearchStore({ rootPath: this.rootPath });
+    }
+    return this.savedSearchStore;
+  }
+
   /**
    * Import from external source
    * Implements 2025 import patterns:
@@ -431,11 +515,16 @@ class UtilityService {
    * @returns {Promise<{path, format, count}>}
    */
   async exportToFormat(format, options = {}) {
-    const { type = 'all', output } = options;
+    const { type = 'all', output, view = null, query = null, variables = {} } = options;
     const entities = [];
 
-    // Gather entities
-    const searchTypes = type === 'all' ? ['epics', 'issues', 'prds'] : [`${type}s`];
+    // Gather entities: a view/query selects (and may project) them,
+    // otherwise every entity of the requested type is exported
+    const searchTypes = view || query ? [] : type === 'all' ? ['epics', 'issues', 'prds'] : [`${type}s`];
+
+    if (view || query) {
+      entities.push(...await this._gatherQueryEntities({ view, query, variables }));
+    }
 
     for (const searchType of searchTypes) {
       const pattern = path.join(this.claudePath, searchType, '*.md');
@@ -482,6 +571,40 @@ class UtilityService {
     };
   }
 
+  /**
+   * Entities selected by a saved search or query, in export shape
+   *
+   * @param {object} options - { view, query, variables }
+   * @returns {Promise<Array>} Export rows (projected rows if the query has fields)
+   */
+  async _gatherQueryEntities({ view, query, variables }) {
+    const store = this._getSavedSearchStore();
+    let expression = query;
+    let types = ['prd', 'epic', 'task', 'issue'];
+
+    if (view) {
+      const search = await store.get(view);
+      expression = await store.resolve(view, variables);
+      types = search.types || types;
+    } else {
+      expression = SavedSearchStore.expandVariables(query, await store.getVariables(variables));
+    }
+
+    const engine = new FilterEngine({ basePath: this.claudePath });
+    const parsed = engine.queryParser.parseQuery(expression);
+    const matches = await engine.queryAll(parsed, { types });
+
+    if (parsed.fields) {
+      return matches;
+    }
+
+    return matches.map(file => ({
+      type: file.type,
+      ...file.frontmatter,
+      file: path.basename(file.path)
+    }));
+  }
+
   /**
    * Archive completed items
    * Implements 2025 archiving patterns:
@@ -6,12 +6,13 @@
  *
  * Provides comprehensive workflow management:
  *
- * 1. Task Prioritization & Selection (2 methods):
- *    - getNextTask: Get next priority task based on dependencies, priorities, status
+ * 1. Task Prioritization & Selection (3 methods):
+ *    - getNextTask: Get next task by score (TaskScorer), with an optional breakdown
+ *    - getNextScheduledTask: Next task for a team member from the schedule plan
  *    - getWhatNext: AI-powered suggestions for next steps
  *
  * 2. Project Reporting (3 methods):
- *    - generateStandup: Generate daily standup report
+ *    - generateStandup: Daily standup report, optionally diffed against the last one
  *    - getProjectStatus: Overall project health and metrics
  *    - getInProgressTasks: All currently active tasks
  *
@@ -24,6 +25,14 @@
  *    - prioritizeTasks: Task prioritization logic
  *    - resolveDependencies: Check and resolve task dependencies
  *
+ * getNextTask ranks the available tasks with TaskScorer: weighted priority,
+ * age, tasks unblocked, critical path, due date and skill match. Ties fall
+ * back to prioritizeTasks order.
+ *
+ * Reports accept an optional view (a query-language expression or a parsed
+ * QueryParser query, e.g. from a saved search) that scopes them to matching
+ * epics and issues. Velocity always covers the whole project.
+ *
  * Documentation Queries:
  * - mcp://context7/agile/workflow-management - Agile workflow patterns
  * - mcp://context7/agile/velocity-tracking - Velocity and metrics
@@ -31,6 +40,8 @@
  * - mcp://context7/project-management/bottlenecks - Bottleneck identification
  */
 
+const FilterEngine = require('../filter-engine');
+
 class WorkflowService {
   /**
    * Create a new WorkflowService instance
@@ -39,6 +50,8 @@ class WorkflowService {
    * @param {Object} options.issueService - IssueService instance (required)
    * @param {Object} options.epicService - EpicService instance (required)
    * @param {Object} [options.prdService] - PRDService instance (optional)
+   * @param {Object} [options.schedulePlanner] - SchedulePlanner instance (optional)
+   * @param {Object} [options.taskScorer] - TaskScorer instance (optional)
    */
   constructor(options = {}) {
     if (!options.issueService) {
@@ -51,6 +64,8 @@ class WorkflowService {
     this.issueService = options.issueService;
     this.epicService = options.epicService;
     this.prdService = options.prdService;
+    this.schedulePlanner = options.schedulePlanner || null;
+    this.taskScorer = options.taskScorer || null;
 
     // Priority order: P0 (highest) -> P1 -> P2 -> P3 (lowest)
     this.priorityOrder = { 'P0': 0, 'P1': 1, 'P2': 2, 'P3': 3 };
@@ -61,18 +76,26 @@ class WorkflowService {
   // ==========================================
 
   /**
-   * Get next priority task based on dependencies, priorities, status
+   * Get next task based on dependencies and score
    *
    * Algorithm:
    * 1. Filter open tasks only
    * 2. Check dependencies (skip if any are open)
-   * 3. Sort by priority (P0 > P1 > P2 > P3)
-   * 4. Within same priority, oldest first
+   * 3. Sort by priority (P0 > P1 > P2 > P3), oldest first within a priority
+   * 4. Rank by TaskScorer score; ties keep the order of step 3
    * 5. Return top task with reasoning
    *
-   * @returns {Promise<Object|null>} Next task with reasoning, or null if none available
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.member] - Team member whose skills are matched (from the team config)
+   * @param {boolean} [options.explain=false] - Include the score breakdown of the top candidates
+   * @param {number} [options.limit=3] - Number of candidates to explain
+   * @returns {Promise<Object|null>} Next task with reasoning (and score, candidates when explaining), or null if none available
+   * @throws {Error} If the scoring weights in config.json are invalid
    */
-  async getNextTask() {
+  async getNextTask(options = {}) {
+    // A broken scoring config is reported rather than read as "no tasks"
+    const weights = await this._getTaskScorer().loadWeights();
+
     try {
       // Get all issues
       const allIssues = await this.issueService.listIssues();
@@ -90,29 +113,39 @@ class WorkflowService {
         return null;
       }
 
-      // Check dependencies for each task
+      // Check dependencies for each task, collecting the graph of open tasks
       const availableTasks = [];
+      const openIds = new Set(openTasks.map(task => String(task.id)));
+      const graph = { nodes: [...openIds], edges: [] };
       for (const task of openTasks) {
         const deps = await this.resolveDependencies(task.id);
         if (deps.resolved) {
           availableTasks.push(task);
         }
+        (deps.dependencies || [])
+          .filter(dep => openIds.has(String(dep)))
+          .forEach(dep => graph.edges.push({ from: String(dep), to: String(task.id), type: 'depends_on' }));
       }
 
       if (availableTasks.length === 0) {
         return null;
       }
 
-      // Sort by priority
+      // Sort by priority, then rank by score
       const prioritized = this.prioritizeTasks(availableTasks);
+      const ranked = await this._getTaskScorer().rank(prioritized, {
+        graph,
+        member: await this._findMember(options.member),
+        weights
+      });
 
       // Get first task
-      const nextTask = prioritized[0];
+      const nextTask = ranked[0].task;
 
       // Generate reasoning
       const reasoning = this._generateTaskReasoning(nextTask, availableTasks);
 
-      return {
+      const result = {
         id: nextTask.id,
         title: nextTask.title,
         status: nextTask.status,
@@ -121,6 +154,60 @@ class WorkflowService {
         effort: nextTask.effort,
         reasoning
       };
+
+      if (options.explain) {
+        result.score = ranked[0].score;
+        result.candidates = ranked.slice(0, options.limit || 3).map(({ task, score, breakdown }) => ({
+          id: task.id,
+          title: task.title,
+          priority: task.priority,
+          score,
+          breakdown
+        }));
+      }
+
+      return result;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get the schedule planner, created on first use
+   * @private
+   */
+  _getSchedulePlanner() {
+    if (!this.schedulePlanner) {
+      const SchedulePlanner = require('../schedule-planner');
+      this.schedulePlanner = new SchedulePlanner();
+    }
+    return this.schedulePlanner;
+  }
+
+  /**
+   * Get the task scorer, created on first use
+   * @private
+   */
+  _getTaskScorer() {
+    if (!this.taskScorer) {
+      const TaskScorer = require('../task-scorer');
+      this.taskScorer = new TaskScorer();
+    }
+    return this.taskScorer;
+  }
+
+  /**
+   * Find a team member by name for skill matching
+   * @private
+   */
+  async _findMember(name) {
+    if (!name) {
+      return null;
+    }
+
+    try {
+      const team = await this._getSchedulePlanner().loadTeam();
+      return team.find(member => member.name === name) || null;
     } catch (error) {
       return null;
     }
@@ -155,6 +242,83 @@ class WorkflowService {
     return reasons.join('. ') + '.';
   }
 
+  /**
+   * Get the next task for a team member from the schedule plan
+   *
+   * Returns the member's earliest scheduled task, so work is picked up in the
+   * order the plan (and its critical chain) needs it. Returns null when no
+   * team is configured or nothing is scheduled for the member.
+   *
+   * @param {string} member - Team member name
+   * @param {Object} [options={}] - Plan options (epicId, start)
+   * @param {boolean} [options.explain=false] - Include the member's planned queue
+   * @param {number} [options.limit=3] - Number of queued tasks to explain
+   * @returns {Promise<Object|null>} Next task with reasoning (and queue when explaining), or null
+   * @throws {Error} If the plan fails for another reason (invalid team or start date)
+   */
+  async getNextScheduledTask(member, options = {}) {
+    if (!member) {
+      return null;
+    }
+
+    const { explain = false, limit = 3, ...planOptions } = options;
+
+    let plan;
+    try {
+      plan = await this._getSchedulePlanner().plan(planOptions);
+    } catch (error) {
+      if (error.message.startsWith('No team configured')) {
+        return null;
+      }
+      throw error;
+    }
+
+    const memberAssignments = plan.assignments.filter(a => a.member === member);
+    const assignment = memberAssignments[0];
+    if (!assignment) {
+      return null;
+    }
+
+    const reasons = [`Scheduled for ${member} from ${assignment.start} to ${assignment.finish}`];
+    if (assignment.critical) {
+      reasons.push('On the critical chain - a delay moves the finish date');
+    }
+    if (assignment.pinned) {
+      reasons.push(`Assigned to ${member}`);
+    }
+    const queued = memberAssignments.length - 1;
+    if (queued > 0) {
+      reasons.push(`${queued} more tasks planned for ${member}`);
+    }
+
+    const result = {
+      id: assignment.id,
+      title: assignment.title,
+      status: assignment.status,
+      epic: assignment.epic,
+      effort: `${assignment.hours}h`,
+      start: assignment.start,
+      finish: assignment.finish,
+      critical: assignment.critical,
+      reasoning: reasons.join('. ') + '.'
+    };
+
+    if (explain) {
+      result.queue = memberAssignments.slice(0, limit).map(a => ({
+        id: a.id,
+        epic: a.epic,
+        title: a.title,
+        hours: a.hours,
+        start: a.start,
+        finish: a.finish,
+        critical: a.critical,
+        pinned: a.pinned
+      }));
+    }
+
+    return result;
+  }
+
   /**
    * AI-powered suggestions for next steps (what to work on)
    *
@@ -301,9 +465,19 @@ class WorkflowService {
    * - Velocity: recent completion rate
    * - Sprint progress: overall completion
    *
+   * With a StandupHistory, "yesterday" lists the tasks closed since the last
+   * archived standup instead, and the report adds `since` (that standup's
+   * date), `byAssignee` ({ <name>: { done, doing, blocked } }) and `state`
+   * (every issue's status and assignee, for the next diff). The report is
+   * not archived here; call history.save(report).
+   *
+   * @param {Object} [options={}] - Report options
+   * @param {string|Object} [options.view] - Query scoping the report (see class docs)
+   * @param {Object} [options.history] - StandupHistory to diff against
    * @returns {Promise<Object>} Standup report data
    */
-  async generateStandup() {
+  async generateStandup(options = {}) {
+    const view = this._parseView(options.view);
     const now = new Date();
     const yesterday = new Date(now.getTime() - 24 * 60 * 60 * 1000);
 
@@ -321,9 +495,16 @@ class WorkflowService {
     };
 
     try {
-      // Yesterday: completed tasks in last 24h
-      const allIssues = await this.issueService.listIssues();
+      const issues = await this.issueService.listIssues();
+      const allIssues = this._applyView(issues, view, 'issue');
+      const previous = options.history ? await options.history.getPrevious(report.date) : null;
+
+      // Yesterday: completed since the last standup, else in last 24h
       const yesterdayTasks = allIssues.filter(issue => {
+        if (previous && previous.state) {
+          const before = previous.state[issue.id];
+          return this._standupStatus(issue) === 'closed' && (!before || before.status !== 'closed');
+        }
         if (!issue.completed) return false;
         const completedDate = new Date(issue.completed);
         return completedDate >= yesterday;
@@ -331,11 +512,11 @@ class WorkflowService {
       report.yesterday = yesterdayTasks;
 
       // Today: in-progress tasks
-      const inProgressTasks = await this.getInProgressTasks();
+      const inProgressTasks = await this.getInProgressTasks({ view });
       report.today = inProgressTasks;
 
       // Blockers: blocked tasks
-      const blockedTasks = await this.getBlockedTasks();
+      const blockedTasks = await this.getBlockedTasks({ view });
       report.blockers = blockedTasks;
 
       // Velocity: 7-day average
@@ -348,6 +529,15 @@ class WorkflowService {
         total: allIssues.length,
         percentage: allIssues.length > 0 ? Math.round((closedCount * 100) / allIssues.length) : 0
       };
+
+      if (options.history) {
+        report.since = previous ? previous.date : null;
+        report.byAssignee = this._groupStandupByAssignee(report, issues);
+        report.state = {};
+        for (const issue of issues) {
+          report.state[issue.id] = { status: this._standupStatus(issue), assignee: issue.assignee || null };
+        }
+      }
     } catch (error) {
       // Errors handled gracefully
     }
@@ -355,12 +545,58 @@ class WorkflowService {
     return report;
   }
 
+  /**
+   * Status category of an issue for standup diffs (open, in_progress, blocked, closed)
+   * @private
+   */
+  _standupStatus(issue) {
+    if ((issue.status || '').toLowerCase() === 'blocked') {
+      return 'blocked';
+    }
+    return this.issueService.categorizeStatus(issue.status);
+  }
+
+  /**
+   * Split standup sections by assignee
+   * @private
+   */
+  _groupStandupByAssignee(report, issues) {
+    const StandupHistory = require('../standup-history');
+    const assignees = new Map(issues.map(issue => [String(issue.id), issue.assignee || StandupHistory.UNASSIGNED]));
+    const groups = {};
+
+    const add = (section, item) => {
+      const name = assignees.get(String(item.id)) || StandupHistory.UNASSIGNED;
+      if (!groups[name]) {
+        groups[name] = { done: [], doing: [], blocked: [] };
+      }
+
+      const entry = { id: item.id, title: item.title };
+      if (item.stale) {
+        entry.stale = true;
+      }
+      if (item.reason) {
+        entry.reason = item.reason;
+      }
+      groups[name][section].push(entry);
+    };
+
+    report.yesterday.forEach(item => add('done', item));
+    report.today.forEach(item => add('doing', item));
+    report.blockers.forEach(item => add('blocked', item));
+
+    return groups;
+  }
+
   /**
    * Overall project health and metrics
    *
+   * @param {Object} [options={}] - Report options
+   * @param {string|Object} [options.view] - Query scoping the report (see class docs)
    * @returns {Promise<Object>} Project status with health indicators
    */
-  async getProjectStatus() {
+  async getProjectStatus(options = {}) {
+    const view = this._parseView(options.view);
     const status = {
       epics: {
         backlog: 0,
@@ -386,7 +622,7 @@ class WorkflowService {
 
     try {
       // Epics
-      const epics = await this.epicService.listEpics();
+      const epics = this._applyView(await this.epicService.listEpics(), view, 'epic');
       status.epics.total = epics.length;
       epics.forEach(epic => {
         const category = this.epicService.categorizeStatus(epic.status);
@@ -397,7 +633,7 @@ class WorkflowService {
       });
 
       // Issues
-      const issues = await this.issueService.listIssues();
+      const issues = this._applyView(await this.issueService.listIssues(), view, 'issue');
       status.issues.total = issues.length;
       issues.forEach(issue => {
         const category = this.issueService.categorizeStatus(issue.status);
@@ -455,14 +691,63 @@ class WorkflowService {
     return { health, recommendations };
   }
 
+  /**
+   * Parse a view before a report runs, so syntax errors are not swallowed
+   *
+   * @param {string|Object} view - Query expression or parsed query
+   * @returns {Object|null} Parsed query, null for no view
+   * @throws {Error} If the query does not parse
+   * @private
+   */
+  _parseView(view) {
+    if (!view) {
+      return null;
+    }
+
+    if (!this.filterEngine) {
+      this.filterEngine = new FilterEngine();
+    }
+
+    return typeof view === 'string' ? this.filterEngine.queryParser.parseQuery(view) : view;
+  }
+
+  /**
+   * Keep the entities matching a view
+   *
+   * Entities are evaluated as FilterEngine files: their fields are the
+   * frontmatter, `type` is the entity type and epics answer `epic:<name>`.
+   *
+   * @param {Array} entities - Issues or epics from the services
+   * @param {Object|null} query - Parsed view query (null = keep all)
+   * @param {string} type - Entity type ('issue' or 'epic')
+   * @returns {Array} Matching entities
+   * @private
+   */
+  _applyView(entities, query, type) {
+    if (!query || !query.where) {
+      return entities;
+    }
+
+    return entities.filter(entity => this.filterEngine.evaluate(query.where, {
+      type,
+      path: entity.path,
+      epic: type === 'epic' ? entity.name : undefined,
+      frontmatter: entity,
+      content: entity.content || ''
+    }));
+  }
+
   /**
    * Get all currently active tasks across epics
    *
+   * @param {Object} [options={}] - Options
+   * @param {string|Object} [options.view] - Query scoping the tasks
    * @returns {Promise<Array>} Array of in-progress tasks with metadata
    */
-  async getInProgressTasks() {
+  async getInProgressTasks(options = {}) {
+    const view = this._parseView(options.view);
     try {
-      const allIssues = await this.issueService.listIssues();
+      const allIssues = this._applyView(await this.issueService.listIssues(), view, 'issue');
       const inProgress = allIssues.filter(issue => {
         const category = this.issueService.categorizeStatus(issue.status);
         return category === 'in_progress';
@@ -491,11 +776,14 @@ class WorkflowService {
   /**
    * Get all blocked tasks with reasons
    *
+   * @param {Object} [options={}] - Options
+   * @param {string|Object} [options.view] - Query scoping the tasks
    * @returns {Promise<Array>} Array of blocked tasks with analysis
    */
-  async getBlockedTasks() {
+  async getBlockedTasks(options = {}) {
+    const view = this._parseView(options.view);
     try {
-      const allIssues = await this.issueService.listIssues();
+      const allIssues = this._applyView(await this.issueService.listIssues(), view, 'issue');
       const blocked = allIssues.filter(issue => {
         return (issue.status || '').toLowerCase() === 'blocked';
       });
@@ -640,14 +928,14 @@ class WorkflowService {
    * Check and resolve task dependencies
    *
    * @param {string|number} issueNumber - Issue number to check
-   * @returns {Promise<Object>} { resolved: boolean, blocking: Array }
+   * @returns {Promise<Object>} { resolved: boolean, blocking: Array, dependencies: Array }
    */
   async resolveDependencies(issueNumber) {
     try {
       const dependencies = await this.issueService.getDependencies(issueNumber);
 
       if (!dependencies || dependencies.length === 0) {
-        return { resolved: true, blocking: [] };
+        return { resolved: true, blocking: [], dependencies: [] };
       }
 
       const blocking = [];
@@ -666,10 +954,11 @@ class WorkflowService {
 
       return {
         resolved: blocking.length === 0,
-        blocking
+        blocking,
+        dependencies
       };
     } catch (error) {
-      return { resolved: true, blocking: [] };
+      return { resolved: true, blocking: [], dependencies: [] };
     }
   }
 }
@@ -0,0 +1,229 @@
+/**
+ * Standup History
+ *
+ * Archives generated standups in `.claude/standups/<date>.json` so the next
+ * standup can report what changed since the previous one, and so past
+ * standups stay available for retrospectives.
+ *
+ * Each archived report keeps the state of every issue at the time
+ * (`state: { <id>: { status, assignee } }`); WorkflowService.generateStandup
+ * diffs against it. One standup is kept per day - generating again the same
+ * day replaces it.
+ *
+ * Reports export as Markdown, Slack mrkdwn or JSON, for everybody or for one
+ * assignee.
+ *
+ * @example
+ * const StandupHistory = require('./lib/standup-history');
+ *
+ * const history = new StandupHistory({ basePath: '.claude' });
+ * const report = await workflowService.generateStandup({ history });
+ * await history.save(report);
+ *
+ * console.log(history.export(history.filterByAssignee(report, 'alice'), 'slack'));
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const FORMATS = ['markdown', 'slack', 'json'];
+const UNASSIGNED = 'unassigned';
+
+class StandupHistory {
+  /**
+   * Create a new StandupHistory instance
+   *
+   * @param {Object} options - Configuration options
+   * @param {string} options.basePath - Base path for file operations (default: '.claude')
+   */
+  constructor(options = {}) {
+    this.basePath = options.basePath || '.claude';
+    this.standupsDir = path.join(this.basePath, 'standups');
+  }
+
+  /**
+   * Archive a standup report, replacing the one of the same day
+   *
+   * @param {Object} report - Report from WorkflowService.generateStandup
+   * @returns {Promise<string>} Path of the archived report
+   */
+  async save(report) {
+    const filePath = path.join(this.standupsDir, `${report.date}.json`);
+
+    await fs.ensureDir(this.standupsDir);
+    await fs.writeJSON(filePath, report, { spaces: 2 });
+
+    return filePath;
+  }
+
+  /**
+   * Get an archived standup
+   *
+   * @param {string} date - Standup date, YYYY-MM-DD
+   * @returns {Promise<Object>} Report
+   * @throws {Error} If no standup was archived that day
+   */
+  async get(date) {
+    const filePath = path.join(this.standupsDir, `${date}.json`);
+
+    if (!(await fs.pathExists(filePath))) {
+      throw new Error(`Standup not found: ${date}`);
+    }
+
+    return fs.readJSON(filePath);
+  }
+
+  /**
+   * List archived standup dates, oldest first
+   *
+   * @returns {Promise<Array<string>>} Dates
+   */
+  async list() {
+    if (!(await fs.pathExists(this.standupsDir))) {
+      return [];
+    }
+
+    const files = await fs.readdir(this.standupsDir);
+    return files
+      .filter(file => /^\d{4}-\d{2}-\d{2}\.json$/.test(file))
+      .map(file => file.replace(/\.json$/, ''))
+      .sort();
+  }
+
+  /**
+   * Get the last standup archived before a date
+   *
+   * @param {string} date - Date, YYYY-MM-DD
+   * @returns {Promise<Object|null>} Report, or null if there is none
+   */
+  async getPrevious(date) {
+    const earlier = (await this.list()).filter(entry => entry < date);
+
+    if (earlier.length === 0) {
+      return null;
+    }
+
+    return this.get(earlier[earlier.length - 1]);
+  }
+
+  /**
+   * Narrow a report to one assignee
+   *
+   * @param {Object} report - Report with byAssignee
+   * @param {string} assignee - Assignee name ('unassigned' for unassigned work)
+   * @returns {Object} Report with only the assignee's items
+   */
+  filterByAssignee(report, assignee) {
+    const own = (report.byAssignee || {})[assignee] || { done: [], doing: [], blocked: [] };
+    const ids = section => new Set(section.map(item => String(item.id)));
+    const keep = (items, section) => items.filter(item => ids(section).has(String(item.id)));
+
+    return {
+      ...report,
+      assignee,
+      yesterday: keep(report.yesterday, own.done),
+      today: keep(report.today, own.doing),
+      blockers: keep(report.blockers, own.blocked),
+      byAssignee: { [assignee]: own }
+    };
+  }
+
+  /**
+   * Export a report
+   *
+   * @param {Object} report - Report from WorkflowService.generateStandup
+   * @param {string} [format='markdown'] - 'markdown', 'slack' (mrkdwn) or 'json'
+   * @returns {string} Exported report
+   * @throws {Error} On an unsupported format
+   */
+  export(report, format = 'markdown') {
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unsupported standup format: ${format}. Must be one of: ${FORMATS.join(', ')}`);
+    }
+
+    if (format === 'json') {
+      // The issue state is bookkeeping for the next diff
+      const { state, ...rest } = report;
+      return JSON.stringify(rest, null, 2);
+    }
+
+    return format === 'slack' ? this._toSlack(report) : this._toMarkdown(report);
+  }
+
+  // ============================================================================
+  // Private Helper Methods
+  // ============================================================================
+
+  _toMarkdown(report) {
+    const lines = [`# Standup - ${report.date}`];
+    if (report.since) {
+      lines.push('', `_Changes since ${report.since}_`);
+    }
+
+    for (const [name, group] of this._groups(report)) {
+      lines.push('', `## ${name}`);
+      for (const [label, items, describe] of this._sections(group)) {
+        lines.push('', `**${label}**`);
+        lines.push(...(items.length > 0 ? items.map(item => `- ${describe(item)}`) : ['- _Nothing_']));
+      }
+    }
+
+    lines.push(
+      '',
+      '## Metrics',
+      `- Velocity: ${report.velocity} tasks/day (7-day avg)`,
+      `- Sprint progress: ${report.sprintProgress.completed}/${report.sprintProgress.total} (${report.sprintProgress.percentage}%)`
+    );
+
+    return lines.join('\n') + '\n';
+  }
+
+  _toSlack(report) {
+    const lines = [`*Standup - ${report.date}*${report.since ? ` (since ${report.since})` : ''}`];
+
+    for (const [name, group] of this._groups(report)) {
+      lines.push('', `*${this._escapeSlack(name)}*`);
+      for (const [label, items, describe] of this._sections(group)) {
+        const entries = items.map(item => `• ${this._escapeSlack(describe(item))}`);
+        lines.push(`_${label}_`, ...(entries.length > 0 ? entries : ['• nothing']));
+      }
+    }
+
+    lines.push(
+      '',
+      `*Metrics:* velocity ${report.velocity} tasks/day · sprint ${report.sprintProgress.completed}/${report.sprintProgress.total} (${report.sprintProgress.percentage}%)`
+    );
+
+    return lines.join('\n') + '\n';
+  }
+
+  _groups(report) {
+    if (report.byAssignee) {
+      return Object.entries(report.byAssignee).sort(([a], [b]) => {
+        // Unassigned work goes last
+        if (a === UNASSIGNED || b === UNASSIGNED) {
+          return a === UNASSIGNED ? 1 : -1;
+        }
+        return a.localeCompare(b);
+      });
+    }
+    return [['Team', { done: report.yesterday, doing: report.today, blocked: report.blockers }]];
+  }
+
+  _sections(group) {
+    return [
+      ['Done', group.done, item => `#${item.id} ${item.title || 'Unnamed task'}`],
+      ['Doing', group.doing, item => `#${item.id} ${item.title || 'Unnamed task'}${item.stale ? ' (stale)' : ''}`],
+      ['Blocked', group.blocked, item => `#${item.id} ${item.title || 'Unnamed task'}${item.reason ? `: ${item.reason}` : ''}`]
+    ];
+  }
+
+  _escapeSlack(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+}
+
+StandupHistory.FORMATS = FORMATS;
+StandupHistory.UNASSIGNED = UNASSIGNED;
+
+module.exports = StandupHistory;
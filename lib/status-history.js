@@ -0,0 +1,249 @@
+/**
+ * Status History
+ *
+ * Per-entity status transitions, so flow analytics can tell when a task
+ * entered pending, in_progress, blocked and completed instead of only seeing
+ * its current status.
+ *
+ * Two sources are merged into one timeline per entity:
+ *
+ * - transitions recorded when a status changes (`record()`, called by
+ *   `IssueService.updateIssueStatus` and `EpicService.updateTaskStatus`, which
+ *   back `autopm task status` and the agents' `update_task_status` tool),
+ *   appended to `.claude/status-history.jsonl`
+ * - transitions inferred from frontmatter dates (`created`, `started`,
+ *   `completed`, and `updated` for a blocked entity), which covers files that
+ *   changed before recording existed or were edited by hand
+ *
+ * Statuses are normalized to the four flow states: pending, in_progress,
+ * blocked and completed.
+ *
+ * @example
+ * const StatusHistory = require('./lib/status-history');
+ *
+ * const history = new StatusHistory({ basePath: '.claude' });
+ * await history.record({ type: 'issue', id: 12, status: 'in-progress' });
+ *
+ * const [timeline] = await history.buildTimelines([issueFile]);
+ * // { key: 'issue:12', status: 'in_progress', transitions: [{ status: 'pending', at }, { status: 'in_progress', at }] }
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const FLOW_STATES = ['pending', 'in_progress', 'blocked', 'completed'];
+
+const STATUS_ALIASES = {
+  in_progress: ['in_progress', 'in-progress', 'active', 'started', 'doing', 'review', 'in-review'],
+  blocked: ['blocked', 'on-hold', 'on_hold'],
+  completed: ['completed', 'done', 'closed', 'resolved']
+};
+
+class StatusHistory {
+  /**
+   * Create a new StatusHistory instance
+   *
+   * @param {Object} options - Configuration options
+   * @param {string} options.basePath - Base path for file operations (default: '.claude')
+   */
+  constructor(options = {}) {
+    this.basePath = options.basePath || '.claude';
+    this.filePath = path.join(this.basePath, 'status-history.jsonl');
+  }
+
+  /**
+   * Map any tracker or frontmatter status to a flow state
+   *
+   * @param {string} status - Raw status
+   * @returns {string} pending | in_progress | blocked | completed
+   */
+  static normalizeStatus(status) {
+    const value = String(status || '').toLowerCase().trim();
+
+    for (const [state, aliases] of Object.entries(STATUS_ALIASES)) {
+      if (aliases.includes(value)) {
+        return state;
+      }
+    }
+
+    return 'pending';
+  }
+
+  /**
+   * Key identifying an entity across the log and frontmatter
+   *
+   * Tasks are numbered per epic, so their key includes the epic.
+   *
+   * @param {Object} entity - { type, id, epic }
+   * @returns {string} e.g. 'issue:12' or 'task:auth/001'
+   */
+  static keyOf(entity) {
+    const type = entity.type || 'task';
+    return entity.epic ? `${type}:${entity.epic}/${entity.id}` : `${type}:${entity.id}`;
+  }
+
+  /**
+   * Record a status change
+   *
+   * Nothing is written if the entity is already in that flow state.
+   *
+   * @param {Object} change - Status change
+   * @param {string} change.type - Entity type ('task', 'issue')
+   * @param {string|number} change.id - Entity identifier
+   * @param {string} [change.epic] - Epic directory name for tasks
+   * @param {string} change.status - New status (any alias)
+   * @param {string} [change.at] - ISO timestamp (default: now)
+   * @returns {Promise<Object|null>} Recorded entry, or null if unchanged
+   * @throws {Error} If type, id or status is missing
+   */
+  async record(change) {
+    if (!change || !change.type || change.id === undefined || change.id === null || !change.status) {
+      throw new Error('Status change requires type, id and status');
+    }
+
+    const entry = {
+      key: StatusHistory.keyOf({ type: change.type, id: String(change.id), epic: change.epic }),
+      status: StatusHistory.normalizeStatus(change.status),
+      at: change.at || new Date().toISOString()
+    };
+
+    const previous = (await this.list()).filter(e => e.key === entry.key).pop();
+    if (previous && previous.status === entry.status) {
+      return null;
+    }
+
+    await fs.ensureDir(path.dirname(this.filePath));
+    await fs.appendFile(this.filePath, JSON.stringify(entry) + '\n');
+
+    return entry;
+  }
+
+  /**
+   * List recorded transitions in the order they were recorded
+   *
+   * @returns {Promise<Array<Object>>} Entries: { key, status, at }
+   */
+  async list() {
+    if (!(await fs.pathExists(this.filePath))) {
+      return [];
+    }
+
+    const data = await fs.readFile(this.filePath, 'utf8');
+
+    return data
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
+  }
+
+  /**
+   * Build status timelines for entities
+   *
+   * @param {Array<Object>} files - Files from FilterEngine.loadAll() ({ type, epic, frontmatter })
+   * @returns {Promise<Array<Object>>} Timelines: {
+   *   key, type, id, epic, title, status,
+   *   transitions: [{ status, at }] - ordered, at in milliseconds
+   * }
+   */
+  async buildTimelines(files) {
+    const recorded = new Map();
+
+    for (const entry of await this.list()) {
+      if (!recorded.has(entry.key)) {
+        recorded.set(entry.key, []);
+      }
+      recorded.get(entry.key).push({ status: entry.status, at: Date.parse(entry.at) });
+    }
+
+    return files.map(file => {
+      const frontmatter = file.frontmatter || {};
+      const id = String(frontmatter.id || path.basename(file.path || '', '.md'));
+      const key = StatusHistory.keyOf({ type: file.type, id, epic: file.epic });
+      const events = recorded.get(key) || [];
+
+      const transitions = this._collapse([
+        ...this._inferTransitions(frontmatter, events.length > 0),
+        ...events
+      ]);
+
+      return {
+        key,
+        type: file.type || 'task',
+        id,
+        epic: file.epic || null,
+        title: frontmatter.title || id,
+        status: StatusHistory.normalizeStatus(frontmatter.status),
+        transitions
+      };
+    });
+  }
+
+  /**
+   * Transitions implied by frontmatter dates
+   *
+   * @private
+   * @param {Object} frontmatter - Entity frontmatter
+   * @param {boolean} hasRecorded - Whether recorded transitions exist
+   * @returns {Array<Object>} Transitions
+   */
+  _inferTransitions(frontmatter, hasRecorded) {
+    const transitions = [];
+    const add = (status, value) => {
+      const at = this._toTime(value);
+      if (at !== null) {
+        transitions.push({ status, at });
+      }
+    };
+
+    add('pending', frontmatter.created);
+    add('in_progress', frontmatter.started);
+
+    // Without a log, "blocked since the last update" is the best guess
+    if (!hasRecorded && StatusHistory.normalizeStatus(frontmatter.status) === 'blocked') {
+      add('blocked', frontmatter.updated || frontmatter.started || frontmatter.created);
+    }
+
+    if (StatusHistory.normalizeStatus(frontmatter.status) === 'completed') {
+      add('completed', frontmatter.completed || frontmatter.updated);
+    }
+
+    return transitions;
+  }
+
+  /**
+   * Sort transitions and drop repeats of the same state
+   *
+   * @private
+   * @param {Array<Object>} transitions - Unordered transitions
+   * @returns {Array<Object>} Ordered transitions
+   */
+  _collapse(transitions) {
+    const sorted = transitions
+      .filter(t => !Number.isNaN(t.at))
+      .sort((a, b) => a.at - b.at);
+
+    return sorted.filter((t, index) => index === 0 || t.status !== sorted[index - 1].status);
+  }
+
+  /**
+   * Parse a frontmatter date; date-only values mean midnight UTC
+   *
+   * @private
+   * @param {string|Date} value - Date value
+   * @returns {number|null} Milliseconds, or null if not a date
+   */
+  _toTime(value) {
+    if (!value) {
+      return null;
+    }
+
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    const time = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T00:00:00.000Z` : text);
+
+    return Number.isNaN(time) ? null : time;
+  }
+}
+
+StatusHistory.FLOW_STATES = FLOW_STATES;
+
+module.exports = StatusHistory;
@@ -0,0 +1,232 @@
+/**
+ * Sync Cursor Store
+ *
+ * Remembers where the last incremental sync stopped so the next run only
+ * touches what changed:
+ *
+ * - a remote cursor per provider and entity type - the time the last
+ *   complete sync started, passed to `listItemsChangedSince`
+ * - a content hash per local entity - files whose hash matches the last
+ *   synced content are skipped without parsing
+ *
+ * Layout (`.claude/sync-cursors.json`):
+ *
+ *   { "github": { "issue": { "cursor": "2025-01-01T10:00:00.000Z", "hashes": { "12": "<sha256>" } } } }
+ *
+ * @example
+ * const SyncCursorStore = require('./lib/sync-cursor-store');
+ *
+ * const store = new SyncCursorStore();
+ * const cursor = await store.getCursor('github', 'issue');
+ *
+ * if (await store.hasChanged('github', 'issue', '12', content)) {
+ *   // push issue 12
+ *   await store.recordHashes('github', 'issue', { 12: SyncCursorStore.hash(content) });
+ * }
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+class SyncCursorStore {
+  /**
+   * Create a new SyncCursorStore instance
+   *
+   * @param {Object} options - Configuration options
+   * @param {string} options.filePath - Store file relative to cwd (default: '.claude/sync-cursors.json')
+   */
+  constructor(options = {}) {
+    this.options = {
+      filePath: options.filePath || '.claude/sync-cursors.json'
+    };
+  }
+
+  /**
+   * Hash entity content for change detection
+   *
+   * Line endings are normalized so a checkout on another platform does not
+   * look like an edit.
+   *
+   * @param {string} content - File content
+   * @returns {string} SHA-256 hex digest
+   */
+  static hash(content) {
+    return crypto.createHash('sha256').update(String(content).replace(/\r\n/g, '\n')).digest('hex');
+  }
+
+  /**
+   * Get the remote cursor of a provider
+   *
+   * @param {string} provider - Provider name
+   * @param {string} entityType - Entity type ('issue', 'epic')
+   * @returns {Promise<string|null>} ISO timestamp, or null before the first complete sync
+   */
+  async getCursor(provider, entityType) {
+    const entry = await this._getEntry(provider, entityType);
+    return entry.cursor || null;
+  }
+
+  /**
+   * Store the remote cursor of a provider
+   *
+   * @param {string} provider - Provider name
+   * @param {string} entityType - Entity type
+   * @param {string} cursor - ISO timestamp
+   * @returns {Promise<void>}
+   */
+  async setCursor(provider, entityType, cursor) {
+    await this._update(provider, entityType, entry => {
+      entry.cursor = cursor;
+    });
+  }
+
+  /**
+   * Get the last synced content hashes of a provider
+   *
+   * @param {string} provider - Provider name
+   * @param {string} entityType - Entity type
+   * @returns {Promise<Object>} Map of entity ID to hash
+   */
+  async getHashes(provider, entityType) {
+    const entry = await this._getEntry(provider, entityType);
+    return { ...entry.hashes };
+  }
+
+  /**
+   * Check whether local content differs from what was last synced
+   *
+   * @param {string} provider - Provider name
+   * @param {string} entityType - Entity type
+   * @param {string|number} entityId - Local entity identifier
+   * @param {string} content - Current file content
+   * @returns {Promise<boolean>} True if changed or never synced
+   */
+  async hasChanged(provider, entityType, entityId, content) {
+    const hashes = await this.getHashes(provider, entityType);
+    return hashes[String(entityId)] !== SyncCursorStore.hash(content);
+  }
+
+  /**
+   * Record the content hashes of synced entities
+   *
+   * @param {string} provider - Provider name
+   * @param {string} entityType - Entity type
+   * @param {Object} hashes - Map of entity ID to hash
+   * @returns {Promise<void>}
+   */
+  async recordHashes(provider, entityType, hashes) {
+    await this._update(provider, entityType, entry => {
+      entry.hashes = { ...entry.hashes, ...hashes };
+    });
+  }
+
+  /**
+   * Forget cursor and hashes so the next sync is a full one
+   *
+   * @param {string} provider - Provider name
+   * @param {string} [entityType] - Entity type (default: all types of the provider)
+   * @returns {Promise<void>}
+   */
+  async reset(provider, entityType) {
+    const data = await this._load();
+
+    if (!data[provider]) {
+      return;
+    }
+
+    if (entityType) {
+      delete data[provider][entityType];
+    } else {
+      delete data[provider];
+    }
+
+    await this._save(data);
+  }
+
+  /**
+   * Get the stored entry of a provider and entity type
+   *
+   * @private
+   * @param {string} provider - Provider name
+   * @param {string} entityType - Entity type
+   * @returns {Promise<Object>} { cursor, hashes }
+   */
+  async _getEntry(provider, entityType) {
+    const data = await this._load();
+    const entry = (data[provider] || {})[entityType] || {};
+
+    return { cursor: entry.cursor || null, hashes: entry.hashes || {} };
+  }
+
+  /**
+   * Read-modify-write one entry
+   *
+   * @private
+   * @param {string} provider - Provider name
+   * @param {string} entityType - Entity type
+   * @param {Function} mutate - Receives the entry to change in place
+   * @returns {Promise<void>}
+   */
+  async _update(provider, entityType, mutate) {
+    const data = await this._load();
+    const entry = await this._getEntry(provider, entityType);
+
+    mutate(entry);
+
+    data[provider] = { ...data[provider], [entityType]: entry };
+    await this._save(data);
+  }
+
+  /**
+   * Resolve the store path, keeping it inside the working directory
+   *
+   * @private
+   * @returns {string} Absolute path
+   * @throws {Error} If the path escapes the working directory
+   */
+  _resolve() {
+    const baseDir = process.cwd();
+    const resolved = path.resolve(baseDir, this.options.filePath);
+
+    if (!resolved.startsWith(baseDir + path.sep)) {
+      throw new Error('Cursor store path must be within the current working directory (security: path traversal prevention)');
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Load the store (missing file = empty)
+   *
+   * @private
+   * @returns {Promise<Object>} Store data
+   */
+  async _load() {
+    const filePath = this._resolve();
+
+    if (!(await fs.pathExists(filePath))) {
+      return {};
+    }
+
+    return await fs.readJSON(filePath);
+  }
+
+  /**
+   * Write the store atomically
+   *
+   * @private
+   * @param {Object} data - Store data
+   * @returns {Promise<void>}
+   */
+  async _save(data) {
+    const filePath = this._resolve();
+    const tmpPath = `${filePath}.tmp`;
+
+    await fs.ensureDir(path.dirname(filePath));
+    await fs.writeJSON(tmpPath, data, { spaces: 2 });
+    await fs.rename(tmpPath, filePath);
+  }
+}
+
+module.exports = SyncCursorStore;
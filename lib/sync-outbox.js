@@ -0,0 +1,444 @@
+/**
+ * Sync Outbox
+ *
+ * Durable queue of outgoing tracker operations (create, update, comment)
+ * that could not be sent because the provider was unreachable. Operations
+ * are kept in order in `.claude/sync-outbox.jsonl` and replayed through a
+ * CircuitBreaker once the provider is back:
+ *
+ * - exact duplicates (same entity, action and payload) are dropped
+ * - repeated create/update operations on one entity are coalesced into the
+ *   first one - replaying a push always sends the current local content
+ * - transient failures (network errors, 5xx, 408/429, open circuit) stop the
+ *   replay and keep the remaining operations queued
+ * - permanent failures are removed from the queue, appended to
+ *   `.claude/sync-outbox-failed.jsonl` and reported
+ * - corrupt queue lines are moved to the same dead-letter file with a warning
+ *
+ * @example
+ * const SyncOutbox = require('./lib/sync-outbox');
+ *
+ * const outbox = new SyncOutbox();
+ *
+ * await outbox.enqueue({ provider: 'github', entityType: 'issue', entityId: '12', action: 'update' });
+ *
+ * const report = await outbox.replay(async (operation) => {
+ *   return await issueService.replayOutboxOperation(operation, provider);
+ * });
+ * // report: { replayed, failed, deferred, coalesced, deduplicated, skipped }
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { CircuitBreaker, States } = require('./utils/CircuitBreaker');
+
+const ACTIONS = ['create', 'update', 'comment'];
+
+const TRANSIENT_CODES = [
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ENOTFOUND',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+  'EPIPE'
+];
+
+class SyncOutbox {
+  /**
+   * Create a new SyncOutbox instance
+   *
+   * @param {Object} options - Configuration options
+   * @param {string} options.outboxPath - Queue file relative to cwd (default: '.claude/sync-outbox.jsonl')
+   * @param {string} options.failedPath - Dead-letter file relative to cwd (default: '.claude/sync-outbox-failed.jsonl')
+   * @param {CircuitBreaker} options.circuitBreaker - Breaker guarding replays (default: new CircuitBreaker())
+   */
+  constructor(options = {}) {
+    this.options = {
+      outboxPath: options.outboxPath || '.claude/sync-outbox.jsonl',
+      failedPath: options.failedPath || '.claude/sync-outbox-failed.jsonl'
+    };
+
+    this.circuitBreaker = options.circuitBreaker || new CircuitBreaker();
+  }
+
+  /**
+   * Check whether an error means "try again later"
+   *
+   * Errors can opt in explicitly with `error.transient = true`.
+   *
+   * @param {Error} error - Error thrown by a provider call
+   * @returns {boolean} True for network errors, 5xx, 408, 429 and an open circuit
+   */
+  static isTransientError(error) {
+    if (!error) {
+      return false;
+    }
+
+    if (error.transient === true || error.message === 'Circuit breaker is OPEN') {
+      return true;
+    }
+
+    if (TRANSIENT_CODES.includes(error.code) || (error.cause && TRANSIENT_CODES.includes(error.cause.code))) {
+      return true;
+    }
+
+    const status = error.status || error.statusCode || (error.response && error.response.status);
+
+    return status === 408 || status === 429 || (status >= 500 && status < 600);
+  }
+
+  /**
+   * Queue an operation
+   *
+   * @param {Object} operation - Operation to queue
+   * @param {string} operation.provider - Provider name ('github', 'azure', ...)
+   * @param {string} operation.entityType - Entity type ('issue')
+   * @param {string|number} operation.entityId - Local entity identifier
+   * @param {string} operation.action - create | update | comment
+   * @param {Object} [operation.payload={}] - Action data (e.g. { body } for comments)
+   * @returns {Promise<Object>} { queued, operation } - queued is false for a duplicate
+   * @throws {Error} If the operation is incomplete
+   */
+  async enqueue(operation) {
+    if (!operation || !operation.provider || !operation.entityType ||
+        operation.entityId === undefined || operation.entityId === null) {
+      throw new Error('Outbox operation requires provider, entityType and entityId');
+    }
+
+    if (!ACTIONS.includes(operation.action)) {
+      throw new Error(`Invalid outbox action: ${operation.action}. Must be one of: ${ACTIONS.join(', ')}`);
+    }
+
+    const operations = await this.list();
+    const entry = {
+      id: crypto.randomBytes(8).toString('hex'),
+      provider: operation.provider,
+      entityType: operation.entityType,
+      entityId: String(operation.entityId),
+      action: operation.action,
+      payload: operation.payload || {},
+      enqueuedAt: new Date().toISOString(),
+      attempts: 0,
+      lastError: null
+    };
+
+    const duplicate = operations.find(existing => this._fingerprint(existing) === this._fingerprint(entry));
+    if (duplicate) {
+      return { queued: false, operation: duplicate };
+    }
+
+    operations.push(entry);
+    await this._write(this.options.outboxPath, operations);
+
+    return { queued: true, operation: entry };
+  }
+
+  /**
+   * List queued operations in replay order
+   *
+   * @returns {Promise<Array<Object>>} Queued operations
+   */
+  async list() {
+    return await this._read(this.options.outboxPath);
+  }
+
+  /**
+   * List operations that failed permanently
+   *
+   * @returns {Promise<Array<Object>>} Dead-letter records: { operation, error, failedAt }
+   */
+  async listFailed() {
+    return await this._read(this.options.failedPath);
+  }
+
+  /**
+   * Number of queued operations
+   *
+   * @returns {Promise<number>} Queue length
+   */
+  async size() {
+    return (await this.list()).length;
+  }
+
+  /**
+   * Build the replay plan: drop duplicates and coalesce pushes per entity
+   *
+   * @param {Array<Object>} operations - Queued operations in order
+   * @returns {Object} { steps: [{ operation, sourceIds }], coalesced, deduplicated }
+   */
+  plan(operations) {
+    const steps = [];
+    const pushSteps = new Map();
+    const seen = new Set();
+    let coalesced = 0;
+    let deduplicated = 0;
+
+    for (const operation of operations) {
+      const fingerprint = this._fingerprint(operation);
+
+      if (seen.has(fingerprint)) {
+        const step = steps.find(s => s.fingerprints.includes(fingerprint));
+        step.sourceIds.push(operation.id);
+        deduplicated++;
+        continue;
+      }
+      seen.add(fingerprint);
+
+      const entityKey = `${operation.provider}:${operation.entityType}:${operation.entityId}`;
+
+      if (operation.action !== 'comment' && pushSteps.has(entityKey)) {
+        // A later push sends the same (latest) local content; fold it into the first
+        const step = pushSteps.get(entityKey);
+        step.operation = {
+          ...step.operation,
+          payload: { ...step.operation.payload, ...operation.payload }
+        };
+        step.sourceIds.push(operation.id);
+        step.fingerprints.push(fingerprint);
+        coalesced++;
+        continue;
+      }
+
+      const step = { operation: { ...operation }, sourceIds: [operation.id], fingerprints: [fingerprint] };
+      steps.push(step);
+
+      if (operation.action !== 'comment') {
+        pushSteps.set(entityKey, step);
+      }
+    }
+
+    return {
+      steps: steps.map(({ operation, sourceIds }) => ({ operation, sourceIds })),
+      coalesced,
+      deduplicated
+    };
+  }
+
+  /**
+   * Replay queued operations in order
+   *
+   * Does nothing while the circuit is OPEN. Each operation runs through the
+   * circuit breaker; only transient failures count against it.
+   *
+   * @param {Function} executor - async (operation) => result; performs one operation
+   * @param {Object} [options={}] - Replay options
+   * @param {boolean} [options.dryRun=false] - Report the plan without executing or changing the queue
+   * @returns {Promise<Object>} { replayed, failed, deferred, coalesced, deduplicated, skipped, state }
+   */
+  async replay(executor, options = {}) {
+    const operations = await this.list();
+    const { steps, coalesced, deduplicated } = this.plan(operations);
+    const report = {
+      replayed: [],
+      failed: [],
+      deferred: [],
+      coalesced,
+      deduplicated,
+      skipped: false,
+      state: this.circuitBreaker.getState()
+    };
+
+    if (steps.length === 0) {
+      return report;
+    }
+
+    if (options.dryRun) {
+      report.deferred = steps.map(step => step.operation);
+      return report;
+    }
+
+    if (this.circuitBreaker.getState() === States.OPEN && Date.now() < this.circuitBreaker.nextAttempt) {
+      report.skipped = true;
+      report.deferred = steps.map(step => step.operation);
+      return report;
+    }
+
+    const done = new Set();
+    const deadLetters = [];
+    let index = 0;
+
+    for (; index < steps.length; index++) {
+      const { operation, sourceIds } = steps[index];
+
+      let outcome;
+      try {
+        // Permanent failures are returned, not thrown, so they do not trip the breaker
+        outcome = await this.circuitBreaker.execute(async () => {
+          try {
+            return { result: await executor(operation) };
+          } catch (error) {
+            if (SyncOutbox.isTransientError(error)) {
+              throw error;
+            }
+            return { error };
+          }
+        });
+      } catch (error) {
+        this._markAttempt(operations, sourceIds, error);
+        break;
+      }
+
+      sourceIds.forEach(id => done.add(id));
+
+      if (outcome.error) {
+        const record = { operation, error: outcome.error.message, failedAt: new Date().toISOString() };
+        deadLetters.push(record);
+        report.failed.push(record);
+      } else {
+        report.replayed.push({ operation, result: outcome.result });
+      }
+    }
+
+    report.deferred = steps.slice(index).map(step => step.operation);
+    report.state = this.circuitBreaker.getState();
+
+    await this._write(this.options.outboxPath, operations.filter(operation => !done.has(operation.id)));
+
+    if (deadLetters.length > 0) {
+      await this._write(this.options.failedPath, [...await this.listFailed(), ...deadLetters]);
+    }
+
+    return report;
+  }
+
+  /**
+   * Record a failed attempt on queued operations
+   *
+   * @private
+   * @param {Array<Object>} operations - Queue (mutated)
+   * @param {Array<string>} ids - Operation IDs
+   * @param {Error} error - Failure
+   */
+  _markAttempt(operations, ids, error) {
+    for (const operation of operations) {
+      if (ids.includes(operation.id)) {
+        operation.attempts = (operation.attempts || 0) + 1;
+        operation.lastError = error.message;
+      }
+    }
+  }
+
+  /**
+   * Identity of an operation for duplicate detection
+   *
+   * @private
+   * @param {Object} operation - Operation
+   * @returns {string} Fingerprint
+   */
+  _fingerprint(operation) {
+    return [
+      operation.provider,
+      operation.entityType,
+      operation.entityId,
+      operation.action,
+      JSON.stringify(operation.payload || {})
+    ].join('|');
+  }
+
+  /**
+   * Resolve a store path, keeping it inside the working directory
+   *
+   * @private
+   * @param {string} relativePath - Path relative to cwd
+   * @returns {string} Absolute path
+   * @throws {Error} If the path escapes the working directory
+   */
+  _resolve(relativePath) {
+    const baseDir = process.cwd();
+    const resolved = path.resolve(baseDir, relativePath);
+
+    if (!resolved.startsWith(baseDir + path.sep)) {
+      throw new Error('Outbox path must be within the current working directory (security: path traversal prevention)');
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Read a JSONL file (missing file = empty)
+   *
+   * Lines that are not valid JSON (e.g. a write torn by a crash) are
+   * skipped with a warning. Corrupt outbox lines are moved to the
+   * dead-letter file so the queue stays readable.
+   *
+   * @private
+   * @param {string} relativePath - Path relative to cwd
+   * @returns {Promise<Array<Object>>} Records
+   */
+  async _read(relativePath) {
+    const filePath = this._resolve(relativePath);
+
+    if (!(await fs.pathExists(filePath))) {
+      return [];
+    }
+
+    const data = await fs.readFile(filePath, 'utf8');
+    const records = [];
+    const corrupt = [];
+
+    for (const line of data.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        corrupt.push({ line, error });
+      }
+    }
+
+    if (corrupt.length > 0) {
+      if (relativePath === this.options.outboxPath) {
+        await this._quarantine(corrupt);
+        await this._write(relativePath, records);
+        console.warn(`Moved ${corrupt.length} corrupt line(s) from ${relativePath} to ${this.options.failedPath}`);
+      } else {
+        console.warn(`Skipping ${corrupt.length} corrupt line(s) in ${relativePath}`);
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * Append unparseable outbox lines to the dead-letter file
+   *
+   * @private
+   * @param {Array<Object>} corrupt - { line, error } pairs
+   */
+  async _quarantine(corrupt) {
+    const filePath = this._resolve(this.options.failedPath);
+    const failedAt = new Date().toISOString();
+    const records = corrupt.map(({ line, error }) => ({
+      operation: null,
+      raw: line,
+      error: `Corrupt outbox line: ${error.message}`,
+      failedAt
+    }));
+
+    await fs.ensureDir(path.dirname(filePath));
+    await fs.appendFile(filePath, records.map(record => JSON.stringify(record) + '\n').join(''));
+  }
+
+  /**
+   * Rewrite a JSONL file atomically
+   *
+   * @private
+   * @param {string} relativePath - Path relative to cwd
+   * @param {Array<Object>} records - Records to write
+   */
+  async _write(relativePath, records) {
+    const filePath = this._resolve(relativePath);
+    const tmpPath = `${filePath}.tmp`;
+
+    await fs.ensureDir(path.dirname(filePath));
+    await fs.writeFile(tmpPath, records.map(record => JSON.stringify(record) + '\n').join(''));
+    await fs.rename(tmpPath, filePath);
+  }
+}
+
+module.exports = SyncOutbox;
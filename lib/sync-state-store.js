@@ -0,0 +1,328 @@
+/**
+ * Sync State Store
+ *
+ * Persists a snapshot of every entity (issue, epic) at each successful sync
+ * so bidirectional sync has a real "last synced" base for three-way merges.
+ * Snapshots hold both sides as they were at sync time - local frontmatter
+ * and body, plus the remote fields and body expressed in local vocabulary -
+ * because trackers rarely round-trip values exactly (e.g. GitHub maps
+ * `in-progress` to `open`).
+ *
+ * Layout: `.claude/sync-state/<provider>/<entityType>/<entityId>.json`
+ *
+ * @example
+ * const SyncStateStore = require('./lib/sync-state-store');
+ *
+ * const store = new SyncStateStore();
+ *
+ * // After a successful sync
+ * await store.save('github', 'issue', '12', { remoteId: '34', local, remote });
+ *
+ * // On the next bidirectional sync
+ * const base = await store.load('github', 'issue', '12');
+ * const result = store.merge(localView, remoteView, base);
+ *
+ * if (!result.hasConflicts) {
+ *   // write result.frontmatter / result.body to both sides
+ * }
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const ConflictResolver = require('./conflict-resolver');
+
+class SyncStateStore {
+  /**
+   * Create a new SyncStateStore instance
+   *
+   * @param {Object} options - Configuration options
+   * @param {string} options.stateDir - Snapshot directory relative to cwd (default: '.claude/sync-state')
+   * @param {ConflictResolver} options.resolver - Resolver used for body merges (default: markdown merge mode)
+   */
+  constructor(options = {}) {
+    this.options = {
+      stateDir: options.stateDir || '.claude/sync-state'
+    };
+
+    this.resolver = options.resolver || new ConflictResolver({ mergeMode: 'markdown' });
+  }
+
+  /**
+   * Get the snapshot file path for an entity
+   *
+   * Resolved against the current working directory on every call so the
+   * store follows the project the CLI is running in.
+   *
+   * @param {string} provider - Provider name (e.g., 'github')
+   * @param {string} entityType - Entity type ('issue', 'epic')
+   * @param {string|number} entityId - Local entity identifier
+   * @returns {string} Absolute snapshot path
+   * @throws {Error} If the resolved path escapes the state directory
+   */
+  getSnapshotPath(provider, entityType, entityId) {
+    const stateDir = path.resolve(process.cwd(), this.options.stateDir);
+    const snapshotPath = path.resolve(stateDir, String(provider), String(entityType), `${entityId}.json`);
+
+    if (!snapshotPath.startsWith(stateDir + path.sep)) {
+      throw new Error('Snapshot path must be within the sync state directory (security: path traversal prevention)');
+    }
+
+    return snapshotPath;
+  }
+
+  /**
+   * Load the last synced snapshot of an entity
+   *
+   * @param {string} provider - Provider name
+   * @param {string} entityType - Entity type
+   * @param {string|number} entityId - Local entity identifier
+   * @returns {Promise<Object|null>} Snapshot, or null if none (or unreadable)
+   */
+  async load(provider, entityType, entityId) {
+    const snapshotPath = this.getSnapshotPath(provider, entityType, entityId);
+
+    if (!(await fs.pathExists(snapshotPath))) {
+      return null;
+    }
+
+    // A corrupt snapshot only loses the merge base; the next sync rewrites it
+    let snapshot;
+    try {
+      snapshot = await fs.readJSON(snapshotPath);
+    } catch (error) {
+      return null;
+    }
+
+    return this._isValidSnapshot(snapshot) ? snapshot : null;
+  }
+
+  /**
+   * Save a snapshot after a successful sync
+   *
+   * @param {string} provider - Provider name
+   * @param {string} entityType - Entity type
+   * @param {string|number} entityId - Local entity identifier
+   * @param {Object} state - State to snapshot
+   * @param {string|number} state.remoteId - Remote identifier
+   * @param {Object} state.local - Local view: { frontmatter, body }
+   * @param {Object} state.remote - Remote view: { frontmatter, body } (defaults to local)
+   * @returns {Promise<Object>} Saved snapshot
+   */
+  async save(provider, entityType, entityId, state) {
+    const local = this._toView(state.local);
+    const remote = state.remote ? this._toView(state.remote) : local;
+
+    const snapshot = {
+      provider,
+      entityType,
+      entityId: String(entityId),
+      remoteId: state.remoteId !== undefined && state.remoteId !== null ? String(state.remoteId) : null,
+      syncedAt: new Date().toISOString(),
+      frontmatter: local.frontmatter,
+      body: local.body,
+      remote
+    };
+
+    const snapshotPath = this.getSnapshotPath(provider, entityType, entityId);
+    await fs.ensureDir(path.dirname(snapshotPath));
+    await fs.writeJSON(snapshotPath, snapshot, { spaces: 2 });
+
+    return snapshot;
+  }
+
+  /**
+   * Remove the snapshot of an entity
+   *
+   * @param {string} provider - Provider name
+   * @param {string} entityType - Entity type
+   * @param {string|number} entityId - Local entity identifier
+   * @returns {Promise<boolean>} True if a snapshot was removed
+   */
+  async remove(provider, entityType, entityId) {
+    const snapshotPath = this.getSnapshotPath(provider, entityType, entityId);
+
+    if (!(await fs.pathExists(snapshotPath))) {
+      return false;
+    }
+
+    await fs.remove(snapshotPath);
+    return true;
+  }
+
+  /**
+   * Three-way merge local and remote views against a snapshot
+   *
+   * Frontmatter fields are merged one by one; each side is compared with its
+   * own base so vocabulary differences never count as edits. Bodies are
+   * merged section by section with ConflictResolver.threeWayMerge when both
+   * changed, so a moved heading section is not a conflict.
+   *
+   * @param {Object} local - Current local view: { frontmatter, body }
+   * @param {Object} remote - Current remote view: { frontmatter, body }
+   * @param {Object} base - Snapshot from load()
+   * @param {Object} [options={}] - Merge options
+   * @param {Function} [options.equivalent] - (field, localValue, remoteValue) => boolean for both-changed fields
+   * @param {Function} [options.remoteEquivalent] - (field, remoteValue, remoteBase) => boolean; true when the
+   *   tracker cannot tell the two apart (a lossy field), so the remote side does not count as changed
+   * @returns {Object} Result: { frontmatter, body, localChanged, remoteChanged, hasConflicts, conflicts, bodyHunks }
+   *   Body conflicts carry `hunk`, their position among the conflict hunks in `bodyHunks`
+   *   (null when the body did not need a merge or the resolver produced no hunks).
+   */
+  merge(local, remote, base, options = {}) {
+    if (!this._isValidSnapshot(base)) {
+      throw new Error('A valid base snapshot is required for three-way merge');
+    }
+
+    local = this._toView(local);
+    remote = this._toView(remote);
+
+    const equivalent = options.equivalent || (() => false);
+    const remoteEquivalent = options.remoteEquivalent || (() => false);
+    const conflicts = [];
+    const frontmatter = {};
+    let localChanged = false;
+    let remoteChanged = false;
+
+    const fields = new Set([
+      ...Object.keys(local.frontmatter),
+      ...Object.keys(remote.frontmatter)
+    ]);
+
+    for (const field of fields) {
+      const localValue = this._normalizeValue(local.frontmatter[field]);
+      const remoteValue = this._normalizeValue(remote.frontmatter[field]);
+      const localBase = this._normalizeValue(base.frontmatter[field]);
+      const remoteBase = this._normalizeValue(base.remote.frontmatter[field]);
+
+      const fieldLocalChanged = localValue !== localBase;
+      const fieldRemoteChanged = remoteValue !== remoteBase && !remoteEquivalent(field, remoteValue, remoteBase);
+
+      localChanged = localChanged || fieldLocalChanged;
+      remoteChanged = remoteChanged || fieldRemoteChanged;
+
+      if (fieldRemoteChanged && !fieldLocalChanged) {
+        frontmatter[field] = remoteValue;
+        continue;
+      }
+
+      if (fieldLocalChanged && fieldRemoteChanged &&
+          localValue !== remoteValue && !equivalent(field, localValue, remoteValue)) {
+        conflicts.push({
+          section: 'frontmatter',
+          field,
+          localContent: localValue,
+          remoteContent: remoteValue,
+          baseContent: localBase
+        });
+      }
+
+      frontmatter[field] = localValue;
+    }
+
+    const bodyLocalChanged = local.body !== base.body;
+    const bodyRemoteChanged = remote.body !== base.remote.body;
+    let body = local.body;
+    let bodyHunks = null;
+
+    localChanged = localChanged || bodyLocalChanged;
+    remoteChanged = remoteChanged || bodyRemoteChanged;
+
+    if (bodyRemoteChanged && !bodyLocalChanged) {
+      body = remote.body;
+    } else if (bodyLocalChanged && bodyRemoteChanged && local.body !== remote.body) {
+      const bodyMerge = this.resolver.threeWayMerge(local.body, remote.body, base.body);
+      body = bodyMerge.merged;
+      bodyHunks = bodyMerge.hunks || null;
+
+      bodyMerge.conflicts.forEach((conflict, hunk) => {
+        conflicts.push({ ...conflict, section: 'body', hunk });
+      });
+    }
+
+    return {
+      frontmatter,
+      body,
+      localChanged,
+      remoteChanged,
+      hasConflicts: conflicts.length > 0,
+      conflicts,
+      bodyHunks
+    };
+  }
+
+  /**
+   * Check whether two views hold the same synced content
+   *
+   * Values are compared after normalization, so `['a', 'b']` equals
+   * `'a, b'` and missing fields equal empty ones. Snapshots can be passed
+   * directly (their top-level frontmatter/body is the local view).
+   *
+   * @param {Object} a - View: { frontmatter, body }
+   * @param {Object} b - View: { frontmatter, body }
+   * @returns {boolean} True if frontmatter and body match
+   */
+  isSameView(a, b) {
+    const left = this._toView(a);
+    const right = this._toView(b);
+    const keys = new Set([...Object.keys(left.frontmatter), ...Object.keys(right.frontmatter)]);
+
+    return left.body === right.body &&
+      [...keys].every(key => (left.frontmatter[key] || '') === (right.frontmatter[key] || ''));
+  }
+
+  /**
+   * Normalize a view to { frontmatter, body }
+   *
+   * @private
+   * @param {Object} view - View object
+   * @returns {Object} Normalized view
+   */
+  _toView(view = {}) {
+    const frontmatter = {};
+
+    for (const [key, value] of Object.entries(view.frontmatter || {})) {
+      frontmatter[key] = this._normalizeValue(value);
+    }
+
+    return {
+      frontmatter,
+      body: typeof view.body === 'string' ? view.body.replace(/\r\n/g, '\n').trim() : ''
+    };
+  }
+
+  /**
+   * Normalize a frontmatter value for comparison
+   *
+   * @private
+   * @param {*} value - Raw value
+   * @returns {string} Comparable string
+   */
+  _normalizeValue(value) {
+    if (value === undefined || value === null) {
+      return '';
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(v => String(v).trim()).filter(Boolean).join(', ');
+    }
+
+    return String(value).trim();
+  }
+
+  /**
+   * Check snapshot structure
+   *
+   * @private
+   * @param {Object} snapshot - Candidate snapshot
+   * @returns {boolean} True if usable as a merge base
+   */
+  _isValidSnapshot(snapshot) {
+    return !!snapshot &&
+      typeof snapshot.body === 'string' &&
+      !!snapshot.frontmatter && typeof snapshot.frontmatter === 'object' &&
+      !!snapshot.remote && typeof snapshot.remote.body === 'string' &&
+      !!snapshot.remote.frontmatter && typeof snapshot.remote.frontmatter === 'object';
+  }
+}
+
+module.exports = SyncStateStore;
@@ -0,0 +1,283 @@
+/**
+ * TaskScorer - Explainable scoring for picking the next task
+ *
+ * Each candidate gets a value between 0 and 1 per factor; its score is the
+ * weighted sum, so with the default weights scores range from 0 to 100:
+ *
+ * - priority:     P0 = 1, P1 = 0.67, P2 = 0.33, P3 = 0
+ * - age:          days since `created`, full after 30 days
+ * - unblocks:     open tasks waiting on it (DependencyAnalyzer.findBottlenecks),
+ *                 relative to the candidate that unblocks the most
+ * - criticalPath: 1 on the longest dependency chain (findCriticalPath)
+ * - dueDate:      rises over the 14 days before `due`, 1 once overdue
+ * - skills:       share of the task's `skills` the member has
+ *
+ * Weights come from `scoring.weights` in .claude/config.json, merged over the
+ * defaults:
+ *
+ * { "scoring": { "weights": { "priority": 30, "dueDate": 25 } } }
+ *
+ * @example
+ * const TaskScorer = require('./lib/task-scorer');
+ *
+ * const scorer = new TaskScorer();
+ * const ranked = await scorer.rank(tasks, { graph, member: { name: 'alice', skills: ['backend'] } });
+ *
+ * console.log(ranked[0].score);      // 72.5
+ * console.log(ranked[0].breakdown);  // [{ factor: 'priority', weight: 40, value: 1, points: 40, detail: 'Priority P0' }, ...]
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const DependencyAnalyzer = require('./dependency-analyzer');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AGE_FULL_DAYS = 30;
+const DUE_HORIZON_DAYS = 14;
+
+const DEFAULT_WEIGHTS = {
+  priority: 40,
+  age: 10,
+  unblocks: 20,
+  criticalPath: 15,
+  dueDate: 10,
+  skills: 5
+};
+
+const PRIORITY_VALUES = {
+  P0: 1,
+  P1: 0.67,
+  P2: 0.33,
+  P3: 0,
+  critical: 1,
+  high: 0.67,
+  medium: 0.33,
+  low: 0
+};
+
+class TaskScorer {
+  /**
+   * Create a new TaskScorer instance
+   *
+   * @param {Object} options - Configuration options
+   * @param {string} options.basePath - Base path for file operations (default: '.claude')
+   * @param {Object} options.weights - Factor weights (default: "scoring.weights" in config.json)
+   */
+  constructor(options = {}) {
+    this.basePath = options.basePath || '.claude';
+    this.weights = options.weights || null;
+    this.dependencyAnalyzer = new DependencyAnalyzer();
+  }
+
+  /**
+   * Load the factor weights, merged over the defaults
+   *
+   * @returns {Promise<Object>} Weights by factor
+   * @throws {Error} On an unknown factor or a negative weight
+   */
+  async loadWeights() {
+    let weights = this.weights;
+
+    if (!weights) {
+      try {
+        const config = await fs.readJSON(path.join(this.basePath, 'config.json'));
+        weights = (config.scoring && config.scoring.weights) || {};
+      } catch (error) {
+        weights = {};
+      }
+    }
+
+    const merged = { ...DEFAULT_WEIGHTS };
+    for (const [factor, weight] of Object.entries(weights)) {
+      if (!(factor in DEFAULT_WEIGHTS)) {
+        throw new Error(`Unknown scoring factor: ${factor}. Must be one of: ${Object.keys(DEFAULT_WEIGHTS).join(', ')}`);
+      }
+
+      const value = Number(weight);
+      if (!Number.isFinite(value) || value < 0) {
+        throw new Error(`Invalid weight for ${factor}: ${weight}`);
+      }
+      merged[factor] = value;
+    }
+
+    return merged;
+  }
+
+  /**
+   * Score candidates and sort them, highest score first
+   *
+   * Candidates with equal scores keep their input order.
+   *
+   * @param {Array<Object>} tasks - Candidates: { id, priority, created, due, skills }
+   * @param {Object} [context={}] - Scoring context
+   * @param {Object} [context.graph] - Dependency graph of the open tasks: { nodes, edges }
+   * @param {Object} [context.member] - Member to match skills against: { name, skills }
+   * @param {Object} [context.weights] - Weights from loadWeights() (default: loaded now)
+   * @returns {Promise<Array<Object>>} Ranked: [{ task, score, breakdown: [{ factor, weight, value, points, detail }] }]
+   */
+  async rank(tasks, context = {}) {
+    const weights = context.weights || await this.loadWeights();
+    const graph = context.graph || { nodes: [], edges: [] };
+
+    const unblocks = this._countUnblocked(graph);
+    const mostUnblocked = Math.max(0, ...tasks.map(task => unblocks.get(String(task.id)) || 0));
+    const criticalPath = graph.edges.length > 0 ? new Set(this.dependencyAnalyzer.findCriticalPath(graph)) : new Set();
+    const today = new Date();
+
+    const ranked = tasks.map(task => {
+      const factors = {
+        priority: this._scorePriority(task),
+        age: this._scoreAge(task, today),
+        unblocks: this._scoreUnblocks(unblocks.get(String(task.id)) || 0, mostUnblocked),
+        criticalPath: criticalPath.has(String(task.id))
+          ? { value: 1, detail: 'On the critical path' }
+          : { value: 0, detail: 'Not on the critical path' },
+        dueDate: this._scoreDueDate(task, today),
+        skills: this._scoreSkills(task, context.member)
+      };
+
+      const breakdown = Object.entries(factors).map(([factor, { value, detail }]) => ({
+        factor,
+        weight: weights[factor],
+        value,
+        points: this._round(weights[factor] * value),
+        detail
+      }));
+
+      return {
+        task,
+        score: this._round(breakdown.reduce((sum, entry) => sum + entry.points, 0)),
+        breakdown
+      };
+    });
+
+    // Array.prototype.sort is stable, so ties keep the input order
+    return ranked.sort((a, b) => b.score - a.score);
+  }
+
+  // ============================================================================
+  // Private Helper Methods
+  // ============================================================================
+
+  /**
+   * Open tasks waiting on each task; bottlenecks use findBottlenecks' count
+   *
+   * @private
+   * @param {Object} graph - Dependency graph
+   * @returns {Map<string, number>} Count by task ID
+   */
+  _countUnblocked(graph) {
+    const counts = new Map();
+
+    for (const edge of graph.edges) {
+      counts.set(String(edge.from), (counts.get(String(edge.from)) || 0) + 1);
+    }
+    for (const bottleneck of this.dependencyAnalyzer.findBottlenecks(graph)) {
+      counts.set(String(bottleneck.taskId), bottleneck.blocking);
+    }
+
+    return counts;
+  }
+
+  /**
+   * @private
+   */
+  _scorePriority(task) {
+    const priority = task.priority || 'P2';
+    const value = PRIORITY_VALUES[priority] ?? PRIORITY_VALUES[String(priority).toLowerCase()] ?? PRIORITY_VALUES.P2;
+    return { value, detail: `Priority ${priority}` };
+  }
+
+  /**
+   * @private
+   */
+  _scoreAge(task, today) {
+    const created = task.created ? new Date(task.created) : null;
+    if (!created || isNaN(created.getTime())) {
+      return { value: 0, detail: 'No creation date' };
+    }
+
+    const days = Math.max(0, Math.floor((today - created) / DAY_MS));
+    return {
+      value: this._round(Math.min(days / AGE_FULL_DAYS, 1)),
+      detail: `Open for ${days} day${days === 1 ? '' : 's'}`
+    };
+  }
+
+  /**
+   * @private
+   */
+  _scoreUnblocks(count, mostUnblocked) {
+    if (count === 0) {
+      return { value: 0, detail: 'Unblocks no tasks' };
+    }
+    return {
+      value: this._round(count / mostUnblocked),
+      detail: `Unblocks ${count} task${count === 1 ? '' : 's'}`
+    };
+  }
+
+  /**
+   * @private
+   */
+  _scoreDueDate(task, today) {
+    const dueValue = task.due || task.due_date;
+    const due = dueValue ? new Date(dueValue) : null;
+    if (!due || isNaN(due.getTime())) {
+      return { value: 0, detail: 'No due date' };
+    }
+
+    const daysLeft = Math.ceil((due - today) / DAY_MS);
+    if (daysLeft < 0) {
+      return { value: 1, detail: `Overdue by ${-daysLeft} day${daysLeft === -1 ? '' : 's'}` };
+    }
+    return {
+      value: this._round(Math.max(0, 1 - daysLeft / DUE_HORIZON_DAYS)),
+      detail: `Due in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`
+    };
+  }
+
+  /**
+   * @private
+   */
+  _scoreSkills(task, member) {
+    const required = this._toList(task.skills).map(skill => skill.toLowerCase());
+    if (required.length === 0) {
+      return { value: 0, detail: 'No skills required' };
+    }
+    if (!member) {
+      return { value: 0, detail: `Needs ${required.join(', ')}` };
+    }
+
+    const skills = this._toList(member.skills).map(skill => skill.toLowerCase());
+    const matched = required.filter(skill => skills.includes(skill));
+    return {
+      value: this._round(matched.length / required.length),
+      detail: `${member.name} has ${matched.length}/${required.length} skills (${required.join(', ')})`
+    };
+  }
+
+  /**
+   * @private
+   */
+  _toList(value) {
+    if (Array.isArray(value)) {
+      return value.map(String).filter(Boolean);
+    }
+    if (typeof value === 'string' && value.trim()) {
+      return value.replace(/[[\]]/g, '').split(',').map(v => v.trim()).filter(Boolean);
+    }
+    return [];
+  }
+
+  /**
+   * @private
+   */
+  _round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+TaskScorer.DEFAULT_WEIGHTS = DEFAULT_WEIGHTS;
+
+module.exports = TaskScorer;
@@ -0,0 +1,329 @@
+/**
+ * Tool Registry
+ *
+ * Tools an agent can call during AgentService.invoke (function calling).
+ * Each tool has a name, a description, a JSON Schema for its input and an
+ * `execute(input)` function; the registry validates the input, runs the tool
+ * and turns the outcome into a tool result for the model. Failures are
+ * returned as error results, not thrown, so the model can correct itself.
+ *
+ * Tools that change project files are marked `mutating` and run according to
+ * the mode:
+ *
+ * - `dry-run` (default) - describe the change without making it
+ * - `confirm` - ask the `confirm` callback first; a refusal is reported to the model
+ * - `auto` - run without asking
+ *
+ * Agents only get the tools listed in their frontmatter:
+ *
+ *   ---
+ *   name: delivery-lead
+ *   project-tools: read_prd, list_epics, search
+ *   ---
+ *
+ * `ToolRegistry.createDefault()` registers the built-in project tools:
+ * read_prd, list_epics, update_task_status, analyze_dependencies, search.
+ *
+ * @example
+ * const ToolRegistry = require('./lib/tool-registry');
+ *
+ * const registry = ToolRegistry.createDefault({ basePath: '.claude' });
+ * const service = new AgentService(provider, { toolRegistry: registry, toolMode: 'confirm', confirmTool });
+ *
+ * const result = await registry.execute('search', { query: 'status:blocked' });
+ * // { content: '[{"type":"task", ...}]', isError: false }
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const DependencyAnalyzer = require('./dependency-analyzer');
+const FilterEngine = require('./filter-engine');
+const EpicService = require('./services/EpicService');
+const IssueService = require('./services/IssueService');
+const JsonSchemaValidator = require('./utils/JsonSchemaValidator');
+
+const MODES = ['dry-run', 'confirm', 'auto'];
+const NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+const DEFAULT_SEARCH_LIMIT = 20;
+
+class ToolRegistry {
+  /**
+   * Create a new ToolRegistry instance
+   */
+  constructor() {
+    this.tools = new Map();
+    this.validator = new JsonSchemaValidator();
+  }
+
+  /**
+   * Register a tool
+   *
+   * @param {Object} tool - Tool definition
+   * @param {string} tool.name - Name (lowercase, underscores)
+   * @param {string} tool.description - What the tool does, for the model
+   * @param {Object} tool.inputSchema - JSON Schema of the input
+   * @param {Function} tool.execute - async (input) => result
+   * @param {boolean} [tool.mutating=false] - Whether the tool changes project files
+   * @param {Function} [tool.preview] - (input) => description of the change, for dry runs and confirmation
+   * @returns {ToolRegistry} This registry
+   * @throws {Error} On an invalid or duplicate tool
+   */
+  register(tool) {
+    if (!tool || !NAME_PATTERN.test(tool.name || '')) {
+      throw new Error(`Invalid tool name: ${tool && tool.name}`);
+    }
+    if (typeof tool.execute !== 'function') {
+      throw new Error(`Tool ${tool.name} must have an execute() function`);
+    }
+    if (this.tools.has(tool.name)) {
+      throw new Error(`Tool already registered: ${tool.name}`);
+    }
+
+    this.tools.set(tool.name, {
+      description: '',
+      inputSchema: { type: 'object', properties: {} },
+      mutating: false,
+      ...tool
+    });
+
+    return this;
+  }
+
+  /**
+   * Get a tool
+   *
+   * @param {string} name - Tool name
+   * @returns {Object} Tool
+   * @throws {Error} If the tool is not registered
+   */
+  get(name) {
+    if (!this.tools.has(name)) {
+      throw new Error(`Unknown tool: ${name}. Must be one of: ${[...this.tools.keys()].join(', ')}`);
+    }
+    return this.tools.get(name);
+  }
+
+  /**
+   * List tools, optionally limited to an allow-list
+   *
+   * @param {Array<string>} [allowList] - Tool names (default: all tools)
+   * @returns {Array<Object>} Tools
+   * @throws {Error} If the allow-list names an unknown tool
+   */
+  list(allowList = null) {
+    if (!allowList) {
+      return [...this.tools.values()];
+    }
+    return allowList.map(name => this.get(name));
+  }
+
+  /**
+   * Tool definitions to send to a provider
+   *
+   * @param {Array<string>} [allowList] - Tool names (default: all tools)
+   * @returns {Array<Object>} Definitions: { name, description, inputSchema }
+   */
+  definitions(allowList = null) {
+    return this.list(allowList).map(({ name, description, inputSchema }) => ({ name, description, inputSchema }));
+  }
+
+  /**
+   * Execute a tool call
+   *
+   * @param {string} name - Tool name
+   * @param {Object} input - Tool input
+   * @param {Object} [options] - Options
+   * @param {Array<string>} [options.allowList] - Tools the caller may use (default: all tools)
+   * @param {string} [options.mode='dry-run'] - Mode for mutating tools: 'dry-run', 'confirm' or 'auto'
+   * @param {Function} [options.confirm] - async ({ name, input, preview }) => boolean, for 'confirm' mode
+   * @returns {Promise<Object>} Result: { content, isError, dryRun? }
+   * @throws {Error} On an invalid mode (tool failures are returned as error results)
+   */
+  async execute(name, input = {}, options = {}) {
+    const mode = options.mode || 'dry-run';
+    if (!MODES.includes(mode)) {
+      throw new Error(`Invalid tool mode: ${mode}. Must be one of: ${MODES.join(', ')}`);
+    }
+
+    if (!this.tools.has(name) || (options.allowList && !options.allowList.includes(name))) {
+      return { content: `Tool not available: ${name}`, isError: true };
+    }
+
+    const tool = this.tools.get(name);
+    const errors = this.validator.validate(input, tool.inputSchema, 'input');
+    if (errors.length > 0) {
+      return { content: `Invalid input for ${name}: ${errors.join('; ')}`, isError: true };
+    }
+
+    if (tool.mutating && mode !== 'auto') {
+      const preview = tool.preview ? tool.preview(input) : `${name} ${JSON.stringify(input)}`;
+
+      if (mode === 'dry-run') {
+        return { content: `Dry run, nothing was changed. Would ${preview}`, isError: false, dryRun: true };
+      }
+
+      const approved = options.confirm ? await options.confirm({ name, input, preview }) : false;
+      if (!approved) {
+        return { content: `The user declined: ${preview}`, isError: true };
+      }
+    }
+
+    try {
+      const result = await tool.execute(input);
+      return {
+        content: typeof result === 'string' ? result : JSON.stringify(result, null, 2),
+        isError: false
+      };
+    } catch (error) {
+      return { content: error.message, isError: true };
+    }
+  }
+
+  /**
+   * Create a registry with the built-in project tools
+   *
+   * @param {Object} [options] - Options
+   * @param {string} [options.basePath='.claude'] - Project data directory
+   * @param {IssueService} [options.issueService] - Used by update_task_status
+   * @param {EpicService} [options.epicService] - Used by list_epics
+   * @param {DependencyAnalyzer} [options.dependencyAnalyzer] - Used by analyze_dependencies
+   * @param {FilterEngine} [options.filterEngine] - Used by search and read_prd
+   * @returns {ToolRegistry} Registry
+   */
+  static createDefault(options = {}) {
+    const registry = new ToolRegistry();
+    projectTools(options).forEach(tool => registry.register(tool));
+    return registry;
+  }
+}
+
+// ============================================================================
+// Built-in Project Tools
+// ============================================================================
+
+function projectTools(options = {}) {
+  const basePath = options.basePath || '.claude';
+
+  // Services are created on first use
+  const services = {};
+  const service = (key, create) => {
+    services[key] = services[key] || options[key] || create();
+    return services[key];
+  };
+  const filterEngine = () => service('filterEngine', () => new FilterEngine({ basePath }));
+  // The services resolve their directories against the working directory
+  const dataDir = name => path.relative(process.cwd(), path.resolve(basePath, name));
+  const epicService = () => service('epicService', () => new EpicService({ epicsDir: dataDir('epics') }));
+  const issueService = () => service('issueService', () => new IssueService({ issuesDir: dataDir('issues') }));
+  const dependencyAnalyzer = () => service('dependencyAnalyzer', () => new DependencyAnalyzer());
+
+  return [
+    {
+      name: 'read_prd',
+      description: 'Read a product requirements document (PRD): its frontmatter and markdown content.',
+      inputSchema: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', pattern: '^[A-Za-z0-9][\\w.-]*$', description: 'PRD file name, without .md' }
+        },
+        additionalProperties: false
+      },
+      execute: async ({ name }) => {
+        const filePath = path.join(basePath, 'prds', `${name.replace(/\.md$/, '')}.md`);
+        if (!(await fs.pathExists(filePath))) {
+          throw new Error(`PRD not found: ${name}`);
+        }
+        const { frontmatter, content } = filterEngine().parseFrontmatter(await fs.readFile(filePath, 'utf8'));
+        return { name, frontmatter, content };
+      }
+    },
+    {
+      name: 'list_epics',
+      description: 'List the epics of the project with status, progress and task count.',
+      inputSchema: { type: 'object', properties: {}, additionalProperties: false },
+      execute: async () => {
+        const epics = await epicService().listEpics();
+        return epics.map(({ name, status, progress, taskCount, githubIssue, epicDir }) =>
+          ({ name, status, progress, taskCount, githubIssue, epicDir }));
+      }
+    },
+    {
+      name: 'update_task_status',
+      description: 'Change the status of a local issue or epic task (e.g. open, in-progress, blocked, closed).',
+      mutating: true,
+      inputSchema: {
+        type: 'object',
+        required: ['id', 'status'],
+        properties: {
+          id: {
+            type: ['string', 'integer'],
+            pattern: '^(\\d+|[A-Za-z0-9][\\w.-]*/[A-Za-z0-9][\\w.-]*)$',
+            description: 'Issue number, or <epic>/<task> for an epic task (e.g. auth/001)'
+          },
+          status: { type: 'string', minLength: 1, description: 'New status' }
+        },
+        additionalProperties: false
+      },
+      preview: ({ id, status }) => `set the status of ${taskLabel(id)} to ${status}`,
+      execute: async ({ id, status }) => {
+        const [epic, task] = String(id).split('/');
+        if (task) {
+          await epicService().updateTaskStatus(epic, task, status);
+          return `Task ${id} is now ${status}`;
+        }
+        await issueService().updateIssueStatus(id, status);
+        return `Issue #${id} is now ${status}`;
+      }
+    },
+    {
+      name: 'analyze_dependencies',
+      description: 'Analyze the task dependencies of an epic: bottlenecks, critical path, parallel work and cycles.',
+      inputSchema: {
+        type: 'object',
+        required: ['epic'],
+        properties: {
+          epic: { type: 'string', pattern: '^[A-Za-z0-9][\\w.-]*$', description: 'Epic directory name' }
+        },
+        additionalProperties: false
+      },
+      execute: async ({ epic }) => {
+        const analysis = await dependencyAnalyzer().analyze(epic, { basePath });
+        if (!analysis) {
+          throw new Error(`Epic not found: ${epic}`);
+        }
+        const { bottlenecks, criticalPath, parallelizable, circularDependencies } = analysis;
+        return { epic, bottlenecks, criticalPath, parallelizable, circularDependencies };
+      }
+    },
+    {
+      name: 'search',
+      description: 'Search PRDs, epics, tasks and issues with the query language, ' +
+        'e.g. "status:in_progress priority:P1 sort:-updated".',
+      inputSchema: {
+        type: 'object',
+        required: ['query'],
+        properties: {
+          query: { type: 'string', minLength: 1 },
+          types: { type: 'array', items: { type: 'string', enum: ['prd', 'epic', 'task', 'issue'] } },
+          limit: { type: 'integer', minimum: 1, maximum: 100 }
+        },
+        additionalProperties: false
+      },
+      execute: async ({ query, types, limit = DEFAULT_SEARCH_LIMIT }) => {
+        const results = await filterEngine().queryAll(query, { types: types || ['prd', 'epic', 'task', 'issue'] });
+        return results.slice(0, limit).map(result => (result.frontmatter
+          ? { type: result.type, epic: result.epic, path: path.relative(basePath, result.path), frontmatter: result.frontmatter }
+          : result));
+      }
+    }
+  ];
+}
+
+function taskLabel(id) {
+  return String(id).includes('/') ? `task ${id}` : `issue #${id}`;
+}
+
+ToolRegistry.MODES = MODES;
+
+module.exports = ToolRegistry;
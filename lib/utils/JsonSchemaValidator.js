@@ -0,0 +1,175 @@
+/**
+ * JsonSchemaValidator
+ *
+ * Validates values against the subset of JSON Schema used for structured AI
+ * output (AbstractAIProvider.generateStructured).
+ *
+ * Supported keywords:
+ * - type (string or array of types; 'integer' included)
+ * - enum
+ * - properties, required, additionalProperties (false or a schema)
+ * - items, minItems, maxItems
+ * - minLength, maxLength, pattern
+ * - minimum, maximum
+ *
+ * Errors are plain strings with a JSONPath-like location, short enough to be
+ * sent back to a model in a repair prompt.
+ *
+ * Usage:
+ *   const validator = new JsonSchemaValidator();
+ *   const errors = validator.validate({ title: 7 }, {
+ *     type: 'object',
+ *     required: ['title', 'effort'],
+ *     properties: { title: { type: 'string' } }
+ *   });
+ *   // ['$: missing required property "effort"', '$.title: must be string']
+ */
+
+class JsonSchemaValidator {
+  /**
+   * Validate a value
+   *
+   * @param {*} value - Value to validate
+   * @param {Object} schema - JSON Schema
+   * @param {string} [location='$'] - Location of the value, used in messages
+   * @returns {Array<string>} Errors (empty when valid)
+   */
+  validate(value, schema, location = '$') {
+    if (!schema || typeof schema !== 'object') {
+      return [];
+    }
+
+    if (schema.type) {
+      const types = [].concat(schema.type);
+      if (!types.some(type => this._isType(value, type))) {
+        return [`${location}: must be ${types.join(' or ')}`];
+      }
+    }
+
+    const errors = [];
+
+    if (schema.enum && !schema.enum.some(option => option === value)) {
+      errors.push(`${location}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+      errors.push(...this._validateString(value, schema, location));
+    } else if (typeof value === 'number') {
+      errors.push(...this._validateNumber(value, schema, location));
+    } else if (Array.isArray(value)) {
+      errors.push(...this._validateArray(value, schema, location));
+    } else if (value && typeof value === 'object') {
+      errors.push(...this._validateObject(value, schema, location));
+    }
+
+    return errors;
+  }
+
+  /**
+   * @private
+   */
+  _validateString(value, schema, location) {
+    const errors = [];
+
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${location}: must have at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${location}: must have at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${location}: must match ${schema.pattern}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * @private
+   */
+  _validateNumber(value, schema, location) {
+    const errors = [];
+
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${location}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${location}: must be <= ${schema.maximum}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * @private
+   */
+  _validateArray(value, schema, location) {
+    const errors = [];
+
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${location}: must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${location}: must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...this.validate(item, schema.items, `${location}[${index}]`));
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * @private
+   */
+  _validateObject(value, schema, location) {
+    const errors = [];
+    const properties = schema.properties || {};
+
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push(`${location}: missing required property "${name}"`);
+      }
+    }
+
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (properties[name]) {
+        errors.push(...this.validate(propertyValue, properties[name], `${location}.${name}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${location}: unexpected property "${name}"`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...this.validate(propertyValue, schema.additionalProperties, `${location}.${name}`));
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * @private
+   */
+  _isType(value, type) {
+    switch (type) {
+      case 'string':
+        return typeof value === 'string';
+      case 'number':
+        return typeof value === 'number' && Number.isFinite(value);
+      case 'integer':
+        return Number.isInteger(value);
+      case 'boolean':
+        return typeof value === 'boolean';
+      case 'null':
+        return value === null;
+      case 'array':
+        return Array.isArray(value);
+      case 'object':
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+      default:
+        return false;
+    }
+  }
+}
+
+module.exports = JsonSchemaValidator;
@@ -3,6 +3,7 @@
  *
  * Provides factory methods for creating AutoPM services with:
  * - Automatic provider creation from ConfigManager
+ * - Issue tracker providers resolved through ProviderRegistry
  * - Centralized configuration management
  * - Simplified service instantiation
  *
@@ -13,6 +14,10 @@
  */
 
 const ConfigManager = require('../config/ConfigManager');
+const { defaultRegistry } = require('../providers/ProviderRegistry');
+
+// AI provider types that work without an API key
+const KEYLESS_PROVIDER_TYPES = ['openai-compatible', 'ollama', 'router'];
 
 /**
  * ServiceFactory - Creates services with ConfigManager integration
@@ -22,9 +27,11 @@ class ServiceFactory {
    * Create a ServiceFactory instance
    *
    * @param {ConfigManager} configManager - ConfigManager instance
+   * @param {Object} [options={}] - Factory options
+   * @param {ProviderRegistry} [options.providerRegistry] - Issue tracker registry (defaults to shared registry)
    * @throws {Error} If configManager is not provided or invalid
    */
-  constructor(configManager) {
+  constructor(configManager, options = {}) {
     if (!configManager) {
       throw new Error('ConfigManager instance is required');
     }
@@ -34,20 +41,35 @@ class ServiceFactory {
     }
 
     this.configManager = configManager;
+    this.providerRegistry = options.providerRegistry || defaultRegistry;
   }
 
   /**
-   * Create AI provider from ConfigManager
+   * Create AI or issue tracker provider from ConfigManager
+   *
+   * Names registered in the ProviderRegistry (github, azure, ...) resolve to
+   * issue tracker providers configured from `trackers.<name>`; all other
+   * names resolve to AI providers. AI providers are created by their
+   * configured `type` ('claude', 'openai-compatible', 'ollama' or 'router'),
+   * which defaults to the provider name. A router wraps other configured
+   * providers: { type: 'router', providers: ['claude', 'local'], routes }.
    *
    * @param {string} [providerName] - Provider name (defaults to defaultProvider)
+   * @param {Object} [options={}] - Extra options for issue tracker providers
    * @returns {Object} Provider instance
    * @throws {Error} If provider creation fails
    *
    * @example
    * const provider = factory.createProvider(); // Uses default provider
    * const provider = factory.createProvider('openai'); // Specific provider
+   * const local = factory.createProvider('local'); // { type: 'ollama', model: 'llama3.1' }
+   * const tracker = factory.createProvider('github', { repo: 'my-repo' });
    */
-  createProvider(providerName = null) {
+  createProvider(providerName = null, options = {}) {
+    if (providerName && this.providerRegistry.has(providerName)) {
+      return this.createIssueTrackerProvider(providerName, options);
+    }
+
     // Check master password
     if (!this.configManager.hasMasterPassword()) {
       throw new Error('Master password not set. Call configManager.setMasterPassword() first.');
@@ -69,21 +91,94 @@ class ServiceFactory {
       throw new Error(`Invalid configuration for provider '${name}': ${error.message}`);
     }
 
-    // Get API key
+    // The provider type defaults to the configured name (e.g. 'claude')
+    const type = config.type || name;
+
+    // Get API key (optional for local and self-hosted servers)
     const apiKey = this.configManager.getApiKey(name);
-    if (!apiKey) {
+    if (!apiKey && !KEYLESS_PROVIDER_TYPES.includes(type)) {
       throw new Error(`API key not found for provider: ${name}`);
     }
 
-    // Create provider based on name
-    if (name === 'claude') {
+    // Create provider based on type
+    if (type === 'claude') {
       const ClaudeProvider = require('../ai-providers/ClaudeProvider');
       return new ClaudeProvider({ apiKey, ...config });
     }
 
+    if (type === 'openai-compatible') {
+      const OpenAICompatibleProvider = require('../ai-providers/OpenAICompatibleProvider');
+      return new OpenAICompatibleProvider({ ...config, ...(apiKey ? { apiKey } : {}) });
+    }
+
+    if (type === 'ollama') {
+      const OllamaProvider = require('../ai-providers/OllamaProvider');
+      return new OllamaProvider({ ...config, ...(apiKey ? { apiKey } : {}) });
+    }
+
+    if (type === 'router') {
+      return this._createRouterProvider(name, config);
+    }
+
     throw new Error(`Unknown provider: ${name}`);
   }
 
+  /**
+   * Create a RouterProvider over other configured AI providers
+   *
+   * Provider costs come from the `cost` setting of each routed provider.
+   *
+   * @private
+   * @param {string} name - Router provider name
+   * @param {Object} config - Router configuration
+   * @returns {RouterProvider} Router
+   * @throws {Error} If the router lists no providers or another router
+   */
+  _createRouterProvider(name, config) {
+    const RouterProvider = require('../ai-providers/RouterProvider');
+    const names = config.providers || [];
+
+    if (names.length === 0) {
+      throw new Error(`Router provider '${name}' must list providers`);
+    }
+
+    const providers = names.map(providerName => {
+      const providerConfig = this.configManager.getProvider(providerName) || {};
+      if ((providerConfig.type || providerName) === 'router') {
+        throw new Error(`Router provider '${name}' cannot route to another router: ${providerName}`);
+      }
+
+      return {
+        name: providerName,
+        provider: this.createProvider(providerName),
+        cost: providerConfig.cost
+      };
+    });
+
+    return new RouterProvider({ ...config, providers });
+  }
+
+  /**
+   * Create issue tracker provider from the ProviderRegistry
+   *
+   * Tracker settings are read from `trackers.<name>` in the configuration
+   * and merged with the given options; providers fall back to their own
+   * environment variables for anything not configured.
+   *
+   * @param {string} name - Registered provider name
+   * @param {Object} [options={}] - Options overriding configured settings
+   * @returns {IssueTrackerProvider} Provider instance
+   * @throws {Error} If provider is not registered
+   *
+   * @example
+   * const tracker = factory.createIssueTrackerProvider('azure');
+   */
+  createIssueTrackerProvider(name, options = {}) {
+    const config = this.configManager.getConfig(`trackers.${name}`, {});
+
+    return this.providerRegistry.create(name, { ...config, ...options });
+  }
+
   /**
    * Create PRDService instance
    *
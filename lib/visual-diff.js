@@ -20,6 +20,11 @@
  *
  * // Render with context
  * const context = diff.renderContext(text, [5, 10], 3);
+ *
+ * // Render a diff3/markdown merge result from ConflictResolver
+ * const result = resolver.threeWayMerge(local, remote, base, { mode: 'markdown' });
+ * console.log(diff.sideBySide(result));
+ * console.log(diff.unified(result));
  */
 
 class VisualDiff {
@@ -49,12 +54,21 @@ class VisualDiff {
   /**
    * Render side-by-side comparison of two text versions
    *
-   * @param {string} left - Left side content (local)
+   * Also accepts a merge result with `hunks` (diff3 or markdown mode) as the
+   * only argument; rows are then aligned per hunk and marked
+   * '<' (local change), '>' (remote change), '=' (same change on both sides)
+   * or '!' (conflict).
+   *
+   * @param {string|Object} left - Left side content (local), or a merge result
    * @param {string} right - Right side content (remote)
    * @param {Object} options - Rendering options
    * @returns {string} ASCII side-by-side comparison
    */
   sideBySide(left, right, options = {}) {
+    if (this._isMergeResult(left)) {
+      return this._mergeSideBySide(left);
+    }
+
     const leftLines = left.split('\n');
     const rightLines = right.split('\n');
 
@@ -258,12 +272,19 @@ class VisualDiff {
   /**
    * Render unified diff format (similar to git diff)
    *
-   * @param {string} left - Left side content
+   * Given a merge result with `hunks`, renders base against merged output
+   * with one `@@` header per changed hunk.
+   *
+   * @param {string|Object} left - Left side content, or a merge result
    * @param {string} right - Right side content
    * @param {Object} options - Rendering options
    * @returns {string} Unified diff output
    */
   unified(left, right, options = {}) {
+    if (this._isMergeResult(left)) {
+      return this._mergeUnified(left);
+    }
+
     const leftLines = left.split('\n');
     const rightLines = right.split('\n');
 
@@ -292,6 +313,99 @@ class VisualDiff {
 
     return output.join('\n');
   }
+
+  /**
+   * Check whether a value is a ConflictResolver merge result
+   *
+   * @private
+   * @param {*} value - Candidate value
+   * @returns {boolean} True for merge result objects
+   * @throws {Error} If an object without hunks is passed
+   */
+  _isMergeResult(value) {
+    if (!value || typeof value !== 'object') {
+      return false;
+    }
+
+    if (!Array.isArray(value.hunks)) {
+      throw new Error('Merge result has no hunks (use the diff3 or markdown merge mode)');
+    }
+
+    return true;
+  }
+
+  /**
+   * Render a merge result side by side, aligned per hunk
+   *
+   * @private
+   * @param {Object} result - Merge result with hunks
+   * @returns {string} ASCII side-by-side comparison
+   */
+  _mergeSideBySide(result) {
+    const colWidth = this.options.columnWidth;
+    const markers = { unchanged: ' ', local: '<', remote: '>', both: '=', conflict: '!' };
+    const output = [];
+
+    const header = this._padRight('LOCAL', colWidth) +
+                   this.options.separator +
+                   this._padRight('REMOTE', colWidth);
+    output.push(header);
+    output.push('='.repeat(header.length));
+
+    let leftNum = 0;
+    let rightNum = 0;
+
+    const cell = (marker, line, num) => {
+      const lineNum = this.options.showLineNumbers
+        ? `${line === undefined ? '' : num.toString()}`.padStart(4) + ' '
+        : '';
+      const width = colWidth - lineNum.length - 1;
+
+      return marker + lineNum + this._padRight(this._truncate(line === undefined ? '' : line, width), width);
+    };
+
+    for (const hunk of result.hunks) {
+      const marker = markers[hunk.type] || '*';
+      const rows = Math.max(hunk.local.length, hunk.remote.length);
+
+      for (let i = 0; i < rows; i++) {
+        const leftLine = hunk.local[i];
+        const rightLine = hunk.remote[i];
+
+        if (leftLine !== undefined) leftNum++;
+        if (rightLine !== undefined) rightNum++;
+
+        output.push(cell(marker, leftLine, leftNum) + this.options.separator + cell(marker, rightLine, rightNum));
+      }
+    }
+
+    return output.join('\n');
+  }
+
+  /**
+   * Render a merge result as a unified diff of base against merged output
+   *
+   * @private
+   * @param {Object} result - Merge result with hunks
+   * @returns {string} Unified diff output
+   */
+  _mergeUnified(result) {
+    const output = ['--- BASE', '+++ MERGED'];
+
+    for (const hunk of result.hunks) {
+      if (hunk.type === 'unchanged') {
+        hunk.merged.forEach(line => output.push(` ${line}`));
+        continue;
+      }
+
+      const location = hunk.field ? `frontmatter ${hunk.field}` : (hunk.section || '');
+      output.push(`@@ ${location ? `${location} ` : ''}(${hunk.type}) @@`);
+      hunk.base.forEach(line => output.push(`-${line}`));
+      hunk.merged.forEach(line => output.push(`+${line}`));
+    }
+
+    return output.join('\n');
+  }
 }
 
 module.exports = VisualDiff;
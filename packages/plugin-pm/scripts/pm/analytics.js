@@ -6,21 +6,30 @@
  *
  * Usage:
  *   autopm analytics:epic <epic-id>      # Epic analytics with burndown
+ *   autopm analytics:burndown <epic-id>  # Burndown/burnup by tasks, hours or points
+ *   autopm analytics:burndown --sprint <name>  # Burndown of a sprint
  *   autopm analytics:team                # Team metrics
  *   autopm analytics:velocity            # Velocity trends
  *   autopm analytics:export <epic-id>    # Export to JSON/CSV
+ *   autopm analytics:flow [epic-id]      # Cumulative flow, cycle time, WIP age
+ *   autopm analytics:snapshot            # Record today's metrics snapshot
+ *   autopm analytics:trends              # Week-over-week or sprint-over-sprint trends
  *
  * Features:
  *   - Epic analytics (velocity, progress, blockers)
- *   - Burndown charts (ASCII visualization)
+ *   - Burndown and burnup charts (ASCII, weighted by tasks, effort hours or story points)
  *   - Team metrics (completion rate, duration)
  *   - Dependency analysis (bottlenecks, critical path)
- *   - Export to JSON/CSV
+ *   - Export to JSON/CSV (with Monte Carlo completion forecast)
+ *   - Flow analytics (cumulative flow, cycle/lead time, WIP age, flow efficiency)
+ *   - Daily snapshots with trend comparison and regression detection
  */
 
 const AnalyticsEngine = require('../../../../lib/analytics-engine');
 const BurndownChart = require('../../../../lib/burndown-chart');
 const DependencyAnalyzer = require('../../../../lib/dependency-analyzer');
+const FlowAnalytics = require('../../../../lib/flow-analytics');
+const AnalyticsSnapshots = require('../../../../lib/analytics-snapshots');
 
 class AnalyticsCommand {
   constructor() {
@@ -28,12 +37,14 @@ class AnalyticsCommand {
     this.engine = new AnalyticsEngine({ basePath: this.basePath });
     this.chartGenerator = new BurndownChart();
     this.dependencyAnalyzer = new DependencyAnalyzer();
+    this.flowAnalytics = new FlowAnalytics({ basePath: this.basePath });
+    this.snapshots = new AnalyticsSnapshots({ basePath: this.basePath });
   }
 
   /**
    * Show epic analytics with burndown chart
    */
-  async showEpicAnalytics(epicId) {
+  async showEpicAnalytics(epicId, chartOptions = {}) {
     console.log(`\n📊 Epic Analytics: ${epicId}\n`);
     console.log('═'.repeat(70));
 
@@ -88,7 +99,7 @@ class AnalyticsCommand {
 
       // Generate burndown chart
       console.log(`\n📉 Burndown Chart:\n`);
-      const chart = await this.chartGenerator.generate(epicId);
+      const chart = await this.chartGenerator.generate(epicId, chartOptions);
       console.log(chart);
 
       console.log('\n' + '═'.repeat(70));
@@ -99,6 +110,22 @@ class AnalyticsCommand {
     }
   }
 
+  /**
+   * Show only the burndown (or burnup) chart of an epic, or of a sprint
+   * with chartOptions.sprint
+   */
+  async showBurndown(epicId, chartOptions = {}) {
+    try {
+      const chart = chartOptions.sprint
+        ? await this.chartGenerator.generateSprint(chartOptions.sprint, chartOptions)
+        : await this.chartGenerator.generate(epicId, chartOptions);
+      console.log('\n' + chart + '\n');
+    } catch (error) {
+      console.error(`\n❌ Error generating chart: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
   /**
    * Show team metrics
    */
@@ -188,11 +215,11 @@ class AnalyticsCommand {
   /**
    * Export analytics to file
    */
-  async exportAnalytics(epicId, format = 'json', outputFile = null) {
+  async exportAnalytics(epicId, format = 'json', outputFile = null, byDate = null) {
     console.log(`\n📤 Exporting analytics for ${epicId}...\n`);
 
     try {
-      const analytics = await this.engine.analyzeEpic(epicId);
+      const analytics = await this.engine.analyzeEpic(epicId, { forecast: true, byDate });
       const exported = await this.engine.export(analytics, format);
 
       const fs = require('fs');
@@ -214,6 +241,68 @@ class AnalyticsCommand {
     }
   }
 
+  /**
+   * Show flow analytics, or export them when an output file is given
+   */
+  async showFlow(epicId = null, periodDays = 30, format = 'json', outputFile = null) {
+    try {
+      const report = await this.flowAnalytics.analyze({ epicId, days: periodDays });
+
+      if (outputFile) {
+        const fs = require('fs');
+        const path = require('path');
+        const exported = this.flowAnalytics.export(report, format);
+
+        fs.writeFileSync(outputFile, exported);
+
+        console.log(`✅ Exported flow analytics to: ${path.resolve(outputFile)}`);
+        console.log(`   Format: ${format.toUpperCase()}`);
+        return;
+      }
+
+      console.log(`\n🌊 Flow Analytics: ${epicId || 'all epics'} (Last ${periodDays} Days)\n`);
+      console.log('═'.repeat(70) + '\n');
+      console.log(this.flowAnalytics.render(report));
+      console.log('\n' + '═'.repeat(70));
+
+    } catch (error) {
+      console.error(`\n❌ Error analyzing flow: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Record a metrics snapshot
+   */
+  async takeSnapshot(date = null) {
+    const snapshot = await this.snapshots.capture({ date: date || undefined });
+
+    console.log(`✅ Snapshot recorded for ${snapshot.date}`);
+    console.log(`   Tasks:      ${snapshot.tasks.completed}/${snapshot.tasks.total} completed (${Math.round(snapshot.completionRate * 100)}%)`);
+    console.log(`   Velocity:   ${snapshot.velocity.tasksPerWeek} tasks/week (${snapshot.velocity.hoursPerWeek}h)`);
+    console.log(`   Blocked:    ${snapshot.blocked}`);
+    if (snapshot.sprint) {
+      console.log(`   Sprint:     ${snapshot.sprint}`);
+    }
+  }
+
+  /**
+   * Show trends across recorded snapshots
+   */
+  async showTrends(by = 'week', periods = 4, format = 'text') {
+    const trend = await this.snapshots.trend({ by, periods });
+
+    if (format === 'json') {
+      console.log(JSON.stringify(trend, null, 2));
+      return;
+    }
+
+    console.log(`\n📈 Trends (${by === 'sprint' ? 'sprint over sprint' : 'week over week'})\n`);
+    console.log('═'.repeat(70) + '\n');
+    console.log(this.snapshots.render(trend));
+    console.log('\n' + '═'.repeat(70));
+  }
+
   /**
    * Show dependency analysis
    */
@@ -270,6 +359,61 @@ class AnalyticsCommand {
     }
   }
 
+  /**
+   * Show dependency analysis across all epics
+   */
+  async showPortfolio() {
+    console.log(`\n🔗 Portfolio Dependency Analysis\n`);
+    console.log('═'.repeat(70));
+
+    try {
+      const analysis = await this.dependencyAnalyzer.analyzePortfolio();
+      const crossEpic = analysis.graph.edges.filter(edge => edge.crossEpic);
+
+      // Graph overview
+      console.log(`\n📊 Graph Overview:`);
+      console.log(`   Tasks:        ${analysis.graph.nodes.length}`);
+      console.log(`   Dependencies: ${analysis.graph.edges.length} (${crossEpic.length} across epics)`);
+
+      // Epic blocking
+      if (analysis.epicBlocking.length > 0) {
+        console.log(`\n🚧 Epics Blocking Epics:`);
+        analysis.epicBlocking.forEach(blocking => {
+          console.log(`   ${blocking.from} → ${blocking.to}: ${blocking.edges.length} dependencies, ${blocking.open} open`);
+        });
+      }
+
+      // Critical path
+      if (analysis.criticalPath.path.length > 0) {
+        console.log(`\n🎯 Critical Path (${analysis.criticalPath.hours}h across ${analysis.criticalPath.epics.length} epics):`);
+        console.log(`   ${analysis.criticalPath.path.join(' → ')}`);
+      }
+
+      // Circular dependencies
+      if (analysis.circularDependencies.length > 0) {
+        console.log(`\n⚠️  Circular Dependencies (${analysis.circularDependencies.length}):`);
+        analysis.circularDependencies.forEach(cycle => {
+          const scope = cycle.crossEpic ? ` (epics: ${cycle.epics.join(', ')})` : '';
+          console.log(`   ${cycle.cycle.join(' → ')}${scope}`);
+        });
+      }
+
+      // Unresolved references
+      if (analysis.unresolved.length > 0) {
+        console.log(`\n❓ Unresolved References (${analysis.unresolved.length}):`);
+        analysis.unresolved.forEach(ref => {
+          console.log(`   ${ref.task}: ${ref.type} ${ref.ref} (${ref.reason})`);
+        });
+      }
+
+      console.log('\n' + '═'.repeat(70));
+
+    } catch (error) {
+      console.error(`\n❌ Error analyzing portfolio dependencies: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
   /**
    * Show help
    */
@@ -281,20 +425,36 @@ Display analytics and insights for PRDs/Epics/Tasks
 
 Usage:
   autopm analytics:epic <epic-id>         Epic analytics with burndown
+  autopm analytics:burndown <epic-id> [--unit tasks|hours|points] [--mode burndown|burnup]
+  autopm analytics:burndown --sprint <name> [--unit hours] [--mode burnup]
   autopm analytics:team [--period 30]    Team metrics (default: 30 days)
   autopm analytics:velocity [--period 30] Velocity trends
   autopm analytics:dependencies <epic-id> Dependency analysis
-  autopm analytics:export <epic-id> [--format json|csv] [--output file.json]
+  autopm analytics:portfolio              Dependencies across epics (epic/task references)
+  autopm analytics:export <epic-id> [--format json|csv] [--output file.json] [--by YYYY-MM-DD]
+  autopm analytics:flow [epic-id] [--period 30] [--format json|csv --output file]
+  autopm analytics:snapshot [--date YYYY-MM-DD]  Record a metrics snapshot
+  autopm analytics:trends [--by week|sprint] [--periods 4] [--format json]
 
 Examples:
   autopm analytics:epic epic-001
+  autopm analytics:burndown epic-001 --unit hours --mode burnup
   autopm analytics:team --period 60
   autopm analytics:export epic-001 --format csv --output report.csv
+  autopm analytics:flow epic-001 --format csv --output flow.csv
+  autopm analytics:trends --by sprint --periods 3
 
 Options:
   --period <days>    Time period for metrics (default: 30)
+  --unit <unit>      Chart weight: tasks, hours (effort) or points (default: tasks)
+  --mode <mode>      Chart type: burndown or burnup (default: burndown)
+  --sprint <name>    Chart a sprint (start to end, with its scope changes) instead of an epic
   --format <type>    Export format: json or csv (default: json)
   --output <file>    Output file (default: <epic-id>-analytics.<format>)
+  --by <date>        Export also forecasts how many tasks are done by this date
+  --by <grouping>    Trends grouping: week or sprint (default: week)
+  --periods <n>      Number of trend periods to compare (default: 4)
+  --date <date>      Snapshot date (default: today)
   --help             Show this help
 `);
   }
@@ -327,7 +487,13 @@ Options:
       epicId: null,
       period: 30,
       format: 'json',
-      output: null
+      output: null,
+      byDate: null,
+      unit: 'tasks',
+      mode: 'burndown',
+      sprint: null,
+      periods: 4,
+      date: null
     };
 
     for (let i = 0; i < args.length; i++) {
@@ -342,6 +508,18 @@ Options:
         options.format = args[++i];
       } else if (arg === '--output' || arg === '-o') {
         options.output = args[++i];
+      } else if (arg === '--by') {
+        options.byDate = args[++i];
+      } else if (arg === '--unit') {
+        options.unit = args[++i];
+      } else if (arg === '--mode') {
+        options.mode = args[++i];
+      } else if (arg === '--sprint') {
+        options.sprint = args[++i];
+      } else if (arg === '--periods') {
+        options.periods = parseInt(args[++i], 10);
+      } else if (arg === '--date') {
+        options.date = args[++i];
       } else if (!options.command) {
         options.command = arg;
       } else if (!options.epicId) {
@@ -371,7 +549,16 @@ Options:
             console.error('Usage: autopm analytics:epic <epic-id>');
             process.exit(1);
           }
-          await this.showEpicAnalytics(options.epicId);
+          await this.showEpicAnalytics(options.epicId, { unit: options.unit, mode: options.mode });
+          break;
+
+        case 'burndown':
+          if (!options.epicId && !options.sprint) {
+            console.error('❌ Error: Epic ID or --sprint required');
+            console.error('Usage: autopm analytics:burndown <epic-id> [--unit hours] [--mode burnup]');
+            process.exit(1);
+          }
+          await this.showBurndown(options.epicId, { unit: options.unit, mode: options.mode, sprint: options.sprint });
           break;
 
         case 'team':
@@ -391,13 +578,31 @@ Options:
           await this.showDependencies(options.epicId);
           break;
 
+        case 'portfolio':
+          await this.showPortfolio();
+          break;
+
+        case 'flow':
+          await this.showFlow(options.epicId, options.period, options.format, options.output);
+          break;
+
+        case 'snapshot':
+          await this.takeSnapshot(options.date);
+          break;
+
+        case 'trends':
+          // --format defaults to json for exports; trends print a table unless asked
+          await this.showTrends(options.byDate || 'week', options.periods,
+            args.includes('--format') || args.includes('-f') ? options.format : 'text');
+          break;
+
         case 'export':
           if (!options.epicId) {
             console.error('❌ Error: Epic ID required');
             console.error('Usage: autopm analytics:export <epic-id> [--format json|csv]');
             process.exit(1);
           }
-          await this.exportAnalytics(options.epicId, options.format, options.output);
+          await this.exportAnalytics(options.epicId, options.format, options.output, options.byDate);
           break;
 
         default:
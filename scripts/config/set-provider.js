@@ -3,8 +3,13 @@
  * @fileoverview Config command: set-provider
  * Configure a provider with interactive prompts
  *
- * Usage: autopm config:set-provider [provider-name]
+ * Usage: autopm config:set-provider [provider-name] [type]
  * Example: autopm config:set-provider claude
+ * Example: autopm config:set-provider local ollama
+ * Example: autopm config:set-provider openrouter openai-compatible
+ *
+ * The type selects the provider implementation (claude, openai-compatible,
+ * ollama) and defaults to the provider name.
  */
 
 const path = require('path');
@@ -15,6 +20,14 @@ const ConfigManager = require('../../lib/config/ConfigManager');
 // Default config path
 const DEFAULT_CONFIG_PATH = path.join(os.homedir(), '.autopm', 'config.json');
 
+const PROVIDER_TYPES = ['claude', 'openai-compatible', 'ollama'];
+
+// Default base URLs of the providers that talk to an HTTP API directly
+const DEFAULT_BASE_URLS = {
+  'openai-compatible': 'https://api.openai.com/v1',
+  ollama: 'http://localhost:11434'
+};
+
 /**
  * Main function
  */
@@ -54,6 +67,14 @@ async function main() {
     // Get existing configuration (if any)
     const existingConfig = manager.getProvider(providerName) || {};
 
+    // Get provider type from argument (defaults to the provider name)
+    const type = process.argv[3] || existingConfig.type || providerName;
+
+    if (process.argv[3] && !PROVIDER_TYPES.includes(type)) {
+      console.error(`\nError: Provider type must be one of: ${PROVIDER_TYPES.join(', ')}`);
+      process.exit(1);
+    }
+
     // Prompt for model
     const model = await input({
       message: 'Model name:',
@@ -91,6 +112,18 @@ async function main() {
       maxTokens
     };
 
+    if (type !== providerName) {
+      providerConfig.type = type;
+    }
+
+    // Base URL for OpenAI-compatible servers and Ollama
+    if (DEFAULT_BASE_URLS[type]) {
+      providerConfig.baseUrl = await input({
+        message: 'Base URL:',
+        default: existingConfig.baseUrl || DEFAULT_BASE_URLS[type]
+      });
+    }
+
     // Optional: Rate limiting
     const configureRateLimit = await confirm({
       message: 'Configure rate limiting?',
@@ -179,7 +212,13 @@ async function main() {
     }
 
     console.log('\nNext step:');
-    console.log(`  - Set API key: autopm config:set-api-key\n`);
+    if (type === 'ollama') {
+      console.log(`  - Pull the model: ollama pull ${model}\n`);
+    } else if (type === 'openai-compatible') {
+      console.log(`  - Set API key (if the server requires one): autopm config:set-api-key\n`);
+    } else {
+      console.log(`  - Set API key: autopm config:set-api-key\n`);
+    }
 
   } catch (error) {
     if (error.message.includes('cancelled') || error.message.includes('User force closed')) {
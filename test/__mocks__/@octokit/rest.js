@@ -16,7 +16,10 @@ const mockOctokit = jest.fn().mockImplementation((options) => ({
       update: jest.fn(),
       addLabels: jest.fn(),
       createComment: jest.fn(),
-      listComments: jest.fn()
+      listComments: jest.fn(),
+      listMilestones: jest.fn(),
+      createMilestone: jest.fn(),
+      updateMilestone: jest.fn()
     },
     search: {
       issuesAndPullRequests: jest.fn()
@@ -31,6 +34,8 @@ const mockOctokit = jest.fn().mockImplementation((options) => ({
       })
     }
   },
+  // Single-page default; tests override it to return several pages
+  paginate: jest.fn(async (method, params) => (await method(params)).data),
   users: {
     getAuthenticated: jest.fn().mockResolvedValue({
       data: { login: 'testuser' }
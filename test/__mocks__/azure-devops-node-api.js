@@ -24,7 +24,10 @@ const mockWorkItemTrackingApi = {
   addComment: jest.fn(),
   updateComment: jest.fn(),
   deleteComment: jest.fn(),
-  queryByWiql: jest.fn()
+  queryByWiql: jest.fn(),
+  getClassificationNode: jest.fn(),
+  updateClassificationNode: jest.fn(),
+  createOrUpdateClassificationNode: jest.fn()
 };
 
 // Set default resolved value for getProject
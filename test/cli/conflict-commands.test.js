@@ -0,0 +1,140 @@
+/**
+ * Conflict CLI Commands Tests
+ *
+ * Test suite for the conflict command handlers: list, show and revert
+ * against a ConflictHistory journal in a temporary project.
+ */
+
+const ConflictHistory = require('../../lib/conflict-history');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+const conflictHandlers = require('../../lib/cli/commands/conflict').handlers;
+
+describe('Conflict CLI Commands', () => {
+  let testDir;
+  let issueId;
+  let epicId;
+
+  const issuePath = () => path.join(testDir, '.claude', 'issues', '12.md');
+
+  // Run a handler and return everything it printed
+  const capture = async (handler, argv) => {
+    const logs = [];
+    const originalLog = console.log;
+    const originalError = console.error;
+    console.log = (...args) => logs.push(args.join(' '));
+    console.error = (...args) => logs.push(args.join(' '));
+
+    try {
+      await handler(argv);
+    } finally {
+      console.log = originalLog;
+      console.error = originalError;
+    }
+
+    return logs.join('\n');
+  };
+
+  beforeEach(async () => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'conflict-cli-test-'));
+    jest.spyOn(process, 'cwd').mockReturnValue(testDir);
+
+    await fs.outputFile(issuePath(), 'resolved');
+
+    const history = new ConflictHistory({ storage: 'file' });
+    issueId = history.log(
+      { field: 'title', localContent: 'Local title', remoteContent: 'Remote title' },
+      { strategy: 'remote', chosenContent: 'Remote title' },
+      { entityType: 'issue', entityId: 12, filePath: '.claude/issues/12.md', previousContent: 'before' }
+    );
+    epicId = history.log(
+      { section: 'epic', localContent: 'Local epic', remoteContent: 'Remote epic' },
+      { strategy: 'newest', chosenContent: 'Remote epic' },
+      { entityType: 'epic', entityId: 'auth' }
+    );
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(testDir);
+  });
+
+  describe('conflictList', () => {
+    it('should list active resolutions', async () => {
+      const output = await capture(conflictHandlers.list, { limit: 20 });
+
+      expect(output).toContain('Conflict Resolutions (2)');
+      expect(output).toContain(issueId.substring(0, 8));
+      expect(output).toContain('issue 12');
+      expect(output).toContain('epic auth');
+    });
+
+    it('should filter by entity ID without a type', async () => {
+      const output = await capture(conflictHandlers.list, { id: '12', limit: 20 });
+
+      expect(output).toContain('Conflict Resolutions (1)');
+      expect(output).toContain('issue 12');
+      expect(output).not.toContain('epic auth');
+    });
+
+    it('should show an empty message when nothing matches', async () => {
+      const output = await capture(conflictHandlers.list, { type: 'prd', limit: 20 });
+
+      expect(output).toContain('No conflict resolutions found');
+    });
+  });
+
+  describe('conflictShow', () => {
+    it('should show both sides and the chosen content', async () => {
+      const output = await capture(conflictHandlers.show, { id: issueId.substring(0, 8) });
+
+      expect(output).toContain(issueId);
+      expect(output).toContain('field "title"');
+      expect(output).toContain('Local title');
+      expect(output).toContain('Remote title');
+      expect(output).toMatch(/Revertible:\s+yes/);
+    });
+
+    it('should report unknown IDs', async () => {
+      const output = await capture(conflictHandlers.show, { id: 'ffffffffff' });
+
+      expect(output).toContain('Conflict log not found: ffffffffff');
+    });
+  });
+
+  describe('conflictRevert', () => {
+    it('should restore the file and hide the resolution from the list', async () => {
+      const output = await capture(conflictHandlers.revert, { id: issueId });
+
+      expect(output).toContain('Restored .claude/issues/12.md');
+      expect(await fs.readFile(issuePath(), 'utf8')).toBe('before');
+
+      const list = await capture(conflictHandlers.list, { limit: 20 });
+      expect(list).not.toContain('issue 12');
+      expect(await capture(conflictHandlers.list, { all: true, limit: 20 })).toContain('[reverted]');
+    });
+
+    it('should refuse to overwrite later edits without --force', async () => {
+      await fs.writeFile(issuePath(), 'edited later');
+
+      const output = await capture(conflictHandlers.revert, { id: issueId });
+
+      expect(output).toContain('File changed since the resolution was applied');
+      expect(output).toContain('--force');
+      expect(await fs.readFile(issuePath(), 'utf8')).toBe('edited later');
+
+      const forced = await capture(conflictHandlers.revert, { id: issueId, force: true });
+
+      expect(forced).toContain('Restored .claude/issues/12.md');
+      expect(await fs.readFile(issuePath(), 'utf8')).toBe('before');
+    });
+
+    it('should warn when no previous content was recorded', async () => {
+      const output = await capture(conflictHandlers.revert, { id: epicId });
+
+      expect(output).toContain('no pre-resolution content was recorded');
+    });
+  });
+});
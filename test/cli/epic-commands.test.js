@@ -2,7 +2,7 @@
  * Epic CLI Commands Tests
  *
  * Test suite for epic CLI command handlers following TDD approach.
- * Tests all subcommands: list, show, new, edit, status, validate, start, close, sync
+ * Tests all subcommands: list, show, new, edit, status, graph, validate, start, close, sync
  *
  * Uses exact same testing patterns as prd-commands.test.js
  */
@@ -517,6 +517,25 @@ Test vision
       }
     });
 
+    it('should skip only the forecast for a past --by date', async () => {
+      await createTestEpic('forecast-epic', { status: 'in-progress', progress: '50%' });
+
+      const logs = [];
+      const originalLog = console.log;
+      console.log = (...args) => logs.push(args.join(' '));
+
+      try {
+        await epicHandlers.status({ name: 'forecast-epic', by: '2000-01-01' });
+
+        const output = logs.join('\n');
+        expect(output).toContain('Forecast date must not be in the past: 2000-01-01');
+        expect(output).toContain('File:');
+
+      } finally {
+        console.log = originalLog;
+      }
+    });
+
     it('should display metadata table', async () => {
       await createTestEpic('meta-status', {
         status: 'in-progress',
@@ -559,6 +578,60 @@ Test vision
     });
   });
 
+  // ==========================================
+  // EPIC GRAPH COMMAND
+  // ==========================================
+
+  describe('epicGraph', () => {
+    beforeEach(async () => {
+      await createTestEpic('graph-epic', { status: 'in-progress' });
+      const epicDir = path.join(testDir, '.claude', 'epics', 'graph-epic');
+      await fs.writeFile(path.join(epicDir, '1.md'), '---\nid: task-1\ntitle: Schema\nstatus: completed\n---\n');
+      await fs.writeFile(path.join(epicDir, '2.md'), '---\nid: task-2\ntitle: API\nstatus: in_progress\ndepends_on: [task-1]\n---\n');
+    });
+
+    it('should print Mermaid by default', async () => {
+      const writeSpy = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+
+      try {
+        await epicHandlers.graph({ name: 'graph-epic' });
+
+        const output = writeSpy.mock.calls.map(call => call[0]).join('');
+        expect(output).toContain('flowchart LR');
+        expect(output).toContain('n0["task-1: Schema"]');
+        expect(output).toContain('n0 --> n1');
+      } finally {
+        writeSpy.mockRestore();
+      }
+    });
+
+    it('should write HTML to a file', async () => {
+      await epicHandlers.graph({ name: 'graph-epic', format: 'html' });
+
+      const html = await fs.readFile(path.join(testDir, 'graph-epic-graph.html'), 'utf8');
+      expect(html).toContain('<title>Dependencies: graph-epic</title>');
+      expect(html).toContain('<svg');
+    });
+
+    it('should error if epic not found', async () => {
+      const errors = [];
+      const originalError = console.error;
+      const originalExit = process.exit;
+      console.error = (...args) => errors.push(args.join(' '));
+      process.exit = jest.fn();
+
+      try {
+        await epicHandlers.graph({ name: 'nonexistent', format: 'dot' });
+
+        expect(errors.join('\n')).toContain('Epic not found: nonexistent');
+        expect(process.exit).toHaveBeenCalledWith(1);
+      } finally {
+        console.error = originalError;
+        process.exit = originalExit;
+      }
+    });
+  });
+
   // ==========================================
   // EPIC VALIDATE COMMAND
   // ==========================================
@@ -0,0 +1,139 @@
+/**
+ * Sprint CLI Commands Tests
+ *
+ * Test suite for the sprint command handlers: plan, add, start, list, show,
+ * review, close and sync against a temporary project.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+const IssueService = require('../../lib/services/IssueService');
+const { defaultRegistry } = require('../../lib/providers/ProviderRegistry');
+const sprintHandlers = require('../../lib/cli/commands/sprint').handlers;
+
+// SprintService resolves .claude against the working directory
+const repoRoot = path.resolve(__dirname, '..', '..');
+
+describe('Sprint CLI Commands', () => {
+  let testDir;
+
+  const claudePath = (...parts) => path.join(testDir, '.claude', ...parts);
+
+  // Run a handler and return everything it printed
+  const capture = async (handler, argv) => {
+    const logs = [];
+    const originalLog = console.log;
+    const originalError = console.error;
+    console.log = (...args) => logs.push(args.join(' '));
+    console.error = (...args) => logs.push(args.join(' '));
+
+    try {
+      await handler(argv);
+    } finally {
+      console.log = originalLog;
+      console.error = originalError;
+    }
+
+    return logs.join('\n');
+  };
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: new Date('2025-03-07T12:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sprint-cli-test-'));
+    process.chdir(testDir);
+
+    await fs.outputFile(claudePath('epics/auth/epic.md'), '---\nid: auth\ntitle: Auth\n---\n');
+    await fs.outputFile(claudePath('epics/auth/001.md'), '---\nid: task-001\ntitle: Login\nstatus: pending\neffort: 1d\n---\n');
+    await fs.outputFile(claudePath('epics/auth/002.md'), '---\nid: task-002\ntitle: Logout\nstatus: pending\neffort: 2d\n---\n');
+    await fs.outputFile(claudePath('issues/42.md'), '---\nid: 42\ntitle: Crash on save\nstatus: open\n---\n');
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    process.chdir(repoRoot);
+    await fs.remove(testDir);
+  });
+
+  describe('plan, add and start', () => {
+    it('should plan, fill and start a sprint', async () => {
+      const planned = await capture(sprintHandlers.plan, {
+        name: 'sprint-12', start: '2025-03-03', end: '2025-03-14', goal: 'Ship login', tasks: ['auth/task-001']
+      });
+      expect(planned).toContain('Sprint planned: sprint-12  planned  2025-03-03 → 2025-03-14  1 item(s)  Ship login');
+
+      expect(await capture(sprintHandlers.add, { name: 'sprint-12', refs: ['#42'] })).toContain('2 item(s)');
+
+      const started = await capture(sprintHandlers.start, { name: 'sprint-12' });
+      expect(started).toContain('Sprint started: sprint-12');
+      expect(started).toContain('Committed 2 item(s). @sprint now resolves to sprint-12.');
+      expect(await fs.readJSON(claudePath('config.json'))).toEqual({ sprint: 'sprint-12' });
+
+      const list = await capture(sprintHandlers.list, {});
+      expect(list).toContain('Sprints (1)');
+      expect(list).toContain('sprint-12  active');
+
+      const show = await capture(sprintHandlers.show, { name: 'sprint-12' });
+      expect(show).toContain('auth/task-001');
+      expect(show).toContain('#42');
+    });
+
+    it('should print service errors', async () => {
+      expect(await capture(sprintHandlers.start, { name: 'sprint-99' })).toContain('Error: Sprint not found: sprint-99');
+      expect(await capture(sprintHandlers.plan, { name: 'sprint 1' })).toContain('Error: Invalid sprint name: sprint 1');
+      expect(await capture(sprintHandlers.list, {})).toContain('No sprints found.');
+    });
+  });
+
+  describe('review and close', () => {
+    beforeEach(async () => {
+      await capture(sprintHandlers.plan, {
+        name: 'sprint-12', start: '2025-03-03', end: '2025-03-14', tasks: ['auth/task-001', 'auth/task-002']
+      });
+      await capture(sprintHandlers.start, { name: 'sprint-12' });
+      await fs.outputFile(claudePath('epics/auth/001.md'), '---\nid: task-001\ntitle: Login\nstatus: completed\neffort: 1d\nsprint: sprint-12\n---\n');
+    });
+
+    it('should review progress', async () => {
+      const output = await capture(sprintHandlers.review, { name: 'sprint-12' });
+
+      expect(output).toContain('Sprint Review: sprint-12');
+      expect(output).toContain('1/2 items (50%), 8/24h (33%)');
+      expect(output).toContain('2 committed, +0 added, -0 removed');
+    });
+
+    it('should close a sprint and carry work over', async () => {
+      const output = await capture(sprintHandlers.close, { name: 'sprint-12', carryOverTo: 'sprint-13' });
+
+      expect(output).toContain('Sprint closed: sprint-12');
+      expect(output).toContain('Completed:    1 item(s)');
+      expect(output).toContain('Carried over: 1 item(s) to sprint-13');
+      expect(await capture(sprintHandlers.show, { name: 'sprint-13' })).toContain('Carried over from sprint-12');
+    });
+  });
+
+  describe('sync', () => {
+    it('should publish the sprint and push its issues', async () => {
+      await capture(sprintHandlers.plan, { name: 'sprint-12', start: '2025-03-03', end: '2025-03-14', tasks: ['auth/task-001', '#42'] });
+
+      const provider = {
+        getName: () => 'github',
+        authenticate: jest.fn().mockResolvedValue(),
+        syncIteration: jest.fn().mockResolvedValue({ id: '3', name: 'sprint-12', url: 'https://github.com/m/3' })
+      };
+      jest.spyOn(defaultRegistry, 'create').mockReturnValue(provider);
+      const sync = jest.spyOn(IssueService.prototype, 'sync').mockResolvedValue({ success: true });
+
+      const output = await capture(sprintHandlers.sync, { name: 'sprint-12', provider: 'github' });
+
+      expect(defaultRegistry.create).toHaveBeenCalledWith('github');
+      expect(sync).toHaveBeenCalledWith('42', provider, { direction: 'push' });
+      expect(output).toContain('Sprint sprint-12 synced to github: sprint-12');
+      expect(output).toContain('https://github.com/m/3');
+      expect(output).toContain('✓ #42');
+      expect(output).toContain('1 epic task(s) are not tracker items and were skipped');
+    });
+  });
+});
@@ -293,6 +293,17 @@ describe('AbstractAIProvider', () => {
       expect(provider.supportsFunctionCalling()).toBe(false);
     });
 
+    test('chatWithTools() should reject without function calling support', async () => {
+      // Arrange
+      const provider = new TestProvider({ apiKey: 'test' });
+
+      // Act & Assert
+      await expect(provider.chatWithTools([{ role: 'user', content: 'Hi' }], [])).rejects.toMatchObject({
+        code: AIProviderError.UNSUPPORTED_OPERATION,
+        message: 'TestProvider does not support function calling'
+      });
+    });
+
     test('supportsChat() should default to false', () => {
       // Arrange
       const provider = new TestProvider({ apiKey: 'test' });
@@ -1196,6 +1207,68 @@ describe('AbstractAIProvider', () => {
     });
   });
 
+  describe('generateStructured()', () => {
+    const schema = {
+      type: 'object',
+      required: ['epics'],
+      properties: {
+        epics: { type: 'array', items: { type: 'object', required: ['id'], properties: { id: { type: 'string' } } } }
+      }
+    };
+
+    test('Should parse a valid response, allowing a code fence', async () => {
+      // Arrange
+      const provider = new TestProvider();
+      provider.complete = jest.fn().mockResolvedValue('```json\n{ "epics": [{ "id": "auth" }] }\n```');
+
+      // Act
+      const result = await provider.generateStructured('Extract epics', schema, { maxTokens: 100 });
+
+      // Assert
+      expect(result).toEqual({ epics: [{ id: 'auth' }] });
+      expect(provider.complete).toHaveBeenCalledTimes(1);
+      expect(provider.complete.mock.calls[0][0]).toContain('matching this JSON Schema');
+      expect(provider.complete.mock.calls[0][1]).toEqual({ maxTokens: 100 });
+    });
+
+    test('Should send a repair prompt listing the violations', async () => {
+      // Arrange
+      const provider = new TestProvider();
+      provider.complete = jest.fn()
+        .mockResolvedValueOnce('Here are the epics: auth')
+        .mockResolvedValueOnce('{ "epics": [{ "id": 7 }] }')
+        .mockResolvedValueOnce('{ "epics": [{ "id": "auth" }] }');
+
+      // Act
+      const result = await provider.generateStructured('Extract epics', schema);
+
+      // Assert
+      expect(result.epics[0].id).toBe('auth');
+      expect(provider.complete.mock.calls[1][0]).toContain('- $: response is not valid JSON');
+      expect(provider.complete.mock.calls[2][0]).toContain('- $.epics[0].id: must be string');
+      expect(provider.complete.mock.calls[2][0]).toContain('Previous response:\n{ "epics": [{ "id": 7 }] }');
+    });
+
+    test('Should apply extra checks and fail with INVALID_RESPONSE after the repairs', async () => {
+      // Arrange
+      const provider = new TestProvider();
+      provider.complete = jest.fn().mockResolvedValue('{ "epics": [] }');
+      const validate = jest.fn().mockReturnValue(['$.epics: must not be empty']);
+
+      // Act
+      const error = await provider.generateStructured('Extract epics', schema, { maxRepairs: 1, validate })
+        .catch(err => err);
+
+      // Assert
+      expect(error).toBeInstanceOf(AIProviderError);
+      expect(error.code).toBe(AIProviderError.INVALID_RESPONSE);
+      expect(error.message).toBe('Response does not match the schema after 2 attempts: $.epics: must not be empty');
+      expect(error.validationErrors).toEqual(['$.epics: must not be empty']);
+      expect(provider.complete).toHaveBeenCalledTimes(2);
+      expect(validate).toHaveBeenCalledWith({ epics: [] });
+    });
+  });
+
   describe('Edge Cases', () => {
     test('Should handle missing apiKey gracefully', () => {
       // Arrange & Act
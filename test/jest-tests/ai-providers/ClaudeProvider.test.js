@@ -1057,6 +1057,68 @@ describe('ClaudeProvider', () => {
 
       await expect(provider.chat(messages)).rejects.toThrow(AIProviderError);
     });
+
+    test('should send options.system as the system parameter', async () => {
+      mockCreate.mockResolvedValue({ content: [{ text: 'Response' }] });
+
+      const provider = new ClaudeProvider('test-key');
+      await provider.chat([{ role: 'user', content: 'Hello' }], { system: 'You are an agent' });
+
+      expect(mockCreate.mock.calls[0][0].system).toBe('You are an agent');
+    });
+  });
+
+  describe('Function Calling', () => {
+    test('should send tools and return tool calls', async () => {
+      mockCreate.mockResolvedValue({
+        content: [
+          { type: 'text', text: 'Let me look.' },
+          { type: 'tool_use', id: 'call_1', name: 'list_epics', input: {} }
+        ],
+        stop_reason: 'tool_use'
+      });
+
+      const provider = new ClaudeProvider('test-key');
+      const tools = [{ name: 'list_epics', description: 'List epics', inputSchema: { type: 'object', properties: {} } }];
+
+      const reply = await provider.chatWithTools([{ role: 'user', content: 'Which epics?' }], tools, { system: 'Agent' });
+
+      expect(reply).toEqual({
+        content: 'Let me look.',
+        toolCalls: [{ id: 'call_1', name: 'list_epics', input: {} }],
+        stopReason: 'tool_use'
+      });
+      expect(mockCreate.mock.calls[0][0].tools).toEqual([
+        { name: 'list_epics', description: 'List epics', input_schema: { type: 'object', properties: {} } }
+      ]);
+      expect(mockCreate.mock.calls[0][0].system).toBe('Agent');
+    });
+
+    test('should convert tool calls and results to content blocks', async () => {
+      mockCreate.mockResolvedValue({ content: [{ type: 'text', text: 'Two epics.' }], stop_reason: 'end_turn' });
+
+      const provider = new ClaudeProvider('test-key');
+      await provider.chatWithTools([
+        { role: 'user', content: 'Which epics?' },
+        { role: 'assistant', content: '', toolCalls: [
+          { id: 'call_1', name: 'list_epics', input: {} },
+          { id: 'call_2', name: 'read_prd', input: { name: 'auth' } }
+        ] },
+        { role: 'tool', toolCallId: 'call_1', content: '[]' },
+        { role: 'tool', toolCallId: 'call_2', content: 'PRD not found: auth', isError: true }
+      ], []);
+
+      expect(mockCreate.mock.calls[0][0].messages.slice(1)).toEqual([
+        { role: 'assistant', content: [
+          { type: 'tool_use', id: 'call_1', name: 'list_epics', input: {} },
+          { type: 'tool_use', id: 'call_2', name: 'read_prd', input: { name: 'auth' } }
+        ] },
+        { role: 'user', content: [
+          { type: 'tool_result', tool_use_id: 'call_1', content: '[]' },
+          { type: 'tool_result', tool_use_id: 'call_2', content: 'PRD not found: auth', is_error: true }
+        ] }
+      ]);
+    });
   });
 
   // ============================================================
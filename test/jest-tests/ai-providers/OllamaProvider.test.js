@@ -0,0 +1,181 @@
+/**
+ * OllamaProvider Unit Tests
+ *
+ * Runs the provider against a local mock HTTP server that speaks the
+ * Ollama /api/chat protocol.
+ *
+ * Test Coverage:
+ * - Configuration (base URL, OLLAMA_HOST, defaults)
+ * - complete(), chat() and NDJSON stream() requests and responses
+ * - Function calling with generated tool call IDs
+ * - Error mapping for Ollama error bodies
+ */
+
+const http = require('http');
+const OllamaProvider = require('../../../lib/ai-providers/OllamaProvider');
+const AIProviderError = require('../../../lib/errors/AIProviderError');
+
+describe('OllamaProvider', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let respond;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+        respond(req, res);
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  const replyJson = (status, payload) => {
+    respond = (req, res) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    };
+  };
+
+  describe('Constructor', () => {
+    const originalHost = process.env.OLLAMA_HOST;
+
+    afterEach(() => {
+      if (originalHost === undefined) {
+        delete process.env.OLLAMA_HOST;
+      } else {
+        process.env.OLLAMA_HOST = originalHost;
+      }
+    });
+
+    test('should default to the local Ollama server', () => {
+      delete process.env.OLLAMA_HOST;
+      const provider = new OllamaProvider();
+
+      expect(provider.baseUrl).toBe('http://localhost:11434');
+      expect(provider.model).toBe('llama3.1');
+      expect(provider.supportsStreaming()).toBe(true);
+    });
+
+    test('should read the server from OLLAMA_HOST', () => {
+      process.env.OLLAMA_HOST = 'gpu-box:11434';
+
+      expect(new OllamaProvider().baseUrl).toBe('http://gpu-box:11434');
+      expect(new OllamaProvider({ baseUrl: 'https://ollama.example.com' }).baseUrl).toBe('https://ollama.example.com');
+    });
+  });
+
+  describe('complete() and chat()', () => {
+    test('should post a non-streaming chat request', async () => {
+      replyJson(200, { model: 'qwen2.5', message: { role: 'assistant', content: 'Hello!' }, done: true });
+      const provider = new OllamaProvider({ baseUrl, model: 'qwen2.5', temperature: 0.2, maxTokens: 256 });
+
+      expect(await provider.chat([{ role: 'user', content: 'Hi' }], { system: 'Be brief' })).toBe('Hello!');
+
+      expect(requests[0].url).toBe('/api/chat');
+      expect(requests[0].body).toEqual({
+        model: 'qwen2.5',
+        stream: false,
+        options: { temperature: 0.2, num_predict: 256 },
+        messages: [
+          { role: 'system', content: 'Be brief' },
+          { role: 'user', content: 'Hi' }
+        ]
+      });
+    });
+  });
+
+  describe('stream()', () => {
+    test('should yield message content from NDJSON lines', async () => {
+      respond = (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+        res.write('{"message":{"role":"assistant","content":"Hel"},"done":false}\n{"message":');
+        res.write('{"role":"assistant","content":"lo"},"done":false}\n');
+        res.end('{"message":{"role":"assistant","content":""},"done":true}\n');
+      };
+      const provider = new OllamaProvider({ baseUrl });
+
+      const chunks = [];
+      for await (const chunk of provider.stream('Hi')) {
+        chunks.push(chunk);
+      }
+
+      expect(chunks).toEqual(['Hel', 'lo']);
+      expect(requests[0].body.stream).toBe(true);
+    });
+
+    test('should raise errors reported mid-stream', async () => {
+      respond = (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+        res.end('{"message":{"role":"assistant","content":"Hel"},"done":false}\n{"error":"model runner stopped"}\n');
+      };
+      const provider = new OllamaProvider({ baseUrl });
+
+      const chunks = [];
+      const consume = async () => {
+        for await (const chunk of provider.stream('Hi')) {
+          chunks.push(chunk);
+        }
+      };
+
+      await expect(consume()).rejects.toThrow('model runner stopped');
+      expect(chunks).toEqual(['Hel']);
+    });
+  });
+
+  describe('chatWithTools()', () => {
+    test('should send function tools and generate tool call IDs', async () => {
+      replyJson(200, {
+        message: {
+          role: 'assistant',
+          content: '',
+          tool_calls: [{ function: { name: 'read_prd', arguments: { name: 'auth' } } }]
+        },
+        done: true,
+        done_reason: 'stop'
+      });
+      const provider = new OllamaProvider({ baseUrl });
+
+      const reply = await provider.chatWithTools(
+        [{ role: 'user', content: 'Summarize the auth PRD' }],
+        [{ name: 'read_prd', description: 'Read a PRD', inputSchema: { type: 'object' } }]
+      );
+
+      expect(reply).toEqual({
+        content: '',
+        toolCalls: [{ id: 'call_1_0', name: 'read_prd', input: { name: 'auth' } }],
+        stopReason: 'stop'
+      });
+      expect(requests[0].body.tools[0]).toEqual({
+        type: 'function',
+        function: { name: 'read_prd', description: 'Read a PRD', parameters: { type: 'object' } }
+      });
+    });
+  });
+
+  describe('Error Handling', () => {
+    test('should map a missing model to an invalid request', async () => {
+      replyJson(404, { error: "model 'mistral' not found, try pulling it first" });
+      const provider = new OllamaProvider({ baseUrl, model: 'mistral' });
+
+      await expect(provider.complete('Hi')).rejects.toMatchObject({
+        code: AIProviderError.INVALID_REQUEST,
+        message: "model 'mistral' not found, try pulling it first",
+        httpStatus: 404
+      });
+    });
+  });
+});
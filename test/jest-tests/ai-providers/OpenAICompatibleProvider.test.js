@@ -0,0 +1,219 @@
+/**
+ * OpenAICompatibleProvider Unit Tests
+ *
+ * Runs the provider against a local mock HTTP server that speaks the
+ * OpenAI /chat/completions protocol.
+ *
+ * Test Coverage:
+ * - Configuration (base URL, API key, defaults)
+ * - complete(), chat() and stream() requests and responses
+ * - Function calling with tool_calls
+ * - Error mapping for HTTP statuses and unreachable servers
+ */
+
+const http = require('http');
+const OpenAICompatibleProvider = require('../../../lib/ai-providers/OpenAICompatibleProvider');
+const HttpAIProvider = require('../../../lib/ai-providers/HttpAIProvider');
+const AIProviderError = require('../../../lib/errors/AIProviderError');
+
+describe('OpenAICompatibleProvider', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let respond;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body) });
+        respond(req, res);
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  const replyJson = (status, payload) => {
+    respond = (req, res) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    };
+  };
+
+  const replyText = text => replyJson(200, { choices: [{ message: { role: 'assistant', content: text }, finish_reason: 'stop' }] });
+
+  describe('Constructor', () => {
+    test('should use defaults and be an HttpAIProvider', () => {
+      const provider = new OpenAICompatibleProvider({ baseUrl: 'http://localhost:1234/v1/' });
+
+      expect(provider).toBeInstanceOf(HttpAIProvider);
+      expect(provider.baseUrl).toBe('http://localhost:1234/v1');
+      expect(provider.model).toBe('gpt-4o-mini');
+      expect(provider.getApiKeyEnvVar()).toBe('OPENAI_API_KEY');
+      expect(provider.supportsChat()).toBe(true);
+      expect(provider.supportsFunctionCalling()).toBe(true);
+    });
+
+    test('should not require an API key', () => {
+      const originalKey = process.env.OPENAI_API_KEY;
+      delete process.env.OPENAI_API_KEY;
+
+      try {
+        expect(new OpenAICompatibleProvider({ baseUrl }).apiKey).toBeUndefined();
+      } finally {
+        if (originalKey !== undefined) {
+          process.env.OPENAI_API_KEY = originalKey;
+        }
+      }
+    });
+  });
+
+  describe('complete() and chat()', () => {
+    test('should post a chat completion request', async () => {
+      replyText('Hello!');
+      const provider = new OpenAICompatibleProvider({ baseUrl, apiKey: 'sk-test', model: 'local-model', maxTokens: 100 });
+
+      expect(await provider.complete('Hi', { temperature: 0.1 })).toBe('Hello!');
+
+      expect(requests[0]).toMatchObject({
+        method: 'POST',
+        url: '/v1/chat/completions',
+        headers: { authorization: 'Bearer sk-test' },
+        body: {
+          model: 'local-model',
+          max_tokens: 100,
+          temperature: 0.1,
+          messages: [{ role: 'user', content: 'Hi' }]
+        }
+      });
+    });
+
+    test('should send the system prompt first and omit authorization without a key', async () => {
+      replyText('Fine');
+      const provider = new OpenAICompatibleProvider({ baseUrl, apiKey: '' });
+
+      await provider.chat([{ role: 'user', content: 'How are you?' }], { system: 'Be brief' });
+
+      expect(requests[0].headers.authorization).toBeUndefined();
+      expect(requests[0].body.messages).toEqual([
+        { role: 'system', content: 'Be brief' },
+        { role: 'user', content: 'How are you?' }
+      ]);
+    });
+  });
+
+  describe('stream()', () => {
+    test('should yield content deltas from server-sent events', async () => {
+      respond = (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write('data: {"choices":[{"delta":{"role":"assistant"}}]}\n\n');
+        res.write('data: {"choices":[{"delta":{"content":"Hel"}}]}\n\ndata: {"choices":[{"delta":');
+        res.write('{"content":"lo"}}]}\n\n: keep-alive\n\n');
+        res.end('data: [DONE]\n\n');
+      };
+      const provider = new OpenAICompatibleProvider({ baseUrl });
+
+      const chunks = [];
+      for await (const chunk of provider.stream('Hi')) {
+        chunks.push(chunk);
+      }
+
+      expect(chunks).toEqual(['Hel', 'lo']);
+      expect(requests[0].body.stream).toBe(true);
+    });
+  });
+
+  describe('chatWithTools()', () => {
+    test('should send function tools and parse tool calls', async () => {
+      replyJson(200, {
+        choices: [{
+          message: {
+            role: 'assistant',
+            content: null,
+            tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'search', arguments: '{"query":"status:open"}' } }]
+          },
+          finish_reason: 'tool_calls'
+        }]
+      });
+      const provider = new OpenAICompatibleProvider({ baseUrl });
+      const tools = [{ name: 'search', description: 'Search', inputSchema: { type: 'object' } }];
+
+      const reply = await provider.chatWithTools([
+        { role: 'user', content: 'Find open tasks' },
+        { role: 'assistant', content: '', toolCalls: [{ id: 'call_0', name: 'list_epics', input: {} }] },
+        { role: 'tool', toolCallId: 'call_0', content: '[]', isError: false }
+      ], tools);
+
+      expect(reply).toEqual({
+        content: '',
+        toolCalls: [{ id: 'call_1', name: 'search', input: { query: 'status:open' } }],
+        stopReason: 'tool_calls'
+      });
+      expect(requests[0].body.tools).toEqual([
+        { type: 'function', function: { name: 'search', description: 'Search', parameters: { type: 'object' } } }
+      ]);
+      expect(requests[0].body.messages.slice(1)).toEqual([
+        {
+          role: 'assistant',
+          content: null,
+          tool_calls: [{ id: 'call_0', type: 'function', function: { name: 'list_epics', arguments: '{}' } }]
+        },
+        { role: 'tool', tool_call_id: 'call_0', content: '[]' }
+      ]);
+    });
+  });
+
+  describe('Error Handling', () => {
+    test.each([
+      [401, { error: { message: 'Incorrect API key' } }, AIProviderError.INVALID_API_KEY],
+      [429, { error: { message: 'Slow down' } }, AIProviderError.RATE_LIMIT],
+      [503, { error: { message: 'Overloaded' } }, AIProviderError.SERVICE_UNAVAILABLE],
+      [400, { error: { message: 'Too long', code: 'context_length_exceeded' } }, AIProviderError.CONTEXT_LENGTH_EXCEEDED],
+      [404, { error: { message: 'The model `gpt-9` does not exist' } }, AIProviderError.INVALID_REQUEST]
+    ])('should map HTTP %i to an AIProviderError', async (status, payload, code) => {
+      replyJson(status, payload);
+      const provider = new OpenAICompatibleProvider({ baseUrl });
+
+      const error = await provider.complete('Hi').catch(err => err);
+
+      expect(error).toBeInstanceOf(AIProviderError);
+      expect(error.code).toBe(code);
+      expect(error.httpStatus).toBe(status);
+    });
+
+    test('should report an unreachable server as a network error', async () => {
+      const closed = http.createServer();
+      await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+      const port = closed.address().port;
+      await new Promise(resolve => closed.close(resolve));
+
+      const provider = new OpenAICompatibleProvider({ baseUrl: `http://127.0.0.1:${port}/v1` });
+
+      await expect(provider.complete('Hi')).rejects.toMatchObject({
+        code: AIProviderError.NETWORK_ERROR,
+        message: `Cannot reach OpenAICompatibleProvider at http://127.0.0.1:${port}/v1 (ECONNREFUSED)`
+      });
+    });
+
+    test('should time out slow servers', async () => {
+      respond = () => {};
+      const provider = new OpenAICompatibleProvider({ baseUrl, timeout: 50 });
+
+      await expect(provider.complete('Hi')).rejects.toMatchObject({
+        code: AIProviderError.NETWORK_ERROR,
+        message: `OpenAICompatibleProvider request to ${baseUrl} timed out after 50ms`
+      });
+    });
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * RouterProvider Unit Tests
+ *
+ * Test Coverage:
+ * - Routes by task type, explicit chains and cost ordering
+ * - Fallback on retryable errors and open circuit breakers
+ * - TemplateProvider fallback when every provider is offline
+ * - Structured output without template fallback
+ * - Streaming fallback before the first chunk
+ * - Routing decision log
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const AbstractAIProvider = require('../../../lib/ai-providers/AbstractAIProvider');
+const RouterProvider = require('../../../lib/ai-providers/RouterProvider');
+const AIProviderError = require('../../../lib/errors/AIProviderError');
+
+class FakeProvider extends AbstractAIProvider {
+  constructor(reply, config = {}) {
+    super({ apiKey: 'fake', ...config });
+    this.complete = jest.fn(async () => reply);
+    this.chatWithTools = jest.fn(async () => ({ content: reply, toolCalls: [] }));
+  }
+
+  getDefaultModel() {
+    return 'fake';
+  }
+
+  getApiKeyEnvVar() {
+    return 'FAKE_API_KEY';
+  }
+
+  supportsFunctionCalling() {
+    return true;
+  }
+
+  async *stream(prompt, options) {
+    yield await this.complete(prompt, options);
+  }
+}
+
+const unavailable = () => new AIProviderError(AIProviderError.SERVICE_UNAVAILABLE, 'Overloaded', true, 503);
+
+describe('RouterProvider', () => {
+  let claude;
+  let local;
+  let openai;
+
+  const createRouter = (config = {}) => new RouterProvider({
+    providers: [
+      { name: 'claude', provider: claude, cost: 15 },
+      { name: 'openai', provider: openai, cost: 5 },
+      { name: 'local', provider: local, cost: 0 }
+    ],
+    ...config
+  });
+
+  beforeEach(() => {
+    claude = new FakeProvider('from claude');
+    openai = new FakeProvider('from openai');
+    local = new FakeProvider('from local');
+  });
+
+  describe('Constructor', () => {
+    test('should validate providers and routes', () => {
+      expect(() => new RouterProvider({ providers: [] })).toThrow('RouterProvider requires at least one provider');
+      expect(() => createRouter({ routes: { summarize: ['claude', 'gemini'] } }))
+        .toThrow('Unknown provider in route summarize: gemini');
+      expect(() => createRouter({ routes: { translate: ['claude'] } }))
+        .toThrow('Invalid task type: translate. Must be one of: parse-prd, summarize, agent-chat, default');
+    });
+  });
+
+  describe('Routing', () => {
+    test('should route by task type, cheapest first unless the route lists providers', async () => {
+      const router = createRouter({
+        routes: {
+          'parse-prd': ['claude', 'local'],
+          summarize: { maxCost: 5 }
+        }
+      });
+
+      expect(router.getChain('parse-prd')).toEqual(['claude', 'local']);
+      expect(router.getChain('summarize')).toEqual(['local', 'openai']);
+      expect(router.getChain('agent-chat')).toEqual(['local', 'openai', 'claude']);
+
+      expect(await router.complete('Parse', { taskType: 'parse-prd', maxTokens: 100 })).toBe('from claude');
+      expect(claude.complete).toHaveBeenCalledWith('Parse', { maxTokens: 100 });
+      expect(await router.complete('Summarize', { taskType: 'summarize' })).toBe('from local');
+
+      await expect(router.complete('Hi', { taskType: 'translate' })).rejects.toThrow('Invalid task type: translate');
+    });
+
+    test('should fall back on retryable errors and throw non-retryable ones', async () => {
+      const router = createRouter({ routes: { default: ['claude', 'openai'] } });
+
+      claude.complete.mockRejectedValueOnce(unavailable());
+      expect(await router.complete('Hi')).toBe('from openai');
+
+      claude.complete.mockRejectedValueOnce(new AIProviderError(AIProviderError.INVALID_REQUEST, 'Bad prompt', true, 400));
+      await expect(router.complete('Hi')).rejects.toThrow('Bad prompt');
+      expect(openai.complete).toHaveBeenCalledTimes(1);
+
+      expect(router.getDecisions().map(decision => decision.attempts)).toEqual([
+        [{ provider: 'claude', outcome: 'failed', reason: 'Overloaded' }, { provider: 'openai', outcome: 'success' }],
+        [{ provider: 'claude', outcome: 'failed', reason: 'Bad prompt' }]
+      ]);
+    });
+
+    test('should skip providers whose circuit breaker is open', async () => {
+      const router = createRouter({
+        routes: { default: ['claude', 'openai'] },
+        circuitBreaker: { failureThreshold: 2, timeout: 60000 }
+      });
+      claude.complete.mockRejectedValue(unavailable());
+
+      await router.complete('1');
+      await router.complete('2');
+      expect(await router.complete('3')).toBe('from openai');
+
+      expect(claude.complete).toHaveBeenCalledTimes(2);
+      expect(router.getDecisions()[2].attempts[0]).toEqual({ provider: 'claude', outcome: 'skipped', reason: 'circuit open' });
+    });
+
+    test('should answer from templates when every provider is offline', async () => {
+      [claude, openai, local].forEach(provider => provider.complete.mockRejectedValue(unavailable()));
+
+      const router = createRouter();
+      expect(await router.complete('Hello')).toBe('Response: Hello');
+      expect(router.getDecisions()[0]).toMatchObject({ provider: 'TemplateProvider', fallback: true });
+
+      await expect(createRouter({ fallback: false }).complete('Hello')).rejects.toMatchObject({
+        code: AIProviderError.SERVICE_UNAVAILABLE,
+        message: 'No provider available for default (local: Overloaded; openai: Overloaded; claude: Overloaded)'
+      });
+    });
+
+    test('should only use function-calling providers for tools, without template fallback', async () => {
+      jest.spyOn(local, 'supportsFunctionCalling').mockReturnValue(false);
+      const router = createRouter({ routes: { 'agent-chat': ['local', 'claude'] } });
+
+      const reply = await router.chatWithTools([{ role: 'user', content: 'Hi' }], [], { taskType: 'agent-chat' });
+
+      expect(reply.content).toBe('from claude');
+      expect(local.chatWithTools).not.toHaveBeenCalled();
+
+      claude.chatWithTools.mockRejectedValueOnce(unavailable());
+      await expect(router.chatWithTools([], [], { taskType: 'agent-chat' }))
+        .rejects.toThrow('No provider available for agent-chat (local: no function calling; claude: Overloaded)');
+    });
+  });
+
+  describe('generateStructured()', () => {
+    const schema = { type: 'object', required: ['epics'], properties: { epics: { type: 'array' } } };
+
+    test('should run the repair loop on the routed provider', async () => {
+      claude.complete.mockResolvedValue('{"epics":["auth"]}');
+      const router = createRouter({ routes: { 'parse-prd': ['claude'] } });
+
+      expect(await router.generateStructured('List epics', schema, { taskType: 'parse-prd' })).toEqual({ epics: ['auth'] });
+      expect(claude.complete).toHaveBeenCalledWith(expect.stringContaining('List epics'), {});
+      expect(router.getDecisions()[0]).toMatchObject({ method: 'generateStructured', provider: 'claude' });
+    });
+
+    test('should not answer from templates when every provider is offline', async () => {
+      [claude, openai, local].forEach(provider => provider.complete.mockRejectedValue(unavailable()));
+
+      await expect(createRouter().generateStructured('List epics', schema)).rejects.toMatchObject({
+        code: AIProviderError.SERVICE_UNAVAILABLE,
+        message: 'No provider available for default (local: Overloaded; openai: Overloaded; claude: Overloaded)'
+      });
+    });
+  });
+
+  describe('stream()', () => {
+    test('should switch providers until the first chunk arrives', async () => {
+      claude.stream = async function* () {
+        throw unavailable();
+      };
+      openai.stream = async function* () {
+        yield 'Hel';
+        yield 'lo';
+      };
+      const router = createRouter({ routes: { default: ['claude', 'openai'] } });
+
+      const chunks = [];
+      for await (const chunk of router.stream('Hi')) {
+        chunks.push(chunk);
+      }
+
+      expect(chunks).toEqual(['Hel', 'lo']);
+      expect(router.getDecisions()[0]).toMatchObject({ method: 'stream', provider: 'openai' });
+    });
+  });
+
+  describe('Decision log', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'router-provider-'));
+    });
+
+    afterEach(() => {
+      fs.removeSync(tmpDir);
+    });
+
+    test('should append decisions as JSON lines', async () => {
+      const logPath = path.join(tmpDir, 'logs', 'ai-router.jsonl');
+      const router = createRouter({ logPath });
+
+      await router.complete('Hi', { taskType: 'summarize' });
+
+      const lines = fs.readFileSync(logPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      expect(lines).toEqual([{
+        at: expect.any(String),
+        taskType: 'summarize',
+        method: 'complete',
+        chain: ['local', 'openai', 'claude'],
+        attempts: [{ provider: 'local', outcome: 'success' }],
+        provider: 'local',
+        fallback: false
+      }]);
+    });
+  });
+});
@@ -205,6 +205,43 @@ describe('config:set-provider command', () => {
     });
   });
 
+  describe('provider types', () => {
+    test('should store type and base URL for an Ollama provider', async () => {
+      process.argv = ['node', 'set-provider.js', 'local', 'ollama'];
+
+      input.mockResolvedValueOnce('llama3.1');
+      number.mockResolvedValueOnce(0.2);
+      number.mockResolvedValueOnce(2048);
+      input.mockResolvedValueOnce('http://localhost:11434');
+      confirm.mockResolvedValueOnce(false);
+
+      await setProviderCommand();
+
+      expect(input).toHaveBeenCalledWith({ message: 'Base URL:', default: 'http://localhost:11434' });
+
+      const writtenData = JSON.parse(fs.writeFileSync.mock.calls[0][1]);
+      expect(writtenData.providers.local).toEqual({
+        model: 'llama3.1',
+        temperature: 0.2,
+        maxTokens: 2048,
+        type: 'ollama',
+        baseUrl: 'http://localhost:11434'
+      });
+      expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('ollama pull llama3.1'));
+    });
+
+    test('should reject unknown provider types', async () => {
+      process.argv = ['node', 'set-provider.js', 'local', 'bard'];
+
+      await setProviderCommand();
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith(
+        expect.stringContaining('Provider type must be one of: claude, openai-compatible, ollama')
+      );
+      expect(processExitSpy).toHaveBeenCalledWith(1);
+    });
+  });
+
   describe('validation', () => {
     test('should validate temperature is between 0 and 1', async () => {
       process.argv = ['node', 'set-provider.js', 'claude'];
@@ -0,0 +1,63 @@
+/**
+ * JsonSchemaValidator Tests
+ *
+ * Covers the JSON Schema subset used for structured AI output:
+ * - Types (including unions and integer)
+ * - Objects: required, properties, additionalProperties
+ * - Arrays: items, minItems, maxItems
+ * - Strings and numbers: length, pattern, range, enum
+ */
+
+const JsonSchemaValidator = require('../../../lib/utils/JsonSchemaValidator');
+
+describe('JsonSchemaValidator', () => {
+  let validator;
+
+  beforeEach(() => {
+    validator = new JsonSchemaValidator();
+  });
+
+  test('should accept a matching value', () => {
+    const schema = {
+      type: 'object',
+      required: ['id', 'tags'],
+      properties: {
+        id: { type: 'string', pattern: '^[a-z-]+$' },
+        tags: { type: 'array', items: { type: 'string' }, minItems: 1 },
+        points: { type: ['integer', 'null'], minimum: 0 }
+      }
+    };
+
+    expect(validator.validate({ id: 'user-auth', tags: ['backend'], points: null, extra: true }, schema)).toEqual([]);
+  });
+
+  test('should report every violation with its location', () => {
+    const schema = {
+      type: 'object',
+      required: ['id', 'title'],
+      additionalProperties: false,
+      properties: {
+        id: { type: 'string', minLength: 3 },
+        status: { enum: ['open', 'closed'] },
+        points: { type: 'integer', maximum: 13 },
+        stories: { type: 'array', maxItems: 1, items: { type: 'object', required: ['title'] } }
+      }
+    };
+
+    expect(validator.validate({ id: 'ab', status: 'done', points: 21, stories: [{}, { title: 'x' }], owner: 'bob' }, schema)).toEqual([
+      '$: missing required property "title"',
+      '$.id: must have at least 3 characters',
+      '$.status: must be one of "open", "closed"',
+      '$.points: must be <= 13',
+      '$.stories: must have at most 1 items',
+      '$.stories[0]: missing required property "title"',
+      '$: unexpected property "owner"'
+    ]);
+  });
+
+  test('should stop at a type mismatch', () => {
+    expect(validator.validate([], { type: 'object', required: ['id'] })).toEqual(['$: must be object']);
+    expect(validator.validate(1.5, { type: 'integer' })).toEqual(['$: must be integer']);
+    expect(validator.validate('x', { type: ['number', 'boolean'] })).toEqual(['$: must be number or boolean']);
+  });
+});
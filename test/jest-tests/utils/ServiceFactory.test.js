@@ -103,6 +103,52 @@ describe('ServiceFactory', () => {
       expect(() => factory.createProvider('openai')).toThrow('Unknown provider: openai');
     });
 
+    test('should create OpenAI-compatible and Ollama providers by type', () => {
+      const OpenAICompatibleProvider = require('../../../lib/ai-providers/OpenAICompatibleProvider');
+      const OllamaProvider = require('../../../lib/ai-providers/OllamaProvider');
+
+      configManager.setApiKey('openrouter', 'sk-or-test-key');
+      configManager.setProvider('openrouter', {
+        type: 'openai-compatible',
+        baseUrl: 'https://openrouter.ai/api/v1',
+        model: 'meta-llama/llama-3.1-70b-instruct'
+      });
+      configManager.setProvider('local', { type: 'ollama', model: 'qwen2.5' });
+
+      const factory = new ServiceFactory(configManager);
+      const openrouter = factory.createProvider('openrouter');
+      const local = factory.createProvider('local');
+
+      expect(openrouter).toBeInstanceOf(OpenAICompatibleProvider);
+      expect(openrouter.apiKey).toBe('sk-or-test-key');
+      expect(openrouter.baseUrl).toBe('https://openrouter.ai/api/v1');
+      expect(local).toBeInstanceOf(OllamaProvider);
+      expect(local.model).toBe('qwen2.5');
+    });
+
+    test('should create a router over configured providers', () => {
+      const RouterProvider = require('../../../lib/ai-providers/RouterProvider');
+
+      configManager.setProvider('claude', { cost: 15 });
+      configManager.setProvider('local', { type: 'ollama', model: 'qwen2.5', cost: 0 });
+      configManager.setProvider('smart', {
+        type: 'router',
+        providers: ['claude', 'local'],
+        routes: { 'parse-prd': ['claude', 'local'] }
+      });
+      configManager.setProvider('loop', { type: 'router', providers: ['smart'] });
+
+      const factory = new ServiceFactory(configManager);
+      const router = factory.createProvider('smart');
+
+      expect(router).toBeInstanceOf(RouterProvider);
+      expect(router.getChain('parse-prd')).toEqual(['claude', 'local']);
+      expect(router.getChain('summarize')).toEqual(['local', 'claude']);
+      expect(router.providers[0].provider).toBeInstanceOf(ClaudeProvider);
+
+      expect(() => factory.createProvider('loop')).toThrow("Router provider 'loop' cannot route to another router: smart");
+    });
+
     test('should throw error for unknown provider', () => {
       const factory = new ServiceFactory(configManager);
       expect(() => factory.createProvider('unknown')).toThrow('Provider configuration not found: unknown');
@@ -125,6 +171,44 @@ describe('ServiceFactory', () => {
     });
   });
 
+  describe('createProvider - issue trackers', () => {
+    const { ProviderRegistry } = require('../../../lib/providers/ProviderRegistry');
+    const GitHubProvider = require('../../../lib/providers/GitHubProvider');
+
+    test('should resolve built-in trackers by name without master password', () => {
+      const noPasswordConfig = new ConfigManager(path.join(testConfigDir, 'tracker.json'));
+      const factory = new ServiceFactory(noPasswordConfig);
+
+      const provider = factory.createProvider('github', { token: 't', owner: 'o', repo: 'r' });
+
+      expect(provider).toBeInstanceOf(GitHubProvider);
+      expect(provider.getName()).toBe('github');
+    });
+
+    test('should merge tracker config from ConfigManager with options', () => {
+      configManager.setConfig('trackers.memory', { url: 'http://localhost:8080', token: 'config-token' });
+      const trackerFactory = jest.fn(() => ({
+        getName: () => 'memory',
+        getItem: jest.fn(),
+        createItem: jest.fn(),
+        updateItem: jest.fn()
+      }));
+      const registry = new ProviderRegistry().register('memory', trackerFactory);
+      const factory = new ServiceFactory(configManager, { providerRegistry: registry });
+
+      const provider = factory.createProvider('memory', { token: 'override' });
+
+      expect(provider.getName()).toBe('memory');
+      expect(trackerFactory).toHaveBeenCalledWith({ url: 'http://localhost:8080', token: 'override' });
+    });
+
+    test('should fall back to AI providers for unregistered names', () => {
+      const factory = new ServiceFactory(configManager, { providerRegistry: new ProviderRegistry() });
+
+      expect(factory.createProvider()).toBeInstanceOf(ClaudeProvider);
+    });
+  });
+
   describe('createPRDService', () => {
     test('should create PRDService with provider from ConfigManager', () => {
       const factory = new ServiceFactory(configManager);
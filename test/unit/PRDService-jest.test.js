@@ -1,6 +1,6 @@
 /**
  * PRDService Tests - TDD Approach
- * Tests for Tier 1 (Pure Parsing) and Tier 3 (Utilities)
+ * Tests for Tier 1 (Pure Parsing), Tier 2 (Structured AI Output) and Tier 3 (Utilities)
  *
  * Following strict TDD methodology:
  * 1. Write failing tests FIRST
@@ -9,6 +9,8 @@
  */
 
 const PRDService = require('../../lib/services/PRDService');
+const AbstractAIProvider = require('../../lib/ai-providers/AbstractAIProvider');
+const AIProviderError = require('../../lib/errors/AIProviderError');
 
 describe('PRDService - Tier 1: Pure Parsing (No Dependencies)', () => {
   let service;
@@ -453,6 +455,89 @@ So that I can achieve goal Z`;
   });
 });
 
+describe('PRDService - Tier 2: Structured AI Output', () => {
+  // Mock provider answering with queued responses
+  class MockProvider extends AbstractAIProvider {
+    constructor(responses) {
+      super({ apiKey: 'test' });
+      this.responses = responses;
+      this.prompts = [];
+    }
+
+    async complete(prompt) {
+      this.prompts.push(prompt);
+      return this.responses.shift();
+    }
+
+    getDefaultModel() {
+      return 'mock-model';
+    }
+
+    getApiKeyEnvVar() {
+      return 'MOCK_API_KEY';
+    }
+  }
+
+  const epic = (id, overrides = {}) => ({
+    id,
+    title: `Epic ${id}`,
+    description: `About ${id}`,
+    stories: [{ title: `As a user I can use ${id}`, effort: '4h' }],
+    effort: '2d',
+    dependencies: [],
+    ...overrides
+  });
+
+  test('should return typed epics with stories, effort and dependencies', async () => {
+    const provider = new MockProvider([
+      JSON.stringify({ epics: [epic('auth'), epic('billing', { dependencies: ['auth'] })] })
+    ]);
+    const service = new PRDService({ provider });
+
+    const epics = await service.extractEpics('# PRD');
+
+    expect(epics).toEqual([
+      { ...epic('auth'), effortHours: 16, stories: [{ title: 'As a user I can use auth', effort: '4h', effortHours: 4, acceptanceCriteria: [] }] },
+      { ...epic('billing', { dependencies: ['auth'] }), effortHours: 16, stories: [{ title: 'As a user I can use billing', effort: '4h', effortHours: 4, acceptanceCriteria: [] }] }
+    ]);
+    expect(provider.prompts[0]).toContain('# PRD');
+  });
+
+  test('should repair schema violations and unknown dependencies', async () => {
+    const provider = new MockProvider([
+      JSON.stringify({ epics: [epic('auth', { effort: 'a while' })] }),
+      JSON.stringify({ summary: 'Login', epics: [epic('auth', { dependencies: ['payments'] })] }),
+      JSON.stringify({ summary: 'Login', epics: [epic('auth')] })
+    ]);
+    const service = new PRDService({ provider });
+
+    const result = await service.parse('# PRD');
+
+    expect(result.summary).toBe('Login');
+    expect(result.epics.map(e => e.id)).toEqual(['auth']);
+    expect(provider.prompts[1]).toContain('$: missing required property "summary"');
+    expect(provider.prompts[1]).toContain('$.epics[0].effort: must match');
+    expect(provider.prompts[2]).toContain('$.epics[0].dependencies: unknown epic "payments"');
+  });
+
+  test('should raise instead of falling back to feature bullets', async () => {
+    const provider = new MockProvider(['not json', 'still not json', '[]']);
+    const service = new PRDService({ provider });
+
+    await expect(service.extractEpics('## Features\n- Login')).rejects.toThrow(AIProviderError);
+    await expect(new PRDService({ provider: { generate: jest.fn() } }).parse('# PRD'))
+      .rejects.toThrow('PRD parsing requires an AI provider with generateStructured() support');
+  });
+
+  test('should derive epics from features without a provider', async () => {
+    const service = new PRDService();
+
+    const epics = await service.extractEpics('## Features\n- Login\n- Logout');
+
+    expect(epics.map(e => e.title)).toEqual(['Login', 'Logout']);
+  });
+});
+
 describe('PRDService - Tier 3: Utilities (No I/O)', () => {
   let service;
 
@@ -504,6 +589,16 @@ describe('PRDService - Tier 3: Utilities (No I/O)', () => {
     });
   });
 
+  describe('effortHours', () => {
+    test('should read effort and fall back to estimated_hours', () => {
+      expect(service.effortHours({ effort: '2d' })).toBe(16);
+      expect(service.effortHours({ effort: 6 })).toBe(6);
+      expect(service.effortHours({ estimated_hours: '12' })).toBe(12);
+      expect(service.effortHours({ effort: '4h', estimated_hours: 12 })).toBe(4);
+      expect(service.effortHours({})).toBe(8);
+    });
+  });
+
   describe('formatEffort', () => {
     test('should format hours to readable format', () => {
       expect(service.formatEffort(4)).toBe('4h');
@@ -0,0 +1,68 @@
+/**
+ * AgentSessionStore Tests
+ *
+ * Test Coverage:
+ * - Creating, saving and reading sessions in .claude/sessions/
+ * - Listing (most recent first) and deleting sessions
+ * - Unknown and invalid session IDs
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const AgentSessionStore = require('../../lib/agent-session-store');
+
+describe('AgentSessionStore', () => {
+  let tmpDir;
+  let store;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-session-store-'));
+    store = new AgentSessionStore({ basePath: path.join(tmpDir, '.claude') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.removeSync(tmpDir);
+  });
+
+  test('should create, save and read sessions', async () => {
+    const session = await store.create('code-analyzer');
+
+    expect(session.id).toMatch(/^[0-9a-f]{8}$/);
+    expect(fs.existsSync(path.join(tmpDir, '.claude', 'sessions', `${session.id}.json`))).toBe(true);
+    expect(await store.get(session.id)).toEqual(session);
+
+    session.messages.push({ role: 'user', content: 'Review auth.js', timestamp: 1 });
+    await store.save(session);
+
+    expect((await store.get(session.id)).messages).toHaveLength(1);
+    await expect(store.create('code-analyzer', session.id)).rejects.toThrow(`Session already exists: ${session.id}`);
+  });
+
+  test('should list sessions most recently updated first and delete them', async () => {
+    jest.useFakeTimers({ now: new Date('2025-03-10T12:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    const older = await store.create('code-analyzer', 'review');
+    await store.create('test-runner', 'tests');
+
+    jest.setSystemTime(new Date('2025-03-10T13:00:00Z'));
+    older.messages.push({ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello' });
+    await store.save(older);
+
+    expect(await store.list()).toEqual([
+      { id: 'review', agent: 'code-analyzer', createdAt: '2025-03-10T12:00:00.000Z', updatedAt: '2025-03-10T13:00:00.000Z', turns: 1 },
+      { id: 'tests', agent: 'test-runner', createdAt: '2025-03-10T12:00:00.000Z', updatedAt: '2025-03-10T12:00:00.000Z', turns: 0 }
+    ]);
+
+    await store.delete('tests');
+    expect((await store.list()).map(session => session.id)).toEqual(['review']);
+    await expect(store.delete('tests')).rejects.toThrow('Session not found: tests');
+  });
+
+  test('should reject unknown and invalid session IDs', async () => {
+    expect(await store.list()).toEqual([]);
+    await expect(store.get('missing')).rejects.toThrow('Session not found: missing');
+    await expect(store.get('../config')).rejects.toThrow('Invalid session ID: ../config');
+    expect(await store.exists('missing')).toBe(false);
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * AnalyticsSnapshots Tests
+ *
+ * Test Coverage:
+ * - Capturing daily snapshots (counts, completion rate, velocity, blockers)
+ * - One snapshot per day, never for a past date
+ * - Skipping unparseable history lines
+ * - Week-over-week and sprint-over-sprint trends
+ * - Regression detection and rendering
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const AnalyticsSnapshots = require('../../lib/analytics-snapshots');
+
+describe('AnalyticsSnapshots', () => {
+  let tmpDir;
+  let basePath;
+  let snapshots;
+
+  const writeTask = (file, frontmatter) => {
+    const lines = Object.entries(frontmatter).map(([key, value]) => `${key}: ${value}`);
+    fs.outputFileSync(path.join(basePath, 'epics/auth', file), `---\n${lines.join('\n')}\n---\n`);
+  };
+
+  const writeSnapshots = (entries) => {
+    const lines = entries.map(([date, tasksPerWeek, completionRate, blocked, sprint]) => JSON.stringify({
+      date,
+      sprint: sprint || null,
+      velocity: { tasksPerWeek, hoursPerWeek: tasksPerWeek * 8 },
+      completionRate,
+      blocked
+    }));
+    fs.outputFileSync(path.join(basePath, 'analytics/snapshots.jsonl'), lines.join('\n') + '\n');
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2025-03-07T12:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'analytics-snapshots-'));
+    basePath = path.join(tmpDir, '.claude');
+    snapshots = new AnalyticsSnapshots({ basePath });
+
+    writeTask('001.md', { id: 'task-001', status: 'completed', completed: '2025-03-05', effort: '1d' });
+    writeTask('002.md', { id: 'task-002', status: 'done', completed: '2025-02-20', effort: '4h' });
+    writeTask('003.md', { id: 'task-003', status: 'in_progress' });
+    writeTask('004.md', { id: 'task-004', status: 'blocked' });
+    fs.outputFileSync(path.join(basePath, 'issues/42.md'), '---\nid: 42\nstatus: open\n---\n');
+    fs.outputJSONSync(path.join(basePath, 'config.json'), { sprint: 'sprint-12' });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.removeSync(tmpDir);
+  });
+
+  test('should capture one snapshot per day', async () => {
+    const snapshot = await snapshots.capture();
+
+    expect(snapshot).toMatchObject({
+      date: '2025-03-07',
+      sprint: 'sprint-12',
+      tasks: { total: 4, pending: 0, in_progress: 1, blocked: 1, completed: 2 },
+      issues: { total: 1, pending: 1 },
+      completionRate: 0.5,
+      velocity: { tasksPerWeek: 1, hoursPerWeek: 8 },
+      blocked: 1
+    });
+
+    writeTask('003.md', { id: 'task-003', status: 'completed', completed: '2025-03-07', estimated_hours: 3 });
+    await snapshots.capture();
+    jest.setSystemTime(new Date('2025-03-08T12:00:00Z'));
+    await snapshots.capture();
+
+    const stored = await snapshots.list();
+    expect(stored.map(entry => entry.date)).toEqual(['2025-03-07', '2025-03-08']);
+    expect(stored[0].velocity).toEqual({ tasksPerWeek: 2, hoursPerWeek: 11 });
+    expect(fs.readdirSync(path.join(basePath, 'analytics'))).toEqual(['snapshots.jsonl']);
+    expect((await snapshots.list({ since: '2025-03-08' })).length).toBe(1);
+  });
+
+  test('should refuse to capture a past or invalid date', async () => {
+    await expect(snapshots.capture({ date: '2025-03-06' }))
+      .rejects.toThrow('Cannot capture a snapshot for a past date: 2025-03-06');
+    await expect(snapshots.capture({ date: '03/07/2025' }))
+      .rejects.toThrow('Invalid snapshot date: 03/07/2025. Use YYYY-MM-DD');
+
+    expect((await snapshots.capture({ date: '2025-03-07' })).date).toBe('2025-03-07');
+    expect(await snapshots.list()).toHaveLength(1);
+  });
+
+  test('should skip history lines that do not parse', async () => {
+    writeSnapshots([['2025-03-03', 3, 0.5, 1]]);
+    fs.appendFileSync(path.join(basePath, 'analytics/snapshots.jsonl'), '{"date": "2025-03-04", "veloc\n[]\n');
+
+    expect((await snapshots.list()).map(entry => entry.date)).toEqual(['2025-03-03']);
+
+    await snapshots.capture();
+    expect((await snapshots.list()).map(entry => entry.date)).toEqual(['2025-03-03', '2025-03-07']);
+  });
+
+  test('should compare weeks and flag regressions', async () => {
+    writeSnapshots([
+      ['2025-02-24', 4, 0.4, 1],
+      ['2025-02-28', 6, 0.5, 1],
+      ['2025-03-03', 3, 0.52, 3],
+      ['2025-03-07', 3, 0.55, 2]
+    ]);
+
+    const trend = await snapshots.trend({ by: 'week' });
+
+    expect(trend.periods).toEqual([
+      expect.objectContaining({ label: 'Week of 2025-02-24', snapshots: 2, velocity: 5, hoursPerWeek: 40, completionRate: 0.5, blocked: 1 }),
+      expect.objectContaining({ label: 'Week of 2025-03-03', snapshots: 2, velocity: 3, hoursPerWeek: 24, completionRate: 0.55, blocked: 2 })
+    ]);
+    expect(trend.comparisons[0].changes).toEqual({ velocity: -0.4, hoursPerWeek: -0.4, completionRate: 0.1, blocked: 1 });
+    expect(trend.regressions).toEqual([
+      { period: 'Week of 2025-03-03', metric: 'velocity', from: 5, to: 3, change: -0.4 },
+      { period: 'Week of 2025-03-03', metric: 'hoursPerWeek', from: 40, to: 24, change: -0.4 },
+      { period: 'Week of 2025-03-03', metric: 'blocked', from: 1, to: 2, change: 1 }
+    ]);
+    expect(snapshots.describeRegression(trend.regressions[0])).toBe('velocity 5 → 3 tasks/week (-40%)');
+    expect(snapshots.describeRegression(trend.regressions[1])).toBe('velocity 40 → 24 hours/week (-40%)');
+
+    const output = snapshots.render(trend);
+    expect(output).toContain('3 ↓40%');
+    expect(output).toContain('24 ↓40%');
+    expect(output).toContain('⚠ Regressions:');
+    expect(output).toContain('Week of 2025-03-03: blockers 1 → 2 (+1)');
+  });
+
+  test('should flag a drop in hours per week even when the task count holds', async () => {
+    const lines = [['2025-02-28', 16], ['2025-03-07', 6]].map(([date, hoursPerWeek]) => JSON.stringify({
+      date, sprint: null, velocity: { tasksPerWeek: 2, hoursPerWeek }, completionRate: 0.5, blocked: 0
+    }));
+    fs.outputFileSync(path.join(basePath, 'analytics/snapshots.jsonl'), lines.join('\n') + '\n');
+
+    const trend = await snapshots.trend({ by: 'week' });
+
+    expect(trend.regressions).toEqual([
+      { period: 'Week of 2025-03-03', metric: 'hoursPerWeek', from: 16, to: 6, change: -0.62 }
+    ]);
+  });
+
+  test('should group by sprint and keep only the requested periods', async () => {
+    writeSnapshots([
+      ['2025-02-10', 2, 0.2, 0, 'sprint-10'],
+      ['2025-02-20', 4, 0.6, 0, 'sprint-11'],
+      ['2025-02-22', 2, 0.5, 0],
+      ['2025-03-05', 4, 0.4, 0, 'sprint-12']
+    ]);
+
+    const trend = await snapshots.trend({ by: 'sprint', periods: 2 });
+
+    expect(trend.periods.map(period => period.label)).toEqual(['sprint-11', 'sprint-12']);
+    expect(trend.regressions).toEqual([
+      { period: 'sprint-12', metric: 'completionRate', from: 0.6, to: 0.4, change: -0.33 }
+    ]);
+  });
+
+  test('should report an empty history and reject unknown groupings', async () => {
+    const trend = await snapshots.trend();
+
+    expect(trend).toMatchObject({ by: 'week', periods: [], regressions: [] });
+    expect(snapshots.render(trend)).toContain('No snapshots yet');
+    await expect(snapshots.trend({ by: 'month' })).rejects.toThrow('Invalid trend grouping: month. Must be one of: week, sprint');
+  });
+});
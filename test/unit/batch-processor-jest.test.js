@@ -11,9 +11,44 @@
  * - Progress Tracking Tests
  * - Performance Tests
  * - Dry Run Tests
+ * - Provider-neutral run(): operations, rate policies, events, report
  */
 
 const BatchProcessor = require('../../lib/batch-processor');
+const IssueTrackerProvider = require('../../lib/providers/IssueTrackerProvider');
+
+class MemoryTrackerProvider extends IssueTrackerProvider {
+  constructor(name = 'azure') {
+    super();
+    this.name = name;
+    this.items = new Map();
+    this.nextId = 1;
+  }
+
+  getName() {
+    return this.name;
+  }
+
+  async getItem(id) {
+    const item = this.items.get(String(id));
+    if (!item) {
+      throw Object.assign(new Error(`Item not found: ${id}`), { statusCode: 404 });
+    }
+    return { ...item };
+  }
+
+  async createItem(item) {
+    const id = String(this.nextId++);
+    this.items.set(id, { id, status: 'open', labels: [], ...item });
+    return this.getItem(id);
+  }
+
+  async updateItem(id, item) {
+    const existing = await this.getItem(id);
+    this.items.set(String(id), { ...existing, ...item });
+    return this.getItem(id);
+  }
+}
 
 // Mock Octokit responses
 const mockOctokit = {
@@ -847,3 +882,156 @@ describe('BatchProcessor - TDD Test Suite', () => {
     });
   });
 });
+
+describe('BatchProcessor - Provider-neutral run', () => {
+  let provider;
+  let processor;
+
+  beforeEach(async () => {
+    provider = new MemoryTrackerProvider('azure');
+    processor = new BatchProcessor({ maxConcurrent: 2, rateLimit: { retryDelay: 1 } });
+    await provider.createItem({ title: 'Existing', labels: ['triage', 'bug'] });
+  });
+
+  test('should run create, update, close and label operations and report each', async () => {
+    // One at a time: the update, label and close all touch item 1
+    processor = new BatchProcessor({ maxConcurrent: 1 });
+
+    const report = await processor.run({
+      provider,
+      operations: [
+        { key: 'new', action: 'create', item: { title: 'Login form' } },
+        { action: 'update', id: 1, item: { title: 'Existing (renamed)' } },
+        { action: 'label', id: 1, add: ['backend'], remove: ['triage'] },
+        { action: 'close', id: 1 }
+      ]
+    });
+
+    expect(report).toMatchObject({ provider: 'azure', dryRun: false, total: 4, succeeded: 4, failed: 0 });
+    expect(report.operations.map(entry => [entry.action, entry.status, entry.id])).toEqual([
+      ['create', 'succeeded', '2'],
+      ['update', 'succeeded', '1'],
+      ['label', 'succeeded', '1'],
+      ['close', 'succeeded', '1']
+    ]);
+    expect(report.operations[0].key).toBe('new');
+    expect(provider.items.get('1')).toMatchObject({ title: 'Existing (renamed)', status: 'closed' });
+    expect(provider.items.get('1').labels).toEqual(['bug', 'backend']);
+    expect(JSON.parse(JSON.stringify(report))).toEqual(report);
+  });
+
+  test('should record failures without stopping the batch', async () => {
+    const report = await processor.run({
+      provider,
+      operations: [
+        { action: 'update', id: 99, item: { title: 'Missing' } },
+        { action: 'delete', id: 1 },
+        { action: 'close' },
+        { action: 'create', item: { title: 'Still created' } }
+      ]
+    });
+
+    expect(report.succeeded).toBe(1);
+    expect(report.failed).toBe(3);
+    expect(report.operations.map(entry => entry.error)).toEqual([
+      'Item not found: 99',
+      'Invalid batch action: delete. Must be one of: create, update, close, label',
+      'close operation requires id',
+      null
+    ]);
+  });
+
+  test('should retry throttled Azure requests on 503 and honour Retry-After', async () => {
+    const throttled = Object.assign(new Error('Service Unavailable'), {
+      statusCode: 503,
+      response: { headers: { 'retry-after': '0' } }
+    });
+    const updateItem = jest.spyOn(provider, 'updateItem').mockRejectedValueOnce(throttled);
+
+    const report = await processor.run({ provider, operations: [{ action: 'update', id: 1, item: { title: 'Retried' } }] });
+
+    expect(report.operations[0]).toMatchObject({ status: 'succeeded', attempts: 2 });
+    expect(updateItem).toHaveBeenCalledTimes(2);
+  });
+
+  test('should keep a separate rate policy per provider', () => {
+    const defaults = new BatchProcessor();
+
+    expect(defaults.rateLimit.provider).toBe('github');
+    expect(defaults.getRateLimit('azure')).toMatchObject({ retryStatuses: [429, 503], requestsPerHour: 2400 });
+    expect(defaults.getRateLimit('jira')).toMatchObject(BatchProcessor.RATE_POLICIES.default);
+    expect(defaults.getRateLimit('azure')).not.toBe(defaults.rateLimit);
+  });
+
+  test('should count requests against the provider budget', async () => {
+    const report = await processor.run({
+      provider,
+      operations: [
+        { action: 'create', item: { title: 'A' } },
+        { action: 'label', id: 1, add: ['x'] }
+      ]
+    });
+
+    expect(report.rateLimit.remaining).toBe(2400 - 3);
+  });
+
+  test('should validate but not call the provider in dry-run mode', async () => {
+    const createItem = jest.spyOn(provider, 'createItem');
+
+    const report = await processor.run({
+      provider,
+      dryRun: true,
+      operations: [
+        { action: 'create', item: { title: 'A' } },
+        { action: 'label', id: 1 }
+      ]
+    });
+
+    expect(createItem).not.toHaveBeenCalled();
+    expect(report).toMatchObject({ dryRun: true, planned: 1, failed: 1, succeeded: 0 });
+    expect(report.operations[1].error).toBe('label operation requires add or remove');
+  });
+
+  test('should emit start, progress and complete events', async () => {
+    const events = [];
+    const onProgress = jest.fn();
+    processor.on('start', info => events.push(['start', info.total]));
+    processor.on('progress', ({ completed, total }) => events.push(['progress', completed, total]));
+    processor.on('complete', report => events.push(['complete', report.succeeded]));
+
+    await processor.run({
+      provider,
+      onProgress,
+      operations: [
+        { action: 'create', item: { title: 'A' } },
+        { action: 'create', item: { title: 'B' } }
+      ]
+    });
+
+    expect(events).toEqual([['start', 2], ['progress', 1, 2], ['progress', 2, 2], ['complete', 2]]);
+    expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ completed: 2, entry: expect.any(Object) }));
+  });
+
+  test('should not run more operations at once than maxConcurrent', async () => {
+    let active = 0;
+    let peak = 0;
+    jest.spyOn(provider, 'createItem').mockImplementation(async (item) => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active--;
+      return { id: item.title };
+    });
+
+    const operations = Array.from({ length: 6 }, (_, i) => ({ action: 'create', item: { title: `T${i}` } }));
+    const report = await processor.run({ provider, operations });
+
+    expect(report.succeeded).toBe(6);
+    expect(peak).toBe(2);
+  });
+
+  test('should reject objects that are not tracker providers', async () => {
+    await expect(processor.run({ provider: {}, operations: [] }))
+      .rejects.toThrow('Provider does not implement the IssueTrackerProvider contract');
+  });
+});
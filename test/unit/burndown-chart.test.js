@@ -445,6 +445,168 @@ describe('BurndownChart - Edge Cases', () => {
   });
 });
 
+describe('BurndownChart - Effort and Story Points', () => {
+  let chart;
+
+  const tasks = [
+    { id: 'task-001', status: 'completed', effort: '2d', points: 5, completed: '2025-10-02' },
+    { id: 'task-002', status: 'completed', effort: '4h', points: 1, completed: '2025-10-03' },
+    { id: 'task-003', status: 'pending', effort: '1w', points: 8 },
+    { id: 'task-004', status: 'pending', effort: '2d', created: '2025-10-03' }
+  ];
+
+  beforeEach(() => {
+    chart = new BurndownChart();
+  });
+
+  test('should weight tasks by effort hours and story points', () => {
+    expect(chart.getTaskWeight(tasks[0], 'hours')).toBe(16);
+    expect(chart.getTaskWeight(tasks[2], 'hours')).toBe(40);
+    expect(chart.getTaskWeight({ effort: 6 }, 'hours')).toBe(6);
+    expect(chart.getTaskWeight({ estimated_hours: '3' }, 'hours')).toBe(3);
+    expect(chart.getTaskWeight({}, 'hours')).toBe(8); // PRDService default effort
+    expect(chart.getTaskWeight(tasks[0], 'points')).toBe(5);
+    expect(chart.getTaskWeight(tasks[3], 'points')).toBe(0);
+    expect(chart.getTaskWeight(tasks[3])).toBe(1);
+    expect(chart.calculateTotalWeight(tasks, 'hours')).toBe(76);
+  });
+
+  test('should burn down effort and raise it when scope is added', () => {
+    const remaining = chart.calculateActualBurndown(tasks, '2025-10-01', 4, { unit: 'hours' });
+    const scope = chart.calculateScope(tasks, '2025-10-01', 4, { unit: 'hours' });
+
+    expect(scope).toEqual([60, 60, 76, 76, 76]);
+    expect(remaining).toEqual([60, 60, 60, 56, 56]);
+  });
+
+  test('should burn up completed story points', () => {
+    expect(chart.calculateActualBurnup(tasks, '2025-10-01', 4, { unit: 'points' })).toEqual([0, 0, 5, 6, 6]);
+    expect(chart.calculateIdealBurnup(40, 4)).toEqual([0, 10, 20, 30, 40]);
+  });
+
+  test('should keep counting tasks by default', () => {
+    expect(chart.calculateActualBurndown(tasks, '2025-10-01', 4)).toEqual([3, 3, 3, 2, 2]);
+  });
+
+  test('should render a burnup with a scope line', () => {
+    const rendered = chart.renderChart([0, 19, 38, 57, 76], [0, 0, 16, 20, 20], {
+      epicId: 'epic-001',
+      epicTitle: 'Effort',
+      startDate: '2025-10-01',
+      endDate: '2025-10-05',
+      mode: 'burnup',
+      unit: 'hours',
+      scope: [60, 60, 76, 76, 76],
+      velocity: 35
+    });
+
+    expect(rendered).toContain('Burnup Chart (hours)');
+    expect(rendered).toContain('Legend: ━━━ Ideal  ╱╱╱ Actual  ┈┈┈ Scope');
+    expect(rendered).toContain('┈');
+    expect(rendered).toContain('Scope: 60 → 76 hours (+16)');
+    expect(rendered).toContain('Velocity: 35 hours/week');
+    expect(rendered.toLowerCase()).toContain('behind');
+  });
+});
+
+describe('BurndownChart - Weighted Generation', () => {
+  let testDir;
+  let chart;
+
+  beforeEach(async () => {
+    testDir = path.join(os.tmpdir(), `burndown-weighted-test-${Date.now()}`);
+    await fs.mkdir(testDir, { recursive: true });
+    chart = new BurndownChart();
+
+    await createTestEpic(testDir, 'epic-001', {
+      created: '2025-09-10',
+      tasks: [
+        { id: 'task-001', status: 'completed', created: '2025-09-10', completed: '2025-09-12', effort: '1d', points: 3 },
+        { id: 'task-002', status: 'pending', created: '2025-09-10', effort: '3d', points: 8 },
+        { id: 'task-003', status: 'pending', created: '2025-09-20', effort: '2d', points: 5 }
+      ]
+    });
+  });
+
+  afterEach(async () => {
+    if (testDir && fsSync.existsSync(testDir)) {
+      await fs.rm(testDir, { recursive: true, force: true });
+    }
+  });
+
+  test('should generate an effort burnup with scope changes', async () => {
+    const rendered = await chart.generate('epic-001', { basePath: testDir, unit: 'hours', mode: 'burnup', days: 20 });
+
+    expect(rendered).toContain('Burnup Chart (hours)');
+    expect(rendered).toContain('Scope: 32 → 48 hours (+16)');
+  });
+
+  test('should omit the scope line when scope did not change', async () => {
+    const rendered = await chart.generate('epic-001', { basePath: testDir, unit: 'points', days: 5 });
+
+    expect(rendered).toContain('Burndown Chart (points)');
+    expect(rendered).not.toContain('Scope');
+  });
+
+  test('should reject unknown units and modes', async () => {
+    await expect(chart.generate('epic-001', { basePath: testDir, unit: 'days' }))
+      .rejects.toThrow('Invalid burndown unit: days');
+    await expect(chart.generate('epic-001', { basePath: testDir, mode: 'sideways' }))
+      .rejects.toThrow('Invalid burndown mode: sideways');
+  });
+});
+
+describe('BurndownChart - Sprint Generation', () => {
+  let testDir;
+  let chart;
+
+  beforeEach(async () => {
+    testDir = path.join(os.tmpdir(), `burndown-sprint-test-${Date.now()}`);
+    chart = new BurndownChart();
+
+    await createTestEpic(testDir, 'epic-001', {
+      created: '2025-01-01',
+      tasks: [
+        { id: 'task-001', status: 'completed', created: '2025-01-01', completed: '2025-03-04', effort: '1d' },
+        { id: 'task-002', status: 'pending', created: '2025-01-01', effort: '2d' },
+        { id: 'task-003', status: 'pending', created: '2025-01-01', effort: '1d' }
+      ]
+    });
+
+    // task-003 was pulled into the sprint on its third day
+    await fs.mkdir(path.join(testDir, 'sprints'), { recursive: true });
+    await fs.writeFile(path.join(testDir, 'sprints', 'sprint-12.json'), JSON.stringify({
+      name: 'sprint-12',
+      goal: 'Ship login',
+      start: '2025-03-03',
+      end: '2025-03-07',
+      status: 'active',
+      tasks: ['epic-001/task-001', 'epic-001/task-002', 'epic-001/task-003'],
+      committed: ['epic-001/task-001', 'epic-001/task-002'],
+      changes: [{ ref: 'epic-001/task-003', action: 'added', at: '2025-03-05T10:00:00.000Z' }]
+    }));
+  });
+
+  afterEach(async () => {
+    if (testDir && fsSync.existsSync(testDir)) {
+      await fs.rm(testDir, { recursive: true, force: true });
+    }
+  });
+
+  test('should chart the sprint from start to end with work added mid-sprint', async () => {
+    const rendered = await chart.generateSprint('sprint-12', { basePath: testDir, unit: 'hours' });
+
+    expect(rendered).toContain('Sprint: Ship login (sprint-12)');
+    expect(rendered).toContain('Burndown Chart (hours) - Mar 3 to Mar 7');
+    expect(rendered).toContain('Scope: 24 → 32 hours (+8)');
+  });
+
+  test('should reject unknown sprints', async () => {
+    await expect(chart.generateSprint('sprint-99', { basePath: testDir }))
+      .rejects.toThrow('Sprint not found: sprint-99');
+  });
+});
+
 // ============================================================================
 // Helper Functions
 // ============================================================================
@@ -478,6 +640,8 @@ title: ${task.title || `Task ${task.id}`}
 status: ${task.status}
 created: ${task.created}
 ${task.completed ? `completed: ${task.completed}` : ''}
+${task.effort ? `effort: ${task.effort}` : ''}
+${task.points !== undefined ? `story_points: ${task.points}` : ''}
 ---
 
 # ${task.title || `Task ${task.id}`}
@@ -9,10 +9,21 @@
 
 const agentCommands = require('../../../../lib/cli/commands/agent');
 const AgentService = require('../../../../lib/services/AgentService');
+const AgentSessionStore = require('../../../../lib/agent-session-store');
+const ClaudeProvider = require('../../../../lib/ai-providers/ClaudeProvider');
+const ConfigManager = require('../../../../lib/config/ConfigManager');
+const ServiceFactory = require('../../../../lib/utils/ServiceFactory');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
 const ora = require('ora');
 
 // Mock dependencies
 jest.mock('../../../../lib/services/AgentService');
+jest.mock('../../../../lib/agent-session-store');
+jest.mock('../../../../lib/ai-providers/ClaudeProvider');
+jest.mock('../../../../lib/config/ConfigManager');
+jest.mock('../../../../lib/utils/ServiceFactory');
 jest.mock('ora');
 
 describe('Agent Commands', () => {
@@ -20,6 +31,7 @@ describe('Agent Commands', () => {
   let mockConsoleLog;
   let mockConsoleError;
   let mockSpinner;
+  let mockSessionStore;
 
   beforeEach(() => {
     // Mock AgentService instance
@@ -32,6 +44,16 @@ describe('Agent Commands', () => {
 
     AgentService.mockImplementation(() => mockAgentService);
 
+    // Mock AgentSessionStore instance
+    mockSessionStore = {
+      create: jest.fn(),
+      get: jest.fn(),
+      list: jest.fn(),
+      delete: jest.fn()
+    };
+
+    AgentSessionStore.mockImplementation(() => mockSessionStore);
+
     // Mock console
     mockConsoleLog = jest.spyOn(console, 'log').mockImplementation();
     mockConsoleError = jest.spyOn(console, 'error').mockImplementation();
@@ -120,6 +142,132 @@ describe('Agent Commands', () => {
 
       expect(mockAgentService.invokeStream).toHaveBeenCalled();
     });
+
+    it('should start a session with --session', async () => {
+      const argv = { action: 'invoke', name: 'test-agent', task: 'Test task', session: true };
+
+      mockSessionStore.create.mockResolvedValue({ id: 'abc123' });
+      mockAgentService.invoke.mockResolvedValue('Agent response');
+
+      await agentCommands.handler(argv);
+
+      expect(mockSessionStore.create).toHaveBeenCalledWith('test-agent');
+      expect(mockAgentService.invoke).toHaveBeenCalledWith('test-agent', 'Test task', {}, { conversationId: 'abc123' });
+      expect(mockConsoleLog).toHaveBeenCalledWith(expect.stringContaining('--resume abc123'));
+    });
+
+    it('should resume a session with --resume', async () => {
+      const argv = { action: 'invoke', name: 'test-agent', task: 'Follow-up', resume: 'abc123' };
+
+      mockSessionStore.get.mockResolvedValue({ id: 'abc123', agent: 'test-agent', messages: [] });
+      mockAgentService.invoke.mockResolvedValue('Agent response');
+
+      await agentCommands.handler(argv);
+
+      expect(mockSessionStore.create).not.toHaveBeenCalled();
+      expect(mockAgentService.invoke).toHaveBeenCalledWith('test-agent', 'Follow-up', {}, { conversationId: 'abc123' });
+    });
+
+    describe('provider', () => {
+      const originalPassword = process.env.AUTOPM_MASTER_PASSWORD;
+      let tmpDir;
+
+      beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-cli-'));
+        jest.spyOn(process, 'cwd').mockReturnValue(tmpDir);
+        mockAgentService.invoke.mockResolvedValue('Agent response');
+        ConfigManager.mockImplementation((configPath) => ({ configPath, setMasterPassword: jest.fn() }));
+      });
+
+      afterEach(() => {
+        if (originalPassword === undefined) {
+          delete process.env.AUTOPM_MASTER_PASSWORD;
+        } else {
+          process.env.AUTOPM_MASTER_PASSWORD = originalPassword;
+        }
+        process.cwd.mockRestore();
+        fs.removeSync(tmpDir);
+      });
+
+      it('should use the configured default provider when the config is unlocked', async () => {
+        const configPath = path.join(tmpDir, '.autopm', 'config.json');
+        fs.outputJSONSync(configPath, {});
+        process.env.AUTOPM_MASTER_PASSWORD = 'secret';
+        const routed = { name: 'router' };
+        ServiceFactory.mockImplementation(() => ({ createProvider: jest.fn().mockReturnValue(routed) }));
+
+        await agentCommands.handler({ action: 'invoke', name: 'test-agent', task: 'Test task' });
+
+        expect(ConfigManager).toHaveBeenCalledWith(configPath);
+        expect(ConfigManager.mock.results[0].value.setMasterPassword).toHaveBeenCalledWith('secret');
+        expect(AgentService).toHaveBeenCalledWith(routed, expect.any(Object));
+        expect(ClaudeProvider).not.toHaveBeenCalled();
+      });
+
+      it('should fall back to Claude without a master password', async () => {
+        delete process.env.AUTOPM_MASTER_PASSWORD;
+
+        await agentCommands.handler({ action: 'invoke', name: 'test-agent', task: 'Test task' });
+
+        expect(ClaudeProvider).toHaveBeenCalled();
+        expect(ServiceFactory).not.toHaveBeenCalled();
+      });
+    });
+
+    it('should fail when the resumed session does not exist', async () => {
+      const argv = { action: 'invoke', name: 'test-agent', task: 'Follow-up', resume: 'missing' };
+
+      mockSessionStore.get.mockRejectedValue(new Error('Session not found: missing'));
+
+      await agentCommands.handler(argv);
+
+      expect(mockSpinner.fail).toHaveBeenCalled();
+      expect(mockAgentService.invoke).not.toHaveBeenCalled();
+      expect(mockConsoleError).toHaveBeenCalledWith(expect.stringContaining('Session not found: missing'));
+    });
+  });
+
+  describe('agent sessions', () => {
+    it('should list sessions', async () => {
+      mockSessionStore.list.mockResolvedValue([
+        { id: 'abc123', agent: 'test-agent', createdAt: '2025-03-10T12:00:00Z', updatedAt: '2025-03-10T13:00:00Z', turns: 2 }
+      ]);
+
+      await agentCommands.handler({ action: 'sessions', sessionAction: 'list' });
+
+      expect(mockConsoleLog).toHaveBeenCalledWith(expect.stringContaining('abc123: test-agent, 2 turns'));
+    });
+
+    it('should show a session with its tasks and answers', async () => {
+      mockSessionStore.get.mockResolvedValue({
+        id: 'abc123',
+        agent: 'test-agent',
+        createdAt: '2025-03-10T12:00:00Z',
+        summary: null,
+        messages: [
+          { role: 'user', content: '<task>Review auth.js</task>', task: 'Review auth.js' },
+          { role: 'assistant', content: 'Looks good' }
+        ]
+      });
+
+      await agentCommands.handler({ action: 'sessions', sessionAction: 'show', id: 'abc123' });
+
+      expect(mockConsoleLog).toHaveBeenCalledWith('Review auth.js');
+      expect(mockConsoleLog).toHaveBeenCalledWith('Looks good');
+    });
+
+    it('should delete a session', async () => {
+      await agentCommands.handler({ action: 'sessions', sessionAction: 'delete', id: 'abc123' });
+
+      expect(mockSessionStore.delete).toHaveBeenCalledWith('abc123');
+    });
+
+    it('should require a session ID to show or delete', async () => {
+      await agentCommands.handler({ action: 'sessions', sessionAction: 'delete' });
+
+      expect(mockSessionStore.delete).not.toHaveBeenCalled();
+      expect(mockConsoleError).toHaveBeenCalledWith(expect.stringContaining('Session ID required'));
+    });
   });
 
   describe('Error Handling', () => {
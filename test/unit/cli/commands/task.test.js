@@ -9,11 +9,13 @@
 
 const taskCommands = require('../../../../lib/cli/commands/task');
 const TaskService = require('../../../../lib/services/TaskService');
+const EpicService = require('../../../../lib/services/EpicService');
 const fs = require('fs-extra');
 const ora = require('ora');
 
 // Mock dependencies
 jest.mock('../../../../lib/services/TaskService');
+jest.mock('../../../../lib/services/EpicService');
 jest.mock('fs-extra');
 jest.mock('ora');
 
@@ -107,6 +109,29 @@ describe('Task Commands', () => {
     });
   });
 
+  describe('task status', () => {
+    it('should update the task through EpicService', async () => {
+      const updateTaskStatus = jest.fn().mockResolvedValue();
+      EpicService.mockImplementation(() => ({ updateTaskStatus }));
+
+      await taskCommands.handler({ action: 'status', epic: 'auth', task: '003', status: 'in-progress' });
+
+      expect(updateTaskStatus).toHaveBeenCalledWith('auth', '003', 'in-progress');
+      expect(mockSpinner.succeed).toHaveBeenCalledWith(expect.stringContaining('auth/003 is now in-progress'));
+    });
+
+    it('should report a missing task', async () => {
+      EpicService.mockImplementation(() => ({
+        updateTaskStatus: jest.fn().mockRejectedValue(new Error('Task not found: auth/9'))
+      }));
+
+      await taskCommands.handler({ action: 'status', epic: 'auth', task: '9', status: 'completed' });
+
+      expect(mockSpinner.fail).toHaveBeenCalled();
+      expect(mockConsoleError).toHaveBeenCalledWith(expect.stringContaining('Task not found: auth/9'));
+    });
+  });
+
   describe('Error Handling', () => {
     it('should handle missing epic file', async () => {
       const argv = { action: 'list', epic: 'missing-epic' };
@@ -10,8 +10,10 @@
  * - Conflict Detection Tests (5 scenarios)
  * - Resolution Strategy Tests (4 scenarios)
  * - Conflict History Tests (4 scenarios)
+ * - Conflict History Journal (JSONL persistence, entity index, undo on disk)
  * - Visual Diff Rendering Tests (4 scenarios)
  * - Markdown-Specific Tests (3 scenarios)
+ * - diff3 and Section-Aware Markdown Merge Modes
  * - Performance Tests (2 scenarios)
  * - Edge Case Tests (5 scenarios)
  *
@@ -344,6 +346,193 @@ describe('ConflictHistory - Logging and Undo', () => {
     expect(replayed.newResolution.strategy).toBe('local');
     expect(replayed.newResolution.chosenContent).toBe('line 1 LOCAL');
   });
+
+  test('should reproduce hunk decisions when replayed without a strategy', () => {
+    const conflict = { section: 'body', localContent: 'a local', remoteContent: 'a remote' };
+
+    const bothId = history.log(conflict, { strategy: 'both', chosenContent: 'a local\na remote' });
+    const editedId = history.log(conflict, { strategy: 'edited', chosenContent: 'a merged' });
+    const fieldId = history.log(
+      { section: 'frontmatter', field: 'labels', localContent: 'ui', remoteContent: 'auth' },
+      { strategy: 'both', chosenContent: 'ui, auth' }
+    );
+
+    expect(history.replay(bothId).newResolution.chosenContent).toBe('a local\na remote');
+    expect(history.replay(editedId).newResolution).toMatchObject({ strategy: 'edited', chosenContent: 'a merged' });
+    expect(history.replay(fieldId).newResolution.chosenContent).toBe('ui, auth');
+    expect(() => history.replay(bothId, 'edited')).toThrow('Cannot replay an edit for a "both" resolution');
+  });
+});
+
+describe('ConflictHistory - Journal', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  let tmpDir;
+
+  const issueFile = () => path.join(tmpDir, '.claude/issues/12.md');
+  const logIssue = (history, extra = {}) => history.log(
+    { field: 'title', localContent: 'Local', remoteContent: 'Remote' },
+    { strategy: 'remote', chosenContent: 'Remote' },
+    { entityType: 'issue', entityId: 12, filePath: '.claude/issues/12.md', previousContent: 'before', ...extra }
+  );
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'conflict-history-'));
+    jest.spyOn(process, 'cwd').mockReturnValue(tmpDir);
+    fs.mkdirSync(path.dirname(issueFile()), { recursive: true });
+    fs.writeFileSync(issueFile(), 'after');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should append JSONL records under .claude and reload them', () => {
+    const history = new ConflictHistory({ storage: 'file' });
+    const logId = logIssue(history);
+    history.undo(logId);
+
+    const journal = path.join(tmpDir, '.claude/conflict-history.jsonl');
+    const records = fs.readFileSync(journal, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(records.map(r => r.type)).toEqual(['log', 'undo']);
+
+    const reloaded = new ConflictHistory({ storage: 'file' });
+    const entry = reloaded.get(logId);
+    expect(entry).toMatchObject({ entityType: 'issue', entityId: '12', previousContent: 'before' });
+    expect(entry.createdAt).toBeInstanceOf(Date);
+    expect(entry.undoneAt).toBeInstanceOf(Date);
+  });
+
+  test('should index entries by entity type and ID', () => {
+    const history = new ConflictHistory({ storage: 'memory' });
+    logIssue(history);
+    logIssue(history, { entityId: '13' });
+    history.log({ line: 1 }, { strategy: 'local' }, { entityType: 'epic', entityId: 'auth' });
+
+    expect(history.getByEntity('issue', '12')).toHaveLength(1);
+    expect(history.getByEntity('epic', 'auth')).toHaveLength(1);
+    expect(history.getHistory({ entityType: 'issue' })).toHaveLength(2);
+    expect(history.getByEntity('prd', 'none')).toEqual([]);
+  });
+
+  test('should restore the pre-resolution content on undo', () => {
+    const history = new ConflictHistory({ storage: 'memory' });
+    const logId = logIssue(history);
+
+    const result = history.undo(logId);
+
+    expect(result).toMatchObject({ restored: true, filePath: '.claude/issues/12.md', undoneIds: [logId] });
+    expect(fs.readFileSync(issueFile(), 'utf8')).toBe('before');
+    expect(() => history.undo(logId)).toThrow('Conflict resolution already undone');
+    expect(history.getHistory({ undone: false })).toHaveLength(0);
+  });
+
+  test('should refuse to undo over later edits unless forced', () => {
+    const history = new ConflictHistory({ storage: 'memory' });
+    const logId = logIssue(history);
+    expect(history.get(logId).resolvedHash).toMatch(/^[0-9a-f]{64}$/);
+
+    fs.writeFileSync(issueFile(), 'edited later');
+
+    expect(() => history.undo(logId)).toThrow('File changed since the resolution was applied: .claude/issues/12.md');
+    expect(fs.readFileSync(issueFile(), 'utf8')).toBe('edited later');
+    expect(history.get(logId).undoneAt).toBeNull();
+
+    expect(history.undo(logId, { force: true }).restored).toBe(true);
+    expect(fs.readFileSync(issueFile(), 'utf8')).toBe('before');
+  });
+
+  test('should hash explicit resolved content and keep it across reloads', () => {
+    const history = new ConflictHistory({ storage: 'file' });
+    const logId = logIssue(history, { resolvedContent: 'resolved' });
+
+    const reloaded = new ConflictHistory({ storage: 'file' });
+    expect(reloaded.get(logId).resolvedHash).toBe(history.get(logId).resolvedHash);
+    expect(() => reloaded.undo(logId)).toThrow('File changed since the resolution was applied');
+
+    fs.writeFileSync(issueFile(), 'resolved');
+    expect(reloaded.undo(logId).restored).toBe(true);
+  });
+
+  test('should undo every entry of a session together', () => {
+    const history = new ConflictHistory({ storage: 'memory' });
+    const first = logIssue(history, { sessionId: 's1' });
+    const second = logIssue(history, { sessionId: 's1' });
+    const other = logIssue(history, { sessionId: 's2' });
+
+    expect(history.undo(second).undoneIds.sort()).toEqual([first, second].sort());
+    expect(history.get(other).undoneAt).toBeNull();
+  });
+
+  test('should leave files alone when no previous content was recorded', () => {
+    const history = new ConflictHistory({ storage: 'memory' });
+    const logId = history.log({ line: 1 }, { strategy: 'local' }, { filePath: '.claude/issues/12.md' });
+
+    expect(history.undo(logId).restored).toBe(false);
+    expect(fs.readFileSync(issueFile(), 'utf8')).toBe('after');
+  });
+
+  test('should refuse to restore files outside the working directory', () => {
+    const history = new ConflictHistory({ storage: 'memory' });
+    const logId = logIssue(history, { filePath: '../outside.md' });
+
+    expect(() => history.undo(logId)).toThrow('filePath must be within the current working directory');
+  });
+
+  test('should resolve unique ID prefixes', () => {
+    const history = new ConflictHistory({ storage: 'memory' });
+    const logId = logIssue(history);
+
+    expect(history.get(logId.substring(0, 8)).id).toBe(logId);
+    expect(() => history.get(logId.substring(0, 3))).toThrow('Conflict log not found');
+  });
+
+  test('should read the legacy JSON array format', () => {
+    const legacyPath = path.join(tmpDir, '.claude/.conflict-history.json');
+    fs.writeFileSync(legacyPath, JSON.stringify([{
+      id: 'legacy1',
+      conflict: { line: 1, filePath: '.claude/prds/a.md' },
+      resolution: { strategy: 'local', timestamp: new Date().toISOString() },
+      createdAt: new Date().toISOString()
+    }]));
+
+    const history = new ConflictHistory({ storage: 'file', storagePath: '.claude/.conflict-history.json' });
+
+    expect(history.get('legacy1')).toMatchObject({ filePath: '.claude/prds/a.md', undoneAt: null });
+
+    // Rewritten as a journal so appended records keep the file readable
+    logIssue(history);
+    expect(new ConflictHistory({ storage: 'file', storagePath: '.claude/.conflict-history.json' }).count()).toBe(2);
+  });
+
+  test('should migrate the legacy default file into the journal', () => {
+    fs.writeFileSync(path.join(tmpDir, '.claude/.conflict-history.json'), JSON.stringify([{
+      id: 'legacy1',
+      conflict: { line: 1 },
+      resolution: { strategy: 'local', timestamp: new Date().toISOString() },
+      createdAt: new Date().toISOString()
+    }]));
+
+    const history = new ConflictHistory({ storage: 'file' });
+    logIssue(history);
+
+    const journal = path.join(tmpDir, '.claude/conflict-history.jsonl');
+    const records = fs.readFileSync(journal, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(records.map(r => r.entry.id)).toEqual(['legacy1', expect.any(String)]);
+    expect(new ConflictHistory({ storage: 'file' }).count()).toBe(2);
+  });
+
+  test('should filter by entity ID without an entity type', () => {
+    const history = new ConflictHistory({ storage: 'memory' });
+    logIssue(history);
+    logIssue(history, { entityId: '13' });
+    history.log({ line: 1 }, { strategy: 'local' }, { entityType: 'epic', entityId: '12' });
+
+    expect(history.getHistory({ entityId: 12 })).toHaveLength(2);
+    expect(history.getHistory({ entityId: '13' })).toHaveLength(1);
+  });
 });
 
 describe('VisualDiff - ASCII Rendering', () => {
@@ -451,6 +640,239 @@ describe('ConflictResolver - Markdown-Specific', () => {
   });
 });
 
+describe('ConflictResolver - diff3 Merge Mode', () => {
+  let resolver;
+
+  beforeEach(() => {
+    resolver = new ConflictResolver({ mergeMode: 'diff3' });
+  });
+
+  test('should merge lines added on both sides without conflict', () => {
+    const base = 'line 1\nline 2';
+    const local = 'line 0 added local\nline 1\nline 2';
+    const remote = 'line 1\nline 2\nline 3 added remote';
+
+    const result = resolver.threeWayMerge(local, remote, base);
+
+    expect(result.hasConflicts).toBe(false);
+    expect(result.merged).toBe('line 0 added local\nline 1\nline 2\nline 3 added remote');
+    expect(result.mode).toBe('diff3');
+  });
+
+  test('should report each conflicting region separately', () => {
+    const base = 'line 1\nline 2\nline 3\nline 4';
+    const local = 'line 1 LOCAL\nline 2\nline 3 LOCAL\nline 4';
+    const remote = 'line 1 REMOTE\nline 2\nline 3 REMOTE\nline 4';
+
+    const result = resolver.threeWayMerge(local, remote, base);
+
+    expect(result.conflicts.map(c => c.line)).toEqual([1, 3]);
+    expect(result.merged).toContain('<<<<<<< LOCAL\nline 3 LOCAL\n=======\nline 3 REMOTE\n>>>>>>> REMOTE');
+  });
+
+  test('should accept identical changes on both sides', () => {
+    const result = resolver.threeWayMerge('a\nB\nc', 'a\nB\nc', 'a\nb\nc');
+
+    expect(result.hasConflicts).toBe(false);
+    expect(result.hunks.map(h => h.type)).toEqual(['unchanged', 'both', 'unchanged']);
+  });
+
+  test('should allow the mode to be chosen per call', () => {
+    const lineResolver = new ConflictResolver();
+
+    const result = lineResolver.threeWayMerge('x\na', 'a\ny', 'a', { mode: 'diff3' });
+
+    expect(result.merged).toBe('x\na\ny');
+  });
+
+  test('should reject unknown merge modes', () => {
+    expect(() => new ConflictResolver({ mergeMode: 'words' }))
+      .toThrow('mergeMode must be one of: line, diff3, markdown');
+    expect(() => resolver.threeWayMerge('a', 'b', 'c', { mode: 'words' }))
+      .toThrow('mergeMode must be one of: line, diff3, markdown');
+  });
+});
+
+describe('ConflictResolver - Section-Aware Markdown Merge Mode', () => {
+  let resolver;
+  const base = [
+    '---',
+    'title: Login',
+    'status: draft',
+    'tags:',
+    '  - auth',
+    '---',
+    '',
+    '# Login',
+    '',
+    '## Overview',
+    'Build the form.',
+    '',
+    '## Tasks',
+    '- [ ] Form',
+    '',
+    '## Notes',
+    'None yet.',
+    ''
+  ].join('\n');
+
+  beforeEach(() => {
+    resolver = new ConflictResolver({ mergeMode: 'markdown' });
+  });
+
+  test('should merge edits to different frontmatter fields', () => {
+    const local = base.replace('status: draft', 'status: review');
+    const remote = base.replace('title: Login', 'title: Login v2');
+
+    const result = resolver.threeWayMerge(local, remote, base);
+
+    expect(result.hasConflicts).toBe(false);
+    expect(result.merged).toContain('title: Login v2\nstatus: review');
+    expect(result.mode).toBe('markdown');
+  });
+
+  test('should treat nested YAML values as part of their key', () => {
+    const local = base.replace('  - auth', '  - auth\n  - ui');
+    const remote = base.replace('status: draft', 'status: review');
+
+    const result = resolver.threeWayMerge(local, remote, base);
+
+    expect(result.hasConflicts).toBe(false);
+    expect(result.merged).toContain('status: review\ntags:\n  - auth\n  - ui\n---');
+  });
+
+  test('should report both-sides edits of one field as a frontmatter conflict', () => {
+    const local = base.replace('status: draft', 'status: review');
+    const remote = base.replace('status: draft', 'status: done');
+
+    const result = resolver.threeWayMerge(local, remote, base);
+
+    expect(result.conflicts).toEqual([
+      expect.objectContaining({
+        section: 'frontmatter',
+        field: 'status',
+        line: 3,
+        localContent: 'status: review',
+        remoteContent: 'status: done'
+      })
+    ]);
+  });
+
+  test('should merge a reordered section with an edit inside it', () => {
+    const local = base.replace('## Tasks\n- [ ] Form\n\n## Notes\nNone yet.\n', '## Notes\nNone yet.\n\n## Tasks\n- [ ] Form\n');
+    const remote = base.replace('- [ ] Form', '- [x] Form');
+
+    const result = resolver.threeWayMerge(local, remote, base);
+
+    expect(result.hasConflicts).toBe(false);
+    expect(result.merged).toContain('## Notes\nNone yet.\n\n## Tasks\n- [x] Form\n');
+  });
+
+  test('should keep sections added on both sides', () => {
+    const local = base + '\n## Risks\nTiming.\n';
+    const remote = base.replace('## Notes', '## Design\nSimple.\n\n## Notes');
+
+    const result = resolver.threeWayMerge(local, remote, base);
+
+    expect(result.hasConflicts).toBe(false);
+    expect(result.merged.indexOf('## Design')).toBeLessThan(result.merged.indexOf('## Notes'));
+    expect(result.merged).toContain('## Risks\nTiming.');
+  });
+
+  test('should drop a section deleted on one side and unchanged on the other', () => {
+    const local = base.replace('## Notes\nNone yet.\n', '');
+    const remote = base.replace('status: draft', 'status: review');
+
+    const result = resolver.threeWayMerge(local, remote, base);
+
+    expect(result.hasConflicts).toBe(false);
+    expect(result.merged).not.toContain('## Notes');
+  });
+
+  test('should report deleting a section the other side edited', () => {
+    const local = base.replace('## Notes\nNone yet.\n', '');
+    const remote = base.replace('None yet.', 'Ask security.');
+
+    const result = resolver.threeWayMerge(local, remote, base);
+
+    expect(result.conflicts).toEqual([
+      expect.objectContaining({ section: 'body', heading: '## Notes', deleted: 'local', localContent: '' })
+    ]);
+    expect(result.merged).toContain('<<<<<<< LOCAL\n=======\n## Notes\nAsk security.');
+  });
+
+  test('should ignore headings inside fenced code blocks', () => {
+    const withCode = base.replace('Build the form.', 'Build the form.\n```md\n## Not a heading\n```');
+    const local = withCode.replace('Build the form.', 'Build the login form.');
+    const remote = withCode.replace('- [ ] Form', '- [x] Form');
+
+    const result = resolver.threeWayMerge(local, remote, withCode);
+
+    expect(result.hasConflicts).toBe(false);
+    expect(result.hunks.filter(h => h.heading === '## Not a heading')).toHaveLength(0);
+  });
+
+  test('should tag hunks with their section', () => {
+    const local = base.replace('Build the form.', 'Build the login form.');
+
+    const result = resolver.threeWayMerge(local, base, base);
+    const changed = result.hunks.filter(h => h.type !== 'unchanged');
+
+    expect(changed).toEqual([
+      expect.objectContaining({ type: 'local', section: '## Overview', base: ['Build the form.'], merged: ['Build the login form.'] })
+    ]);
+    expect(result.merged).toBe(local);
+  });
+});
+
+describe('VisualDiff - Merge Result Rendering', () => {
+  let resolver;
+  let diff;
+
+  beforeEach(() => {
+    resolver = new ConflictResolver({ mergeMode: 'markdown' });
+    diff = new VisualDiff({ columnWidth: 40 });
+  });
+
+  test('should render a merge result side by side with change markers', () => {
+    const base = '---\ntitle: A\nstatus: draft\n---\n\n## Body\ntext';
+    const result = resolver.threeWayMerge(
+      base.replace('status: draft', 'status: review'),
+      base.replace('title: A', 'title: B'),
+      base
+    );
+
+    const lines = diff.sideBySide(result).split('\n');
+
+    expect(lines[0]).toContain('LOCAL');
+    expect(lines[3]).toMatch(/^> +2 title: A +\| > +2 title: B/);
+    expect(lines[4]).toMatch(/^< +3 status: review +\| < +3 status: draft/);
+  });
+
+  test('should mark conflicts in side-by-side output', () => {
+    const result = resolver.threeWayMerge('x local', 'x remote', 'x', { mode: 'diff3' });
+
+    expect(diff.sideBySide(result)).toMatch(/^! +1 x local +\| ! +1 x remote/m);
+  });
+
+  test('should render a merge result as a unified diff against the base', () => {
+    const base = '## Overview\nold\n\n## Tasks\n- [ ] a';
+    const result = resolver.threeWayMerge(base.replace('old', 'new'), base, base);
+
+    const rendered = diff.unified(result);
+
+    expect(rendered).toContain('--- BASE\n+++ MERGED');
+    expect(rendered).toContain('@@ ## Overview (local) @@\n-old\n+new');
+    expect(rendered).toContain(' ## Tasks');
+  });
+
+  test('should require hunks on merge results', () => {
+    const result = new ConflictResolver().threeWayMerge('a', 'b', 'c');
+
+    expect(() => diff.unified(result)).toThrow('Merge result has no hunks');
+  });
+});
+
 describe('ConflictResolver - Performance', () => {
   let resolver;
 
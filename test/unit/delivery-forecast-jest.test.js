@@ -0,0 +1,163 @@
+/**
+ * Delivery Forecast Tests
+ *
+ * Test Coverage:
+ * - Throughput and cycle-time history from completed tasks across epics
+ * - Monte Carlo completion percentiles and "tasks by date" answers
+ * - AnalyticsEngine forecast in analyzeEpic and the CSV export
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const DeliveryForecast = require('../../lib/delivery-forecast');
+const AnalyticsEngine = require('../../lib/analytics-engine');
+
+describe('DeliveryForecast', () => {
+  let tmpDir;
+  let basePath;
+
+  const writeTask = (epic, number, frontmatter) => {
+    const lines = Object.entries(frontmatter).map(([key, value]) => `${key}: ${value}`).join('\n');
+    fs.outputFileSync(path.join(basePath, 'epics', epic, `${number}.md`), `---\nid: ${epic}-${number}\n${lines}\n---\n\nTask\n`);
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2025-03-10T12:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'delivery-forecast-'));
+    basePath = path.join(tmpDir, '.claude');
+
+    fs.outputFileSync(path.join(basePath, 'epics/auth/epic.md'), '---\nid: epic-auth\ntitle: Auth\n---\n');
+    fs.outputFileSync(path.join(basePath, 'epics/billing/epic.md'), '---\nid: epic-billing\ntitle: Billing\n---\n');
+
+    // One task per day over the last 10 days, all in the billing epic
+    for (let day = 0; day < 10; day++) {
+      const completed = new Date(Date.UTC(2025, 2, 1 + day)).toISOString().split('T')[0];
+      const created = new Date(Date.UTC(2025, 2, 1 + day - 2)).toISOString().split('T')[0];
+      writeTask('billing', String(day + 1).padStart(3, '0'), { status: 'completed', created, completed });
+    }
+
+    writeTask('auth', '001', { status: 'open', created: '2025-03-01' });
+    writeTask('auth', '002', { status: 'open', created: '2025-03-01' });
+    writeTask('auth', '003', { status: 'open', created: '2025-03-01' });
+    writeTask('auth', '004', { status: 'in_progress', created: '2025-03-09' });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.removeSync(tmpDir);
+  });
+
+  test('should build throughput and cycle times from completed tasks', async () => {
+    const forecaster = new DeliveryForecast({ basePath, seed: 1 });
+    const tasks = await forecaster.filterEngine.loadAll({ types: ['task'] });
+
+    const history = forecaster.buildHistory(tasks);
+
+    expect(history).toMatchObject({ from: '2025-03-01', to: '2025-03-10', completed: 10 });
+    expect(history.throughput).toEqual([1, 1, 1, 1, 1, 1, 1, 1, 1, 1]);
+    expect(history.cycleTimes).toEqual(new Array(10).fill(2));
+  });
+
+  test('should treat status aliases like Done and In Review as normalized states', async () => {
+    writeTask('auth', '005', { status: 'Done', created: '2025-03-08', completed: '2025-03-10' });
+    writeTask('auth', '006', { status: 'Completed', created: '2025-03-09', completed: '2025-03-10' });
+    writeTask('auth', '007', { status: 'In-Review', created: '2025-03-09' });
+    const forecaster = new DeliveryForecast({ basePath, seed: 1, trials: 200 });
+    const tasks = await forecaster.filterEngine.loadAll({ types: ['task'] });
+
+    const history = forecaster.buildHistory(tasks);
+    const forecast = forecaster.forecastTasks(tasks.filter(task => task.frontmatter.id.startsWith('auth')), history);
+
+    expect(history.completed).toBe(12);
+    expect(forecast).toMatchObject({ remaining: 5, inProgress: 2 });
+  });
+
+  test('should forecast an epic from history of all epics', async () => {
+    const forecast = await new DeliveryForecast({ basePath, seed: 1, trials: 500 }).forecastEpic('auth');
+
+    // Steady one task per day: four open tasks take four days in every trial
+    expect(forecast).toMatchObject({ scope: 'auth', remaining: 4, inProgress: 1, reason: null });
+    expect(forecast.completion.p50).toEqual({ days: 4, date: '2025-03-14' });
+    expect(forecast.completion.p95).toEqual({ days: 4, date: '2025-03-14' });
+    expect(forecast.history.medianCycleTime).toBe(2);
+  });
+
+  test('should forecast only the tasks of a view', async () => {
+    const forecaster = new DeliveryForecast({ basePath, seed: 1, trials: 500 });
+
+    const forecast = await forecaster.forecastProject({ view: 'status:open' });
+
+    expect(forecast).toMatchObject({ scope: 'project', remaining: 3, inProgress: 0 });
+    expect(forecast.history.completed).toBe(10);
+  });
+
+  test('should spread percentiles for uneven throughput', async () => {
+    const forecaster = new DeliveryForecast({ basePath, seed: 42, trials: 2000 });
+    const history = { from: null, to: null, throughput: [0, 0, 3, 0, 1], cycleTimes: [5], completed: 4 };
+
+    const completion = forecaster.simulateCompletion(history, 6);
+
+    expect(completion.p50.days).toBeLessThanOrEqual(completion.p85.days);
+    expect(completion.p85.days).toBeLessThanOrEqual(completion.p95.days);
+    expect(completion.p50.days).toBeGreaterThan(2);
+    expect(completion.p95.days).toBeGreaterThan(completion.p50.days);
+  });
+
+  test('should wait for in-progress tasks with long cycle times', () => {
+    const forecaster = new DeliveryForecast({ seed: 7, trials: 200 });
+    const history = { from: null, to: null, throughput: [5], cycleTimes: [10], completed: 5 };
+
+    expect(forecaster.simulateCompletion(history, 1, [3]).p50.days).toBe(7);
+    expect(forecaster.simulateCompletion(history, 1, [12]).p50.days).toBe(1);
+  });
+
+  test('should answer how many tasks are done by a date', async () => {
+    const forecaster = new DeliveryForecast({ basePath, seed: 3, trials: 500 });
+
+    const project = await forecaster.forecastProject({ byDate: '2025-03-12' });
+    expect(project.byDate).toEqual({ date: '2025-03-12', days: 2, p50: 2, p85: 2, p95: 2 });
+
+    const uneven = forecaster.simulateThroughput({ throughput: [0, 2, 4] }, 3);
+    expect(uneven.p95).toBeLessThanOrEqual(uneven.p85);
+    expect(uneven.p85).toBeLessThanOrEqual(uneven.p50);
+
+    await expect(forecaster.forecastEpic('auth', { byDate: '2025-03-01' }))
+      .rejects.toThrow('Forecast date must not be in the past: 2025-03-01');
+    await expect(forecaster.forecastEpic('auth', { byDate: 'soon' }))
+      .rejects.toThrow('Invalid forecast date: soon');
+  });
+
+  test('should explain when there is no history', async () => {
+    fs.removeSync(path.join(basePath, 'epics/billing'));
+
+    const forecast = await new DeliveryForecast({ basePath }).forecastEpic('auth');
+
+    expect(forecast.completion).toBeNull();
+    expect(forecast.reason).toBe('No tasks completed in the last 90 days');
+    expect(DeliveryForecast.summarize(forecast)).toEqual([
+      'Not enough history to forecast: No tasks completed in the last 90 days'
+    ]);
+  });
+
+  test('should be reproducible with a seed', () => {
+    const history = { throughput: [0, 1, 2, 0, 5, 1], cycleTimes: [1, 4, 9], completed: 9 };
+    const run = () => new DeliveryForecast({ seed: 99, trials: 300 }).simulateCompletion(history, 20, [2]);
+
+    expect(run()).toEqual(run());
+  });
+
+  test('should add the forecast to AnalyticsEngine analysis and CSV export', async () => {
+    const engine = new AnalyticsEngine({ basePath });
+
+    const plain = await engine.analyzeEpic('auth');
+    expect(plain).not.toHaveProperty('forecast');
+
+    const analytics = await engine.analyzeEpic('auth', { forecast: true, byDate: '2025-03-12', trials: 200 });
+    expect(analytics.forecast.completion.p85.date).toBe('2025-03-14');
+
+    const csv = await engine.export(analytics, 'csv');
+    expect(csv).toContain('Forecast P85,2025-03-14');
+    expect(csv).toContain('Tasks by 2025-03-12 P50,2');
+  });
+});
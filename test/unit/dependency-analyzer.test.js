@@ -526,6 +526,152 @@ describe('DependencyAnalyzer - Edge Cases', () => {
   });
 });
 
+describe('DependencyAnalyzer - Portfolio', () => {
+  let testDir;
+  let analyzer;
+
+  beforeEach(async () => {
+    testDir = path.join(os.tmpdir(), `dependency-test-${Date.now()}`);
+    await fs.mkdir(testDir, { recursive: true });
+    analyzer = new DependencyAnalyzer();
+  });
+
+  afterEach(async () => {
+    if (testDir && fsSync.existsSync(testDir)) {
+      await fs.rm(testDir, { recursive: true, force: true });
+    }
+  });
+
+  test('should resolve qualified references across epics', async () => {
+    await createTestEpic(testDir, 'auth', {
+      tasks: [
+        { id: 'task-001' },
+        { id: 'task-002', depends_on: ['task-001', 'billing/task-001'] }
+      ]
+    });
+    await createTestEpic(testDir, 'billing', {
+      tasks: [
+        { id: 'task-001' },
+        { id: 'task-002', depends_on: ['auth/task-002', 'ghost/task-009'] }
+      ]
+    });
+
+    const portfolio = await analyzer.analyzePortfolio({ basePath: testDir });
+
+    expect(portfolio.graph.nodes).toHaveLength(4);
+    expect(portfolio.graph.edges).toEqual(expect.arrayContaining([
+      { from: 'auth/task-001', to: 'auth/task-002', type: 'depends_on', crossEpic: false },
+      { from: 'billing/task-001', to: 'auth/task-002', type: 'depends_on', crossEpic: true },
+      { from: 'auth/task-002', to: 'billing/task-002', type: 'depends_on', crossEpic: true }
+    ]));
+    expect(portfolio.unresolved).toEqual([
+      { task: 'billing/task-002', ref: 'ghost/task-009', type: 'depends_on', reason: 'not found' }
+    ]);
+  });
+
+  test('should resolve unqualified references in the same epic first', async () => {
+    await createTestEpic(testDir, 'auth', {
+      tasks: [{ id: 'task-001' }, { id: 'login', depends_on: ['task-001', 'invoice'] }]
+    });
+    await createTestEpic(testDir, 'billing', {
+      tasks: [{ id: 'task-001' }, { id: 'invoice', blocks: ['task-001'] }]
+    });
+    await createTestEpic(testDir, 'search', {
+      tasks: [{ id: 'index', depends_on: ['task-001'] }]
+    });
+
+    const portfolio = await analyzer.analyzePortfolio({ basePath: testDir });
+    const edges = portfolio.graph.edges.map(e => `${e.from}->${e.to}`);
+
+    expect(edges).toContain('auth/task-001->auth/login');
+    expect(edges).toContain('billing/invoice->auth/login');
+    expect(edges).toContain('billing/invoice->billing/task-001');
+    expect(portfolio.unresolved).toEqual([{
+      task: 'search/index',
+      ref: 'task-001',
+      type: 'depends_on',
+      reason: 'ambiguous: auth/task-001, billing/task-001'
+    }]);
+  });
+
+  test('should compute an effort-weighted critical path across epics', async () => {
+    await createTestEpic(testDir, 'auth', {
+      tasks: [
+        { id: 'task-001', status: 'completed', effort: '5d' },
+        { id: 'task-002', depends_on: ['task-001'], effort: '2d' },
+        { id: 'task-003', depends_on: ['task-001'], effort: '4h' },
+        { id: 'task-004', depends_on: ['task-003'], effort: '4h' }
+      ]
+    });
+    await createTestEpic(testDir, 'billing', {
+      tasks: [
+        { id: 'task-001', depends_on: ['auth/task-002'], effort: '1w' },
+        { id: 'task-002', depends_on: ['auth/task-004'], effort: '1d' }
+      ]
+    });
+
+    const portfolio = await analyzer.analyzePortfolio({ basePath: testDir });
+
+    expect(portfolio.tasks['auth/task-001'].hours).toBe(0);
+    expect(portfolio.criticalPath).toEqual({
+      path: ['auth/task-002', 'billing/task-001'],
+      hours: 56,
+      epics: ['auth', 'billing']
+    });
+  });
+
+  test('should report which epics block which', async () => {
+    await createTestEpic(testDir, 'auth', {
+      tasks: [
+        { id: 'task-001', status: 'completed' },
+        { id: 'task-002' }
+      ]
+    });
+    await createTestEpic(testDir, 'billing', {
+      tasks: [
+        { id: 'task-001', depends_on: ['auth/task-001', 'auth/task-002'] },
+        { id: 'task-002', blocks: ['search/task-001'] }
+      ]
+    });
+    await createTestEpic(testDir, 'search', {
+      tasks: [{ id: 'task-001' }]
+    });
+
+    const portfolio = await analyzer.analyzePortfolio({ basePath: testDir });
+
+    expect(portfolio.epicBlocking).toEqual([
+      {
+        from: 'auth',
+        to: 'billing',
+        open: 1,
+        edges: [
+          { from: 'auth/task-001', to: 'billing/task-001' },
+          { from: 'auth/task-002', to: 'billing/task-001' }
+        ]
+      },
+      { from: 'billing', to: 'search', open: 1, edges: [{ from: 'billing/task-002', to: 'search/task-001' }] }
+    ]);
+    expect(portfolio.epicCycles).toEqual([]);
+  });
+
+  test('should detect cycles that span epics', async () => {
+    await createTestEpic(testDir, 'auth', {
+      tasks: [{ id: 'task-001', depends_on: ['billing/task-001'] }]
+    });
+    await createTestEpic(testDir, 'billing', {
+      tasks: [{ id: 'task-001', depends_on: ['auth/task-001'] }]
+    });
+
+    const portfolio = await analyzer.analyzePortfolio({ basePath: testDir });
+
+    expect(portfolio.circularDependencies).toHaveLength(1);
+    expect(portfolio.circularDependencies[0]).toMatchObject({ length: 2, crossEpic: true });
+    expect(portfolio.circularDependencies[0].epics.sort()).toEqual(['auth', 'billing']);
+    expect(portfolio.epicCycles).toHaveLength(1);
+    expect(portfolio.criticalPath.path).toEqual([]);
+  });
+});
+
 // ============================================================================
 // Helper Functions
 // ============================================================================
@@ -558,6 +704,7 @@ title: ${task.title || `Task ${task.id}`}
 status: ${task.status || 'pending'}
 ${task.depends_on ? `depends_on: [${task.depends_on.map(d => `"${d}"`).join(', ')}]` : ''}
 ${task.blocks ? `blocks: [${task.blocks.map(b => `"${b}"`).join(', ')}]` : ''}
+${task.effort ? `effort: ${task.effort}` : ''}
 ---
 
 # ${task.title || `Task ${task.id}`}
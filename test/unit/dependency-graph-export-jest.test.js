@@ -0,0 +1,135 @@
+/**
+ * Dependency Graph Export Tests
+ *
+ * Test Coverage:
+ * - Mermaid: status classes, bottlenecks, critical path link styles, parallel subgraphs
+ * - DOT: node colours, critical edges, parallel clusters, quoting
+ * - HTML: self-contained page with inline SVG and analysis sections
+ * - Layout by dependency level and rendering of DependencyAnalyzer output
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const DependencyAnalyzer = require('../../lib/dependency-analyzer');
+const DependencyGraphExporter = require('../../lib/dependency-graph-export');
+
+describe('DependencyGraphExporter', () => {
+  let exporter;
+
+  // a -> b -> d, a -> c -> d, with b and c parallel
+  const analysis = {
+    graph: {
+      nodes: ['task-a', 'task-b', 'task-c', 'task-d'],
+      edges: [
+        { from: 'task-a', to: 'task-b', type: 'depends_on' },
+        { from: 'task-a', to: 'task-c', type: 'depends_on' },
+        { from: 'task-b', to: 'task-d', type: 'depends_on' },
+        { from: 'task-c', to: 'task-d', type: 'depends_on' }
+      ]
+    },
+    tasks: {
+      'task-a': { title: 'Schema', status: 'completed' },
+      'task-b': { title: 'API "v2"', status: 'in-progress' },
+      'task-c': { title: 'UI', status: 'blocked' },
+      'task-d': { title: 'Release', status: 'open' }
+    },
+    bottlenecks: [{ taskId: 'task-a', blocking: 3, impact: 'medium' }],
+    criticalPath: ['task-a', 'task-b', 'task-d'],
+    parallelizable: [['task-b', 'task-c']],
+    circularDependencies: []
+  };
+
+  beforeEach(() => {
+    exporter = new DependencyGraphExporter();
+  });
+
+  test('should render Mermaid with status classes, bottlenecks and critical path', () => {
+    const mermaid = exporter.export(analysis, 'mermaid', { title: 'auth' });
+    const lines = mermaid.split('\n');
+
+    expect(lines.slice(0, 4)).toEqual(['---', 'title: auth', '---', 'flowchart LR']);
+    expect(mermaid).toContain('  subgraph group1["Parallel group 1"]\n    n1["task-b: API #quot;v2#quot;"]\n    n2["task-c: UI"]\n  end');
+    expect(mermaid).toContain('  n0["task-a: Schema"]');
+    expect(lines).toContain('  class n0 completed');
+    expect(lines).toContain('  class n1 in_progress');
+    expect(lines).toContain('  class n2 blocked');
+    expect(lines).toContain('  class n3 pending');
+    expect(lines).toContain('  class n0 bottleneck');
+
+    // Edges 0 (a->b) and 2 (b->d) are on the critical path
+    expect(lines).toContain('  linkStyle 0,2 stroke:#d1242f,stroke-width:3px');
+  });
+
+  test('should render DOT with colours, critical edges and clusters', () => {
+    const dot = exporter.export(analysis, 'dot', { title: 'auth' });
+
+    expect(dot.startsWith('digraph "auth" {\n  rankdir=LR;')).toBe(true);
+    expect(dot).toContain('  subgraph cluster_1 {\n    label="Parallel group 1";');
+    expect(dot).toContain('"task-b" [label="task-b: API \\"v2\\"", fillcolor="#ddf4ff"');
+    expect(dot).toContain('"task-a" [label="task-a: Schema", fillcolor="#dafbe1", fontcolor="#044f1e", color="#cf222e", penwidth=3];');
+    expect(dot).toContain('  "task-a" -> "task-b" [color="#d1242f", penwidth=2.5];');
+    expect(dot).toContain('  "task-a" -> "task-c";');
+    expect(dot.trim().endsWith('}')).toBe(true);
+  });
+
+  test('should render a self-contained HTML page', () => {
+    const html = exporter.export(analysis, 'html', { title: 'auth <core>' });
+
+    expect(html).toContain('<title>Dependencies: auth &lt;core&gt;</title>');
+    expect(html).not.toMatch(/<script[^>]+src=|<link[^>]+href=/);
+    expect(html).toContain('class="edge critical" data-from="task-a" data-to="task-b"');
+    expect(html).toContain('<p>task-a → task-b → task-d</p>');
+    expect(html).toContain('<strong>task-a</strong> blocks 3 tasks (medium)');
+    expect(html).toContain('Group 1: task-b, task-c');
+    expect(html).toContain('API &quot;v2&quot;');
+  });
+
+  test('should lay out nodes in columns by dependency level', () => {
+    const { positions } = exporter.layout(exporter.buildModel(analysis));
+
+    expect(positions.get('task-a').x).toBeLessThan(positions.get('task-b').x);
+    expect(positions.get('task-b').x).toBe(positions.get('task-c').x);
+    expect(positions.get('task-b').y).not.toBe(positions.get('task-c').y);
+    expect(positions.get('task-d').x).toBeGreaterThan(positions.get('task-c').x);
+  });
+
+  test('should keep missing dependencies and cycles visible', () => {
+    const model = exporter.buildModel({
+      graph: {
+        nodes: ['x', 'y'],
+        edges: [{ from: 'x', to: 'y' }, { from: 'y', to: 'x' }, { from: 'ghost', to: 'x' }]
+      },
+      circularDependencies: [{ cycle: ['x', 'y', 'x'], length: 2 }]
+    });
+
+    expect(model.nodes.map(node => [node.id, node.status])).toEqual([['x', 'pending'], ['y', 'pending'], ['ghost', 'pending']]);
+    expect(model.cycles).toEqual([['x', 'y', 'x']]);
+    expect(exporter.layout(model).positions.size).toBe(3);
+  });
+
+  test('should reject unknown formats and missing analysis', () => {
+    expect(() => exporter.export(analysis, 'png')).toThrow('Unsupported graph format: png. Must be one of: mermaid, dot, html');
+    expect(() => exporter.export(null, 'dot')).toThrow('Dependency analysis is required to render a graph');
+  });
+
+  test('should render DependencyAnalyzer output with task statuses', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dependency-graph-'));
+    const epicDir = path.join(tmpDir, 'epics', 'auth');
+
+    try {
+      fs.outputFileSync(path.join(epicDir, 'epic.md'), '---\nid: auth\ntitle: Auth\n---\n');
+      fs.outputFileSync(path.join(epicDir, '001.md'), '---\nid: task-001\ntitle: Login\nstatus: completed\n---\n');
+      fs.outputFileSync(path.join(epicDir, '002.md'), '---\nid: task-002\ntitle: Logout\nstatus: blocked\ndepends_on: [task-001]\n---\n');
+
+      const result = await new DependencyAnalyzer().analyze('auth', { basePath: tmpDir });
+      expect(result.tasks['task-002']).toEqual({ title: 'Logout', status: 'blocked' });
+
+      const mermaid = exporter.export(result, 'mermaid');
+      expect(mermaid).toContain('n1["task-002: Logout"]');
+      expect(mermaid).toContain('class n1 blocked');
+    } finally {
+      fs.removeSync(tmpDir);
+    }
+  });
+});
@@ -868,3 +868,90 @@ created: 2025-08-20
     expect(results.length).toBeGreaterThan(0);
   });
 });
+
+describe('FilterEngine - Query Language', () => {
+  let testDir;
+  let engine;
+
+  const write = (relativePath, frontmatter, body = '') => {
+    const filePath = path.join(testDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, `---\n${frontmatter}\n---\n${body}\n`);
+  };
+
+  const ids = results => results.map(r => r.frontmatter.id);
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'filter-query-test-'));
+    engine = new FilterEngine({ basePath: testDir });
+
+    write('prds/prd-001.md', 'id: prd-001\nstatus: active\npriority: high\ncreated: 2025-01-10', 'Authentication PRD');
+    write('epics/auth/epic.md', 'id: epic-auth\nstatus: active\npriority: P1\ncreated: 2025-02-01');
+    write('epics/auth/001.md', 'id: task-001\nstatus: active\npriority: low\nlabels: [security, backend]\neffort: 3d\ncreated: 2025-02-03\nteam:\n  name: core');
+    write('epics/auth/002.md', 'id: task-002\nstatus: completed\npriority: high\neffort: 4h\ncreated: 2025-02-05');
+    write('epics/legacy/epic.md', 'id: epic-legacy\nstatus: active\npriority: high\ncreated: 2024-06-01');
+    write('epics/legacy/001.md', 'id: task-101\nstatus: active\npriority: high\neffort: 1w\ncreated: 2024-06-02', 'Rate limit fix');
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  test('should load PRDs, epics and tasks with their entity type', async () => {
+    const files = await engine.loadAll();
+
+    expect(files.map(f => `${f.type}:${f.frontmatter.id}`).sort()).toEqual([
+      'epic:epic-auth', 'epic:epic-legacy', 'prd:prd-001', 'task:task-001', 'task:task-002', 'task:task-101'
+    ]);
+    expect(files.find(f => f.frontmatter.id === 'task-001').epic).toBe('auth');
+    await expect(engine.loadAll({ types: ['story'] })).rejects.toThrow('Invalid entity type: story');
+  });
+
+  test('should evaluate boolean expressions across entity types', async () => {
+    const results = await engine.queryAll('status:active AND (priority:high OR label:security) AND NOT epic:legacy');
+
+    expect(ids(results).sort()).toEqual(['prd-001', 'task-001']);
+  });
+
+  test('should match comma-separated labels and tags', async () => {
+    write('epics/auth/003.md', 'id: task-003\nstatus: active\nlabels: security, backend\ntags: api,urgent');
+
+    expect(ids(await engine.queryAll('label:backend')).sort()).toEqual(['task-001', 'task-003']);
+    expect(ids(await engine.queryAll('labels:security AND tags:urgent'))).toEqual(['task-003']);
+    expect(ids(await engine.queryAll('label:"security, backend"'))).toEqual([]);
+  });
+
+  test('should filter by effort and date ranges', async () => {
+    expect(ids(await engine.queryAll('type:task effort:2d..1w')).sort()).toEqual(['task-001', 'task-101']);
+    expect(ids(await engine.queryAll('type:task effort:<1d'))).toEqual(['task-002']);
+    expect(ids(await engine.queryAll('created:2025-02-01..2025-02-03')).sort()).toEqual(['epic-auth', 'task-001']);
+    expect(ids(await engine.queryAll('created:<2025-01-01')).sort()).toEqual(['epic-legacy', 'task-101']);
+  });
+
+  test('should match nested fields, wildcards and full text', async () => {
+    expect(ids(await engine.queryAll('team.name:core'))).toEqual(['task-001']);
+    expect(ids(await engine.queryAll('id:epic-*')).sort()).toEqual(['epic-auth', 'epic-legacy']);
+    expect(ids(await engine.queryAll('"rate limit" OR authentication')).sort()).toEqual(['prd-001', 'task-101']);
+  });
+
+  test('should sort by priority importance and then by date', async () => {
+    const results = await engine.queryAll('status:active sort:priority,-created');
+
+    // P1 ranks with high
+    expect(ids(results)).toEqual(['epic-auth', 'prd-001', 'task-101', 'epic-legacy', 'task-001']);
+  });
+
+  test('should project fields', async () => {
+    const rows = await engine.queryAll('type:task sort:id fields:id,type,epic,effort,missing');
+
+    expect(rows[0]).toEqual({ id: 'task-001', type: 'task', epic: 'auth', effort: '3d', missing: null });
+    expect(rows).toHaveLength(3);
+  });
+
+  test('should accept a parsed query in query()', async () => {
+    const files = await engine.loadAll({ types: ['prd'] });
+    const parsed = engine.queryParser.parseQuery('priority:HIGH');
+
+    expect(ids(await engine.query(files, parsed))).toEqual(['prd-001']);
+  });
+});
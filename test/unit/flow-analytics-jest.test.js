@@ -0,0 +1,204 @@
+/**
+ * Flow Analytics Tests
+ *
+ * Test Coverage:
+ * - StatusHistory: status normalization, recorded and inferred transitions
+ * - IssueService.updateIssueStatus and EpicService.updateTaskStatus recording transitions
+ * - FlowAnalytics: cumulative flow, cycle/lead time, WIP age, flow efficiency
+ * - ASCII rendering and JSON/CSV export
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const StatusHistory = require('../../lib/status-history');
+const FlowAnalytics = require('../../lib/flow-analytics');
+const IssueService = require('../../lib/services/IssueService');
+const EpicService = require('../../lib/services/EpicService');
+
+describe('StatusHistory', () => {
+  let tmpDir;
+  let history;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'status-history-'));
+    history = new StatusHistory({ basePath: path.join(tmpDir, '.claude') });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.removeSync(tmpDir);
+  });
+
+  test('should normalize statuses to flow states', () => {
+    expect(StatusHistory.normalizeStatus('in-progress')).toBe('in_progress');
+    expect(StatusHistory.normalizeStatus('Done')).toBe('completed');
+    expect(StatusHistory.normalizeStatus('on-hold')).toBe('blocked');
+    expect(StatusHistory.normalizeStatus('open')).toBe('pending');
+    expect(StatusHistory.normalizeStatus(undefined)).toBe('pending');
+  });
+
+  test('should append transitions and skip repeated states', async () => {
+    await history.record({ type: 'task', epic: 'auth', id: '001', status: 'in-progress', at: '2025-03-02T09:00:00Z' });
+    const repeat = await history.record({ type: 'task', epic: 'auth', id: '001', status: 'active' });
+    await history.record({ type: 'task', epic: 'auth', id: '001', status: 'blocked', at: '2025-03-03T09:00:00Z' });
+
+    expect(repeat).toBeNull();
+    expect(await history.list()).toEqual([
+      { key: 'task:auth/001', status: 'in_progress', at: '2025-03-02T09:00:00Z' },
+      { key: 'task:auth/001', status: 'blocked', at: '2025-03-03T09:00:00Z' }
+    ]);
+    await expect(history.record({ type: 'task', status: 'open' })).rejects.toThrow('Status change requires type, id and status');
+  });
+
+  test('should merge recorded transitions with frontmatter dates', async () => {
+    await history.record({ type: 'task', epic: 'auth', id: '001', status: 'blocked', at: '2025-03-03T00:00:00Z' });
+    await history.record({ type: 'task', epic: 'auth', id: '001', status: 'in_progress', at: '2025-03-05T00:00:00Z' });
+
+    const [timeline] = await history.buildTimelines([{
+      type: 'task',
+      epic: 'auth',
+      path: 'epics/auth/001.md',
+      frontmatter: { id: '001', status: 'completed', created: '2025-03-01', started: '2025-03-02', completed: '2025-03-06' }
+    }]);
+
+    expect(timeline.key).toBe('task:auth/001');
+    expect(timeline.transitions.map(t => [t.status, new Date(t.at).toISOString().slice(0, 10)])).toEqual([
+      ['pending', '2025-03-01'],
+      ['in_progress', '2025-03-02'],
+      ['blocked', '2025-03-03'],
+      ['in_progress', '2025-03-05'],
+      ['completed', '2025-03-06']
+    ]);
+  });
+
+  test('should be recorded when IssueService changes a status', async () => {
+    jest.spyOn(process, 'cwd').mockReturnValue(tmpDir);
+    fs.outputFileSync(path.join(tmpDir, '.claude/issues/7.md'), '---\nid: 7\nstatus: open\ncreated: 2025-03-01\n---\n\n# Bug\n');
+
+    const service = new IssueService();
+    await service.updateIssueStatus(7, 'in-progress');
+    await service.updateIssueStatus(7, 'closed');
+
+    const entries = await history.list();
+    expect(entries.map(e => `${e.key}:${e.status}`)).toEqual(['issue:7:in_progress', 'issue:7:completed']);
+  });
+
+  test('should be recorded when EpicService changes a task status', async () => {
+    jest.spyOn(process, 'cwd').mockReturnValue(tmpDir);
+    const taskPath = path.join(tmpDir, '.claude/epics/auth/003.md');
+    fs.outputFileSync(taskPath, '---\nstatus: open\ncreated: 2025-03-01\n---\n\n# Login\n');
+
+    const service = new EpicService();
+    await service.updateTaskStatus('auth', 3, 'in-progress');
+    await service.updateTaskStatus('auth', '003', 'completed');
+
+    const entries = await history.list();
+    expect(entries.map(e => `${e.key}:${e.status}`)).toEqual(['task:auth/003:in_progress', 'task:auth/003:completed']);
+    expect(fs.readFileSync(taskPath, 'utf8')).toMatch(/status: completed\ncreated: 2025-03-01\ncompleted: .+\nstarted: .+\n/);
+
+    const [timeline] = await history.buildTimelines([{ type: 'task', epic: 'auth', path: taskPath, frontmatter: { status: 'completed' } }]);
+    expect(timeline.transitions.map(t => t.status)).toEqual(['in_progress', 'completed']);
+
+    await expect(service.updateTaskStatus('auth', 9, 'completed')).rejects.toThrow('Task not found: auth/9');
+  });
+});
+
+describe('FlowAnalytics', () => {
+  let tmpDir;
+  let basePath;
+  let flow;
+
+  const writeTask = (epic, id, frontmatter) => {
+    const lines = Object.entries({ id: `task-${id}`, title: `Task ${id}`, ...frontmatter })
+      .map(([key, value]) => `${key}: ${value}`)
+      .join('\n');
+    fs.outputFileSync(path.join(basePath, 'epics', epic, `${id}.md`), `---\n${lines}\n---\n\nTask\n`);
+  };
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: new Date('2025-03-10T12:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flow-analytics-'));
+    basePath = path.join(tmpDir, '.claude');
+    flow = new FlowAnalytics({ basePath, width: 20, height: 6 });
+
+    fs.outputFileSync(path.join(basePath, 'epics/auth/epic.md'), '---\nid: epic-auth\ntitle: Auth\n---\n');
+    writeTask('auth', '001', { status: 'completed', created: '2025-03-01', started: '2025-03-02', completed: '2025-03-06' });
+    writeTask('auth', '002', { status: 'completed', created: '2025-03-01', started: '2025-03-04', completed: '2025-03-06' });
+    writeTask('auth', '003', { status: 'in_progress', created: '2025-03-02', started: '2025-03-03' });
+    writeTask('auth', '004', { status: 'open', created: '2025-03-08' });
+    writeTask('billing', '001', { status: 'blocked', created: '2025-03-05', started: '2025-03-06', updated: '2025-03-07' });
+
+    // Task 001 of auth was blocked for two of its four days
+    await flow.statusHistory.record({ type: 'task', epic: 'auth', id: 'task-001', status: 'blocked', at: '2025-03-03T00:00:00Z' });
+    await flow.statusHistory.record({ type: 'task', epic: 'auth', id: 'task-001', status: 'in_progress', at: '2025-03-05T00:00:00Z' });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.removeSync(tmpDir);
+  });
+
+  test('should count tasks per state for each day', async () => {
+    const timelines = await flow.loadTimelines({ epicId: 'auth' });
+
+    const cfd = flow.cumulativeFlow(timelines, { days: 10 });
+
+    expect(cfd.dates[0]).toBe('2025-03-01');
+    expect(cfd.dates[9]).toBe('2025-03-10');
+    expect(cfd.series.pending).toEqual([2, 2, 1, 0, 0, 0, 0, 1, 1, 1]);
+    expect(cfd.series.in_progress).toEqual([0, 1, 1, 2, 3, 1, 1, 1, 1, 1]);
+    expect(cfd.series.blocked).toEqual([0, 0, 1, 1, 0, 0, 0, 0, 0, 0]);
+    expect(cfd.series.completed).toEqual([0, 0, 0, 0, 0, 2, 2, 2, 2, 2]);
+  });
+
+  test('should compute cycle time, lead time, WIP age and flow efficiency', async () => {
+    const report = await flow.analyze({ days: 10 });
+
+    expect(report.cycleTime).toMatchObject({ count: 2, min: 2, max: 4, p50: 2, p85: 4 });
+    expect(report.leadTime).toMatchObject({ count: 2, p50: 5, p95: 5 });
+
+    expect(report.wip.map(item => [item.key, item.status, item.age, item.overP85])).toEqual([
+      ['task:auth/task-003', 'in_progress', 7.5, true],
+      ['task:billing/task-001', 'blocked', 4.5, true]
+    ]);
+
+    // Active: 1 + 1 days (auth/001) + 2 days (auth/002); waiting: 2 days blocked
+    expect(report.flowEfficiency).toEqual({ percent: 67, activeDays: 4, waitingDays: 2, tasks: 2 });
+
+    const row = report.items.find(item => item.key === 'task:auth/task-001');
+    expect(row).toMatchObject({ status: 'completed', blocked: '2025-03-03', completed: '2025-03-06', cycleTime: 4, leadTime: 5 });
+  });
+
+  test('should render the report as ASCII', async () => {
+    const report = await flow.analyze({ epicId: 'auth', days: 10 });
+
+    const output = flow.render(report);
+
+    expect(output).toContain('Cumulative Flow - auth');
+    expect(output).toContain('2025-03-01 to 2025-03-10');
+    expect(output).toContain('Today:  Pending 1, In Progress 1, Blocked 0, Completed 2');
+    expect(output).toContain('P50: 2  P85: 4  P95: 4');
+    expect(output).toContain('task-003: Task 003  ⚠ older than P85 cycle time');
+    expect(output).toContain('Flow Efficiency: 67%');
+    expect(output).toMatch(/█/);
+  });
+
+  test('should export JSON and CSV', async () => {
+    const report = await flow.analyze({ epicId: 'auth', days: 3 });
+
+    expect(JSON.parse(flow.export(report, 'json')).cycleTime.count).toBe(2);
+
+    const csv = flow.export(report, 'csv').split('\n');
+    expect(csv.slice(0, 4)).toEqual([
+      'Date,pending,in_progress,blocked,completed',
+      '2025-03-08,1,1,0,2',
+      '2025-03-09,1,1,0,2',
+      '2025-03-10,1,1,0,2'
+    ]);
+    expect(csv[5]).toBe('Key,Epic,Title,Status,pending,in_progress,blocked,completed,Cycle Time,Lead Time');
+    expect(csv).toContain('task:auth/task-002,auth,Task 002,completed,2025-03-01,2025-03-04,,2025-03-06,2,5');
+
+    expect(() => flow.export(report, 'xml')).toThrow('Unsupported export format: xml');
+  });
+});
@@ -0,0 +1,277 @@
+/**
+ * Incremental Sync Tests
+ *
+ * Test Coverage:
+ * - SyncCursorStore cursors and content hashes in .claude/sync-cursors.json
+ * - IssueService.syncChanged: hash-based local skipping, cursor-based remote listing,
+ *   unlinked local issues only created with pushNew
+ * - UtilityService.syncAll delegating issues to the delta sync
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const SyncCursorStore = require('../../lib/sync-cursor-store');
+const IssueService = require('../../lib/services/IssueService');
+const UtilityService = require('../../lib/services/UtilityService');
+const IssueTrackerProvider = require('../../lib/providers/IssueTrackerProvider');
+
+class MemoryTrackerProvider extends IssueTrackerProvider {
+  constructor() {
+    super();
+    this.items = new Map();
+    this.nextId = 1;
+    this.since = [];
+  }
+
+  getName() {
+    return 'memory';
+  }
+
+  async getItem(id) {
+    const item = this.items.get(String(id));
+    if (!item) {
+      throw new Error(`Item not found: ${id}`);
+    }
+    return { ...item };
+  }
+
+  async listItems() {
+    return [...this.items.values()].map(item => ({ ...item }));
+  }
+
+  async listItemsChangedSince(since, filters = {}) {
+    this.since.push(since);
+    return super.listItemsChangedSince(since, filters);
+  }
+
+  async createItem(item) {
+    const id = String(this.nextId++);
+    const now = new Date().toISOString();
+    this.items.set(id, { id, type: 'issue', created: now, updated: now, ...item });
+    return this.getItem(id);
+  }
+
+  async updateItem(id, item) {
+    const existing = await this.getItem(id);
+    this.items.set(String(id), { ...existing, ...item, updated: new Date().toISOString() });
+    return this.getItem(id);
+  }
+}
+
+describe('SyncCursorStore', () => {
+  let tmpDir;
+  let store;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-cursors-'));
+    jest.spyOn(process, 'cwd').mockReturnValue(tmpDir);
+    store = new SyncCursorStore();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.removeSync(tmpDir);
+  });
+
+  test('should store cursors per provider and entity type', async () => {
+    expect(await store.getCursor('github', 'issue')).toBeNull();
+
+    await store.setCursor('github', 'issue', '2025-01-01T00:00:00.000Z');
+    await store.setCursor('azure', 'issue', '2025-02-01T00:00:00.000Z');
+
+    const reloaded = new SyncCursorStore();
+    expect(await reloaded.getCursor('github', 'issue')).toBe('2025-01-01T00:00:00.000Z');
+    expect(await reloaded.getCursor('azure', 'issue')).toBe('2025-02-01T00:00:00.000Z');
+    expect(await reloaded.getCursor('github', 'epic')).toBeNull();
+    expect(fs.existsSync(path.join(tmpDir, '.claude/sync-cursors.json'))).toBe(true);
+  });
+
+  test('should detect content changes by hash, ignoring line endings', async () => {
+    await store.recordHashes('github', 'issue', { 1: SyncCursorStore.hash('a\nb\n') });
+
+    expect(await store.hasChanged('github', 'issue', 1, 'a\r\nb\r\n')).toBe(false);
+    expect(await store.hasChanged('github', 'issue', 1, 'a\nc\n')).toBe(true);
+    expect(await store.hasChanged('github', 'issue', 2, 'a\nb\n')).toBe(true);
+  });
+
+  test('should reset a provider', async () => {
+    await store.setCursor('github', 'issue', '2025-01-01T00:00:00.000Z');
+    await store.recordHashes('github', 'issue', { 1: 'x' });
+
+    await store.reset('github');
+
+    expect(await store.getCursor('github', 'issue')).toBeNull();
+    expect(await store.getHashes('github', 'issue')).toEqual({});
+  });
+});
+
+describe('IssueService.syncChanged', () => {
+  let tmpDir;
+  let provider;
+  let service;
+
+  const issuePath = (number) => path.join(tmpDir, `.claude/issues/${number}.md`);
+
+  const writeIssue = (number, title, details = 'Details') => {
+    fs.outputFileSync(issuePath(number), `---
+id: ${number}
+title: ${title}
+status: open
+created: 2025-01-01T00:00:00Z
+updated: 2025-01-01T00:00:00Z
+---
+
+# ${title}
+
+${details}
+`);
+  };
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'incremental-sync-'));
+    jest.spyOn(process, 'cwd').mockReturnValue(tmpDir);
+    provider = new MemoryTrackerProvider();
+    service = new IssueService({ provider });
+
+    writeIssue(1, 'Login form');
+    writeIssue(2, 'Password reset');
+    await provider.createItem({ title: 'Remote bug', body: 'Crash on save', status: 'open', labels: [] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.removeSync(tmpDir);
+  });
+
+  test('should sync everything on the first run and store a cursor', async () => {
+    const report = await service.syncChanged(provider, { pushNew: true });
+
+    expect(report.full).toBe(true);
+    expect(provider.since).toEqual([new Date(0).toISOString()]);
+    expect(report.pulled.map(r => r.remoteId)).toEqual(['1']);
+    expect(report.pushed.map(r => r.localNumber).sort()).toEqual(['1', '2']);
+    expect(report.errors).toEqual([]);
+    expect(provider.items.size).toBe(3);
+    expect(fs.readFileSync(issuePath(3), 'utf8')).toContain('Crash on save');
+
+    const cursors = new SyncCursorStore();
+    expect(await cursors.getCursor('memory', 'issue')).toBe(report.cursor);
+    expect(Object.keys(await cursors.getHashes('memory', 'issue')).sort()).toEqual(['1', '2', '3']);
+  });
+
+  test('should report unlinked local issues instead of creating them by default', async () => {
+    const report = await service.syncChanged();
+
+    expect(report.unlinked.sort()).toEqual(['1', '2']);
+    expect(report.pushed).toEqual([]);
+    expect(report.plan).toEqual([expect.objectContaining({ direction: 'pull', remoteId: '1' })]);
+    expect(provider.items.size).toBe(1);
+
+    // Still reported on the next run until pushed
+    const again = await service.syncChanged();
+    expect(again.unlinked.sort()).toEqual(['1', '2']);
+
+    const pushed = await service.syncChanged(provider, { pushNew: true });
+    expect(pushed.pushed.map(r => r.localNumber).sort()).toEqual(['1', '2']);
+    expect(provider.items.size).toBe(3);
+  });
+
+  test('should skip unchanged issues and echoes of its own pushes', async () => {
+    const first = await service.syncChanged(provider, { pushNew: true });
+    const updateItem = jest.spyOn(provider, 'updateItem');
+
+    const second = await service.syncChanged();
+
+    expect(provider.since[1]).toBe(first.cursor);
+    expect(second.full).toBe(false);
+    expect(second.plan).toEqual([]);
+    expect(second.skipped).toBe(3);
+    expect(updateItem).not.toHaveBeenCalled();
+  });
+
+  test('should push only locally changed issues', async () => {
+    await service.syncChanged(provider, { pushNew: true });
+    writeIssue(2, 'Password reset', 'Send a reset link by email');
+
+    const report = await service.syncChanged();
+
+    expect(report.plan).toEqual([{ direction: 'push', localNumber: '2', remoteId: '3' }]);
+    expect(report.pushed[0]).toMatchObject({ localNumber: '2', action: 'updated' });
+    expect(report.skipped).toBe(2);
+    expect((await provider.getItem(3)).body).toContain('Send a reset link by email');
+  });
+
+  test('should pull only remotely changed items', async () => {
+    await service.syncChanged(provider, { pushNew: true });
+    await provider.updateItem(1, { body: 'Crash on save (fixed in 2.1)' });
+
+    const report = await service.syncChanged();
+
+    expect(report.plan).toEqual([expect.objectContaining({ direction: 'pull', localNumber: '3', remoteId: '1' })]);
+    expect(fs.readFileSync(issuePath(3), 'utf8')).toContain('fixed in 2.1');
+
+    expect((await service.syncChanged()).plan).toEqual([]);
+  });
+
+  test('should merge issues changed on both sides', async () => {
+    await service.syncChanged(provider, { pushNew: true });
+    fs.writeFileSync(issuePath(1), fs.readFileSync(issuePath(1), 'utf8')
+      .replace('Details', 'Details (local)')
+      .replace('updated: 2025-01-01T00:00:00Z', `updated: ${new Date(Date.now() - 1000).toISOString()}`));
+    await provider.updateItem(2, { labels: ['frontend'] });
+
+    const report = await service.syncChanged();
+
+    expect(report.plan).toEqual([{ direction: 'bidirectional', localNumber: '1', remoteId: '2' }]);
+    expect(report.merged).toHaveLength(1);
+
+    const item = await provider.getItem(2);
+    expect(item.body).toContain('Details (local)');
+    expect(item.labels).toEqual(['frontend']);
+  });
+
+  test('should report the plan without syncing in dry-run mode', async () => {
+    const report = await service.syncChanged(provider, { dryRun: true });
+
+    expect(report.plan).toHaveLength(1);
+    expect(report.unlinked.sort()).toEqual(['1', '2']);
+    expect((await service.syncChanged(provider, { dryRun: true, pushNew: true })).plan).toHaveLength(3);
+    expect(provider.items.size).toBe(1);
+    expect(await new SyncCursorStore().getCursor('memory', 'issue')).toBeNull();
+  });
+
+  test('should keep the cursor when a remote change fails', async () => {
+    const first = await service.syncChanged(provider, { pushNew: true });
+    await provider.updateItem(1, { body: 'Changed' });
+    jest.spyOn(service, '_pullFromProvider').mockRejectedValueOnce(new Error('Disk full'));
+
+    const report = await service.syncChanged();
+
+    expect(report.errors).toEqual([expect.objectContaining({ direction: 'pull', remoteId: '1', error: 'Disk full' })]);
+    expect(await new SyncCursorStore().getCursor('memory', 'issue')).toBe(first.cursor);
+  });
+
+  test('should re-check everything with full', async () => {
+    await service.syncChanged(provider, { pushNew: true });
+
+    const report = await service.syncChanged(provider, { full: true });
+
+    expect(provider.since[1]).toBe(new Date(0).toISOString());
+    expect(report.full).toBe(true);
+    expect(report.plan).toEqual([]);
+  });
+
+  test('should be used by UtilityService.syncAll when a provider is given', async () => {
+    const utilityService = new UtilityService({ rootPath: tmpDir });
+
+    const result = await utilityService.syncAll({ type: 'issue', provider, pushNew: true });
+
+    expect(result.synced.issues).toBe(3);
+    expect(result.details.issues.provider).toBe('memory');
+
+    const again = await utilityService.syncAll({ type: 'issue', provider });
+    expect(again.synced.issues).toBe(0);
+    expect(again.skipped.issues).toBe(3);
+  });
+});
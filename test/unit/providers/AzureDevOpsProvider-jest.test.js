@@ -786,6 +786,87 @@ describe('AzureDevOpsProvider', () => {
     });
   });
 
+  describe('syncIteration()', () => {
+    const sprint = { name: 'sprint-12', start: '2025-03-03', end: '2025-03-14', status: 'active' };
+
+    beforeEach(async () => {
+      provider = new AzureDevOpsProvider({
+        token: 'test-pat',
+        organization: 'test-org',
+        project: 'test-project'
+      });
+
+      await provider.authenticate();
+    });
+
+    test('should create the iteration under the project with sprint dates', async () => {
+      mockWitApi.getClassificationNode.mockRejectedValue({ statusCode: 404 });
+      mockWitApi.createOrUpdateClassificationNode.mockResolvedValue({ id: 7, identifier: 'abc', name: 'sprint-12', url: 'https://x/7' });
+
+      const iteration = await provider.syncIteration(sprint);
+
+      expect(mockWitApi.createOrUpdateClassificationNode).toHaveBeenCalledWith(
+        { name: 'sprint-12', attributes: { startDate: '2025-03-03T00:00:00Z', finishDate: '2025-03-14T00:00:00Z' } },
+        'test-project',
+        1
+      );
+      expect(iteration).toEqual({ id: 'abc', name: 'sprint-12', url: 'https://x/7' });
+    });
+
+    test('should update the dates of an existing iteration', async () => {
+      mockWitApi.getClassificationNode.mockResolvedValue({ id: 7, name: 'sprint-12' });
+      mockWitApi.updateClassificationNode.mockResolvedValue({ id: 7, name: 'sprint-12' });
+
+      await provider.syncIteration(sprint);
+
+      expect(mockWitApi.updateClassificationNode).toHaveBeenCalledWith(
+        { attributes: { startDate: '2025-03-03T00:00:00Z', finishDate: '2025-03-14T00:00:00Z' } },
+        'test-project',
+        1,
+        'sprint-12'
+      );
+      expect(mockWitApi.createOrUpdateClassificationNode).not.toHaveBeenCalled();
+    });
+
+    test('should map tracker item iterations to iteration paths', async () => {
+      mockWitApi.updateWorkItem.mockResolvedValue({
+        id: 1,
+        fields: { 'System.Title': 'T', 'System.IterationPath': 'test-project\\sprint-12' }
+      });
+
+      const item = await provider.updateItem('1', { iteration: 'sprint-12' });
+
+      expect(mockWitApi.updateWorkItem).toHaveBeenCalledWith(
+        null,
+        expect.arrayContaining([
+          expect.objectContaining({ path: '/fields/System.IterationPath', value: 'test-project\\sprint-12' })
+        ]),
+        1
+      );
+      expect(item.iteration).toBe('sprint-12');
+      expect(provider._normalizeWorkItem({ id: 2, fields: { 'System.IterationPath': 'test-project' } }).iteration).toBeUndefined();
+    });
+
+    test('should move items without an iteration back to the project root iteration', async () => {
+      mockWitApi.updateWorkItem.mockResolvedValue({
+        id: 1,
+        fields: { 'System.Title': 'T', 'System.IterationPath': 'test-project' }
+      });
+
+      const item = await provider.updateItem('1', { iteration: null });
+
+      expect(mockWitApi.updateWorkItem).toHaveBeenCalledWith(
+        null,
+        expect.arrayContaining([
+          expect.objectContaining({ path: '/fields/System.IterationPath', value: 'test-project' })
+        ]),
+        1
+      );
+      expect(item.iteration).toBeUndefined();
+      expect(provider._toWorkItemData({ title: 'T' })).not.toHaveProperty('iterationPath');
+    });
+  });
+
   describe('queryWorkItems()', () => {
     beforeEach(async () => {
       provider = new AzureDevOpsProvider({
@@ -979,6 +1060,33 @@ describe('AzureDevOpsProvider', () => {
     });
   });
 
+  describe('fromClient()', () => {
+    test('should wrap a bare work item client in the tracker contract', async () => {
+      const client = {
+        project: 'test-project',
+        getWorkItem: jest.fn().mockResolvedValue({
+          id: 5,
+          fields: { 'System.Title': 'Epic', 'System.State': 'Active', 'System.WorkItemType': 'Epic' }
+        }),
+        createWorkItem: jest.fn().mockResolvedValue({ id: 6, fields: { 'System.State': 'New' } })
+      };
+
+      const wrapped = AzureDevOpsProvider.fromClient(client);
+
+      expect(wrapped).toBeInstanceOf(AzureDevOpsProvider);
+      expect(wrapped.getName()).toBe('azure');
+      expect(await wrapped.getItem('5')).toMatchObject({ id: '5', status: 'in-progress', type: 'epic' });
+      expect(client.getWorkItem).toHaveBeenCalledWith(5);
+
+      await wrapped.createItem({ title: 'Story', status: 'completed', iteration: 'Sprint 1' });
+      expect(client.createWorkItem).toHaveBeenCalledWith('User Story', {
+        title: 'Story',
+        state: 'Resolved',
+        iterationPath: 'test-project\\Sprint 1'
+      });
+    });
+  });
+
   describe('_mapStateToLocal()', () => {
     beforeEach(() => {
       provider = new AzureDevOpsProvider({
@@ -1038,6 +1146,12 @@ describe('AzureDevOpsProvider', () => {
       expect(provider._mapLocalStatusToState('closed')).toBe('Closed');
     });
 
+    test('should map status aliases case-insensitively', () => {
+      expect(provider._mapLocalStatusToState('completed')).toBe('Resolved');
+      expect(provider._mapLocalStatusToState('in_progress')).toBe('Active');
+      expect(provider._mapLocalStatusToState('Closed')).toBe('Closed');
+    });
+
     test('should return original status if unknown', () => {
       expect(provider._mapLocalStatusToState('custom')).toBe('custom');
     });
@@ -246,6 +246,26 @@ describe('GitHubProvider', () => {
         per_page: 100
       });
     });
+
+    test('should skip pull requests when listing tracker items', async () => {
+      provider.octokit.rest.issues.list.mockResolvedValue({
+        data: [
+          { number: 1, title: 'Issue 1', state: 'open' },
+          { number: 2, title: 'PR 2', state: 'open', pull_request: { url: 'https://api.github.com/pulls/2' } }
+        ]
+      });
+
+      const items = await provider.listItems();
+
+      expect(items.map(item => item.id)).toEqual(['1']);
+    });
+
+    test('should report which statuses survive the open/closed round trip', () => {
+      expect(provider.roundTripStatus('in-progress')).toBe('open');
+      expect(provider.roundTripStatus('blocked')).toBe('open');
+      expect(provider.roundTripStatus('done')).toBe('closed');
+      expect(provider._normalizeIssue({ number: 3, title: 'T', state: 'open' }).status).toBe('open');
+    });
   });
 
   describe('createIssue()', () => {
@@ -522,6 +542,123 @@ describe('GitHubProvider', () => {
     });
   });
 
+  describe('Milestones', () => {
+    beforeEach(async () => {
+      provider = new GitHubProvider({
+        token: 'test-token',
+        owner: 'test-owner',
+        repo: 'test-repo'
+      });
+
+      await provider.authenticate();
+
+      provider.octokit.rest.issues.listMilestones.mockResolvedValue({
+        data: [{ number: 3, title: 'sprint-11', html_url: 'https://github.com/m/3' }]
+      });
+    });
+
+    test('should create a milestone for a new sprint', async () => {
+      provider.octokit.rest.issues.createMilestone.mockResolvedValue({
+        data: { number: 4, title: 'sprint-12', html_url: 'https://github.com/m/4' }
+      });
+
+      const iteration = await provider.syncIteration({ name: 'sprint-12', goal: 'Ship login', end: '2025-03-14', status: 'active' });
+
+      expect(provider.octokit.rest.issues.listMilestones).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        state: 'all',
+        per_page: 100
+      });
+      expect(provider.octokit.rest.issues.createMilestone).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        title: 'sprint-12',
+        description: 'Ship login',
+        due_on: '2025-03-14T23:59:59Z',
+        state: 'open'
+      });
+      expect(iteration).toEqual({ id: '4', name: 'sprint-12', url: 'https://github.com/m/4' });
+    });
+
+    test('should close the milestone of a closed sprint', async () => {
+      provider.octokit.rest.issues.updateMilestone.mockResolvedValue({ data: { number: 3, title: 'sprint-11' } });
+
+      await provider.syncIteration({ name: 'sprint-11', end: '2025-02-28', status: 'closed' });
+
+      expect(provider.octokit.rest.issues.updateMilestone).toHaveBeenCalledWith(expect.objectContaining({
+        milestone_number: 3,
+        state: 'closed'
+      }));
+    });
+
+    test('should set the milestone from the item iteration', async () => {
+      provider.octokit.rest.issues.update.mockResolvedValue({
+        data: { number: 9, title: 'T', state: 'open', milestone: { number: 3, title: 'sprint-11' } }
+      });
+
+      const item = await provider.updateItem(9, { title: 'T', iteration: 'sprint-11' });
+      await provider.updateItem(9, { iteration: 'sprint-11' });
+
+      expect(provider.octokit.rest.issues.update).toHaveBeenCalledWith(expect.objectContaining({
+        issue_number: 9,
+        milestone: 3
+      }));
+      expect(provider.octokit.rest.issues.listMilestones).toHaveBeenCalledTimes(1);
+      expect(item.iteration).toBe('sprint-11');
+    });
+
+    test('should clear the milestone for an explicit null iteration', async () => {
+      provider.octokit.rest.issues.update.mockResolvedValue({ data: { number: 9, title: 'T', state: 'open', milestone: null } });
+
+      const item = await provider.updateItem(9, { title: 'T', iteration: null });
+      await provider.updateItem(9, { title: 'T' });
+
+      expect(provider.octokit.rest.issues.update).toHaveBeenNthCalledWith(1, expect.objectContaining({ issue_number: 9, milestone: null }));
+      expect(provider.octokit.rest.issues.update.mock.calls[1][0]).not.toHaveProperty('milestone');
+      expect(provider.octokit.rest.issues.listMilestones).not.toHaveBeenCalled();
+      expect(item.iteration).toBeUndefined();
+    });
+
+    test('should find milestones beyond the first page', async () => {
+      const firstPage = Array.from({ length: 100 }, (_, i) => ({ number: i + 1, title: `old-${i + 1}` }));
+      provider.octokit.paginate.mockResolvedValueOnce([...firstPage, { number: 101, title: 'sprint-40' }]);
+      provider.octokit.rest.issues.updateMilestone.mockResolvedValue({ data: { number: 101, title: 'sprint-40' } });
+
+      await provider.syncIteration({ name: 'sprint-40', end: '2025-06-13', status: 'active' });
+
+      expect(provider.octokit.paginate).toHaveBeenCalledWith(provider.octokit.rest.issues.listMilestones, {
+        owner: 'test-owner',
+        repo: 'test-repo',
+        state: 'all',
+        per_page: 100
+      });
+      expect(provider.octokit.rest.issues.createMilestone).not.toHaveBeenCalled();
+      expect(provider.octokit.rest.issues.updateMilestone).toHaveBeenCalledWith(expect.objectContaining({ milestone_number: 101 }));
+    });
+  });
+
+  describe('fromClient()', () => {
+    test('should wrap a bare issues client in the tracker contract', async () => {
+      const client = {
+        owner: 'test-owner',
+        repo: 'test-repo',
+        getIssue: jest.fn().mockResolvedValue({ number: 7, title: 'Bug', state: 'closed', labels: [{ name: 'epic' }] }),
+        updateIssue: jest.fn().mockResolvedValue({ number: 7, title: 'Bug', state: 'open' })
+      };
+
+      const wrapped = GitHubProvider.fromClient(client);
+
+      expect(wrapped).toBeInstanceOf(GitHubProvider);
+      expect(wrapped.getName()).toBe('github');
+      expect(wrapped.repo).toBe('test-repo');
+      expect(await wrapped.getItem(7)).toMatchObject({ id: '7', status: 'closed', type: 'epic' });
+
+      await wrapped.updateItem(7, { title: 'Bug', status: 'in-progress' });
+      expect(client.updateIssue).toHaveBeenCalledWith(7, { title: 'Bug', state: 'open' });
+    });
+  });
+
   describe('checkRateLimit()', () => {
     beforeEach(async () => {
       provider = new GitHubProvider({
@@ -0,0 +1,304 @@
+/**
+ * ProviderRegistry & IssueTrackerProvider Test Suite
+ *
+ * Test Coverage:
+ * - IssueTrackerProvider abstract contract
+ * - Registry registration, lookup and creation
+ * - Built-in GitHub and Azure DevOps registrations
+ * - Normalization of GitHub issues and Azure work items
+ */
+
+jest.mock('@octokit/rest');
+jest.mock('azure-devops-node-api');
+
+const IssueTrackerProvider = require('../../../lib/providers/IssueTrackerProvider');
+const { ProviderRegistry, defaultRegistry } = require('../../../lib/providers/ProviderRegistry');
+const GitHubProvider = require('../../../lib/providers/GitHubProvider');
+const AzureDevOpsProvider = require('../../../lib/providers/AzureDevOpsProvider');
+
+class InMemoryProvider extends IssueTrackerProvider {
+  getName() {
+    return 'memory';
+  }
+
+  async getItem(id) {
+    return { id: String(id) };
+  }
+
+  async createItem(item) {
+    return { id: '1', ...item };
+  }
+
+  async updateItem(id, item) {
+    return { id: String(id), ...item };
+  }
+}
+
+describe('IssueTrackerProvider', () => {
+  test('should not be instantiable directly', () => {
+    expect(() => new IssueTrackerProvider()).toThrow('Cannot instantiate abstract class IssueTrackerProvider');
+  });
+
+  test('should throw for unimplemented contract methods', async () => {
+    class PartialProvider extends IssueTrackerProvider {}
+    const provider = new PartialProvider();
+
+    expect(() => provider.getName()).toThrow('PartialProvider must implement getName()');
+    await expect(provider.getItem(1)).rejects.toThrow('PartialProvider must implement getItem()');
+    await expect(provider.addItemComment(1, 'x')).rejects.toThrow('PartialProvider does not support comments');
+  });
+
+  test('closeItem should comment and update status', async () => {
+    const provider = new InMemoryProvider();
+    provider.addItemComment = jest.fn().mockResolvedValue({});
+
+    const result = await provider.closeItem(5, 'Done');
+
+    expect(provider.addItemComment).toHaveBeenCalledWith(5, 'Done');
+    expect(result).toEqual({ id: '5', status: 'closed' });
+  });
+
+  test('implementsContract should duck-type providers', () => {
+    expect(IssueTrackerProvider.implementsContract(new InMemoryProvider())).toBe(true);
+    expect(IssueTrackerProvider.implementsContract({ getIssue: jest.fn() })).toBe(false);
+    expect(IssueTrackerProvider.implementsContract(null)).toBe(false);
+  });
+});
+
+describe('ProviderRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new ProviderRegistry();
+  });
+
+  test('should register and create providers by name', () => {
+    registry.register('memory', () => new InMemoryProvider(), { description: 'In-memory tracker' });
+
+    expect(registry.has('memory')).toBe(true);
+    expect(registry.has('MEMORY')).toBe(true);
+    expect(registry.list()).toEqual([{ name: 'memory', description: 'In-memory tracker' }]);
+    expect(registry.create('memory')).toBeInstanceOf(InMemoryProvider);
+  });
+
+  test('should pass options to the factory', () => {
+    const factory = jest.fn(() => new InMemoryProvider());
+    registry.register('memory', factory);
+
+    registry.create('memory', { token: 'abc' });
+
+    expect(factory).toHaveBeenCalledWith({ token: 'abc' });
+  });
+
+  test('should reject invalid registrations', () => {
+    expect(() => registry.register('', () => {})).toThrow('Provider name is required');
+    expect(() => registry.register('x', 'not-a-function')).toThrow("Factory for provider 'x' must be a function");
+  });
+
+  test('should throw for unknown providers', () => {
+    registry.register('memory', () => new InMemoryProvider());
+
+    expect(() => registry.create('jira')).toThrow('Unknown issue tracker provider: jira (available: memory)');
+  });
+
+  test('should reject factories returning non-contract objects', () => {
+    registry.register('broken', () => ({ getIssue: jest.fn() }));
+
+    expect(() => registry.create('broken')).toThrow("Provider 'broken' does not implement the IssueTrackerProvider contract");
+  });
+
+  test('should unregister providers', () => {
+    registry.register('memory', () => new InMemoryProvider());
+
+    expect(registry.unregister('memory')).toBe(true);
+    expect(registry.has('memory')).toBe(false);
+  });
+
+  test('default registry should include GitHub and Azure DevOps', () => {
+    expect(defaultRegistry.list().map(p => p.name)).toEqual(['github', 'azure']);
+    expect(defaultRegistry.create('github', { token: 't' })).toBeInstanceOf(GitHubProvider);
+    expect(defaultRegistry.create('azure', { token: 't' })).toBeInstanceOf(AzureDevOpsProvider);
+  });
+});
+
+describe('GitHubProvider - tracker contract', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = new GitHubProvider({ token: 't', owner: 'o', repo: 'r' });
+  });
+
+  test('should normalize issues', async () => {
+    provider.getIssue = jest.fn().mockResolvedValue({
+      number: 42,
+      title: 'Epic: Auth',
+      body: 'Body',
+      state: 'closed',
+      labels: [{ name: 'epic' }, 'priority:P1'],
+      assignees: [{ login: 'alice' }],
+      created_at: '2025-01-01T00:00:00Z',
+      updated_at: '2025-01-02T00:00:00Z',
+      html_url: 'https://github.com/o/r/issues/42'
+    });
+
+    const item = await provider.getItem(42);
+
+    expect(item).toEqual({
+      id: '42',
+      title: 'Epic: Auth',
+      body: 'Body',
+      status: 'closed',
+      labels: ['epic', 'priority:P1'],
+      assignees: ['alice'],
+      type: 'epic',
+      created: '2025-01-01T00:00:00Z',
+      updated: '2025-01-02T00:00:00Z',
+      url: 'https://github.com/o/r/issues/42'
+    });
+  });
+
+  test('should create issues and close them when status is closed', async () => {
+    provider.createIssue = jest.fn().mockResolvedValue({ number: 7, title: 'T', state: 'open' });
+    provider.updateIssue = jest.fn().mockResolvedValue({ number: 7, title: 'T', state: 'closed' });
+
+    const item = await provider.createItem({ title: 'T', body: 'B', status: 'done', labels: [], assignees: ['bob'] });
+
+    expect(provider.createIssue).toHaveBeenCalledWith({ title: 'T', body: 'B', assignees: ['bob'] });
+    expect(provider.updateIssue).toHaveBeenCalledWith(7, { state: 'closed' });
+    expect(item.status).toBe('closed');
+  });
+
+  test('should map local status on update', async () => {
+    provider.updateIssue = jest.fn().mockResolvedValue({ number: 7, title: 'T', state: 'open' });
+
+    await provider.updateItem(7, { title: 'T', status: 'in-progress' });
+
+    expect(provider.updateIssue).toHaveBeenCalledWith(7, { title: 'T', state: 'open' });
+  });
+
+  test('should page through issues changed since a cursor and skip pull requests', async () => {
+    const page1 = Array.from({ length: 100 }, (_, i) => ({ number: i + 1, title: `I${i + 1}`, state: 'open' }));
+    page1[0].pull_request = { url: 'https://api.github.com/pulls/1' };
+    provider.listIssues = jest.fn()
+      .mockResolvedValueOnce(page1)
+      .mockResolvedValueOnce([{ number: 101, title: 'I101', state: 'closed' }]);
+
+    const items = await provider.listItemsChangedSince('2025-01-01T00:00:00.000Z');
+
+    expect(provider.listIssues).toHaveBeenCalledTimes(2);
+    expect(provider.listIssues).toHaveBeenNthCalledWith(2, {
+      since: '2025-01-01T00:00:00.000Z',
+      state: 'all',
+      perPage: 100,
+      page: 2
+    });
+    expect(items).toHaveLength(100);
+    expect(items[0].id).toBe('2');
+    expect(items[99].status).toBe('closed');
+  });
+});
+
+describe('AzureDevOpsProvider - tracker contract', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = new AzureDevOpsProvider({ token: 't', organization: 'o', project: 'p' });
+  });
+
+  test('should normalize work items', async () => {
+    provider.getWorkItem = jest.fn().mockResolvedValue({
+      id: 100,
+      fields: {
+        'System.Title': 'Login',
+        'System.Description': 'Desc',
+        'System.State': 'Active',
+        'System.Tags': 'backend; security',
+        'System.AssignedTo': { displayName: 'Alice' },
+        'System.WorkItemType': 'Epic',
+        'System.CreatedDate': '2025-01-01T00:00:00Z',
+        'System.ChangedDate': '2025-01-02T00:00:00Z'
+      }
+    });
+
+    const item = await provider.getItem('100');
+
+    expect(provider.getWorkItem).toHaveBeenCalledWith(100);
+    expect(item).toMatchObject({
+      id: '100',
+      title: 'Login',
+      body: 'Desc',
+      status: 'in-progress',
+      labels: ['backend', 'security'],
+      assignees: ['Alice'],
+      type: 'epic'
+    });
+  });
+
+  test('should create work items with mapped type, state and tags', async () => {
+    provider.createWorkItem = jest.fn().mockResolvedValue({ id: 5, fields: { 'System.Title': 'E' } });
+
+    await provider.createItem({ title: 'E', body: 'B', status: 'open', labels: ['epic', 'priority:P1'], type: 'epic' });
+
+    expect(provider.createWorkItem).toHaveBeenCalledWith('Epic', {
+      title: 'E',
+      description: 'B',
+      state: 'New',
+      tags: 'epic; priority:P1'
+    });
+  });
+
+  test('should include tags in create and update patch documents', async () => {
+    provider.witApi = {
+      createWorkItem: jest.fn().mockResolvedValue({ id: 1 }),
+      updateWorkItem: jest.fn().mockResolvedValue({ id: 1 })
+    };
+
+    await provider.createWorkItem('Task', { title: 'T', tags: 'a; b' });
+    await provider.updateWorkItem(1, { tags: 'c' });
+
+    expect(provider.witApi.createWorkItem.mock.calls[0][1]).toContainEqual({
+      op: 'add', path: '/fields/System.Tags', value: 'a; b'
+    });
+    expect(provider.witApi.updateWorkItem.mock.calls[0][1]).toEqual([
+      { op: 'replace', path: '/fields/System.Tags', value: 'c' }
+    ]);
+  });
+});
+
+describe('AzureDevOpsProvider - changed since', () => {
+  test('should query work items by ChangedDate with time precision', async () => {
+    const provider = new AzureDevOpsProvider({ token: 't', organization: 'o', project: 'p' });
+    provider.witApi = {
+      queryByWiql: jest.fn().mockResolvedValue({ workItems: [{ id: 3 }] }),
+      getWorkItems: jest.fn().mockResolvedValue([
+        { id: 3, fields: { 'System.Title': 'Changed', 'System.State': 'Closed', 'System.ChangedDate': '2025-01-02T00:00:00Z' } }
+      ])
+    };
+
+    const items = await provider.listItemsChangedSince('2025-01-01T10:00:00Z', { type: 'issue' });
+
+    expect(provider.witApi.queryByWiql).toHaveBeenCalledWith(
+      {
+        query: "SELECT [System.Id] FROM WorkItems WHERE [System.TeamProject] = 'p'" +
+          " AND [System.ChangedDate] >= '2025-01-01T10:00:00.000Z'" +
+          " AND [System.WorkItemType] = 'User Story' ORDER BY [System.ChangedDate] ASC"
+      },
+      'p',
+      true
+    );
+    expect(items).toEqual([expect.objectContaining({ id: '3', title: 'Changed', status: 'closed' })]);
+  });
+
+  test('should fetch large result sets in batches of 200', async () => {
+    const provider = new AzureDevOpsProvider({ token: 't', organization: 'o', project: 'p' });
+    provider.witApi = {
+      queryByWiql: jest.fn().mockResolvedValue({ workItems: Array.from({ length: 450 }, (_, i) => ({ id: i + 1 })) }),
+      getWorkItems: jest.fn(async (ids) => ids.map(id => ({ id, fields: {} })))
+    };
+
+    const items = await provider.queryWorkItems('SELECT [System.Id] FROM WorkItems');
+
+    expect(provider.witApi.getWorkItems.mock.calls.map(call => call[0].length)).toEqual([200, 200, 50]);
+    expect(items).toHaveLength(450);
+  });
+});
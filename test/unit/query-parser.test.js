@@ -526,3 +526,90 @@ describe('QueryParser - getFilterHelp', () => {
     expect(help).toContain('created');
   });
 });
+
+describe('QueryParser - Query Language', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new QueryParser();
+  });
+
+  const term = (field, raw, operator = 'eq') => ({
+    type: 'compare',
+    field,
+    operator,
+    value: expect.objectContaining({ raw })
+  });
+
+  test('should parse boolean expressions with precedence and grouping', () => {
+    const query = parser.parseQuery('status:active AND (priority:high OR label:security) AND NOT epic:legacy');
+
+    expect(query.where).toEqual({
+      type: 'and',
+      children: [
+        term('status', 'active'),
+        { type: 'or', children: [term('priority', 'high'), term('label', 'security')] },
+        { type: 'not', child: term('epic', 'legacy') }
+      ]
+    });
+  });
+
+  test('should AND adjacent terms and bind AND tighter than OR', () => {
+    const query = parser.parseQuery('status:active priority:high OR status:blocked');
+
+    expect(query.where).toEqual({
+      type: 'or',
+      children: [
+        { type: 'and', children: [term('status', 'active'), term('priority', 'high')] },
+        term('status', 'blocked')
+      ]
+    });
+  });
+
+  test('should parse comparisons, ranges and typed values', () => {
+    const query = parser.parseQuery('effort:2d..1w created:>=2025-01-01 points:<5 updated:..2025-06-30');
+
+    expect(query.where.children[0]).toEqual({
+      type: 'range',
+      field: 'effort',
+      from: { kind: 'effort', raw: '2d', value: 16 },
+      to: { kind: 'effort', raw: '1w', value: 40 }
+    });
+    expect(query.where.children[1]).toMatchObject({ operator: 'gte', value: { kind: 'date', raw: '2025-01-01' } });
+    expect(query.where.children[2]).toMatchObject({ operator: 'lt', value: { kind: 'number', value: 5 } });
+    expect(query.where.children[3]).toMatchObject({ type: 'range', from: null, to: { kind: 'date' } });
+  });
+
+  test('should parse negation, quoted values, text search and dotted fields', () => {
+    const query = parser.parseQuery('-status:done title:"login form" "rate limit" custom.team:core');
+
+    expect(query.where.children).toEqual([
+      { type: 'not', child: term('status', 'done') },
+      { type: 'compare', field: 'title', operator: 'eq', value: { kind: 'string', raw: 'login form', value: 'login form' } },
+      { type: 'text', value: 'rate limit' },
+      term('custom.team', 'core')
+    ]);
+  });
+
+  test('should extract sort and fields directives', () => {
+    const query = parser.parseQuery('type:task sort:-updated,priority fields:id,title');
+
+    expect(query.where).toEqual(term('type', 'task'));
+    expect(query.sort).toEqual([
+      { field: 'updated', direction: 'desc' },
+      { field: 'priority', direction: 'asc' }
+    ]);
+    expect(query.fields).toEqual(['id', 'title']);
+    expect(parser.parseQuery('sort:title').where).toBeNull();
+  });
+
+  test('should report syntax errors with positions', () => {
+    expect(() => parser.parseQuery('(status:active')).toThrow('Missing ) for ( at position 0');
+    expect(() => parser.parseQuery('status:active OR')).toThrow('Unexpected end of query after OR');
+    expect(() => parser.parseQuery('status:active )')).toThrow('Unexpected ) at position 14');
+    expect(() => parser.parseQuery('title:"open')).toThrow('Unterminated quote at position 6');
+    expect(() => parser.parseQuery('status:')).toThrow('Missing value for status: at position 0');
+    expect(() => parser.parseQuery('title:a..b')).toThrow('bounds must be dates, efforts or numbers');
+    expect(() => parser.parseQuery('(sort:title)')).toThrow('sort: is only allowed at the top level');
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Saved Search Tests
+ *
+ * Test Coverage:
+ * - SavedSearchStore persistence in .claude/saved-searches.json
+ * - Variables: @me, @today (with offsets), @sprint and custom ones
+ * - Views reused by UtilityService (search, export) and WorkflowService reports
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const SavedSearchStore = require('../../lib/saved-search-store');
+const UtilityService = require('../../lib/services/UtilityService');
+const WorkflowService = require('../../lib/services/WorkflowService');
+
+describe('SavedSearchStore', () => {
+  let tmpDir;
+  let store;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'saved-searches-'));
+    store = new SavedSearchStore({ rootPath: tmpDir });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.removeSync(tmpDir);
+  });
+
+  test('should save, list, replace and delete searches', async () => {
+    const saved = await store.save('my-work', 'assignee:@me status:in_progress', { description: 'Mine' });
+    await store.save('blocked', 'status:blocked', { types: ['issue'] });
+
+    expect(saved).toMatchObject({ name: 'my-work', query: 'assignee:@me status:in_progress', types: null });
+    expect(fs.readJSONSync(path.join(tmpDir, '.claude/saved-searches.json'))).toHaveProperty('blocked');
+
+    const replaced = await store.save('my-work', 'assignee:@me');
+    expect(replaced).toMatchObject({ description: 'Mine', createdAt: saved.createdAt });
+    expect((await store.list()).map(s => s.name)).toEqual(['blocked', 'my-work']);
+
+    expect(await store.remove('blocked')).toBe(true);
+    expect(await store.remove('blocked')).toBe(false);
+    await expect(store.get('blocked')).rejects.toThrow('Saved search not found: blocked');
+  });
+
+  test('should validate names and query syntax on save', async () => {
+    await expect(store.save('../evil', 'status:active')).rejects.toThrow('Invalid saved search name');
+    await expect(store.save('broken', '(status:active')).rejects.toThrow('Missing )');
+    await expect(store.save('ranged', 'created:@today-7d..@today assignee:@me')).resolves.toBeDefined();
+  });
+
+  test('should expand built-in variables with date offsets', async () => {
+    jest.useFakeTimers({ now: new Date('2025-03-10T12:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    fs.outputJSONSync(path.join(tmpDir, '.claude/config.json'), { user: 'alice', sprint: 'Sprint 12' });
+    await store.save('recent', 'assignee:@me sprint:@sprint updated:>=@today-1w created:<@today+2d');
+
+    expect(await store.resolve('recent')).toBe(
+      'assignee:alice sprint:"Sprint 12" updated:>=2025-03-03 created:<2025-03-12'
+    );
+    expect(await store.resolve('recent', { me: 'bob' })).toContain('assignee:bob');
+  });
+
+  test('should resolve @today to the local calendar day', async () => {
+    jest.useFakeTimers({ now: new Date(2025, 2, 10, 0, 30), doNotFake: ['nextTick', 'setImmediate'] });
+    expect((await store.getVariables()).today).toBe('2025-03-10');
+
+    jest.setSystemTime(new Date(2025, 2, 10, 23, 30));
+    expect((await store.getVariables()).today).toBe('2025-03-10');
+  });
+
+  test('should treat Object.prototype names as ordinary names', async () => {
+    await expect(store.get('constructor')).rejects.toThrow('Saved search not found: constructor');
+    expect(await store.remove('toString')).toBe(false);
+
+    await store.save('constructor', 'status:blocked');
+    expect(await store.get('constructor')).toMatchObject({ name: 'constructor', query: 'status:blocked' });
+    expect((await store.list()).map(search => search.name)).toEqual(['constructor']);
+
+    expect(() => SavedSearchStore.expandVariables('x:@constructor', {}))
+      .toThrow('Cannot resolve @constructor: pass --var constructor=<value>');
+  });
+
+  test('should leave e-mail addresses alone and explain missing variables', () => {
+    expect(SavedSearchStore.expandVariables('reporter:a@b.com owner:@team', { team: 'core' }))
+      .toBe('reporter:a@b.com owner:core');
+    expect(() => SavedSearchStore.expandVariables('sprint:@sprint', {}))
+      .toThrow('Cannot resolve @sprint: set "sprint" in .claude/config.json or pass --var sprint=<name>');
+    expect(() => SavedSearchStore.expandVariables('x:@me-1d', { me: 'alice' }))
+      .toThrow('Cannot offset @me: alice is not a date');
+  });
+});
+
+describe('Saved searches as views', () => {
+  let tmpDir;
+  let store;
+
+  const write = (relativePath, frontmatter) => {
+    fs.outputFileSync(path.join(tmpDir, '.claude', relativePath), `---\n${frontmatter}\n---\n\nBody\n`);
+  };
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'saved-views-'));
+    store = new SavedSearchStore({ rootPath: tmpDir });
+    fs.outputJSONSync(path.join(tmpDir, '.claude/config.json'), { user: 'alice' });
+
+    write('prds/auth.md', 'id: prd-auth\ntitle: Auth\nstatus: active\nassignee: bob');
+    write('epics/auth/epic.md', 'id: epic-auth\nname: auth\ntitle: Auth epic\nstatus: in-progress');
+    write('epics/auth/001.md', 'id: task-1\ntitle: Login form\nstatus: in_progress\nassignee: alice');
+    write('epics/auth/002.md', 'id: task-2\ntitle: Reset\nstatus: open\nassignee: bob');
+
+    await store.save('mine', 'assignee:@me');
+    await store.save('mine-rows', 'assignee:@me fields:id,title', { types: ['task'] });
+  });
+
+  afterEach(() => {
+    fs.removeSync(tmpDir);
+  });
+
+  test('should run a view through UtilityService', async () => {
+    const utilityService = new UtilityService({ rootPath: tmpDir });
+
+    const result = await utilityService.runSavedSearch('mine');
+
+    expect(result.query).toBe('assignee:alice');
+    expect(result.results.map(r => r.id)).toEqual(['task-1']);
+
+    const other = await utilityService.runSavedSearch('mine', { variables: { me: 'bob' } });
+    expect(other.results.map(r => r.id).sort()).toEqual(['prd-auth', 'task-2']);
+  });
+
+  test('should export the entities of a view', async () => {
+    const utilityService = new UtilityService({ rootPath: tmpDir });
+    const output = path.join(tmpDir, 'mine.json');
+
+    const result = await utilityService.exportToFormat('json', { view: 'mine-rows', output });
+
+    expect(result.count).toBe(1);
+    expect(fs.readJSONSync(output)).toEqual([{ id: 'task-1', title: 'Login form' }]);
+
+    const all = await utilityService.exportToFormat('json', { query: 'status:active OR assignee:@me', output });
+    expect(all.count).toBe(2);
+    expect(fs.readJSONSync(output)[0]).toMatchObject({ type: 'prd', id: 'prd-auth', file: 'auth.md' });
+  });
+
+  test('should scope workflow reports to a view', async () => {
+    const issues = [
+      { id: '1', title: 'Login form', status: 'in_progress', assignee: 'alice' },
+      { id: '2', title: 'Reset', status: 'blocked', assignee: 'bob' },
+      { id: '3', title: 'Docs', status: 'closed', assignee: 'alice' }
+    ];
+    const issueService = {
+      listIssues: jest.fn().mockResolvedValue(issues),
+      categorizeStatus: status => ({ in_progress: 'in_progress', closed: 'closed' }[status] || 'open')
+    };
+    const epicService = {
+      listEpics: jest.fn().mockResolvedValue([{ name: 'auth', status: 'in-progress' }, { name: 'legacy', status: 'backlog' }]),
+      categorizeStatus: status => (status === 'backlog' ? 'backlog' : 'in_progress')
+    };
+    const workflowService = new WorkflowService({ issueService, epicService });
+
+    const status = await workflowService.getProjectStatus({ view: 'assignee:alice OR epic:auth' });
+    expect(status.issues).toMatchObject({ total: 2, inProgress: 1, closed: 1, blocked: 0 });
+    expect(status.epics.total).toBe(1);
+
+    const standup = await workflowService.generateStandup({ view: await store.resolve('mine', { me: 'bob' }) });
+    expect(standup.today).toEqual([]);
+    expect(standup.blockers.map(t => t.id)).toEqual(['2']);
+
+    await expect(workflowService.getProjectStatus({ view: 'status:(' })).rejects.toThrow();
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Schedule Planner Tests
+ *
+ * Test Coverage:
+ * - Team configuration from config.json
+ * - List scheduling by dependencies, skills, capacity and critical chain
+ * - Epic scope with cross-epic prerequisites and working-day calendar
+ * - Over-allocation of in-progress work and unschedulable tasks
+ * - ASCII and Mermaid gantt output
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const SchedulePlanner = require('../../lib/schedule-planner');
+
+describe('SchedulePlanner', () => {
+  let tmpDir;
+  let basePath;
+
+  const team = [
+    { name: 'alice', capacity: 8, skills: ['backend'] },
+    { name: 'bob', capacity: 4, skills: ['Frontend', 'backend'] }
+  ];
+
+  const writeTask = (epic, id, frontmatter = {}) => {
+    const lines = Object.entries({ id, title: `Task ${id}`, status: 'pending', ...frontmatter })
+      .map(([key, value]) => `${key}: ${Array.isArray(value) ? `[${value.join(', ')}]` : value}`)
+      .join('\n');
+    fs.outputFileSync(path.join(basePath, 'epics', epic, `${id}.md`), `---\n${lines}\n---\n\nTask\n`);
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'schedule-planner-'));
+    basePath = path.join(tmpDir, '.claude');
+
+    fs.outputFileSync(path.join(basePath, 'epics/auth/epic.md'), '---\nid: auth\ntitle: Auth\n---\n');
+    fs.outputFileSync(path.join(basePath, 'epics/billing/epic.md'), '---\nid: billing\ntitle: Billing\n---\n');
+    fs.outputJSONSync(path.join(basePath, 'config.json'), { team });
+
+    writeTask('auth', 't0', { status: 'completed', effort: '5d' });
+    writeTask('auth', 't1', { title: 'Schema', effort: '1d', skills: ['backend'], depends_on: ['t0'] });
+    writeTask('auth', 't2', { title: 'API', effort: '2d', skills: ['backend'], depends_on: ['t1'] });
+    writeTask('auth', 't3', { title: 'UI', effort: '1d', skills: ['frontend'], depends_on: ['t1'] });
+    writeTask('auth', 't4', { title: 'Docs', effort: '4h' });
+    writeTask('billing', 'b1', { title: 'Invoices', effort: '1d', depends_on: ['auth/t2'] });
+  });
+
+  afterEach(() => {
+    fs.removeSync(tmpDir);
+  });
+
+  test('should load the team from config.json', async () => {
+    const members = await new SchedulePlanner({ basePath }).loadTeam();
+
+    expect(members).toEqual([
+      { name: 'alice', capacity: 8, skills: ['backend'] },
+      { name: 'bob', capacity: 4, skills: ['frontend', 'backend'] }
+    ]);
+
+    fs.outputJSONSync(path.join(basePath, 'config.json'), {});
+    await expect(new SchedulePlanner({ basePath }).loadTeam()).rejects.toThrow('No team configured');
+    await expect(new SchedulePlanner({ basePath, team: [{ name: 'x', capacity: -1 }] }).loadTeam())
+      .rejects.toThrow('Invalid capacity for x: -1');
+  });
+
+  test('should assign tasks day by day respecting dependencies, skills and capacity', async () => {
+    const plan = await new SchedulePlanner({ basePath }).plan({ start: '2025-03-10' });
+
+    const rows = plan.assignments.map(a => [a.task, a.member, a.start, a.finish]);
+    expect(rows).toEqual([
+      ['auth/t1', 'alice', '2025-03-10', '2025-03-10'],
+      ['auth/t4', 'bob', '2025-03-10', '2025-03-10'],
+      ['auth/t2', 'alice', '2025-03-11', '2025-03-12'],
+      ['auth/t3', 'bob', '2025-03-11', '2025-03-12'],
+      ['billing/b1', 'alice', '2025-03-13', '2025-03-13']
+    ]);
+
+    expect(plan).toMatchObject({ scope: 'all epics', start: '2025-03-10', finish: '2025-03-13', days: 4 });
+    expect(plan.members.map(m => [m.name, m.hours])).toEqual([['alice', 32], ['bob', 12]]);
+    expect(plan.assignments.find(a => a.task === 'auth/t3').daily).toEqual({ 1: 4, 2: 4 });
+    expect(plan.criticalChain).toEqual(['auth/t1', 'auth/t2', 'billing/b1']);
+    expect(plan.overAllocations).toEqual([]);
+  });
+
+  test('should plan an epic with its prerequisites on working days', async () => {
+    const plan = await new SchedulePlanner({ basePath }).plan({ epicId: 'billing', start: '2025-03-07' });
+
+    expect(plan.assignments.map(a => [a.task, a.start, a.finish])).toEqual([
+      ['auth/t1', '2025-03-07', '2025-03-07'],
+      ['auth/t2', '2025-03-10', '2025-03-11'],
+      ['billing/b1', '2025-03-12', '2025-03-12']
+    ]);
+
+    await expect(new SchedulePlanner({ basePath }).plan({ start: 'monday' }))
+      .rejects.toThrow('Invalid start date: monday. Use YYYY-MM-DD');
+  });
+
+  test('should flag over-allocation from in-progress work', async () => {
+    writeTask('auth', 't5', { status: 'in_progress', assignee: 'bob', effort: '1d' });
+    writeTask('auth', 't6', { status: 'in_progress', assignee: 'bob', effort: '4h' });
+
+    const plan = await new SchedulePlanner({ basePath }).plan({ start: '2025-03-10' });
+
+    expect(plan.overAllocations).toEqual([
+      { member: 'bob', day: 0, date: '2025-03-10', hours: 8, capacity: 4, tasks: ['auth/t5', 'auth/t6'] }
+    ]);
+    expect(plan.assignments.find(a => a.task === 'auth/t5')).toMatchObject({ member: 'bob', pinned: true, finish: '2025-03-11' });
+    // Bob is busy with started work, so the docs go to alice after the schema
+    expect(plan.assignments.find(a => a.task === 'auth/t4').member).toBe('alice');
+  });
+
+  test('should report tasks that cannot be scheduled', async () => {
+    writeTask('auth', 'ml', { effort: '1d', skills: ['ml'] });
+    writeTask('auth', 'report', { effort: '1d', depends_on: ['ml'] });
+    writeTask('auth', 'legal', { effort: '1d', assignee: 'zoe' });
+    writeTask('auth', 'c1', { depends_on: ['c2'] });
+    writeTask('auth', 'c2', { depends_on: ['c1'] });
+
+    const plan = await new SchedulePlanner({ basePath }).plan({ start: '2025-03-10' });
+
+    expect(plan.unassigned).toEqual(expect.arrayContaining([
+      { task: 'auth/ml', title: 'Task ml', reason: 'No team member has skills: ml' },
+      { task: 'auth/legal', title: 'Task legal', reason: 'Assignee zoe is not in the team' },
+      { task: 'auth/c1', title: 'Task c1', reason: 'Circular dependency' },
+      { task: 'auth/report', title: 'Task report', reason: 'Depends on unscheduled auth/ml' }
+    ]));
+    expect(plan.assignments).toHaveLength(5);
+  });
+
+  test('should render an ASCII gantt chart', async () => {
+    const planner = new SchedulePlanner({ basePath });
+    const plan = await planner.plan({ start: '2025-03-10' });
+
+    const lines = planner.renderGantt(plan).split('\n');
+
+    expect(lines[0]).toBe('Schedule: all epics');
+    expect(lines[1]).toBe('2025-03-10 to 2025-03-13 (4 working days)');
+    expect(lines).toContain('alice (8h/day, 32h planned)');
+
+    // One column per working day: t2 is worked on days two and three
+    const api = lines.find(line => line.includes('auth/t2 API'));
+    expect(api.startsWith('* auth/t2 API')).toBe(true);
+    expect(api.endsWith('  ██ ')).toBe(true);
+    expect(lines.find(line => line.includes('auth/t3 UI')).startsWith('  auth/t3 UI')).toBe(true);
+    expect(lines).toContain('* critical chain');
+  });
+
+  test('should render a Mermaid gantt chart', async () => {
+    const planner = new SchedulePlanner({ basePath });
+    const plan = await planner.plan({ start: '2025-03-10' });
+
+    const mermaid = planner.export(plan, 'mermaid');
+
+    expect(mermaid.split('\n').slice(0, 5)).toEqual([
+      'gantt',
+      '  title Schedule all epics',
+      '  dateFormat YYYY-MM-DD',
+      '  excludes weekends',
+      '  section alice'
+    ]);
+    expect(mermaid).toContain('  auth/t2 API :crit, t2, 2025-03-11, 2025-03-13');
+    expect(mermaid).toContain('  section bob\n  auth/t4 Docs :t1, 2025-03-10, 2025-03-11');
+    expect(JSON.parse(planner.export(plan, 'json')).finish).toBe('2025-03-13');
+    expect(() => planner.export(plan, 'svg')).toThrow('Unsupported schedule format: svg. Must be one of: ascii, mermaid, json');
+  });
+});
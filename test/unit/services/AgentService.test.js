@@ -327,6 +327,215 @@ describe('AgentService', () => {
     });
   });
 
+  describe('Session replay', () => {
+    const fsExtra = require('fs-extra');
+    const os = require('os');
+    const AgentSessionStore = require('../../../lib/agent-session-store');
+
+    let tmpDir;
+    let chatProvider;
+    let sessionStore;
+
+    const createService = (options = {}) => {
+      const agentService = new AgentService(chatProvider, { sessionStore, ...options });
+      agentService.agentsBaseDir = path.join(tmpDir, 'agents');
+      return agentService;
+    };
+
+    beforeEach(async () => {
+      tmpDir = await fsExtra.mkdtemp(path.join(os.tmpdir(), 'agent-sessions-'));
+      await fsExtra.copy(path.join(__dirname, '../../fixtures/agents/test-agent.md'), path.join(tmpDir, 'agents', 'core', 'test-agent.md'));
+
+      chatProvider = {
+        complete: jest.fn().mockResolvedValue('First answer'),
+        chat: jest.fn().mockResolvedValue('Chat answer')
+      };
+      sessionStore = new AgentSessionStore({ basePath: path.join(tmpDir, '.claude') });
+    });
+
+    afterEach(async () => {
+      await fsExtra.remove(tmpDir);
+    });
+
+    it('should persist turns and replay them through chat() after a restart', async () => {
+      const session = await sessionStore.create('test-agent');
+
+      await createService().invoke('test-agent', 'Question 1', {}, { conversationId: session.id });
+
+      // A new service instance (e.g. the next CLI run) resumes from disk
+      const response = await createService().invoke('test-agent', 'Question 2', {}, { conversationId: session.id });
+
+      expect(response).toBe('Chat answer');
+      const [messages, options] = chatProvider.chat.mock.calls[0];
+      expect(messages.map(message => message.role)).toEqual(['user', 'assistant', 'user']);
+      expect(messages[0].content).toContain('<task>Question 1</task>');
+      expect(messages[1].content).toBe('First answer');
+      expect(messages[2].content).toContain('<task>Question 2</task>');
+      expect(options.system).toContain('<agent>');
+
+      const saved = await sessionStore.get(session.id);
+      expect(saved.messages.map(message => message.task || message.content)).toEqual([
+        'Question 1', 'First answer', 'Question 2', 'Chat answer'
+      ]);
+    });
+
+    it('should keep only the newest turns that fit the token budget', async () => {
+      const session = await sessionStore.create('test-agent');
+      session.messages = [
+        { role: 'user', content: 'a'.repeat(400) },
+        { role: 'assistant', content: 'old answer' },
+        { role: 'user', content: 'recent question' },
+        { role: 'assistant', content: 'recent answer' }
+      ];
+      await sessionStore.save(session);
+
+      await createService({ maxHistoryTokens: 50 }).invoke('test-agent', 'Next', {}, { conversationId: session.id });
+
+      const [messages] = chatProvider.chat.mock.calls[0];
+      expect(messages.map(message => message.content).slice(0, 2)).toEqual(['recent question', 'recent answer']);
+      expect(messages).toHaveLength(3);
+    });
+
+    it('should fold turns over the budget into a summary', async () => {
+      chatProvider.complete.mockResolvedValue('  User asked about auth.js  ');
+      const session = await sessionStore.create('test-agent');
+      session.messages = [
+        { role: 'user', content: 'a'.repeat(400) },
+        { role: 'assistant', content: 'old answer' },
+        { role: 'user', content: 'recent question' },
+        { role: 'assistant', content: 'recent answer' }
+      ];
+      await sessionStore.save(session);
+
+      await createService({ maxHistoryTokens: 50, historyStrategy: 'summarize' })
+        .invoke('test-agent', 'Next', {}, { conversationId: session.id });
+
+      expect(chatProvider.complete.mock.calls[0][0]).toContain('old answer');
+      const [messages, options] = chatProvider.chat.mock.calls[0];
+      expect(messages).toHaveLength(3);
+      expect(options.system).toContain('<conversation_summary>\nUser asked about auth.js\n</conversation_summary>');
+
+      const saved = await sessionStore.get(session.id);
+      expect(saved.summary).toBe('User asked about auth.js');
+      expect(saved.summarizedCount).toBe(2);
+      expect(saved.messages).toHaveLength(6);
+    });
+
+    it('should reject sessions of another agent and unknown strategies', async () => {
+      const session = await sessionStore.create('code-analyzer');
+
+      await expect(createService().invoke('test-agent', 'Hi', {}, { conversationId: session.id }))
+        .rejects.toThrow(`Session ${session.id} belongs to agent code-analyzer`);
+      expect(() => createService({ historyStrategy: 'forget' }))
+        .toThrow('Invalid history strategy: forget. Must be one of: truncate, summarize');
+    });
+  });
+
+  describe('Tool use', () => {
+    const fsExtra = require('fs-extra');
+    const os = require('os');
+    const ToolRegistry = require('../../../lib/tool-registry');
+
+    let tmpDir;
+    let toolProvider;
+    let registry;
+    let closeTask;
+
+    const createService = (options = {}) => {
+      const agentService = new AgentService(toolProvider, { toolRegistry: registry, ...options });
+      agentService.agentsBaseDir = path.join(tmpDir, 'agents');
+      return agentService;
+    };
+
+    beforeEach(async () => {
+      tmpDir = await fsExtra.mkdtemp(path.join(os.tmpdir(), 'agent-tools-'));
+      await fsExtra.outputFile(path.join(tmpDir, 'agents', 'core', 'delivery-lead.md'), [
+        '---',
+        'name: delivery-lead',
+        'project-tools: list_epics, close_task',
+        '---',
+        '',
+        '# Delivery Lead',
+        '',
+        '**Specialization:** Keeping epics on track'
+      ].join('\n'));
+      await fsExtra.copy(path.join(__dirname, '../../fixtures/agents/test-agent.md'), path.join(tmpDir, 'agents', 'core', 'test-agent.md'));
+
+      closeTask = jest.fn().mockResolvedValue('Task 7 closed');
+      registry = new ToolRegistry()
+        .register({ name: 'list_epics', execute: async () => [{ name: 'auth' }] })
+        .register({
+          name: 'close_task',
+          mutating: true,
+          inputSchema: { type: 'object', required: ['id'], properties: { id: { type: 'string' } } },
+          preview: ({ id }) => `close task ${id}`,
+          execute: closeTask
+        })
+        .register({ name: 'delete_epic', mutating: true, execute: jest.fn() });
+
+      toolProvider = {
+        complete: jest.fn().mockResolvedValue('No tools needed'),
+        supportsFunctionCalling: () => true,
+        chatWithTools: jest.fn()
+          .mockResolvedValueOnce({ content: '', toolCalls: [{ id: 'c1', name: 'list_epics', input: {} }] })
+          .mockResolvedValueOnce({ content: '', toolCalls: [
+            { id: 'c2', name: 'close_task', input: { id: '7' } },
+            { id: 'c3', name: 'delete_epic', input: {} }
+          ] })
+          .mockResolvedValueOnce({ content: 'Auth is on track.', toolCalls: [] })
+      };
+    });
+
+    afterEach(async () => {
+      await fsExtra.remove(tmpDir);
+    });
+
+    it('should parse the allowed project tools from the frontmatter', async () => {
+      const agent = await createService().loadAgent('delivery-lead');
+
+      expect(agent.title).toBe('Delivery Lead');
+      expect(agent.projectTools).toEqual(['list_epics', 'close_task']);
+    });
+
+    it('should run the tool-use loop with the allowed tools in dry-run mode', async () => {
+      const onToolCall = jest.fn();
+
+      const response = await createService({ onToolCall }).invoke('delivery-lead', 'How is auth doing?');
+
+      expect(response).toBe('Auth is on track.');
+      expect(toolProvider.complete).not.toHaveBeenCalled();
+
+      const [messages, tools, options] = toolProvider.chatWithTools.mock.calls[2];
+      expect(tools.map(tool => tool.name)).toEqual(['list_epics', 'close_task']);
+      expect(options.system).toContain('Delivery Lead');
+      expect(messages.slice(1).map(message => [message.role, message.content])).toEqual([
+        ['assistant', ''],
+        ['tool', '[\n  {\n    "name": "auth"\n  }\n]'],
+        ['assistant', ''],
+        ['tool', 'Dry run, nothing was changed. Would close task 7'],
+        ['tool', 'Tool not available: delete_epic']
+      ]);
+      expect(closeTask).not.toHaveBeenCalled();
+      expect(onToolCall).toHaveBeenCalledTimes(3);
+    });
+
+    it('should apply mutating tools only when confirmed', async () => {
+      const confirmTool = jest.fn().mockResolvedValue(true);
+
+      await createService({ toolMode: 'confirm', confirmTool }).invoke('delivery-lead', 'Close task 7');
+
+      expect(confirmTool).toHaveBeenCalledWith({ name: 'close_task', input: { id: '7' }, preview: 'close task 7' });
+      expect(closeTask).toHaveBeenCalledWith({ id: '7' });
+    });
+
+    it('should stop after the step limit and skip tools for agents without an allow-list', async () => {
+      await expect(createService({ maxToolSteps: 2 }).invoke('delivery-lead', 'Loop'))
+        .rejects.toThrow('Agent did not finish within 2 tool-use steps');
+
+      expect(await createService().invoke('test-agent', 'Hi')).toBe('No tools needed');
+    });
+  });
+
   describe('Error handling', () => {
     it('should provide user-friendly error messages', async () => {
       // Arrange
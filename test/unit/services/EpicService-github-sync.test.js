@@ -21,13 +21,13 @@
  */
 
 const EpicService = require('../../../lib/services/EpicService');
+const ConflictHistory = require('../../../lib/conflict-history');
 const GitHubProvider = require('../../../lib/providers/GitHubProvider');
 const fs = require('fs-extra');
 const path = require('path');
 
 // Mock dependencies
 jest.mock('fs-extra');
-jest.mock('../../../lib/providers/GitHubProvider');
 
 describe('EpicService - GitHub Epic Synchronization', () => {
   let service;
@@ -46,7 +46,8 @@ describe('EpicService - GitHub Epic Synchronization', () => {
       listIssues: jest.fn()
     };
 
-    service = new EpicService({ provider: mockProvider });
+    // In-memory journal keeps resolution logs out of the working tree
+    service = new EpicService({ provider: mockProvider, conflictHistory: new ConflictHistory() });
     jest.clearAllMocks();
   });
 
@@ -439,7 +440,7 @@ updated: 2025-10-14T11:00:00Z
 
       await expect(service.syncEpicFromGitHub(100))
         .rejects
-        .toThrow('GitHub issue #100 is not an epic');
+        .toThrow('github item #100 is not an epic');
     });
   });
 
@@ -583,81 +584,80 @@ name: user-auth
   });
 
   // ==========================================
-  // 4. createGitHubEpic(epicData)
+  // 4. Creating GitHub epics (syncEpicToGitHub)
   // ==========================================
 
-  describe('createGitHubEpic', () => {
+  describe('creating GitHub epics', () => {
+    const mockUnsyncedEpic = (content) => {
+      fs.pathExists.mockImplementation((filePath) => Promise.resolve(filePath === testEpicFilePath));
+      fs.readFile.mockResolvedValue(content);
+      fs.writeJSON = jest.fn().mockResolvedValue(undefined);
+    };
+
     it('should create GitHub epic with epic label', async () => {
-      const epicData = {
-        name: 'user-auth',
-        title: 'User Authentication',
-        overview: 'Implement secure auth',
-        tasks: [
-          { title: 'Setup', status: 'open' },
-          { title: 'Implementation', status: 'open' }
-        ]
-      };
+      mockUnsyncedEpic(`---
+name: User Authentication
+status: planning
+---
+
+## Overview
+Implement secure auth
+
+## Tasks
+- [ ] Setup
+- [ ] Implementation`);
 
       mockProvider.createIssue.mockResolvedValue({
         number: 200,
-        title: 'Epic: User Authentication',
+        title: 'User Authentication',
         labels: ['epic']
       });
 
-      fs.pathExists.mockResolvedValue(false);
-      fs.writeJSON = jest.fn().mockResolvedValue(undefined);
-
-      const result = await service.createGitHubEpic(epicData);
+      const result = await service.syncEpicToGitHub('user-auth');
 
-      expect(result.number).toBe(200);
+      expect(result.githubNumber).toBe('200');
       expect(mockProvider.createIssue).toHaveBeenCalledWith(
         expect.objectContaining({
+          title: 'User Authentication',
           labels: expect.arrayContaining(['epic'])
         })
       );
     });
 
     it('should format tasks as checkboxes in body', async () => {
-      const epicData = {
-        name: 'test-epic',
-        title: 'Test Epic',
-        overview: 'Test',
-        tasks: [
-          { title: 'Task 1', status: 'open' },
-          { title: 'Task 2', status: 'closed' }
-        ]
-      };
+      mockUnsyncedEpic(`---
+name: Test Epic
+---
+
+## Overview
+Test
+
+## Tasks
+- [ ] Task 1
+- [x] Task 2`);
 
       mockProvider.createIssue.mockResolvedValue({ number: 200 });
-      fs.writeJSON = jest.fn().mockResolvedValue(undefined);
 
-      await service.createGitHubEpic(epicData);
+      await service.syncEpicToGitHub('user-auth');
 
-      expect(mockProvider.createIssue).toHaveBeenCalledWith(
-        expect.objectContaining({
-          body: expect.stringMatching(/- \[ \] Task 1/)
-        })
-      );
-      expect(mockProvider.createIssue).toHaveBeenCalledWith(
-        expect.objectContaining({
-          body: expect.stringMatching(/- \[x\] Task 2/)
-        })
-      );
+      const body = mockProvider.createIssue.mock.calls[0][0].body;
+      expect(body).toContain('## Task Breakdown');
+      expect(body).toMatch(/- \[ \] Task 1/);
+      expect(body).toMatch(/- \[x\] Task 2/);
     });
 
     it('should add priority labels', async () => {
-      const epicData = {
-        name: 'test-epic',
-        title: 'Test',
-        overview: 'Test',
-        priority: 'P0',
-        tasks: []
-      };
+      mockUnsyncedEpic(`---
+name: Test
+priority: P0
+---
+
+## Overview
+Test`);
 
       mockProvider.createIssue.mockResolvedValue({ number: 200 });
-      fs.writeJSON = jest.fn().mockResolvedValue(undefined);
 
-      await service.createGitHubEpic(epicData);
+      await service.syncEpicToGitHub('user-auth');
 
       expect(mockProvider.createIssue).toHaveBeenCalledWith(
         expect.objectContaining({
@@ -667,19 +667,16 @@ name: user-auth
     });
 
     it('should update epic-sync-map after creation', async () => {
-      const epicData = {
-        name: 'user-auth',
-        title: 'Test',
-        overview: 'Test',
-        tasks: []
-      };
+      mockUnsyncedEpic(`---
+name: Test
+---
 
-      mockProvider.createIssue.mockResolvedValue({ number: 300 });
+## Overview
+Test`);
 
-      fs.pathExists.mockResolvedValue(false);
-      fs.writeJSON = jest.fn().mockResolvedValue(undefined);
+      mockProvider.createIssue.mockResolvedValue({ number: 300 });
 
-      await service.createGitHubEpic(epicData);
+      await service.syncEpicToGitHub('user-auth');
 
       expect(fs.writeJSON).toHaveBeenCalledWith(
         epicSyncMapPath,
@@ -693,84 +690,102 @@ name: user-auth
   });
 
   // ==========================================
-  // 5. updateGitHubEpic(githubNumber, epicData)
+  // 5. Updating GitHub epics (syncEpicToGitHub)
   // ==========================================
 
-  describe('updateGitHubEpic', () => {
+  describe('updating GitHub epics', () => {
+    const mockSyncedEpic = (content) => {
+      fs.pathExists.mockResolvedValue(true);
+      fs.readFile.mockResolvedValue(content);
+      fs.readJSON = jest.fn().mockResolvedValue({
+        'epic-to-github': { 'user-auth': '100' },
+        'github-to-epic': { '100': 'user-auth' },
+        'metadata': {}
+      });
+      fs.writeJSON = jest.fn().mockResolvedValue(undefined);
+    };
+
     it('should update GitHub epic with new data', async () => {
-      const epicData = {
-        title: 'Updated Epic Title',
-        overview: 'Updated overview',
-        tasks: [
-          { title: 'New task', status: 'open' }
-        ]
-      };
+      mockSyncedEpic(`---
+name: Updated Epic Title
+---
+
+## Overview
+Updated overview
+
+## Tasks
+- [ ] New task`);
 
       mockProvider.updateIssue.mockResolvedValue({
         number: 100,
-        title: 'Epic: Updated Epic Title',
+        title: 'Updated Epic Title',
         updated_at: '2025-10-14T13:00:00Z'
       });
 
-      const result = await service.updateGitHubEpic(100, epicData);
+      const result = await service.syncEpicToGitHub('user-auth');
 
-      expect(result.number).toBe(100);
-      expect(mockProvider.updateIssue).toHaveBeenCalledWith(100, expect.any(Object));
+      expect(result.githubNumber).toBe('100');
+      expect(result.action).toBe('updated');
+      expect(mockProvider.updateIssue).toHaveBeenCalledWith('100',
+        expect.objectContaining({
+          title: 'Updated Epic Title',
+          body: expect.stringContaining('Updated overview')
+        })
+      );
     });
 
     it('should update task checkboxes in body', async () => {
-      const epicData = {
-        tasks: [
-          { title: 'Task 1', status: 'closed' },
-          { title: 'Task 2', status: 'open' }
-        ]
-      };
+      mockSyncedEpic(`---
+name: user-auth
+---
+
+## Tasks
+- [x] Task 1
+- [ ] Task 2`);
 
       mockProvider.updateIssue.mockResolvedValue({ number: 100 });
 
-      await service.updateGitHubEpic(100, epicData);
+      await service.syncEpicToGitHub('user-auth');
 
-      expect(mockProvider.updateIssue).toHaveBeenCalledWith(100,
-        expect.objectContaining({
-          body: expect.stringMatching(/- \[x\] Task 1/)
-        })
-      );
-      expect(mockProvider.updateIssue).toHaveBeenCalledWith(100,
-        expect.objectContaining({
-          body: expect.stringMatching(/- \[ \] Task 2/)
-        })
-      );
+      const body = mockProvider.updateIssue.mock.calls[0][1].body;
+      expect(body).toMatch(/- \[x\] Task 1/);
+      expect(body).toMatch(/- \[ \] Task 2/);
     });
 
     it('should update labels when priority changes', async () => {
-      const epicData = {
-        priority: 'P1',
-        tasks: []
-      };
+      mockSyncedEpic(`---
+name: user-auth
+priority: P1
+---`);
 
       mockProvider.updateIssue.mockResolvedValue({ number: 100 });
 
-      await service.updateGitHubEpic(100, epicData);
+      await service.syncEpicToGitHub('user-auth');
 
-      expect(mockProvider.updateIssue).toHaveBeenCalledWith(100,
+      expect(mockProvider.updateIssue).toHaveBeenCalledWith('100',
         expect.objectContaining({
           labels: expect.arrayContaining(['epic', 'priority:P1'])
         })
       );
     });
 
-    it('should handle partial updates', async () => {
-      const epicData = {
-        overview: 'Only overview update'
-      };
+    it('should close the GitHub epic when the local epic is completed', async () => {
+      mockSyncedEpic(`---
+name: user-auth
+status: completed
+---
 
-      mockProvider.updateIssue.mockResolvedValue({ number: 100 });
+## Overview
+Only overview update`);
 
-      await service.updateGitHubEpic(100, epicData);
+      mockProvider.updateIssue.mockResolvedValue({ number: 100, state: 'closed' });
 
-      expect(mockProvider.updateIssue).toHaveBeenCalledWith(100,
+      await service.syncEpicToGitHub('user-auth');
+
+      expect(mockProvider.updateIssue).toHaveBeenCalledWith('100',
         expect.objectContaining({
-          body: expect.stringContaining('Only overview update')
+          body: expect.stringContaining('Only overview update'),
+          state: 'closed'
         })
       );
     });
@@ -878,7 +893,7 @@ updated: 2025-10-14T12:00:00Z
   // HELPER METHODS (Private)
   // ==========================================
 
-  describe('_loadEpicSyncMap', () => {
+  describe('_loadProviderEpicSyncMap', () => {
     it('should load existing epic-sync-map', async () => {
       const existingSyncMap = {
         'epic-to-github': { 'user-auth': '100' },
@@ -889,7 +904,7 @@ updated: 2025-10-14T12:00:00Z
       fs.pathExists.mockResolvedValue(true);
       fs.readJSON = jest.fn().mockResolvedValue(existingSyncMap);
 
-      const result = await service._loadEpicSyncMap();
+      const result = await service._loadProviderEpicSyncMap('github');
 
       expect(result).toEqual(existingSyncMap);
       expect(fs.readJSON).toHaveBeenCalledWith(epicSyncMapPath);
@@ -898,7 +913,7 @@ updated: 2025-10-14T12:00:00Z
     it('should return default structure if epic-sync-map does not exist', async () => {
       fs.pathExists.mockResolvedValue(false);
 
-      const result = await service._loadEpicSyncMap();
+      const result = await service._loadProviderEpicSyncMap('github');
 
       expect(result).toEqual({
         'epic-to-github': {},
@@ -908,34 +923,12 @@ updated: 2025-10-14T12:00:00Z
     });
   });
 
-  describe('_saveEpicSyncMap', () => {
-    it('should save epic-sync-map to file', async () => {
-      const syncMap = {
-        'epic-to-github': { 'user-auth': '100' },
-        'github-to-epic': { '100': 'user-auth' },
-        'metadata': {}
-      };
-
-      fs.writeJSON = jest.fn().mockResolvedValue(undefined);
-
-      await service._saveEpicSyncMap(syncMap);
-
-      expect(fs.writeJSON).toHaveBeenCalledWith(epicSyncMapPath, syncMap, { spaces: 2 });
-    });
-  });
-
-  describe('_updateEpicSyncMap', () => {
+  describe('_updateProviderEpicSyncMap', () => {
     it('should update epic-sync-map with new mapping', async () => {
-      const existingSyncMap = {
-        'epic-to-github': {},
-        'github-to-epic': {},
-        'metadata': {}
-      };
-
       fs.pathExists.mockResolvedValue(false);
       fs.writeJSON = jest.fn().mockResolvedValue(undefined);
 
-      await service._updateEpicSyncMap('user-auth', '100');
+      await service._updateProviderEpicSyncMap('github', 'user-auth', '100');
 
       expect(fs.writeJSON).toHaveBeenCalledWith(
         epicSyncMapPath,
@@ -945,7 +938,7 @@ updated: 2025-10-14T12:00:00Z
           'metadata': expect.objectContaining({
             'user-auth': expect.objectContaining({
               lastSync: expect.any(String),
-              githubNumber: '100'
+              remoteId: '100'
             })
           })
         }),
@@ -987,9 +980,22 @@ updated: 2025-10-14T12:00:00Z
     });
   });
 
-  describe('_parseGitHubEpic', () => {
-    it('should parse GitHub issue to epic format', () => {
-      const githubIssue = {
+  describe('parsing pulled GitHub epics', () => {
+    const pullEpic = async (githubIssue) => {
+      mockProvider.getIssue.mockResolvedValue(githubIssue);
+      fs.pathExists.mockResolvedValue(false);
+      fs.ensureDir = jest.fn().mockResolvedValue(undefined);
+      fs.writeFile = jest.fn().mockResolvedValue(undefined);
+      fs.writeJSON = jest.fn().mockResolvedValue(undefined);
+
+      const result = await service.syncEpicFromGitHub(githubIssue.number);
+      const [filePath, content] = fs.writeFile.mock.calls.find(([file]) => file.endsWith('epic.md'));
+
+      return { result, filePath, content };
+    };
+
+    it('should parse GitHub issue to epic format', async () => {
+      const { result, filePath, content } = await pullEpic({
         number: 100,
         title: 'Epic: User Authentication',
         body: `## Overview
@@ -1004,21 +1010,19 @@ Implement auth
         ],
         created_at: '2025-10-14T10:00:00Z',
         updated_at: '2025-10-14T11:00:00Z'
-      };
-
-      const result = service._parseGitHubEpic(githubIssue);
+      });
 
-      expect(result.name).toBe('user-authentication');
-      expect(result.title).toBe('User Authentication');
-      expect(result.overview).toContain('Implement auth');
-      expect(result.priority).toBe('P1');
-      expect(result.tasks).toHaveLength(2);
-      expect(result.tasks[0].status).toBe('open');
-      expect(result.tasks[1].status).toBe('closed');
+      expect(result.epicName).toBe('user-authentication');
+      expect(filePath).toBe(path.join(process.cwd(), '.claude/epics/user-authentication/epic.md'));
+      expect(content).toContain('# Epic: User Authentication');
+      expect(content).toMatch(/## Overview\nImplement auth/);
+      expect(content).toContain('priority: P1');
+      expect(content).toContain('- [ ] Task 1');
+      expect(content).toContain('- [x] Task 2');
     });
 
-    it('should extract tasks from checkboxes', () => {
-      const githubIssue = {
+    it('should extract tasks from checkboxes', async () => {
+      const { content } = await pullEpic({
         number: 100,
         title: 'Epic: Test',
         body: `## Task Breakdown
@@ -1026,28 +1030,25 @@ Implement auth
 - [x] Implement API
 - [ ] Add tests`,
         labels: [{ name: 'epic' }]
-      };
-
-      const result = service._parseGitHubEpic(githubIssue);
+      });
 
-      expect(result.tasks).toHaveLength(3);
-      expect(result.tasks[0]).toEqual({ title: 'Setup infrastructure', status: 'open' });
-      expect(result.tasks[1]).toEqual({ title: 'Implement API', status: 'closed' });
-      expect(result.tasks[2]).toEqual({ title: 'Add tests', status: 'open' });
+      expect(content).toContain(`## Tasks
+- [ ] Setup infrastructure
+- [x] Implement API
+- [ ] Add tests`);
     });
 
-    it('should handle missing sections gracefully', () => {
-      const githubIssue = {
+    it('should handle missing sections gracefully', async () => {
+      const { result, content } = await pullEpic({
         number: 100,
         title: 'Epic: Minimal',
         body: 'Just content',
         labels: [{ name: 'epic' }]
-      };
-
-      const result = service._parseGitHubEpic(githubIssue);
+      });
 
-      expect(result.name).toBeDefined();
-      expect(result.tasks).toEqual([]);
+      expect(result.epicName).toBe('minimal');
+      expect(content).toMatch(/## Overview\nJust content/);
+      expect(content).toMatch(/## Tasks\n\n$/);
     });
   });
 });
@@ -21,13 +21,13 @@
  */
 
 const EpicService = require('../../../lib/services/EpicService');
+const ConflictHistory = require('../../../lib/conflict-history');
 const AzureDevOpsProvider = require('../../../lib/providers/AzureDevOpsProvider');
 const fs = require('fs-extra');
 const path = require('path');
 
 // Mock dependencies
 jest.mock('fs-extra');
-jest.mock('../../../lib/providers/AzureDevOpsProvider');
 
 describe('EpicService - Azure DevOps Epic Synchronization', () => {
   let service;
@@ -46,7 +46,8 @@ describe('EpicService - Azure DevOps Epic Synchronization', () => {
       getRelations: jest.fn()
     };
 
-    service = new EpicService({ provider: mockProvider });
+    // In-memory journal keeps resolution logs out of the working tree
+    service = new EpicService({ provider: mockProvider, conflictHistory: new ConflictHistory() });
     jest.clearAllMocks();
   });
 
@@ -162,7 +163,7 @@ Updated content`;
 
       expect(result.success).toBe(true);
       expect(result.action).toBe('updated');
-      expect(mockProvider.updateWorkItem).toHaveBeenCalledWith('123', expect.any(Object));
+      expect(mockProvider.updateWorkItem).toHaveBeenCalledWith(123, expect.any(Object));
     });
 
     it('should detect conflicts when enabled', async () => {
@@ -660,53 +661,55 @@ updated: 2025-10-14T10:00:00Z
   });
 
   // ==========================================
-  // 4. createAzureEpic(epicData)
+  // 4. Creating Azure epics (syncEpicToAzure)
   // ==========================================
 
-  describe('createAzureEpic', () => {
+  describe('creating Azure epics', () => {
+    const mockUnsyncedEpic = (content) => {
+      fs.pathExists.mockImplementation((filePath) => Promise.resolve(filePath === testEpicFilePath));
+      fs.readFile.mockResolvedValue(content);
+      fs.writeJSON = jest.fn().mockResolvedValue(undefined);
+    };
+
     it('should create Epic work item with correct data', async () => {
-      const epicData = {
-        name: 'user-auth',
-        title: 'User Authentication',
-        overview: 'Implement secure auth',
-        tasks: [
-          { title: 'Setup OAuth', status: 'open' },
-          { title: 'Add JWT', status: 'open' }
-        ],
-        priority: 'P1'
-      };
+      mockUnsyncedEpic(`---
+name: User Authentication
+priority: P1
+---
+
+## Overview
+Implement secure auth
+
+## Tasks
+- [ ] Setup OAuth
+- [ ] Add JWT`);
 
       mockProvider.createWorkItem.mockResolvedValue({
         id: 200,
         fields: {
           'System.WorkItemType': 'Epic',
           'System.Title': 'User Authentication',
-          'System.Tags': 'priority:P1'
+          'System.Tags': 'epic; priority:P1'
         }
       });
 
-      fs.pathExists.mockResolvedValue(false);
-      fs.writeJSON = jest.fn().mockResolvedValue(undefined);
-
-      const result = await service.createAzureEpic(epicData);
+      const result = await service.syncEpicToAzure('user-auth');
 
-      expect(result.id).toBe(200);
+      expect(result.workItemId).toBe('200');
       expect(mockProvider.createWorkItem).toHaveBeenCalledWith(
         'Epic',
         expect.objectContaining({
           title: 'User Authentication',
-          tags: 'priority:P1'
+          description: expect.stringContaining('Implement secure auth'),
+          tags: expect.stringContaining('priority:P1')
         })
       );
     });
 
     it('should set Work Item Type to Epic', async () => {
-      const epicData = {
-        name: 'test-epic',
-        title: 'Test Epic',
-        overview: 'Test',
-        tasks: []
-      };
+      mockUnsyncedEpic(`---
+name: Test Epic
+---`);
 
       mockProvider.createWorkItem.mockResolvedValue({
         id: 200,
@@ -715,9 +718,7 @@ updated: 2025-10-14T10:00:00Z
         }
       });
 
-      fs.writeJSON = jest.fn().mockResolvedValue(undefined);
-
-      await service.createAzureEpic(epicData);
+      await service.syncEpicToAzure('user-auth');
 
       expect(mockProvider.createWorkItem).toHaveBeenCalledWith(
         'Epic',
@@ -726,13 +727,10 @@ updated: 2025-10-14T10:00:00Z
     });
 
     it('should map priority to tags', async () => {
-      const epicData = {
-        name: 'test-epic',
-        title: 'Test',
-        overview: 'Test',
-        priority: 'P0',
-        tasks: []
-      };
+      mockUnsyncedEpic(`---
+name: Test
+priority: P0
+---`);
 
       mockProvider.createWorkItem.mockResolvedValue({
         id: 200,
@@ -741,25 +739,20 @@ updated: 2025-10-14T10:00:00Z
         }
       });
 
-      fs.writeJSON = jest.fn().mockResolvedValue(undefined);
-
-      await service.createAzureEpic(epicData);
+      await service.syncEpicToAzure('user-auth');
 
       expect(mockProvider.createWorkItem).toHaveBeenCalledWith(
         'Epic',
         expect.objectContaining({
-          tags: 'priority:P0'
+          tags: 'epic; priority:P0'
         })
       );
     });
 
     it('should update epic-azure-sync-map with work item ID', async () => {
-      const epicData = {
-        name: 'user-auth',
-        title: 'Test',
-        overview: 'Test',
-        tasks: []
-      };
+      mockUnsyncedEpic(`---
+name: Test
+---`);
 
       mockProvider.createWorkItem.mockResolvedValue({
         id: 300,
@@ -768,10 +761,7 @@ updated: 2025-10-14T10:00:00Z
         }
       });
 
-      fs.pathExists.mockResolvedValue(false);
-      fs.writeJSON = jest.fn().mockResolvedValue(undefined);
-
-      await service.createAzureEpic(epicData);
+      await service.syncEpicToAzure('user-auth');
 
       expect(fs.writeJSON).toHaveBeenCalledWith(
         epicAzureSyncMapPath,
@@ -780,8 +770,7 @@ updated: 2025-10-14T10:00:00Z
           'azure-to-epic': { '300': 'user-auth' },
           'metadata': expect.objectContaining({
             'user-auth': expect.objectContaining({
-              workItemId: '300',
-              workItemType: 'Epic'
+              remoteId: '300'
             })
           })
         }),
@@ -791,18 +780,31 @@ updated: 2025-10-14T10:00:00Z
   });
 
   // ==========================================
-  // 5. updateAzureEpic(workItemId, epicData)
+  // 5. Updating Azure epics (syncEpicToAzure)
   // ==========================================
 
-  describe('updateAzureEpic', () => {
+  describe('updating Azure epics', () => {
+    const mockSyncedEpic = (content) => {
+      fs.pathExists.mockResolvedValue(true);
+      fs.readFile.mockResolvedValue(content);
+      fs.readJSON = jest.fn().mockResolvedValue({
+        'epic-to-azure': { 'user-auth': '123' },
+        'azure-to-epic': { '123': 'user-auth' },
+        'metadata': {}
+      });
+      fs.writeJSON = jest.fn().mockResolvedValue(undefined);
+    };
+
     it('should update epic work item with changed fields', async () => {
-      const epicData = {
-        title: 'Updated Epic Title',
-        overview: 'Updated overview',
-        tasks: [
-          { title: 'New task', status: 'open' }
-        ]
-      };
+      mockSyncedEpic(`---
+name: Updated Epic Title
+---
+
+## Overview
+Updated overview
+
+## Tasks
+- [ ] New task`);
 
       mockProvider.updateWorkItem.mockResolvedValue({
         id: 123,
@@ -813,32 +815,36 @@ updated: 2025-10-14T10:00:00Z
         }
       });
 
-      const result = await service.updateAzureEpic(123, epicData);
+      const result = await service.syncEpicToAzure('user-auth');
 
-      expect(result.id).toBe(123);
-      expect(mockProvider.updateWorkItem).toHaveBeenCalledWith(123, expect.any(Object));
+      expect(result.workItemId).toBe('123');
+      expect(mockProvider.updateWorkItem).toHaveBeenCalledWith(123,
+        expect.objectContaining({
+          title: 'Updated Epic Title',
+          description: expect.stringContaining('- [ ] New task')
+        })
+      );
     });
 
     it('should map status correctly', async () => {
       const statusMappings = [
+        { localStatus: 'backlog', azureState: 'New' },
         { localStatus: 'planning', azureState: 'New' },
         { localStatus: 'in-progress', azureState: 'Active' },
         { localStatus: 'done', azureState: 'Resolved' },
+        { localStatus: 'completed', azureState: 'Resolved' },
         { localStatus: 'closed', azureState: 'Closed' }
       ];
 
-      mockProvider.updateWorkItem.mockResolvedValue({ id: 123 });
-
       for (const mapping of statusMappings) {
         jest.clearAllMocks();
+        mockSyncedEpic(`---
+name: Test
+status: ${mapping.localStatus}
+---`);
+        mockProvider.updateWorkItem.mockResolvedValue({ id: 123 });
 
-        const epicData = {
-          title: 'Test',
-          status: mapping.localStatus,
-          tasks: []
-        };
-
-        await service.updateAzureEpic(123, epicData);
+        await service.syncEpicToAzure('user-auth');
 
         expect(mockProvider.updateWorkItem).toHaveBeenCalledWith(123,
           expect.objectContaining({
@@ -848,14 +854,17 @@ updated: 2025-10-14T10:00:00Z
       }
     });
 
-    it('should handle partial updates', async () => {
-      const epicData = {
-        overview: 'Only overview update'
-      };
+    it('should send the overview in the description', async () => {
+      mockSyncedEpic(`---
+name: user-auth
+---
+
+## Overview
+Only overview update`);
 
       mockProvider.updateWorkItem.mockResolvedValue({ id: 123 });
 
-      await service.updateAzureEpic(123, epicData);
+      await service.syncEpicToAzure('user-auth');
 
       expect(mockProvider.updateWorkItem).toHaveBeenCalledWith(123,
         expect.objectContaining({
@@ -945,7 +954,7 @@ updated: 2025-10-14T12:00:00Z
   // HELPER METHODS (Private)
   // ==========================================
 
-  describe('_loadAzureEpicSyncMap', () => {
+  describe('_loadProviderEpicSyncMap', () => {
     it('should load existing epic-azure-sync-map', async () => {
       const existingSyncMap = {
         'epic-to-azure': { 'user-auth': '123' },
@@ -956,7 +965,7 @@ updated: 2025-10-14T12:00:00Z
       fs.pathExists.mockResolvedValue(true);
       fs.readJSON = jest.fn().mockResolvedValue(existingSyncMap);
 
-      const result = await service._loadAzureEpicSyncMap();
+      const result = await service._loadProviderEpicSyncMap('azure');
 
       expect(result).toEqual(existingSyncMap);
       expect(fs.readJSON).toHaveBeenCalledWith(epicAzureSyncMapPath);
@@ -965,7 +974,7 @@ updated: 2025-10-14T12:00:00Z
     it('should return default structure if epic-azure-sync-map does not exist', async () => {
       fs.pathExists.mockResolvedValue(false);
 
-      const result = await service._loadAzureEpicSyncMap();
+      const result = await service._loadProviderEpicSyncMap('azure');
 
       expect(result).toEqual({
         'epic-to-azure': {},
@@ -975,34 +984,12 @@ updated: 2025-10-14T12:00:00Z
     });
   });
 
-  describe('_saveAzureEpicSyncMap', () => {
-    it('should save epic-azure-sync-map to file', async () => {
-      const syncMap = {
-        'epic-to-azure': { 'user-auth': '123' },
-        'azure-to-epic': { '123': 'user-auth' },
-        'metadata': {}
-      };
-
-      fs.writeJSON = jest.fn().mockResolvedValue(undefined);
-
-      await service._saveAzureEpicSyncMap(syncMap);
-
-      expect(fs.writeJSON).toHaveBeenCalledWith(epicAzureSyncMapPath, syncMap, { spaces: 2 });
-    });
-  });
-
-  describe('_updateAzureEpicSyncMap', () => {
+  describe('_updateProviderEpicSyncMap', () => {
     it('should update epic-azure-sync-map with new mapping', async () => {
-      const existingSyncMap = {
-        'epic-to-azure': {},
-        'azure-to-epic': {},
-        'metadata': {}
-      };
-
       fs.pathExists.mockResolvedValue(false);
       fs.writeJSON = jest.fn().mockResolvedValue(undefined);
 
-      await service._updateAzureEpicSyncMap('user-auth', '123');
+      await service._updateProviderEpicSyncMap('azure', 'user-auth', '123');
 
       expect(fs.writeJSON).toHaveBeenCalledWith(
         epicAzureSyncMapPath,
@@ -1012,8 +999,7 @@ updated: 2025-10-14T12:00:00Z
           'metadata': expect.objectContaining({
             'user-auth': expect.objectContaining({
               lastSync: expect.any(String),
-              workItemId: '123',
-              workItemType: 'Epic'
+              remoteId: '123'
             })
           })
         }),
@@ -1022,8 +1008,8 @@ updated: 2025-10-14T12:00:00Z
     });
   });
 
-  describe('_formatEpicForAzure', () => {
-    it('should format epic data as Azure work item description', () => {
+  describe('work item description format', () => {
+    it('should format epic data as the work item description', () => {
       const epicData = {
         overview: 'Test overview',
         tasks: [
@@ -1032,10 +1018,10 @@ updated: 2025-10-14T12:00:00Z
         ]
       };
 
-      const result = service._formatEpicForAzure(epicData);
+      const result = service._formatEpicForGitHub(epicData);
 
       expect(result).toContain('Test overview');
-      expect(result).toContain('## Tasks');
+      expect(result).toContain('## Task Breakdown');
       expect(result).toContain('- [ ] Task 1');
       expect(result).toContain('- [x] Task 2');
     });
@@ -1046,96 +1032,85 @@ updated: 2025-10-14T12:00:00Z
         tasks: []
       };
 
-      const result = service._formatEpicForAzure(epicData);
+      const result = service._formatEpicForGitHub(epicData);
 
       expect(result).toContain('Test');
-      expect(result).toContain('## Tasks');
+      expect(result).toContain('## Task Breakdown');
       expect(result).toContain('No tasks defined');
     });
-
-    it('should include overview section', () => {
-      const epicData = {
-        overview: 'Epic overview content',
-        tasks: [{ title: 'Task', status: 'open' }]
-      };
-
-      const result = service._formatEpicForAzure(epicData);
-
-      expect(result).toContain('Epic overview content');
-    });
   });
 
-  describe('_parseAzureEpic', () => {
-    it('should parse Azure work item to epic format', () => {
-      const azureWorkItem = {
-        id: 123,
-        fields: {
-          'System.WorkItemType': 'Epic',
-          'System.Title': 'User Authentication',
-          'System.Description': `Implement auth
+  describe('_parseRemoteEpicBody', () => {
+    it('should parse a legacy Azure description', () => {
+      const result = service._parseRemoteEpicBody(`Implement auth
 
 ## Tasks
 - [ ] Task 1
-- [x] Task 2`,
-          'System.Tags': 'priority:P1',
-          'System.State': 'New',
-          'System.CreatedDate': '2025-10-14T10:00:00Z',
-          'System.ChangedDate': '2025-10-14T11:00:00Z'
-        }
-      };
-
-      const result = service._parseAzureEpic(azureWorkItem);
+- [x] Task 2`);
 
-      expect(result.name).toBe('user-authentication');
-      expect(result.title).toBe('User Authentication');
-      expect(result.overview).toContain('Implement auth');
-      expect(result.priority).toBe('P1');
-      expect(result.tasks).toHaveLength(2);
-      expect(result.tasks[0].status).toBe('open');
-      expect(result.tasks[1].status).toBe('closed');
+      expect(result.overview).toBe('Implement auth');
+      expect(result.tasks).toEqual([
+        { title: 'Task 1', status: 'open' },
+        { title: 'Task 2', status: 'closed' }
+      ]);
     });
 
-    it('should extract tasks from description checkboxes', () => {
-      const azureWorkItem = {
-        id: 123,
-        fields: {
-          'System.WorkItemType': 'Epic',
-          'System.Title': 'Test',
-          'System.Description': `## Tasks
+    it('should parse a description with an Overview heading', () => {
+      const result = service._parseRemoteEpicBody(`## Overview
+Implement auth
+
+## Task Breakdown
 - [ ] Setup infrastructure
 - [x] Implement API
-- [ ] Add tests`,
-          'System.State': 'New'
-        }
-      };
-
-      const result = service._parseAzureEpic(azureWorkItem);
+- [ ] Add tests`);
 
+      expect(result.overview).toBe('Implement auth');
       expect(result.tasks).toHaveLength(3);
-      expect(result.tasks[0]).toEqual({ title: 'Setup infrastructure', status: 'open' });
       expect(result.tasks[1]).toEqual({ title: 'Implement API', status: 'closed' });
-      expect(result.tasks[2]).toEqual({ title: 'Add tests', status: 'open' });
     });
 
     it('should handle missing sections gracefully', () => {
-      const azureWorkItem = {
+      expect(service._parseRemoteEpicBody(null)).toEqual({ overview: '', tasks: [] });
+      expect(service._parseRemoteEpicBody('## Tasks\n')).toEqual({ overview: '', tasks: [] });
+    });
+  });
+
+  describe('parsing pulled Azure epics', () => {
+    it('should write overview, priority and tasks from the work item', async () => {
+      mockProvider.getWorkItem.mockResolvedValue({
         id: 123,
         fields: {
           'System.WorkItemType': 'Epic',
-          'System.Title': 'Minimal Epic',
-          'System.Description': 'Just content',
-          'System.State': 'New'
-        }
-      };
+          'System.Title': 'User Authentication',
+          'System.Description': `Implement auth
 
-      const result = service._parseAzureEpic(azureWorkItem);
+## Tasks
+- [ ] Task 1
+- [x] Task 2`,
+          'System.Tags': 'priority:P1',
+          'System.State': 'Active',
+          'System.CreatedDate': '2025-10-14T10:00:00Z',
+          'System.ChangedDate': '2025-10-14T11:00:00Z'
+        }
+      });
+      fs.pathExists.mockResolvedValue(false);
+      fs.ensureDir = jest.fn().mockResolvedValue(undefined);
+      fs.writeFile = jest.fn().mockResolvedValue(undefined);
+      fs.writeJSON = jest.fn().mockResolvedValue(undefined);
 
-      expect(result.name).toBeDefined();
-      expect(result.tasks).toEqual([]);
+      const result = await service.syncEpicFromAzure(123);
+      const content = fs.writeFile.mock.calls.find(([file]) => file.endsWith('epic.md'))[1];
+
+      expect(result.epicName).toBe('user-authentication');
+      expect(content).toContain('status: in-progress');
+      expect(content).toContain('priority: P1');
+      expect(content).toMatch(/## Overview\nImplement auth/);
+      expect(content).toContain('- [ ] Task 1');
+      expect(content).toContain('- [x] Task 2');
     });
   });
 
-  describe('_detectAzureEpicConflict', () => {
+  describe('_detectProviderEpicConflict', () => {
     it('should detect no conflict when timestamps match', () => {
       const localEpic = {
         title: 'Epic',
@@ -1143,17 +1118,11 @@ updated: 2025-10-14T12:00:00Z
         updated: '2025-10-14T10:00:00Z'
       };
 
-      const azureWorkItem = {
-        id: 123,
-        fields: {
-          'System.WorkItemType': 'Epic',
-          'System.Title': 'Epic',
-          'System.State': 'New',
-          'System.ChangedDate': '2025-10-14T10:00:00Z'
-        }
-      };
-
-      const result = service._detectAzureEpicConflict(localEpic, azureWorkItem);
+      const result = service._detectProviderEpicConflict(localEpic, {
+        title: 'Epic',
+        status: 'open',
+        updated: '2025-10-14T10:00:00Z'
+      });
 
       expect(result.hasConflict).toBe(false);
       expect(result.conflictFields).toEqual([]);
@@ -1165,15 +1134,10 @@ updated: 2025-10-14T12:00:00Z
         updated: '2025-10-14T12:00:00Z'
       };
 
-      const azureWorkItem = {
-        id: 123,
-        fields: {
-          'System.Title': 'Azure Version',
-          'System.ChangedDate': '2025-10-14T10:00:00Z'
-        }
-      };
-
-      const result = service._detectAzureEpicConflict(localEpic, azureWorkItem);
+      const result = service._detectProviderEpicConflict(localEpic, {
+        title: 'Azure Version',
+        updated: '2025-10-14T10:00:00Z'
+      });
 
       expect(result.hasConflict).toBe(true);
       expect(result.localNewer).toBe(true);
@@ -1186,15 +1150,10 @@ updated: 2025-10-14T12:00:00Z
         updated: '2025-10-14T10:00:00Z'
       };
 
-      const azureWorkItem = {
-        id: 123,
-        fields: {
-          'System.Title': 'Azure',
-          'System.ChangedDate': '2025-10-14T12:00:00Z'
-        }
-      };
-
-      const result = service._detectAzureEpicConflict(localEpic, azureWorkItem);
+      const result = service._detectProviderEpicConflict(localEpic, {
+        title: 'Azure',
+        updated: '2025-10-14T12:00:00Z'
+      });
 
       expect(result.hasConflict).toBe(true);
       expect(result.localNewer).toBe(false);
@@ -0,0 +1,305 @@
+/**
+ * EpicService Provider-Neutral Sync Tests
+ *
+ * Exercises syncEpic() against an in-memory tracker that only implements the
+ * IssueTrackerProvider contract.
+ *
+ * Coverage:
+ * - push (create/update) with epic labels
+ * - pull into a new local epic
+ * - bidirectional conflict detection and base-snapshot merges
+ * - conflict history for resolutions that overwrite the local epic
+ * - deprecated GitHub/Azure methods delegating to syncEpic()
+ * - getEpicProviderSyncStatus
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ConflictHistory = require('../../../lib/conflict-history');
+const EpicService = require('../../../lib/services/EpicService');
+const IssueTrackerProvider = require('../../../lib/providers/IssueTrackerProvider');
+const { defaultRegistry } = require('../../../lib/providers/ProviderRegistry');
+
+class MemoryTrackerProvider extends IssueTrackerProvider {
+  constructor() {
+    super();
+    this.items = new Map();
+    this.nextId = 1;
+  }
+
+  getName() {
+    return 'memory';
+  }
+
+  async getItem(id) {
+    const item = this.items.get(String(id));
+    if (!item) {
+      throw new Error(`Item not found: ${id}`);
+    }
+    return { ...item };
+  }
+
+  async createItem(item) {
+    const id = String(this.nextId++);
+    const now = new Date().toISOString();
+    this.items.set(id, { id, created: now, updated: now, ...item });
+    return this.getItem(id);
+  }
+
+  async updateItem(id, item) {
+    const existing = await this.getItem(id);
+    this.items.set(String(id), { ...existing, ...item, updated: new Date().toISOString() });
+    return this.getItem(id);
+  }
+}
+
+describe('EpicService - Provider-Neutral Sync', () => {
+  let tmpDir;
+  let service;
+  let provider;
+
+  const writeEpic = (name, { priority = 'P1', updated = '2025-01-01T00:00:00Z' } = {}) => {
+    const epicPath = path.join(tmpDir, '.claude/epics', name, 'epic.md');
+    fs.ensureDirSync(path.dirname(epicPath));
+    fs.writeFileSync(epicPath, `---
+name: ${name}
+status: in-progress
+priority: ${priority}
+created: 2025-01-01T00:00:00Z
+updated: ${updated}
+---
+
+# Epic: ${name}
+
+## Overview
+User authentication for the web app.
+
+## Tasks
+- [ ] Login form
+- [x] Session storage
+`);
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'epic-provider-sync-'));
+    jest.spyOn(process, 'cwd').mockReturnValue(tmpDir);
+    provider = new MemoryTrackerProvider();
+    service = new EpicService({ provider });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.removeSync(tmpDir);
+  });
+
+  it('should push an epic as an epic-labelled item', async () => {
+    writeEpic('user-auth');
+
+    const result = await service.syncEpic('user-auth');
+
+    expect(result).toMatchObject({
+      success: true,
+      provider: 'memory',
+      epicName: 'user-auth',
+      remoteId: '1',
+      action: 'created',
+      direction: 'push'
+    });
+
+    const item = await provider.getItem(1);
+    expect(item.type).toBe('epic');
+    expect(item.labels).toEqual(['epic', 'priority:P1']);
+    expect(item.body).toContain('User authentication for the web app.');
+
+    const syncMap = fs.readJSONSync(path.join(tmpDir, '.claude/epic-memory-sync-map.json'));
+    expect(syncMap['epic-to-memory']['user-auth']).toBe('1');
+    expect(syncMap['memory-to-epic']['1']).toBe('user-auth');
+  });
+
+  it('should update the linked item on subsequent pushes', async () => {
+    writeEpic('user-auth');
+    await service.syncEpic('user-auth');
+
+    writeEpic('user-auth', { priority: 'P0' });
+    const result = await service.syncEpic('user-auth');
+
+    expect(result.action).toBe('updated');
+    expect(provider.items.size).toBe(1);
+    expect((await provider.getItem(1)).labels).toContain('priority:P0');
+  });
+
+  it('should pull a remote epic into a new local epic', async () => {
+    await provider.createItem({
+      title: 'Epic: Payments Flow',
+      body: '## Overview\nCard payments.\n\n## Task Breakdown\n- [ ] Checkout page\n',
+      status: 'open',
+      labels: ['epic', 'priority:P0'],
+      type: 'epic'
+    });
+
+    const result = await service.syncEpic(null, provider, { direction: 'pull', remoteId: 1 });
+
+    expect(result).toMatchObject({ success: true, epicName: 'payments-flow', action: 'created' });
+
+    const content = fs.readFileSync(path.join(tmpDir, '.claude/epics/payments-flow/epic.md'), 'utf8');
+    expect(content).toContain('status: planning');
+    expect(content).toContain('priority: P0');
+    expect(content).toContain('provider: memory');
+    expect(content).toContain('Card payments.');
+  });
+
+  it('should keep an in-progress status the tracker shows as open when pulling', async () => {
+    writeEpic('user-auth');
+    await service.syncEpic('user-auth');
+
+    // Collapse the pushed status to open the way GitHub issues do
+    provider.roundTripStatus = status => (['closed', 'done'].includes(status) ? 'closed' : 'open');
+    await provider.updateItem(1, { status: 'open', labels: ['epic', 'priority:P0'] });
+
+    const result = await service.syncEpic('user-auth', provider, { direction: 'pull' });
+
+    expect(result.direction).toBe('pull');
+    const epic = fs.readFileSync(path.join(tmpDir, '.claude/epics/user-auth/epic.md'), 'utf8');
+    expect(epic).toContain('status: in-progress');
+    expect(epic).toContain('priority: P0');
+  });
+
+  it('should refuse to pull items that are not epics', async () => {
+    await provider.createItem({ title: 'Bug', status: 'open', labels: ['bug'], type: 'issue' });
+
+    await expect(service.syncEpic(null, provider, { direction: 'pull', remoteId: 1 }))
+      .rejects.toThrow('memory item #1 is not an epic');
+  });
+
+  it('should detect overlapping bidirectional edits', async () => {
+    writeEpic('user-auth');
+    await service.syncEpic('user-auth');
+    writeEpic('user-auth', { priority: 'P0', updated: '2025-01-02T00:00:00Z' });
+    await provider.updateItem(1, { labels: ['epic', 'priority:P3'] });
+
+    const result = await service.syncEpic('user-auth', provider, {
+      direction: 'bidirectional',
+      conflictStrategy: 'detect'
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.direction).toBe('conflict');
+    expect(result.conflict.remoteNewer).toBe(true);
+    expect(result.conflict.mergeConflicts[0]).toMatchObject({ field: 'priority', localContent: 'P0', remoteContent: 'P3' });
+  });
+
+  it('should merge non-overlapping epic edits and keep other sections', async () => {
+    writeEpic('user-auth');
+    const epicPath = path.join(tmpDir, '.claude/epics/user-auth/epic.md');
+    fs.appendFileSync(epicPath, '\n## Notes\nKeep me.\n');
+    await service.syncEpic('user-auth');
+
+    fs.writeFileSync(epicPath, fs.readFileSync(epicPath, 'utf8')
+      .replace('User authentication for the web app.', 'User authentication for web and mobile.')
+      .replace('updated: 2025-01-01T00:00:00Z', 'updated: 2025-01-02T00:00:00Z'));
+
+    const remote = await provider.getItem(1);
+    await provider.updateItem(1, {
+      body: remote.body.replace('- [ ] Login form', '- [x] Login form'),
+      labels: ['epic', 'priority:P0']
+    });
+
+    const result = await service.syncEpic('user-auth', provider, { direction: 'bidirectional' });
+
+    expect(result).toMatchObject({ success: true, direction: 'merged' });
+
+    const content = fs.readFileSync(epicPath, 'utf8');
+    expect(content).toContain('priority: P0');
+    expect(content).toContain('User authentication for web and mobile.');
+    expect(content).toContain('- [x] Login form');
+    expect(content).toContain('## Notes\nKeep me.');
+
+    const item = await provider.getItem(1);
+    expect(item.body).toContain('User authentication for web and mobile.');
+    expect(item.body).toContain('- [x] Login form');
+  });
+
+  it('should log resolutions that overwrite the local epic so they can be undone', async () => {
+    const history = new ConflictHistory({ storage: 'memory' });
+    service = new EpicService({ provider, conflictHistory: history });
+    const epicPath = path.join(tmpDir, '.claude/epics/user-auth/epic.md');
+
+    writeEpic('user-auth');
+    await service.syncEpic('user-auth');
+    writeEpic('user-auth', { priority: 'P0', updated: '2025-01-02T00:00:00Z' });
+    const localContent = fs.readFileSync(epicPath, 'utf8');
+    await provider.updateItem(1, { labels: ['epic', 'priority:P3'] });
+
+    await service.syncEpic('user-auth', provider, { direction: 'bidirectional', conflictStrategy: 'remote' });
+
+    expect(fs.readFileSync(epicPath, 'utf8')).toContain('priority: P3');
+    const [entry] = history.getByEntity('epic', 'user-auth');
+    expect(entry).toMatchObject({ filePath: epicPath, previousContent: localContent });
+    expect(entry.resolution.strategy).toBe('remote');
+
+    expect(history.undo(entry.id).restored).toBe(true);
+    expect(fs.readFileSync(epicPath, 'utf8')).toBe(localContent);
+  });
+
+  it('should report sync status', async () => {
+    writeEpic('user-auth');
+
+    expect(await service.getEpicProviderSyncStatus('user-auth')).toMatchObject({
+      synced: false,
+      status: 'not-synced'
+    });
+
+    await service.syncEpic('user-auth');
+
+    expect(await service.getEpicProviderSyncStatus('user-auth')).toMatchObject({
+      synced: true,
+      remoteId: '1',
+      status: 'synced'
+    });
+  });
+
+  describe('deprecated GitHub and Azure methods', () => {
+    const trackerNamed = name => {
+      const tracker = new MemoryTrackerProvider();
+      tracker.getName = () => name;
+      return tracker;
+    };
+
+    it('should push, pull and sync bidirectionally through syncEpic()', async () => {
+      const github = trackerNamed('github');
+      service = new EpicService({ provider: github });
+      const syncSpy = jest.spyOn(service, 'syncEpic');
+      writeEpic('user-auth');
+
+      expect(await service.syncEpicToGitHub('user-auth')).toMatchObject({
+        success: true, provider: 'github', remoteId: '1', githubNumber: '1', direction: 'to-github'
+      });
+      expect(fs.readJSONSync(path.join(tmpDir, '.claude/epic-sync-map.json'))['epic-to-github']['user-auth']).toBe('1');
+
+      expect(await service.syncEpicFromGitHub(1)).toMatchObject({ epicName: 'user-auth', githubNumber: '1', direction: 'from-github' });
+      expect(await service.syncEpicBidirectional('user-auth')).toMatchObject({ success: true, githubNumber: '1' });
+      expect(await service.getEpicSyncStatus('user-auth')).toMatchObject({ synced: true, githubNumber: '1' });
+
+      expect(syncSpy.mock.calls.map(([name, tracker, options]) => [name, tracker, options.direction])).toEqual([
+        ['user-auth', github, 'push'],
+        [null, github, 'pull'],
+        ['user-auth', github, 'bidirectional']
+      ]);
+    });
+
+    it('should create the tracker from the registry when this.provider is another backend', async () => {
+      const azure = trackerNamed('azure');
+      jest.spyOn(defaultRegistry, 'create').mockReturnValue(azure);
+      service = new EpicService({ provider: trackerNamed('github') });
+      writeEpic('user-auth');
+
+      expect(await service.syncEpicToAzure('user-auth')).toMatchObject({ provider: 'azure', workItemId: '1' });
+      expect(defaultRegistry.create).toHaveBeenCalledWith('azure');
+      expect(fs.readJSONSync(path.join(tmpDir, '.claude/epic-azure-sync-map.json'))['epic-to-azure']['user-auth']).toBe('1');
+      expect(await service.syncEpicBidirectionalAzure('user-auth')).toMatchObject({ success: true, workItemId: '1' });
+      expect(await service.syncEpicFromAzure(1)).toMatchObject({ epicName: 'user-auth', workItemId: '1' });
+      expect(await service.getEpicAzureSyncStatus('user-auth')).toMatchObject({ workItemId: '1' });
+    });
+  });
+});
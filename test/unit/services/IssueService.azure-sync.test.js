@@ -21,13 +21,13 @@
  */
 
 const IssueService = require('../../../lib/services/IssueService');
+const ConflictHistory = require('../../../lib/conflict-history');
 const AzureDevOpsProvider = require('../../../lib/providers/AzureDevOpsProvider');
 const fs = require('fs-extra');
 const path = require('path');
 
 // Mock dependencies
 jest.mock('fs-extra');
-jest.mock('../../../lib/providers/AzureDevOpsProvider');
 
 describe('IssueService - Azure DevOps Synchronization', () => {
   let service;
@@ -43,7 +43,8 @@ describe('IssueService - Azure DevOps Synchronization', () => {
       listWorkItems: jest.fn()
     };
 
-    service = new IssueService({ provider: mockProvider });
+    // In-memory journal keeps resolution logs out of the working tree
+    service = new IssueService({ provider: mockProvider, conflictHistory: new ConflictHistory() });
     jest.clearAllMocks();
   });
 
@@ -140,7 +141,7 @@ updated: 2025-10-14T11:00:00Z
 
       expect(result.success).toBe(true);
       expect(result.action).toBe('updated');
-      expect(mockProvider.updateWorkItem).toHaveBeenCalledWith('123', expect.any(Object));
+      expect(mockProvider.updateWorkItem).toHaveBeenCalledWith(123, expect.any(Object));
     });
 
     it('should detect conflicts when enabled', async () => {
@@ -645,18 +646,27 @@ updated: 2025-10-14T10:00:00Z
   });
 
   // ==========================================
-  // 4. createAzureWorkItem(issueData)
+  // 4. Creating work items (syncToAzure)
   // ==========================================
 
-  describe('createAzureWorkItem', () => {
+  describe('creating work items', () => {
+    const mockUnsyncedIssue = (content) => {
+      fs.pathExists.mockImplementation((filePath) => {
+        if (filePath.includes('azure-sync-map.json')) return Promise.resolve(false);
+        return Promise.resolve(true);
+      });
+      fs.readFile.mockResolvedValue(content);
+      fs.writeJSON = jest.fn().mockResolvedValue(undefined);
+    };
+
     it('should create work item with correct data', async () => {
-      const issueData = {
-        id: '1',
-        title: 'New Azure Work Item',
-        content: 'Work item description',
-        status: 'open',
-        labels: 'bug, feature'
-      };
+      mockUnsyncedIssue(`---
+id: 1
+title: New Azure Work Item
+status: open
+labels: bug, feature
+---
+Work item description`);
 
       mockProvider.createWorkItem.mockResolvedValue({
         id: 456,
@@ -667,31 +677,26 @@ updated: 2025-10-14T10:00:00Z
         }
       });
 
-      fs.pathExists.mockImplementation((filePath) => {
-        if (filePath.includes('azure-sync-map.json')) return Promise.resolve(false);
-        return Promise.resolve(true);
-      });
-      fs.writeJSON = jest.fn().mockResolvedValue(undefined);
-
-      const result = await service.createAzureWorkItem(issueData);
+      const result = await service.syncToAzure(1);
 
-      expect(result.id).toBe(456);
+      expect(result.workItemId).toBe('456');
       expect(mockProvider.createWorkItem).toHaveBeenCalledWith(
         'User Story',
         expect.objectContaining({
           title: 'New Azure Work Item',
           description: 'Work item description',
           state: 'New',
-          tags: 'bug, feature'
+          tags: 'bug; feature'
         })
       );
     });
 
     it('should default to User Story type', async () => {
-      const issueData = {
-        title: 'Test Work Item',
-        content: 'Content'
-      };
+      mockUnsyncedIssue(`---
+id: 2
+title: Test Work Item
+---
+Content`);
 
       mockProvider.createWorkItem.mockResolvedValue({
         id: 789,
@@ -700,9 +705,7 @@ updated: 2025-10-14T10:00:00Z
         }
       });
 
-      fs.writeJSON = jest.fn().mockResolvedValue(undefined);
-
-      await service.createAzureWorkItem(issueData);
+      await service.syncToAzure(2);
 
       expect(mockProvider.createWorkItem).toHaveBeenCalledWith(
         'User Story',
@@ -715,21 +718,20 @@ updated: 2025-10-14T10:00:00Z
         { status: 'open', expectedState: 'New' },
         { status: 'in-progress', expectedState: 'Active' },
         { status: 'done', expectedState: 'Resolved' },
+        { status: 'completed', expectedState: 'Resolved' },
         { status: 'closed', expectedState: 'Closed' }
       ];
 
-      mockProvider.createWorkItem.mockResolvedValue({ id: 1 });
-      fs.writeJSON = jest.fn().mockResolvedValue(undefined);
-
       for (const testCase of testCases) {
         jest.clearAllMocks();
+        mockUnsyncedIssue(`---
+id: 3
+title: Test
+status: ${testCase.status}
+---`);
+        mockProvider.createWorkItem.mockResolvedValue({ id: 1 });
 
-        const issueData = {
-          title: 'Test',
-          status: testCase.status
-        };
-
-        await service.createAzureWorkItem(issueData);
+        await service.syncToAzure(3);
 
         expect(mockProvider.createWorkItem).toHaveBeenCalledWith(
           'User Story',
@@ -741,11 +743,11 @@ updated: 2025-10-14T10:00:00Z
     });
 
     it('should update azure-sync-map with work item ID', async () => {
-      const issueData = {
-        id: '5',
-        title: 'Test',
-        content: 'Content'
-      };
+      mockUnsyncedIssue(`---
+id: 5
+title: Test
+---
+Content`);
 
       mockProvider.createWorkItem.mockResolvedValue({
         id: 999,
@@ -754,13 +756,7 @@ updated: 2025-10-14T10:00:00Z
         }
       });
 
-      fs.pathExists.mockImplementation((filePath) => {
-        if (filePath.includes('azure-sync-map.json')) return Promise.resolve(false);
-        return Promise.resolve(true);
-      });
-      fs.writeJSON = jest.fn().mockResolvedValue(undefined);
-
-      await service.createAzureWorkItem(issueData);
+      await service.syncToAzure(5);
 
       expect(fs.writeJSON).toHaveBeenCalledWith(
         syncMapPath,
@@ -769,8 +765,7 @@ updated: 2025-10-14T10:00:00Z
           'azure-to-local': { '999': '5' },
           'metadata': expect.objectContaining({
             '5': expect.objectContaining({
-              workItemId: '999',
-              workItemType: 'User Story'
+              remoteId: '999'
             })
           })
         }),
@@ -780,16 +775,28 @@ updated: 2025-10-14T10:00:00Z
   });
 
   // ==========================================
-  // 5. updateAzureWorkItem(workItemId, issueData)
+  // 5. Updating work items (syncToAzure)
   // ==========================================
 
-  describe('updateAzureWorkItem', () => {
+  describe('updating work items', () => {
+    const mockSyncedIssue = (content) => {
+      fs.pathExists.mockResolvedValue(true);
+      fs.readFile.mockResolvedValue(content);
+      fs.readJSON = jest.fn().mockResolvedValue({
+        'local-to-azure': { '1': '123' },
+        'azure-to-local': { '123': '1' },
+        'metadata': {}
+      });
+      fs.writeJSON = jest.fn().mockResolvedValue(undefined);
+    };
+
     it('should update work item with changed fields', async () => {
-      const issueData = {
-        title: 'Updated Title',
-        content: 'Updated content',
-        status: 'in-progress'
-      };
+      mockSyncedIssue(`---
+id: 1
+title: Updated Title
+status: in-progress
+---
+Updated content`);
 
       mockProvider.updateWorkItem.mockResolvedValue({
         id: 123,
@@ -800,9 +807,9 @@ updated: 2025-10-14T10:00:00Z
         }
       });
 
-      const result = await service.updateAzureWorkItem(123, issueData);
+      const result = await service.syncToAzure(1);
 
-      expect(result.id).toBe(123);
+      expect(result.workItemId).toBe('123');
       expect(mockProvider.updateWorkItem).toHaveBeenCalledWith(123, {
         title: 'Updated Title',
         description: 'Updated content',
@@ -819,17 +826,16 @@ updated: 2025-10-14T10:00:00Z
         { localStatus: 'closed', azureState: 'Closed' }
       ];
 
-      mockProvider.updateWorkItem.mockResolvedValue({ id: 123 });
-
       for (const mapping of statusMappings) {
         jest.clearAllMocks();
+        mockSyncedIssue(`---
+id: 1
+title: Test
+status: ${mapping.localStatus}
+---`);
+        mockProvider.updateWorkItem.mockResolvedValue({ id: 123 });
 
-        const issueData = {
-          title: 'Test',
-          status: mapping.localStatus
-        };
-
-        await service.updateAzureWorkItem(123, issueData);
+        await service.syncToAzure(1);
 
         expect(mockProvider.updateWorkItem).toHaveBeenCalledWith(123,
           expect.objectContaining({
@@ -839,18 +845,21 @@ updated: 2025-10-14T10:00:00Z
       }
     });
 
-    it('should handle partial updates', async () => {
-      const issueData = {
-        title: 'Only Title Update'
-      };
+    it('should not send empty description or tags', async () => {
+      mockSyncedIssue(`---
+id: 1
+title: Only Title Update
+status: open
+---`);
 
       mockProvider.updateWorkItem.mockResolvedValue({ id: 123 });
 
-      await service.updateAzureWorkItem(123, issueData);
+      await service.syncToAzure(1);
 
-      expect(mockProvider.updateWorkItem).toHaveBeenCalledWith(123, {
-        title: 'Only Title Update'
-      });
+      const data = mockProvider.updateWorkItem.mock.calls[0][1];
+      expect(data.title).toBe('Only Title Update');
+      expect(data).not.toHaveProperty('description');
+      expect(data).not.toHaveProperty('tags');
     });
   });
 
@@ -1147,7 +1156,7 @@ updated: 2025-10-14T12:00:00Z
   // HELPER METHODS (Private)
   // ==========================================
 
-  describe('_loadAzureSyncMap', () => {
+  describe('_loadProviderSyncMap', () => {
     it('should load existing azure-sync-map', async () => {
       const existingSyncMap = {
         'local-to-azure': { '1': '123' },
@@ -1158,7 +1167,7 @@ updated: 2025-10-14T12:00:00Z
       fs.pathExists.mockResolvedValue(true);
       fs.readJSON = jest.fn().mockResolvedValue(existingSyncMap);
 
-      const result = await service._loadAzureSyncMap();
+      const result = await service._loadProviderSyncMap('azure');
 
       expect(result).toEqual(existingSyncMap);
       expect(fs.readJSON).toHaveBeenCalledWith(syncMapPath);
@@ -1167,7 +1176,7 @@ updated: 2025-10-14T12:00:00Z
     it('should return default structure if azure-sync-map does not exist', async () => {
       fs.pathExists.mockResolvedValue(false);
 
-      const result = await service._loadAzureSyncMap();
+      const result = await service._loadProviderSyncMap('azure');
 
       expect(result).toEqual({
         'local-to-azure': {},
@@ -1177,34 +1186,12 @@ updated: 2025-10-14T12:00:00Z
     });
   });
 
-  describe('_saveAzureSyncMap', () => {
-    it('should save azure-sync-map to file', async () => {
-      const syncMap = {
-        'local-to-azure': { '1': '123' },
-        'azure-to-local': { '123': '1' },
-        'metadata': {}
-      };
-
-      fs.writeJSON = jest.fn().mockResolvedValue(undefined);
-
-      await service._saveAzureSyncMap(syncMap);
-
-      expect(fs.writeJSON).toHaveBeenCalledWith(syncMapPath, syncMap, { spaces: 2 });
-    });
-  });
-
-  describe('_updateAzureSyncMap', () => {
+  describe('_updateProviderSyncMap', () => {
     it('should update azure-sync-map with new mapping', async () => {
-      const existingSyncMap = {
-        'local-to-azure': {},
-        'azure-to-local': {},
-        'metadata': {}
-      };
-
       fs.pathExists.mockResolvedValue(false);
       fs.writeJSON = jest.fn().mockResolvedValue(undefined);
 
-      await service._updateAzureSyncMap('5', '500', 'Task');
+      await service._updateProviderSyncMap('azure', '5', '500');
 
       expect(fs.writeJSON).toHaveBeenCalledWith(
         syncMapPath,
@@ -1214,8 +1201,7 @@ updated: 2025-10-14T12:00:00Z
           'metadata': expect.objectContaining({
             '5': expect.objectContaining({
               lastSync: expect.any(String),
-              workItemId: '500',
-              workItemType: 'Task'
+              remoteId: '500'
             })
           })
         }),
@@ -1224,47 +1210,46 @@ updated: 2025-10-14T12:00:00Z
     });
   });
 
-  describe('_mapStatusToAzure', () => {
-    it('should map open to New', () => {
-      expect(service._mapStatusToAzure('open')).toBe('New');
-    });
-
-    it('should map in-progress to Active', () => {
-      expect(service._mapStatusToAzure('in-progress')).toBe('Active');
-    });
+  describe('state mapping on pull', () => {
+    const pullState = async (state) => {
+      fs.pathExists.mockResolvedValue(false);
+      fs.readdir = jest.fn().mockResolvedValue([]);
+      fs.writeFile = jest.fn().mockResolvedValue(undefined);
+      fs.writeJSON = jest.fn().mockResolvedValue(undefined);
 
-    it('should map done to Resolved', () => {
-      expect(service._mapStatusToAzure('done')).toBe('Resolved');
-    });
+      mockProvider.getWorkItem.mockResolvedValue({
+        id: 42,
+        fields: {
+          'System.Title': 'Pulled',
+          'System.State': state,
+          'System.WorkItemType': 'User Story'
+        }
+      });
 
-    it('should map closed to Closed', () => {
-      expect(service._mapStatusToAzure('closed')).toBe('Closed');
-    });
+      await service.syncFromAzure(42);
 
-    it('should return New for unknown status', () => {
-      expect(service._mapStatusToAzure('custom')).toBe('New');
-    });
-  });
+      const content = fs.writeFile.mock.calls.find(([filePath]) => filePath.endsWith('.md'))[1];
+      return content.match(/^status: (.*)$/m)[1];
+    };
 
-  describe('_mapAzureStateToLocal', () => {
-    it('should map New to open', () => {
-      expect(service._mapAzureStateToLocal('New')).toBe('open');
+    it('should map New to open', async () => {
+      expect(await pullState('New')).toBe('open');
     });
 
-    it('should map Active to in-progress', () => {
-      expect(service._mapAzureStateToLocal('Active')).toBe('in-progress');
+    it('should map Active to in-progress', async () => {
+      expect(await pullState('Active')).toBe('in-progress');
     });
 
-    it('should map Resolved to done', () => {
-      expect(service._mapAzureStateToLocal('Resolved')).toBe('done');
+    it('should map Resolved to done', async () => {
+      expect(await pullState('Resolved')).toBe('done');
     });
 
-    it('should map Closed to closed', () => {
-      expect(service._mapAzureStateToLocal('Closed')).toBe('closed');
+    it('should map Closed to closed', async () => {
+      expect(await pullState('Closed')).toBe('closed');
     });
 
-    it('should return open for unknown state', () => {
-      expect(service._mapAzureStateToLocal('CustomState')).toBe('open');
+    it('should keep custom process states', async () => {
+      expect(await pullState('CustomState')).toBe('CustomState');
     });
   });
 });
@@ -15,13 +15,13 @@
  */
 
 const IssueService = require('../../../lib/services/IssueService');
+const ConflictHistory = require('../../../lib/conflict-history');
 const GitHubProvider = require('../../../lib/providers/GitHubProvider');
 const fs = require('fs-extra');
 const path = require('path');
 
 // Mock dependencies
 jest.mock('fs-extra');
-jest.mock('../../../lib/providers/GitHubProvider');
 
 describe('IssueService - GitHub Synchronization', () => {
   let service;
@@ -37,7 +37,8 @@ describe('IssueService - GitHub Synchronization', () => {
       listIssues: jest.fn()
     };
 
-    service = new IssueService({ provider: mockProvider });
+    // In-memory journal keeps resolution logs out of the working tree
+    service = new IssueService({ provider: mockProvider, conflictHistory: new ConflictHistory() });
     jest.clearAllMocks();
   });
 
@@ -407,18 +408,27 @@ updated: 2025-10-14T12:00:00Z
   });
 
   // ==========================================
-  // 4. createGitHubIssue(issueData)
+  // 4. Creating GitHub issues (syncToGitHub)
   // ==========================================
 
-  describe('createGitHubIssue', () => {
+  describe('creating GitHub issues', () => {
+    const mockUnsyncedIssue = (content) => {
+      fs.pathExists.mockImplementation((filePath) => {
+        if (filePath.includes('sync-map.json')) return Promise.resolve(false);
+        return Promise.resolve(true);
+      });
+      fs.readFile.mockResolvedValue(content);
+      fs.writeJSON = jest.fn().mockResolvedValue(undefined);
+    };
+
     it('should create GitHub issue from local data', async () => {
-      const issueData = {
-        id: '1',
-        title: 'New GitHub Issue',
-        content: 'Issue description',
-        status: 'open',
-        labels: 'bug, feature'
-      };
+      mockUnsyncedIssue(`---
+id: 1
+title: New GitHub Issue
+status: open
+labels: bug, feature
+---
+Issue description`);
 
       mockProvider.createIssue.mockResolvedValue({
         number: 456,
@@ -427,60 +437,54 @@ updated: 2025-10-14T12:00:00Z
         html_url: 'https://github.com/owner/repo/issues/456'
       });
 
-      fs.pathExists.mockImplementation((filePath) => {
-        if (filePath.includes('sync-map.json')) return Promise.resolve(false);
-        return Promise.resolve(true);
-      });
-      fs.writeJSON = jest.fn().mockResolvedValue(undefined);
-
-      const result = await service.createGitHubIssue(issueData);
+      const result = await service.syncToGitHub(1);
 
-      expect(result.number).toBe(456);
+      expect(result.githubNumber).toBe('456');
       expect(mockProvider.createIssue).toHaveBeenCalledWith({
         title: 'New GitHub Issue',
         body: 'Issue description',
-        labels: ['bug', 'feature'],
-        state: 'open'
+        labels: ['bug', 'feature']
       });
+      expect(mockProvider.updateIssue).not.toHaveBeenCalled();
     });
 
     it('should map local fields to GitHub format', async () => {
-      const issueData = {
-        title: 'Test',
-        content: 'Body text',
-        status: 'closed',
-        labels: 'label1, label2',
-        assignee: 'developer1'
-      };
+      mockUnsyncedIssue(`---
+id: 2
+title: Test
+status: closed
+labels: label1, label2
+assignee: developer1
+---
+Body text`);
 
-      mockProvider.createIssue.mockResolvedValue({ number: 789 });
-      fs.writeJSON = jest.fn().mockResolvedValue(undefined);
+      mockProvider.createIssue.mockResolvedValue({ number: 789, state: 'open' });
+      mockProvider.updateIssue.mockResolvedValue({ number: 789, state: 'closed' });
 
-      await service.createGitHubIssue(issueData);
+      await service.syncToGitHub(2);
 
       expect(mockProvider.createIssue).toHaveBeenCalledWith(
         expect.objectContaining({
           title: 'Test',
           body: 'Body text',
-          state: 'closed',
           labels: ['label1', 'label2'],
           assignees: ['developer1']
         })
       );
+      // GitHub creates issues open; closed ones are closed afterwards
+      expect(mockProvider.updateIssue).toHaveBeenCalledWith(789, { state: 'closed' });
     });
 
     it('should update sync-map after creation', async () => {
-      const issueData = { id: '5', title: 'Test', content: 'Content' };
+      mockUnsyncedIssue(`---
+id: 5
+title: Test
+---
+Content`);
 
       mockProvider.createIssue.mockResolvedValue({ number: 999 });
 
-      fs.pathExists.mockImplementation((filePath) => {
-        if (filePath.includes('sync-map.json')) return Promise.resolve(false);
-        return Promise.resolve(true);
-      });
-      fs.writeJSON = jest.fn().mockResolvedValue(undefined);
-
-      await service.createGitHubIssue(issueData);
+      await service.syncToGitHub(5);
 
       expect(fs.writeJSON).toHaveBeenCalledWith(
         syncMapPath,
@@ -494,16 +498,28 @@ updated: 2025-10-14T12:00:00Z
   });
 
   // ==========================================
-  // 5. updateGitHubIssue(githubNumber, issueData)
+  // 5. Updating GitHub issues (syncToGitHub)
   // ==========================================
 
-  describe('updateGitHubIssue', () => {
+  describe('updating GitHub issues', () => {
+    const mockSyncedIssue = (content) => {
+      fs.pathExists.mockResolvedValue(true);
+      fs.readFile.mockResolvedValue(content);
+      fs.readJSON = jest.fn().mockResolvedValue({
+        'local-to-github': { '1': '123' },
+        'github-to-local': { '123': '1' },
+        'metadata': {}
+      });
+      fs.writeJSON = jest.fn().mockResolvedValue(undefined);
+    };
+
     it('should update GitHub issue with local data', async () => {
-      const issueData = {
-        title: 'Updated Title',
-        content: 'Updated content',
-        status: 'in-progress'
-      };
+      mockSyncedIssue(`---
+id: 1
+title: Updated Title
+status: in-progress
+---
+Updated content`);
 
       mockProvider.updateIssue.mockResolvedValue({
         number: 123,
@@ -512,10 +528,10 @@ updated: 2025-10-14T12:00:00Z
         updated_at: '2025-10-14T13:00:00Z'
       });
 
-      const result = await service.updateGitHubIssue(123, issueData);
+      const result = await service.syncToGitHub(1);
 
-      expect(result.number).toBe(123);
-      expect(mockProvider.updateIssue).toHaveBeenCalledWith(123, {
+      expect(result.githubNumber).toBe('123');
+      expect(mockProvider.updateIssue).toHaveBeenCalledWith('123', {
         title: 'Updated Title',
         body: 'Updated content',
         state: 'open' // in-progress maps to open
@@ -523,34 +539,38 @@ updated: 2025-10-14T12:00:00Z
     });
 
     it('should map closed statuses correctly', async () => {
-      const issueData = {
-        title: 'Closed Issue',
-        status: 'completed'
-      };
+      mockSyncedIssue(`---
+id: 1
+title: Closed Issue
+status: completed
+---`);
 
       mockProvider.updateIssue.mockResolvedValue({ number: 123 });
 
-      await service.updateGitHubIssue(123, issueData);
+      await service.syncToGitHub(1);
 
-      expect(mockProvider.updateIssue).toHaveBeenCalledWith(123,
+      expect(mockProvider.updateIssue).toHaveBeenCalledWith('123',
         expect.objectContaining({
           state: 'closed'
         })
       );
     });
 
-    it('should handle partial updates', async () => {
-      const issueData = {
-        title: 'Only Title Update'
-      };
+    it('should not send empty labels or assignees', async () => {
+      mockSyncedIssue(`---
+id: 1
+title: Only Title Update
+status: open
+---`);
 
       mockProvider.updateIssue.mockResolvedValue({ number: 123 });
 
-      await service.updateGitHubIssue(123, issueData);
+      await service.syncToGitHub(1);
 
-      expect(mockProvider.updateIssue).toHaveBeenCalledWith(123, {
-        title: 'Only Title Update'
-      });
+      const data = mockProvider.updateIssue.mock.calls[0][1];
+      expect(data.title).toBe('Only Title Update');
+      expect(data).not.toHaveProperty('labels');
+      expect(data).not.toHaveProperty('assignees');
     });
   });
 
@@ -831,7 +851,7 @@ updated: 2025-10-14T12:00:00Z
   // HELPER METHODS (Private)
   // ==========================================
 
-  describe('_loadSyncMap', () => {
+  describe('_loadProviderSyncMap', () => {
     it('should load existing sync-map', async () => {
       const existingSyncMap = {
         'local-to-github': { '1': '123' },
@@ -842,7 +862,7 @@ updated: 2025-10-14T12:00:00Z
       fs.pathExists.mockResolvedValue(true);
       fs.readJSON = jest.fn().mockResolvedValue(existingSyncMap);
 
-      const result = await service._loadSyncMap();
+      const result = await service._loadProviderSyncMap('github');
 
       expect(result).toEqual(existingSyncMap);
       expect(fs.readJSON).toHaveBeenCalledWith(syncMapPath);
@@ -851,7 +871,7 @@ updated: 2025-10-14T12:00:00Z
     it('should return default structure if sync-map does not exist', async () => {
       fs.pathExists.mockResolvedValue(false);
 
-      const result = await service._loadSyncMap();
+      const result = await service._loadProviderSyncMap('github');
 
       expect(result).toEqual({
         'local-to-github': {},
@@ -861,34 +881,12 @@ updated: 2025-10-14T12:00:00Z
     });
   });
 
-  describe('_saveSyncMap', () => {
-    it('should save sync-map to file', async () => {
-      const syncMap = {
-        'local-to-github': { '1': '123' },
-        'github-to-local': { '123': '1' },
-        'metadata': {}
-      };
-
-      fs.writeJSON = jest.fn().mockResolvedValue(undefined);
-
-      await service._saveSyncMap(syncMap);
-
-      expect(fs.writeJSON).toHaveBeenCalledWith(syncMapPath, syncMap, { spaces: 2 });
-    });
-  });
-
-  describe('_updateSyncMap', () => {
+  describe('_updateProviderSyncMap', () => {
     it('should update sync-map with new mapping', async () => {
-      const existingSyncMap = {
-        'local-to-github': {},
-        'github-to-local': {},
-        'metadata': {}
-      };
-
       fs.pathExists.mockResolvedValue(false);
       fs.writeJSON = jest.fn().mockResolvedValue(undefined);
 
-      await service._updateSyncMap('5', '500');
+      await service._updateProviderSyncMap('github', '5', '500');
 
       expect(fs.writeJSON).toHaveBeenCalledWith(
         syncMapPath,
@@ -898,7 +896,7 @@ updated: 2025-10-14T12:00:00Z
           'metadata': expect.objectContaining({
             '5': expect.objectContaining({
               lastSync: expect.any(String),
-              githubNumber: '500'
+              remoteId: '500'
             })
           })
         }),
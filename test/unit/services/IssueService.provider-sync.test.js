@@ -0,0 +1,575 @@
+/**
+ * IssueService Provider-Neutral Sync Tests
+ *
+ * Exercises sync() against an in-memory tracker that only implements the
+ * IssueTrackerProvider contract, proving new adapters need no service changes.
+ *
+ * Coverage:
+ * - push (create/update), pull (new/linked), bidirectional strategies
+ * - three-way merges against sync base snapshots
+ * - per-provider sync-map files
+ * - getProviderSyncStatus
+ * - hunk-by-hunk conflict sessions recorded in ConflictHistory
+ * - deprecated GitHub/Azure methods delegating to sync()
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const IssueService = require('../../../lib/services/IssueService');
+const IssueTrackerProvider = require('../../../lib/providers/IssueTrackerProvider');
+const ConflictHistory = require('../../../lib/conflict-history');
+const { defaultRegistry } = require('../../../lib/providers/ProviderRegistry');
+
+class MemoryTrackerProvider extends IssueTrackerProvider {
+  constructor() {
+    super();
+    this.items = new Map();
+    this.nextId = 100;
+  }
+
+  getName() {
+    return 'memory';
+  }
+
+  async getItem(id) {
+    const item = this.items.get(String(id));
+    if (!item) {
+      throw new Error(`Item not found: ${id}`);
+    }
+    return { ...item };
+  }
+
+  async createItem(item) {
+    const id = String(this.nextId++);
+    const now = new Date().toISOString();
+    this.items.set(id, { id, created: now, updated: now, ...item });
+    return this.getItem(id);
+  }
+
+  async updateItem(id, item) {
+    const existing = await this.getItem(id);
+    this.items.set(String(id), { ...existing, ...item, updated: new Date().toISOString() });
+    return this.getItem(id);
+  }
+}
+
+// Collapses statuses to open/closed the way GitHub issues do
+class LossyTrackerProvider extends MemoryTrackerProvider {
+  roundTripStatus(status) {
+    return ['closed', 'done'].includes(status) ? 'closed' : 'open';
+  }
+
+  async createItem(item) {
+    return super.createItem({ ...item, status: this.roundTripStatus(item.status) });
+  }
+
+  async updateItem(id, item) {
+    return super.updateItem(id, item.status ? { ...item, status: this.roundTripStatus(item.status) } : item);
+  }
+}
+
+describe('IssueService - Provider-Neutral Sync', () => {
+  let tmpDir;
+  let service;
+  let provider;
+
+  const writeIssue = (number, { title = 'Login form', status = 'open', updated = '2025-01-01T00:00:00Z' } = {}) => {
+    const issuePath = path.join(tmpDir, '.claude/issues', `${number}.md`);
+    fs.ensureDirSync(path.dirname(issuePath));
+    fs.writeFileSync(issuePath, `---
+id: ${number}
+title: ${title}
+status: ${status}
+labels: frontend, auth
+created: 2025-01-01T00:00:00Z
+updated: ${updated}
+---
+
+# ${title}
+
+Build the login form.
+`);
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'issue-provider-sync-'));
+    jest.spyOn(process, 'cwd').mockReturnValue(tmpDir);
+    provider = new MemoryTrackerProvider();
+    service = new IssueService();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.removeSync(tmpDir);
+  });
+
+  describe('push', () => {
+    it('should create a remote item and record the mapping', async () => {
+      writeIssue(1);
+
+      const result = await service.sync(1, provider);
+
+      expect(result).toMatchObject({
+        success: true,
+        provider: 'memory',
+        localNumber: '1',
+        remoteId: '100',
+        action: 'created',
+        direction: 'push'
+      });
+
+      const item = await provider.getItem(100);
+      expect(item.title).toBe('Login form');
+      expect(item.labels).toEqual(['frontend', 'auth']);
+      expect(item.body).not.toContain('status: open');
+
+      const syncMap = fs.readJSONSync(path.join(tmpDir, '.claude/memory-sync-map.json'));
+      expect(syncMap['local-to-memory']['1']).toBe('100');
+      expect(syncMap['memory-to-local']['100']).toBe('1');
+      expect(syncMap.metadata['1'].lastSync).toBeDefined();
+    });
+
+    it('should update the linked remote item on subsequent pushes', async () => {
+      writeIssue(1);
+      await service.sync(1, provider);
+
+      writeIssue(1, { title: 'Login form v2' });
+      const result = await service.sync(1, provider);
+
+      expect(result.action).toBe('updated');
+      expect(provider.items.size).toBe(1);
+      expect((await provider.getItem(100)).title).toBe('Login form v2');
+    });
+
+    it('should use this.provider when none is passed', async () => {
+      writeIssue(1);
+      service = new IssueService({ provider });
+
+      const result = await service.sync(1);
+
+      expect(result.remoteId).toBe('100');
+    });
+  });
+
+  describe('pull', () => {
+    it('should create a local issue from a remote item', async () => {
+      writeIssue(1);
+      await provider.createItem({ title: 'Remote bug', body: 'Steps to reproduce', status: 'in-progress', labels: ['bug'], assignees: ['alice'] });
+
+      const result = await service.sync(null, provider, { direction: 'pull', remoteId: 100 });
+
+      expect(result).toMatchObject({ success: true, localNumber: '2', action: 'created', direction: 'pull' });
+
+      const issue = await service.getLocalIssue(2);
+      expect(issue.title).toBe('Remote bug');
+      expect(issue.status).toBe('in-progress');
+      expect(issue.assignee).toBe('alice');
+      expect(issue.provider).toBe('memory');
+      expect(issue.remote_id).toBe('100');
+      expect(issue.content).toContain('# Remote bug');
+    });
+
+    it('should pull into the linked local issue', async () => {
+      writeIssue(1);
+      await service.sync(1, provider);
+      await provider.updateItem(100, { title: 'Renamed remotely', status: 'closed' });
+
+      const result = await service.sync(1, provider, { direction: 'pull' });
+
+      expect(result).toMatchObject({ localNumber: '1', action: 'updated' });
+      expect((await service.getLocalIssue(1)).title).toBe('Renamed remotely');
+    });
+
+    it('should move the issue into the sprint of a pulled iteration', async () => {
+      const SprintService = require('../../../lib/services/SprintService');
+      const sprints = new SprintService({ basePath: path.join(tmpDir, '.claude') });
+      writeIssue(1);
+      await sprints.plan('sprint-3', { start: '2025-03-03', end: '2025-03-14', tasks: ['#1'] });
+      await sprints.plan('sprint-4', { start: '2025-03-17', end: '2025-03-28' });
+      await service.sync(1, provider);
+      await provider.updateItem(100, { iteration: 'sprint-4' });
+
+      await service.sync(1, provider, { direction: 'pull' });
+
+      expect((await service.getLocalIssue(1)).sprint).toBe('sprint-4');
+      expect((await sprints.get('sprint-3')).tasks).toEqual([]);
+      expect((await sprints.get('sprint-4')).tasks).toEqual(['#1']);
+    });
+
+    it('should clear the remote iteration once the issue leaves its sprint', async () => {
+      const SprintService = require('../../../lib/services/SprintService');
+      const sprints = new SprintService({ basePath: path.join(tmpDir, '.claude') });
+      writeIssue(1);
+      await sprints.plan('sprint-3', { start: '2025-03-03', end: '2025-03-14', tasks: ['#1'] });
+      await service.sync(1, provider);
+      expect((await provider.getItem(100)).iteration).toBe('sprint-3');
+
+      await sprints.removeTasks('sprint-3', ['#1']);
+      await service.sync(1, provider);
+
+      expect((await provider.getItem(100)).iteration).toBeNull();
+    });
+
+    it('should throw when the issue is not linked and no remoteId is given', async () => {
+      writeIssue(1);
+
+      await expect(service.sync(1, provider, { direction: 'pull' }))
+        .rejects.toThrow('Issue 1 is not linked to memory');
+    });
+  });
+
+  describe('bidirectional', () => {
+    beforeEach(async () => {
+      writeIssue(1);
+      await service.sync(1, provider);
+    });
+
+    it('should report overlapping edits with the detect strategy', async () => {
+      writeIssue(1, { title: 'Local title', updated: '2025-01-02T00:00:00Z' });
+      await provider.updateItem(100, { title: 'Remote title' });
+
+      const result = await service.sync(1, provider, { direction: 'bidirectional', conflictStrategy: 'detect' });
+
+      expect(result.success).toBe(false);
+      expect(result.direction).toBe('conflict');
+      expect(result.conflict.remoteNewer).toBe(true);
+      expect(result.conflict.conflictFields).toContain('title');
+      expect(result.conflict.mergeConflicts).toEqual([
+        expect.objectContaining({ field: 'title', localContent: 'Local title', remoteContent: 'Remote title' })
+      ]);
+    });
+
+    it('should pull one-sided remote edits even with the detect strategy', async () => {
+      await provider.updateItem(100, { title: 'Remote title' });
+
+      const result = await service.sync(1, provider, { direction: 'bidirectional', conflictStrategy: 'detect' });
+
+      expect(result.direction).toBe('pull');
+      expect((await service.getLocalIssue(1)).title).toBe('Remote title');
+    });
+
+    it('should fall back to the newest side for overlapping edits', async () => {
+      writeIssue(1, { title: 'Local title', updated: '2025-01-02T00:00:00Z' });
+      await provider.updateItem(100, { title: 'Remote title' });
+
+      const result = await service.sync(1, provider, { direction: 'bidirectional' });
+
+      expect(result.direction).toBe('pull');
+      expect((await service.getLocalIssue(1)).title).toBe('Remote title');
+    });
+
+    it('should push when local wins', async () => {
+      await provider.updateItem(100, { title: 'Remote title' });
+
+      const result = await service.sync(1, provider, { direction: 'bidirectional', conflictStrategy: 'local' });
+
+      expect(result.direction).toBe('push');
+      expect((await provider.getItem(100)).title).toBe('Login form');
+    });
+
+    it('should merge non-overlapping edits from both sides', async () => {
+      const issuePath = path.join(tmpDir, '.claude/issues/1.md');
+      const local = fs.readFileSync(issuePath, 'utf8')
+        .replace('status: open', 'status: in-progress')
+        .replace('updated: 2025-01-01T00:00:00Z', 'updated: 2025-01-02T00:00:00Z');
+      fs.writeFileSync(issuePath, local);
+
+      const remote = await provider.getItem(100);
+      await provider.updateItem(100, {
+        labels: ['frontend', 'auth', 'security'],
+        body: remote.body.replace('Build the login form.', 'Build the login form with MFA.')
+      });
+
+      const result = await service.sync(1, provider, { direction: 'bidirectional', conflictStrategy: 'detect' });
+
+      expect(result).toMatchObject({ success: true, action: 'merged', direction: 'merged' });
+
+      const merged = await service.getLocalIssue(1);
+      expect(merged.status).toBe('in-progress');
+      expect(merged.labels).toBe('frontend, auth, security');
+      expect(merged.content).toContain('Build the login form with MFA.');
+
+      const item = await provider.getItem(100);
+      expect(item.status).toBe('in-progress');
+      expect(item.body).toContain('Build the login form with MFA.');
+    });
+
+    it('should report nothing to do when neither side changed since the base', async () => {
+      await provider.updateItem(100, {});
+
+      const result = await service.sync(1, provider, { direction: 'bidirectional', conflictStrategy: 'detect' });
+
+      expect(result).toMatchObject({ success: true, action: 'unchanged', direction: 'none' });
+    });
+
+    it('should snapshot both sides after every sync', async () => {
+      const snapshotPath = path.join(tmpDir, '.claude/sync-state/memory/issue/1.json');
+      const snapshot = fs.readJSONSync(snapshotPath);
+
+      expect(snapshot).toMatchObject({
+        provider: 'memory',
+        entityType: 'issue',
+        entityId: '1',
+        remoteId: '100',
+        frontmatter: { title: 'Login form', status: 'open', labels: 'frontend, auth' },
+        body: 'Build the login form.'
+      });
+      expect(snapshot.remote.body).toBe('Build the login form.');
+    });
+  });
+
+  describe('lossy tracker statuses', () => {
+    beforeEach(async () => {
+      provider = new LossyTrackerProvider();
+      writeIssue(1, { status: 'in-progress' });
+      await service.sync(1, provider);
+    });
+
+    it('should keep the local status when pulling a remote edit', async () => {
+      await provider.updateItem(100, { title: 'Remote title' });
+
+      const result = await service.sync(1, provider, { direction: 'bidirectional', conflictStrategy: 'detect' });
+
+      expect(result.direction).toBe('pull');
+      const issue = await service.getLocalIssue(1);
+      expect(issue.title).toBe('Remote title');
+      expect(issue.status).toBe('in-progress');
+    });
+
+    it('should not count the collapsed status as a remote change against an older snapshot', async () => {
+      // Snapshots written before remote views were recorded mirror the local side
+      const snapshotPath = path.join(tmpDir, '.claude/sync-state/memory/issue/1.json');
+      const snapshot = fs.readJSONSync(snapshotPath);
+      fs.writeJSONSync(snapshotPath, { ...snapshot, remote: { frontmatter: snapshot.frontmatter, body: snapshot.body } });
+      writeIssue(1, { status: 'in-progress', updated: '2025-01-02T00:00:00Z' });
+
+      const result = await service.sync(1, provider, { direction: 'bidirectional', conflictStrategy: 'detect' });
+
+      expect(result).toMatchObject({ success: true, action: 'unchanged', direction: 'none' });
+      expect((await service.getLocalIssue(1)).status).toBe('in-progress');
+    });
+
+    it('should still pull a remote close', async () => {
+      await provider.updateItem(100, { status: 'closed' });
+
+      await service.sync(1, provider, { direction: 'bidirectional', conflictStrategy: 'detect' });
+
+      expect((await service.getLocalIssue(1)).status).toBe('closed');
+    });
+
+    it('should not list the collapsed status as a conflicting field', async () => {
+      const conflict = service.detectProviderConflict({ title: 'Login form', status: 'blocked' }, await provider.getItem(100), provider);
+
+      expect(conflict.conflictFields).toEqual([]);
+    });
+  });
+
+  describe('conflict sessions', () => {
+    let history;
+    const issuePath = () => path.join(tmpDir, '.claude/issues/1.md');
+
+    beforeEach(async () => {
+      history = new ConflictHistory({ storage: 'memory' });
+      service = new IssueService({ conflictHistory: history });
+
+      writeIssue(1);
+      fs.appendFileSync(issuePath(), '\n## Notes\nNone.\n');
+      await service.sync(1, provider);
+
+      fs.writeFileSync(issuePath(), fs.readFileSync(issuePath(), 'utf8')
+        .replace('title: Login form', 'title: Local title')
+        .replace('# Login form', '# Local title')
+        .replace('Build the login form.', 'Build the form locally.')
+        .replace('None.', 'Local note.'));
+
+      const remote = await provider.getItem(100);
+      await provider.updateItem(100, {
+        title: 'Remote title',
+        body: remote.body
+          .replace('# Login form', '# Remote title')
+          .replace('Build the login form.', 'Build the form remotely.')
+          .replace('None.', 'Remote note.')
+      });
+    });
+
+    it('should list each conflicting field and body hunk', async () => {
+      const session = await service.getConflictSession(1, provider);
+
+      expect(session).toMatchObject({ issueNumber: '1', provider: 'memory', remoteId: '100' });
+      expect(session.conflicts).toEqual([
+        expect.objectContaining({ index: 0, section: 'frontmatter', field: 'title', localContent: 'Local title', remoteContent: 'Remote title' }),
+        expect.objectContaining({ index: 1, section: 'body', heading: null, localContent: 'Build the form locally.', remoteContent: 'Build the form remotely.' }),
+        expect.objectContaining({ index: 2, section: 'body', heading: '## Notes', localContent: 'Local note.', remoteContent: 'Remote note.' })
+      ]);
+    });
+
+    it('should apply per-hunk decisions, push and record them', async () => {
+      const session = await service.getConflictSession(1, provider);
+
+      const result = await service.applyConflictResolutions(session, [
+        { choice: 'remote' },
+        { choice: 'both' },
+        { choice: 'edited', content: 'Merged note.' }
+      ], provider);
+
+      expect(result).toMatchObject({ success: true, action: 'resolved', direction: 'merged', remoteId: '100' });
+
+      const local = fs.readFileSync(issuePath(), 'utf8');
+      expect(local).toContain('title: Remote title');
+      expect(local).toContain('Build the form locally.\nBuild the form remotely.');
+      expect(local).toContain('## Notes\nMerged note.');
+      expect(local).not.toContain('<<<<<<<');
+      expect((await provider.getItem(100)).body).toContain('Merged note.');
+
+      expect(result.logIds).toHaveLength(3);
+      const entry = history.getHistory().find(e => e.id === result.logIds[2]);
+      expect(entry).toMatchObject({ entityType: 'issue', entityId: '1', filePath: issuePath() });
+      expect(entry.conflict).toMatchObject({ provider: 'memory', heading: '## Notes' });
+      expect(entry.resolution).toMatchObject({ strategy: 'edited', chosenContent: 'Merged note.' });
+    });
+
+    it('should report a queued or rejected push and still record the decisions', async () => {
+      const session = await service.getConflictSession(1, provider);
+      const decisions = [{ choice: 'remote' }, { choice: 'local' }, { choice: 'local' }];
+
+      jest.spyOn(provider, 'updateItem').mockRejectedValueOnce(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+      const queued = await service.applyConflictResolutions(session, decisions, provider);
+
+      expect(queued).toMatchObject({ success: false, queued: true, action: 'resolved', remoteId: '100', operationId: expect.any(String) });
+      expect(queued.logIds).toHaveLength(3);
+      expect(fs.readFileSync(issuePath(), 'utf8')).toContain('title: Remote title');
+
+      provider.updateItem.mockRejectedValueOnce(Object.assign(new Error('Validation failed'), { status: 422 }));
+      const failed = await service.applyConflictResolutions(session, decisions, provider);
+
+      expect(failed).toMatchObject({ success: false, action: 'resolved', remoteId: '100', error: 'Validation failed' });
+      expect(failed.queued).toBeUndefined();
+      expect(failed.logIds).toHaveLength(3);
+    });
+
+    it('should restore the pre-resolution issue when a decision is undone', async () => {
+      const before = fs.readFileSync(issuePath(), 'utf8');
+      const session = await service.getConflictSession(1, provider);
+      const { logIds } = await service.applyConflictResolutions(session, [
+        { choice: 'remote' }, { choice: 'remote' }, { choice: 'remote' }
+      ], provider);
+
+      const undone = history.undo(logIds[1]);
+
+      expect(undone).toMatchObject({ restored: true, undoneIds: logIds });
+      expect(fs.readFileSync(issuePath(), 'utf8')).toBe(before);
+      expect(history.getByEntity('issue', 1).every(e => e.undoneAt)).toBe(true);
+    });
+
+    it('should let ConflictHistory replay the recorded decisions', async () => {
+      const session = await service.getConflictSession(1, provider);
+      const decisions = [{ choice: 'local' }, { choice: 'both' }, { choice: 'edited', content: 'Merged note.' }];
+      const { logIds } = await service.applyConflictResolutions(session, decisions, provider);
+
+      expect(logIds.map(id => history.replay(id).newResolution.chosenContent)).toEqual([
+        'Local title',
+        'Build the form locally.\nBuild the form remotely.',
+        'Merged note.'
+      ]);
+    });
+
+    it('should reject missing or invalid decisions', async () => {
+      const session = await service.getConflictSession(1, provider);
+
+      await expect(service.applyConflictResolutions(session, [{ choice: 'local' }], provider))
+        .rejects.toThrow('Invalid decision for conflict 2');
+      await expect(service.applyConflictResolutions(session, [
+        { choice: 'local' }, { choice: 'local' }, { choice: 'edited' }
+      ], provider)).rejects.toThrow('Edited decision for conflict 3 requires content');
+    });
+  });
+
+  it('should reject objects that do not implement the contract', async () => {
+    await expect(service.sync(1, { getIssue: jest.fn() }))
+      .rejects.toThrow('Provider does not implement the IssueTrackerProvider contract');
+  });
+
+  it('should reject unknown directions', async () => {
+    await expect(service.sync(1, provider, { direction: 'sideways' }))
+      .rejects.toThrow('Invalid sync direction: sideways');
+  });
+
+  describe('getProviderSyncStatus', () => {
+    it('should report unlinked issues as not synced', async () => {
+      const status = await service.getProviderSyncStatus(1, provider);
+
+      expect(status).toMatchObject({ synced: false, provider: 'memory', remoteId: null, status: 'not-synced' });
+    });
+
+    it('should report out-of-sync when remote changed after last sync', async () => {
+      writeIssue(1);
+      await service.sync(1, provider);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await provider.updateItem(100, { title: 'Changed' });
+
+      const status = await service.getProviderSyncStatus(1, provider);
+
+      expect(status).toMatchObject({ synced: false, remoteId: '100', status: 'out-of-sync' });
+    });
+  });
+
+  describe('deprecated GitHub and Azure methods', () => {
+    const trackerNamed = name => {
+      const tracker = new MemoryTrackerProvider();
+      tracker.getName = () => name;
+      return tracker;
+    };
+
+    it('should push, pull and sync bidirectionally through sync()', async () => {
+      const github = trackerNamed('github');
+      service = new IssueService({ provider: github });
+      const syncSpy = jest.spyOn(service, 'sync');
+      writeIssue(1);
+
+      expect(await service.syncToGitHub(1)).toMatchObject({
+        success: true, provider: 'github', remoteId: '100', githubNumber: '100', issueNumber: '1', direction: 'to-github'
+      });
+      expect(fs.readJSONSync(path.join(tmpDir, '.claude/sync-map.json'))['local-to-github']['1']).toBe('100');
+
+      expect(await service.syncFromGitHub(100)).toMatchObject({ localNumber: '1', githubNumber: '100', direction: 'from-github' });
+      expect(await service.syncBidirectional(1)).toMatchObject({ success: true, githubNumber: '100' });
+      expect(await service.getSyncStatus(1)).toMatchObject({ synced: true, githubNumber: '100' });
+
+      expect(syncSpy.mock.calls.map(([number, tracker, options]) => [number, tracker, options.direction])).toEqual([
+        [1, github, 'push'],
+        [null, github, 'pull'],
+        [1, github, 'bidirectional']
+      ]);
+    });
+
+    it('should resolve conflicts by pushing, pulling or keeping the newest side', async () => {
+      const azure = trackerNamed('azure');
+      service = new IssueService({ provider: azure });
+      writeIssue(1);
+      await service.syncToAzure(1);
+      writeIssue(1, { title: 'Local title', updated: '2030-01-01T00:00:00Z' });
+      await azure.updateItem(100, { title: 'Remote title' });
+
+      const resolved = await service.resolveAzureConflict(1, 'remote');
+
+      expect(resolved).toMatchObject({ resolved: true, appliedStrategy: 'remote', result: { workItemId: '100' } });
+      expect((await service.getLocalIssue(1)).title).toBe('Remote title');
+      expect(await service.resolveAzureConflict(1, 'manual')).toEqual({
+        resolved: false, appliedStrategy: 'manual', requiresManualResolution: true
+      });
+      await expect(service.resolveConflict(1, 'merge')).rejects.toThrow('Invalid conflict resolution strategy');
+    });
+
+    it('should create the tracker from the registry when this.provider is another backend', async () => {
+      const azure = trackerNamed('azure');
+      jest.spyOn(defaultRegistry, 'create').mockReturnValue(azure);
+      service = new IssueService({ provider: trackerNamed('github') });
+      writeIssue(1);
+
+      expect(await service.syncToAzure(1)).toMatchObject({ provider: 'azure', workItemId: '100' });
+      expect(defaultRegistry.create).toHaveBeenCalledWith('azure');
+      expect(await service.getAzureSyncStatus(1)).toMatchObject({ workItemId: '100' });
+    });
+  });
+});
@@ -1,6 +1,7 @@
 const fs = require('fs-extra');
 const path = require('path');
 const UtilityService = require('../../../lib/services/UtilityService');
+const FilterEngine = require('../../../lib/filter-engine');
 const glob = require('glob');
 
 // Mock dependencies
@@ -373,6 +374,41 @@ issues:
     });
   });
 
+  describe('queryEntities()', () => {
+    const files = [
+      { path: '/mock/project/.claude/prds/auth.md', type: 'prd', frontmatter: { id: 'prd-1', title: 'Auth', status: 'active', priority: 'high' }, content: '' },
+      { path: '/mock/project/.claude/epics/auth/001.md', type: 'task', epic: 'auth', frontmatter: { id: 7, title: 'Login', status: 'active', priority: 'low' }, content: '' }
+    ];
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should evaluate a structured query and summarize matches', async () => {
+      const loadAll = jest.spyOn(FilterEngine.prototype, 'loadAll').mockResolvedValue(files);
+
+      const result = await utilityService.queryEntities('status:active AND NOT priority:low');
+
+      expect(loadAll).toHaveBeenCalledWith({ types: ['prd', 'epic', 'task', 'issue'] });
+      expect(result).toEqual({
+        results: [{ type: 'prd', id: 'prd-1', title: 'Auth', status: 'active', file: '.claude/prds/auth.md' }],
+        fields: null
+      });
+    });
+
+    it('should return projected rows for fields queries', async () => {
+      jest.spyOn(FilterEngine.prototype, 'loadAll').mockResolvedValue(files);
+
+      const result = await utilityService.queryEntities('type:task fields:id,epic', { types: ['task'] });
+
+      expect(result).toEqual({ results: [{ id: 7, epic: 'auth' }], fields: ['id', 'epic'] });
+    });
+
+    it('should reject invalid queries', async () => {
+      await expect(utilityService.queryEntities('(status:active')).rejects.toThrow('Missing )');
+    });
+  });
+
   describe('importFromProvider()', () => {
     it('should import from CSV', async () => {
       const csvContent = 'title,description,status\nEpic 1,Description,active';
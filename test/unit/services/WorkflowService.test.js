@@ -10,6 +10,7 @@
  */
 
 const WorkflowService = require('../../../lib/services/WorkflowService');
+const TaskScorer = require('../../../lib/task-scorer');
 
 describe('WorkflowService', () => {
   let workflowService;
@@ -160,6 +161,84 @@ describe('WorkflowService', () => {
       expect(result).not.toBeNull();
       expect(result.id).toBe('123');
     });
+
+    it('should rank by score and explain the top candidates', async () => {
+      const mockIssues = [
+        { id: '123', title: 'Polish', status: 'open', priority: 'P1' },
+        { id: '124', title: 'Schema', status: 'open', priority: 'P2' },
+        { id: '125', title: 'Migrate', status: 'open', priority: 'P2' },
+        { id: '126', title: 'Report', status: 'open', priority: 'P2' }
+      ];
+      mockIssueService.listIssues.mockResolvedValue(mockIssues);
+      mockIssueService.getDependencies.mockImplementation(async (id) => (['125', '126'].includes(id) ? ['124'] : []));
+      mockIssueService.getLocalIssue.mockResolvedValue({ status: 'open' });
+
+      const service = new WorkflowService({
+        issueService: mockIssueService,
+        epicService: mockEpicService,
+        taskScorer: new TaskScorer({ weights: {} })
+      });
+      const result = await service.getNextTask({ explain: true, limit: 2 });
+
+      expect(result).toMatchObject({ id: '124', score: 48.2 });
+      expect(result.candidates.map(c => [c.id, c.score])).toEqual([['124', 48.2], ['123', 26.8]]);
+      expect(result.candidates[0].breakdown.find(b => b.factor === 'unblocks'))
+        .toEqual({ factor: 'unblocks', weight: 20, value: 1, points: 20, detail: 'Unblocks 2 tasks' });
+    });
+  });
+
+  describe('getNextScheduledTask()', () => {
+    const plan = {
+      assignments: [
+        { task: 'auth/t1', id: 't1', epic: 'auth', title: 'Login', status: 'pending', member: 'bob', hours: 8, start: '2025-03-10', finish: '2025-03-10', critical: false, pinned: false },
+        { task: 'auth/t2', id: 't2', epic: 'auth', title: 'Tokens', status: 'pending', member: 'alice', hours: 16, start: '2025-03-10', finish: '2025-03-11', critical: true, pinned: true },
+        { task: 'auth/t3', id: 't3', epic: 'auth', title: 'Logout', status: 'pending', member: 'alice', hours: 4, start: '2025-03-12', finish: '2025-03-12', critical: true, pinned: false }
+      ]
+    };
+
+    it('should return the member\'s first scheduled task', async () => {
+      const schedulePlanner = { plan: jest.fn().mockResolvedValue(plan) };
+      const service = new WorkflowService({ issueService: mockIssueService, epicService: mockEpicService, schedulePlanner });
+
+      const result = await service.getNextScheduledTask('alice', { epicId: 'auth' });
+
+      expect(schedulePlanner.plan).toHaveBeenCalledWith({ epicId: 'auth' });
+      expect(result).toMatchObject({ id: 't2', epic: 'auth', effort: '16h', start: '2025-03-10', critical: true });
+      expect(result.reasoning).toContain('On the critical chain');
+      expect(result.reasoning).toContain('1 more tasks planned for alice');
+    });
+
+    it('should explain the pick with the member\'s planned queue', async () => {
+      const schedulePlanner = { plan: jest.fn().mockResolvedValue(plan) };
+      const service = new WorkflowService({ issueService: mockIssueService, epicService: mockEpicService, schedulePlanner });
+
+      const result = await service.getNextScheduledTask('alice', { epicId: 'auth', explain: true, limit: 5 });
+
+      expect(schedulePlanner.plan).toHaveBeenCalledWith({ epicId: 'auth' });
+      expect(result.queue).toEqual([
+        { id: 't2', epic: 'auth', title: 'Tokens', hours: 16, start: '2025-03-10', finish: '2025-03-11', critical: true, pinned: true },
+        { id: 't3', epic: 'auth', title: 'Logout', hours: 4, start: '2025-03-12', finish: '2025-03-12', critical: true, pinned: false }
+      ]);
+      expect((await service.getNextScheduledTask('alice')).queue).toBeUndefined();
+    });
+
+    it('should return null without a member, a team or scheduled work', async () => {
+      const schedulePlanner = { plan: jest.fn().mockResolvedValue(plan) };
+      const service = new WorkflowService({ issueService: mockIssueService, epicService: mockEpicService, schedulePlanner });
+
+      expect(await service.getNextScheduledTask(null)).toBeNull();
+      expect(await service.getNextScheduledTask('carol')).toBeNull();
+
+      schedulePlanner.plan.mockRejectedValue(new Error('No team configured'));
+      expect(await service.getNextScheduledTask('alice')).toBeNull();
+    });
+
+    it('should rethrow planning errors other than a missing team', async () => {
+      const schedulePlanner = { plan: jest.fn().mockRejectedValue(new Error('Invalid capacity for alice: -2')) };
+      const service = new WorkflowService({ issueService: mockIssueService, epicService: mockEpicService, schedulePlanner });
+
+      await expect(service.getNextScheduledTask('alice')).rejects.toThrow('Invalid capacity for alice: -2');
+    });
   });
 
   describe('getWhatNext()', () => {
@@ -279,6 +358,32 @@ describe('WorkflowService', () => {
 
       expect(result.velocity).toBeGreaterThan(0);
     });
+
+    it('should diff against the previous standup and group by assignee', async () => {
+      mockIssueService.listIssues.mockResolvedValue([
+        { id: '120', title: 'Old work', status: 'closed', assignee: 'alice', completed: new Date().toISOString() },
+        { id: '123', title: 'Login', status: 'closed', assignee: 'alice' },
+        { id: '124', title: 'Tokens', status: 'in-progress', assignee: 'bob' },
+        { id: '125', title: 'Deploy', status: 'blocked', assignee: 'alice', blocked_reason: 'Waiting for API' }
+      ]);
+      const history = {
+        getPrevious: jest.fn().mockResolvedValue({
+          date: '2025-03-06',
+          state: { 120: { status: 'closed', assignee: 'alice' }, 123: { status: 'in_progress', assignee: 'alice' } }
+        })
+      };
+
+      const result = await workflowService.generateStandup({ history });
+
+      expect(history.getPrevious).toHaveBeenCalledWith(result.date);
+      expect(result.since).toBe('2025-03-06');
+      expect(result.yesterday.map(task => task.id)).toEqual(['123']);
+      expect(result.byAssignee).toEqual({
+        alice: { done: [{ id: '123', title: 'Login' }], doing: [], blocked: [{ id: '125', title: 'Deploy', reason: 'Waiting for API' }] },
+        bob: { done: [], doing: [{ id: '124', title: 'Tokens' }], blocked: [] }
+      });
+      expect(result.state['125']).toEqual({ status: 'blocked', assignee: 'alice' });
+    });
   });
 
   describe('getProjectStatus()', () => {
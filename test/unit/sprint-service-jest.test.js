@@ -0,0 +1,238 @@
+/**
+ * SprintService Tests
+ *
+ * Test Coverage:
+ * - Planning sprints and committing epic tasks and issues
+ * - Starting: one active sprint, committed snapshot, current sprint in config
+ * - Review: scope changes, completion and time-box progress
+ * - Closing with carry-over to an existing or new sprint, or to the backlog
+ * - Publishing a sprint and its issues to a tracker, clearing issues that left it
+ * - Following sprints pulled from a tracker
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const SprintService = require('../../lib/services/SprintService');
+const IssueService = require('../../lib/services/IssueService');
+
+describe('SprintService', () => {
+  let tmpDir;
+  let basePath;
+  let sprints;
+
+  const read = (file) => fs.readFileSync(path.join(basePath, file), 'utf8');
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2025-03-07T12:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sprint-service-'));
+    basePath = path.join(tmpDir, '.claude');
+    sprints = new SprintService({ basePath });
+
+    fs.outputFileSync(path.join(basePath, 'epics/auth/epic.md'), '---\nid: auth\ntitle: Auth\n---\n');
+    fs.outputFileSync(path.join(basePath, 'epics/auth/001.md'), '---\nid: task-001\ntitle: Login\nstatus: pending\neffort: 1d\n---\n\nLogin\n');
+    fs.outputFileSync(path.join(basePath, 'epics/auth/002.md'), '---\nid: task-002\ntitle: Logout\nstatus: pending\neffort: 2d\n---\n\nLogout\n');
+    fs.outputFileSync(path.join(basePath, 'issues/42.md'), '---\nid: 42\ntitle: Crash on save\nstatus: open\n---\n\n# Crash on save\n');
+    fs.outputJSONSync(path.join(basePath, 'config.json'), { user: 'alice' });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    fs.removeSync(tmpDir);
+  });
+
+  test('should plan a sprint and tag its items', async () => {
+    const sprint = await sprints.plan('sprint-12', {
+      start: '2025-03-03',
+      end: '2025-03-14',
+      goal: 'Ship login',
+      tasks: ['auth/task-001', 'auth/002', '42']
+    });
+
+    expect(sprint).toMatchObject({ name: 'sprint-12', status: 'planned', goal: 'Ship login' });
+    expect(sprint.tasks).toEqual(['auth/task-001', 'auth/task-002', '#42']);
+    expect(read('epics/auth/001.md')).toContain('effort: 1d\nsprint: sprint-12\n---\n\nLogin');
+    expect(read('issues/42.md')).toContain('sprint: sprint-12');
+
+    const defaults = await sprints.plan('sprint-13');
+    expect([defaults.start, defaults.end]).toEqual(['2025-03-07', '2025-03-20']);
+
+    await expect(sprints.plan('sprint 14')).rejects.toThrow('Invalid sprint name: sprint 14');
+    await expect(sprints.plan('sprint-12')).rejects.toThrow('Sprint already exists: sprint-12');
+    await expect(sprints.plan('s', { start: '03/01/2025' })).rejects.toThrow('Invalid sprint date: 03/01/2025. Use YYYY-MM-DD');
+    await expect(sprints.plan('s', { start: '2025-03-10', end: '2025-03-01' })).rejects.toThrow('Sprint ends before it starts');
+    await expect(sprints.addTasks('sprint-12', ['auth/task-999'])).rejects.toThrow('Unknown task: auth/task-999');
+    await expect(sprints.plan('sprint-14', { tasks: ['#7'] })).rejects.toThrow('Unknown task: #7');
+    await expect(sprints.get('sprint-14')).rejects.toThrow('Sprint not found: sprint-14');
+  });
+
+  test('should start one sprint at a time and set the current sprint', async () => {
+    await sprints.plan('sprint-12', { start: '2025-03-03', end: '2025-03-14', tasks: ['auth/task-001'] });
+    await sprints.plan('sprint-13', { start: '2025-03-17', end: '2025-03-28' });
+
+    const started = await sprints.start('sprint-12');
+
+    expect(started).toMatchObject({ status: 'active', committed: ['auth/task-001'] });
+    expect(fs.readJSONSync(path.join(basePath, 'config.json'))).toEqual({ user: 'alice', sprint: 'sprint-12' });
+    expect((await sprints.getActive()).name).toBe('sprint-12');
+    await expect(sprints.start('sprint-13')).rejects.toThrow('Sprint sprint-12 is still active. Close it first');
+    await expect(sprints.start('sprint-12')).rejects.toThrow('Only a planned sprint can be started: sprint-12 is active');
+  });
+
+  test('should not overwrite a config that does not parse', async () => {
+    await sprints.plan('sprint-12', { start: '2025-03-03', end: '2025-03-14' });
+    fs.outputFileSync(path.join(basePath, 'config.json'), '{ "user": "alice",');
+
+    await expect(sprints.start('sprint-12')).rejects.toThrow(/config\.json/);
+
+    expect(read('config.json')).toBe('{ "user": "alice",');
+    expect((await sprints.get('sprint-12')).status).toBe('planned');
+
+    fs.removeSync(path.join(basePath, 'config.json'));
+    await sprints.start('sprint-12');
+    expect(fs.readJSONSync(path.join(basePath, 'config.json'))).toEqual({ sprint: 'sprint-12' });
+  });
+
+  test('should review progress and scope changes since the start', async () => {
+    await sprints.plan('sprint-12', { start: '2025-03-03', end: '2025-03-14', tasks: ['auth/task-001', 'auth/task-002'] });
+    await sprints.start('sprint-12');
+    await sprints.addTasks('sprint-12', ['#42']);
+    await sprints.removeTasks('sprint-12', ['auth/task-002']);
+    fs.outputFileSync(path.join(basePath, 'epics/auth/001.md'), '---\nid: task-001\ntitle: Login\nstatus: done\neffort: 1d\nsprint: sprint-12\n---\n');
+
+    const review = await sprints.review('sprint-12');
+
+    expect(review).toMatchObject({
+      committed: 2,
+      added: ['#42'],
+      removed: ['auth/task-002'],
+      completed: 1,
+      remaining: 1,
+      percent: 50,
+      hours: { total: 16, completed: 8, remaining: 8, percent: 50 },
+      elapsed: { days: 5, total: 12, percent: 42 },
+      onTrack: true
+    });
+    expect(read('epics/auth/002.md')).not.toContain('sprint:');
+    expect((await sprints.get('sprint-12')).changes.map(c => `${c.action} ${c.ref}`)).toEqual(['added #42', 'removed auth/task-002']);
+  });
+
+  test('should close a sprint and carry unfinished work into a new sprint', async () => {
+    await sprints.plan('sprint-12', { start: '2025-03-03', end: '2025-03-14', tasks: ['auth/task-001', 'auth/task-002'] });
+    await sprints.start('sprint-12');
+    fs.outputFileSync(path.join(basePath, 'epics/auth/001.md'), '---\nid: task-001\ntitle: Login\nstatus: completed\nsprint: sprint-12\n---\n');
+
+    const result = await sprints.close('sprint-12', { carryOverTo: 'sprint-13' });
+
+    expect(result).toMatchObject({ completed: ['auth/task-001'], carriedOver: ['auth/task-002'], carriedTo: 'sprint-13' });
+    expect(await sprints.get('sprint-13')).toMatchObject({
+      status: 'planned',
+      start: '2025-03-15',
+      end: '2025-03-26',
+      tasks: ['auth/task-002'],
+      carriedFrom: 'sprint-12'
+    });
+    expect(read('epics/auth/002.md')).toContain('sprint: sprint-13');
+    expect(read('epics/auth/001.md')).toContain('sprint: sprint-12');
+    expect(fs.readJSONSync(path.join(basePath, 'config.json')).sprint).toBeUndefined();
+
+    // The closed sprint keeps its outcome
+    expect((await sprints.review('sprint-12')).completed).toBe(1);
+    await expect(sprints.addTasks('sprint-12', ['#42'])).rejects.toThrow('Sprint sprint-12 is closed');
+    await expect(sprints.close('sprint-13')).rejects.toThrow('Only an active sprint can be closed: sprint-13 is planned');
+  });
+
+  test('should return unfinished work to the backlog without a carry-over sprint', async () => {
+    await sprints.plan('sprint-12', { start: '2025-03-03', end: '2025-03-14', tasks: ['#42'] });
+    await sprints.start('sprint-12');
+
+    const result = await sprints.close('sprint-12');
+
+    expect(result).toMatchObject({ completed: [], carriedOver: ['#42'], carriedTo: null });
+    expect(read('issues/42.md')).not.toContain('sprint:');
+  });
+
+  test('should publish the sprint and push its issues with their iteration', async () => {
+    jest.spyOn(process, 'cwd').mockReturnValue(tmpDir);
+    await sprints.plan('sprint-12', { start: '2025-03-03', end: '2025-03-14', tasks: ['#42', 'auth/task-001'] });
+
+    const provider = {
+      getName: () => 'github',
+      getItem: jest.fn(),
+      syncIteration: jest.fn().mockResolvedValue({ id: '4', name: 'sprint-12', url: 'https://github.com/m/4' }),
+      createItem: jest.fn().mockResolvedValue({ id: '101', title: 'Crash on save', status: 'open' }),
+      updateItem: jest.fn()
+    };
+
+    const result = await sprints.syncToProvider('sprint-12', provider, { issueService: new IssueService() });
+
+    expect(provider.syncIteration).toHaveBeenCalledWith(expect.objectContaining({ name: 'sprint-12', end: '2025-03-14' }));
+    expect(provider.createItem).toHaveBeenCalledWith(expect.objectContaining({ title: 'Crash on save', iteration: 'sprint-12' }));
+    expect(result).toEqual({
+      provider: 'github',
+      iteration: { id: '4', name: 'sprint-12', url: 'https://github.com/m/4' },
+      issues: [{ ref: '#42', success: true }],
+      skipped: ['auth/task-001']
+    });
+    expect((await sprints.get('sprint-12')).remote.github).toMatchObject({ id: '4', syncedAt: '2025-03-07T12:00:00.000Z' });
+  });
+
+  test('should clear the iteration of issues that left the sprint on the next sync', async () => {
+    jest.spyOn(process, 'cwd').mockReturnValue(tmpDir);
+    await sprints.plan('sprint-12', { start: '2025-03-03', end: '2025-03-14', tasks: ['#42'] });
+
+    const provider = {
+      getName: () => 'github',
+      getItem: jest.fn().mockResolvedValue({ id: '101', title: 'Crash on save', status: 'open' }),
+      syncIteration: jest.fn().mockResolvedValue({ id: '4', name: 'sprint-12' }),
+      createItem: jest.fn().mockResolvedValue({ id: '101', title: 'Crash on save', status: 'open', iteration: 'sprint-12' }),
+      updateItem: jest.fn().mockResolvedValue({ id: '101', title: 'Crash on save', status: 'open' })
+    };
+    const issueService = new IssueService();
+
+    await sprints.syncToProvider('sprint-12', provider, { issueService });
+    expect((await sprints.get('sprint-12')).remote.github.items).toEqual(['#42']);
+
+    await sprints.removeTasks('sprint-12', ['#42']);
+    const result = await sprints.syncToProvider('sprint-12', provider, { issueService });
+
+    expect(provider.updateItem).toHaveBeenCalledWith('101', expect.objectContaining({ iteration: null }));
+    expect(result.issues).toEqual([{ ref: '#42', left: true, success: true }]);
+  });
+
+  test('should not create tracker items for departed issues that were never pushed', async () => {
+    jest.spyOn(process, 'cwd').mockReturnValue(tmpDir);
+    await sprints.plan('sprint-12', { start: '2025-03-03', end: '2025-03-14', tasks: ['#42'] });
+    await sprints.start('sprint-12');
+    await sprints.close('sprint-12');
+
+    const provider = {
+      getName: () => 'github',
+      getItem: jest.fn(),
+      syncIteration: jest.fn().mockResolvedValue({ id: '4', name: 'sprint-12' }),
+      createItem: jest.fn(),
+      updateItem: jest.fn()
+    };
+
+    const result = await sprints.syncToProvider('sprint-12', provider, { issueService: new IssueService() });
+
+    expect(provider.createItem).not.toHaveBeenCalled();
+    expect(result.issues).toEqual([]);
+  });
+
+  test('should move an item between sprint scopes when its sprint changes elsewhere', async () => {
+    await sprints.plan('sprint-12', { start: '2025-03-03', end: '2025-03-14', tasks: ['#42'] });
+    await sprints.plan('sprint-13', { start: '2025-03-17', end: '2025-03-28' });
+    await sprints.start('sprint-13');
+
+    const result = await sprints.syncMembership('#42', 'sprint-13');
+
+    expect(result).toEqual({ added: 'sprint-13', removed: ['sprint-12'] });
+    expect((await sprints.get('sprint-12')).tasks).toEqual([]);
+    expect((await sprints.get('sprint-13')).tasks).toEqual(['#42']);
+    expect((await sprints.get('sprint-13')).changes).toEqual([{ ref: '#42', action: 'added', at: '2025-03-07T12:00:00.000Z' }]);
+
+    expect(await sprints.syncMembership('#42', 'Sprint 7')).toEqual({ added: null, removed: ['sprint-13'] });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * StandupHistory Tests
+ *
+ * Test Coverage:
+ * - Archiving standups (one per day) and finding the previous one
+ * - Narrowing a report to one assignee
+ * - Markdown, Slack mrkdwn and JSON export
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const StandupHistory = require('../../lib/standup-history');
+
+describe('StandupHistory', () => {
+  let tmpDir;
+  let history;
+
+  const report = {
+    date: '2025-03-07',
+    since: '2025-03-06',
+    yesterday: [{ id: '123', title: 'Login', status: 'closed', assignee: 'alice' }],
+    today: [
+      { id: '124', title: 'Tokens <v2>', status: 'in-progress', assignee: 'bob', stale: true },
+      { id: '126', title: 'Docs', status: 'in-progress' }
+    ],
+    blockers: [{ id: '125', title: 'Deploy', reason: 'Waiting for API', daysBlocked: 2 }],
+    velocity: 1,
+    sprintProgress: { completed: 1, total: 4, percentage: 25 },
+    byAssignee: {
+      unassigned: { done: [], doing: [{ id: '126', title: 'Docs' }], blocked: [] },
+      alice: { done: [{ id: '123', title: 'Login' }], doing: [], blocked: [{ id: '125', title: 'Deploy', reason: 'Waiting for API' }] },
+      bob: { done: [], doing: [{ id: '124', title: 'Tokens <v2>', stale: true }], blocked: [] }
+    },
+    state: { 123: { status: 'closed', assignee: 'alice' } }
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'standup-history-'));
+    history = new StandupHistory({ basePath: path.join(tmpDir, '.claude') });
+  });
+
+  afterEach(() => {
+    fs.removeSync(tmpDir);
+  });
+
+  test('should archive one standup per day and find the previous one', async () => {
+    expect(await history.getPrevious('2025-03-07')).toBeNull();
+
+    await history.save({ ...report, date: '2025-03-05', velocity: 3 });
+    await history.save({ ...report, date: '2025-03-06', velocity: 4 });
+    await history.save({ ...report, date: '2025-03-06', velocity: 2 });
+    const filePath = await history.save(report);
+
+    expect(filePath).toBe(path.join(tmpDir, '.claude', 'standups', '2025-03-07.json'));
+    expect(await history.list()).toEqual(['2025-03-05', '2025-03-06', '2025-03-07']);
+    expect((await history.getPrevious('2025-03-07')).velocity).toBe(2);
+    expect((await history.get('2025-03-07')).state).toEqual(report.state);
+    await expect(history.get('2025-03-01')).rejects.toThrow('Standup not found: 2025-03-01');
+  });
+
+  test('should narrow a report to one assignee', () => {
+    const alice = history.filterByAssignee(report, 'alice');
+
+    expect(alice.assignee).toBe('alice');
+    expect(alice.yesterday.map(item => item.id)).toEqual(['123']);
+    expect(alice.today).toEqual([]);
+    expect(alice.blockers.map(item => item.id)).toEqual(['125']);
+    expect(Object.keys(alice.byAssignee)).toEqual(['alice']);
+
+    expect(history.filterByAssignee(report, 'carol').byAssignee).toEqual({ carol: { done: [], doing: [], blocked: [] } });
+  });
+
+  test('should export Markdown grouped by assignee', () => {
+    expect(history.export(report)).toBe([
+      '# Standup - 2025-03-07',
+      '',
+      '_Changes since 2025-03-06_',
+      '',
+      '## alice',
+      '',
+      '**Done**',
+      '- #123 Login',
+      '',
+      '**Doing**',
+      '- _Nothing_',
+      '',
+      '**Blocked**',
+      '- #125 Deploy: Waiting for API',
+      '',
+      '## bob',
+      '',
+      '**Done**',
+      '- _Nothing_',
+      '',
+      '**Doing**',
+      '- #124 Tokens <v2> (stale)',
+      '',
+      '**Blocked**',
+      '- _Nothing_',
+      '',
+      '## unassigned',
+      '',
+      '**Done**',
+      '- _Nothing_',
+      '',
+      '**Doing**',
+      '- #126 Docs',
+      '',
+      '**Blocked**',
+      '- _Nothing_',
+      '',
+      '## Metrics',
+      '- Velocity: 1 tasks/day (7-day avg)',
+      '- Sprint progress: 1/4 (25%)',
+      ''
+    ].join('\n'));
+  });
+
+  test('should export Slack mrkdwn and JSON', () => {
+    const slack = history.export(history.filterByAssignee(report, 'bob'), 'slack');
+
+    expect(slack).toBe([
+      '*Standup - 2025-03-07* (since 2025-03-06)',
+      '',
+      '*bob*',
+      '_Done_',
+      '• nothing',
+      '_Doing_',
+      '• #124 Tokens &lt;v2&gt; (stale)',
+      '_Blocked_',
+      '• nothing',
+      '',
+      '*Metrics:* velocity 1 tasks/day · sprint 1/4 (25%)',
+      ''
+    ].join('\n'));
+
+    const json = JSON.parse(history.export(report, 'json'));
+    expect(json.state).toBeUndefined();
+    expect(json.byAssignee.alice.done).toEqual([{ id: '123', title: 'Login' }]);
+
+    expect(() => history.export(report, 'html')).toThrow('Unsupported standup format: html. Must be one of: markdown, slack, json');
+  });
+
+  test('should group an ungrouped report under the team', () => {
+    const { byAssignee, since, ...plain } = report;
+
+    expect(history.export(plain)).toContain('# Standup - 2025-03-07\n\n## Team\n\n**Done**\n- #123 Login');
+  });
+});
@@ -0,0 +1,360 @@
+/**
+ * Sync Outbox Tests
+ *
+ * Test Coverage:
+ * - Durable queue in .claude/sync-outbox.jsonl with duplicate detection
+ * - Corrupt queue lines quarantined to the dead-letter file
+ * - Replay plan: deduplication and coalescing of pushes per entity
+ * - Replay through the circuit breaker: order, permanent and transient failures
+ * - IssueService queueing pushes/comments while offline and replaying them
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const SyncOutbox = require('../../lib/sync-outbox');
+const IssueService = require('../../lib/services/IssueService');
+const IssueTrackerProvider = require('../../lib/providers/IssueTrackerProvider');
+const { CircuitBreaker, States } = require('../../lib/utils/CircuitBreaker');
+
+const offlineError = () => {
+  const error = new Error('connect ECONNREFUSED 127.0.0.1:443');
+  error.code = 'ECONNREFUSED';
+  return error;
+};
+
+class MemoryTrackerProvider extends IssueTrackerProvider {
+  constructor() {
+    super();
+    this.items = new Map();
+    this.comments = [];
+    this.nextId = 1;
+    this.offline = false;
+  }
+
+  getName() {
+    return 'memory';
+  }
+
+  _checkOnline() {
+    if (this.offline) {
+      throw offlineError();
+    }
+  }
+
+  async getItem(id) {
+    this._checkOnline();
+    const item = this.items.get(String(id));
+    if (!item) {
+      throw new Error(`Item not found: ${id}`);
+    }
+    return { ...item };
+  }
+
+  async createItem(item) {
+    this._checkOnline();
+    const id = String(this.nextId++);
+    const now = new Date().toISOString();
+    this.items.set(id, { id, created: now, updated: now, ...item });
+    return this.getItem(id);
+  }
+
+  async updateItem(id, item) {
+    const existing = await this.getItem(id);
+    this.items.set(String(id), { ...existing, ...item, updated: new Date().toISOString() });
+    return this.getItem(id);
+  }
+
+  async addItemComment(id, body) {
+    await this.getItem(id);
+    this.comments.push({ id: String(id), body });
+    return { id: this.comments.length, body };
+  }
+}
+
+describe('SyncOutbox - Queue', () => {
+  let tmpDir;
+  let outbox;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-outbox-'));
+    jest.spyOn(process, 'cwd').mockReturnValue(tmpDir);
+    outbox = new SyncOutbox();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.removeSync(tmpDir);
+  });
+
+  test('should persist operations in order as JSONL', async () => {
+    await outbox.enqueue({ provider: 'github', entityType: 'issue', entityId: 1, action: 'create' });
+    await outbox.enqueue({ provider: 'github', entityType: 'issue', entityId: 1, action: 'comment', payload: { body: 'Hi' } });
+
+    const lines = fs.readFileSync(path.join(tmpDir, '.claude/sync-outbox.jsonl'), 'utf8').trim().split('\n');
+    expect(lines).toHaveLength(2);
+
+    const operations = await new SyncOutbox().list();
+    expect(operations.map(op => op.action)).toEqual(['create', 'comment']);
+    expect(operations[0]).toMatchObject({ provider: 'github', entityId: '1', attempts: 0 });
+  });
+
+  test('should not queue exact duplicates', async () => {
+    const operation = { provider: 'github', entityType: 'issue', entityId: 1, action: 'update' };
+
+    const first = await outbox.enqueue(operation);
+    const second = await outbox.enqueue(operation);
+
+    expect(first.queued).toBe(true);
+    expect(second).toEqual({ queued: false, operation: first.operation });
+    expect(await outbox.size()).toBe(1);
+  });
+
+  test('should validate operations', async () => {
+    await expect(outbox.enqueue({ provider: 'github', action: 'update' }))
+      .rejects.toThrow('Outbox operation requires provider, entityType and entityId');
+    await expect(outbox.enqueue({ provider: 'github', entityType: 'issue', entityId: 1, action: 'delete' }))
+      .rejects.toThrow('Invalid outbox action: delete');
+  });
+
+  test('should move corrupt queue lines to the dead-letter file', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await outbox.enqueue({ provider: 'github', entityType: 'issue', entityId: 1, action: 'update' });
+    fs.appendFileSync(path.join(tmpDir, '.claude/sync-outbox.jsonl'), '{"provider":"github","entit\n');
+    await outbox.enqueue({ provider: 'github', entityType: 'issue', entityId: 2, action: 'update' });
+
+    const operations = await outbox.list();
+    expect(operations.map(op => op.entityId)).toEqual(['1', '2']);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('Moved 1 corrupt line(s)'));
+
+    const failed = await outbox.listFailed();
+    expect(failed).toHaveLength(1);
+    expect(failed[0]).toMatchObject({ operation: null, raw: '{"provider":"github","entit' });
+    expect(failed[0].error).toMatch(/^Corrupt outbox line:/);
+
+    const lines = fs.readFileSync(path.join(tmpDir, '.claude/sync-outbox.jsonl'), 'utf8').trim().split('\n');
+    expect(lines).toHaveLength(2);
+  });
+
+  test('should classify transient errors', () => {
+    expect(SyncOutbox.isTransientError(offlineError())).toBe(true);
+    expect(SyncOutbox.isTransientError(Object.assign(new Error('Bad gateway'), { status: 502 }))).toBe(true);
+    expect(SyncOutbox.isTransientError(Object.assign(new Error('Slow down'), { response: { status: 429 } }))).toBe(true);
+    expect(SyncOutbox.isTransientError(new Error('Circuit breaker is OPEN'))).toBe(true);
+    expect(SyncOutbox.isTransientError(Object.assign(new Error('Not found'), { status: 404 }))).toBe(false);
+    expect(SyncOutbox.isTransientError(new Error('Validation failed'))).toBe(false);
+  });
+});
+
+describe('SyncOutbox - Replay', () => {
+  let tmpDir;
+  let outbox;
+
+  const queue = (entityId, action, payload) =>
+    outbox.enqueue({ provider: 'memory', entityType: 'issue', entityId, action, payload });
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-outbox-replay-'));
+    jest.spyOn(process, 'cwd').mockReturnValue(tmpDir);
+    outbox = new SyncOutbox({ circuitBreaker: new CircuitBreaker({ failureThreshold: 1, timeout: 60000 }) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.removeSync(tmpDir);
+  });
+
+  test('should coalesce repeated pushes and keep comments in order', async () => {
+    await queue(1, 'create');
+    await queue(2, 'update', { fields: ['title'] });
+    await queue(1, 'comment', { body: 'Started' });
+    await queue(2, 'update', { fields: ['status'] });
+    await queue(1, 'update');
+
+    const { steps, coalesced, deduplicated } = outbox.plan(await outbox.list());
+
+    expect(coalesced).toBe(2);
+    expect(deduplicated).toBe(0);
+    expect(steps.map(step => `${step.operation.action}:${step.operation.entityId}`))
+      .toEqual(['create:1', 'update:2', 'comment:1']);
+    expect(steps[1].operation.payload).toEqual({ fields: ['status'] });
+    expect(steps[0].sourceIds).toHaveLength(2);
+  });
+
+  test('should replay in order and empty the queue', async () => {
+    await queue(1, 'create');
+    await queue(1, 'comment', { body: 'Started' });
+    await queue(1, 'update');
+
+    const executed = [];
+    const report = await outbox.replay(async (operation) => {
+      executed.push(`${operation.action}:${operation.entityId}`);
+      return { ok: true };
+    });
+
+    expect(executed).toEqual(['create:1', 'comment:1']);
+    expect(report).toMatchObject({ coalesced: 1, failed: [], deferred: [], skipped: false });
+    expect(report.replayed).toHaveLength(2);
+    expect(await outbox.size()).toBe(0);
+  });
+
+  test('should report permanent failures and continue', async () => {
+    await queue(1, 'update');
+    await queue(2, 'update');
+
+    const report = await outbox.replay(async (operation) => {
+      if (operation.entityId === '1') {
+        throw Object.assign(new Error('Item not found: 1'), { status: 404 });
+      }
+      return { ok: true };
+    });
+
+    expect(report.failed).toEqual([
+      expect.objectContaining({ operation: expect.objectContaining({ entityId: '1' }), error: 'Item not found: 1' })
+    ]);
+    expect(report.replayed).toHaveLength(1);
+    expect(outbox.circuitBreaker.getState()).toBe(States.CLOSED);
+    expect(await outbox.size()).toBe(0);
+    expect(await outbox.listFailed()).toEqual([
+      expect.objectContaining({ error: 'Item not found: 1', failedAt: expect.any(String) })
+    ]);
+  });
+
+  test('should stop on a transient failure and keep the rest queued', async () => {
+    await queue(1, 'update');
+    await queue(2, 'update');
+    await queue(3, 'update');
+
+    const report = await outbox.replay(async (operation) => {
+      if (operation.entityId === '2') {
+        throw offlineError();
+      }
+      return { ok: true };
+    });
+
+    expect(report.replayed).toHaveLength(1);
+    expect(report.deferred.map(op => op.entityId)).toEqual(['2', '3']);
+    expect(report.state).toBe(States.OPEN);
+
+    const remaining = await outbox.list();
+    expect(remaining.map(op => op.entityId)).toEqual(['2', '3']);
+    expect(remaining[0]).toMatchObject({ attempts: 1, lastError: 'connect ECONNREFUSED 127.0.0.1:443' });
+  });
+
+  test('should skip replay while the circuit is open', async () => {
+    await queue(1, 'update');
+    await outbox.circuitBreaker.execute(async () => { throw offlineError(); }).catch(() => {});
+
+    const executor = jest.fn();
+    const report = await outbox.replay(executor);
+
+    expect(report.skipped).toBe(true);
+    expect(report.deferred).toHaveLength(1);
+    expect(executor).not.toHaveBeenCalled();
+    expect(await outbox.size()).toBe(1);
+  });
+
+  test('should not execute or change the queue in dry-run mode', async () => {
+    await queue(1, 'update');
+    await queue(1, 'update', { fields: ['title'] });
+
+    const executor = jest.fn();
+    const report = await outbox.replay(executor, { dryRun: true });
+
+    expect(executor).not.toHaveBeenCalled();
+    expect(report.deferred).toHaveLength(1);
+    expect(report.coalesced).toBe(1);
+    expect(await outbox.size()).toBe(2);
+  });
+});
+
+describe('SyncOutbox - IssueService integration', () => {
+  let tmpDir;
+  let provider;
+  let service;
+
+  const writeIssue = (number, title) => {
+    fs.outputFileSync(path.join(tmpDir, `.claude/issues/${number}.md`), `---
+id: ${number}
+title: ${title}
+status: open
+created: 2025-01-01T00:00:00Z
+updated: 2025-01-01T00:00:00Z
+---
+
+# ${title}
+
+Details
+`);
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-outbox-issue-'));
+    jest.spyOn(process, 'cwd').mockReturnValue(tmpDir);
+    provider = new MemoryTrackerProvider();
+    service = new IssueService({ provider });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.removeSync(tmpDir);
+  });
+
+  test('should queue offline pushes and comments and replay them once online', async () => {
+    writeIssue(1, 'Login form');
+    provider.offline = true;
+
+    const push = await service.sync(1);
+    const comment = await service.commentOnIssue(1, 'Blocked on API review');
+    writeIssue(1, 'Login form v2');
+    await service.sync(1);
+
+    expect(push).toMatchObject({ success: false, queued: true, action: 'create', localNumber: '1' });
+    expect(comment).toMatchObject({ success: false, queued: true, action: 'comment' });
+    // The second push is the same pending create, so it is not queued twice
+    expect(await service.outbox.size()).toBe(2);
+
+    provider.offline = false;
+    const outbox = new SyncOutbox();
+    const report = await outbox.replay(operation => service.replayOutboxOperation(operation, provider));
+
+    expect(report.failed).toEqual([]);
+    expect(report.replayed.map(entry => entry.result.action)).toEqual(['created', 'commented']);
+    expect(provider.items.size).toBe(1);
+    expect((await provider.getItem(1)).title).toBe('Login form v2');
+    expect(provider.comments).toEqual([{ id: '1', body: 'Blocked on API review' }]);
+
+    const syncMap = fs.readJSONSync(path.join(tmpDir, '.claude/memory-sync-map.json'));
+    expect(syncMap['local-to-memory']['1']).toBe('1');
+    expect(await outbox.size()).toBe(0);
+  });
+
+  test('should still throw permanent errors without queueing', async () => {
+    writeIssue(1, 'Login form');
+    await service.sync(1);
+    provider.items.clear();
+
+    await expect(service.sync(1)).rejects.toThrow('Item not found: 1');
+    await expect(service.commentOnIssue(2, 'Hi')).rejects.toThrow('Issue 2 is not linked to memory');
+    expect(await service._getOutbox().size()).toBe(0);
+  });
+
+  test('should queue immediately while the circuit is open', async () => {
+    writeIssue(1, 'Login form');
+    service = new IssueService({
+      provider,
+      outbox: new SyncOutbox({ circuitBreaker: new CircuitBreaker({ failureThreshold: 1, timeout: 60000 }) })
+    });
+
+    provider.offline = true;
+    await service.sync(1);
+    provider.offline = false;
+
+    const createItem = jest.spyOn(provider, 'createItem');
+    const result = await service.sync(1);
+
+    expect(result).toMatchObject({ queued: true, error: 'Circuit breaker is OPEN' });
+    expect(createItem).not.toHaveBeenCalled();
+    expect(await service.outbox.size()).toBe(1);
+  });
+});
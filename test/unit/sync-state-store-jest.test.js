@@ -0,0 +1,289 @@
+/**
+ * Sync State Store Tests
+ *
+ * Test Coverage:
+ * - Snapshot persistence under .claude/sync-state
+ * - Field-level and body three-way merges against a snapshot
+ * - IssueService.syncBidirectional / EpicService.syncEpicBidirectional using the base
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const SyncStateStore = require('../../lib/sync-state-store');
+const IssueService = require('../../lib/services/IssueService');
+const EpicService = require('../../lib/services/EpicService');
+
+describe('SyncStateStore - Persistence', () => {
+  let tmpDir;
+  let store;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-state-'));
+    jest.spyOn(process, 'cwd').mockReturnValue(tmpDir);
+    store = new SyncStateStore();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.removeSync(tmpDir);
+  });
+
+  test('should save and load snapshots per provider and entity', async () => {
+    await store.save('github', 'issue', 12, {
+      remoteId: 34,
+      local: { frontmatter: { title: 'A', labels: ['x', 'y'] }, body: 'Body\r\n' },
+      remote: { frontmatter: { title: 'A' }, body: 'Body' }
+    });
+
+    const snapshotPath = path.join(tmpDir, '.claude/sync-state/github/issue/12.json');
+    expect(fs.existsSync(snapshotPath)).toBe(true);
+
+    const snapshot = await store.load('github', 'issue', '12');
+    expect(snapshot).toMatchObject({
+      provider: 'github',
+      entityType: 'issue',
+      entityId: '12',
+      remoteId: '34',
+      frontmatter: { title: 'A', labels: 'x, y' },
+      body: 'Body',
+      remote: { frontmatter: { title: 'A' }, body: 'Body' }
+    });
+    expect(snapshot.syncedAt).toBeDefined();
+  });
+
+  test('should default the remote view to the local view', async () => {
+    const snapshot = await store.save('azure', 'epic', 'auth', {
+      local: { frontmatter: { priority: 'P1' }, body: 'B' }
+    });
+
+    expect(snapshot.remote).toEqual({ frontmatter: { priority: 'P1' }, body: 'B' });
+  });
+
+  test('should return null for missing or malformed snapshots', async () => {
+    expect(await store.load('github', 'issue', 1)).toBeNull();
+
+    const snapshotPath = store.getSnapshotPath('github', 'issue', 1);
+    fs.outputJSONSync(snapshotPath, { 'local-to-github': {} });
+
+    expect(await store.load('github', 'issue', 1)).toBeNull();
+
+    fs.outputFileSync(snapshotPath, '{"remoteId": 12, "local"');
+    expect(await store.load('github', 'issue', 1)).toBeNull();
+  });
+
+  test('should remove snapshots', async () => {
+    await store.save('github', 'issue', 1, { local: { frontmatter: {}, body: '' } });
+
+    expect(await store.remove('github', 'issue', 1)).toBe(true);
+    expect(await store.remove('github', 'issue', 1)).toBe(false);
+  });
+
+  test('should reject entity ids escaping the state directory', () => {
+    expect(() => store.getSnapshotPath('github', 'issue', '../../../etc/passwd'))
+      .toThrow('Snapshot path must be within the sync state directory');
+  });
+});
+
+describe('SyncStateStore - Three-Way Merge', () => {
+  let store;
+  const base = {
+    frontmatter: { title: 'Login', status: 'in-progress', labels: 'auth' },
+    body: 'line 1\nline 2\nline 3',
+    remote: {
+      frontmatter: { title: 'Login', status: 'open', labels: 'auth' },
+      body: 'line 1\nline 2\nline 3'
+    }
+  };
+
+  beforeEach(() => {
+    store = new SyncStateStore();
+  });
+
+  test('should compare each side with its own base', () => {
+    const result = store.merge(
+      { frontmatter: base.frontmatter, body: base.body },
+      { frontmatter: base.remote.frontmatter, body: base.remote.body },
+      base
+    );
+
+    expect(result.localChanged).toBe(false);
+    expect(result.remoteChanged).toBe(false);
+    expect(result.frontmatter.status).toBe('in-progress');
+  });
+
+  test('should combine non-overlapping field and body edits', () => {
+    const result = store.merge(
+      { frontmatter: { ...base.frontmatter, title: 'Login v2' }, body: 'line 1 local\nline 2\nline 3' },
+      { frontmatter: { ...base.remote.frontmatter, labels: ['auth', 'ui'] }, body: 'line 1\nline 2\nline 3 remote' },
+      base
+    );
+
+    expect(result.hasConflicts).toBe(false);
+    expect(result.localChanged).toBe(true);
+    expect(result.remoteChanged).toBe(true);
+    expect(result.frontmatter).toEqual({ title: 'Login v2', status: 'in-progress', labels: 'auth, ui' });
+    expect(result.body).toBe('line 1 local\nline 2\nline 3 remote');
+  });
+
+  test('should report overlapping edits as conflicts', () => {
+    const result = store.merge(
+      { frontmatter: { ...base.frontmatter, title: 'Local' }, body: 'line 1 local\nline 2\nline 3' },
+      { frontmatter: { ...base.remote.frontmatter, title: 'Remote' }, body: 'line 1 remote\nline 2\nline 3' },
+      base
+    );
+
+    expect(result.hasConflicts).toBe(true);
+    expect(result.conflicts).toEqual([
+      expect.objectContaining({ section: 'frontmatter', field: 'title', localContent: 'Local', remoteContent: 'Remote' }),
+      expect.objectContaining({ section: 'body', localContent: 'line 1 local', remoteContent: 'line 1 remote' })
+    ]);
+  });
+
+  test('should accept equivalent values via the equivalent option', () => {
+    const result = store.merge(
+      { frontmatter: { ...base.frontmatter, status: 'done' }, body: base.body },
+      { frontmatter: { ...base.remote.frontmatter, status: 'closed' }, body: base.body },
+      base,
+      { equivalent: (field, a, b) => field === 'status' && [a, b].every(s => ['done', 'closed'].includes(s)) }
+    );
+
+    expect(result.hasConflicts).toBe(false);
+    expect(result.frontmatter.status).toBe('done');
+  });
+
+  test('should not count a lossy remote value as a remote edit via the remoteEquivalent option', () => {
+    const legacyBase = { ...base, remote: { frontmatter: base.frontmatter, body: base.body } };
+
+    const result = store.merge(
+      { frontmatter: base.frontmatter, body: base.body },
+      { frontmatter: base.remote.frontmatter, body: base.body },
+      legacyBase,
+      { remoteEquivalent: (field, value, remoteBase) => field === 'status' && value === 'open' && remoteBase === 'in-progress' }
+    );
+
+    expect(result.remoteChanged).toBe(false);
+    expect(result.frontmatter.status).toBe('in-progress');
+  });
+
+  test('should require a valid base', () => {
+    expect(() => store.merge({}, {}, null)).toThrow('A valid base snapshot is required for three-way merge');
+  });
+});
+
+describe('SyncStateStore - GitHub bidirectional sync', () => {
+  let tmpDir;
+  let githubIssue;
+  let provider;
+
+  const issuePath = () => path.join(tmpDir, '.claude/issues/1.md');
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-state-github-'));
+    jest.spyOn(process, 'cwd').mockReturnValue(tmpDir);
+
+    githubIssue = null;
+    provider = {
+      getIssue: jest.fn(async () => ({ ...githubIssue })),
+      createIssue: jest.fn(async (data) => {
+        githubIssue = {
+          number: 7,
+          title: data.title,
+          body: data.body,
+          state: data.state,
+          labels: (data.labels || []).map(name => ({ name })),
+          assignees: [],
+          updated_at: '2025-01-01T10:00:00Z'
+        };
+        return { ...githubIssue };
+      }),
+      updateIssue: jest.fn(async (number, data) => {
+        githubIssue = {
+          ...githubIssue,
+          ...data,
+          labels: data.labels ? data.labels.map(name => ({ name })) : githubIssue.labels,
+          updated_at: new Date().toISOString()
+        };
+        return { ...githubIssue };
+      })
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.removeSync(tmpDir);
+  });
+
+  test('IssueService.syncBidirectional should merge edits made on both sides', async () => {
+    fs.outputFileSync(issuePath(), `---
+id: 1
+title: Login form
+status: in-progress
+created: 2025-01-01T00:00:00Z
+updated: 2025-01-01T00:00:00Z
+---
+
+# Login form
+
+Intro
+
+Details
+`);
+
+    const service = new IssueService({ provider });
+    await service.syncToGitHub(1);
+
+    fs.writeFileSync(issuePath(), fs.readFileSync(issuePath(), 'utf8')
+      .replace('Intro', 'Intro (local)')
+      .replace('updated: 2025-01-01T00:00:00Z', 'updated: 2025-01-01T12:00:00Z'));
+    githubIssue = {
+      ...githubIssue,
+      body: githubIssue.body.replace('Details', 'Details (remote)'),
+      updated_at: '2025-01-01T11:00:00Z'
+    };
+
+    const result = await service.syncBidirectional(1, { conflictStrategy: 'detect' });
+
+    expect(result).toMatchObject({ success: true, direction: 'merged', githubNumber: '7' });
+
+    const local = fs.readFileSync(issuePath(), 'utf8');
+    expect(local).toContain('Intro (local)');
+    expect(local).toContain('Details (remote)');
+    expect(local).toContain('status: in-progress');
+    expect(githubIssue.body).toContain('Intro (local)');
+    expect(githubIssue.body).toContain('Details (remote)');
+  });
+
+  test('EpicService.syncEpicBidirectional should pull one-sided remote edits', async () => {
+    const epicPath = path.join(tmpDir, '.claude/epics/auth/epic.md');
+    fs.outputFileSync(epicPath, `---
+name: auth
+status: in-progress
+priority: P1
+updated: 2025-01-01T00:00:00Z
+---
+
+# Epic: auth
+
+## Overview
+Auth epic.
+
+## Tasks
+- [ ] Login
+`);
+
+    const service = new EpicService({ provider });
+    await service.syncEpicToGitHub('auth');
+
+    githubIssue = {
+      ...githubIssue,
+      body: githubIssue.body.replace('- [ ] Login', '- [x] Login'),
+      updated_at: '2025-01-02T00:00:00Z'
+    };
+
+    const result = await service.syncEpicBidirectional('auth', { conflictStrategy: 'detect' });
+
+    expect(result).toMatchObject({ success: true, direction: 'from-github' });
+    expect(fs.readFileSync(epicPath, 'utf8')).toContain('- [x] Login');
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * TaskScorer Tests
+ *
+ * Test Coverage:
+ * - Weighted factors: priority, age, tasks unblocked, critical path, due date, skills
+ * - Weights from config.json merged over the defaults
+ * - Invalid weights
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const TaskScorer = require('../../lib/task-scorer');
+
+describe('TaskScorer', () => {
+  let tmpDir;
+  let basePath;
+
+  const pointsOf = (entry) => Object.fromEntries(entry.breakdown.map(b => [b.factor, b.points]));
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2025-03-10T12:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-scorer-'));
+    basePath = path.join(tmpDir, '.claude');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.removeSync(tmpDir);
+  });
+
+  test('should score each factor and rank by the weighted sum', async () => {
+    const tasks = [
+      { id: '1', priority: 'P1', created: '2025-02-08' },
+      { id: '2', priority: 'P2', due: '2025-03-03', skills: 'backend, api' },
+      { id: '3', priority: 'P0' }
+    ];
+    const graph = {
+      nodes: ['1', '2', '3', '4', '5'],
+      edges: [
+        { from: '1', to: '4', type: 'depends_on' },
+        { from: '1', to: '5', type: 'depends_on' },
+        { from: '4', to: '5', type: 'depends_on' },
+        { from: '2', to: '5', type: 'depends_on' }
+      ]
+    };
+
+    const ranked = await new TaskScorer({ basePath }).rank(tasks, {
+      graph,
+      member: { name: 'alice', skills: ['backend'] }
+    });
+
+    expect(ranked.map(entry => entry.task.id)).toEqual(['1', '3', '2']);
+    expect(pointsOf(ranked[0])).toEqual({ priority: 26.8, age: 10, unblocks: 20, criticalPath: 15, dueDate: 0, skills: 0 });
+    expect(ranked[0].score).toBe(71.8);
+    expect(pointsOf(ranked[2])).toEqual({ priority: 13.2, age: 0, unblocks: 10, criticalPath: 0, dueDate: 10, skills: 2.5 });
+
+    const details = ranked[2].breakdown.map(entry => entry.detail);
+    expect(details).toEqual([
+      'Priority P2',
+      'No creation date',
+      'Unblocks 1 task',
+      'Not on the critical path',
+      'Overdue by 7 days',
+      'alice has 1/2 skills (backend, api)'
+    ]);
+  });
+
+  test('should use the weights from config.json and keep input order on ties', async () => {
+    fs.outputJSONSync(path.join(basePath, 'config.json'), { scoring: { weights: { priority: 0, dueDate: 50 } } });
+    const tasks = [
+      { id: '1', priority: 'P0' },
+      { id: '2', priority: 'P3', due: '2025-03-17' },
+      { id: '3', priority: 'P1' }
+    ];
+
+    const scorer = new TaskScorer({ basePath });
+    const ranked = await scorer.rank(tasks);
+
+    expect(await scorer.loadWeights()).toEqual({ priority: 0, age: 10, unblocks: 20, criticalPath: 15, dueDate: 50, skills: 5 });
+    expect(ranked.map(entry => [entry.task.id, entry.score])).toEqual([['2', 25], ['1', 0], ['3', 0]]);
+  });
+
+  test('should reject unknown factors and negative weights', async () => {
+    await expect(new TaskScorer({ weights: { speed: 5 } }).loadWeights())
+      .rejects.toThrow('Unknown scoring factor: speed. Must be one of: priority, age, unblocks, criticalPath, dueDate, skills');
+    await expect(new TaskScorer({ weights: { age: -1 } }).loadWeights()).rejects.toThrow('Invalid weight for age: -1');
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * ToolRegistry Tests
+ *
+ * Test Coverage:
+ * - Registering tools, input validation and allow-lists
+ * - Dry-run, confirm and auto modes for mutating tools
+ * - Built-in project tools: read_prd, list_epics, update_task_status,
+ *   analyze_dependencies, search
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ToolRegistry = require('../../lib/tool-registry');
+
+describe('ToolRegistry', () => {
+  describe('execute()', () => {
+    let registry;
+    let closeTask;
+
+    beforeEach(() => {
+      closeTask = jest.fn().mockResolvedValue('closed');
+      registry = new ToolRegistry()
+        .register({
+          name: 'echo',
+          description: 'Echo the text',
+          inputSchema: { type: 'object', required: ['text'], properties: { text: { type: 'string' } } },
+          execute: async ({ text }) => ({ text })
+        })
+        .register({
+          name: 'close_task',
+          mutating: true,
+          inputSchema: { type: 'object', required: ['id'], properties: { id: { type: 'string' } } },
+          preview: ({ id }) => `close task ${id}`,
+          execute: closeTask
+        });
+    });
+
+    test('should validate input and report failures as error results', async () => {
+      expect(await registry.execute('echo', { text: 'hi' })).toEqual({ content: '{\n  "text": "hi"\n}', isError: false });
+      expect(await registry.execute('echo', { text: 7 })).toEqual({ content: 'Invalid input for echo: input.text: must be string', isError: true });
+      expect(await registry.execute('echo', { text: 'hi' }, { allowList: ['close_task'] }))
+        .toEqual({ content: 'Tool not available: echo', isError: true });
+
+      registry.register({ name: 'fail', execute: async () => { throw new Error('Boom'); } });
+      expect(await registry.execute('fail')).toEqual({ content: 'Boom', isError: true });
+
+      expect(() => registry.register({ name: 'echo', execute: () => {} })).toThrow('Tool already registered: echo');
+      expect(() => registry.list(['echo', 'deploy'])).toThrow('Unknown tool: deploy. Must be one of: echo, close_task, fail');
+    });
+
+    test('should dry-run, confirm or apply mutating tools', async () => {
+      expect(await registry.execute('close_task', { id: '7' })).toEqual({
+        content: 'Dry run, nothing was changed. Would close task 7',
+        isError: false,
+        dryRun: true
+      });
+      expect(closeTask).not.toHaveBeenCalled();
+
+      const confirm = jest.fn().mockResolvedValueOnce(false).mockResolvedValueOnce(true);
+      expect(await registry.execute('close_task', { id: '7' }, { mode: 'confirm', confirm }))
+        .toEqual({ content: 'The user declined: close task 7', isError: true });
+      expect(await registry.execute('close_task', { id: '7' }, { mode: 'confirm', confirm }))
+        .toEqual({ content: 'closed', isError: false });
+      expect(confirm).toHaveBeenCalledWith({ name: 'close_task', input: { id: '7' }, preview: 'close task 7' });
+
+      await registry.execute('close_task', { id: '8' }, { mode: 'auto' });
+      expect(closeTask).toHaveBeenCalledTimes(2);
+
+      await expect(registry.execute('close_task', { id: '8' }, { mode: 'yolo' }))
+        .rejects.toThrow('Invalid tool mode: yolo. Must be one of: dry-run, confirm, auto');
+    });
+  });
+
+  describe('createDefault()', () => {
+    let tmpDir;
+    let basePath;
+    let registry;
+
+    const run = async (name, input, options) => {
+      const result = await registry.execute(name, input, options);
+      return result.isError ? result : JSON.parse(result.content);
+    };
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tool-registry-'));
+      basePath = path.join(tmpDir, '.claude');
+
+      fs.outputFileSync(path.join(basePath, 'prds', 'auth.md'), '---\ntitle: Auth\nstatus: draft\n---\n# Auth\n');
+      fs.outputFileSync(path.join(basePath, 'epics', 'auth', 'epic.md'), '---\nname: auth\nstatus: in-progress\n---\n# Auth\n');
+      fs.outputFileSync(path.join(basePath, 'epics', 'auth', '1.md'), '---\nid: task-1\ntitle: Schema\nstatus: open\n---\n');
+      fs.outputFileSync(path.join(basePath, 'epics', 'auth', '2.md'), '---\nid: task-2\ntitle: Login\nstatus: blocked\ndepends_on: [task-1]\n---\n');
+      fs.outputFileSync(path.join(basePath, 'issues', '12.md'), '---\nid: 12\ntitle: Login\nstatus: open\n---\n');
+
+      registry = ToolRegistry.createDefault({ basePath });
+    });
+
+    afterEach(() => {
+      fs.removeSync(tmpDir);
+    });
+
+    test('should register the project tools', () => {
+      expect(registry.definitions().map(tool => tool.name))
+        .toEqual(['read_prd', 'list_epics', 'update_task_status', 'analyze_dependencies', 'search']);
+      expect(registry.get('update_task_status').mutating).toBe(true);
+    });
+
+    test('should read PRDs, list epics and analyze dependencies', async () => {
+      expect(await run('read_prd', { name: 'auth' })).toEqual({
+        name: 'auth',
+        frontmatter: { title: 'Auth', status: 'draft' },
+        content: '# Auth\n'
+      });
+      expect(await run('read_prd', { name: 'billing' })).toEqual({ content: 'PRD not found: billing', isError: true });
+
+      expect(await run('list_epics', {})).toEqual([
+        { name: 'auth', status: 'in-progress', progress: '0%', taskCount: 2, githubIssue: null, epicDir: 'auth' }
+      ]);
+
+      const analysis = await run('analyze_dependencies', { epic: 'auth' });
+      expect(analysis.criticalPath).toEqual(['task-1', 'task-2']);
+      expect(await run('analyze_dependencies', { epic: 'billing' })).toEqual({ content: 'Epic not found: billing', isError: true });
+    });
+
+    test('should search with the query language', async () => {
+      const results = await run('search', { query: 'status:blocked' });
+
+      expect(results).toEqual([
+        { type: 'task', epic: 'auth', path: path.join('epics', 'auth', '2.md'), frontmatter: expect.objectContaining({ id: 'task-2' }) }
+      ]);
+      expect((await run('search', { query: 'status:open', types: ['issue'] })).map(result => result.path))
+        .toEqual([path.join('issues', '12.md')]);
+    });
+
+    test('should only update task status outside dry-run mode', async () => {
+      const issuePath = path.join(basePath, 'issues', '12.md');
+
+      const dryRun = await registry.execute('update_task_status', { id: '12', status: 'closed' });
+      expect(dryRun.content).toBe('Dry run, nothing was changed. Would set the status of issue #12 to closed');
+      expect(fs.readFileSync(issuePath, 'utf8')).toContain('status: open');
+
+      const applied = await registry.execute('update_task_status', { id: '12', status: 'closed' }, { mode: 'auto' });
+      expect(applied).toEqual({ content: 'Issue #12 is now closed', isError: false });
+      expect(fs.readFileSync(issuePath, 'utf8')).toContain('status: closed');
+    });
+
+    test('should update epic tasks addressed as <epic>/<task>', async () => {
+      const taskPath = path.join(basePath, 'epics', 'auth', '1.md');
+
+      const dryRun = await registry.execute('update_task_status', { id: 'auth/1', status: 'in-progress' });
+      expect(dryRun.content).toBe('Dry run, nothing was changed. Would set the status of task auth/1 to in-progress');
+
+      const applied = await registry.execute('update_task_status', { id: 'auth/1', status: 'in-progress' }, { mode: 'auto' });
+      expect(applied).toEqual({ content: 'Task auth/1 is now in-progress', isError: false });
+      expect(fs.readFileSync(taskPath, 'utf8')).toContain('status: in-progress');
+
+      expect(await run('update_task_status', { id: 'auth/9', status: 'closed' }, { mode: 'auto' }))
+        .toEqual({ content: 'Task not found: auth/9', isError: true });
+      expect((await run('update_task_status', { id: '../auth/1', status: 'closed' }, { mode: 'auto' })).isError).toBe(true);
+      expect((await run('analyze_dependencies', { epic: '../auth' })).isError).toBe(true);
+    });
+  });
+});